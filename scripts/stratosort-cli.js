@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+
+/**
+ * `stratosort` command launcher
+ *
+ * The CLI needs Electron's main-process APIs (userData paths, native modules
+ * built for Electron), so this wrapper starts the Electron binary on the
+ * bundled CLI entry and forwards arguments, output and exit code.
+ * Build first with `npm run build:main`.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { spawn } = require('child_process');
+
+const entry = path.join(__dirname, '../dist/cli.js');
+if (!fs.existsSync(entry)) {
+  console.error('dist/cli.js not found. Run "npm run build:main" first.');
+  process.exit(1);
+}
+
+let electronPath;
+try {
+  electronPath = require('electron');
+} catch {
+  console.error('Electron is not installed. Run "npm install" first.');
+  process.exit(1);
+}
+
+const env = { ...process.env };
+// Would make Electron behave as plain Node and lose app/ipcMain
+delete env.ELECTRON_RUN_AS_NODE;
+
+const child = spawn(electronPath, [entry, ...process.argv.slice(2)], {
+  stdio: 'inherit',
+  env,
+  windowsHide: true
+});
+
+child.on('error', (error) => {
+  console.error(`Failed to start Electron: ${error.message}`);
+  process.exit(1);
+});
+child.on('exit', (code, signal) => {
+  process.exit(signal ? 1 : (code ?? 1));
+});
@@ -0,0 +1,607 @@
+/**
+ * Archive Extractor
+ *
+ * Enumerates archive members (zip, tar, tar.gz, tar.bz2, plus single-file
+ * .gz/.bz2) and runs text-bearing members through the documentExtractors
+ * functions. Every read is bounded so a hostile archive (zip bomb, huge
+ * member counts, endless decompression) cannot exhaust memory or disk.
+ *
+ * @module analysis/archiveExtractor
+ */
+
+const fs = require('fs').promises;
+const { createReadStream } = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline, PassThrough } = require('stream');
+const { createLogger } = require('../../shared/logger');
+const { SUPPORTED_TEXT_EXTENSIONS, LIMITS } = require('../../shared/constants');
+const {
+  extractTextFromPdf,
+  extractTextFromDocx,
+  extractTextFromXlsx,
+  extractTextFromPptx,
+  extractTextFromOdfZip,
+  extractTextFromEpub,
+  extractTextFromEml,
+  extractPlainTextFromRtf,
+  extractPlainTextFromXml,
+  extractPlainTextFromHtml,
+  cleanWhitespace
+} = require('./documentExtractors');
+
+const logger = createLogger('ArchiveExtractor');
+
+const ARCHIVE_LIMITS = {
+  MAX_LISTED_MEMBERS: 500, // Member names kept in the listing / history
+  MAX_SCANNED_ENTRIES: 10000, // Stop walking headers after this many entries
+  MAX_TEXT_MEMBERS: 8, // Members run through text extraction
+  MAX_MEMBER_BYTES: 20 * 1024 * 1024, // Uncompressed size cap for an extracted member
+  MAX_TOTAL_EXTRACT_BYTES: 60 * 1024 * 1024, // Uncompressed bytes extracted across members
+  MAX_COMPRESSION_RATIO: 100, // Zip entries compressed more than this are treated as bombs
+  MAX_STREAM_BYTES: 512 * 1024 * 1024, // Decompressed bytes read from a tar stream
+  MAX_MEMBER_TEXT_CHARS: 4000, // Text kept per member in the aggregate
+  MAX_AGGREGATE_CHARS: 24000 // Total text handed to the LLM
+};
+
+const TAR_BLOCK_SIZE = 512;
+
+// Binary document members need a real file on disk for their extractor
+const FILE_EXTRACTORS = {
+  '.pdf': extractTextFromPdf,
+  '.docx': extractTextFromDocx,
+  '.xlsx': extractTextFromXlsx,
+  '.pptx': extractTextFromPptx,
+  '.odt': extractTextFromOdfZip,
+  '.ods': extractTextFromOdfZip,
+  '.odp': extractTextFromOdfZip,
+  '.epub': extractTextFromEpub,
+  '.eml': extractTextFromEml
+};
+
+// Documents first: they usually say more about a deliverable than source files do
+const MEMBER_PRIORITY = ['.pdf', '.docx', '.pptx', '.xlsx', '.odt', '.md', '.txt'];
+
+/**
+ * Resolve the archive format from the file name.
+ * @param {string} filePath - Archive path
+ * @returns {string} zip | tar | tar.gz | tar.bz2 | gz | bz2 | 7z | rar | unknown
+ */
+function detectArchiveFormat(filePath) {
+  const name = path.basename(filePath).toLowerCase();
+  if (name.endsWith('.zip')) return 'zip';
+  if (name.endsWith('.tar')) return 'tar';
+  if (name.endsWith('.tar.gz') || name.endsWith('.tgz')) return 'tar.gz';
+  if (name.endsWith('.tar.bz2') || name.endsWith('.tbz2') || name.endsWith('.tbz')) {
+    return 'tar.bz2';
+  }
+  if (name.endsWith('.gz')) return 'gz';
+  if (name.endsWith('.bz2')) return 'bz2';
+  if (name.endsWith('.7z')) return '7z';
+  if (name.endsWith('.rar')) return 'rar';
+  return 'unknown';
+}
+
+function getMemberExtension(name) {
+  return path.extname(name || '').toLowerCase();
+}
+
+function isTextBearingMember(name) {
+  const ext = getMemberExtension(name);
+  return (SUPPORTED_TEXT_EXTENSIONS || []).includes(ext) || Boolean(FILE_EXTRACTORS[ext]);
+}
+
+function memberPriority(name) {
+  const index = MEMBER_PRIORITY.indexOf(getMemberExtension(name));
+  return index === -1 ? MEMBER_PRIORITY.length : index;
+}
+
+// Skip OS metadata and path-traversal names; they never describe the archive
+function isIgnoredMember(name) {
+  const normalized = String(name || '').replace(/\\/g, '/');
+  if (!normalized || normalized.endsWith('/')) return true;
+  if (normalized.split('/').includes('..')) return true;
+  const base = normalized.split('/').pop();
+  return normalized.startsWith('__MACOSX/') || base === '.DS_Store' || base.startsWith('._');
+}
+
+function addMember(result, name, size) {
+  result.totalMembers += 1;
+  result.totalSize += Number.isFinite(size) ? size : 0;
+  if (result.members.length < ARCHIVE_LIMITS.MAX_LISTED_MEMBERS) {
+    result.members.push({ name: name.replace(/\\/g, '/'), size: size ?? null });
+  } else {
+    result.truncated = true;
+  }
+}
+
+/**
+ * Tracks extraction budget shared by every member of one archive.
+ */
+function createBudget() {
+  let members = 0;
+  let bytes = 0;
+  return {
+    canTake(size) {
+      return (
+        members < ARCHIVE_LIMITS.MAX_TEXT_MEMBERS &&
+        size <= ARCHIVE_LIMITS.MAX_MEMBER_BYTES &&
+        bytes + size <= ARCHIVE_LIMITS.MAX_TOTAL_EXTRACT_BYTES
+      );
+    },
+    take(size) {
+      members += 1;
+      bytes += size;
+    }
+  };
+}
+
+/**
+ * Turn a member's bytes into plain text using the same helpers as top-level files.
+ * @param {string} name - Member path inside the archive
+ * @param {Buffer} data - Member contents
+ * @param {Function} getTempDir - Lazily creates the scratch directory
+ * @returns {Promise<string>}
+ */
+async function extractMemberText(name, data, getTempDir) {
+  const ext = getMemberExtension(name);
+  const fileExtractor = FILE_EXTRACTORS[ext];
+  let text;
+
+  if (fileExtractor) {
+    const tempDir = await getTempDir();
+    const tempPath = path.join(
+      tempDir,
+      `${Date.now()}-${Math.random().toString(36).slice(2, 8)}${ext}`
+    );
+    await fs.writeFile(tempPath, data);
+    try {
+      text = await fileExtractor(tempPath, path.basename(name));
+    } finally {
+      await fs.unlink(tempPath).catch(() => {});
+    }
+  } else {
+    const raw = data.toString('utf8');
+    if (ext === '.rtf') text = extractPlainTextFromRtf(raw);
+    else if (ext === '.xml') text = extractPlainTextFromXml(raw);
+    else if (ext === '.html' || ext === '.htm') text = extractPlainTextFromHtml(raw);
+    else text = raw;
+  }
+
+  return cleanWhitespace(String(text || '')).slice(0, ARCHIVE_LIMITS.MAX_MEMBER_TEXT_CHARS);
+}
+
+async function inspectZip(filePath, result, collectText) {
+  const AdmZip = require('adm-zip');
+  const stats = await fs.stat(filePath);
+  if (stats.size > LIMITS.MAX_FILE_SIZE) {
+    // adm-zip loads the whole archive into memory
+    result.warnings.push('Archive too large to inspect');
+    return;
+  }
+
+  const zip = new AdmZip(filePath);
+  const entries = zip.getEntries();
+  const files = [];
+  for (const entry of entries) {
+    if (files.length >= ARCHIVE_LIMITS.MAX_SCANNED_ENTRIES) {
+      result.truncated = true;
+      break;
+    }
+    if (entry.isDirectory || isIgnoredMember(entry.entryName)) continue;
+    files.push(entry);
+  }
+
+  for (const entry of files) {
+    addMember(result, entry.entryName, entry.header.size);
+  }
+
+  const candidates = files
+    .filter((entry) => isTextBearingMember(entry.entryName))
+    .sort((a, b) => memberPriority(a.entryName) - memberPriority(b.entryName));
+
+  for (const entry of candidates) {
+    const { size, compressedSize } = entry.header;
+    const ratio = compressedSize > 0 ? size / compressedSize : size > 0 ? Infinity : 0;
+    if (ratio > ARCHIVE_LIMITS.MAX_COMPRESSION_RATIO && size > 1024 * 1024) {
+      result.warnings.push(`Skipped ${entry.entryName}: suspicious compression ratio`);
+      continue;
+    }
+    if (size === 0 && compressedSize > 0) {
+      result.warnings.push(`Skipped ${entry.entryName}: missing uncompressed size`);
+      continue;
+    }
+    if (!collectText.budget.canTake(size)) continue;
+    const data = readZipMember(entry);
+    if (!data) {
+      result.warnings.push(`Skipped ${entry.entryName}: could not be read within limits`);
+      continue;
+    }
+    collectText.budget.take(Math.max(size, data.length));
+    await collectText(entry.entryName, data);
+  }
+}
+
+/**
+ * Inflate a zip member with a hard output cap. adm-zip only bounds inflation
+ * by the declared size, and declared sizes can lie.
+ * @returns {Buffer|null} Member data, or null if it is encrypted, uses an
+ *   unsupported method or inflates past MAX_MEMBER_BYTES
+ */
+function readZipMember(entry) {
+  if (entry.header.encrypted) return null;
+  const compressed = entry.getCompressedData();
+  try {
+    switch (entry.header.method) {
+      case 0: // stored
+        return compressed.length <= ARCHIVE_LIMITS.MAX_MEMBER_BYTES ? compressed : null;
+      case 8: // deflated
+        return zlib.inflateRawSync(compressed, {
+          maxOutputLength: ARCHIVE_LIMITS.MAX_MEMBER_BYTES
+        });
+      default:
+        return null;
+    }
+  } catch (error) {
+    logger.debug('[ArchiveExtractor] Zip member inflation failed', {
+      member: entry.entryName,
+      error: error.message
+    });
+    return null;
+  }
+}
+
+function readOctal(block, start, length) {
+  // GNU base-256 encoding for sizes >= 8GB
+  if (block[start] & 0x80) {
+    let value = 0;
+    for (let i = start + 1; i < start + length; i += 1) {
+      value = value * 256 + block[i];
+    }
+    return value;
+  }
+  const text = block
+    .subarray(start, start + length)
+    .toString('ascii')
+    .replace(/\0.*$/, '')
+    .trim();
+  return text ? parseInt(text, 8) : 0;
+}
+
+function readString(block, start, length) {
+  return block
+    .subarray(start, start + length)
+    .toString('utf8')
+    .replace(/\0.*$/s, '');
+}
+
+function isValidTarHeader(block) {
+  const expected = readOctal(block, 148, 8);
+  let sum = 0;
+  for (let i = 0; i < TAR_BLOCK_SIZE; i += 1) {
+    sum += i >= 148 && i < 156 ? 0x20 : block[i];
+  }
+  return sum === expected;
+}
+
+function parsePaxPath(data) {
+  const match = /\d+ path=([^\n]*)\n/.exec(data.toString('utf8'));
+  return match ? match[1] : null;
+}
+
+/**
+ * Incremental tar parser. Feed decompressed chunks to write(); member data is
+ * only buffered when onHeader() asks for it.
+ * @param {Object} handlers
+ * @param {Function} handlers.onHeader - ({ name, size }) => boolean, true to collect data
+ * @param {Function} handlers.onMember - ({ name, size }, data) called for collected members
+ */
+function createTarParser({ onHeader, onMember }) {
+  let headerBuf = Buffer.alloc(0);
+  let current = null;
+  let skip = 0;
+  let nextName = null;
+  let sawHeader = false;
+
+  const state = { ended: false };
+
+  const finishEntry = () => {
+    const entry = current;
+    current = null;
+    skip = (TAR_BLOCK_SIZE - (entry.size % TAR_BLOCK_SIZE)) % TAR_BLOCK_SIZE;
+    const data = entry.chunks ? Buffer.concat(entry.chunks) : null;
+    if (entry.kind === 'longname') {
+      nextName = data.toString('utf8').replace(/\0.*$/s, '');
+    } else if (entry.kind === 'pax') {
+      nextName = parsePaxPath(data) || nextName;
+    } else if (data) {
+      onMember({ name: entry.name, size: entry.size }, data);
+    }
+  };
+
+  const fail = () => {
+    const error = new Error(sawHeader ? 'Corrupt tar header' : 'Not a tar archive');
+    error.code = sawHeader ? 'TAR_CORRUPT' : 'NOT_TAR';
+    throw error;
+  };
+
+  const handleHeader = (block) => {
+    if (block.every((byte) => byte === 0)) {
+      state.ended = true;
+      return;
+    }
+    if (!isValidTarHeader(block)) fail();
+    sawHeader = true;
+
+    const type = String.fromCharCode(block[156] || 0x30);
+    const size = readOctal(block, 124, 12);
+    const prefix = readString(block, 257, 6).startsWith('ustar') ? readString(block, 345, 155) : '';
+    const headerName = prefix
+      ? `${prefix}/${readString(block, 0, 100)}`
+      : readString(block, 0, 100);
+    const name = nextName || headerName;
+
+    let kind = 'skip';
+    let collect = false;
+    if (type === 'L') {
+      kind = 'longname';
+      collect = size <= 64 * 1024;
+    } else if (type === 'x') {
+      kind = 'pax';
+      collect = size <= 64 * 1024;
+    } else {
+      nextName = null;
+      if (type === '0' || type === '\0' || type === '7') {
+        kind = 'file';
+        collect = onHeader({ name, size }) === true;
+      }
+    }
+
+    current = { name, size, kind, remaining: size, chunks: collect ? [] : null };
+    if (size === 0) finishEntry();
+  };
+
+  return {
+    state,
+    write(chunk) {
+      let offset = 0;
+      while (offset < chunk.length && !state.ended) {
+        if (skip > 0) {
+          const n = Math.min(skip, chunk.length - offset);
+          skip -= n;
+          offset += n;
+        } else if (current) {
+          const n = Math.min(current.remaining, chunk.length - offset);
+          if (current.chunks) current.chunks.push(chunk.subarray(offset, offset + n));
+          current.remaining -= n;
+          offset += n;
+          if (current.remaining === 0) finishEntry();
+        } else {
+          const n = Math.min(TAR_BLOCK_SIZE - headerBuf.length, chunk.length - offset);
+          headerBuf = Buffer.concat([headerBuf, chunk.subarray(offset, offset + n)]);
+          offset += n;
+          if (headerBuf.length === TAR_BLOCK_SIZE) {
+            const block = headerBuf;
+            headerBuf = Buffer.alloc(0);
+            handleHeader(block);
+          }
+        }
+      }
+    },
+    // Input shorter than one header block cannot be a tarball
+    end() {
+      if (!sawHeader && headerBuf.length > 0) fail();
+    }
+  };
+}
+
+function openDecodedStream(filePath, compression) {
+  const source = createReadStream(filePath);
+  if (compression === 'gz') {
+    return pipeline(source, zlib.createGunzip(), () => {});
+  }
+  if (compression === 'bz2') {
+    const unbzip2 = require('unbzip2-stream');
+    // unbzip2-stream is a classic stream; PassThrough makes it async iterable
+    return pipeline(source, unbzip2(), new PassThrough(), () => {});
+  }
+  return source;
+}
+
+async function inspectTar(filePath, compression, result, collectText) {
+  const budget = collectText.budget;
+  const pendingMembers = [];
+  let scanned = 0;
+  let bytesRead = 0;
+
+  const parser = createTarParser({
+    onHeader: ({ name, size }) => {
+      scanned += 1;
+      if (scanned > ARCHIVE_LIMITS.MAX_SCANNED_ENTRIES) {
+        result.truncated = true;
+        parser.state.ended = true;
+        return false;
+      }
+      if (isIgnoredMember(name)) return false;
+      addMember(result, name, size);
+      if (!isTextBearingMember(name) || !budget.canTake(size)) return false;
+      budget.take(size);
+      return true;
+    },
+    onMember: ({ name }, data) => pendingMembers.push({ name, data })
+  });
+
+  const stream = openDecodedStream(filePath, compression);
+  try {
+    for await (const chunk of stream) {
+      bytesRead += chunk.length;
+      if (bytesRead > ARCHIVE_LIMITS.MAX_STREAM_BYTES) {
+        result.truncated = true;
+        result.warnings.push('Stopped reading: decompressed size limit reached');
+        break;
+      }
+      parser.write(chunk);
+      if (parser.state.ended) break;
+    }
+    parser.end();
+  } finally {
+    stream.destroy();
+  }
+
+  pendingMembers.sort((a, b) => memberPriority(a.name) - memberPriority(b.name));
+  for (const member of pendingMembers) {
+    await collectText(member.name, member.data);
+  }
+}
+
+// A .gz/.bz2 that is not a tarball wraps exactly one file
+async function inspectSingleCompressed(filePath, compression, result, collectText) {
+  const innerName = path.basename(filePath).replace(/\.(gz|bz2)$/i, '');
+  const chunks = [];
+  let size = 0;
+  let complete = true;
+  const stream = openDecodedStream(filePath, compression);
+  try {
+    for await (const chunk of stream) {
+      size += chunk.length;
+      if (size > ARCHIVE_LIMITS.MAX_MEMBER_BYTES) {
+        complete = false;
+        break;
+      }
+      chunks.push(chunk);
+    }
+  } finally {
+    stream.destroy();
+  }
+
+  addMember(result, innerName, complete ? size : null);
+  if (complete && isTextBearingMember(innerName) && collectText.budget.canTake(size)) {
+    collectText.budget.take(size);
+    await collectText(innerName, Buffer.concat(chunks));
+  }
+}
+
+/**
+ * Enumerate an archive and extract text from its text-bearing members.
+ * Never throws; failures are reported through `warnings`.
+ * @param {string} filePath - Archive path
+ * @returns {Promise<{format: string, supported: boolean, members: Array<{name: string, size: number|null}>,
+ *   totalMembers: number, totalSize: number, truncated: boolean,
+ *   contents: Array<{name: string, text: string}>, warnings: string[]}>}
+ */
+async function inspectArchive(filePath) {
+  const format = detectArchiveFormat(filePath);
+  const result = {
+    format,
+    supported: ['zip', 'tar', 'tar.gz', 'tar.bz2', 'gz', 'bz2'].includes(format),
+    members: [],
+    totalMembers: 0,
+    totalSize: 0,
+    truncated: false,
+    contents: [],
+    warnings: []
+  };
+
+  if (!result.supported) {
+    return result;
+  }
+
+  let tempDir = null;
+  const getTempDir = async () => {
+    if (!tempDir) {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'stratosort-archive-'));
+    }
+    return tempDir;
+  };
+
+  const collectText = async (name, data) => {
+    try {
+      const text = await extractMemberText(name, data, getTempDir);
+      if (text.trim()) {
+        result.contents.push({ name: name.replace(/\\/g, '/'), text });
+      }
+    } catch (error) {
+      logger.debug('[ArchiveExtractor] Member extraction failed', {
+        member: name,
+        error: error.message
+      });
+    }
+  };
+  collectText.budget = createBudget();
+
+  try {
+    if (format === 'zip') {
+      await inspectZip(filePath, result, collectText);
+    } else if (format === 'tar') {
+      await inspectTar(filePath, null, result, collectText);
+    } else {
+      const compression = format.endsWith('bz2') ? 'bz2' : 'gz';
+      try {
+        await inspectTar(filePath, compression, result, collectText);
+      } catch (error) {
+        if (error.code !== 'NOT_TAR') throw error;
+        result.format = compression;
+        await inspectSingleCompressed(filePath, compression, result, collectText);
+      }
+    }
+  } catch (error) {
+    logger.warn('[ArchiveExtractor] Failed to read archive', {
+      filePath,
+      format,
+      error: error.message
+    });
+    result.warnings.push(`Archive could not be fully read: ${error.message}`);
+  } finally {
+    if (tempDir) {
+      await fs.rm(tempDir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  return result;
+}
+
+function formatBytes(bytes) {
+  if (!Number.isFinite(bytes)) return '?';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Build the text the LLM categorizes an archive from: a member listing plus
+ * the extracted text of its most informative members.
+ * @param {string} fileName - Archive file name
+ * @param {Object} info - Result of inspectArchive()
+ * @returns {string}
+ */
+function buildArchiveDigest(fileName, info) {
+  const lines = [
+    `Archive: ${fileName} (${info.format.toUpperCase()}, ${info.totalMembers} files, ${formatBytes(
+      info.totalSize
+    )})`,
+    'Files:'
+  ];
+  for (const member of info.members.slice(0, 100)) {
+    lines.push(`- ${member.name} (${formatBytes(member.size)})`);
+  }
+  if (info.totalMembers > 100) {
+    lines.push(`- ... and ${info.totalMembers - 100} more`);
+  }
+
+  let digest = lines.join('\n');
+  for (const { name, text } of info.contents) {
+    const section = `\n\n--- Contents of ${name} ---\n${text}`;
+    if (digest.length + section.length > ARCHIVE_LIMITS.MAX_AGGREGATE_CHARS) break;
+    digest += section;
+  }
+  return digest;
+}
+
+module.exports = {
+  inspectArchive,
+  buildArchiveDigest,
+  detectArchiveFormat,
+  createTarParser,
+  ARCHIVE_LIMITS
+};
@@ -0,0 +1,180 @@
+/**
+ * Audio Extractor
+ *
+ * Reads container metadata (duration, codec, ID3 / Vorbis / MP4 tags,
+ * recording date) from audio files and builds the text digest that the
+ * document LLM categorizes. The transcript, when a transcription backend is
+ * configured, is appended to the digest so spoken content drives the result.
+ *
+ * @module analysis/audioExtractor
+ */
+
+const path = require('path');
+const { createLogger } = require('../../shared/logger');
+const { withTimeout } = require('../../shared/promiseUtils');
+
+const logger = createLogger('AudioExtractor');
+
+const AUDIO_LIMITS = {
+  METADATA_TIMEOUT_MS: 30000, // Tag parsing should be near-instant; guard against odd files
+  MAX_TAG_CHARS: 500, // Per tag value kept in the digest / history
+  MAX_TRANSCRIPT_CHARS: 24000 // Transcript text handed to the LLM
+};
+
+const ISO_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})/;
+const YEAR_PATTERN = /^\d{4}$/;
+
+let musicMetadata = null;
+function getMusicMetadata() {
+  if (!musicMetadata) {
+    musicMetadata = require('music-metadata');
+  }
+  return musicMetadata;
+}
+
+function cleanTag(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(Array.isArray(value) ? value.filter(Boolean).join(', ') : value)
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\x00-\x1f]+/g, ' ')
+    .trim();
+  return text ? text.slice(0, AUDIO_LIMITS.MAX_TAG_CHARS) : null;
+}
+
+/**
+ * Normalize tag dates ("2021", "2021-03-04T10:00:00", "2021-03-04") to
+ * YYYY-MM-DD, or a bare year when that is all the tag holds.
+ */
+function normalizeRecordingDate(value) {
+  const text = cleanTag(value);
+  if (!text) return null;
+  const iso = text.match(ISO_DATE_PATTERN);
+  if (iso) return `${iso[1]}-${iso[2]}-${iso[3]}`;
+  if (YEAR_PATTERN.test(text)) return text;
+  const parsed = new Date(text);
+  return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString().split('T')[0];
+}
+
+/**
+ * Read audio container metadata.
+ *
+ * Never throws: unreadable files resolve with `{ error }` and whatever the
+ * extension alone tells us.
+ *
+ * @param {string} filePath - Path to the audio file
+ * @returns {Promise<Object>} Normalized metadata
+ */
+async function readAudioMetadata(filePath) {
+  const fallbackFormat = path.extname(filePath).slice(1).toUpperCase();
+  try {
+    const { parseFile } = getMusicMetadata();
+    const { format = {}, common = {} } = await withTimeout(
+      parseFile(filePath, { duration: true, skipCovers: true }),
+      AUDIO_LIMITS.METADATA_TIMEOUT_MS,
+      `Audio metadata: ${path.basename(filePath)}`
+    );
+
+    const duration = Number(format.duration);
+    const year = Number(common.year);
+    return {
+      format: cleanTag(format.container) || fallbackFormat,
+      codec: cleanTag(format.codec),
+      durationSeconds: Number.isFinite(duration) && duration > 0 ? Math.round(duration) : null,
+      bitrate: Number.isFinite(format.bitrate) ? Math.round(format.bitrate) : null,
+      sampleRate: Number.isFinite(format.sampleRate) ? format.sampleRate : null,
+      channels: Number.isFinite(format.numberOfChannels) ? format.numberOfChannels : null,
+      title: cleanTag(common.title),
+      artist: cleanTag(common.artist || common.artists),
+      album: cleanTag(common.album),
+      genre: Array.isArray(common.genre) ? common.genre.map(cleanTag).filter(Boolean) : [],
+      year: Number.isInteger(year) && year > 0 ? year : null,
+      recordingDate:
+        normalizeRecordingDate(common.date) ||
+        normalizeRecordingDate(common.originaldate) ||
+        (Number.isInteger(year) && year > 0 ? String(year) : null),
+      comment: cleanTag(common.comment),
+      tagTypes: Array.isArray(format.tagTypes) ? format.tagTypes.slice() : []
+    };
+  } catch (error) {
+    logger.debug('[AUDIO] Could not read metadata', { filePath, error: error.message });
+    return {
+      format: fallbackFormat,
+      codec: null,
+      durationSeconds: null,
+      bitrate: null,
+      sampleRate: null,
+      channels: null,
+      title: null,
+      artist: null,
+      album: null,
+      genre: [],
+      year: null,
+      recordingDate: null,
+      comment: null,
+      tagTypes: [],
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Whether the tags say anything beyond technical format details.
+ * @param {Object} metadata - Result of readAudioMetadata
+ * @returns {boolean}
+ */
+function hasDescriptiveTags(metadata) {
+  return Boolean(
+    metadata &&
+    (metadata.title ||
+      metadata.artist ||
+      metadata.album ||
+      metadata.comment ||
+      metadata.genre?.length > 0)
+  );
+}
+
+function formatDuration(seconds) {
+  if (!Number.isFinite(seconds) || seconds <= 0) return null;
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = Math.floor(seconds % 60);
+  const mmss = `${String(m).padStart(h ? 2 : 1, '0')}:${String(s).padStart(2, '0')}`;
+  return h ? `${h}:${mmss}` : mmss;
+}
+
+/**
+ * Build the text handed to the document LLM for an audio file.
+ *
+ * @param {string} fileName - Audio file name
+ * @param {Object} metadata - Result of readAudioMetadata
+ * @param {string|null} transcript - Transcript text, if any
+ * @returns {string}
+ */
+function buildAudioDigest(fileName, metadata, transcript) {
+  const details = [metadata.format, formatDuration(metadata.durationSeconds)];
+  if (metadata.bitrate) details.push(`${Math.round(metadata.bitrate / 1000)} kbps`);
+
+  const lines = [`Audio: ${fileName} (${details.filter(Boolean).join(', ')})`];
+  if (metadata.title) lines.push(`Title: ${metadata.title}`);
+  if (metadata.artist) lines.push(`Artist: ${metadata.artist}`);
+  if (metadata.album) lines.push(`Album: ${metadata.album}`);
+  if (metadata.genre?.length > 0) lines.push(`Genre: ${metadata.genre.join(', ')}`);
+  if (metadata.recordingDate) lines.push(`Recorded: ${metadata.recordingDate}`);
+  if (metadata.comment) lines.push(`Comment: ${metadata.comment}`);
+
+  let digest = lines.join('\n');
+  const text = typeof transcript === 'string' ? transcript.trim() : '';
+  if (text) {
+    digest += `\n\n--- Transcript ---\n${text.slice(0, AUDIO_LIMITS.MAX_TRANSCRIPT_CHARS)}`;
+  }
+  return digest;
+}
+
+module.exports = {
+  readAudioMetadata,
+  buildAudioDigest,
+  hasDescriptiveTags,
+  formatDuration,
+  normalizeRecordingDate,
+  AUDIO_LIMITS
+};
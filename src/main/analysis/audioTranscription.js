@@ -0,0 +1,213 @@
+/**
+ * Audio Transcription
+ *
+ * Pluggable speech-to-text for audio analysis. Transcription is off by
+ * default; users point it at a local whisper.cpp build or a local server that
+ * speaks the OpenAI-compatible `/v1/audio/transcriptions` API (faster-whisper
+ * server, LocalAI, whisper.cpp server, ...). Other backends can be added with
+ * registerTranscriptionBackend.
+ *
+ * @module analysis/audioTranscription
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { createLogger } = require('../../shared/logger');
+const { asyncSpawn } = require('../utils/asyncSpawnUtils');
+
+const logger = createLogger('AudioTranscription');
+
+const TRANSCRIPTION_LIMITS = {
+  TIMEOUT_MS: 10 * 60 * 1000, // Per file; CPU whisper runs at a few times real time
+  MAX_DURATION_SECONDS: 3 * 60 * 60, // Longer recordings are analyzed from tags only
+  MAX_UPLOAD_BYTES: 200 * 1024 * 1024, // Largest file sent to an HTTP backend
+  MAX_TRANSCRIPT_CHARS: 100000
+};
+
+const DISABLED_BACKEND = 'none';
+
+const backends = new Map();
+
+let settingsService = null;
+function getSettings() {
+  if (!settingsService) {
+    settingsService = require('../services/SettingsService').getInstance();
+  }
+  return settingsService;
+}
+
+function cleanTranscript(text) {
+  return String(text || '')
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .join('\n')
+    .slice(0, TRANSCRIPTION_LIMITS.MAX_TRANSCRIPT_CHARS);
+}
+
+/**
+ * Resolve the transcription URL from a configured server address.
+ * Accepts a bare host ("localhost:8000"), a base URL, or the full endpoint.
+ */
+function resolveTranscriptionUrl(endpoint) {
+  let base = String(endpoint || '').trim();
+  if (!base) throw new Error('Transcription server URL is not configured');
+  if (!/^https?:\/\//i.test(base)) base = `http://${base}`;
+  base = base.replace(/\/+$/, '');
+  if (/\/audio\/transcriptions$/i.test(base)) return base;
+  return /\/v1$/i.test(base) ? `${base}/audio/transcriptions` : `${base}/v1/audio/transcriptions`;
+}
+
+/**
+ * Register a transcription backend.
+ *
+ * @param {string} id - Backend id stored in the audioTranscriptionBackend setting
+ * @param {Object} backend
+ * @param {string} backend.label - Display name
+ * @param {Function} backend.transcribe - async (filePath, config) => ({ text, language? })
+ */
+function registerTranscriptionBackend(id, backend) {
+  if (!id || id === DISABLED_BACKEND || typeof backend?.transcribe !== 'function') {
+    throw new Error(`Invalid transcription backend: ${id}`);
+  }
+  backends.set(id, { label: backend.label || id, transcribe: backend.transcribe });
+}
+
+/**
+ * @returns {Array<{id: string, label: string}>} Registered backends
+ */
+function listTranscriptionBackends() {
+  return Array.from(backends.entries()).map(([id, backend]) => ({ id, label: backend.label }));
+}
+
+registerTranscriptionBackend('whisper-cpp', {
+  label: 'whisper.cpp',
+  async transcribe(filePath, config) {
+    if (!config.command) throw new Error('whisper.cpp executable is not configured');
+    if (!config.model) throw new Error('whisper.cpp model file is not configured');
+
+    const result = await asyncSpawn(
+      config.command,
+      ['-m', config.model, '-f', filePath, '-l', 'auto', '-nt', '-np'],
+      { timeout: TRANSCRIPTION_LIMITS.TIMEOUT_MS, windowsHide: true }
+    );
+    if (result.error) throw result.error;
+    if (result.status !== 0) {
+      const detail = String(result.stderr || '')
+        .trim()
+        .split('\n')
+        .pop();
+      throw new Error(
+        `whisper.cpp exited with code ${result.status}${detail ? `: ${detail}` : ''}`
+      );
+    }
+    return { text: result.stdout };
+  }
+});
+
+registerTranscriptionBackend('openai-compatible', {
+  label: 'Local transcription server',
+  async transcribe(filePath, config) {
+    const url = resolveTranscriptionUrl(config.endpoint);
+    const stats = await fs.stat(filePath);
+    if (stats.size > TRANSCRIPTION_LIMITS.MAX_UPLOAD_BYTES) {
+      throw new Error('File is too large to send to the transcription server');
+    }
+
+    const form = new FormData();
+    form.append('file', new Blob([await fs.readFile(filePath)]), path.basename(filePath));
+    form.append('model', config.model || 'whisper-1');
+    form.append('response_format', 'json');
+
+    const response = await fetch(url, {
+      method: 'POST',
+      body: form,
+      signal: AbortSignal.timeout(TRANSCRIPTION_LIMITS.TIMEOUT_MS)
+    });
+    if (!response.ok) {
+      throw new Error(`Transcription server returned HTTP ${response.status}`);
+    }
+    const body = await response.json();
+    return { text: body?.text, language: body?.language };
+  }
+});
+
+/**
+ * Load the transcription configuration from settings.
+ * @returns {Promise<{backend: string, command: string|null, model: string|null, endpoint: string|null}>}
+ */
+async function loadTranscriptionConfig() {
+  try {
+    const settings = await getSettings().load();
+    return {
+      backend: settings.audioTranscriptionBackend || DISABLED_BACKEND,
+      command: settings.audioTranscriptionCommand || null,
+      model: settings.audioTranscriptionModel || null,
+      endpoint: settings.audioTranscriptionEndpoint || null
+    };
+  } catch (error) {
+    logger.debug('[TRANSCRIBE] Could not load settings', { error: error.message });
+    return { backend: DISABLED_BACKEND, command: null, model: null, endpoint: null };
+  }
+}
+
+/**
+ * Transcribe an audio file with the configured backend.
+ *
+ * Never throws: transcription is an enrichment, so failures are logged and
+ * reported as `{ error }` and analysis continues from tags alone.
+ *
+ * @param {string} filePath - Audio file path
+ * @param {Object} [options]
+ * @param {Object} [options.config] - Transcription config (defaults to settings)
+ * @param {number|null} [options.durationSeconds] - Known duration, used to skip very long files
+ * @returns {Promise<{text: string, backend: string, language?: string}|{error: string, backend: string}|null>}
+ *   null when transcription is disabled
+ */
+async function transcribeAudio(filePath, options = {}) {
+  const config = options.config || (await loadTranscriptionConfig());
+  if (!config.backend || config.backend === DISABLED_BACKEND) return null;
+
+  const backend = backends.get(config.backend);
+  if (!backend) {
+    logger.warn('[TRANSCRIBE] Unknown transcription backend', { backend: config.backend });
+    return { error: `Unknown transcription backend: ${config.backend}`, backend: config.backend };
+  }
+  if (options.durationSeconds > TRANSCRIPTION_LIMITS.MAX_DURATION_SECONDS) {
+    return { error: 'Recording is too long to transcribe', backend: config.backend };
+  }
+
+  const startedAt = Date.now();
+  try {
+    const result = await backend.transcribe(filePath, config);
+    const text = cleanTranscript(result?.text);
+    logger.info('[TRANSCRIBE] Transcribed audio', {
+      fileName: path.basename(filePath),
+      backend: config.backend,
+      chars: text.length,
+      durationMs: Date.now() - startedAt
+    });
+    return {
+      text,
+      backend: config.backend,
+      ...(typeof result?.language === 'string' && { language: result.language })
+    };
+  } catch (error) {
+    logger.warn('[TRANSCRIBE] Transcription failed', {
+      fileName: path.basename(filePath),
+      backend: config.backend,
+      error: error.message
+    });
+    return { error: error.message, backend: config.backend };
+  }
+}
+
+module.exports = {
+  transcribeAudio,
+  loadTranscriptionConfig,
+  registerTranscriptionBackend,
+  listTranscriptionBackends,
+  resolveTranscriptionUrl,
+  TRANSCRIPTION_LIMITS
+};
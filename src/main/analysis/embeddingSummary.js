@@ -11,6 +11,9 @@ function buildEmbeddingSummary(analysis, extractedText = '', fileExtension, type
   const keyEntities = Array.isArray(safeAnalysis.keyEntities)
     ? safeAnalysis.keyEntities.join(' ')
     : '';
+  // User-defined tags and notes (merged in from FileAnnotationService by callers)
+  const userTags = Array.isArray(safeAnalysis.userTags) ? safeAnalysis.userTags.join(' ') : '';
+  const userNote = typeof safeAnalysis.userNote === 'string' ? safeAnalysis.userNote : '';
 
   const baseParts = [
     safeAnalysis.summary,
@@ -23,7 +26,9 @@ function buildEmbeddingSummary(analysis, extractedText = '', fileExtension, type
     safeAnalysis.subject,
     safeAnalysis.suggestedName,
     keywords,
-    keyEntities
+    keyEntities,
+    userTags,
+    userNote
   ];
 
   if (type === 'image') {
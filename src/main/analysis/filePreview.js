@@ -0,0 +1,299 @@
+/**
+ * File Preview
+ *
+ * Builds the payload for the in-app preview pane. Images and PDF pages are
+ * rasterized with sharp and returned as data URLs (the renderer CSP only
+ * allows data: and blob: images); plain text and code are read directly;
+ * Office, ODF, EPUB and email files show the text captured during analysis,
+ * or are run through the document extractors when the file has no history.
+ *
+ * @module analysis/filePreview
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { createLogger } = require('../../shared/logger');
+const { withTimeout } = require('../../shared/promiseUtils');
+const documentExtractors = require('./documentExtractors');
+
+const logger = createLogger('FilePreview');
+
+const PREVIEW_LIMITS = {
+  IMAGE_MAX_DIMENSION: 1600,
+  MAX_IMAGE_BYTES: 50 * 1024 * 1024,
+  MAX_PDF_BYTES: 100 * 1024 * 1024,
+  PDF_DENSITY: 110, // Readable page at side panel width without huge rasters
+  MAX_TEXT_BYTES: 2 * 1024 * 1024,
+  MAX_TEXT_CHARS: 200000,
+  EXTRACTION_TIMEOUT_MS: 60000
+};
+
+const IMAGE_PREVIEW_EXTENSIONS = [
+  '.jpg',
+  '.jpeg',
+  '.png',
+  '.gif',
+  '.webp',
+  '.svg',
+  '.tiff',
+  '.tif',
+  '.avif',
+  '.heic'
+];
+
+// Shown as the raw file contents
+const PLAIN_TEXT_EXTENSIONS = [
+  '.txt',
+  '.md',
+  '.json',
+  '.yml',
+  '.yaml',
+  '.css',
+  '.js',
+  '.ts',
+  '.sql',
+  '.py',
+  '.java',
+  '.c',
+  '.cpp',
+  '.h',
+  '.rb',
+  '.go',
+  '.rs',
+  '.php',
+  '.sh',
+  '.bat',
+  '.ps1',
+  '.log',
+  '.ini'
+];
+
+// Markup is parsed from the same bounded head as plain text, never the whole file
+const fromTextHead = (extract) => async (filePath, size) => {
+  const head = await readTextHead(filePath, size);
+  return { text: extract(head.text), truncated: head.truncated };
+};
+
+// Shown as extracted text; markup formats go through the same cleanup as analysis
+const TEXT_EXTRACTORS = {
+  '.pdf': (filePath) => documentExtractors.extractTextFromPdf(filePath, path.basename(filePath)),
+  '.docx': (filePath) => documentExtractors.extractTextFromDocx(filePath),
+  '.xlsx': (filePath) => documentExtractors.extractTextFromXlsx(filePath),
+  '.pptx': (filePath) => documentExtractors.extractTextFromPptx(filePath),
+  '.doc': (filePath) => documentExtractors.extractTextFromDoc(filePath),
+  '.xls': (filePath) => documentExtractors.extractTextFromXls(filePath),
+  '.ppt': (filePath) => documentExtractors.extractTextFromPpt(filePath),
+  '.odt': (filePath) => documentExtractors.extractTextFromOdfZip(filePath),
+  '.ods': (filePath) => documentExtractors.extractTextFromOdfZip(filePath),
+  '.odp': (filePath) => documentExtractors.extractTextFromOdfZip(filePath),
+  '.epub': (filePath) => documentExtractors.extractTextFromEpub(filePath),
+  '.eml': (filePath) => documentExtractors.extractTextFromEml(filePath),
+  '.msg': (filePath) => documentExtractors.extractTextFromMsg(filePath),
+  '.csv': (filePath) => documentExtractors.extractTextFromCsv(filePath),
+  '.rtf': fromTextHead((text) => documentExtractors.extractPlainTextFromRtf(text)),
+  '.html': fromTextHead((text) => documentExtractors.extractPlainTextFromHtml(text)),
+  '.htm': fromTextHead((text) => documentExtractors.extractPlainTextFromHtml(text)),
+  '.xml': fromTextHead((text) => documentExtractors.extractPlainTextFromXml(text))
+};
+
+/**
+ * Cap preview text so large documents don't flood IPC or the DOM.
+ *
+ * @param {string} text
+ * @returns {{text: string, truncated: boolean}}
+ */
+function capText(text) {
+  const value = typeof text === 'string' ? text : String(text ?? '');
+  if (value.length <= PREVIEW_LIMITS.MAX_TEXT_CHARS) {
+    return { text: value, truncated: false };
+  }
+  return { text: value.slice(0, PREVIEW_LIMITS.MAX_TEXT_CHARS), truncated: true };
+}
+
+async function readTextHead(filePath, size) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const length = Math.min(size, PREVIEW_LIMITS.MAX_TEXT_BYTES);
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, 0);
+    return {
+      text: buffer.subarray(0, bytesRead).toString('utf8'),
+      truncated: size > PREVIEW_LIMITS.MAX_TEXT_BYTES
+    };
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Text captured when the file was analyzed. Search chunk offsets point into
+ * this text, so it is preferred over re-extracting the file.
+ */
+async function getAnalyzedText(historyService, filePath) {
+  if (!historyService || typeof historyService.getAnalysisByPath !== 'function') return null;
+  try {
+    const entry = await historyService.getAnalysisByPath(filePath);
+    const text = entry?.analysis?.extractedText;
+    return typeof text === 'string' && text.trim().length > 0 ? text : null;
+  } catch (error) {
+    logger.debug('[PREVIEW] History lookup failed', { filePath, error: error.message });
+    return null;
+  }
+}
+
+async function renderImage(filePath, size) {
+  if (size > PREVIEW_LIMITS.MAX_IMAGE_BYTES) {
+    throw new Error('Image is too large to preview');
+  }
+  const sharp = require('sharp');
+  const buffer = await sharp(filePath)
+    .rotate()
+    .resize({
+      width: PREVIEW_LIMITS.IMAGE_MAX_DIMENSION,
+      height: PREVIEW_LIMITS.IMAGE_MAX_DIMENSION,
+      fit: 'inside',
+      withoutEnlargement: true
+    })
+    .webp({ quality: 80 })
+    .toBuffer();
+  return `data:image/webp;base64,${buffer.toString('base64')}`;
+}
+
+async function renderPdfPage(filePath, size, page) {
+  if (size > PREVIEW_LIMITS.MAX_PDF_BYTES) {
+    throw new Error('PDF is too large to preview');
+  }
+  const sharp = require('sharp');
+  const pdfBuffer = await fs.readFile(filePath);
+  const metadata = await sharp(pdfBuffer, { density: PREVIEW_LIMITS.PDF_DENSITY }).metadata();
+  const pageCount = Math.max(1, metadata.pages || 1);
+  const pageNumber = Math.min(Math.max(1, page), pageCount);
+  const buffer = await sharp(pdfBuffer, {
+    density: PREVIEW_LIMITS.PDF_DENSITY,
+    page: pageNumber - 1
+  })
+    .resize({
+      width: PREVIEW_LIMITS.IMAGE_MAX_DIMENSION,
+      height: PREVIEW_LIMITS.IMAGE_MAX_DIMENSION,
+      fit: 'inside',
+      withoutEnlargement: true
+    })
+    .flatten({ background: '#ffffff' })
+    .webp({ quality: 80 })
+    .toBuffer();
+  return {
+    dataUrl: `data:image/webp;base64,${buffer.toString('base64')}`,
+    page: pageNumber,
+    pageCount
+  };
+}
+
+/**
+ * Build the preview for a file.
+ *
+ * The result always carries the file's name, extension and size. `kind` is
+ * 'image' or 'pdf' when `dataUrl` holds a rendered image, 'text' for files
+ * shown as-is, 'extracted' for documents shown through their extracted text,
+ * and 'unsupported' when nothing could be shown. Any kind may also carry
+ * `text`, which is what the renderer highlights search matches in.
+ *
+ * @param {string} filePath - Validated absolute path
+ * @param {Object} [options]
+ * @param {number} [options.page=1] - 1-based PDF page to render
+ * @param {boolean} [options.includeText=true] - Skip text when only changing PDF pages
+ * @param {Object} [options.historyService] - AnalysisHistoryService for analyzed text
+ * @returns {Promise<Object>} Preview payload
+ */
+async function buildFilePreview(filePath, options = {}) {
+  const { page = 1, includeText = true, historyService = null } = options;
+  const stats = await fs.stat(filePath);
+  if (!stats.isFile()) {
+    return { success: false, error: 'Only files can be previewed', errorCode: 'NOT_A_FILE' };
+  }
+
+  const extension = path.extname(filePath).toLowerCase();
+  const preview = {
+    success: true,
+    path: filePath,
+    name: path.basename(filePath),
+    extension,
+    size: stats.size,
+    modified: stats.mtime,
+    kind: 'unsupported',
+    dataUrl: null,
+    page: null,
+    pageCount: null,
+    text: null,
+    textSource: null,
+    truncated: false,
+    renderError: null
+  };
+
+  if (IMAGE_PREVIEW_EXTENSIONS.includes(extension)) {
+    try {
+      preview.dataUrl = await renderImage(filePath, stats.size);
+      preview.kind = 'image';
+    } catch (error) {
+      logger.debug('[PREVIEW] Image render failed', { filePath, error: error.message });
+      preview.renderError = error.message;
+    }
+  } else if (extension === '.pdf') {
+    try {
+      Object.assign(preview, await renderPdfPage(filePath, stats.size, Number(page) || 1));
+      preview.kind = 'pdf';
+    } catch (error) {
+      logger.debug('[PREVIEW] PDF render failed', { filePath, error: error.message });
+      preview.renderError = error.message;
+    }
+  }
+
+  if (!includeText) return preview;
+
+  if (PLAIN_TEXT_EXTENSIONS.includes(extension)) {
+    const head = await readTextHead(filePath, stats.size);
+    const { text, truncated } = capText(head.text);
+    Object.assign(preview, {
+      kind: 'text',
+      text,
+      truncated: head.truncated || truncated,
+      textSource: 'file'
+    });
+    return preview;
+  }
+
+  const analyzedText = await getAnalyzedText(historyService, filePath);
+  if (analyzedText) {
+    Object.assign(preview, capText(analyzedText), { textSource: 'analysis' });
+  } else if (TEXT_EXTRACTORS[extension]) {
+    try {
+      const result = await withTimeout(
+        TEXT_EXTRACTORS[extension](filePath, stats.size),
+        PREVIEW_LIMITS.EXTRACTION_TIMEOUT_MS,
+        `Preview extraction for ${preview.name}`
+      );
+      const extracted = typeof result?.text === 'string' ? result.text : result;
+      if (extracted && String(extracted).trim().length > 0) {
+        const capped = capText(extracted);
+        Object.assign(preview, capped, {
+          truncated: Boolean(result?.truncated) || capped.truncated,
+          textSource: 'extracted'
+        });
+      }
+    } catch (error) {
+      logger.debug('[PREVIEW] Text extraction failed', { filePath, error: error.message });
+      preview.renderError = preview.renderError || error.message;
+    }
+  }
+
+  if (preview.kind === 'unsupported' && preview.text) {
+    preview.kind = 'extracted';
+  }
+  return preview;
+}
+
+module.exports = {
+  buildFilePreview,
+  PREVIEW_LIMITS,
+  IMAGE_PREVIEW_EXTENSIONS,
+  PLAIN_TEXT_EXTENSIONS
+};
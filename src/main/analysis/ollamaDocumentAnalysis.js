@@ -1,10 +1,12 @@
 const fs = require('fs').promises;
+const os = require('os');
 const path = require('path');
 const crypto = require('crypto');
 const {
   SUPPORTED_TEXT_EXTENSIONS,
   SUPPORTED_DOCUMENT_EXTENSIONS,
   SUPPORTED_ARCHIVE_EXTENSIONS,
+  SUPPORTED_AUDIO_EXTENSIONS,
   SUPPORTED_VIDEO_EXTENSIONS,
   AI_DEFAULTS
 } = require('../../shared/constants');
@@ -35,6 +37,24 @@ const {
   extractPlainTextFromXml,
   extractPlainTextFromHtml
 } = require('./documentExtractors');
+const { inspectArchive, buildArchiveDigest } = require('./archiveExtractor');
+const {
+  readAudioMetadata,
+  buildAudioDigest,
+  hasDescriptiveTags,
+  formatDuration
+} = require('./audioExtractor');
+const { transcribeAudio } = require('./audioTranscription');
+const {
+  readVideoMetadata,
+  resolveFfmpegCommand,
+  extractKeyframes,
+  extractAudioTrack,
+  extractEmbeddedSubtitles,
+  readSidecarSubtitles,
+  saveVideoThumbnail,
+  buildVideoDigest
+} = require('./videoExtractor');
 const { analyzeTextWithOllama, normalizeCategoryToSmartFolders } = require('./documentLlm');
 const { normalizeAnalysisResult } = require('./utils');
 const { normalizeExtractedTextForStorage } = require('./analysisTextUtils');
@@ -44,6 +64,8 @@ const {
   safeSuggestedName,
   createFallbackAnalysis
 } = require('./fallbackUtils');
+const { assessSensitivity } = require('./sensitiveDataDetector');
+const { restrictFoldersForSensitivity } = require('../../shared/sensitiveData');
 const { analysisQueue } = require('./embeddingQueue/stageQueues');
 const { globalDeduplicator } = require('../utils/llmOptimization');
 const {
@@ -211,25 +233,6 @@ async function analyzeDocumentFile(filePath, smartFolders = [], options = {}) {
     return today;
   })();
 
-  // FAST SEMANTIC LABELING (Short-circuit)
-  // Skip AI analysis for video files and use extension-based fallback immediately
-  if ((SUPPORTED_VIDEO_EXTENSIONS || []).includes(fileExtension)) {
-    const intelligentCategory = getIntelligentCategory(fileName, fileExtension, smartFolders);
-    const intelligentKeywords = getIntelligentKeywords(fileName, fileExtension);
-    const safeCategory = intelligentCategory || 'video';
-
-    return {
-      purpose: 'Video file',
-      project: path.basename(fileName, fileExtension),
-      category: safeCategory,
-      date: fileDate,
-      keywords: intelligentKeywords,
-      confidence: 80, // High confidence for known types
-      suggestedName: safeSuggestedName(fileName, fileExtension),
-      extractionMethod: 'extension_short_circuit'
-    };
-  }
-
   // Pre-flight checks for AI-first operation (graceful fallback if Ollama unavailable)
   try {
     // Check if Ollama is running using shared detection logic with retries
@@ -266,6 +269,13 @@ async function analyzeDocumentFile(filePath, smartFolders = [], options = {}) {
   // Step 2: Main content extraction and analysis (errors handled separately)
   try {
     let extractedText = null;
+    // Set for archives: member listing kept with the analysis result
+    let archiveInfo = null;
+    // Set for audio: tags and transcript status kept with the analysis result
+    let audioInfo = null;
+    // Set for video: container metadata, keyframe descriptions and thumbnail
+    let videoInfo = null;
+    let extractionMethod = 'content';
 
     if (fileExtension === '.pdf') {
       try {
@@ -476,25 +486,76 @@ async function analyzeDocumentFile(filePath, smartFolders = [], options = {}) {
         }
       }
     } else if (SUPPORTED_ARCHIVE_EXTENSIONS.includes(fileExtension)) {
-      // Archive metadata inspection (best-effort)
-      const archiveInfo = await tryExtractArchiveMetadata(filePath);
-      const keywords =
-        archiveInfo.keywords?.slice(0, TRUNCATION.KEYWORDS_MAX) ||
-        getIntelligentKeywords(fileName, fileExtension);
-
-      // Fix: Ensure category maps to a valid smart folder
-      const category = normalizeCategoryToSmartFolders('archive', smartFolders);
-
-      return {
-        purpose: archiveInfo.summary || 'Archive file',
-        project: path.basename(fileName, fileExtension),
-        category,
-        date: fileDate,
-        keywords,
-        confidence: 70,
-        suggestedName: safeSuggestedName(fileName, fileExtension),
-        extractionMethod: 'archive'
-      };
+      archiveInfo = await tryExtractArchiveMetadata(filePath);
+
+      if (archiveInfo.contents?.length > 0) {
+        // Categorize the archive from an aggregate of its members
+        extractedText = buildArchiveDigest(fileName, archiveInfo);
+        extractionMethod = 'archive';
+      } else {
+        // Nothing readable inside: listing-based metadata only
+        const keywords = archiveInfo.keywords?.length
+          ? archiveInfo.keywords.slice(0, TRUNCATION.KEYWORDS_MAX)
+          : getIntelligentKeywords(fileName, fileExtension);
+
+        // Fix: Ensure category maps to a valid smart folder
+        const category = normalizeCategoryToSmartFolders('archive', smartFolders);
+
+        return {
+          purpose: archiveInfo.summary || 'Archive file',
+          project: path.basename(fileName, fileExtension),
+          category,
+          date: fileDate,
+          keywords,
+          confidence: 70,
+          suggestedName: safeSuggestedName(fileName, fileExtension),
+          extractionMethod: 'archive',
+          archiveMembers: archiveInfo.memberNames
+        };
+      }
+    } else if ((SUPPORTED_AUDIO_EXTENSIONS || []).includes(fileExtension)) {
+      audioInfo = await tryExtractAudioContent(filePath);
+
+      if (audioInfo.transcript || hasDescriptiveTags(audioInfo.metadata)) {
+        // Categorize from tags and, when available, what is said in the recording
+        extractedText = buildAudioDigest(fileName, audioInfo.metadata, audioInfo.transcript);
+        extractionMethod = audioInfo.transcript ? 'transcript' : 'audio';
+      } else {
+        // No tags or speech to go on: format details only
+        return {
+          purpose: audioInfo.summary,
+          project: path.basename(fileName, fileExtension),
+          category: getIntelligentCategory(fileName, fileExtension, smartFolders) || 'audio',
+          date: audioInfo.date || fileDate,
+          keywords: getIntelligentKeywords(fileName, fileExtension),
+          confidence: 70,
+          suggestedName: safeSuggestedName(fileName, fileExtension),
+          extractionMethod: 'audio',
+          audio: audioInfo.details
+        };
+      }
+    } else if ((SUPPORTED_VIDEO_EXTENSIONS || []).includes(fileExtension)) {
+      videoInfo = await tryExtractVideoContent(filePath, smartFolders);
+
+      if (videoInfo.hasContent) {
+        // Categorize from what the keyframes show and what is said
+        extractedText = buildVideoDigest(fileName, videoInfo.metadata, videoInfo);
+        extractionMethod = 'video';
+      } else {
+        // No frames or speech to go on: container details only
+        return {
+          purpose: videoInfo.summary,
+          project: path.basename(fileName, fileExtension),
+          category: getIntelligentCategory(fileName, fileExtension, smartFolders) || 'video',
+          date: videoInfo.date || fileDate,
+          keywords: getIntelligentKeywords(fileName, fileExtension),
+          confidence: 70,
+          suggestedName: safeSuggestedName(fileName, fileExtension),
+          extractionMethod: 'video',
+          video: videoInfo.details,
+          thumbnailPath: videoInfo.thumbnailPath
+        };
+      }
     } else {
       // No content parser available - use filename-based fallback
       logger.warn(`[FILENAME-FALLBACK] No content parser`, {
@@ -524,6 +585,11 @@ async function analyzeDocumentFile(filePath, smartFolders = [], options = {}) {
         preview: extractedText.substring(0, TRUNCATION.PREVIEW_MEDIUM)
       });
 
+      // Flag personal information before a folder is chosen: sensitive files
+      // are only matched against smart folders marked secure
+      const sensitivity = await assessSensitivity(extractedText, { fileName });
+      const routingFolders = restrictFoldersForSensitivity(smartFolders, { sensitivity });
+
       // OPTIMIZATION: Retrieve similar file names to improve naming consistency
       // With OLLAMA_MAX_LOADED_MODELS=2, both embedding and text models stay loaded
       // so there's no model swap overhead between embedding and LLM calls
@@ -576,15 +642,22 @@ async function analyzeDocumentFile(filePath, smartFolders = [], options = {}) {
         fileName,
         task: 'analyzeTextWithOllama',
         // model: modelName, // Redundant, in contentHash
-        folders: Array.isArray(smartFolders) ? smartFolders.map((f) => f?.name || '').join(',') : ''
+        folders: routingFolders.map((f) => f?.name || '').join(',')
       });
 
       const analysis = await globalDeduplicator.deduplicate(deduplicationKey, () =>
-        analyzeTextWithOllama(extractedText, fileName, smartFolders, fileDate, namingContext)
+        analyzeTextWithOllama(
+          extractedText,
+          fileName,
+          routingFolders,
+          audioInfo?.date || videoInfo?.date || fileDate,
+          namingContext
+        )
       );
 
       // Semantic folder refinement using embeddings
       if (analysis && typeof analysis === 'object' && !analysis.error) {
+        if (sensitivity) analysis.sensitivity = sensitivity;
         try {
           await applyUnifiedFolderMatching({
             analysis,
@@ -592,7 +665,7 @@ async function analyzeDocumentFile(filePath, smartFolders = [], options = {}) {
             fileName,
             fileExtension,
             fileSize: fileStats?.size,
-            smartFolders,
+            smartFolders: routingFolders,
             extractedText,
             type: 'document'
           });
@@ -622,8 +695,11 @@ async function analyzeDocumentFile(filePath, smartFolders = [], options = {}) {
           {
             ...analysis,
             contentLength: extractedTextLength,
-            extractionMethod: 'content',
-            extractedText: extractedTextForStorage
+            extractionMethod,
+            extractedText: extractedTextForStorage,
+            ...(archiveInfo && { archiveMembers: archiveInfo.memberNames }),
+            ...(audioInfo && { audio: audioInfo.details }),
+            ...(videoInfo && { video: videoInfo.details, thumbnailPath: videoInfo.thumbnailPath })
           },
           { category: 'document', keywords: [], confidence: 0 }
         );
@@ -658,7 +734,11 @@ async function analyzeDocumentFile(filePath, smartFolders = [], options = {}) {
           confidence: 60,
           error: analysis?.error || 'Ollama analysis failed for document content.',
           contentLength: extractedTextLength,
-          extractionMethod: 'content'
+          extractionMethod,
+          ...(sensitivity && { sensitivity }),
+          ...(archiveInfo && { archiveMembers: archiveInfo.memberNames }),
+          ...(audioInfo && { audio: audioInfo.details }),
+          ...(videoInfo && { video: videoInfo.details, thumbnailPath: videoInfo.thumbnailPath })
         },
         { category: 'document', keywords: [], confidence: 60 }
       );
@@ -706,28 +786,190 @@ async function analyzeDocumentFile(filePath, smartFolders = [], options = {}) {
 
 // Text normalization helpers moved to documentExtractors
 
-// Best-effort archive metadata extraction (ZIP only without external deps)
+// Best-effort archive inspection: member listing plus text from readable members
 async function tryExtractArchiveMetadata(filePath) {
   const ext = path.extname(filePath).toLowerCase();
-  const info = { keywords: [], summary: '' };
-  if (ext === '.zip') {
-    try {
-      const AdmZip = require('adm-zip');
-      const zip = new AdmZip(filePath);
-      const entries = zip.getEntries().slice(0, 50);
-      const names = entries.map((e) => e.entryName);
-      info.keywords = deriveKeywordsFromFilenames(names);
-      info.summary = `ZIP archive with ${zip.getEntries().length} entries`;
-      return info;
-    } catch {
-      info.summary = 'ZIP archive (content listing unavailable)';
-      info.keywords = [];
-      return info;
+  const info = await inspectArchive(filePath);
+  const memberNames = info.members.map((member) => member.name);
+  const label =
+    info.format === 'unknown' ? ext.substring(1).toUpperCase() : info.format.toUpperCase();
+
+  let summary = `${label} archive`;
+  if (!info.supported) {
+    summary = `${label} archive (content listing unavailable)`;
+  } else if (info.totalMembers > 0) {
+    summary = `${label} archive with ${info.totalMembers} files`;
+    if (info.contents.length > 0) {
+      summary += ` (${info.contents.length} read)`;
+    }
+  } else if (info.warnings.length > 0) {
+    summary = `${label} archive (content listing unavailable)`;
+  }
+
+  return {
+    ...info,
+    memberNames,
+    summary,
+    keywords: deriveKeywordsFromFilenames(memberNames.slice(0, TRUNCATION.ZIP_ENTRIES_MAX))
+  };
+}
+
+// Audio: container tags plus a transcript when a transcription backend is configured
+async function tryExtractAudioContent(filePath) {
+  const metadata = await readAudioMetadata(filePath);
+  const transcription = await transcribeAudio(filePath, {
+    durationSeconds: metadata.durationSeconds
+  });
+  const transcript = transcription?.text || null;
+  const duration = formatDuration(metadata.durationSeconds);
+
+  return {
+    metadata,
+    transcript,
+    // Only a full recording date is a better analysis date than the file's mtime
+    date: /^\d{4}-\d{2}-\d{2}$/.test(metadata.recordingDate || '') ? metadata.recordingDate : null,
+    summary: `${metadata.format} audio${duration ? ` (${duration})` : ''}`,
+    details: {
+      format: metadata.format,
+      codec: metadata.codec,
+      durationSeconds: metadata.durationSeconds,
+      title: metadata.title,
+      artist: metadata.artist,
+      album: metadata.album,
+      genre: metadata.genre,
+      recordingDate: metadata.recordingDate,
+      transcribed: Boolean(transcript),
+      transcriptionBackend: transcription?.backend || null,
+      transcriptionError: transcription?.error || null
     }
+  };
+}
+
+// Video: container metadata, keyframes through the vision model, and subtitle
+// or transcript text. Everything past the metadata needs ffmpeg and degrades
+// to what is available.
+async function tryExtractVideoContent(filePath, smartFolders) {
+  const fileName = path.basename(filePath);
+  const metadata = await readVideoMetadata(filePath);
+  const settings = await loadVideoSettings();
+  const ffmpeg = await resolveFfmpegCommand();
+  const frames = [];
+  let thumbnailPath = null;
+  let transcription = null;
+  let ffmpegError = null;
+
+  const sidecar = await readSidecarSubtitles(filePath);
+  let subtitles = sidecar?.text || null;
+
+  let workDir = null;
+  try {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'stratosort-video-'));
+    const extracted = await extractKeyframes(filePath, {
+      outputDir: workDir,
+      durationSeconds: metadata.durationSeconds,
+      count: settings.keyframeCount,
+      command: ffmpeg
+    });
+    ffmpegError = extracted.error || null;
+
+    if (extracted.frames.length > 0) {
+      // Second frame skips intros and title cards when there is one
+      const cover = extracted.frames[Math.min(1, extracted.frames.length - 1)];
+      thumbnailPath = await saveVideoThumbnail(cover.path, filePath);
+
+      const { analyzeImageBuffer } = require('./ollamaImageAnalysis');
+      for (const frame of extracted.frames) {
+        const at = formatDuration(frame.timestampSeconds) || '0:00';
+        const analysis = await analyzeImageBuffer(
+          await fs.readFile(frame.path),
+          `${fileName} @ ${at}`,
+          smartFolders
+        );
+        if (analysis && !analysis.error) {
+          const description = analysis.summary || analysis.purpose || '';
+          const keywords = Array.isArray(analysis.keywords) ? analysis.keywords.join(', ') : '';
+          frames.push({
+            timestampSeconds: frame.timestampSeconds,
+            description: [description, keywords && `(${keywords})`].filter(Boolean).join(' ')
+          });
+        }
+      }
+    }
+
+    // ffmpeg is available: look inside the container for speech
+    if (extracted.frames.length > 0 || settings.keyframeCount === 0) {
+      if (!subtitles && metadata.hasSubtitles !== false) {
+        subtitles = await extractEmbeddedSubtitles(filePath, ffmpeg);
+      }
+      if (!subtitles && metadata.hasAudio !== false) {
+        transcription = await transcribeVideoAudio(filePath, workDir, ffmpeg, metadata);
+      }
+    }
+  } catch (error) {
+    logger.warn('[VIDEO] Content extraction failed', { fileName, error: error.message });
+    ffmpegError = ffmpegError || error.message;
+  } finally {
+    if (workDir) {
+      await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  const transcript = transcription?.text || null;
+  const duration = formatDuration(metadata.durationSeconds);
+  const resolution =
+    metadata.width && metadata.height ? `${metadata.width}x${metadata.height}` : '';
+  const summaryDetails = [duration, resolution].filter(Boolean).join(', ');
+
+  return {
+    metadata,
+    frames,
+    subtitles,
+    transcript,
+    thumbnailPath,
+    hasContent: frames.length > 0 || Boolean(subtitles) || Boolean(transcript),
+    date: metadata.creationDate ? metadata.creationDate.split('T')[0] : null,
+    summary: `${metadata.format} video${summaryDetails ? ` (${summaryDetails})` : ''}`,
+    details: {
+      format: metadata.format,
+      codec: metadata.codec,
+      durationSeconds: metadata.durationSeconds,
+      width: metadata.width,
+      height: metadata.height,
+      creationDate: metadata.creationDate,
+      location: metadata.location,
+      framesAnalyzed: frames.length,
+      subtitles: Boolean(subtitles),
+      transcribed: Boolean(transcript),
+      extractionError: ffmpegError || transcription?.error || null
+    }
+  };
+}
+
+// Transcribe the audio track only when a transcription backend is configured
+async function transcribeVideoAudio(filePath, workDir, ffmpeg, metadata) {
+  const { loadTranscriptionConfig } = require('./audioTranscription');
+  const config = await loadTranscriptionConfig();
+  if (!config.backend || config.backend === 'none') return null;
+  try {
+    const audioPath = await extractAudioTrack(filePath, path.join(workDir, 'audio.wav'), ffmpeg);
+    return await transcribeAudio(audioPath, { config, durationSeconds: metadata.durationSeconds });
+  } catch (error) {
+    logger.debug('[VIDEO] Audio track extraction failed', {
+      fileName: path.basename(filePath),
+      error: error.message
+    });
+    return { error: error.message, backend: config.backend };
+  }
+}
+
+async function loadVideoSettings() {
+  try {
+    const settings = await require('../services/SettingsService').getInstance().load();
+    const keyframeCount = Number(settings.videoKeyframeCount);
+    return { keyframeCount: Number.isInteger(keyframeCount) ? keyframeCount : 4 };
+  } catch {
+    return { keyframeCount: 4 };
   }
-  info.summary = `${ext.substring(1).toUpperCase()} archive`;
-  info.keywords = [];
-  return info;
 }
 
 function deriveKeywordsFromFilenames(names) {
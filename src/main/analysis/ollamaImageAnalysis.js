@@ -33,6 +33,11 @@ const {
   resetSingletons: resetMatcherSingletons
 } = require('./semanticFolderMatcher');
 const { getImageAnalysisCache } = require('../services/AnalysisCacheService');
+const { assessSensitivity } = require('./sensitiveDataDetector');
+const {
+  restrictFoldersForSensitivity,
+  getSensitivityLevel
+} = require('../../shared/sensitiveData');
 
 const logger = createLogger('OllamaImageAnalysis');
 const IMAGE_SIGNATURE_VERSION = 'v2';
@@ -1066,6 +1071,17 @@ async function analyzeImageFile(filePath, smartFolders = [], options = {}) {
 
     const extractedTextForStorage = normalizeExtractedTextForStorage(extractedText);
 
+    // Scans and photos of IDs or cards: flag personal information in the OCR
+    // text so the file is only matched against secure smart folders
+    let routingFolders = smartFolders;
+    if (analysis && !analysis.error && extractedText && extractedText.length > 20) {
+      const sensitivity = await assessSensitivity(extractedText, { fileName });
+      if (sensitivity) {
+        analysis.sensitivity = sensitivity;
+        routingFolders = restrictFoldersForSensitivity(smartFolders, analysis);
+      }
+    }
+
     // Semantic folder refinement using embeddings
     // MIGRATION: Now uses unified semanticFolderMatcher module
     try {
@@ -1075,7 +1091,7 @@ async function analyzeImageFile(filePath, smartFolders = [], options = {}) {
         fileName: path.basename(filePath),
         fileExtension: path.extname(filePath),
         fileSize: stats?.size,
-        smartFolders,
+        smartFolders: routingFolders,
         extractedText: extractedTextForStorage,
         type: 'image'
       });
@@ -1118,6 +1134,7 @@ async function analyzeImageFile(filePath, smartFolders = [], options = {}) {
                 fileExtension,
                 analysis,
                 type: 'image',
+                sensitivity: getSensitivityLevel(analysis),
                 smartFolder: resolvedSmartFolder?.name || null,
                 smartFolderPath: resolvedSmartFolder?.path || null
               }
@@ -1180,7 +1197,7 @@ async function analyzeImageFile(filePath, smartFolders = [], options = {}) {
       }
       const normalizedCategory =
         typeof analysis.category === 'string' && analysis.category.trim().length > 0
-          ? FolderMatchingService.matchCategoryToFolder(analysis.category, smartFolders)
+          ? FolderMatchingService.matchCategoryToFolder(analysis.category, routingFolders)
           : analysis.category;
       const normalized = normalizeAnalysisResult(
         {
@@ -1238,6 +1255,28 @@ async function analyzeImageFile(filePath, smartFolders = [], options = {}) {
   }
 }
 
+/**
+ * Run the vision model over an in-memory frame, without caching, OCR or
+ * embedding. Used for video keyframes, which are temporary files.
+ *
+ * @param {Buffer} imageBuffer - Image bytes
+ * @param {string} frameName - Name shown to the model (e.g. "clip.mp4 @ 0:42")
+ * @param {Array} [smartFolders] - Smart folders for category hints
+ * @returns {Promise<Object>} Vision analysis, or `{ error }`
+ */
+async function analyzeImageBuffer(imageBuffer, frameName, smartFolders = []) {
+  try {
+    if (!imageBuffer || imageBuffer.length === 0) {
+      return { error: 'Image is empty', keywords: [], confidence: 0 };
+    }
+    const processed = await preprocessImageBuffer(imageBuffer, '.jpg');
+    return await analyzeImageWithOllama(processed.toString('base64'), frameName, smartFolders);
+  } catch (error) {
+    logger.warn('[IMAGE] Frame analysis failed', { frameName, error: error.message });
+    return { error: `Failed to analyze frame: ${error.message}`, keywords: [], confidence: 0 };
+  }
+}
+
 // OCR capability using Ollama for text extraction from images
 async function extractTextFromImage(filePath, options = {}) {
   let timeoutMs = OCR_DEFAULTS.timeoutMs;
@@ -1371,6 +1410,7 @@ function resetSingletons() {
 
 module.exports = {
   analyzeImageFile,
+  analyzeImageBuffer,
   extractTextFromImage,
   flushAllEmbeddings,
   resetSingletons
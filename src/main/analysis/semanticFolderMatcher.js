@@ -28,6 +28,8 @@ const { container, ServiceIds } = require('../services/ServiceContainer');
 const { analysisQueue } = require('./embeddingQueue/stageQueues');
 const { withTimeout } = require('../../shared/promiseUtils');
 const { shouldEmbed } = require('../services/embedding/embeddingGate');
+const { mergeFileAnnotations } = require('../services/FileAnnotationService');
+const { getSensitivityLevel } = require('../../shared/sensitiveData');
 
 const logger = createLogger('SemanticFolderMatcher');
 /**
@@ -159,8 +161,13 @@ async function applySemanticFolderMatching(params) {
   const resolvedSmartFolder = findContainingSmartFolder(filePath, smartFolders);
   const embeddingCategory = resolvedSmartFolder?.name || analysis.category || 'Uncategorized';
 
-  // Build summary for embedding
-  const embeddingSummary = buildEmbeddingSummary(analysis, extractedText, fileExtension, type);
+  // Build summary for embedding (user tags/notes included when the file has any)
+  const embeddingSummary = buildEmbeddingSummary(
+    await mergeFileAnnotations(analysis, filePath),
+    extractedText,
+    fileExtension,
+    type
+  );
   const summaryForEmbedding = embeddingSummary.text;
 
   if (!summaryForEmbedding || summaryForEmbedding.trim().length === 0) {
@@ -257,6 +264,8 @@ async function applySemanticFolderMatching(params) {
       reasoning: (analysis.reasoning || '').substring(0, 500),
       documentType,
       extractedText: (extractedText || '').substring(0, 5000),
+      // Chat leaves out the text of sensitive files unless the user allows it
+      sensitivity: getSensitivityLevel(analysis),
       smartFolder: resolvedSmartFolder?.name || null,
       smartFolderPath: resolvedSmartFolder?.path || null
     };
@@ -268,6 +277,11 @@ async function applySemanticFolderMatching(params) {
       baseMeta.has_text = analysis.has_text === true;
     }
 
+    // Video keyframe shown on search graph nodes
+    if (analysis.thumbnailPath) {
+      baseMeta.thumbnailPath = analysis.thumbnailPath;
+    }
+
     if (resolvedSmartFolder && type !== 'image') {
       // Queue embedding for batch persistence only once file is in a smart folder,
       // and only when embedding is enabled for this stage.
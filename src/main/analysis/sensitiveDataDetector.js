@@ -0,0 +1,161 @@
+/**
+ * Sensitive Data Assessment
+ *
+ * Runs the shared pattern detectors over extracted document text or OCR text
+ * and, when they find candidates they cannot settle alone (a card number with
+ * no card wording nearby, medical vocabulary without a record number), asks the
+ * text model whether the document really contains that kind of information.
+ * The result is stored on the analysis as `sensitivity`.
+ *
+ * @module analysis/sensitiveDataDetector
+ */
+
+const { getOllamaModel, loadOllamaConfig, getOllama } = require('../ollamaUtils');
+const { generateWithRetry } = require('../utils/ollamaApiRetry');
+const { extractAndParseJSON } = require('../utils/jsonRepair');
+const { AI_DEFAULTS } = require('../../shared/constants');
+const { TIMEOUTS } = require('../../shared/performanceConstants');
+const { withAbortableTimeout } = require('../../shared/promiseUtils');
+const { createLogger } = require('../../shared/logger');
+const {
+  SENSITIVE_CATEGORY_LABELS,
+  detectSensitiveData,
+  applyConfirmation
+} = require('../../shared/sensitiveData');
+
+const logger = createLogger('SensitiveDataDetector');
+
+const CONFIRMATION_EXCERPT_CHARS = 4000;
+
+async function loadSensitivitySettings() {
+  try {
+    const settings = await require('../services/SettingsService').getInstance().load();
+    return {
+      enabled: settings.sensitiveDataDetection !== false,
+      confirmWithModel: settings.sensitiveDataModelConfirmation !== false
+    };
+  } catch {
+    return { enabled: true, confirmWithModel: true };
+  }
+}
+
+function buildConfirmationPrompt(text, categories, fileName) {
+  const options = categories
+    .map((category) => `- "${category}": ${SENSITIVE_CATEGORY_LABELS[category]}`)
+    .join('\n');
+  return `You check documents for personal information before they are filed.
+Pattern matching flagged "${fileName || 'this document'}" as possibly containing:
+${options}
+
+Decide which of these the document really contains. Numbers that are order IDs, invoice
+numbers, tracking codes or examples do not count. Medical record means information about a
+specific person's health, treatment or care.
+
+Document text:
+"""
+${text.slice(0, CONFIRMATION_EXCERPT_CHARS)}
+"""
+
+Return ONLY JSON: {"categories": ["<category keys from the list that are present>"]}`;
+}
+
+/**
+ * Ask the text model which candidate categories are real.
+ * @returns {Promise<string[]|null>} Confirmed categories, or null when the model is unavailable
+ */
+async function confirmWithModel(text, categories, fileName) {
+  try {
+    let model = AI_DEFAULTS.TEXT.MODEL;
+    try {
+      const cfg = await loadOllamaConfig();
+      model = getOllamaModel() || cfg.selectedTextModel || cfg.selectedModel || model;
+    } catch {
+      // Keep the default model
+    }
+    const client = await getOllama();
+    const response = await withAbortableTimeout(
+      (abortController) =>
+        generateWithRetry(
+          client,
+          {
+            model,
+            prompt: buildConfirmationPrompt(text, categories, fileName),
+            options: { temperature: 0, num_predict: 100 },
+            format: 'json',
+            signal: abortController.signal
+          },
+          {
+            operation: `Sensitive data confirmation for ${fileName || 'document'}`,
+            maxRetries: 1,
+            maxTotalTime: TIMEOUTS.AI_ANALYSIS_SHORT
+          }
+        ),
+      TIMEOUTS.AI_ANALYSIS_SHORT,
+      'Sensitive data confirmation'
+    );
+    const parsed = extractAndParseJSON(response?.response, null, {
+      source: 'sensitiveDataDetector',
+      fileName
+    });
+    if (!parsed || !Array.isArray(parsed.categories)) return null;
+    return parsed.categories.filter((category) => categories.includes(category));
+  } catch (error) {
+    logger.debug('[SensitiveData] Model confirmation unavailable', {
+      fileName,
+      error: error.message
+    });
+    return null;
+  }
+}
+
+/**
+ * Assess extracted text for sensitive personal information.
+ *
+ * @param {string} text - Extracted document text or OCR output
+ * @param {Object} [options]
+ * @param {string} [options.fileName] - For the confirmation prompt and logs
+ * @returns {Promise<Object|null>} Sensitivity record, or null when detection is turned off
+ */
+async function assessSensitivity(text, { fileName } = {}) {
+  const settings = await loadSensitivitySettings();
+  if (!settings.enabled) return null;
+
+  let detection = detectSensitiveData(text);
+  let confirmedBy = 'pattern';
+
+  if (detection.needsConfirmation && settings.confirmWithModel) {
+    const candidates = detection.findings
+      .filter((finding) => !finding.confident)
+      .map((finding) => finding.category);
+    const confirmed = await confirmWithModel(text, candidates, fileName);
+    if (confirmed) {
+      detection = applyConfirmation(detection, confirmed);
+      confirmedBy = confirmed.length > 0 ? 'model' : 'pattern';
+    }
+  }
+
+  if (detection.findings.length > 0) {
+    logger.info('[SensitiveData] Sensitive content detected', {
+      fileName,
+      level: detection.level,
+      categories: detection.findings.map((finding) => finding.category)
+    });
+  }
+
+  return {
+    level: detection.level,
+    categories: detection.categories,
+    findings: detection.findings.map(({ category, count, confident, samples }) => ({
+      category,
+      count,
+      confident,
+      samples
+    })),
+    confirmedBy,
+    detectedAt: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  assessSensitivity
+};
@@ -0,0 +1,654 @@
+/**
+ * Video Extractor
+ *
+ * Reads container metadata (duration, resolution, creation time, GPS) from
+ * video files, grabs keyframes and the audio track with a local ffmpeg, reads
+ * subtitle text, and builds the text digest that the document LLM
+ * categorizes. MP4 / QuickTime headers are parsed directly so metadata works
+ * without ffmpeg; other containers fall back to music-metadata for duration.
+ *
+ * @module analysis/videoExtractor
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { createLogger } = require('../../shared/logger');
+const { withTimeout } = require('../../shared/promiseUtils');
+const { asyncSpawn } = require('../utils/asyncSpawnUtils');
+const { formatDuration } = require('./audioExtractor');
+
+const logger = createLogger('VideoExtractor');
+
+const VIDEO_LIMITS = {
+  METADATA_TIMEOUT_MS: 30000,
+  MAX_MOOV_BYTES: 32 * 1024 * 1024, // Movie header of very long recordings with many samples
+  FRAME_TIMEOUT_MS: 60000, // Per keyframe; seeking is fast, decoding 4K can be slow
+  AUDIO_TIMEOUT_MS: 5 * 60 * 1000,
+  SUBTITLE_TIMEOUT_MS: 60000,
+  FRAME_WIDTH: 768, // Vision models downscale further; keeps temp frames small
+  THUMBNAIL_WIDTH: 320,
+  MAX_KEYFRAMES: 8,
+  MAX_SUBTITLE_BYTES: 2 * 1024 * 1024,
+  MAX_TRANSCRIPT_CHARS: 24000, // Subtitle / transcript text handed to the LLM
+  MAX_FRAME_DESCRIPTION_CHARS: 400
+};
+
+// Frames are spread through the video, skipping intros and end cards
+const KEYFRAME_POSITIONS = [0.1, 0.35, 0.6, 0.85, 0.2, 0.5, 0.75, 0.95];
+
+const ISO_BMFF_EXTENSIONS = ['.mp4', '.mov', '.m4v', '.3gp'];
+const SUBTITLE_EXTENSIONS = ['.srt', '.vtt'];
+
+// Seconds between 1904-01-01 (QuickTime epoch) and 1970-01-01
+const QUICKTIME_EPOCH_OFFSET = 2082844800;
+
+const ISO6709_PATTERN = /^([+-]\d+(?:\.\d+)?)([+-]\d+(?:\.\d+)?)([+-]\d+(?:\.\d+)?)?/;
+
+let musicMetadata = null;
+function getMusicMetadata() {
+  if (!musicMetadata) {
+    musicMetadata = require('music-metadata');
+  }
+  return musicMetadata;
+}
+
+let settingsService = null;
+function getSettings() {
+  if (!settingsService) {
+    settingsService = require('../services/SettingsService').getInstance();
+  }
+  return settingsService;
+}
+
+/**
+ * Parse an ISO 6709 location string ("+37.7749-122.4194+010.000/").
+ * @returns {{latitude: number, longitude: number, altitude: number|null}|null}
+ */
+function parseIso6709(value) {
+  const match = String(value || '')
+    .trim()
+    .match(ISO6709_PATTERN);
+  if (!match) return null;
+  const latitude = Number(match[1]);
+  const longitude = Number(match[2]);
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+  if (latitude === 0 && longitude === 0) return null;
+  return {
+    latitude,
+    longitude,
+    altitude: match[3] !== undefined ? Number(match[3]) : null
+  };
+}
+
+// ============================================================================
+// ISO base media (MP4 / QuickTime) parsing
+// ============================================================================
+
+function readBoxes(buffer, start = 0, end = buffer.length) {
+  const boxes = [];
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    let headerSize = 8;
+    if (size === 1) {
+      if (offset + 16 > end) break;
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < headerSize || offset + size > end) break;
+    boxes.push({ type, start: offset + headerSize, end: offset + size });
+    offset += size;
+  }
+  return boxes;
+}
+
+function findBox(buffer, parent, type) {
+  return readBoxes(buffer, parent.start, parent.end).find((box) => box.type === type) || null;
+}
+
+function quickTimeDate(seconds) {
+  if (!seconds || seconds <= QUICKTIME_EPOCH_OFFSET) return null;
+  const date = new Date((seconds - QUICKTIME_EPOCH_OFFSET) * 1000);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function parseMovieHeader(buffer, box) {
+  const version = buffer.readUInt8(box.start);
+  const body = box.start + 4;
+  if (version === 1) {
+    return {
+      creationTime: Number(buffer.readBigUInt64BE(body)),
+      timescale: buffer.readUInt32BE(body + 16),
+      duration: Number(buffer.readBigUInt64BE(body + 20))
+    };
+  }
+  return {
+    creationTime: buffer.readUInt32BE(body),
+    timescale: buffer.readUInt32BE(body + 8),
+    duration: buffer.readUInt32BE(body + 12)
+  };
+}
+
+function parseTrack(buffer, trak) {
+  const track = { handler: null, codec: null, width: null, height: null };
+
+  const tkhd = findBox(buffer, trak, 'tkhd');
+  if (tkhd) {
+    // Width / height are 16.16 fixed point at the end of the track header
+    const width = buffer.readUInt32BE(tkhd.end - 8) / 65536;
+    const height = buffer.readUInt32BE(tkhd.end - 4) / 65536;
+    if (width > 0 && height > 0) {
+      track.width = Math.round(width);
+      track.height = Math.round(height);
+    }
+  }
+
+  const mdia = findBox(buffer, trak, 'mdia');
+  const hdlr = mdia && findBox(buffer, mdia, 'hdlr');
+  if (hdlr) {
+    track.handler = buffer.toString('latin1', hdlr.start + 8, hdlr.start + 12);
+  }
+  const minf = mdia && findBox(buffer, mdia, 'minf');
+  const stbl = minf && findBox(buffer, minf, 'stbl');
+  const stsd = stbl && findBox(buffer, stbl, 'stsd');
+  if (stsd && stsd.start + 16 <= stsd.end) {
+    // First sample entry: size (4) then the codec fourcc
+    track.codec = buffer.toString('latin1', stsd.start + 12, stsd.start + 16).trim() || null;
+  }
+  return track;
+}
+
+function readUserDataLocation(buffer, udta) {
+  const xyz = findBox(buffer, udta, '©xyz');
+  if (!xyz || xyz.start + 4 > xyz.end) return null;
+  // 16-bit string length and language code precede the text
+  const length = buffer.readUInt16BE(xyz.start);
+  return parseIso6709(
+    buffer.toString('utf8', xyz.start + 4, Math.min(xyz.end, xyz.start + 4 + length))
+  );
+}
+
+// QuickTime metadata (moov/meta with mdta keys), as written by phones
+function readQuickTimeKeys(buffer, meta) {
+  const values = {};
+  // QuickTime 'meta' has no version/flags; ISO 'meta' is a full box
+  const isFullBox = buffer.toString('latin1', meta.start + 4, meta.start + 8) !== 'hdlr';
+  const container = { start: meta.start + (isFullBox ? 4 : 0), end: meta.end };
+  const keys = findBox(buffer, container, 'keys');
+  const ilst = findBox(buffer, container, 'ilst');
+  if (!keys || !ilst) return values;
+
+  const names = [];
+  let offset = keys.start + 8;
+  while (offset + 8 <= keys.end) {
+    const size = buffer.readUInt32BE(offset);
+    if (size < 8 || offset + size > keys.end) break;
+    names.push(buffer.toString('utf8', offset + 8, offset + size));
+    offset += size;
+  }
+
+  for (const item of readBoxes(buffer, ilst.start, ilst.end)) {
+    const index = buffer.readUInt32BE(item.start - 4);
+    const name = names[index - 1];
+    const data = findBox(buffer, item, 'data');
+    if (name && data && data.start + 8 <= data.end) {
+      values[name] = buffer.toString('utf8', data.start + 8, data.end);
+    }
+  }
+  return values;
+}
+
+async function readTopLevelBox(handle, type, fileSize) {
+  const header = Buffer.alloc(16);
+  let offset = 0;
+  while (offset + 8 <= fileSize) {
+    const { bytesRead } = await handle.read(header, 0, 16, offset);
+    if (bytesRead < 8) return null;
+    let size = header.readUInt32BE(0);
+    const boxType = header.toString('latin1', 4, 8);
+    if (size === 1) {
+      if (bytesRead < 16) return null;
+      size = Number(header.readBigUInt64BE(8));
+    } else if (size === 0) {
+      size = fileSize - offset;
+    }
+    if (size < 8) return null;
+    if (boxType === type) {
+      if (size > VIDEO_LIMITS.MAX_MOOV_BYTES) return null;
+      const buffer = Buffer.alloc(size);
+      await handle.read(buffer, 0, size, offset);
+      return buffer;
+    }
+    offset += size;
+  }
+  return null;
+}
+
+async function readIsoBmffMetadata(filePath) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const { size } = await handle.stat();
+    const moov = await readTopLevelBox(handle, 'moov', size);
+    if (!moov) throw new Error('No movie header found');
+
+    const [root] = readBoxes(moov);
+    const metadata = {
+      durationSeconds: null,
+      width: null,
+      height: null,
+      codec: null,
+      creationDate: null,
+      location: null,
+      hasAudio: false,
+      hasSubtitles: false
+    };
+
+    const mvhd = findBox(moov, root, 'mvhd');
+    if (mvhd) {
+      const header = parseMovieHeader(moov, mvhd);
+      if (header.timescale > 0 && header.duration > 0) {
+        metadata.durationSeconds = Math.round(header.duration / header.timescale);
+      }
+      metadata.creationDate = quickTimeDate(header.creationTime);
+    }
+
+    for (const trak of readBoxes(moov, root.start, root.end).filter((b) => b.type === 'trak')) {
+      const track = parseTrack(moov, trak);
+      if (track.handler === 'vide' && !metadata.width) {
+        metadata.width = track.width;
+        metadata.height = track.height;
+        metadata.codec = track.codec;
+      } else if (track.handler === 'soun') {
+        metadata.hasAudio = true;
+      } else if (['sbtl', 'subt', 'text', 'clcp'].includes(track.handler)) {
+        metadata.hasSubtitles = true;
+      }
+    }
+
+    const udta = findBox(moov, root, 'udta');
+    if (udta) metadata.location = readUserDataLocation(moov, udta);
+
+    const meta = findBox(moov, root, 'meta');
+    if (meta) {
+      const keys = readQuickTimeKeys(moov, meta);
+      metadata.location =
+        metadata.location || parseIso6709(keys['com.apple.quicktime.location.ISO6709']);
+      const created = new Date(keys['com.apple.quicktime.creationdate'] || '');
+      if (!Number.isNaN(created.getTime())) metadata.creationDate = created.toISOString();
+    }
+
+    return metadata;
+  } finally {
+    await handle.close();
+  }
+}
+
+async function readGenericMetadata(filePath) {
+  const { parseFile } = getMusicMetadata();
+  const { format = {} } = await parseFile(filePath, { duration: true, skipCovers: true });
+  const duration = Number(format.duration);
+  const creation = format.creationTime ? new Date(format.creationTime) : null;
+  return {
+    durationSeconds: Number.isFinite(duration) && duration > 0 ? Math.round(duration) : null,
+    width: null,
+    height: null,
+    codec: format.codec || null,
+    creationDate: creation && !Number.isNaN(creation.getTime()) ? creation.toISOString() : null,
+    location: null,
+    hasAudio: Boolean(format.numberOfChannels),
+    hasSubtitles: false
+  };
+}
+
+/**
+ * Read video container metadata.
+ *
+ * Never throws: unreadable files resolve with `{ error }` and whatever the
+ * extension alone tells us.
+ *
+ * @param {string} filePath - Path to the video file
+ * @returns {Promise<Object>} Normalized metadata
+ */
+async function readVideoMetadata(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  const format = ext.slice(1).toUpperCase();
+  try {
+    const reader = ISO_BMFF_EXTENSIONS.includes(ext) ? readIsoBmffMetadata : readGenericMetadata;
+    const metadata = await withTimeout(
+      reader(filePath),
+      VIDEO_LIMITS.METADATA_TIMEOUT_MS,
+      `Video metadata: ${path.basename(filePath)}`
+    );
+    return { format, ...metadata };
+  } catch (error) {
+    logger.debug('[VIDEO] Could not read metadata', { filePath, error: error.message });
+    return {
+      format,
+      durationSeconds: null,
+      width: null,
+      height: null,
+      codec: null,
+      creationDate: null,
+      location: null,
+      hasAudio: null,
+      hasSubtitles: false,
+      error: error.message
+    };
+  }
+}
+
+// ============================================================================
+// ffmpeg helpers
+// ============================================================================
+
+/**
+ * Resolve the ffmpeg executable from settings (defaults to `ffmpeg` on PATH).
+ * @returns {Promise<string>}
+ */
+async function resolveFfmpegCommand() {
+  try {
+    const settings = await getSettings().load();
+    return (settings.ffmpegPath || '').trim() || 'ffmpeg';
+  } catch (error) {
+    logger.debug('[VIDEO] Could not load settings', { error: error.message });
+    return 'ffmpeg';
+  }
+}
+
+async function runFfmpeg(command, args, timeout) {
+  const result = await asyncSpawn(command, ['-hide_banner', '-loglevel', 'error', ...args], {
+    timeout,
+    windowsHide: true
+  });
+  if (result.error?.code === 'ENOENT') {
+    const error = new Error('ffmpeg was not found; set its location in Settings');
+    error.code = 'FFMPEG_NOT_FOUND';
+    throw error;
+  }
+  if (result.error) throw result.error;
+  if (result.status !== 0) {
+    const detail = String(result.stderr || '')
+      .trim()
+      .split('\n')
+      .pop();
+    throw new Error(`ffmpeg exited with code ${result.status}${detail ? `: ${detail}` : ''}`);
+  }
+  return result;
+}
+
+/**
+ * Timestamps (seconds) for `count` keyframes spread through the video.
+ */
+function getKeyframeTimestamps(durationSeconds, count) {
+  const total = Math.min(Math.max(0, Math.floor(count)), VIDEO_LIMITS.MAX_KEYFRAMES);
+  if (total === 0) return [];
+  if (!Number.isFinite(durationSeconds) || durationSeconds <= 0) return [0];
+  return KEYFRAME_POSITIONS.slice(0, total)
+    .sort((a, b) => a - b)
+    .map((position) => Math.round(durationSeconds * position * 10) / 10);
+}
+
+/**
+ * Grab keyframes as JPEG files.
+ *
+ * @param {string} filePath - Video file
+ * @param {Object} options
+ * @param {string} options.outputDir - Directory for the frame files
+ * @param {number|null} options.durationSeconds - Known duration
+ * @param {number} options.count - Number of frames
+ * @param {string} [options.command] - ffmpeg executable
+ * @returns {Promise<{frames: Array<{timestampSeconds: number, path: string}>, error?: string}>}
+ */
+async function extractKeyframes(filePath, { outputDir, durationSeconds, count, command }) {
+  const ffmpeg = command || (await resolveFfmpegCommand());
+  const frames = [];
+  for (const [index, timestampSeconds] of getKeyframeTimestamps(durationSeconds, count).entries()) {
+    const framePath = path.join(outputDir, `frame-${index + 1}.jpg`);
+    try {
+      await runFfmpeg(
+        ffmpeg,
+        [
+          '-ss',
+          String(timestampSeconds),
+          '-i',
+          filePath,
+          '-frames:v',
+          '1',
+          '-vf',
+          `scale='min(${VIDEO_LIMITS.FRAME_WIDTH},iw)':-2`,
+          '-q:v',
+          '3',
+          '-y',
+          framePath
+        ],
+        VIDEO_LIMITS.FRAME_TIMEOUT_MS
+      );
+      await fs.access(framePath);
+      frames.push({ timestampSeconds, path: framePath });
+    } catch (error) {
+      logger.debug('[VIDEO] Keyframe extraction failed', {
+        fileName: path.basename(filePath),
+        timestampSeconds,
+        error: error.message
+      });
+      // A missing ffmpeg will not appear between frames
+      if (error.code === 'FFMPEG_NOT_FOUND') return { frames, error: error.message };
+    }
+  }
+  return frames.length > 0 ? { frames } : { frames, error: 'No frames could be extracted' };
+}
+
+/**
+ * Extract the audio track as 16 kHz mono WAV, the input speech-to-text expects.
+ * @returns {Promise<string>} Path to the WAV file
+ */
+async function extractAudioTrack(filePath, outputPath, command) {
+  await runFfmpeg(
+    command || (await resolveFfmpegCommand()),
+    ['-i', filePath, '-vn', '-ac', '1', '-ar', '16000', '-f', 'wav', '-y', outputPath],
+    VIDEO_LIMITS.AUDIO_TIMEOUT_MS
+  );
+  return outputPath;
+}
+
+/**
+ * Extract the first embedded subtitle stream as plain text.
+ * @returns {Promise<string|null>}
+ */
+async function extractEmbeddedSubtitles(filePath, command) {
+  try {
+    const result = await runFfmpeg(
+      command || (await resolveFfmpegCommand()),
+      ['-i', filePath, '-map', '0:s:0', '-f', 'srt', 'pipe:1'],
+      VIDEO_LIMITS.SUBTITLE_TIMEOUT_MS
+    );
+    return parseSubtitleText(result.stdout) || null;
+  } catch (error) {
+    logger.debug('[VIDEO] No embedded subtitles', {
+      fileName: path.basename(filePath),
+      error: error.message
+    });
+    return null;
+  }
+}
+
+// ============================================================================
+// Subtitles
+// ============================================================================
+
+/**
+ * Reduce SRT / WebVTT subtitles to their spoken text.
+ * @param {string} text - Subtitle file contents
+ * @returns {string}
+ */
+function parseSubtitleText(text) {
+  const lines = [];
+  for (const rawLine of String(text || '')
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n/)) {
+    const line = rawLine
+      .replace(/<[^>]+>/g, '')
+      .replace(/\{\\[^}]*\}/g, '')
+      .trim();
+    if (!line || /^\d+$/.test(line) || line.includes('-->')) continue;
+    if (/^(WEBVTT|NOTE|STYLE|REGION)\b/.test(line)) continue;
+    // Captions repeat while a line stays on screen
+    if (lines[lines.length - 1] !== line) lines.push(line);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Read a sidecar subtitle file next to the video: `clip.srt`, `clip.en.vtt`, ...
+ * @param {string} filePath - Video file
+ * @returns {Promise<{text: string, path: string}|null>}
+ */
+async function readSidecarSubtitles(filePath) {
+  const dir = path.dirname(filePath);
+  const base = path.basename(filePath, path.extname(filePath)).toLowerCase();
+  let entries;
+  try {
+    entries = await fs.readdir(dir);
+  } catch {
+    return null;
+  }
+
+  const candidates = entries
+    .filter((name) => {
+      const lower = name.toLowerCase();
+      const ext = path.extname(lower);
+      if (!SUBTITLE_EXTENSIONS.includes(ext)) return false;
+      const stem = lower.slice(0, -ext.length);
+      return (
+        stem === base || (stem.startsWith(`${base}.`) && !stem.slice(base.length + 1).includes('.'))
+      );
+    })
+    // Prefer the exact name over language variants
+    .sort((a, b) => a.length - b.length);
+
+  for (const name of candidates) {
+    const subtitlePath = path.join(dir, name);
+    try {
+      const stats = await fs.stat(subtitlePath);
+      if (stats.size > VIDEO_LIMITS.MAX_SUBTITLE_BYTES) continue;
+      const text = parseSubtitleText(await fs.readFile(subtitlePath, 'utf8'));
+      if (text) return { text, path: subtitlePath };
+    } catch (error) {
+      logger.debug('[VIDEO] Could not read subtitles', { subtitlePath, error: error.message });
+    }
+  }
+  return null;
+}
+
+// ============================================================================
+// Thumbnails and digest
+// ============================================================================
+
+/**
+ * Directory for persisted video thumbnails.
+ * @returns {string}
+ */
+function getThumbnailDir() {
+  const { app } = require('electron');
+  return path.join(app.getPath('userData'), 'thumbnails');
+}
+
+/**
+ * Save a downscaled copy of a keyframe as the video's thumbnail.
+ * Thumbnails are keyed by the video path so re-analysis replaces them.
+ *
+ * @param {string} framePath - Extracted keyframe
+ * @param {string} videoPath - Source video
+ * @returns {Promise<string|null>} Thumbnail path
+ */
+async function saveVideoThumbnail(framePath, videoPath) {
+  try {
+    const sharp = require('sharp');
+    const dir = getThumbnailDir();
+    await fs.mkdir(dir, { recursive: true });
+    const key = crypto.createHash('sha1').update(path.resolve(videoPath)).digest('hex');
+    const thumbnailPath = path.join(dir, `${key}.jpg`);
+    const buffer = await sharp(await fs.readFile(framePath))
+      .resize({ width: VIDEO_LIMITS.THUMBNAIL_WIDTH, withoutEnlargement: true })
+      .jpeg({ quality: 75 })
+      .toBuffer();
+    await fs.writeFile(thumbnailPath, buffer);
+    return thumbnailPath;
+  } catch (error) {
+    logger.debug('[VIDEO] Could not save thumbnail', { videoPath, error: error.message });
+    return null;
+  }
+}
+
+function formatLocation(location) {
+  if (!location) return null;
+  return `${location.latitude.toFixed(5)}, ${location.longitude.toFixed(5)}`;
+}
+
+/**
+ * Build the text handed to the document LLM for a video file.
+ *
+ * @param {string} fileName - Video file name
+ * @param {Object} metadata - Result of readVideoMetadata
+ * @param {Object} [content]
+ * @param {Array<{timestampSeconds: number, description: string}>} [content.frames] - Keyframe descriptions
+ * @param {string|null} [content.subtitles] - Subtitle text
+ * @param {string|null} [content.transcript] - Transcript of the audio track
+ * @returns {string}
+ */
+function buildVideoDigest(
+  fileName,
+  metadata,
+  { frames = [], subtitles = null, transcript = null } = {}
+) {
+  const details = [metadata.format, formatDuration(metadata.durationSeconds)];
+  if (metadata.width && metadata.height) details.push(`${metadata.width}x${metadata.height}`);
+
+  const lines = [`Video: ${fileName} (${details.filter(Boolean).join(', ')})`];
+  if (metadata.creationDate) lines.push(`Recorded: ${metadata.creationDate.split('T')[0]}`);
+  const location = formatLocation(metadata.location);
+  if (location) lines.push(`Location: ${location}`);
+
+  let digest = lines.join('\n');
+  const described = frames.filter((frame) => frame.description);
+  if (described.length > 0) {
+    digest += `\n\n--- Keyframes ---\n${described
+      .map(
+        (frame) =>
+          `[${formatDuration(frame.timestampSeconds) || '0:00'}] ${frame.description.slice(
+            0,
+            VIDEO_LIMITS.MAX_FRAME_DESCRIPTION_CHARS
+          )}`
+      )
+      .join('\n')}`;
+  }
+
+  const spoken = (subtitles || transcript || '').trim();
+  if (spoken) {
+    digest += `\n\n--- ${subtitles ? 'Subtitles' : 'Transcript'} ---\n${spoken.slice(
+      0,
+      VIDEO_LIMITS.MAX_TRANSCRIPT_CHARS
+    )}`;
+  }
+  return digest;
+}
+
+module.exports = {
+  readVideoMetadata,
+  parseIso6709,
+  resolveFfmpegCommand,
+  getKeyframeTimestamps,
+  extractKeyframes,
+  extractAudioTrack,
+  extractEmbeddedSubtitles,
+  parseSubtitleText,
+  readSidecarSubtitles,
+  saveVideoThumbnail,
+  getThumbnailDir,
+  buildVideoDigest,
+  VIDEO_LIMITS
+};
@@ -0,0 +1,154 @@
+/**
+ * CLI Argument Parsing
+ *
+ * Parses `stratosort <command> [options]` into a command descriptor. Kept free
+ * of Electron imports so it can be unit tested and used for `--help` without
+ * booting any services.
+ *
+ * @module cli/args
+ */
+
+const { parseArgs } = require('util');
+
+const COMMANDS = {
+  analyze: {
+    usage: 'analyze <path...> [--recursive] [--json]',
+    description: 'Analyze files or folders and record the results in analysis history',
+    minPositionals: 1
+  },
+  organize: {
+    usage: 'organize <folder> [--dry-run] [--recursive] [--json]',
+    description: 'Analyze a folder and move files into matching smart folders',
+    minPositionals: 1,
+    maxPositionals: 1
+  },
+  search: {
+    usage: 'search "<query>" [--top <n>] [--mode hybrid|vector|bm25] [--json]',
+    description: 'Search analyzed files by meaning',
+    minPositionals: 1
+  },
+  undo: {
+    usage: 'undo [--json]',
+    description: 'Undo the most recent file operation',
+    maxPositionals: 0
+  },
+  'rebuild-embeddings': {
+    usage: 'rebuild-embeddings [--json]',
+    description: 'Rebuild all search embeddings from analysis history',
+    maxPositionals: 0
+  },
+  'export-history': {
+    usage: 'export-history [--format json|csv] [--output <file>]',
+    description: 'Export analysis history to a file or stdout',
+    maxPositionals: 0
+  }
+};
+
+const OPTIONS = {
+  json: { type: 'boolean', default: false },
+  'dry-run': { type: 'boolean', default: false },
+  recursive: { type: 'boolean', short: 'r', default: false },
+  top: { type: 'string' },
+  mode: { type: 'string' },
+  format: { type: 'string' },
+  output: { type: 'string', short: 'o' },
+  verbose: { type: 'boolean', short: 'v', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+const SEARCH_MODES = ['hybrid', 'vector', 'bm25'];
+const EXPORT_FORMATS = ['json', 'csv'];
+
+function usageError(message) {
+  const error = new Error(message);
+  error.code = 'CLI_USAGE';
+  return error;
+}
+
+/**
+ * Build the help text
+ * @returns {string}
+ */
+function getUsage() {
+  const width = Math.max(...Object.values(COMMANDS).map((c) => c.usage.length));
+  const lines = Object.values(COMMANDS).map(
+    (c) => `  stratosort ${c.usage.padEnd(width)}  ${c.description}`
+  );
+  return [
+    'Usage:',
+    ...lines,
+    '',
+    'Options:',
+    '  --json          Print machine-readable JSON',
+    '  -v, --verbose   Log to the console as well as the log file',
+    '  -h, --help      Show this help'
+  ].join('\n');
+}
+
+/**
+ * Parse CLI arguments (without the executable and script path)
+ *
+ * @param {string[]} argv
+ * @returns {{command: string|null, positionals: string[], options: Object, help: boolean}}
+ * @throws {Error} With code 'CLI_USAGE' for unknown commands or invalid options
+ */
+function parseCliArgs(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true });
+  } catch (error) {
+    throw usageError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  const [command = null, ...rest] = positionals;
+
+  if (values.help || !command) {
+    return { command, positionals: rest, options: values, help: true };
+  }
+
+  const spec = COMMANDS[command];
+  if (!spec) {
+    throw usageError(`Unknown command: ${command}`);
+  }
+  if (spec.minPositionals && rest.length < spec.minPositionals) {
+    throw usageError(`Missing argument. Usage: stratosort ${spec.usage}`);
+  }
+  if (spec.maxPositionals != null && rest.length > spec.maxPositionals) {
+    throw usageError(`Too many arguments. Usage: stratosort ${spec.usage}`);
+  }
+
+  const options = {
+    json: values.json,
+    dryRun: values['dry-run'],
+    recursive: values.recursive,
+    verbose: values.verbose,
+    output: values.output || null
+  };
+
+  if (command === 'search') {
+    const top = values.top == null ? null : Number(values.top);
+    if (top != null && (!Number.isInteger(top) || top < 1)) {
+      throw usageError('--top must be a positive integer');
+    }
+    if (values.mode && !SEARCH_MODES.includes(values.mode)) {
+      throw usageError(`--mode must be one of: ${SEARCH_MODES.join(', ')}`);
+    }
+    options.top = top;
+    options.mode = values.mode || 'hybrid';
+  }
+
+  if (command === 'export-history') {
+    const format = values.format || 'json';
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw usageError(`--format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+    }
+    options.format = format;
+  }
+
+  // A query may be passed unquoted; treat the remaining words as one string
+  const args = command === 'search' ? [rest.join(' ')] : rest;
+  return { command, positionals: args, options, help: false };
+}
+
+module.exports = { parseCliArgs, getUsage, COMMANDS };
@@ -0,0 +1,351 @@
+/**
+ * CLI Commands
+ *
+ * Each command drives the same IPC handlers the renderer uses through
+ * `runtime.invoke`, then prints either a short human summary or, with
+ * `--json`, the handler results.
+ *
+ * @module cli/commands
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const {
+  IPC_CHANNELS,
+  ALL_SUPPORTED_EXTENSIONS,
+  SUPPORTED_IMAGE_EXTENSIONS
+} = require('../../shared/constants');
+const { scanDirectory, DEFAULT_IGNORE_PATTERNS } = require('../folderScanner');
+
+const EXIT = {
+  OK: 0,
+  FAILED: 1,
+  USAGE: 2
+};
+
+function errorMessage(result, fallback = 'Unknown error') {
+  const error = result?.error;
+  if (typeof error === 'string') return error;
+  return error?.message || result?.message || fallback;
+}
+
+function isSupported(filePath) {
+  return ALL_SUPPORTED_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+/**
+ * Expand file and folder arguments into supported files
+ *
+ * @param {string[]} inputs - Paths from the command line
+ * @param {Object} options
+ * @param {boolean} options.recursive - Descend into subfolders
+ * @returns {Promise<{files: Array<{path: string, name: string, size: number}>, skipped: Array<{path: string, reason: string}>}>}
+ */
+async function collectFiles(inputs, { recursive }) {
+  const files = [];
+  const skipped = [];
+  const seen = new Set();
+  const add = (file) => {
+    if (seen.has(file.path)) return;
+    seen.add(file.path);
+    if (isSupported(file.path)) {
+      files.push(file);
+    } else {
+      skipped.push({ path: file.path, reason: 'Unsupported file type' });
+    }
+  };
+
+  for (const input of inputs) {
+    const resolved = path.resolve(input);
+    let stats;
+    try {
+      stats = await fs.stat(resolved);
+    } catch {
+      skipped.push({ path: resolved, reason: 'Not found' });
+      continue;
+    }
+
+    if (!stats.isDirectory()) {
+      add({ path: resolved, name: path.basename(resolved), size: stats.size });
+      continue;
+    }
+
+    const tree = await scanDirectory(resolved, DEFAULT_IGNORE_PATTERNS, {
+      maxDepth: recursive ? Infinity : 0
+    });
+    const stack = [...tree];
+    const found = [];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      if (node.type === 'folder') {
+        stack.push(...(node.children || []));
+      } else if (!node.name.startsWith('.')) {
+        found.push({ path: node.path, name: node.name, size: node.size || 0 });
+      }
+    }
+    found.sort((a, b) => a.path.localeCompare(b.path)).forEach(add);
+  }
+
+  return { files, skipped };
+}
+
+/**
+ * Analyze files one at a time through the analysis IPC handlers
+ * (which apply smart folder rules and record analysis history)
+ */
+async function analyzeFiles(runtime, files, onResult) {
+  const analyzed = [];
+  for (const file of files) {
+    const isImage = SUPPORTED_IMAGE_EXTENSIONS.includes(path.extname(file.path).toLowerCase());
+    const channel = isImage
+      ? IPC_CHANNELS.ANALYSIS.ANALYZE_IMAGE
+      : IPC_CHANNELS.ANALYSIS.ANALYZE_DOCUMENT;
+    let analysis;
+    try {
+      analysis = await runtime.invoke(channel, file.path);
+    } catch (error) {
+      analysis = { error: error.message };
+    }
+    const entry = { ...file, analysis: analysis || { error: 'No analysis result' } };
+    analyzed.push(entry);
+    onResult?.(entry);
+  }
+  return analyzed;
+}
+
+function formatAnalysis({ path: filePath, analysis }) {
+  if (analysis.error) return `FAILED  ${filePath}: ${analysis.error}`;
+  const { confidence: raw } = analysis;
+  // Analyzers report 0-100; tolerate 0-1 scores
+  const confidence = typeof raw === 'number' ? ` (${Math.round(raw <= 1 ? raw * 100 : raw)}%)` : '';
+  return `OK      ${filePath} -> ${analysis.category || 'Uncategorized'}${confidence}`;
+}
+
+async function analyze(runtime, { positionals, options }, io) {
+  const { files, skipped } = await collectFiles(positionals, options);
+  if (files.length === 0) {
+    io.stderr('No supported files found.');
+    return EXIT.FAILED;
+  }
+
+  const analyzed = await analyzeFiles(runtime, files, (entry) => {
+    if (!options.json) io.stdout(formatAnalysis(entry));
+  });
+  const failed = analyzed.filter((entry) => entry.analysis.error);
+
+  if (options.json) {
+    io.stdout(
+      JSON.stringify(
+        {
+          results: analyzed.map(({ path: p, analysis: a }) => ({ path: p, analysis: a })),
+          skipped
+        },
+        null,
+        2
+      )
+    );
+  } else {
+    skipped.forEach((s) => io.stdout(`SKIPPED ${s.path}: ${s.reason}`));
+    io.stdout(`\nAnalyzed ${analyzed.length - failed.length} of ${analyzed.length} files.`);
+  }
+  return failed.length > 0 ? EXIT.FAILED : EXIT.OK;
+}
+
+async function organize(runtime, { positionals, options }, io) {
+  const folder = path.resolve(positionals[0]);
+  const stats = await fs.stat(folder).catch(() => null);
+  if (!stats?.isDirectory()) {
+    io.stderr(`Not a folder: ${folder}`);
+    return EXIT.USAGE;
+  }
+  if (runtime.getCustomFolders().length === 0) {
+    io.stderr('No smart folders configured. Add smart folders in the app first.');
+    return EXIT.FAILED;
+  }
+
+  const { files, skipped } = await collectFiles([folder], options);
+  if (files.length === 0) {
+    io.stderr('No supported files found.');
+    return EXIT.FAILED;
+  }
+
+  const analyzed = await analyzeFiles(runtime, files, (entry) => {
+    if (!options.json && entry.analysis.error) io.stderr(formatAnalysis(entry));
+  });
+  const failed = analyzed
+    .filter((entry) => entry.analysis.error)
+    .map((entry) => ({ path: entry.path, error: entry.analysis.error }));
+  const candidates = analyzed.filter((entry) => !entry.analysis.error);
+
+  let plan = { operations: [], needsReview: [], failed: [] };
+  if (candidates.length > 0) {
+    const settings = runtime.getSettings() || {};
+    plan = await runtime.invoke(IPC_CHANNELS.ORGANIZE.AUTO, {
+      files: candidates.map((file) => ({
+        path: file.path,
+        name: file.name,
+        extension: path.extname(file.path).toLowerCase(),
+        size: file.size,
+        analysis: file.analysis
+      })),
+      options: { defaultLocation: settings.defaultSmartFolderLocation || 'Documents' }
+    });
+    if (!plan?.success) {
+      io.stderr(`Organize failed: ${errorMessage(plan)}`);
+      return EXIT.FAILED;
+    }
+  }
+
+  const operations = plan.operations || [];
+  const needsReview = (plan.needsReview || []).map((item) => ({
+    path: item.file?.path,
+    suggestion: item.suggestion?.folder || null,
+    confidence: item.confidence
+  }));
+  failed.push(
+    ...(plan.failed || []).map((item) => ({
+      path: item.file?.path || item.file || item.filePath,
+      error: item.error || item.reason
+    }))
+  );
+
+  let moved = [];
+  if (!options.dryRun && operations.length > 0) {
+    const result = await runtime.invoke(IPC_CHANNELS.FILES.PERFORM_OPERATION, {
+      type: 'batch_organize',
+      operations
+    });
+    if (!result?.success && !result?.results) {
+      io.stderr(`Moving files failed: ${errorMessage(result)}`);
+      return EXIT.FAILED;
+    }
+    for (const r of result.results || []) {
+      if (r.success) moved.push({ source: r.source, destination: r.destination });
+      else failed.push({ path: r.source, error: r.error });
+    }
+  } else {
+    moved = operations.map(({ source, destination }) => ({ source, destination }));
+  }
+
+  if (options.json) {
+    io.stdout(
+      JSON.stringify({ dryRun: options.dryRun, moved, needsReview, failed, skipped }, null, 2)
+    );
+  } else {
+    const verb = options.dryRun ? 'WOULD MOVE' : 'MOVED';
+    moved.forEach((m) => io.stdout(`${verb}  ${m.source} -> ${m.destination}`));
+    needsReview.forEach((r) =>
+      io.stdout(
+        `REVIEW  ${r.path}${r.suggestion ? ` (suggested: ${r.suggestion})` : ''} - below confidence threshold, not moved`
+      )
+    );
+    failed.forEach((f) => io.stdout(`FAILED  ${f.path}: ${f.error}`));
+    io.stdout(
+      `\n${options.dryRun ? 'Dry run: ' : ''}${moved.length} ${options.dryRun ? 'to move' : 'moved'}, ${needsReview.length} need review, ${failed.length} failed.`
+    );
+    if (!options.dryRun && moved.length > 0) {
+      io.stdout('Run "stratosort undo" to move them back.');
+    }
+  }
+  return failed.length > 0 ? EXIT.FAILED : EXIT.OK;
+}
+
+async function search(runtime, { positionals, options }, io) {
+  const request = { query: positionals[0], mode: options.mode };
+  if (options.top) request.topK = options.top;
+
+  const result = await runtime.invoke(IPC_CHANNELS.EMBEDDINGS.SEARCH, request);
+  if (!result?.success) {
+    io.stderr(`Search failed: ${errorMessage(result)}`);
+    return EXIT.FAILED;
+  }
+
+  const results = result.results || [];
+  if (options.json) {
+    io.stdout(JSON.stringify({ mode: result.mode, results, meta: result.meta }, null, 2));
+    return EXIT.OK;
+  }
+
+  if (result.meta?.fallback) {
+    io.stderr(`Note: fell back to ${result.mode} search (${result.meta.fallbackReason}).`);
+  }
+  if (results.length === 0) {
+    io.stdout('No matches.');
+    return EXIT.OK;
+  }
+  results.forEach((r) => {
+    const score = typeof r.score === 'number' ? r.score.toFixed(3) : '  -  ';
+    const category = r.metadata?.category ? `  [${r.metadata.category}]` : '';
+    io.stdout(`${score}  ${r.metadata?.path || r.id}${category}`);
+  });
+  return EXIT.OK;
+}
+
+async function undo(runtime, { options }, io) {
+  const result = await runtime.invoke(IPC_CHANNELS.UNDO_REDO.UNDO);
+  if (options.json) {
+    io.stdout(JSON.stringify(result, null, 2));
+  } else if (result?.success) {
+    io.stdout(result.message || 'Undone.');
+  } else {
+    io.stderr(errorMessage(result, 'Nothing to undo'));
+  }
+  return result?.success ? EXIT.OK : EXIT.FAILED;
+}
+
+async function rebuildEmbeddings(runtime, { options }, io) {
+  if (!options.json) io.stderr('Rebuilding embeddings, this can take a while...');
+  const result = await runtime.invoke(IPC_CHANNELS.EMBEDDINGS.FULL_REBUILD);
+  if (options.json) {
+    io.stdout(JSON.stringify(result, null, 2));
+  } else if (result?.success) {
+    io.stdout(result.message);
+  } else {
+    io.stderr(`Rebuild failed: ${errorMessage(result)}`);
+  }
+  return result?.success ? EXIT.OK : EXIT.FAILED;
+}
+
+async function exportHistory(runtime, { options }, io) {
+  const result = await runtime.invoke(IPC_CHANNELS.ANALYSIS_HISTORY.EXPORT, options.format);
+  if (!result?.success) {
+    io.stderr(`Export failed: ${errorMessage(result)}`);
+    return EXIT.FAILED;
+  }
+  if (options.output) {
+    const target = path.resolve(options.output);
+    await fs.writeFile(target, result.data, 'utf8');
+    io.stderr(`Wrote ${target}`);
+  } else {
+    io.stdout(result.data);
+  }
+  return EXIT.OK;
+}
+
+const COMMAND_HANDLERS = {
+  analyze,
+  organize,
+  search,
+  undo,
+  'rebuild-embeddings': rebuildEmbeddings,
+  'export-history': exportHistory
+};
+
+/**
+ * Run a parsed command
+ *
+ * @param {Object} runtime - From startCliRuntime (invoke, getCustomFolders, getSettings)
+ * @param {{command: string, positionals: string[], options: Object}} parsed - From parseCliArgs
+ * @param {{stdout: Function, stderr: Function}} io - Line writers
+ * @returns {Promise<number>} Process exit code
+ */
+async function runCommand(runtime, parsed, io) {
+  const handler = COMMAND_HANDLERS[parsed.command];
+  if (!handler) {
+    io.stderr(`Unknown command: ${parsed.command}`);
+    return EXIT.USAGE;
+  }
+  return handler(runtime, parsed, io);
+}
+
+module.exports = { runCommand, collectFiles, EXIT };
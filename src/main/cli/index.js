@@ -0,0 +1,71 @@
+/**
+ * StratoSort CLI Entry Point
+ *
+ * Electron main-process entry for headless use (bundled as dist/cli.js).
+ * Runs one command against the same userData, settings and services as the
+ * desktop app, prints the result and exits without opening a window.
+ *
+ * Usage: electron dist/cli.js <command> [options]   (see `stratosort --help`)
+ */
+
+const { app } = require('electron');
+const { name: APP_NAME } = require('../../../package.json');
+const { parseCliArgs, getUsage } = require('./args');
+const { EXIT } = require('./commands');
+
+// Share userData with the desktop app (running a script file would otherwise use "Electron")
+app.setName(APP_NAME);
+
+const io = {
+  stdout: (line) => process.stdout.write(`${line}\n`),
+  stderr: (line) => process.stderr.write(`${line}\n`)
+};
+
+// Electron passes its own flags and the script path before ours
+const scriptIndex = process.argv.findIndex((arg) => /[\\/]cli\.js$/.test(arg));
+const argv = process.argv.slice(scriptIndex >= 0 ? scriptIndex + 1 : app.isPackaged ? 1 : 2);
+
+async function main() {
+  let parsed;
+  try {
+    parsed = parseCliArgs(argv);
+  } catch (error) {
+    io.stderr(error.message);
+    io.stderr(getUsage());
+    return EXIT.USAGE;
+  }
+  if (parsed.help) {
+    io.stdout(getUsage());
+    return EXIT.OK;
+  }
+
+  // The CLI shares userData with the desktop app; only one of them may run services on it
+  if (!app.requestSingleInstanceLock({ cli: true })) {
+    io.stderr('StratoSort is already running. Quit the desktop app and try again.');
+    return EXIT.FAILED;
+  }
+
+  await app.whenReady();
+
+  // Loaded after argument checks so `--help` does not start any services
+  const { startCliRuntime } = require('./runtime');
+  const { runCommand } = require('./commands');
+
+  const runtime = await startCliRuntime({ verbose: parsed.options.verbose });
+  try {
+    return await runCommand(runtime, parsed, io);
+  } catch (error) {
+    io.stderr(`Error: ${error.message}`);
+    io.stderr(`See the log for details: ${runtime.logFilePath}`);
+    return EXIT.FAILED;
+  } finally {
+    await runtime.shutdown();
+  }
+}
+
+main()
+  .catch((error) => {
+    io.stderr(`Error: ${error.message}`);
+    return EXIT.FAILED;
+  })
+  .then((code) => app.exit(code));
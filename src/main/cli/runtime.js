@@ -0,0 +1,191 @@
+/**
+ * Headless CLI Runtime
+ *
+ * Boots the same services the GUI uses (StartupManager, ServiceIntegration,
+ * settings, smart folders, Ollama config) and registers the regular IPC
+ * handlers without creating a window. Commands call those handlers in-process
+ * through the IPC registry, so validation, history recording, undo and
+ * embedding sync behave exactly as they do for the renderer.
+ *
+ * @module cli/runtime
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const { app, ipcMain, dialog, shell } = require('electron');
+const tesseract = require('node-tesseract-ocr');
+const { createLogger } = require('../../shared/logger');
+const { IPC_CHANNELS } = require('../../shared/constants');
+const { isPathDangerous } = require('../../shared/pathSanitization');
+const { invokeHandler, setShuttingDown } = require('../core/ipcRegistry');
+const { migrateUserDataState } = require('../core/userDataMigration');
+const { loadCustomFolders, saveCustomFolders } = require('../core/customFolders');
+const systemAnalytics = require('../core/systemAnalytics');
+const { scanDirectory } = require('../folderScanner');
+const {
+  getOllama,
+  getOllamaModel,
+  getOllamaVisionModel,
+  getOllamaEmbeddingModel,
+  getOllamaHost,
+  setOllamaModel,
+  setOllamaVisionModel,
+  setOllamaEmbeddingModel,
+  setOllamaHost,
+  loadOllamaConfig
+} = require('../ollamaUtils');
+const { buildOllamaOptions } = require('../services/PerformanceService');
+const { getInstance: getSettingsService } = require('../services/SettingsService');
+const ServiceIntegration = require('../services/ServiceIntegration');
+const { getStartupManager } = require('../services/startup');
+const { analyzeDocumentFile } = require('../analysis/ollamaDocumentAnalysis');
+const { analyzeImageFile } = require('../analysis/ollamaImageAnalysis');
+const { registerAllIpc, IpcServiceContext } = require('../ipc');
+
+const logger = createLogger('CLI');
+
+function isValidFolder(folder) {
+  return (
+    folder &&
+    typeof folder === 'object' &&
+    typeof folder.id === 'string' &&
+    typeof folder.name === 'string' &&
+    typeof folder.path === 'string' &&
+    folder.path.length > 0 &&
+    !isPathDangerous(folder.path)
+  );
+}
+
+async function enableFileLogging(verbose) {
+  const logsDir = path.join(app.getPath('userData'), 'logs');
+  await fs.mkdir(logsDir, { recursive: true });
+  const logTimestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const logFilePath = path.join(logsDir, `stratosort-cli-${logTimestamp}.log`);
+  logger.enableFileLogging(logFilePath, { format: 'jsonl' });
+  // stdout carries command output; logs go to the file unless asked for
+  if (!verbose) {
+    logger.disableConsoleLogging();
+  }
+  return logFilePath;
+}
+
+/**
+ * Start services and register IPC handlers for headless use
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.verbose] - Also log to the console
+ * @param {Function} [options.onEvent] - (channel, payload) => void for events handlers send to the "renderer"
+ * @returns {Promise<{invoke: Function, getCustomFolders: Function, getSettings: Function, logFilePath: string, shutdown: Function}>}
+ */
+async function startCliRuntime({ verbose = false, onEvent } = {}) {
+  const logFilePath = await enableFileLogging(verbose);
+  logger.info('[CLI] Starting headless runtime', { userDataPath: app.getPath('userData') });
+
+  await migrateUserDataState();
+
+  const startupManager = getStartupManager();
+  const serviceIntegration = new ServiceIntegration();
+  let startupResult;
+  try {
+    startupResult = await startupManager.startup();
+    await serviceIntegration.initialize({ startupResult });
+  } catch (error) {
+    // Same policy as the GUI: keep going in degraded mode and let handlers report
+    logger.warn('[CLI] Startup degraded:', error.message);
+    startupResult = { degraded: true, error: error.message };
+  }
+
+  let customFolders = [];
+  try {
+    const loaded = await loadCustomFolders();
+    customFolders = Array.isArray(loaded) ? loaded.filter(isValidFolder) : [];
+  } catch (error) {
+    logger.warn('[CLI] Failed to load smart folders:', error.message);
+  }
+
+  const settingsService = getSettingsService();
+  let settings = await settingsService.load();
+
+  const ollamaConfig = await loadOllamaConfig();
+  if (ollamaConfig.selectedTextModel) await setOllamaModel(ollamaConfig.selectedTextModel);
+  if (ollamaConfig.selectedVisionModel)
+    await setOllamaVisionModel(ollamaConfig.selectedVisionModel);
+  if (ollamaConfig.selectedEmbeddingModel)
+    await setOllamaEmbeddingModel(ollamaConfig.selectedEmbeddingModel);
+
+  const applySettings = (next) => {
+    if (!next || typeof next !== 'object') return;
+    settings = next;
+    try {
+      serviceIntegration.autoOrganizeService?.applySettings?.(next);
+    } catch (error) {
+      logger.warn('[CLI] Failed to apply settings to auto-organize service:', error.message);
+    }
+  };
+  applySettings(settings);
+
+  const ipcContext = new IpcServiceContext()
+    .setCore({ ipcMain, IPC_CHANNELS, logger })
+    .setElectron({ dialog, shell, getMainWindow: () => null })
+    .setSystemAnalytics(systemAnalytics)
+    .setServiceIntegration(() => serviceIntegration)
+    .setFolders({
+      getCustomFolders: () => customFolders,
+      setCustomFolders: (folders) => {
+        customFolders = folders;
+      },
+      saveCustomFolders,
+      scanDirectory
+    })
+    .setAnalysis({ analyzeDocumentFile, analyzeImageFile, tesseract })
+    .setOllama({
+      getOllama,
+      getOllamaModel,
+      getOllamaVisionModel,
+      getOllamaEmbeddingModel,
+      getOllamaHost,
+      setOllamaHost,
+      setOllamaModel,
+      setOllamaVisionModel,
+      setOllamaEmbeddingModel,
+      buildOllamaOptions
+    })
+    .setSettings({ settingsService, onSettingsChanged: applySettings });
+
+  registerAllIpc(ipcContext);
+
+  // Handlers reply to event.sender for progress and state-change events
+  const event = {
+    sender: {
+      send: (channel, payload) => onEvent?.(channel, payload),
+      isDestroyed: () => false
+    }
+  };
+
+  logger.info('[CLI] Runtime ready', {
+    degraded: Boolean(startupResult?.degraded),
+    smartFolders: customFolders.length
+  });
+
+  return {
+    invoke: (channel, ...args) => invokeHandler(channel, event, ...args),
+    getCustomFolders: () => customFolders,
+    getSettings: () => settings,
+    logFilePath,
+    async shutdown() {
+      setShuttingDown(true);
+      try {
+        await serviceIntegration.shutdown();
+      } catch (error) {
+        logger.warn('[CLI] Service shutdown failed:', error.message);
+      }
+      try {
+        await startupManager.shutdown();
+      } catch (error) {
+        logger.warn('[CLI] Startup manager shutdown failed:', error.message);
+      }
+    }
+  };
+}
+
+module.exports = { startCliRuntime };
@@ -17,6 +17,8 @@ const logger = createLogger('IPCRegistry');
 const registry = {
   /** Channels registered via ipcMain.handle() */
   handlers: new Set(),
+  /** Wrapped handler functions by channel, for in-process invocation */
+  handlerFunctions: new Map(),
   /** Channels registered via ipcMain.on() */
   listeners: new Map(), // channel -> Set of wrapped listener functions
   /** FIX: Maps original listener to wrapped listener for removeListener lookup */
@@ -91,6 +93,7 @@ function registerHandler(ipcMain, channel, handler) {
 
   ipcMain.handle(channel, wrappedHandler);
   registry.handlers.add(channel);
+  registry.handlerFunctions.set(channel, wrappedHandler);
   logger.debug(`[REGISTRY] Handler registered: ${channel}`);
 }
 
@@ -144,6 +147,7 @@ function removeHandler(ipcMain, channel) {
   try {
     ipcMain.removeHandler(channel);
     registry.handlers.delete(channel);
+    registry.handlerFunctions.delete(channel);
     logger.debug(`[REGISTRY] Handler removed: ${channel}`);
     return true;
   } catch (e) {
@@ -212,6 +216,7 @@ function removeAllRegistered(ipcMain) {
     }
   }
   registry.handlers.clear();
+  registry.handlerFunctions.clear();
 
   // Remove all listeners
   for (const [channel, listeners] of registry.listeners) {
@@ -260,6 +265,25 @@ function hasHandler(channel) {
   return registry.handlers.has(channel);
 }
 
+/**
+ * Invoke a registered handler in-process, without going through a renderer
+ *
+ * Used by headless entry points (CLI) that need the exact behavior of the
+ * IPC handlers, including the shutdown gate.
+ *
+ * @param {string} channel - Channel name
+ * @param {Object} event - Event object passed to the handler (needs `sender` for progress events)
+ * @param {...*} args - Handler arguments
+ * @returns {Promise<*>} Handler result
+ */
+async function invokeHandler(channel, event, ...args) {
+  const handler = registry.handlerFunctions.get(channel);
+  if (!handler) {
+    throw new Error(`No handler registered for channel: ${channel}`);
+  }
+  return handler(event, ...args);
+}
+
 /**
  * Check if any listeners are registered for a channel
  *
@@ -279,6 +303,7 @@ module.exports = {
   getStats,
   hasHandler,
   hasListeners,
+  invokeHandler,
   // FIX: Shutdown gate control
   setShuttingDown,
   isShuttingDown
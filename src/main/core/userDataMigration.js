@@ -15,6 +15,7 @@ const LEGACY_USERDATA_FOLDERS = [
 
 const STATE_FILES = [
   { name: 'settings.json', label: 'settings' },
+  { name: 'analysis-history.jsonl', label: 'analysis history' },
   { name: 'analysis-history.json', label: 'analysis history' },
   { name: 'analysis-index.json', label: 'analysis index' },
   { name: 'analysis-config.json', label: 'analysis config' },
@@ -1,3 +1,4 @@
+const path = require('path');
 const { IpcServiceContext, createFromLegacyParams } = require('./IpcServiceContext');
 const { performance } = require('perf_hooks');
 const { withErrorLogging, withValidation, safeHandle } = require('./ipcWrappers');
@@ -12,6 +13,10 @@ const {
   recordAnalysisResult,
   getFolderCategories
 } = require('./analysisUtils');
+const {
+  evaluateSmartFolderRules,
+  applyRuleMatchToAnalysis
+} = require('../services/organization/ruleEngine');
 
 let z;
 try {
@@ -39,6 +44,29 @@ function registerAnalysisIpc(servicesOrParams) {
   const stringSchema = z ? z.string().min(1) : null;
   const LOG_PREFIX = '[IPC-ANALYSIS]';
 
+  /**
+   * Let user-defined smart folder rules override the AI category before the
+   * result is recorded, so history and the Organize phase agree on the destination.
+   */
+  async function applySmartFolderRules(cleanPath, result) {
+    if (!result || typeof result !== 'object' || result.error) return;
+    try {
+      const folders = typeof getCustomFolders === 'function' ? getCustomFolders() : [];
+      const match = await evaluateSmartFolderRules(
+        { path: cleanPath, name: path.basename(cleanPath), analysis: result },
+        folders
+      );
+      if (match) {
+        applyRuleMatchToAnalysis(result, match);
+        logger.info(`${LOG_PREFIX} Smart folder rule "${match.ruleName}" matched`, {
+          folder: match.folder
+        });
+      }
+    } catch (error) {
+      logger.warn(`${LOG_PREFIX} Failed to evaluate smart folder rules:`, error.message);
+    }
+  }
+
   /**
    * Core document analysis logic - shared between with-zod and without-zod handlers
    */
@@ -70,6 +98,7 @@ function registerAnalysisIpc(servicesOrParams) {
           );
 
           const result = await analyzeDocumentFile(cleanPath, folderCategories);
+          await applySmartFolderRules(cleanPath, result);
           const duration = performance.now() - startTime;
           systemAnalytics.recordProcessingTime(duration);
 
@@ -137,6 +166,7 @@ function registerAnalysisIpc(servicesOrParams) {
           );
 
           const result = await analyzeImageFile(cleanPath, folderCategories);
+          await applySmartFolderRules(cleanPath, result);
           const duration = performance.now() - startTime;
           systemAnalytics.recordProcessingTime(duration);
 
@@ -9,6 +9,7 @@ const { createHandler, createErrorResponse, safeHandle } = require('./ipcWrapper
 const { schemas } = require('./validationSchemas');
 const { normalizeText } = require('../../shared/normalization');
 const { getSemanticFileId } = require('../../shared/fileIdUtils');
+const { refreshEmbeddingForPath } = require('./files/embeddingSync');
 
 // FIX: Safety cap for "get all" requests to prevent memory exhaustion
 // This limits the maximum number of history entries that can be retrieved at once
@@ -195,6 +196,74 @@ function registerAnalysisHistoryIpc(servicesOrParams) {
     })
   );
 
+  // Files flagged as containing sensitive personal information
+  safeHandle(
+    ipcMain,
+    IPC_CHANNELS.ANALYSIS_HISTORY.GET_SENSITIVE,
+    createHandler({
+      logger,
+      context,
+      schema: schemas?.sensitiveFilesOptions,
+      serviceName: 'analysisHistory',
+      getService: getHistoryService,
+      fallbackResponse: { success: false, error: 'Service unavailable', files: [] },
+      handler: async (event, options = {}, service) => {
+        try {
+          const entries = await service.getSensitiveAnalysis({
+            includeDismissed: Boolean(options?.includeDismissed),
+            limit: options?.limit
+          });
+          return {
+            success: true,
+            files: entries.map((entry) => ({
+              path: entry.organization?.actual || entry.originalPath,
+              name: entry.organization?.newName || entry.fileName,
+              category: entry.analysis?.category || null,
+              smartFolder: entry.organization?.smartFolder || null,
+              analyzedAt: entry.timestamp,
+              sensitivity: entry.analysis.sensitivity
+            }))
+          };
+        } catch (error) {
+          logger.error('Failed to get sensitive files:', error);
+          return createErrorResponse(error);
+        }
+      }
+    })
+  );
+
+  // Confirm or dismiss a sensitivity flag; the embedding metadata follows so
+  // chat sees the new level
+  safeHandle(
+    ipcMain,
+    IPC_CHANNELS.ANALYSIS_HISTORY.REVIEW_SENSITIVITY,
+    createHandler({
+      logger,
+      context,
+      schema: schemas?.sensitivityReview,
+      serviceName: 'analysisHistory',
+      getService: getHistoryService,
+      fallbackResponse: { success: false, error: 'Service unavailable' },
+      handler: async (event, { filePath, decision }, service) => {
+        try {
+          const result = await service.reviewSensitivityByPath(filePath, decision);
+          if (!result.updated) {
+            return { success: false, error: 'No sensitivity record for this file' };
+          }
+          refreshEmbeddingForPath(filePath, { log: logger }).catch((error) => {
+            logger.warn('[AnalysisHistory] Failed to refresh embedding after review:', {
+              error: error.message
+            });
+          });
+          return { success: true, sensitivity: result.sensitivity };
+        } catch (error) {
+          logger.error('Failed to review sensitivity:', error);
+          return createErrorResponse(error);
+        }
+      }
+    })
+  );
+
   // Clear analysis history
   safeHandle(
     ipcMain,
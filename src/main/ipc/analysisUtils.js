@@ -217,10 +217,66 @@ async function recordAnalysisResult({
         : [],
       // Store extraction method for debugging
       extractionMethod: normalizeOptionalText(result.extractionMethod || null, { maxLength: 50 }),
+      // Archive member listing so archives are findable by what they contain
+      archiveMembers: Array.isArray(result.archiveMembers)
+        ? result.archiveMembers.slice(0, 500).map((m) => normalizeText(m, { maxLength: 255 }))
+        : null,
+      // Audio tags and transcription status
+      audio:
+        result.audio && typeof result.audio === 'object'
+          ? {
+              format: normalizeOptionalText(result.audio.format || null, { maxLength: 50 }),
+              durationSeconds: Number.isFinite(result.audio.durationSeconds)
+                ? result.audio.durationSeconds
+                : null,
+              title: normalizeOptionalText(result.audio.title || null, { maxLength: 255 }),
+              artist: normalizeOptionalText(result.audio.artist || null, { maxLength: 255 }),
+              album: normalizeOptionalText(result.audio.album || null, { maxLength: 255 }),
+              genre: Array.isArray(result.audio.genre)
+                ? result.audio.genre.slice(0, 10).map((g) => normalizeText(g, { maxLength: 100 }))
+                : [],
+              recordingDate: normalizeOptionalText(result.audio.recordingDate || null, {
+                maxLength: 50
+              }),
+              transcribed: Boolean(result.audio.transcribed)
+            }
+          : null,
+      // Video container metadata; the thumbnail is shown in search results
+      video:
+        result.video && typeof result.video === 'object'
+          ? {
+              format: normalizeOptionalText(result.video.format || null, { maxLength: 50 }),
+              durationSeconds: Number.isFinite(result.video.durationSeconds)
+                ? result.video.durationSeconds
+                : null,
+              width: Number.isFinite(result.video.width) ? result.video.width : null,
+              height: Number.isFinite(result.video.height) ? result.video.height : null,
+              creationDate: normalizeOptionalText(result.video.creationDate || null, {
+                maxLength: 50
+              }),
+              location:
+                Number.isFinite(result.video.location?.latitude) &&
+                Number.isFinite(result.video.location?.longitude)
+                  ? {
+                      latitude: result.video.location.latitude,
+                      longitude: result.video.location.longitude
+                    }
+                  : null,
+              framesAnalyzed: Number.isFinite(result.video.framesAnalyzed)
+                ? result.video.framesAnalyzed
+                : 0,
+              subtitles: Boolean(result.video.subtitles),
+              transcribed: Boolean(result.video.transcribed)
+            }
+          : null,
+      thumbnailPath: normalizeOptionalText(result.thumbnailPath || null, { maxLength: 2048 }),
       // Image-specific fields
       content_type: normalizeOptionalText(result.content_type || null, { maxLength: 100 }),
       has_text: typeof result.has_text === 'boolean' ? result.has_text : null,
-      colors: Array.isArray(result.colors) ? result.colors.slice(0, 10) : null
+      colors: Array.isArray(result.colors) ? result.colors.slice(0, 10) : null,
+      // Sensitivity level and categories (masked samples only)
+      sensitivity:
+        result.sensitivity && typeof result.sensitivity === 'object' ? result.sensitivity : null
     };
 
     await analysisHistory.recordAnalysis(fileInfo, normalized);
@@ -1,7 +1,10 @@
-const { registerHandlers } = require('./ipcWrappers');
+const fs = require('fs').promises;
+const { dialog } = require('electron');
+const { registerHandlers, safeSend } = require('./ipcWrappers');
 const { IpcServiceContext, createFromLegacyParams } = require('./IpcServiceContext');
 const { schemas } = require('./validationSchemas');
 const ChatService = require('../services/ChatService');
+const { ChatHistoryStore } = require('../services/ChatHistoryStore');
 const { container, ServiceIds } = require('../services/ServiceContainer');
 
 function registerChatIpc(servicesOrParams) {
@@ -15,6 +18,10 @@ function registerChatIpc(servicesOrParams) {
   const { ipcMain, IPC_CHANNELS, logger } = context.core;
   const { getServiceIntegration } = context;
 
+  // Conversation history does not depend on Ollama, so it lives outside ChatService
+  const historyStore = new ChatHistoryStore();
+  const getHistoryStore = () => historyStore;
+
   let chatService = null;
   const getChatService = () => {
     if (chatService) return chatService;
@@ -62,7 +69,8 @@ function registerChatIpc(servicesOrParams) {
         chromaDbService,
         embeddingService,
         ollamaService,
-        settingsService
+        settingsService,
+        historyStore
       });
     } catch (error) {
       logger.error('[Chat] Failed to initialize ChatService', {
@@ -96,6 +104,28 @@ function registerChatIpc(servicesOrParams) {
         fallbackResponse: { success: false, error: 'Chat service unavailable' },
         handler: async (event, payload, service) => service.query(payload)
       },
+      [IPC_CHANNELS.CHAT.QUERY_STREAM]: {
+        schema: schemas.chatStreamQuery,
+        serviceName: 'chat',
+        getService: getChatServiceSafe,
+        fallbackResponse: { success: false, error: 'Chat service unavailable' },
+        handler: async (event, { requestId, ...payload }, service) =>
+          service.queryStream(payload, {
+            requestId,
+            onEvent: (data) =>
+              safeSend(event.sender, IPC_CHANNELS.CHAT.STREAM_EVENT, { requestId, ...data })
+          })
+      },
+      [IPC_CHANNELS.CHAT.CANCEL]: {
+        schema: schemas.chatCancel,
+        serviceName: 'chat',
+        getService: getChatServiceSafe,
+        fallbackResponse: { success: false, error: 'Chat service unavailable' },
+        handler: async (event, { requestId }, service) => ({
+          success: true,
+          cancelled: service.cancelStream(requestId)
+        })
+      },
       [IPC_CHANNELS.CHAT.RESET_SESSION]: {
         schema: schemas.chatReset,
         serviceName: 'chat',
@@ -105,6 +135,82 @@ function registerChatIpc(servicesOrParams) {
           await service.resetSession(sessionId);
           return { success: true };
         }
+      },
+      [IPC_CHANNELS.CHAT.LIST_CONVERSATIONS]: {
+        serviceName: 'chatHistory',
+        getService: getHistoryStore,
+        fallbackResponse: { success: false, error: 'Chat history unavailable' },
+        handler: async (event, store) => ({
+          success: true,
+          conversations: await store.list()
+        })
+      },
+      [IPC_CHANNELS.CHAT.GET_CONVERSATION]: {
+        schema: schemas.chatConversationId,
+        serviceName: 'chatHistory',
+        getService: getHistoryStore,
+        fallbackResponse: { success: false, error: 'Chat history unavailable' },
+        handler: async (event, { id }, store) => {
+          const conversation = await store.get(id);
+          return conversation
+            ? { success: true, conversation }
+            : { success: false, error: 'Conversation not found' };
+        }
+      },
+      [IPC_CHANNELS.CHAT.RENAME_CONVERSATION]: {
+        schema: schemas.chatConversationRename,
+        serviceName: 'chatHistory',
+        getService: getHistoryStore,
+        fallbackResponse: { success: false, error: 'Chat history unavailable' },
+        handler: async (event, { id, title }, store) => {
+          const conversation = await store.rename(id, title);
+          return conversation
+            ? { success: true, conversation }
+            : { success: false, error: 'Conversation not found' };
+        }
+      },
+      [IPC_CHANNELS.CHAT.DELETE_CONVERSATION]: {
+        schema: schemas.chatConversationId,
+        serviceName: 'chatHistory',
+        getService: getHistoryStore,
+        fallbackResponse: { success: false, error: 'Chat history unavailable' },
+        handler: async (event, { id }, store) => {
+          const removed = await store.remove(id);
+          // Drop the in-memory window too so the id cannot resurrect stale context
+          await chatService?.resetSession(id);
+          return { success: true, removed };
+        }
+      },
+      [IPC_CHANNELS.CHAT.EXPORT_CONVERSATION]: {
+        schema: schemas.chatConversationId,
+        serviceName: 'chatHistory',
+        getService: getHistoryStore,
+        fallbackResponse: { success: false, error: 'Chat history unavailable' },
+        handler: async (event, { id }, store) => {
+          const conversation = await store.get(id);
+          if (!conversation) {
+            return { success: false, error: 'Conversation not found' };
+          }
+          const safeTitle =
+            conversation.title
+              .replace(/[^\w\- ]+/g, '')
+              .trim()
+              .slice(0, 60) || 'conversation';
+          const result = await dialog.showSaveDialog({
+            title: 'Export Conversation',
+            defaultPath: `${safeTitle}.md`,
+            filters: [
+              { name: 'Markdown', extensions: ['md'] },
+              { name: 'All Files', extensions: ['*'] }
+            ]
+          });
+          if (result.canceled || !result.filePath) {
+            return { success: false, canceled: true };
+          }
+          await fs.writeFile(result.filePath, await store.exportMarkdown(id), 'utf8');
+          logger.info('[Chat] Exported conversation', { id });
+          return { success: true, path: result.filePath };
+        }
       }
     }
   });
@@ -6,6 +6,7 @@
  * - Circuit breaker statistics
  * - Offline queue statistics
  * - Manual health check and recovery
+ * - Copying ChromaDB server data into the embedded vector store
  * - Real-time status updates to renderer
  */
 
@@ -73,7 +74,8 @@ function registerChromaDBIpc(servicesOrParams) {
         circuitState: svc.getCircuitState(),
         isServiceAvailable: svc.isServiceAvailable(),
         queueSize: svc.offlineQueue?.size() || 0,
-        serverUrl: svc.serverUrl
+        serverUrl: svc.serverUrl,
+        backend: svc.backend
       };
     })
   );
@@ -139,6 +141,30 @@ function registerChromaDBIpc(servicesOrParams) {
     })
   );
 
+  /**
+   * Copy all ChromaDB server collections into the embedded vector store
+   * Requires the ChromaDB server to be reachable; the server data is left untouched
+   */
+  safeHandle(
+    ipcMain,
+    IPC_CHANNELS.CHROMADB.MIGRATE_TO_EMBEDDED,
+    withErrorLogging(logger, async () => {
+      const svc = resolveChromaDb();
+      if (!svc) {
+        return { success: false, error: 'Vector database service is not available' };
+      }
+      logger.info('[CHROMADB-IPC] Migration to embedded store requested');
+      try {
+        return await svc.migrateToEmbedded();
+      } catch (error) {
+        logger.warn('[CHROMADB-IPC] Migration to embedded store failed', {
+          error: error.message
+        });
+        return { success: false, error: error.message };
+      }
+    })
+  );
+
   // FIX: Register cleanup on app shutdown to prevent memory leaks
   if (!_cleanupListenerRegistered) {
     app.once('before-quit', () => {
@@ -0,0 +1,102 @@
+const { registerHandlers, safeSend } = require('./ipcWrappers');
+const { IpcServiceContext, createFromLegacyParams } = require('./IpcServiceContext');
+const { schemas } = require('./validationSchemas');
+const { DuplicateService } = require('../services/DuplicateService');
+const { container, ServiceIds } = require('../services/ServiceContainer');
+const { getClusteringServiceInstance } = require('./semantic');
+
+function registerDuplicatesIpc(servicesOrParams) {
+  let context;
+  if (servicesOrParams instanceof IpcServiceContext) {
+    context = servicesOrParams;
+  } else {
+    context = createFromLegacyParams(servicesOrParams);
+  }
+
+  const { ipcMain, IPC_CHANNELS, logger } = context.core;
+  const { getServiceIntegration } = context;
+  const { getCustomFolders } = context.folders;
+
+  const duplicateService = new DuplicateService({
+    getUndoRedo: () => getServiceIntegration?.()?.undoRedo || null,
+    getClusteringService: () => {
+      const instance = getClusteringServiceInstance();
+      if (instance) return instance;
+      try {
+        return container?.has?.(ServiceIds.CLUSTERING)
+          ? container.resolve(ServiceIds.CLUSTERING)
+          : null;
+      } catch {
+        return null;
+      }
+    }
+  });
+  const getDuplicateService = () => duplicateService;
+
+  registerHandlers({
+    ipcMain,
+    logger,
+    context: 'Duplicates',
+    handlers: {
+      [IPC_CHANNELS.DUPLICATES.SCAN]: {
+        schema: schemas.duplicateScan,
+        serviceName: 'duplicates',
+        getService: getDuplicateService,
+        fallbackResponse: { success: false, error: 'Duplicate service unavailable' },
+        handler: async (event, options, service) => {
+          if (service.isScanning()) {
+            return { success: false, error: 'A duplicate scan is already running' };
+          }
+          const folderPaths = (getCustomFolders?.() || [])
+            .map((folder) => folder?.path)
+            .filter(Boolean);
+          if (folderPaths.length === 0) {
+            return { success: false, error: 'No smart folders to scan' };
+          }
+
+          // Scans can take minutes; run in the background and report via events
+          const sendProgress = (data) =>
+            safeSend(event.sender, IPC_CHANNELS.DUPLICATES.SCAN_PROGRESS, data);
+          service
+            .scan(folderPaths, { ...options, onProgress: sendProgress })
+            .then((result) => {
+              if (result.cancelled) {
+                sendProgress({ phase: 'cancelled' });
+              } else if (!result.success) {
+                sendProgress({ phase: 'error', error: result.error });
+              } else {
+                sendProgress({ phase: 'done', stats: result.stats });
+              }
+            })
+            .catch((error) => {
+              logger.error('[Duplicates] Background scan failed', { error: error.message });
+              sendProgress({ phase: 'error', error: error.message });
+            });
+          return { success: true, started: true, folderCount: folderPaths.length };
+        }
+      },
+      [IPC_CHANNELS.DUPLICATES.GET_RESULTS]: {
+        serviceName: 'duplicates',
+        getService: getDuplicateService,
+        fallbackResponse: { success: false, error: 'Duplicate service unavailable' },
+        handler: async (event, service) => ({ success: true, ...service.getResults() })
+      },
+      [IPC_CHANNELS.DUPLICATES.CANCEL_SCAN]: {
+        serviceName: 'duplicates',
+        getService: getDuplicateService,
+        fallbackResponse: { success: false, error: 'Duplicate service unavailable' },
+        handler: async (event, service) => ({ success: true, cancelled: service.cancelScan() })
+      },
+      [IPC_CHANNELS.DUPLICATES.RESOLVE]: {
+        schema: schemas.duplicateResolve,
+        serviceName: 'duplicates',
+        getService: getDuplicateService,
+        fallbackResponse: { success: false, error: 'Duplicate service unavailable' },
+        handler: async (event, { resolutions, mode }, service) =>
+          service.resolve(resolutions, { mode })
+      }
+    }
+  });
+}
+
+module.exports = registerDuplicatesIpc;
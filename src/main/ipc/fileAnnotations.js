@@ -0,0 +1,97 @@
+const { registerHandlers } = require('./ipcWrappers');
+const { IpcServiceContext, createFromLegacyParams } = require('./IpcServiceContext');
+const { schemas } = require('./validationSchemas');
+const { getInstance: getFileAnnotationService } = require('../services/FileAnnotationService');
+const { refreshEmbeddingForPath } = require('./files/embeddingSync');
+
+function registerFileAnnotationsIpc(servicesOrParams) {
+  let context;
+  if (servicesOrParams instanceof IpcServiceContext) {
+    context = servicesOrParams;
+  } else {
+    context = createFromLegacyParams(servicesOrParams);
+  }
+
+  const { ipcMain, IPC_CHANNELS, logger } = context.core;
+
+  const getService = () => {
+    try {
+      return getFileAnnotationService();
+    } catch {
+      return null;
+    }
+  };
+  const unavailable = { success: false, error: 'File annotations unavailable' };
+
+  // The BM25 index is invalidated by the service's change event; embeddings
+  // need the vector recomputed, which runs in the background
+  const refreshEmbedding = (filePath) => {
+    refreshEmbeddingForPath(filePath, { log: logger })
+      .then((result) => {
+        logger.debug('[FileAnnotations] Embedding refresh', { filePath, ...result });
+      })
+      .catch((error) => {
+        logger.warn('[FileAnnotations] Failed to refresh embedding:', error.message);
+      });
+  };
+
+  registerHandlers({
+    ipcMain,
+    logger,
+    context: 'FileAnnotations',
+    handlers: {
+      [IPC_CHANNELS.FILE_ANNOTATIONS.GET]: {
+        schema: schemas.fileAnnotationPath,
+        serviceName: 'fileAnnotations',
+        getService,
+        fallbackResponse: unavailable,
+        handler: async (event, { filePath }, service) => ({
+          success: true,
+          annotation: await service.get(filePath)
+        })
+      },
+      [IPC_CHANNELS.FILE_ANNOTATIONS.GET_MANY]: {
+        schema: schemas.fileAnnotationPaths,
+        serviceName: 'fileAnnotations',
+        getService,
+        fallbackResponse: unavailable,
+        handler: async (event, { filePaths }, service) => ({
+          success: true,
+          annotations: await service.getMany(filePaths)
+        })
+      },
+      [IPC_CHANNELS.FILE_ANNOTATIONS.SET]: {
+        schema: schemas.fileAnnotationSet,
+        serviceName: 'fileAnnotations',
+        getService,
+        fallbackResponse: unavailable,
+        handler: async (event, { filePath, tags, note }, service) => {
+          const annotation = await service.set(filePath, { tags, note });
+          refreshEmbedding(filePath);
+          return { success: true, annotation };
+        }
+      },
+      [IPC_CHANNELS.FILE_ANNOTATIONS.LIST_TAGS]: {
+        serviceName: 'fileAnnotations',
+        getService,
+        fallbackResponse: unavailable,
+        handler: async (event, service) => ({
+          success: true,
+          tags: await service.listTags()
+        })
+      },
+      [IPC_CHANNELS.FILE_ANNOTATIONS.FIND_BY_TAGS]: {
+        schema: schemas.fileAnnotationFind,
+        serviceName: 'fileAnnotations',
+        getService,
+        fallbackResponse: unavailable,
+        handler: async (event, { tags, match }, service) => ({
+          success: true,
+          files: await service.findByTags(tags, { match })
+        })
+      }
+    }
+  });
+}
+
+module.exports = registerFileAnnotationsIpc;
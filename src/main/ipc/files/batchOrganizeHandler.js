@@ -25,6 +25,20 @@ const { sendOperationProgress, sendChunkedResults } = require('./batchProgressRe
 const { getInstance: getFileOperationTracker } = require('../../../shared/fileOperationTracker');
 const { syncEmbeddingForMove, removeEmbeddingsForPathBestEffort } = require('./embeddingSync');
 const { computeFileChecksum, handleDuplicateMove } = require('../../utils/fileDedup');
+const { getOrganizeModeForPath } = require('../../../shared/folderUtils');
+const {
+  isLinkOrganizeMode,
+  normalizeTransferMode,
+  normalizeSourceRetention
+} = require('../../../shared/organizeModes');
+const { getVirtualLinkService } = require('../../services/VirtualLinkService');
+const {
+  findAvailablePath,
+  removePartialCopy,
+  copyFileVerified,
+  findVerifiedCopy,
+  applySourceRetention
+} = require('../../utils/verifiedCopy');
 
 const logger =
   typeof createLogger === 'function' ? createLogger('IPC:Files:BatchOrganize') : baseLogger;
@@ -50,6 +64,12 @@ const VERIFY_MAX_DELAY_MS = RETRY?.FILE_OPERATION?.maxDelay ?? 5000;
 const MAX_RESULTS_PER_CHUNK = 100; // Max results per IPC message chunk
 const YIELD_EVERY_N_OPS = 10; // Yield to event loop every N operations
 
+// Copy mode: removable media is slow and seeks badly, so copy fewer files at once.
+// Each copy gets a deadline from its size instead of the fixed file-op timeout.
+const COPY_CONCURRENCY = 2;
+const COPY_MIN_BYTES_PER_SECOND = 1024 * 1024;
+const COPY_PROGRESS_INTERVAL_MS = 250;
+
 // Simple p-limit implementation to avoid adding dependency
 // FIX: Properly propagate errors instead of silently swallowing them
 const pLimit = (concurrency) => {
@@ -172,11 +192,20 @@ async function verifyMoveCompletion(source, destination, log) {
  * @param {Object} params.logger - Logger instance
  * @param {Function} params.getServiceIntegration - Service integration getter
  * @param {Function} params.getMainWindow - Main window getter
+ * @param {Function} [params.getCustomFolders] - Smart folders, for link-based folders
+ * @param {Object} [params.settingsService] - Settings, for copy mode and source retention
  * @returns {Promise<Object>} Batch operation result
  */
 async function handleBatchOrganize(params) {
   return withCorrelationId(async () => {
-    const { operation, logger: handlerLogger, getServiceIntegration, getMainWindow } = params;
+    const {
+      operation,
+      logger: handlerLogger,
+      getServiceIntegration,
+      getMainWindow,
+      getCustomFolders,
+      settingsService
+    } = params;
 
     const log = handlerLogger || logger;
 
@@ -218,19 +247,23 @@ async function handleBatchOrganize(params) {
       const abortController = new AbortController();
 
       try {
+        // Copy mode is stored on each operation so a resumed batch copies too
+        const { transferMode, sourceRetention } = await getTransferSettings(settingsService, log);
+        const batchOperations =
+          transferMode === 'copy'
+            ? operation.operations.map((op) => ({ ...op, transferMode, sourceRetention }))
+            : operation.operations;
+
         const svc = getServiceIntegration();
         let batch;
         if (svc?.processingState?.createOrLoadOrganizeBatch) {
-          batch = await svc.processingState.createOrLoadOrganizeBatch(
-            batchId,
-            operation.operations
-          );
+          batch = await svc.processingState.createOrLoadOrganizeBatch(batchId, batchOperations);
         }
 
         if (!batch || !batch.operations) {
           log.warn(`[FILE-OPS] Batch service unavailable, using direct operations for ${batchId}`);
           batch = {
-            operations: operation.operations.map((op) => ({
+            operations: batchOperations.map((op) => ({
               ...op,
               status: 'pending'
             }))
@@ -254,11 +287,37 @@ async function handleBatchOrganize(params) {
 
         log.info(`[FILE-OPS] Starting batch operation ${batchId} with ${totalOperations} files`, {
           batchId,
-          totalOperations
+          totalOperations,
+          transferMode
         });
 
+        // Destinations in link-based smart folders get a link; the original stays put
+        const smartFolders = getSmartFoldersSafe(getCustomFolders, log);
+
+        // Copy batches report throughput and verification alongside the file count
+        const copyStats = { bytesCopied: 0, verifiedCount: 0, lastSentAt: 0 };
+        const sendCopyProgress = (currentFile, verification, { throttle = false } = {}) => {
+          const now = Date.now();
+          if (throttle && now - copyStats.lastSentAt < COPY_PROGRESS_INTERVAL_MS) return;
+          copyStats.lastSentAt = now;
+          const elapsedSeconds = Math.max(1, now - batchStartTime) / 1000;
+          sendOperationProgress(getMainWindow, {
+            type: 'batch_organize',
+            current: successCount + failCount + skippedCount,
+            total: batch.operations.length,
+            currentFile,
+            transferMode: 'copy',
+            verification,
+            bytesCopied: copyStats.bytesCopied,
+            bytesPerSecond: Math.round(copyStats.bytesCopied / elapsedSeconds),
+            verifiedCount: copyStats.verifiedCount
+          });
+        };
+
         // Fix 8: Parallel execution with concurrency limit
-        const limit = pLimit(BATCH?.MAX_CONCURRENT_FILES || 5); // Process files concurrently
+        const limit = pLimit(
+          transferMode === 'copy' ? COPY_CONCURRENCY : BATCH?.MAX_CONCURRENT_FILES || 5
+        ); // Process files concurrently
 
         const processOperation = async (i) => {
           // FIX P0-4: Check both shouldRollback flag AND abort signal for immediate cancellation
@@ -266,7 +325,8 @@ async function handleBatchOrganize(params) {
           // concurrent tasks don't continue processing after rollback is triggered
           if (shouldRollback || abortController.signal.aborted) return;
 
-          if (Date.now() - batchStartTime > MAX_TOTAL_BATCH_TIME) {
+          // A card import can legitimately outlast the batch limit; copies have per-file deadlines
+          if (transferMode !== 'copy' && Date.now() - batchStartTime > MAX_TOTAL_BATCH_TIME) {
             log.error(`[FILE-OPS] Batch ${batchId} exceeded maximum time limit`);
             // We can't throw to stop other parallel tasks easily, but we can return error
             // and let them skip via shouldRollback check or timeout check
@@ -363,6 +423,163 @@ async function handleBatchOrganize(params) {
             const destDir = path.dirname(op.destination);
             await fs.mkdir(destDir, { recursive: true });
 
+            const recordMissingSource = () => {
+              // Source file disappeared between batch start and this operation
+              log.debug('[FILE-OPS] Source file no longer exists, skipping:', op.source);
+              results.push({
+                success: false,
+                source: op.source,
+                destination: op.destination,
+                error: 'Source file no longer exists',
+                operation: op.type || 'move',
+                skipped: true
+              });
+              failCount++;
+            };
+
+            const organizeMode = getOrganizeModeForPath(op.destination, smartFolders);
+            if (isLinkOrganizeMode(organizeMode)) {
+              let linkResult;
+              try {
+                linkResult = await withTimeout(
+                  performFileLink(op, organizeMode),
+                  TIMEOUTS.FILE_COPY,
+                  `File link ${path.basename(op.source)}`
+                );
+              } catch (linkError) {
+                if (linkError.code === 'ENOENT') {
+                  recordMissingSource();
+                  return;
+                }
+                throw linkError;
+              }
+
+              await getServiceIntegration()?.processingState?.markOrganizeOpDone(batchId, i, {
+                destination: linkResult.linkPath,
+                ...(linkResult.existing && { skipped: true })
+              });
+              if (linkResult.existing) {
+                skippedCount++;
+              } else {
+                completedOperations.push({
+                  index: i,
+                  source: op.source,
+                  destination: linkResult.linkPath,
+                  originalDestination: operation.operations[i].destination,
+                  linkType: linkResult.linkType
+                });
+                successCount++;
+              }
+              results.push({
+                success: true,
+                source: op.source,
+                destination: linkResult.linkPath,
+                operation: 'link',
+                linkType: linkResult.linkType,
+                ...(linkResult.existing && { skipped: true, reason: 'already_linked' })
+              });
+              log.info('[FILE-OPS] Link created', {
+                batchId,
+                index: i,
+                source: op.source,
+                destination: linkResult.linkPath,
+                linkType: linkResult.linkType
+              });
+
+              sendOperationProgress(getMainWindow, {
+                type: 'batch_organize',
+                current: successCount + failCount + skippedCount,
+                total: batch.operations.length,
+                currentFile: path.basename(op.source)
+              });
+              return;
+            }
+
+            if (op.transferMode === 'copy') {
+              const fileName = path.basename(op.source);
+              let copyResult;
+              try {
+                copyResult = await performVerifiedCopy(op, {
+                  signal: abortController.signal,
+                  onBytes: (count) => {
+                    copyStats.bytesCopied += count;
+                    sendCopyProgress(fileName, 'copying', { throttle: true });
+                  },
+                  onVerify: () => sendCopyProgress(fileName, 'verifying'),
+                  recordProgress: (patch) =>
+                    getServiceIntegration()?.processingState?.updateOrganizeOp?.(batchId, i, patch)
+                });
+              } catch (copyError) {
+                if (copyError.code === 'ENOENT') {
+                  recordMissingSource();
+                  return;
+                }
+                throw copyError;
+              }
+
+              const { destination, archivePath, checksum, alreadyCopied } = copyResult;
+              // An identical copy already in place with the source kept: nothing changed
+              const unchanged = alreadyCopied && op.sourceRetention === 'keep';
+              await getServiceIntegration()?.processingState?.markOrganizeOpDone(batchId, i, {
+                destination,
+                archivePath,
+                ...(unchanged && { skipped: true })
+              });
+
+              try {
+                const tracker = getFileOperationTracker();
+                tracker.recordOperation(destination, 'copy', 'batchOrganize');
+                if (op.sourceRetention !== 'keep') {
+                  tracker.recordOperation(op.source, 'move', 'batchOrganize');
+                }
+                if (archivePath) tracker.recordOperation(archivePath, 'move', 'batchOrganize');
+              } catch (trackerErr) {
+                log.warn('[FILE-OPS] Failed to record operation in tracker', {
+                  error: trackerErr.message
+                });
+              }
+
+              copyStats.verifiedCount++;
+              if (unchanged) {
+                skippedCount++;
+              } else {
+                completedOperations.push({
+                  index: i,
+                  source: op.source,
+                  destination,
+                  originalDestination: operation.operations[i].destination,
+                  sourceRetention: op.sourceRetention,
+                  archivePath,
+                  checksum
+                });
+                successCount++;
+              }
+              results.push({
+                success: true,
+                source: op.source,
+                destination,
+                operation: 'copy',
+                sourceRetention: op.sourceRetention,
+                archivePath,
+                checksum,
+                verified: true,
+                ...(unchanged && { skipped: true }),
+                ...(alreadyCopied && { reason: 'already_copied' })
+              });
+              log.info('[FILE-OPS] Copy verified', {
+                batchId,
+                index: i,
+                source: op.source,
+                destination,
+                sourceRetention: op.sourceRetention,
+                alreadyCopied,
+                durationMs: Date.now() - opStart
+              });
+
+              sendCopyProgress(fileName, 'verified');
+              return;
+            }
+
             // Handle file move with collision handling
             // TOCTOU fix: removed verifySourceFile pre-check, handle ENOENT from move directly
             let moveResult;
@@ -375,17 +592,7 @@ async function handleBatchOrganize(params) {
               );
             } catch (moveError) {
               if (moveError.code === 'ENOENT') {
-                // Source file disappeared between batch start and this operation
-                log.debug('[FILE-OPS] Source file no longer exists, skipping:', op.source);
-                results.push({
-                  success: false,
-                  source: op.source,
-                  destination: op.destination,
-                  error: 'Source file no longer exists',
-                  operation: op.type || 'move',
-                  skipped: true
-                });
-                failCount++;
+                recordMissingSource();
                 return;
               }
               throw moveError;
@@ -659,6 +866,88 @@ function isCriticalFileError(error) {
   );
 }
 
+/**
+ * Smart folders for the batch; empty when they cannot be read, which keeps
+ * every operation a move.
+ */
+function getSmartFoldersSafe(getCustomFolders, log) {
+  try {
+    const folders = typeof getCustomFolders === 'function' ? getCustomFolders() : [];
+    return Array.isArray(folders) ? folders : [];
+  } catch (error) {
+    log.warn('[FILE-OPS] Could not read smart folders for organize modes', {
+      error: error.message
+    });
+    return [];
+  }
+}
+
+/**
+ * Transfer mode for the batch from settings; moves when settings are unavailable
+ */
+async function getTransferSettings(settingsService, log) {
+  try {
+    const settings = (await settingsService?.load?.()) || {};
+    return {
+      transferMode: normalizeTransferMode(settings.organizeTransferMode),
+      sourceRetention: normalizeSourceRetention(settings.copySourceRetention)
+    };
+  } catch (error) {
+    log.warn('[FILE-OPS] Could not read transfer settings, moving files', {
+      error: error.message
+    });
+    return { transferMode: 'move', sourceRetention: 'keep' };
+  }
+}
+
+/**
+ * Copy the source into place, verify it and apply the retention policy.
+ * A destination already holding an identical copy is reused rather than
+ * copied again, which is also how a re-imported card picks up where it left off.
+ * Once the batch signal aborts, the source is never touched: a copy made by
+ * this call is removed again and the abort is rethrown.
+ */
+async function performVerifiedCopy(op, { signal, onBytes, onVerify, recordProgress }) {
+  const { size } = await fs.stat(op.source);
+  await removePartialCopy(op.destination);
+
+  let destination = op.destination;
+  let checksum = await findVerifiedCopy(op.source, destination);
+  const alreadyCopied = Boolean(checksum);
+  if (!alreadyCopied) {
+    destination = await findAvailablePath(destination);
+    // Persist the final name first so a resume can find (and clear) a partial copy
+    await recordProgress({ destination });
+    const deadlineMs =
+      TIMEOUTS.FILE_COPY + Math.ceil((2 * size) / COPY_MIN_BYTES_PER_SECOND) * 1000;
+    ({ checksum } = await copyFileVerified(op.source, destination, {
+      onBytes,
+      onVerify,
+      signal: AbortSignal.any([signal, AbortSignal.timeout(deadlineMs)])
+    }));
+  }
+  if (signal.aborted) {
+    // The batch is rolling back; leave the source where it was
+    if (!alreadyCopied) await fs.unlink(destination).catch(() => {});
+    signal.throwIfAborted();
+  }
+  await recordProgress({ destination, copyVerified: true });
+
+  const { archivePath } = await applySourceRetention(op.source, op.sourceRetention);
+  return { destination, archivePath, checksum, alreadyCopied };
+}
+
+/**
+ * Link the source into a link-based smart folder, leaving it in place
+ */
+async function performFileLink(op, organizeMode) {
+  const linkService = getVirtualLinkService();
+  if (!linkService) {
+    throw new Error('Virtual links are unavailable; cannot organize into a link-based folder');
+  }
+  return linkService.createLink(op.source, op.destination, organizeMode);
+}
+
 /**
  * Perform a single file move with collision handling
  */
@@ -812,11 +1101,31 @@ async function recordUndoAndUpdateDatabase(
   try {
     const undoOps = results
       .filter((r) => r.success && r.source && r.destination && !r.skipped)
-      .map((r) => ({
-        type: 'move',
-        originalPath: r.source,
-        newPath: r.destination
-      }));
+      .map((r) => {
+        if (r.operation === 'link') {
+          return {
+            type: 'virtual_link',
+            originalPath: r.source,
+            newPath: r.destination,
+            linkType: r.linkType
+          };
+        }
+        if (r.operation === 'copy') {
+          return {
+            type: 'copy',
+            originalPath: r.source,
+            newPath: r.destination,
+            sourceRetention: r.sourceRetention,
+            archivePath: r.archivePath,
+            checksum: r.checksum
+          };
+        }
+        return {
+          type: 'move',
+          originalPath: r.source,
+          newPath: r.destination
+        };
+      });
 
     if (undoOps.length > 0) {
       await getServiceIntegration()?.undoRedo?.recordAction?.(ACTION_TYPES.BATCH_OPERATION, {
@@ -829,13 +1138,21 @@ async function recordUndoAndUpdateDatabase(
 
   // Update path-dependent systems for batch moves
   if (successCount > 0) {
+    // Linked files did not move, so only moves change indexed paths. A copy
+    // whose source was deleted or archived takes over the source's entries;
+    // one whose source was kept gets entries of its own.
     const successfulResults = results.filter(
-      (r) => r.success && r.source && r.destination && !r.skipped
+      (r) => r.success && r.source && r.destination && !r.skipped && r.operation !== 'link'
     );
-    const pathChanges = successfulResults.map((r) => ({
-      oldPath: r.source,
-      newPath: r.destination
-    }));
+    const keptCopies = successfulResults.filter(
+      (r) => r.operation === 'copy' && r.sourceRetention === 'keep'
+    );
+    const pathChanges = successfulResults
+      .filter((r) => !keptCopies.includes(r))
+      .map((r) => ({
+        oldPath: r.source,
+        newPath: r.destination
+      }));
 
     // Try to use FilePathCoordinator for atomic batch updates
     const coordinator = getFilePathCoordinator();
@@ -874,6 +1191,20 @@ async function recordUndoAndUpdateDatabase(
       });
     }
 
+    if (coordinator && keptCopies.length > 0) {
+      for (const copy of keptCopies) {
+        try {
+          await coordinator.handleFileCopy(copy.source, copy.destination);
+        } catch (copyErr) {
+          log.warn('[FILE-OPS] FilePathCoordinator copy handling failed', {
+            batchId,
+            destination: copy.destination,
+            error: copyErr.message
+          });
+        }
+      }
+    }
+
     // Sync embeddings based on final smart folder destinations (background, best effort)
     if (pathChanges.length > 0) {
       setImmediate(() => {
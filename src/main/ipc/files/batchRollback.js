@@ -8,6 +8,26 @@ const path = require('path');
 const fs = require('fs').promises;
 const { app } = require('electron');
 const { crossDeviceMove } = require('../../../shared/atomicFileOperations');
+const { getVirtualLinkService } = require('../../services/VirtualLinkService');
+const { revertVerifiedCopy } = require('../../utils/verifiedCopy');
+
+/**
+ * Move a file back, copying across devices when a rename cannot
+ */
+async function moveBack(from, to) {
+  try {
+    await fs.rename(from, to);
+  } catch (renameError) {
+    if (renameError.code === 'EXDEV') {
+      await fs.mkdir(path.dirname(to), { recursive: true });
+      await crossDeviceMove(from, to, {
+        verify: true
+      });
+    } else {
+      throw renameError;
+    }
+  }
+}
 
 /**
  * Execute rollback of completed operations
@@ -56,18 +76,24 @@ async function executeRollback(
 
   for (const completedOp of [...completedOperations].reverse()) {
     try {
-      try {
-        await fs.rename(completedOp.destination, completedOp.source);
-      } catch (renameError) {
-        if (renameError.code === 'EXDEV') {
-          const sourceDir = path.dirname(completedOp.source);
-          await fs.mkdir(sourceDir, { recursive: true });
-          await crossDeviceMove(completedOp.destination, completedOp.source, {
-            verify: true
-          });
+      if (completedOp.linkType) {
+        // The original never moved; only the link in the smart folder goes
+        const linkService = getVirtualLinkService();
+        if (linkService) {
+          const removal = await linkService.removeLink(completedOp.destination, completedOp.source);
+          if (!removal.success) throw new Error(removal.error);
         } else {
-          throw renameError;
+          await fs.unlink(completedOp.destination);
         }
+        rollbackSuccessCount++;
+        rollbackResults.push({ success: true, file: completedOp.source });
+        continue;
+      }
+      if (completedOp.sourceRetention) {
+        // Copy mode: restore an archived or deleted source, then drop the copy
+        await revertVerifiedCopy(completedOp, moveBack);
+      } else {
+        await moveBack(completedOp.destination, completedOp.source);
       }
       rollbackSuccessCount++;
       rollbackResults.push({ success: true, file: completedOp.source });
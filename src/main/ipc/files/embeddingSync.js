@@ -7,6 +7,7 @@ const { getPathVariants } = require('../../utils/fileIdUtils');
 const { organizeQueue } = require('../../analysis/embeddingQueue/stageQueues');
 const embeddingQueueManager = require('../../analysis/embeddingQueue/queueManager');
 const { shouldEmbed } = require('../../services/embedding/embeddingGate');
+const { getSensitivityLevel } = require('../../../shared/sensitiveData');
 
 const logger =
   typeof createLogger === 'function' ? createLogger('IPC:Files:EmbeddingSync') : baseLogger;
@@ -38,7 +39,8 @@ function resolveServices() {
       chromaDbService: safeResolve(ServiceIds.CHROMA_DB),
       analysisHistoryService: safeResolve(ServiceIds.ANALYSIS_HISTORY),
       folderMatchingService: safeResolve(ServiceIds.FOLDER_MATCHING),
-      learningFeedbackService: safeResolve(ServiceIds.LEARNING_FEEDBACK)
+      learningFeedbackService: safeResolve(ServiceIds.LEARNING_FEEDBACK),
+      fileAnnotationService: safeResolve(ServiceIds.FILE_ANNOTATIONS)
     };
   } catch (error) {
     logger.debug('[EmbeddingSync] Failed to resolve services:', error?.message);
@@ -46,7 +48,8 @@ function resolveServices() {
       chromaDbService: null,
       analysisHistoryService: null,
       folderMatchingService: null,
-      learningFeedbackService: null
+      learningFeedbackService: null,
+      fileAnnotationService: null
     };
   }
 }
@@ -58,6 +61,23 @@ function getSmartFolderForPath(destPath, services, smartFoldersOverride) {
   return findContainingSmartFolder(destPath, folders);
 }
 
+/**
+ * User tags/notes for the file, checked at the destination first since the
+ * coordinator may not have carried them over from the source yet.
+ */
+async function getFileAnnotation(services, destPath, sourcePath) {
+  const annotationService = services.fileAnnotationService;
+  if (!annotationService?.get) return null;
+  try {
+    return (
+      (await annotationService.get(destPath)) ||
+      (sourcePath && sourcePath !== destPath ? await annotationService.get(sourcePath) : null)
+    );
+  } catch {
+    return null;
+  }
+}
+
 function normalizeConfidence(confidence) {
   if (typeof confidence !== 'number') return 0;
   return confidence > 1 ? Math.round(confidence) : Math.round(confidence * 100);
@@ -98,6 +118,7 @@ function buildEmbeddingMeta({
     documentType,
     keyEntities: Array.isArray(analysis.keyEntities) ? analysis.keyEntities.slice(0, 20) : [],
     extractedText: extractedText.substring(0, 5000),
+    sensitivity: getSensitivityLevel(analysis),
     smartFolder: smartFolder?.name || null,
     smartFolderPath: smartFolder?.path || null
   };
@@ -108,6 +129,10 @@ function buildEmbeddingMeta({
     meta.has_text = analysis.has_text === true;
   }
 
+  if (analysis.thumbnailPath) {
+    meta.thumbnailPath = analysis.thumbnailPath;
+  }
+
   return meta;
 }
 
@@ -196,6 +221,7 @@ async function syncEmbeddingForMove({
   destPath,
   smartFolders,
   operation = 'move',
+  forceReembed = false,
   log = logger
 }) {
   if (!destPath) return { action: 'skipped', reason: 'missing-dest' };
@@ -204,6 +230,10 @@ async function syncEmbeddingForMove({
   const smartFolder = getSmartFolderForPath(destPath, services, smartFolders);
 
   if (!smartFolder) {
+    // A refresh leaves whatever is indexed alone; only moves change eligibility
+    if (operation === 'refresh') {
+      return { action: 'skipped', reason: 'not-smart-folder' };
+    }
     await removeEmbeddingsForPath(destPath, services, log);
     // IMPORTANT: For copies, never remove the source file's embeddings.
     if (operation !== 'copy' && sourcePath && sourcePath !== destPath) {
@@ -252,7 +282,10 @@ async function syncEmbeddingForMove({
     return { action: 'skipped', reason: `disabled:${gate.timing}:${gate.policy}` };
   }
 
-  const analysis = entry.analysis || {};
+  const annotation = await getFileAnnotation(services, destPath, sourcePath);
+  const analysis = annotation
+    ? { ...entry.analysis, userTags: annotation.tags, userNote: annotation.note }
+    : entry.analysis || {};
   const fileExtension = path.extname(destPath).toLowerCase();
   const type = isImagePath(destPath) || analysis.type === 'image' ? 'image' : 'document';
   const embeddingSummary = buildEmbeddingSummary(
@@ -282,7 +315,7 @@ async function syncEmbeddingForMove({
   // Optimization: if an embedding already exists for this destination ID, update metadata
   // in-place via ChromaDB (avoids recomputing vectors during moves).
   const chromaDbService = services.chromaDbService;
-  if (chromaDbService?.updateFilePaths) {
+  if (!forceReembed && chromaDbService?.updateFilePaths) {
     try {
       await chromaDbService.initialize?.();
       if (chromaDbService.isOnline) {
@@ -360,8 +393,25 @@ async function syncEmbeddingForMove({
   return { action: 'enqueued', smartFolder: smartFolder.name };
 }
 
+/**
+ * Re-embed a file in place, e.g. after its user tags or note changed.
+ * @param {string} filePath
+ * @param {Object} [options]
+ * @param {Object} [options.log]
+ * @returns {Promise<{action: string, reason?: string}>}
+ */
+async function refreshEmbeddingForPath(filePath, { log = logger } = {}) {
+  return syncEmbeddingForMove({
+    destPath: filePath,
+    operation: 'refresh',
+    forceReembed: true,
+    log
+  });
+}
+
 module.exports = {
   syncEmbeddingForMove,
+  refreshEmbeddingForPath,
   removeEmbeddingsForPath,
   removeEmbeddingsForPathBestEffort
 };
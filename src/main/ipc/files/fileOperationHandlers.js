@@ -252,7 +252,13 @@ async function deleteFromDatabase(filePath, log) {
 /**
  * Create the perform operation handler
  */
-function createPerformOperationHandler({ logger: log, getServiceIntegration, getMainWindow }) {
+function createPerformOperationHandler({
+  logger: log,
+  getServiceIntegration,
+  getMainWindow,
+  getCustomFolders,
+  settingsService
+}) {
   return async (event, operation) => {
     // FIX: Validate operation object before processing
     if (!operation || typeof operation !== 'object') {
@@ -672,7 +678,9 @@ function createPerformOperationHandler({ logger: log, getServiceIntegration, get
             operation,
             logger: log,
             getServiceIntegration,
-            getMainWindow
+            getMainWindow,
+            getCustomFolders,
+            settingsService
           });
 
         default:
@@ -706,12 +714,16 @@ function registerFileOperationHandlers(servicesOrParams) {
   const { ipcMain, IPC_CHANNELS, logger } = container.core;
   const { getMainWindow } = container.electron;
   const { getServiceIntegration } = container;
+  const { getCustomFolders } = container.folders || {};
+  const { settingsService } = container.settings || {};
 
   const log = logger || require('../../../shared/logger').logger;
   const baseHandler = createPerformOperationHandler({
     logger: log,
     getServiceIntegration,
-    getMainWindow
+    getMainWindow,
+    getCustomFolders,
+    settingsService
   });
 
   // Create handler with or without Zod validation
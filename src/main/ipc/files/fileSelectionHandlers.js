@@ -11,6 +11,7 @@ const fs = require('fs').promises;
 const {
   SUPPORTED_DOCUMENT_EXTENSIONS,
   SUPPORTED_IMAGE_EXTENSIONS,
+  SUPPORTED_AUDIO_EXTENSIONS,
   SUPPORTED_ARCHIVE_EXTENSIONS,
   SUPPORTED_3D_EXTENSIONS,
   SUPPORTED_DESIGN_EXTENSIONS
@@ -80,17 +81,19 @@ function buildFileFilters() {
 
   const docs = stripDot([...SUPPORTED_DOCUMENT_EXTENSIONS, '.txt', '.md', '.rtf']);
   const images = stripDot(SUPPORTED_IMAGE_EXTENSIONS);
+  const audio = stripDot(SUPPORTED_AUDIO_EXTENSIONS);
   const archives = stripDot(SUPPORTED_ARCHIVE_EXTENSIONS);
   const models3d = stripDot(SUPPORTED_3D_EXTENSIONS);
   const designs = stripDot(SUPPORTED_DESIGN_EXTENSIONS);
   const allSupported = Array.from(
-    new Set([...docs, ...images, ...archives, ...models3d, ...designs])
+    new Set([...docs, ...images, ...audio, ...archives, ...models3d, ...designs])
   );
 
   return [
     { name: 'All Supported Files', extensions: allSupported },
     { name: 'Documents', extensions: docs },
     { name: 'Images', extensions: images },
+    { name: 'Audio', extensions: audio },
     { name: 'Archives', extensions: archives },
     { name: '3D Models', extensions: models3d },
     { name: 'Design Files', extensions: designs },
@@ -106,6 +109,7 @@ function getSupportedExtensions() {
     new Set([
       ...SUPPORTED_DOCUMENT_EXTENSIONS,
       ...SUPPORTED_IMAGE_EXTENSIONS,
+      ...SUPPORTED_AUDIO_EXTENSIONS,
       ...SUPPORTED_ARCHIVE_EXTENSIONS,
       ...SUPPORTED_3D_EXTENSIONS,
       ...SUPPORTED_DESIGN_EXTENSIONS,
@@ -12,6 +12,7 @@ const { registerFileSelectionHandlers } = require('./fileSelectionHandlers');
 const { registerFileOperationHandlers } = require('./fileOperationHandlers');
 const { registerFolderHandlers } = require('./folderHandlers');
 const { registerShellHandlers } = require('./shellHandlers');
+const { registerPreviewHandlers } = require('./previewHandlers');
 
 // Re-export batch handler components for direct access if needed
 const {
@@ -45,6 +46,9 @@ function registerFilesIpc(servicesOrParams) {
 
   // Register shell handlers (OPEN_FILE, REVEAL_FILE)
   registerShellHandlers(container);
+
+  // Register preview handlers (GET_PREVIEW)
+  registerPreviewHandlers(container);
 }
 
 module.exports = registerFilesIpc;
@@ -55,6 +59,7 @@ module.exports.registerFileSelectionHandlers = registerFileSelectionHandlers;
 module.exports.registerFileOperationHandlers = registerFileOperationHandlers;
 module.exports.registerFolderHandlers = registerFolderHandlers;
 module.exports.registerShellHandlers = registerShellHandlers;
+module.exports.registerPreviewHandlers = registerPreviewHandlers;
 module.exports.handleBatchOrganize = handleBatchOrganize;
 module.exports.computeFileChecksum = computeFileChecksum;
 module.exports.MAX_BATCH_SIZE = MAX_BATCH_SIZE;
@@ -0,0 +1,98 @@
+/**
+ * Preview Handlers
+ *
+ * Serves the in-app preview pane (rendered images / PDF pages and document text).
+ *
+ * @module ipc/files/previewHandlers
+ */
+
+const { withErrorLogging, safeHandle } = require('../ipcWrappers');
+const { createLogger } = require('../../../shared/logger');
+const { validateFileOperationPath } = require('../../../shared/pathSanitization');
+const { buildFilePreview } = require('../../analysis/filePreview');
+
+const logger = createLogger('IPC:Files:Preview');
+const { IpcServiceContext, createFromLegacyParams } = require('../IpcServiceContext');
+
+/**
+ * Get AnalysisHistoryService from ServiceContainer if available
+ * @returns {Object|null} AnalysisHistoryService instance or null
+ */
+function getAnalysisHistoryService() {
+  try {
+    const { container, ServiceIds } = require('../../services/ServiceContainer');
+    if (container.has(ServiceIds.ANALYSIS_HISTORY)) {
+      return container.resolve(ServiceIds.ANALYSIS_HISTORY);
+    }
+  } catch (error) {
+    logger.debug('[PREVIEW] AnalysisHistoryService unavailable:', error?.message);
+  }
+  return null;
+}
+
+/**
+ * Register file preview IPC handlers
+ *
+ * @param {IpcServiceContext|Object} servicesOrParams - Service context or legacy parameters
+ */
+function registerPreviewHandlers(servicesOrParams) {
+  let container;
+  if (servicesOrParams instanceof IpcServiceContext) {
+    container = servicesOrParams;
+  } else {
+    container = createFromLegacyParams(servicesOrParams);
+  }
+
+  const { ipcMain, IPC_CHANNELS } = container.core;
+
+  safeHandle(
+    ipcMain,
+    IPC_CHANNELS.FILES.GET_PREVIEW,
+    withErrorLogging(logger, async (event, filePath, options = {}) => {
+      try {
+        if (!filePath || typeof filePath !== 'string') {
+          return {
+            success: false,
+            error: 'Invalid file path provided',
+            errorCode: 'INVALID_PATH'
+          };
+        }
+
+        const validation = await validateFileOperationPath(filePath, {
+          checkSymlinks: true
+        });
+
+        if (!validation.valid) {
+          logger.warn('[PREVIEW] Preview path validation failed', {
+            filePath,
+            error: validation.error
+          });
+          return {
+            success: false,
+            error: validation.error,
+            errorCode: 'INVALID_PATH'
+          };
+        }
+
+        const safeOptions = options && typeof options === 'object' ? options : {};
+        return await buildFilePreview(validation.normalizedPath, {
+          page: Number.isInteger(safeOptions.page) ? safeOptions.page : 1,
+          includeText: safeOptions.includeText !== false,
+          historyService: getAnalysisHistoryService()
+        });
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return {
+            success: false,
+            error: 'File not found or inaccessible',
+            errorCode: 'FILE_NOT_FOUND'
+          };
+        }
+        logger.error('[PREVIEW] Error building preview:', error);
+        return { success: false, error: error.message };
+      }
+    })
+  );
+}
+
+module.exports = { registerPreviewHandlers };
@@ -0,0 +1,153 @@
+const fs = require('fs').promises;
+const { dialog } = require('electron');
+const { registerHandlers } = require('./ipcWrappers');
+const { IpcServiceContext, createFromLegacyParams } = require('./IpcServiceContext');
+const { schemas } = require('./validationSchemas');
+const { GraphWorkspaceStore } = require('../services/GraphWorkspaceStore');
+
+const EXPORT_FILTERS = {
+  graphml: { name: 'GraphML', extensions: ['graphml'] },
+  gexf: { name: 'GEXF (Gephi)', extensions: ['gexf'] },
+  json: { name: 'JSON', extensions: ['json'] },
+  svg: { name: 'SVG Image', extensions: ['svg'] },
+  png: { name: 'PNG Image', extensions: ['png'] }
+};
+
+const PNG_DATA_URL_PREFIX = 'data:image/png;base64,';
+
+function safeFileName(name, fallback) {
+  return (
+    String(name || '')
+      .replace(/[^\w\- ]+/g, '')
+      .trim()
+      .slice(0, 60) || fallback
+  );
+}
+
+function registerGraphWorkspacesIpc(servicesOrParams) {
+  let context;
+  if (servicesOrParams instanceof IpcServiceContext) {
+    context = servicesOrParams;
+  } else {
+    context = createFromLegacyParams(servicesOrParams);
+  }
+
+  const { ipcMain, IPC_CHANNELS, logger } = context.core;
+
+  const store = new GraphWorkspaceStore();
+  const getStore = () => store;
+  const unavailable = { success: false, error: 'Graph workspaces unavailable' };
+
+  const saveWithDialog = async (title, name, format, contents) => {
+    const result = await dialog.showSaveDialog({
+      title,
+      defaultPath: `${safeFileName(name, 'graph')}.${format}`,
+      filters: [EXPORT_FILTERS[format], { name: 'All Files', extensions: ['*'] }]
+    });
+    if (result.canceled || !result.filePath) {
+      return { success: false, canceled: true };
+    }
+    await fs.writeFile(result.filePath, contents);
+    return { success: true, path: result.filePath };
+  };
+
+  registerHandlers({
+    ipcMain,
+    logger,
+    context: 'GraphWorkspaces',
+    handlers: {
+      [IPC_CHANNELS.GRAPH_WORKSPACES.LIST]: {
+        serviceName: 'graphWorkspaces',
+        getService: getStore,
+        fallbackResponse: unavailable,
+        handler: async (event, service) => ({
+          success: true,
+          workspaces: await service.list()
+        })
+      },
+      [IPC_CHANNELS.GRAPH_WORKSPACES.GET]: {
+        schema: schemas.graphWorkspaceId,
+        serviceName: 'graphWorkspaces',
+        getService: getStore,
+        fallbackResponse: unavailable,
+        handler: async (event, { id }, service) => {
+          const workspace = await service.get(id);
+          return workspace
+            ? { success: true, workspace }
+            : { success: false, error: 'Workspace not found' };
+        }
+      },
+      [IPC_CHANNELS.GRAPH_WORKSPACES.SAVE]: {
+        schema: schemas.graphWorkspaceSave,
+        serviceName: 'graphWorkspaces',
+        getService: getStore,
+        fallbackResponse: unavailable,
+        handler: async (event, workspace, service) => {
+          const saved = await service.save(workspace);
+          return saved
+            ? { success: true, workspace: saved }
+            : { success: false, error: 'Workspace not found' };
+        }
+      },
+      [IPC_CHANNELS.GRAPH_WORKSPACES.RENAME]: {
+        schema: schemas.graphWorkspaceRename,
+        serviceName: 'graphWorkspaces',
+        getService: getStore,
+        fallbackResponse: unavailable,
+        handler: async (event, { id, name }, service) => {
+          const workspace = await service.rename(id, name);
+          return workspace
+            ? { success: true, workspace }
+            : { success: false, error: 'Workspace not found' };
+        }
+      },
+      [IPC_CHANNELS.GRAPH_WORKSPACES.DELETE]: {
+        schema: schemas.graphWorkspaceId,
+        serviceName: 'graphWorkspaces',
+        getService: getStore,
+        fallbackResponse: unavailable,
+        handler: async (event, { id }, service) => ({
+          success: true,
+          removed: await service.remove(id)
+        })
+      },
+      [IPC_CHANNELS.GRAPH_WORKSPACES.EXPORT]: {
+        schema: schemas.graphWorkspaceExport,
+        serviceName: 'graphWorkspaces',
+        getService: getStore,
+        fallbackResponse: unavailable,
+        handler: async (event, { id, format }, service) => {
+          const workspace = await service.get(id);
+          if (!workspace) {
+            return { success: false, error: 'Workspace not found' };
+          }
+          const result = await saveWithDialog(
+            'Export Graph',
+            workspace.name,
+            format,
+            await service.export(id, format)
+          );
+          if (result.success) logger.info('[GraphWorkspaces] Exported workspace', { id, format });
+          return result;
+        }
+      },
+      [IPC_CHANNELS.GRAPH_WORKSPACES.SAVE_SNAPSHOT]: {
+        schema: schemas.graphSnapshot,
+        handler: async (event, { name, format, data }) => {
+          let contents = data;
+          if (format === 'png') {
+            if (!data.startsWith(PNG_DATA_URL_PREFIX)) {
+              return { success: false, error: 'Snapshot must be a PNG data URL' };
+            }
+            contents = Buffer.from(data.slice(PNG_DATA_URL_PREFIX.length), 'base64');
+          } else if (!/^\s*<svg[\s>]/.test(data)) {
+            return { success: false, error: 'Snapshot must be an SVG document' };
+          }
+          return saveWithDialog('Save Graph Snapshot', name, format, contents);
+        }
+      }
+    }
+  });
+}
+
+module.exports = registerGraphWorkspacesIpc;
@@ -14,6 +14,13 @@ const { registerChromaDBIpc } = require('./chromadb');
 const { registerDependenciesIpc } = require('./dependencies');
 const registerChatIpc = require('./chat');
 const registerKnowledgeIpc = require('./knowledge');
+const registerDuplicatesIpc = require('./duplicates');
+const registerSchedulesIpc = require('./schedules');
+const registerLocalApiIpc = require('./localApi');
+const registerGraphWorkspacesIpc = require('./graphWorkspaces');
+const registerFileAnnotationsIpc = require('./fileAnnotations');
+const registerSavedSearchesIpc = require('./savedSearches');
+const registerVirtualLinksIpc = require('./virtualLinks');
 const { IpcServiceContext, createFromLegacyParams } = require('./IpcServiceContext');
 
 // Export IPC utilities for handler creation
@@ -98,6 +105,13 @@ function registerAllIpc(servicesOrParams) {
   registerDependenciesIpc(container);
   registerChatIpc(container);
   registerKnowledgeIpc(container);
+  registerDuplicatesIpc(container);
+  registerSchedulesIpc(container);
+  registerLocalApiIpc(container);
+  registerGraphWorkspacesIpc(container);
+  registerFileAnnotationsIpc(container);
+  registerSavedSearchesIpc(container);
+  registerVirtualLinksIpc(container);
 
   // Register suggestions and organize handlers
   // These handlers manage their own service availability checks
@@ -0,0 +1,52 @@
+const { registerHandlers } = require('./ipcWrappers');
+const { IpcServiceContext, createFromLegacyParams } = require('./IpcServiceContext');
+const { container, ServiceIds } = require('../services/ServiceContainer');
+
+function registerLocalApiIpc(servicesOrParams) {
+  let context;
+  if (servicesOrParams instanceof IpcServiceContext) {
+    context = servicesOrParams;
+  } else {
+    context = createFromLegacyParams(servicesOrParams);
+  }
+
+  const { ipcMain, IPC_CHANNELS, logger } = context.core;
+
+  const getServer = () => {
+    try {
+      return container.tryResolve(ServiceIds.LOCAL_API_SERVER);
+    } catch {
+      return null;
+    }
+  };
+
+  const unavailable = { success: false, error: 'Local API unavailable' };
+
+  registerHandlers({
+    ipcMain,
+    logger,
+    context: 'LocalApi',
+    handlers: {
+      [IPC_CHANNELS.LOCAL_API.GET_STATUS]: {
+        serviceName: 'localApiServer',
+        getService: getServer,
+        fallbackResponse: unavailable,
+        handler: async (event, service) => ({
+          success: true,
+          status: await service.getStatus()
+        })
+      },
+      [IPC_CHANNELS.LOCAL_API.REGENERATE_TOKEN]: {
+        serviceName: 'localApiServer',
+        getService: getServer,
+        fallbackResponse: unavailable,
+        handler: async (event, service) => ({
+          success: true,
+          token: await service.regenerateToken()
+        })
+      }
+    }
+  });
+}
+
+module.exports = registerLocalApiIpc;
@@ -5,7 +5,8 @@ const { withErrorLogging, safeHandle, safeSend } = require('./ipcWrappers');
 const { SERVICE_URLS } = require('../../shared/configDefaults');
 const { normalizeOllamaUrl } = require('../ollamaUtils');
 const { LENIENT_URL_PATTERN } = require('../../shared/validationConstants');
-const { categorizeModels } = require('../../shared/modelCategorization');
+const { categorizeModelsForRoles } = require('../../shared/llmProviders');
+const { getActiveProviderConfig } = require('../services/llmProviders');
 const { TIMEOUTS } = require('../../shared/performanceConstants');
 
 /**
@@ -125,8 +126,9 @@ function registerOllamaIpc(servicesOrParams) {
         );
         const models = response.models || [];
 
-        // Use shared categorization utility (handles sorting)
-        const categories = categorizeModels(models);
+        // Each role only offers models from the provider that serves it
+        const providers = getActiveProviderConfig();
+        const categories = categorizeModelsForRoles(models, providers);
 
         // Ensure we update health on every models fetch
         // FIX: Race condition - check if update is newer than last check
@@ -145,6 +147,12 @@ function registerOllamaIpc(servicesOrParams) {
         return {
           models: models.map((m) => m.name),
           categories,
+          providers: {
+            text: providers.text,
+            vision: providers.vision,
+            embedding: providers.embedding
+          },
+          providerErrors: response.errors || [],
           selected: {
             textModel: getOllamaModel(),
             visionModel: getOllamaVisionModel(),
@@ -10,6 +10,7 @@ const { schemas } = require('./validationSchemas');
 const { createLogger } = require('../../shared/logger');
 const { isNotFoundError } = require('../../shared/errorClassifier');
 const { safeFilePath } = require('../utils/safeAccess');
+const { semanticRenameService } = require('../services/SemanticRenameService');
 const fs = require('fs').promises;
 
 const logger = createLogger('IPC:Organize');
@@ -570,6 +571,33 @@ function registerOrganizeIpc(servicesOrParams) {
     })
   );
 
+  // Preview a template-based bulk rename (applied by the renderer as a batch_organize operation)
+  safeHandle(
+    ipcMain,
+    IPC_CHANNELS.ORGANIZE.PREVIEW_RENAME,
+    createHandler({
+      logger,
+      context,
+      schema: schemas?.renamePreview,
+      serviceName: 'semanticRenameService',
+      getService: () => semanticRenameService,
+      fallbackResponse: {
+        success: false,
+        error: 'Rename service not available',
+        preview: []
+      },
+      handler: async (event, { files, template, options }, service) => {
+        try {
+          const preview = await service.previewBatch(files, template, options || {});
+          return { success: true, preview };
+        } catch (error) {
+          logger.error('[ORGANIZE] Rename preview failed:', error);
+          return createErrorResponse(error, { preview: [] });
+        }
+      }
+    })
+  );
+
   logger.info('[IPC] Auto-organize handlers registered');
 }
 
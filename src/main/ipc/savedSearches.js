@@ -0,0 +1,126 @@
+const { registerHandlers, safeSend } = require('./ipcWrappers');
+const { IpcServiceContext, createFromLegacyParams } = require('./IpcServiceContext');
+const { schemas } = require('./validationSchemas');
+const { container, ServiceIds } = require('../services/ServiceContainer');
+
+// Forwarder for the current service; replaced if handlers are re-registered
+let detachChangeListener = null;
+
+function registerSavedSearchesIpc(servicesOrParams) {
+  let context;
+  if (servicesOrParams instanceof IpcServiceContext) {
+    context = servicesOrParams;
+  } else {
+    context = createFromLegacyParams(servicesOrParams);
+  }
+
+  const { ipcMain, IPC_CHANNELS, logger } = context.core;
+  const { getMainWindow } = context.electron;
+
+  const getService = () => {
+    try {
+      return container.tryResolve(ServiceIds.SAVED_SEARCHES);
+    } catch {
+      return null;
+    }
+  };
+
+  // Refreshes after indexing happen without a renderer request, so push them to the window
+  detachChangeListener?.();
+  detachChangeListener = null;
+  const savedSearches = getService();
+  if (savedSearches?.on) {
+    const forwardChange = (payload) => {
+      const win = getMainWindow?.();
+      if (win && !win.isDestroyed()) {
+        safeSend(win.webContents, IPC_CHANNELS.SAVED_SEARCHES.CHANGED, payload);
+      }
+    };
+    savedSearches.on('changed', forwardChange);
+    detachChangeListener = () => savedSearches.off('changed', forwardChange);
+  }
+
+  const unavailable = { success: false, error: 'Saved searches unavailable' };
+  const notFound = { success: false, error: 'Saved search not found' };
+
+  registerHandlers({
+    ipcMain,
+    logger,
+    context: 'SavedSearches',
+    handlers: {
+      [IPC_CHANNELS.SAVED_SEARCHES.LIST]: {
+        serviceName: 'savedSearches',
+        getService,
+        fallbackResponse: unavailable,
+        handler: async (event, service) => ({
+          success: true,
+          searches: await service.list()
+        })
+      },
+      [IPC_CHANNELS.SAVED_SEARCHES.GET]: {
+        schema: schemas.savedSearchId,
+        serviceName: 'savedSearches',
+        getService,
+        fallbackResponse: unavailable,
+        handler: async (event, { id }, service) => {
+          const search = await service.get(id);
+          return search ? { success: true, search } : notFound;
+        }
+      },
+      [IPC_CHANNELS.SAVED_SEARCHES.CREATE]: {
+        schema: schemas.savedSearchCreate,
+        serviceName: 'savedSearches',
+        getService,
+        fallbackResponse: unavailable,
+        handler: async (event, input, service) => {
+          const search = await service.create(input);
+          return search
+            ? { success: true, search }
+            : { success: false, error: 'Saved search limit reached' };
+        }
+      },
+      [IPC_CHANNELS.SAVED_SEARCHES.UPDATE]: {
+        schema: schemas.savedSearchUpdate,
+        serviceName: 'savedSearches',
+        getService,
+        fallbackResponse: unavailable,
+        handler: async (event, { id, ...changes }, service) => {
+          const search = await service.update(id, changes);
+          return search ? { success: true, search } : notFound;
+        }
+      },
+      [IPC_CHANNELS.SAVED_SEARCHES.DELETE]: {
+        schema: schemas.savedSearchId,
+        serviceName: 'savedSearches',
+        getService,
+        fallbackResponse: unavailable,
+        handler: async (event, { id }, service) => ({
+          success: true,
+          removed: await service.remove(id)
+        })
+      },
+      [IPC_CHANNELS.SAVED_SEARCHES.MARK_VIEWED]: {
+        schema: schemas.savedSearchId,
+        serviceName: 'savedSearches',
+        getService,
+        fallbackResponse: unavailable,
+        handler: async (event, { id }, service) => {
+          const search = await service.markViewed(id);
+          return search ? { success: true, search } : notFound;
+        }
+      },
+      [IPC_CHANNELS.SAVED_SEARCHES.REFRESH]: {
+        schema: schemas.savedSearchRefresh,
+        serviceName: 'savedSearches',
+        getService,
+        fallbackResponse: unavailable,
+        handler: async (event, { id } = {}, service) => ({
+          success: true,
+          searches: await service.refresh(id)
+        })
+      }
+    }
+  });
+}
+
+module.exports = registerSavedSearchesIpc;
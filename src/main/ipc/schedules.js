@@ -0,0 +1,110 @@
+const { registerHandlers, safeSend } = require('./ipcWrappers');
+const { IpcServiceContext, createFromLegacyParams } = require('./IpcServiceContext');
+const { schemas } = require('./validationSchemas');
+const { container, ServiceIds } = require('../services/ServiceContainer');
+
+// Forwarder for the current scheduler; replaced if handlers are re-registered
+let detachRunListener = null;
+
+function registerSchedulesIpc(servicesOrParams) {
+  let context;
+  if (servicesOrParams instanceof IpcServiceContext) {
+    context = servicesOrParams;
+  } else {
+    context = createFromLegacyParams(servicesOrParams);
+  }
+
+  const { ipcMain, IPC_CHANNELS, logger } = context.core;
+  const { getMainWindow } = context.electron;
+
+  const getScheduler = () => {
+    try {
+      return container.tryResolve(ServiceIds.ORGANIZATION_SCHEDULER);
+    } catch {
+      return null;
+    }
+  };
+
+  // Runs happen without a renderer request, so forward completions to the window
+  detachRunListener?.();
+  detachRunListener = null;
+  const scheduler = getScheduler();
+  if (scheduler?.on) {
+    const forwardRun = (summary) => {
+      const win = getMainWindow?.();
+      if (win && !win.isDestroyed()) {
+        safeSend(win.webContents, IPC_CHANNELS.SCHEDULES.RUN_COMPLETE, summary);
+      }
+    };
+    scheduler.on('run-complete', forwardRun);
+    detachRunListener = () => scheduler.off('run-complete', forwardRun);
+  }
+
+  const unavailable = { success: false, error: 'Scheduler unavailable' };
+
+  registerHandlers({
+    ipcMain,
+    logger,
+    context: 'Schedules',
+    handlers: {
+      [IPC_CHANNELS.SCHEDULES.GET_STATUS]: {
+        serviceName: 'organizationScheduler',
+        getService: getScheduler,
+        fallbackResponse: unavailable,
+        handler: async (event, service) => ({
+          success: true,
+          jobs: service.getJobStatus(),
+          runs: await service.listRuns()
+        })
+      },
+      [IPC_CHANNELS.SCHEDULES.GET_RUN]: {
+        schema: schemas.scheduleRunId,
+        serviceName: 'organizationScheduler',
+        getService: getScheduler,
+        fallbackResponse: unavailable,
+        handler: async (event, { runId }, service) => {
+          const run = await service.getRun(runId);
+          return run ? { success: true, run } : { success: false, error: 'Run not found' };
+        }
+      },
+      [IPC_CHANNELS.SCHEDULES.RUN_NOW]: {
+        schema: schemas.scheduleJobId,
+        serviceName: 'organizationScheduler',
+        getService: getScheduler,
+        fallbackResponse: unavailable,
+        handler: async (event, { jobId }, service) => {
+          if (!service.getJobStatus().some((job) => job.id === jobId)) {
+            return { success: false, error: 'Save settings before running a new job' };
+          }
+          if (service.isJobPending(jobId)) {
+            return { success: false, error: 'This job is already queued or running' };
+          }
+          // Sweeps analyze every file and can take minutes; the report arrives via RUN_COMPLETE
+          service.runJob(jobId, { trigger: 'manual' }).catch((error) => {
+            logger.error('[Schedules] Manual run failed', { jobId, error: error.message });
+          });
+          return { success: true, started: true };
+        }
+      },
+      [IPC_CHANNELS.SCHEDULES.UNDO_RUN]: {
+        schema: schemas.scheduleRunId,
+        serviceName: 'organizationScheduler',
+        getService: getScheduler,
+        fallbackResponse: unavailable,
+        handler: async (event, { runId }, service) => {
+          const result = await service.undoRun(runId);
+          // Same refresh signal as a regular undo so file lists pick up restored paths
+          if (result.success && event?.sender && !event.sender.isDestroyed()) {
+            safeSend(event.sender, IPC_CHANNELS.UNDO_REDO.STATE_CHANGED, {
+              action: 'undo',
+              result: { success: true }
+            });
+          }
+          return result;
+        }
+      }
+    }
+  });
+}
+
+module.exports = registerSchedulesIpc;
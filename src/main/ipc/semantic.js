@@ -8,6 +8,7 @@ const {
   getInstance: getParallelEmbeddingService
 } = require('../services/ParallelEmbeddingService');
 const { SearchService } = require('../services/SearchService');
+const { getInstance: getFileAnnotationService } = require('../services/FileAnnotationService');
 const { ClusteringService } = require('../services/ClusteringService');
 const { getInstance: getQueryProcessor } = require('../services/QueryProcessor');
 const { SUPPORTED_IMAGE_EXTENSIONS, AI_DEFAULTS } = require('../../shared/constants');
@@ -30,6 +31,7 @@ const {
 } = require('../ollamaUtils');
 const { chunkText } = require('../utils/textChunking');
 const { normalizeText } = require('../../shared/normalization');
+const { SEARCH_QUERY_VALUE_FIELDS } = require('../../shared/searchQuery');
 const { getFileEmbeddingId } = require('../utils/fileIdUtils');
 const {
   readEmbeddingIndexMetadata,
@@ -344,7 +346,8 @@ function registerEmbeddingsIpc(servicesOrParams) {
           analysisHistoryService: historyService,
           parallelEmbeddingService: embeddingService,
           ollamaService, // Pass OllamaService for LLM re-ranking
-          relationshipIndexService
+          relationshipIndexService,
+          fileAnnotationService: getFileAnnotationService()
         });
 
         // Store reference for cross-module access (e.g., fileOperationHandlers)
@@ -1882,7 +1885,10 @@ function registerEmbeddingsIpc(servicesOrParams) {
           graphExpansionMaxNeighbors,
           // Contextual chunk options
           chunkContext,
-          chunkContextMaxNeighbors
+          chunkContextMaxNeighbors,
+          // User tag filter
+          tags,
+          tagMatch
         } = {}
       ) => {
         const { MAX_TOP_K } = LIMITS;
@@ -2013,7 +2019,10 @@ function registerEmbeddingsIpc(servicesOrParams) {
             correctSpelling: Boolean(correctSpelling),
             // Re-ranking options
             rerank: Boolean(rerank),
-            rerankTopN
+            rerankTopN,
+            ...(Array.isArray(tags) && tags.length > 0
+              ? { tags, tagMatch: tagMatch === 'any' ? 'any' : 'all' }
+              : {})
           };
 
           const result = await service.hybridSearch(cleanQuery, searchOptions);
@@ -2273,6 +2282,28 @@ function registerEmbeddingsIpc(servicesOrParams) {
     })
   );
 
+  // Known values of a structured query field, for search box autocomplete
+  safeHandle(
+    ipcMain,
+    IPC_CHANNELS.EMBEDDINGS.GET_QUERY_VALUES,
+    createChromaHandler(async (event, { field, prefix = '', limit = 10 } = {}) => {
+      try {
+        if (!SEARCH_QUERY_VALUE_FIELDS.includes(field)) {
+          return { success: false, error: `Unsupported query field: ${field}` };
+        }
+        const service = await getSearchService();
+        const values = await service.getQueryFieldValues(field, {
+          prefix: typeof prefix === 'string' ? prefix.slice(0, 100) : '',
+          limit: Number.isInteger(limit) && limit > 0 && limit <= 50 ? limit : 10
+        });
+        return { success: true, values };
+      } catch (e) {
+        logger.error('[EMBEDDINGS] Get query values failed:', e);
+        return { success: false, error: e.message };
+      }
+    })
+  );
+
   // ============================================================================
   // Multi-Hop Expansion Handlers
   // ============================================================================
@@ -20,6 +20,7 @@ const { settingsSchema, backupPathSchema, z } = require('./validationSchemas');
 // Import centralized security configuration
 const { SETTINGS_VALIDATION, PROTOTYPE_POLLUTION_KEYS } = require('../../shared/securityConfig');
 const { validateFileOperationPathSync } = require('../../shared/pathSanitization');
+const { getProviderConfig } = require('../../shared/llmProviders');
 const {
   normalizeSlashes,
   normalizeProtocolCase,
@@ -37,8 +38,12 @@ const {
   NAMING_CONVENTIONS,
   CASE_CONVENTIONS,
   SMART_FOLDER_ROUTING_MODES,
+  SMART_FOLDER_RULE_MODES,
+  TRANSCRIPTION_BACKENDS,
+  VECTOR_STORE_BACKENDS,
   SEPARATOR_PATTERN
 } = require('../../shared/validationConstants');
+const { TRANSFER_MODES, SOURCE_RETENTION_POLICIES } = require('../../shared/organizeModes');
 
 /**
  * SECURITY FIX (CRIT-15): Sanitize URL for safe logging
@@ -105,6 +110,7 @@ async function applySettingsToServices(merged, { logger }) {
   if (merged.textModel) ollamaConfig.textModel = merged.textModel;
   if (merged.visionModel) ollamaConfig.visionModel = merged.visionModel;
   if (merged.embeddingModel) ollamaConfig.embeddingModel = merged.embeddingModel;
+  ollamaConfig.providers = getProviderConfig(merged);
 
   // Apply all Ollama config changes through OllamaService to trigger proper notifications
   // skipSave: true because we're already in a save operation (settings are saved by the caller)
@@ -219,7 +225,12 @@ function validateImportedSettings(settings, logger) {
     notificationMode: NOTIFICATION_MODES,
     namingConvention: NAMING_CONVENTIONS,
     caseConvention: CASE_CONVENTIONS,
-    smartFolderRoutingMode: SMART_FOLDER_ROUTING_MODES
+    smartFolderRoutingMode: SMART_FOLDER_ROUTING_MODES,
+    smartFolderRuleMode: SMART_FOLDER_RULE_MODES,
+    organizeTransferMode: TRANSFER_MODES,
+    copySourceRetention: SOURCE_RETENTION_POLICIES,
+    audioTranscriptionBackend: TRANSCRIPTION_BACKENDS,
+    vectorStoreBackend: VECTOR_STORE_BACKENDS
   };
 
   Object.entries(enumChecks).forEach(([key, allowed]) => {
@@ -594,7 +605,8 @@ function registerSettingsIpc(servicesOrParams) {
           );
         }
 
-        const settings = await settingsService.load();
+        // API keys stay on this machine; exports are meant to be shared
+        const { openaiCompatibleApiKey: _apiKey, ...settings } = await settingsService.load();
 
         // Create export data with metadata
         const exportData = {
@@ -25,6 +25,41 @@ const { validateFileOperationPathSync } = require('../../shared/pathSanitization
 const { ERROR_CODES } = require('../../shared/errorHandlingUtils');
 
 const { isUNCPath } = require('../../shared/crossPlatformUtils');
+const { normalizeSmartFolderRules } = require('../../shared/smartFolderRules');
+const { normalizeOrganizeMode } = require('../../shared/organizeModes');
+const {
+  normalizeSubfolderTemplate,
+  validateSubfolderTemplate,
+  wouldCreateFolderCycle
+} = require('../../shared/smartFolderHierarchy');
+
+/**
+ * Validate the nesting fields of a smart folder being added or edited.
+ * Only fields present on `input` are returned, so edits leave the others alone.
+ * @param {Object} input - Folder data from the renderer
+ * @param {string|null} folderId - Id of the folder being edited (null when adding)
+ * @param {Array} customFolders - Current smart folders
+ * @returns {{fields?: Object, error?: string}}
+ */
+function normalizeFolderNesting(input, folderId, customFolders) {
+  const fields = {};
+  if (input.parentId !== undefined) {
+    const parentId = input.parentId || null;
+    if (parentId && !customFolders.some((f) => f.id === parentId)) {
+      return { error: 'Parent smart folder not found' };
+    }
+    if (parentId && folderId && wouldCreateFolderCycle(folderId, parentId, customFolders)) {
+      return { error: 'A smart folder cannot be nested inside itself or its own subfolders' };
+    }
+    fields.parentId = parentId;
+  }
+  if (input.subfolderTemplate !== undefined) {
+    const templateError = validateSubfolderTemplate(input.subfolderTemplate);
+    if (templateError) return { error: templateError };
+    fields.subfolderTemplate = normalizeSubfolderTemplate(input.subfolderTemplate || '');
+  }
+  return { fields };
+}
 
 /**
  * CRITICAL SECURITY FIX: Sanitize and validate folder paths to prevent path traversal attacks
@@ -626,6 +661,24 @@ function registerSmartFoldersIpc(servicesOrParams) {
             };
           }
         }
+        if (updatedFolder.rules !== undefined) {
+          updatedFolder.rules = normalizeSmartFolderRules(updatedFolder.rules);
+        }
+        if (updatedFolder.secure !== undefined) {
+          updatedFolder.secure = updatedFolder.secure === true;
+        }
+        if (updatedFolder.organizeMode !== undefined) {
+          updatedFolder.organizeMode = normalizeOrganizeMode(updatedFolder.organizeMode);
+        }
+        const nesting = normalizeFolderNesting(updatedFolder, folderId, customFolders);
+        if (nesting.error) {
+          return {
+            success: false,
+            error: nesting.error,
+            errorCode: ERROR_CODES.INVALID_FOLDER_DATA
+          };
+        }
+        Object.assign(updatedFolder, nesting.fields);
         const originalFolder = { ...customFolders[folderIndex] };
         if (updatedFolder.path && updatedFolder.path !== originalFolder.path) {
           try {
@@ -713,7 +766,12 @@ function registerSmartFoldersIpc(servicesOrParams) {
         const originalFolders = [...customFolders];
         const deletedFolder = customFolders[folderIndex];
         try {
-          const updated = customFolders.filter((f) => f.id !== folderId);
+          // Subfolders of the removed folder move up a level instead of being orphaned
+          const updated = customFolders
+            .filter((f) => f.id !== folderId)
+            .map((f) =>
+              f.parentId === folderId ? { ...f, parentId: deletedFolder.parentId || null } : f
+            );
           setCustomFolders(updated);
           await saveCustomFolders(updated);
           logger.info('[SMART-FOLDERS] Deleted Smart Folder:', folderId);
@@ -867,6 +925,13 @@ Now generate a description for "${folderName}":`;
             error: `A smart folder with name "${existingFolder.name}" or path "${existingFolder.path}" already exists`,
             errorCode: ERROR_CODES.FOLDER_ALREADY_EXISTS
           };
+        const nesting = normalizeFolderNesting(folder, null, customFolders);
+        if (nesting.error)
+          return {
+            success: false,
+            error: nesting.error,
+            errorCode: ERROR_CODES.INVALID_FOLDER_DATA
+          };
         // FIX: Auto-create parent directory if it doesn't exist (Issue 3.1-A, 3.1-B)
         const parentDir = path.dirname(normalizedPath);
         try {
@@ -939,6 +1004,11 @@ Now generate a description for "${folderName}":`;
           keywords: llmEnhancedData.suggestedKeywords || [],
           category: llmEnhancedData.suggestedCategory || 'general',
           isDefault: folder.isDefault || false,
+          rules: normalizeSmartFolderRules(folder.rules),
+          parentId: nesting.fields.parentId || null,
+          subfolderTemplate: nesting.fields.subfolderTemplate || '',
+          secure: folder.secure === true,
+          organizeMode: normalizeOrganizeMode(folder.organizeMode),
           createdAt: new Date().toISOString(),
           semanticTags: llmEnhancedData.semanticTags || [],
           relatedFolders: llmEnhancedData.relatedFolders || [],
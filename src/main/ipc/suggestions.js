@@ -300,6 +300,32 @@ function registerSuggestionsIpc(servicesOrParams) {
     })
   );
 
+  // Routing classifier training summary and per-folder accuracy
+  safeHandle(
+    ipcMain,
+    IPC_CHANNELS.SUGGESTIONS.GET_CLASSIFIER_STATS,
+    createHandler({
+      logger,
+      context,
+      serviceName: 'suggestionService',
+      getService: getSuggestionService,
+      fallbackResponse: {
+        success: false,
+        error: 'Suggestion service unavailable',
+        folders: []
+      },
+      handler: async (event, service) => {
+        try {
+          const stats = await service.getClassifierStats(getCustomFolders());
+          return { success: true, ...stats };
+        } catch (error) {
+          logger.error('[SUGGESTIONS] Failed to get classifier stats:', error);
+          return createErrorResponse(error, { folders: [] });
+        }
+      }
+    })
+  );
+
   // Get organization strategies
   safeHandle(
     ipcMain,
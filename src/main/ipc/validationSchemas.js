@@ -7,6 +7,15 @@
 
 const { URL_PATTERN } = require('../../shared/settingsValidation');
 const { CHAT_PERSONAS } = require('../../shared/chatPersonas');
+const { LLM_PROVIDER_IDS, MAX_API_KEY_LENGTH } = require('../../shared/llmProviders');
+const { GRAPH_EXPORT_FORMATS, GRAPH_SNAPSHOT_FORMATS } = require('../../shared/graphExport');
+const { FILE_ANNOTATION_LIMITS } = require('../../shared/fileAnnotations');
+const { SAVED_SEARCH_MODES, SAVED_SEARCH_LIMITS } = require('../../shared/savedSearches');
+const {
+  ORGANIZE_MODES,
+  TRANSFER_MODES,
+  SOURCE_RETENTION_POLICIES
+} = require('../../shared/organizeModes');
 const {
   LOGGING_LEVELS,
   NUMERIC_LIMITS,
@@ -14,6 +23,9 @@ const {
   NAMING_CONVENTIONS,
   CASE_CONVENTIONS,
   SMART_FOLDER_ROUTING_MODES,
+  SMART_FOLDER_RULE_MODES,
+  TRANSCRIPTION_BACKENDS,
+  VECTOR_STORE_BACKENDS,
   SEPARATOR_PATTERN
 } = require('../../shared/validationConstants');
 const { collapseDuplicateProtocols } = require('../../shared/urlUtils');
@@ -284,6 +296,43 @@ if (!z) {
 
   // ===== Settings Schemas =====
 
+  /**
+   * Watched inbox folder (see shared/inboxFolders)
+   */
+  const inboxFolderSchema = z.object({
+    id: z.string().max(64).optional(),
+    name: z.string().max(100).optional(),
+    path: z.string().min(1).max(1000),
+    enabled: z.boolean().optional(),
+    depth: z.number().int().min(0).max(5).optional(),
+    ignorePatterns: z.array(z.string().max(200)).max(50).optional(),
+    settleDelayMs: z.number().int().min(0).max(60000).optional(),
+    autoOrganize: z.boolean().optional(),
+    confidenceThreshold: z.number().min(0).max(1).nullable().optional()
+  });
+
+  /**
+   * Scheduled organization job (see shared/organizationSchedules)
+   */
+  const organizationScheduleSchema = z.object({
+    id: z.string().max(64).optional(),
+    name: z.string().max(100).optional(),
+    enabled: z.boolean().optional(),
+    action: z.enum(['sweep', 'archive']).optional(),
+    sourceFolder: z.string().min(1).max(1000),
+    includeSubfolders: z.boolean().optional(),
+    confidenceThreshold: z.number().min(0).max(1).nullable().optional(),
+    olderThanDays: z.number().int().min(1).max(3650).optional(),
+    destinationFolder: z.string().max(1000).optional(),
+    frequency: z.enum(['daily', 'weekly', 'monthly']).optional(),
+    time: z
+      .string()
+      .regex(/^([01]\d|2[0-3]):[0-5]\d$/)
+      .optional(),
+    dayOfWeek: z.number().int().min(0).max(6).optional(),
+    dayOfMonth: z.number().int().min(1).max(31).optional()
+  });
+
   /**
    * Settings object validation
    * Uses shared constants from validationConstants.js
@@ -295,9 +344,23 @@ if (!z) {
       textModel: modelNameSchema,
       visionModel: modelNameSchema,
       embeddingModel: modelNameSchema,
+      // Provider per model role (detailed checks in shared/settingsValidation)
+      textProvider: z.enum(LLM_PROVIDER_IDS).nullish(),
+      visionProvider: z.enum(LLM_PROVIDER_IDS).nullish(),
+      embeddingProvider: z.enum(LLM_PROVIDER_IDS).nullish(),
+      openaiCompatibleHost: z.string().max(500).nullish(),
+      openaiCompatibleApiKey: z.string().max(MAX_API_KEY_LENGTH).nullish(),
       // Embedding workflow controls
       embeddingTiming: z.enum(['during_analysis', 'after_organize', 'manual']).nullish(),
       defaultEmbeddingPolicy: z.enum(['embed', 'skip', 'web_only']).nullish(),
+      vectorStoreBackend: z.enum(VECTOR_STORE_BACKENDS).nullish(),
+      // Audio transcription (detailed checks in shared/settingsValidation)
+      audioTranscriptionBackend: z.enum(TRANSCRIPTION_BACKENDS).nullish(),
+      audioTranscriptionCommand: z.string().max(1000).nullish(),
+      audioTranscriptionModel: z.string().max(1000).nullish(),
+      audioTranscriptionEndpoint: z.string().max(500).nullish(),
+      ffmpegPath: z.string().max(1000).nullish(),
+      videoKeyframeCount: z.number().int().min(0).max(8).nullish(),
       chatPersona: chatPersonaSchema,
       chatResponseMode: z.enum(['fast', 'deep']).nullish(),
       autoUpdateOllama: z.boolean().nullish(),
@@ -311,7 +374,11 @@ if (!z) {
       // Application Behavior
       launchOnStartup: z.boolean().nullish(),
       autoOrganize: z.boolean().nullish(),
+      inboxFolders: z.array(inboxFolderSchema).max(20).nullish(),
+      organizationSchedules: z.array(organizationScheduleSchema).max(20).nullish(),
       backgroundMode: z.boolean().nullish(),
+      localApiEnabled: z.boolean().nullish(),
+      localApiPort: z.number().int().min(1024).max(65535).nullish(),
       autoChunkOnAnalysis: z.boolean().nullish(),
       autoUpdateCheck: z.boolean().nullish(),
       telemetryEnabled: z.boolean().nullish(),
@@ -344,6 +411,13 @@ if (!z) {
       confidenceThreshold: z.number().min(0).max(1).nullish(),
       defaultSmartFolderLocation: z.string().max(500).nullish(),
       smartFolderRoutingMode: z.enum(SMART_FOLDER_ROUTING_MODES).nullish(),
+      smartFolderRuleMode: z.enum(SMART_FOLDER_RULE_MODES).nullish(),
+      routingClassifierEnabled: z.boolean().nullish(),
+      organizeTransferMode: z.enum(TRANSFER_MODES).nullish(),
+      copySourceRetention: z.enum(SOURCE_RETENTION_POLICIES).nullish(),
+      sensitiveDataDetection: z.boolean().nullish(),
+      sensitiveDataModelConfirmation: z.boolean().nullish(),
+      allowSensitiveInChat: z.boolean().nullish(),
       maxConcurrentAnalysis: z.number().int().min(1).max(10).nullish(),
       lastBrowsedPath: z.string().max(1000).nullish(),
 
@@ -401,7 +475,16 @@ if (!z) {
     description: z.string().max(1000).optional(),
     keywords: z.array(z.string()).optional(),
     category: z.string().optional(),
-    isDefault: z.boolean().optional()
+    isDefault: z.boolean().optional(),
+    // Deterministic routing rules (sanitized by shared/smartFolderRules before use)
+    rules: z.array(z.object({}).passthrough()).max(50).optional(),
+    // Nesting (sanitized by shared/smartFolderHierarchy before use)
+    parentId: z.string().max(100).nullish(),
+    subfolderTemplate: z.string().max(200).nullish(),
+    // Only secure folders receive files flagged as sensitive
+    secure: z.boolean().nullish(),
+    // Link-based folders leave originals in place (see shared/organizeModes)
+    organizeMode: z.enum(ORGANIZE_MODES).nullish()
   });
 
   /**
@@ -516,6 +599,24 @@ if (!z) {
     all: z.boolean().optional()
   });
 
+  /**
+   * Sensitive file listing options
+   */
+  const sensitiveFilesOptionsSchema = z
+    .object({
+      includeDismissed: z.boolean().optional(),
+      limit: z.number().int().min(1).max(5000).optional()
+    })
+    .nullish();
+
+  /**
+   * Sensitivity review decision for one file
+   */
+  const sensitivityReviewSchema = z.object({
+    filePath: filePathSchema,
+    decision: z.enum(['sensitive', 'not_sensitive'])
+  });
+
   // ===== Organization Schemas =====
 
   /**
@@ -538,6 +639,19 @@ if (!z) {
     })
   });
 
+  /**
+   * Template rename preview
+   */
+  const renamePreviewSchema = z.object({
+    files: z.array(analysisFileSchema).min(1).max(1000),
+    template: z.string().trim().min(1).max(255),
+    options: z
+      .object({
+        counterStart: z.number().int().min(0).optional()
+      })
+      .optional()
+  });
+
   // ===== Suggestion Schemas =====
 
   /**
@@ -629,7 +743,9 @@ if (!z) {
     graphExpansionWeight: z.number().min(0).max(1).optional(),
     graphExpansionMaxNeighbors: z.number().int().min(1).max(500).optional(),
     chunkContext: z.boolean().optional(),
-    chunkContextMaxNeighbors: z.number().int().min(0).max(3).optional()
+    chunkContextMaxNeighbors: z.number().int().min(0).max(3).optional(),
+    tags: z.array(z.string().max(100)).max(20).optional(),
+    tagMatch: z.enum(['all', 'any']).optional()
   });
 
   /**
@@ -720,6 +836,18 @@ if (!z) {
     responseMode: z.enum(['fast', 'deep']).optional().default('fast')
   });
 
+  /**
+   * Streaming chat query: same as chatQuery plus a caller-generated id used to
+   * route stream events and to cancel the generation
+   */
+  const chatStreamQuerySchema = chatQuerySchema.extend({
+    requestId: z.string().min(1).max(128)
+  });
+
+  const chatCancelSchema = z.object({
+    requestId: z.string().min(1).max(128)
+  });
+
   /**
    * Chat session reset parameters
    */
@@ -727,6 +855,114 @@ if (!z) {
     sessionId: z.string().min(1).max(128).optional()
   });
 
+  /**
+   * Persisted chat conversation parameters
+   */
+  const chatConversationIdSchema = z.object({
+    id: z.string().min(1).max(128)
+  });
+
+  const chatConversationRenameSchema = chatConversationIdSchema.extend({
+    title: z.string().trim().min(1, 'Title is required').max(80)
+  });
+
+  /**
+   * Graph workspace parameters
+   * Nodes/edges are React Flow objects; callbacks are stripped by the renderer
+   */
+  const graphWorkspaceIdSchema = z.object({
+    id: z.string().min(1).max(128)
+  });
+
+  const graphWorkspaceSaveSchema = z.object({
+    id: z.string().min(1).max(128).optional(),
+    name: z.string().trim().max(80).optional(),
+    nodes: z
+      .array(z.object({ id: z.string().min(1) }).passthrough())
+      .max(5000, 'Graph is too large to save'),
+    edges: z
+      .array(z.object({ source: z.string(), target: z.string() }).passthrough())
+      .max(20000, 'Graph is too large to save'),
+    notes: z.record(z.string(), z.string().max(5000)).optional(),
+    chatMessages: z.array(z.object({}).passthrough()).max(500).optional(),
+    settings: z.object({}).passthrough().optional()
+  });
+
+  const graphWorkspaceRenameSchema = graphWorkspaceIdSchema.extend({
+    name: z.string().trim().min(1, 'Name is required').max(80)
+  });
+
+  const graphWorkspaceExportSchema = graphWorkspaceIdSchema.extend({
+    format: z.enum(GRAPH_EXPORT_FORMATS)
+  });
+
+  const graphSnapshotSchema = z.object({
+    name: z.string().max(80).optional(),
+    format: z.enum(GRAPH_SNAPSHOT_FORMATS),
+    // SVG markup, or a base64 PNG data URL
+    data: z
+      .string()
+      .min(1)
+      .max(50 * 1024 * 1024)
+  });
+
+  /**
+   * File annotation parameters
+   * Tags are normalized (trimmed, deduped, capped) by the annotation service
+   */
+  const annotationTagsSchema = z.array(z.string().max(100)).max(50);
+
+  const fileAnnotationPathSchema = z.object({
+    filePath: filePathSchema
+  });
+
+  const fileAnnotationPathsSchema = z.object({
+    filePaths: z.array(filePathSchema).max(1000)
+  });
+
+  const fileAnnotationSetSchema = fileAnnotationPathSchema.extend({
+    tags: annotationTagsSchema.optional(),
+    note: z.string().max(FILE_ANNOTATION_LIMITS.MAX_NOTE_LENGTH).optional()
+  });
+
+  const fileAnnotationFindSchema = z.object({
+    tags: annotationTagsSchema.min(1, 'At least one tag is required'),
+    match: z.enum(['all', 'any']).optional()
+  });
+
+  /**
+   * Saved search (smart collection) parameters
+   */
+  const savedSearchIdSchema = z.object({
+    id: z.string().min(1).max(128)
+  });
+
+  const savedSearchFieldsSchema = z.object({
+    name: z.string().max(SAVED_SEARCH_LIMITS.MAX_NAME_LENGTH).optional(),
+    query: z.string().trim().min(2, 'Query is too short').max(SAVED_SEARCH_LIMITS.MAX_QUERY_LENGTH),
+    mode: z.enum(SAVED_SEARCH_MODES).optional(),
+    tags: z.array(z.string().max(100)).max(20).optional(),
+    tagMatch: z.enum(['all', 'any']).optional(),
+    notify: z.boolean().optional()
+  });
+
+  const savedSearchUpdateSchema = savedSearchFieldsSchema.partial().extend({
+    id: savedSearchIdSchema.shape.id
+  });
+
+  const savedSearchRefreshSchema = savedSearchIdSchema.partial();
+
+  /**
+   * Virtual link parameters (link-based smart folders)
+   */
+  const virtualLinkListSchema = z.object({
+    folderPath: z.string().min(1).max(4096).optional()
+  });
+
+  const virtualLinkMaterializeSchema = z.object({
+    linkPaths: z.array(z.string().min(1).max(4096)).min(1).max(1000)
+  });
+
   /**
    * Find duplicates parameters
    * FIX P1-5: Add Zod schema for FIND_DUPLICATES handler validation
@@ -736,6 +972,43 @@ if (!z) {
     maxResults: z.number().int().min(1).max(200).optional().default(50)
   });
 
+  /**
+   * Duplicate manager scan options
+   */
+  const duplicateScanSchema = z
+    .object({
+      includeImages: z.boolean().optional().default(true),
+      includeDocuments: z.boolean().optional().default(true)
+    })
+    .optional()
+    .default({});
+
+  /**
+   * Duplicate resolution: one keeper per group from the last scan
+   */
+  const duplicateResolveSchema = z.object({
+    resolutions: z
+      .array(
+        z.object({
+          groupId: z.string().min(1).max(64),
+          keepPath: filePathSchema
+        })
+      )
+      .min(1)
+      .max(1000),
+    mode: z.enum(['quarantine', 'link']).optional().default('quarantine')
+  });
+
+  /**
+   * Scheduled organization: identifies one job or one past run
+   */
+  const scheduleJobIdSchema = z.object({
+    jobId: z.string().min(1).max(80)
+  });
+  const scheduleRunIdSchema = z.object({
+    runId: z.string().min(1).max(80)
+  });
+
   /**
    * Smart folder matching input
    */
@@ -794,10 +1067,13 @@ if (!z) {
     pagination: paginationSchema,
     searchQuery: searchQuerySchema,
     historyOptions: historyOptionsSchema,
+    sensitiveFilesOptions: sensitiveFilesOptionsSchema,
+    sensitivityReview: sensitivityReviewSchema,
 
     // Organization
     autoOrganize: autoOrganizeSchema,
     thresholds: thresholdsSchema,
+    renamePreview: renamePreviewSchema,
 
     // Suggestions
     fileSuggestion: fileSuggestionSchema,
@@ -820,9 +1096,44 @@ if (!z) {
     relationshipEdges: relationshipEdgesSchema,
     relationshipStats: relationshipStatsSchema,
 
+    // Duplicates
+    duplicateScan: duplicateScanSchema,
+    duplicateResolve: duplicateResolveSchema,
+
+    // Scheduled organization
+    scheduleJobId: scheduleJobIdSchema,
+    scheduleRunId: scheduleRunIdSchema,
+
     // Chat
     chatQuery: chatQuerySchema,
+    chatStreamQuery: chatStreamQuerySchema,
+    chatCancel: chatCancelSchema,
     chatReset: chatResetSchema,
+    chatConversationId: chatConversationIdSchema,
+    chatConversationRename: chatConversationRenameSchema,
+
+    // Graph workspaces
+    graphWorkspaceId: graphWorkspaceIdSchema,
+    graphWorkspaceSave: graphWorkspaceSaveSchema,
+    graphWorkspaceRename: graphWorkspaceRenameSchema,
+    graphWorkspaceExport: graphWorkspaceExportSchema,
+    graphSnapshot: graphSnapshotSchema,
+
+    // File annotations
+    fileAnnotationPath: fileAnnotationPathSchema,
+    fileAnnotationPaths: fileAnnotationPathsSchema,
+    fileAnnotationSet: fileAnnotationSetSchema,
+    fileAnnotationFind: fileAnnotationFindSchema,
+
+    // Saved searches
+    savedSearchId: savedSearchIdSchema,
+    savedSearchCreate: savedSearchFieldsSchema,
+    savedSearchUpdate: savedSearchUpdateSchema,
+    savedSearchRefresh: savedSearchRefreshSchema,
+
+    // Virtual links
+    virtualLinkList: virtualLinkListSchema,
+    virtualLinkMaterialize: virtualLinkMaterializeSchema,
 
     // Ollama
     ollamaHost: ollamaHostSchema,
@@ -0,0 +1,113 @@
+const { registerHandlers } = require('./ipcWrappers');
+const { IpcServiceContext, createFromLegacyParams } = require('./IpcServiceContext');
+const { schemas } = require('./validationSchemas');
+const { container, ServiceIds } = require('../services/ServiceContainer');
+const { validateFileOperationPath } = require('../../shared/pathSanitization');
+const { ACTION_TYPES } = require('../../shared/constants');
+
+function registerVirtualLinksIpc(servicesOrParams) {
+  let context;
+  if (servicesOrParams instanceof IpcServiceContext) {
+    context = servicesOrParams;
+  } else {
+    context = createFromLegacyParams(servicesOrParams);
+  }
+
+  const { ipcMain, IPC_CHANNELS, logger } = context.core;
+
+  const getService = () => {
+    try {
+      return container.tryResolve(ServiceIds.VIRTUAL_LINKS);
+    } catch {
+      return null;
+    }
+  };
+
+  const unavailable = { success: false, error: 'Virtual links unavailable' };
+
+  registerHandlers({
+    ipcMain,
+    logger,
+    context: 'VirtualLinks',
+    handlers: {
+      [IPC_CHANNELS.VIRTUAL_LINKS.LIST]: {
+        schema: schemas.virtualLinkList,
+        serviceName: 'virtualLinks',
+        getService,
+        fallbackResponse: unavailable,
+        handler: async (event, { folderPath } = {}, service) => ({
+          success: true,
+          links: await service.list({ folderPath })
+        })
+      },
+      [IPC_CHANNELS.VIRTUAL_LINKS.MATERIALIZE]: {
+        schema: schemas.virtualLinkMaterialize,
+        serviceName: 'virtualLinks',
+        getService,
+        fallbackResponse: unavailable,
+        handler: async (event, { linkPaths }, service) => {
+          const results = [];
+          for (const linkPath of linkPaths) {
+            // The link itself is a symlink, so only the path is checked here
+            const validation = await validateFileOperationPath(linkPath, {
+              checkSymlinks: false
+            });
+            if (!validation.valid) {
+              results.push({ success: false, linkPath, error: validation.error });
+              continue;
+            }
+            try {
+              const result = await service.materialize(validation.normalizedPath);
+              results.push({ ...result, linkPath: validation.normalizedPath });
+            } catch (error) {
+              logger.warn('[VirtualLinks] Materialize failed', { linkPath, error: error.message });
+              results.push({ success: false, linkPath, error: error.message });
+            }
+          }
+
+          const operations = results
+            .filter((result) => result.success)
+            .map((result) => ({
+              type: 'materialize',
+              originalPath: result.originalPath,
+              newPath: result.newPath,
+              linkType: result.linkType
+            }));
+          if (operations.length > 0) {
+            try {
+              await container
+                .tryResolve(ServiceIds.UNDO_REDO)
+                ?.recordAction(ACTION_TYPES.BATCH_OPERATION, {
+                  operations,
+                  description:
+                    operations.length === 1
+                      ? 'Materialize linked file'
+                      : `Materialize ${operations.length} linked files`
+                });
+            } catch (error) {
+              logger.warn('[VirtualLinks] Failed to record undo action', { error: error.message });
+            }
+          }
+
+          return {
+            success: operations.length > 0,
+            results,
+            successCount: operations.length,
+            failCount: results.length - operations.length
+          };
+        }
+      },
+      [IPC_CHANNELS.VIRTUAL_LINKS.VERIFY]: {
+        serviceName: 'virtualLinks',
+        getService,
+        fallbackResponse: unavailable,
+        handler: async (event, service) => ({
+          success: true,
+          summary: await service.verify()
+        })
+      }
+    }
+  });
+}
+
+module.exports = registerVirtualLinksIpc;
@@ -4,6 +4,13 @@ const { SERVICE_URLS } = require('../shared/configDefaults');
 const { normalizeServiceUrl } = require('../shared/urlUtils');
 // Import deduplicator to clear zombie promises when HTTP agent is destroyed
 const { globalDeduplicator } = require('./utils/llmOptimization');
+const { LLM_PROVIDERS, LLM_ROLES, getProviderConfig } = require('../shared/llmProviders');
+const {
+  OllamaProvider,
+  LLMRouter,
+  setProviderConfig,
+  getRoleProviderId
+} = require('./services/llmProviders');
 // Lazy load SettingsService to avoid circular dependency if any (though typically fine)
 let settingsService = null;
 function getSettings() {
@@ -19,6 +26,7 @@ let ollamaInstance = null;
 let ollamaHost = SERVICE_URLS.OLLAMA_HOST;
 let ollamaInstanceHost = null; // MEDIUM PRIORITY FIX (MED-13): Track host used to create instance
 let currentHttpAgent = null; // FIX: Track HTTP agent for cleanup to prevent socket leaks
+let llmRouter = null;
 // Selected models - in-memory cache, synced with SettingsService
 let selectedTextModel = null;
 let selectedVisionModel = null;
@@ -62,8 +70,8 @@ function destroyCurrentAgent() {
   }
 }
 
-// Function to initialize or get the Ollama instance
-function getOllama() {
+// Function to initialize or get the native Ollama client instance
+function getNativeOllama() {
   // MEDIUM PRIORITY FIX (MED-13): Invalidate instance if host has changed
   if (ollamaInstance && ollamaInstanceHost !== ollamaHost) {
     logger.info(
@@ -110,6 +118,27 @@ function getOllama() {
   return ollamaInstance;
 }
 
+/**
+ * Get the client used for all model calls.
+ * While every role uses Ollama this is the native client itself. Otherwise it
+ * is an LLMRouter that keeps the Ollama client's API but routes
+ * generate/chat/embed to the provider configured for the call's role (see
+ * services/llmProviders); model management (pull/show/delete) stays on Ollama.
+ *
+ * @returns {import('ollama').Ollama|import('./services/llmProviders').LLMRouter}
+ */
+function getOllama() {
+  if (LLM_ROLES.every((role) => getRoleProviderId(role) === LLM_PROVIDERS.OLLAMA)) {
+    return getNativeOllama();
+  }
+  if (!llmRouter) {
+    llmRouter = new LLMRouter({
+      ollamaProvider: new OllamaProvider({ getClient: getNativeOllama })
+    });
+  }
+  return llmRouter;
+}
+
 // Function to get the currently configured Ollama text model
 function getOllamaModel() {
   return selectedTextModel;
@@ -275,6 +304,7 @@ async function loadOllamaConfig(applySideEffects = true) {
     const settings = await getSettings().load();
 
     if (applySideEffects) {
+      setProviderConfig(getProviderConfig(settings));
       if (settings.textModel) {
         selectedTextModel = settings.textModel;
         logger.info(`[OLLAMA] Loaded selected text model: ${selectedTextModel}`);
@@ -289,8 +319,8 @@ async function loadOllamaConfig(applySideEffects = true) {
       }
       if (settings.ollamaHost) {
         ollamaHost = settings.ollamaHost;
-        // Client recreation logic is handled in getOllama() via ollamaInstanceHost check
-        // or we can preemptively recreate it here if desired, but getOllama() is safer/lazy.
+        // Client recreation logic is handled in getNativeOllama() via ollamaInstanceHost check
+        // or we can preemptively recreate it here if desired, but getNativeOllama() is safer/lazy.
 
         // However, if we want to ensure the global 'ollamaInstance' is updated:
         if (ollamaInstanceHost !== ollamaHost) {
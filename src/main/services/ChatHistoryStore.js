@@ -0,0 +1,317 @@
+/**
+ * Chat History Store
+ *
+ * Persists named chat conversations (turns, cited sources, persona) to
+ * userData so they survive restarts and can be resumed or exported.
+ *
+ * @module services/ChatHistoryStore
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const { pathToFileURL } = require('url');
+const { app } = require('electron');
+const { z } = require('zod');
+const { createLogger } = require('../../shared/logger');
+const { JsonCollectionFile } = require('../../shared/jsonCollectionFile');
+
+const logger = createLogger('ChatHistoryStore');
+
+const MAX_CONVERSATIONS = 200;
+const MAX_MESSAGES_PER_CONVERSATION = 500;
+const MAX_TITLE_LENGTH = 80;
+const AUTO_TITLE_LENGTH = 60;
+
+const storedSourceSchema = z
+  .object({
+    id: z.string(),
+    fileId: z.string().optional(),
+    name: z.string().optional(),
+    path: z.string().optional(),
+    snippet: z.string().optional()
+  })
+  .passthrough();
+
+const storedMessageSchema = z
+  .object({
+    role: z.enum(['user', 'assistant']),
+    text: z.string().optional(),
+    documentAnswer: z.array(z.object({}).passthrough()).optional(),
+    modelAnswer: z.array(z.object({}).passthrough()).optional(),
+    followUps: z.array(z.string()).optional(),
+    sources: z.array(storedSourceSchema).optional(),
+    createdAt: z.string()
+  })
+  .passthrough();
+
+const conversationSchema = z
+  .object({
+    id: z.string().min(1),
+    title: z.string(),
+    createdAt: z.string(),
+    updatedAt: z.string(),
+    persona: z.string().nullable().optional(),
+    messages: z.array(storedMessageSchema)
+  })
+  .passthrough();
+
+/**
+ * Derive a conversation title from its first question.
+ * @param {string} query - First user message
+ * @returns {string}
+ */
+function deriveTitle(query) {
+  const clean = String(query || '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (!clean) return 'Untitled conversation';
+  return clean.length > AUTO_TITLE_LENGTH ? `${clean.slice(0, AUTO_TITLE_LENGTH - 1)}…` : clean;
+}
+
+/**
+ * Keep only the source fields needed to render citations and open files.
+ * Retrieval sources also carry extracted text, which would bloat the history file.
+ */
+function compactSource(source) {
+  return {
+    id: String(source?.id || ''),
+    fileId: source?.fileId || undefined,
+    name: source?.name || undefined,
+    path: source?.path || undefined,
+    snippet: typeof source?.snippet === 'string' ? source.snippet.slice(0, 500) : undefined
+  };
+}
+
+function summarize(conversation) {
+  return {
+    id: conversation.id,
+    title: conversation.title,
+    createdAt: conversation.createdAt,
+    updatedAt: conversation.updatedAt,
+    persona: conversation.persona || null,
+    messageCount: conversation.messages.length
+  };
+}
+
+/**
+ * Render a conversation as Markdown. Cited sources become file:// links so
+ * the export opens the original documents.
+ * @param {Object} conversation - Stored conversation
+ * @returns {string}
+ */
+function formatConversationMarkdown(conversation) {
+  const lines = [`# ${conversation.title}`, ''];
+  lines.push(`- Created: ${conversation.createdAt}`);
+  lines.push(`- Updated: ${conversation.updatedAt}`);
+  if (conversation.persona) {
+    lines.push(`- Persona: ${conversation.persona}`);
+  }
+  lines.push('');
+
+  const formatSourceLink = (source) => {
+    const label = source.name || source.path || source.id;
+    if (!source.path) return label;
+    try {
+      return `[${label}](${pathToFileURL(source.path).href})`;
+    } catch {
+      return label;
+    }
+  };
+
+  for (const message of conversation.messages) {
+    if (message.role === 'user') {
+      lines.push('## You', '', message.text || '', '');
+      continue;
+    }
+
+    lines.push('## Assistant', '');
+    const sourceById = new Map((message.sources || []).map((s) => [s.id, s]));
+    for (const item of message.documentAnswer || []) {
+      const citations = (item.citations || [])
+        .map((id) => sourceById.get(id))
+        .filter(Boolean)
+        .map(formatSourceLink);
+      const suffix = citations.length > 0 ? ` (${citations.join(', ')})` : '';
+      lines.push(`${item.text}${suffix}`, '');
+    }
+    for (const item of message.modelAnswer || []) {
+      lines.push(item.text, '');
+    }
+    if (message.sources?.length) {
+      lines.push('**Sources**', '');
+      for (const source of message.sources) {
+        lines.push(`- ${formatSourceLink(source)}`);
+      }
+      lines.push('');
+    }
+  }
+
+  return `${lines.join('\n').trimEnd()}\n`;
+}
+
+class ChatHistoryStore {
+  constructor(options = {}) {
+    this.userDataPath = options.userDataPath || app.getPath('userData');
+    this.filePath = path.join(this.userDataPath, options.filename || 'chat-conversations.json');
+    this.maxConversations = options.maxConversations || MAX_CONVERSATIONS;
+    this.maxMessages = options.maxMessages || MAX_MESSAGES_PER_CONVERSATION;
+    this._conversations = new Map(); // id -> conversation, most recently updated last
+    this._loaded = false;
+    this._loadPromise = null;
+    this._file = new JsonCollectionFile(this.filePath);
+  }
+
+  async load() {
+    if (this._loaded) return;
+    if (!this._loadPromise) {
+      this._loadPromise = this._loadFromDisk();
+    }
+    await this._loadPromise;
+  }
+
+  async _loadFromDisk() {
+    try {
+      const data = await fs.readFile(this.filePath, 'utf-8');
+      const parsed = JSON.parse(data);
+      const items = Array.isArray(parsed?.items) ? parsed.items : [];
+      let invalidCount = 0;
+      const valid = [];
+      for (const item of items) {
+        const result = conversationSchema.safeParse(item);
+        if (result.success) {
+          valid.push(result.data);
+        } else {
+          invalidCount += 1;
+        }
+      }
+      valid.sort((a, b) => a.updatedAt.localeCompare(b.updatedAt));
+      for (const conversation of valid) {
+        this._conversations.set(conversation.id, conversation);
+      }
+      if (invalidCount > 0) {
+        logger.warn('[ChatHistoryStore] Dropped invalid conversations', { invalidCount });
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('[ChatHistoryStore] Failed to load conversations:', error.message);
+      }
+    } finally {
+      this._loaded = true;
+    }
+  }
+
+  /**
+   * List conversation summaries, most recently updated first.
+   * @returns {Promise<Array<Object>>}
+   */
+  async list() {
+    await this.load();
+    return Array.from(this._conversations.values()).reverse().map(summarize);
+  }
+
+  /**
+   * @param {string} id - Conversation id (the chat session id)
+   * @returns {Promise<Object|null>}
+   */
+  async get(id) {
+    await this.load();
+    const conversation = this._conversations.get(id);
+    return conversation ? { ...conversation, messages: conversation.messages.slice() } : null;
+  }
+
+  /**
+   * Append a question/answer pair, creating the conversation on first use.
+   * @param {string} id - Conversation id (the chat session id)
+   * @param {Object} turn
+   * @param {string} turn.query - User question
+   * @param {Object} turn.response - Parsed answer ({ documentAnswer, modelAnswer, followUps })
+   * @param {Array} [turn.sources] - Retrieved sources cited by the answer
+   * @param {string} [turn.persona] - Persona id used for the answer
+   * @returns {Promise<Object>} Conversation summary
+   */
+  async appendTurn(id, { query, response, sources = [], persona = null }) {
+    await this.load();
+    const now = new Date().toISOString();
+    let conversation = this._conversations.get(id);
+    if (!conversation) {
+      if (this._conversations.size >= this.maxConversations) {
+        const oldestId = this._conversations.keys().next().value;
+        this._conversations.delete(oldestId);
+      }
+      conversation = {
+        id,
+        title: deriveTitle(query),
+        createdAt: now,
+        updatedAt: now,
+        persona,
+        messages: []
+      };
+    }
+
+    conversation.messages.push(
+      { role: 'user', text: query, createdAt: now },
+      {
+        role: 'assistant',
+        documentAnswer: response?.documentAnswer || [],
+        modelAnswer: response?.modelAnswer || [],
+        followUps: response?.followUps || [],
+        sources: (sources || []).map(compactSource),
+        createdAt: now
+      }
+    );
+    if (conversation.messages.length > this.maxMessages) {
+      conversation.messages.splice(0, conversation.messages.length - this.maxMessages);
+    }
+    conversation.updatedAt = now;
+    if (persona) conversation.persona = persona;
+
+    // Re-insert so Map order tracks recency
+    this._conversations.delete(id);
+    this._conversations.set(id, conversation);
+    await this._save();
+    return summarize(conversation);
+  }
+
+  async rename(id, title) {
+    await this.load();
+    const conversation = this._conversations.get(id);
+    const clean = String(title || '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .slice(0, MAX_TITLE_LENGTH);
+    if (!conversation || !clean) return null;
+    conversation.title = clean;
+    await this._save();
+    return summarize(conversation);
+  }
+
+  async remove(id) {
+    await this.load();
+    if (!this._conversations.delete(id)) return false;
+    await this._save();
+    return true;
+  }
+
+  /**
+   * @param {string} id - Conversation id
+   * @returns {Promise<string|null>} Markdown, or null when the conversation does not exist
+   */
+  async exportMarkdown(id) {
+    const conversation = await this.get(id);
+    return conversation ? formatConversationMarkdown(conversation) : null;
+  }
+
+  /**
+   * Queue a write of the current conversations behind any write in flight
+   * @returns {Promise<void>} Rejects if the file could not be written
+   */
+  _save() {
+    return this._file.save(Array.from(this._conversations.values()));
+  }
+}
+
+module.exports = {
+  ChatHistoryStore,
+  formatConversationMarkdown,
+  deriveTitle
+};
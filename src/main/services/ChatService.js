@@ -2,6 +2,7 @@ const { createLogger } = require('../../shared/logger');
 const { cosineSimilarity, padOrTruncateVector } = require('../../shared/vectorMath');
 const { extractAndParseJSON } = require('../utils/jsonRepair');
 const { getChatPersonaOrDefault } = require('../../shared/chatPersonas');
+const { isSensitiveLevel } = require('../../shared/sensitiveData');
 
 const logger = createLogger('ChatService');
 const DEFAULTS = {
@@ -15,6 +16,11 @@ const DEFAULTS = {
 
 const MAX_SESSIONS = 50;
 
+// Streamed answers end with this marker followed by one follow-up question per line.
+// Everything after it is held back from the live token stream.
+const FOLLOW_UPS_MARKER = 'FOLLOW-UPS:';
+const MAX_FOLLOW_UPS = 3;
+
 const RESPONSE_MODES = {
   fast: {
     chunkTopK: 10,
@@ -38,14 +44,18 @@ class ChatService {
     chromaDbService,
     embeddingService,
     ollamaService,
-    settingsService
+    settingsService,
+    historyStore = null
   }) {
     this.searchService = searchService;
     this.chromaDbService = chromaDbService;
     this.embeddingService = embeddingService;
     this.ollamaService = ollamaService;
     this.settingsService = settingsService;
+    // Optional ChatHistoryStore: persists turns and rehydrates resumed sessions
+    this.historyStore = historyStore;
     this.sessions = new Map();
+    this.activeStreams = new Map(); // requestId -> AbortController
     this._langchainMemoryModule = null;
   }
 
@@ -55,16 +65,63 @@ class ChatService {
     }
   }
 
-  async query({
-    sessionId,
-    query,
-    topK = DEFAULTS.topK,
-    mode = DEFAULTS.mode,
-    chunkTopK = DEFAULTS.chunkTopK,
-    chunkWeight = DEFAULTS.chunkWeight,
-    contextFileIds = [],
-    responseMode = 'fast'
-  }) {
+  /**
+   * Answer a query while streaming the answer text.
+   * Emits `{ type: 'sources', sources, meta }` once retrieval completes and
+   * `{ type: 'token', delta }` for each piece of answer text. Resolves with the
+   * same shape as query(); a cancelled stream resolves with `cancelled: true`.
+   * @param {Object} params - Same parameters as query()
+   * @param {Object} options - Stream options
+   * @param {string} options.requestId - Caller-generated id used by cancelStream()
+   * @param {Function} options.onEvent - Receives stream events
+   * @returns {Promise<Object>} Query result
+   */
+  async queryStream(params, { requestId, onEvent } = {}) {
+    const controller = new AbortController();
+    if (requestId) {
+      this.activeStreams.get(requestId)?.abort();
+      this.activeStreams.set(requestId, controller);
+    }
+
+    try {
+      return await this.query(params, {
+        onEvent: typeof onEvent === 'function' ? onEvent : () => {},
+        signal: controller.signal
+      });
+    } finally {
+      if (requestId && this.activeStreams.get(requestId) === controller) {
+        this.activeStreams.delete(requestId);
+      }
+    }
+  }
+
+  /**
+   * Abort an in-flight streamed answer.
+   * @param {string} requestId - Id passed to queryStream()
+   * @returns {boolean} True if a stream was cancelled
+   */
+  cancelStream(requestId) {
+    const controller = this.activeStreams.get(requestId);
+    if (!controller) return false;
+    controller.abort();
+    this.activeStreams.delete(requestId);
+    logger.info('[ChatService] Stream cancelled', { requestId });
+    return true;
+  }
+
+  async query(
+    {
+      sessionId,
+      query,
+      topK = DEFAULTS.topK,
+      mode = DEFAULTS.mode,
+      chunkTopK = DEFAULTS.chunkTopK,
+      chunkWeight = DEFAULTS.chunkWeight,
+      contextFileIds = [],
+      responseMode = 'fast'
+    },
+    stream = null
+  ) {
     const cleanQuery = typeof query === 'string' ? query.trim() : '';
     if (!cleanQuery || cleanQuery.length < 2) {
       logger.warn('[ChatService] Query rejected (too short)', {
@@ -90,7 +147,16 @@ class ChatService {
       const memory = await this._getSessionMemory(sessionId);
       const history = await this._getHistoryText(memory);
 
-      const prompt = `
+      const prompt = stream
+        ? `
+You are StratoSort, a helpful document assistant.
+The user said: "${cleanQuery}"
+Conversation history:
+${history || '(none)'}
+
+Respond naturally and friendly in plain text. If they are greeting you, greet them back and offer to help find documents.
+${this._getStreamingFollowUpInstructions()}`
+        : `
 You are StratoSort, a helpful document assistant.
 The user said: "${cleanQuery}"
 Conversation history:
@@ -105,10 +171,20 @@ Return ONLY valid JSON:
 }`;
 
       try {
-        const result = await this.ollamaService.analyzeText(prompt, { format: 'json' });
+        let result;
+        if (stream) {
+          stream.onEvent({ type: 'sources', sources: [], meta: { retrievalSkipped: true } });
+          result = await this._streamAnswer(prompt, [], stream);
+          if (result.cancelled) {
+            return this._buildCancelledResult(result, [], { retrievalSkipped: true });
+          }
+        } else {
+          result = await this.ollamaService.analyzeText(prompt, { format: 'json' });
+        }
         if (result?.success) {
-          const parsed = this._parseResponse(result.response, []);
+          const parsed = result.parsed || this._parseResponse(result.response, []);
           await this._saveMemoryTurn(memory, cleanQuery, this._formatForMemory(parsed));
+          await this._recordTurn(sessionId, { query: cleanQuery, response: parsed, sources: [] });
           return { success: true, response: parsed, sources: [], meta: { retrievalSkipped: true } };
         }
       } catch (err) {
@@ -154,17 +230,28 @@ Return ONLY valid JSON:
       queryMeta: retrieval?.meta?.queryMeta ? Object.keys(retrieval.meta.queryMeta) : []
     });
 
+    if (stream) {
+      stream.onEvent({ type: 'sources', sources: retrieval.sources, meta: retrieval.meta });
+    }
+
     const persona = await this._getPersona();
     const prompt = this._buildPrompt({
       query: cleanQuery,
       history,
       sources: retrieval.sources,
-      persona
+      persona,
+      streaming: Boolean(stream)
     });
 
-    const ollamaResult = await this.ollamaService.analyzeText(prompt, {
-      format: 'json'
-    });
+    const ollamaResult = stream
+      ? await this._streamAnswer(prompt, retrieval.sources, stream)
+      : await this.ollamaService.analyzeText(prompt, {
+          format: 'json'
+        });
+
+    if (ollamaResult?.cancelled) {
+      return this._buildCancelledResult(ollamaResult, retrieval.sources, retrieval.meta);
+    }
 
     if (!ollamaResult?.success) {
       logger.warn('[ChatService] LLM response failed', {
@@ -177,7 +264,8 @@ Return ONLY valid JSON:
       };
     }
 
-    const parsed = this._parseResponse(ollamaResult.response, retrieval.sources);
+    const parsed =
+      ollamaResult.parsed || this._parseResponse(ollamaResult.response, retrieval.sources);
     if (!retrieval?.sources?.length) {
       parsed.documentAnswer = [];
     }
@@ -201,6 +289,13 @@ Return ONLY valid JSON:
       await this._saveMemoryTurn(memory, cleanQuery, assistantForMemory);
     }
 
+    await this._recordTurn(sessionId, {
+      query: cleanQuery,
+      response: parsed,
+      sources: retrieval.sources,
+      persona
+    });
+
     return {
       success: true,
       response: parsed,
@@ -223,9 +318,56 @@ Return ONLY valid JSON:
 
     const memory = await this._createMemory();
     this.sessions.set(key, memory);
+    if (sessionId) {
+      await this._rehydrateMemory(sessionId, memory);
+    }
     return memory;
   }
 
+  /**
+   * Replay the tail of a persisted conversation into a fresh memory so a
+   * resumed session keeps its context window.
+   */
+  async _rehydrateMemory(sessionId, memory) {
+    if (!this.historyStore) return;
+    try {
+      const conversation = await this.historyStore.get(sessionId);
+      if (!conversation) return;
+      const turns = [];
+      const { messages } = conversation;
+      for (let i = 0; i < messages.length - 1; i += 1) {
+        if (messages[i].role === 'user' && messages[i + 1].role === 'assistant') {
+          turns.push([messages[i].text || '', this._formatForMemory(messages[i + 1])]);
+          i += 1;
+        }
+      }
+      for (const [input, output] of turns.slice(-DEFAULTS.memoryWindow)) {
+        await this._saveMemoryTurn(memory, input, output);
+      }
+      logger.debug('[ChatService] Rehydrated session memory', {
+        sessionId,
+        turns: Math.min(turns.length, DEFAULTS.memoryWindow)
+      });
+    } catch (error) {
+      logger.debug('[ChatService] Failed to rehydrate session memory:', error.message);
+    }
+  }
+
+  async _recordTurn(sessionId, { query, response, sources, persona = null }) {
+    if (!this.historyStore || !sessionId) return;
+    try {
+      const personaId = (persona || (await this._getPersona()))?.id || null;
+      await this.historyStore.appendTurn(sessionId, {
+        query,
+        response,
+        sources,
+        persona: personaId
+      });
+    } catch (error) {
+      logger.warn('[ChatService] Failed to persist chat turn:', error.message);
+    }
+  }
+
   async _createMemory() {
     try {
       if (!this._langchainMemoryModule) {
@@ -452,12 +594,26 @@ Return ONLY valid JSON:
       meta.contextBoosted = true;
     }
 
+    const allowSensitive = settingsSnapshot?.allowSensitiveInChat === true;
     const sources = finalResults.map((result, index) => {
       const fileId = result?.id;
-      const metadata = result?.metadata || {};
+      const rawMetadata = result?.metadata || {};
+      // Files flagged as sensitive are cited by name only unless the user allows their content
+      const sensitive = !allowSensitive && isSensitiveLevel(rawMetadata.sensitivity);
+      const metadata = sensitive
+        ? {
+            ...rawMetadata,
+            summary: '',
+            purpose: '',
+            subject: '',
+            reasoning: '',
+            extractedText: ''
+          }
+        : rawMetadata;
       // Build comprehensive snippet with fallbacks for richer context
-      const snippet =
-        chunkMap.get(fileId) || metadata.summary || metadata.purpose || metadata.subject || '';
+      const snippet = sensitive
+        ? ''
+        : chunkMap.get(fileId) || metadata.summary || metadata.purpose || metadata.subject || '';
       // Parse tags if stored as JSON string
       let tags = metadata.tags || metadata.keywords || [];
       if (typeof tags === 'string') {
@@ -509,7 +665,8 @@ Return ONLY valid JSON:
         isImage,
         contentType: isImage ? metadata.content_type || '' : '',
         hasText: isImage ? Boolean(metadata.has_text) : false,
-        colors: isImage ? (Array.isArray(colors) ? colors : []) : []
+        colors: isImage ? (Array.isArray(colors) ? colors : []) : [],
+        sensitive
       };
     });
 
@@ -600,7 +757,7 @@ Return ONLY valid JSON:
     return getChatPersonaOrDefault();
   }
 
-  _buildPrompt({ query, history, sources, persona }) {
+  _buildPrompt({ query, history, sources, persona, streaming = false }) {
     // Build comprehensive source context for richer conversations
     const sourcesText = sources
       .map((s) => {
@@ -615,6 +772,7 @@ Return ONLY valid JSON:
         if (s.reasoning) lines.push(`Classification reason: ${s.reasoning}`);
         if (s.snippet) lines.push(`Summary: ${s.snippet}`);
         if (s.tags?.length > 0) lines.push(`Tags: ${s.tags.join(', ')}`);
+        if (s.sensitive) lines.push('Content withheld: contains sensitive personal information');
         // Image-specific context
         if (s.isImage) {
           if (s.contentType) lines.push(`Content type: ${s.contentType}`);
@@ -647,6 +805,12 @@ ${query}
 Document sources:
 ${sourcesText || '(no documents found)'}
 
+${streaming ? this._getStreamingAnswerInstructions() : this._getJsonAnswerInstructions()}
+`.trim();
+  }
+
+  _getJsonAnswerInstructions() {
+    return `
 Return ONLY valid JSON with this shape:
 {
   "documentAnswer": [
@@ -672,6 +836,115 @@ Rules:
 `.trim();
   }
 
+  _getStreamingAnswerInstructions() {
+    return `
+Answer in plain text (no JSON).
+
+Rules:
+1. Synthesize information from the provided documents to answer the user's question directly.
+2. Cite the documents that back a statement inline using their ids in square brackets, e.g. [doc-1].
+3. General knowledge not found in the documents is fine, but do not cite it.
+4. Use document metadata (Project, Entity, Date, Type) to add useful context to your answer.
+5. Be concise but helpful. Avoid robotic repetition.
+6. If the documents don't answer the question, say so clearly and offer general advice if applicable.
+
+${this._getStreamingFollowUpInstructions()}
+`.trim();
+  }
+
+  _getStreamingFollowUpInstructions() {
+    return `After the answer, write a line containing only "${FOLLOW_UPS_MARKER}" followed by 1-${MAX_FOLLOW_UPS} natural follow-up questions, one per line.`;
+  }
+
+  /**
+   * Stream an answer from the LLM, forwarding the visible answer text as
+   * token events and holding back the trailing follow-up section.
+   * @returns {Promise<Object>} streamText result plus `parsed` response
+   */
+  async _streamAnswer(prompt, sources, { onEvent, signal }) {
+    if (typeof this.ollamaService.streamText !== 'function') {
+      return { success: false, error: 'Streaming not supported by the LLM service' };
+    }
+
+    let fullText = '';
+    let emitted = 0;
+    const emitVisible = (final) => {
+      const markerIndex = fullText.toUpperCase().indexOf(FOLLOW_UPS_MARKER);
+      let limit = fullText.length;
+      if (markerIndex >= 0) {
+        limit = markerIndex;
+      } else if (!final) {
+        // Hold back enough characters to never leak a partially streamed marker
+        limit = Math.max(0, fullText.length - FOLLOW_UPS_MARKER.length);
+      }
+      if (limit > emitted) {
+        onEvent({ type: 'token', delta: fullText.slice(emitted, limit) });
+        emitted = limit;
+      }
+    };
+
+    const result = await this.ollamaService.streamText(prompt, {
+      signal,
+      onToken: (token) => {
+        fullText += token;
+        emitVisible(false);
+      }
+    });
+    if (!result?.cancelled) {
+      emitVisible(true);
+    }
+
+    return {
+      ...result,
+      parsed: this._parseStreamedResponse(result?.response ?? fullText, sources)
+    };
+  }
+
+  /**
+   * Convert a plain-text streamed answer into the structured response shape.
+   * Cited answers become documentAnswer; uncited answers become modelAnswer.
+   */
+  _parseStreamedResponse(rawText, sources) {
+    const text = typeof rawText === 'string' ? rawText : '';
+    const markerIndex = text.toUpperCase().indexOf(FOLLOW_UPS_MARKER);
+    const answer = (markerIndex >= 0 ? text.slice(0, markerIndex) : text).trim();
+    const followUps =
+      markerIndex >= 0
+        ? text
+            .slice(markerIndex + FOLLOW_UPS_MARKER.length)
+            .split('\n')
+            .map((line) => line.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '').trim())
+            .filter(Boolean)
+            .slice(0, MAX_FOLLOW_UPS)
+        : [];
+
+    const sourceIds = new Set((sources || []).map((s) => s.id));
+    const citations = [];
+    for (const match of answer.matchAll(/\[(doc-\d+)\]/g)) {
+      if (sourceIds.has(match[1]) && !citations.includes(match[1])) {
+        citations.push(match[1]);
+      }
+    }
+
+    if (!answer) {
+      return { documentAnswer: [], modelAnswer: [], followUps };
+    }
+    return citations.length > 0
+      ? { documentAnswer: [{ text: answer, citations }], modelAnswer: [], followUps }
+      : { documentAnswer: [], modelAnswer: [{ text: answer }], followUps };
+  }
+
+  _buildCancelledResult(streamResult, sources, meta) {
+    return {
+      success: false,
+      cancelled: true,
+      error: 'Response cancelled',
+      response: streamResult.parsed,
+      sources,
+      meta
+    };
+  }
+
   _parseResponse(rawResponse, sources) {
     const fallback = {
       documentAnswer: [],
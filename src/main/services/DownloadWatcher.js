@@ -17,13 +17,19 @@ const { generateSuggestedNameFromAnalysis } = require('./autoOrganize/namingUtil
 const { recordAnalysisResult } = require('../ipc/analysisUtils');
 const { deriveWatcherConfidencePercent } = require('./confidence/watcherConfidence');
 const { getSemanticFileId, isImagePath } = require('../../shared/fileIdUtils');
-const { findContainingSmartFolder } = require('../../shared/folderUtils');
+const { findContainingSmartFolder, getOrganizeModeForPath } = require('../../shared/folderUtils');
+const { isLinkOrganizeMode } = require('../../shared/organizeModes');
+const { ACTION_TYPES } = require('../../shared/constants');
 const { normalizePathForIndex } = require('../../shared/pathSanitization');
 const { getInstance: getFileOperationTracker } = require('../../shared/fileOperationTracker');
 const { isUNCPath } = require('../../shared/crossPlatformUtils');
 const { shouldEmbed } = require('./embedding/embeddingGate');
 const { computeFileChecksum, handleDuplicateMove } = require('../utils/fileDedup');
 const { removeEmbeddingsForPathBestEffort } = require('../ipc/files/embeddingSync');
+const { notifyFileIndexed } = require('./SavedSearchService');
+const { getVirtualLinkService } = require('./VirtualLinkService');
+const { resolveInboxFolders, createIgnoreMatcher } = require('../../shared/inboxFolders');
+const { getSensitivityLevel } = require('../../shared/sensitiveData');
 
 const logger = typeof createLogger === 'function' ? createLogger('DownloadWatcher') : baseLogger;
 if (typeof createLogger !== 'function' && logger?.setContext) {
@@ -100,6 +106,8 @@ class DownloadWatcher {
     this.debounceTimers = new Map(); // Debounce timers for each file
     this.debounceDelay = 500; // 500ms debounce for rapid events
     this.restartTimer = null; // Track restart timer for cleanup
+    this.inboxes = []; // Inbox folders being watched (see shared/inboxFolders)
+    this._inboxSignature = null; // Serialized inbox config used to detect changes
     // FIX H-3: Track stopped state to prevent timer callbacks after stop()
     this._stopped = false;
   }
@@ -156,31 +164,111 @@ class DownloadWatcher {
     }
   }
 
+  /**
+   * Resolve the inbox folders to watch from settings.
+   * Falls back to ~/Downloads when no inbox is configured.
+   * @returns {Promise<Array>} Enabled inboxes with compiled ignore matchers
+   */
+  async _loadInboxes() {
+    let settings = {};
+    try {
+      settings = (await this.settingsService?.load?.()) || {};
+    } catch (error) {
+      logger.warn('[DOWNLOAD-WATCHER] Failed to load inbox settings:', error.message);
+    }
+    const inboxes = resolveInboxFolders(settings, path.join(os.homedir(), 'Downloads'));
+    this._inboxSignature = JSON.stringify(inboxes);
+    return inboxes.map((inbox) => ({
+      ...inbox,
+      rootKey: normalizePathForIndex(inbox.path).replace(/\/+$/, ''),
+      isIgnored: createIgnoreMatcher(inbox.ignorePatterns)
+    }));
+  }
+
+  /**
+   * Find the inbox a path belongs to (deepest matching root wins).
+   * @param {string} filePath - Absolute path
+   * @returns {Object|null} Inbox or null
+   */
+  _getInboxForPath(filePath) {
+    const key = normalizePathForIndex(filePath);
+    let match = null;
+    for (const inbox of this.inboxes) {
+      if (key !== inbox.rootKey && !key.startsWith(`${inbox.rootKey}/`)) continue;
+      if (!match || inbox.rootKey.length > match.rootKey.length) match = inbox;
+    }
+    return match;
+  }
+
+  /**
+   * Apply per-inbox depth and ignore patterns. chokidar watches every inbox
+   * with the deepest configured depth, so shallower inboxes are trimmed here.
+   * @param {string} filePath - Path reported by chokidar
+   * @returns {boolean} True if the path should be ignored
+   */
+  _isIgnoredByInbox(filePath) {
+    const inbox = this._getInboxForPath(filePath);
+    if (!inbox) return false;
+    const relative = normalizePathForIndex(filePath).slice(inbox.rootKey.length + 1);
+    if (!relative) return false;
+    if (relative.split('/').length - 1 > inbox.depth) return true;
+    return inbox.isIgnored(relative);
+  }
+
+  /**
+   * Restart the watcher if the inbox configuration changed.
+   * @param {Object} settings - Updated settings
+   * @returns {Promise<boolean>} True if a restart was triggered
+   */
+  async applyInboxSettings(settings) {
+    const signature = JSON.stringify(
+      resolveInboxFolders(settings, path.join(os.homedir(), 'Downloads'))
+    );
+    if (
+      this._inboxSignature === null ||
+      signature === this._inboxSignature ||
+      this._stopped ||
+      this.isStarting
+    ) {
+      return false;
+    }
+    logger.info('[DOWNLOAD-WATCHER] Inbox folders changed, restarting watcher');
+    await this.restart();
+    return true;
+  }
+
   async _doStart() {
     try {
-      const downloadsPath = path.join(os.homedir(), 'Downloads');
+      const inboxes = await this._loadInboxes();
 
-      // Verify downloads directory exists and is accessible
-      const isValid = await this._verifyDirectory(downloadsPath);
-      if (!isValid) {
+      // Verify each inbox exists and is accessible; skip the ones that are not
+      const validInboxes = [];
+      for (const inbox of inboxes) {
+        if (await this._verifyDirectory(inbox.path)) {
+          validInboxes.push(inbox);
+        }
+      }
+      if (validInboxes.length === 0) {
         this.isStarting = false;
         return;
       }
+      this.inboxes = validInboxes;
+      const watchPaths = validInboxes.map((inbox) => inbox.path);
 
-      logger.info('[DOWNLOAD-WATCHER] Watching', downloadsPath);
+      logger.info('[DOWNLOAD-WATCHER] Watching', watchPaths);
 
       // Check for UNC path to enable polling for network drives
-      const usePolling = isUNCPath(downloadsPath);
+      const usePolling = watchPaths.some((watchPath) => isUNCPath(watchPath));
       if (usePolling) {
-        logger.info('[DOWNLOAD-WATCHER] Downloads folder is on network drive, enabling polling');
+        logger.info('[DOWNLOAD-WATCHER] Inbox folder is on network drive, enabling polling');
       }
 
       // PERFORMANCE FIX: Optimize chokidar watcher configuration
       // - ignoreInitial: Don't process existing files on startup
-      // - ignored: Comprehensive temp/system file filtering
+      // - ignored: Comprehensive temp/system file filtering plus per-inbox patterns
       // - awaitWriteFinish: Wait for file writes to complete before processing
       // - usePolling: false by default for better performance, set to true for network drives
-      this.watcher = chokidar.watch(downloadsPath, {
+      this.watcher = chokidar.watch(watchPaths, {
         ignoreInitial: true,
         ignored: [
           /(^|[\\/\\])\../, // Ignore dotfiles
@@ -200,7 +288,8 @@ class DownloadWatcher {
           /desktop\.ini$/i, // Windows desktop settings
           /\.DS_Store$/i, // macOS directory settings
           '**/node_modules/**', // Ignore node_modules
-          '**/.git/**' // Ignore git directories
+          '**/.git/**', // Ignore git directories
+          (watchedPath) => this._isIgnoredByInbox(watchedPath) // Per-inbox depth and patterns
         ],
         awaitWriteFinish: {
           stabilityThreshold: 2000, // Wait 2s after last change
@@ -212,7 +301,7 @@ class DownloadWatcher {
         interval: usePolling ? 2000 : 100,
         binaryInterval: usePolling ? 2000 : 300,
         alwaysStat: false, // Don't stat files we're ignoring
-        depth: 0 // Only watch immediate directory, not subdirectories
+        depth: Math.max(...validInboxes.map((inbox) => inbox.depth)) // Deepest inbox; trimmed per inbox
       });
 
       // FIX #32: Validate watcher was created successfully before registering listeners
@@ -253,7 +342,7 @@ class DownloadWatcher {
   }
 
   /**
-   * Verify that the downloads directory exists and is accessible
+   * Verify that an inbox directory exists and is accessible
    * @param {string} dirPath - Path to verify
    * @returns {Promise<boolean>} True if directory is valid
    */
@@ -303,51 +392,57 @@ class DownloadWatcher {
     }
 
     // Set new timer
-    const timer = setTimeout(async () => {
-      // FIX H-3: Check if watcher was stopped during debounce
-      if (this._stopped) {
+    const timer = setTimeout(
+      async () => {
+        // FIX H-3: Check if watcher was stopped during debounce
+        if (this._stopped) {
+          this.debounceTimers.delete(filePath);
+          return;
+        }
+
         this.debounceTimers.delete(filePath);
-        return;
-      }
 
-      this.debounceTimers.delete(filePath);
+        // FIX: Verify file still exists after debounce (race condition prevention)
+        try {
+          await fs.stat(filePath);
+        } catch (statError) {
+          if (isNotFoundError(statError)) {
+            logger.debug('[DOWNLOAD-WATCHER] File disappeared during debounce:', filePath);
+            return;
+          }
+          // For other errors, continue and let handleFile deal with it
+        }
 
-      // FIX: Verify file still exists after debounce (race condition prevention)
-      try {
-        await fs.stat(filePath);
-      } catch (statError) {
-        if (isNotFoundError(statError)) {
-          logger.debug('[DOWNLOAD-WATCHER] File disappeared during debounce:', filePath);
+        // Check if already processing this file
+        if (this.processingFiles.has(filePath)) {
+          logger.debug('[DOWNLOAD-WATCHER] File already being processed:', filePath);
           return;
         }
-        // For other errors, continue and let handleFile deal with it
-      }
 
-      // Check if already processing this file
-      if (this.processingFiles.has(filePath)) {
-        logger.debug('[DOWNLOAD-WATCHER] File already being processed:', filePath);
-        return;
-      }
-
-      // FIX: Double-check recently-operated after debounce (another watcher may have processed it)
-      if (tracker.wasRecentlyOperated(filePath)) {
-        logger.debug('[DOWNLOAD-WATCHER] File became recently-operated during debounce:', filePath);
-        return;
-      }
+        // FIX: Double-check recently-operated after debounce (another watcher may have processed it)
+        if (tracker.wasRecentlyOperated(filePath)) {
+          logger.debug(
+            '[DOWNLOAD-WATCHER] File became recently-operated during debounce:',
+            filePath
+          );
+          return;
+        }
 
-      try {
-        this.processingFiles.add(filePath);
-        await this.handleFile(filePath);
-      } catch (e) {
-        logger.error('[DOWNLOAD-WATCHER] Failed processing file', {
-          filePath,
-          ...this._formatErrorInfo(e),
-          stack: e.stack
-        });
-      } finally {
-        this.processingFiles.delete(filePath);
-      }
-    }, this.debounceDelay);
+        try {
+          this.processingFiles.add(filePath);
+          await this.handleFile(filePath);
+        } catch (e) {
+          logger.error('[DOWNLOAD-WATCHER] Failed processing file', {
+            filePath,
+            ...this._formatErrorInfo(e),
+            stack: e.stack
+          });
+        } finally {
+          this.processingFiles.delete(filePath);
+        }
+      },
+      this._getInboxForPath(filePath)?.settleDelayMs ?? this.debounceDelay
+    );
 
     timer.unref(); // Don't prevent process exit
     this.debounceTimers.set(filePath, timer);
@@ -360,7 +455,7 @@ class DownloadWatcher {
   _handleWatcherError(error) {
     const fsError = error.isFileSystemError
       ? error
-      : new WatcherError(path.join(os.homedir(), 'Downloads'), error);
+      : new WatcherError(this.inboxes[0]?.path || path.join(os.homedir(), 'Downloads'), error);
 
     logger.error('[DOWNLOAD-WATCHER] Watcher error:', {
       message: fsError.getUserFriendlyMessage(),
@@ -503,7 +598,8 @@ class DownloadWatcher {
       maxRestartAttempts: this.maxRestartAttempts,
       lastError: this.lastError ? this.lastError.toJSON() : null,
       processingCount: this.processingFiles.size,
-      pendingDebounce: this.debounceTimers.size
+      pendingDebounce: this.debounceTimers.size,
+      inboxes: this.inboxes.map(({ id, name, path: inboxPath }) => ({ id, name, path: inboxPath }))
     };
   }
 
@@ -765,10 +861,30 @@ class DownloadWatcher {
       // The Discover phase has its own session-based naming controls in Redux.
       const settings = await this.settingsService.load();
 
+      // Per-inbox policy: an inbox can opt out of moving files (analyze in place via
+      // the fallback path) or require its own confidence threshold
+      const inbox = this._getInboxForPath(filePath);
+      if (inbox && inbox.autoOrganize === false) {
+        logger.debug('[DOWNLOAD-WATCHER] Inbox is analyze-only, skipping auto-organize:', {
+          inbox: inbox.name,
+          filePath
+        });
+        return { handled: false, shouldFallback: true };
+      }
+      const confidenceThreshold =
+        inbox?.confidenceThreshold ?? settings.confidenceThreshold ?? 0.75;
+
+      // Originals already linked into a link-based smart folder stay where they are
+      const linkService = getVirtualLinkService();
+      if (linkService && (await linkService.getLinksForSource(filePath)).length > 0) {
+        logger.debug('[DOWNLOAD-WATCHER] File already linked into a smart folder:', filePath);
+        return { handled: true, shouldFallback: false };
+      }
+
       // Use the new auto-organize service with suggestions
       const result = await this.autoOrganizeService.processNewFile(filePath, folders, {
         autoOrganizeEnabled: settings.autoOrganize,
-        confidenceThreshold: settings.confidenceThreshold ?? 0.75,
+        confidenceThreshold,
         defaultLocation: settings.defaultSmartFolderLocation || 'Documents',
         namingSettings: {
           // Default to subject-date so files are actually renamed when settings are missing
@@ -789,19 +905,49 @@ class DownloadWatcher {
         // Create destination directory with error handling
         await this._ensureDirectory(path.dirname(result.destination), 'destination', true);
 
-        // Move file with atomic error handling (TOCTOU fix: handle ENOENT from move directly)
-        try {
-          await this._moveFile(filePath, result.destination);
-        } catch (moveError) {
-          if (isNotFoundError(moveError)) {
-            logger.debug('[DOWNLOAD-WATCHER] File disappeared before move:', filePath);
+        // Link-based smart folders get a link; the original stays in the watched folder
+        const organizeMode = getOrganizeModeForPath(result.destination, folders);
+        const linked = isLinkOrganizeMode(organizeMode);
+        let destination = result.destination;
+        if (linked) {
+          const linkResult = await this._linkFile(filePath, result.destination, organizeMode);
+          if (!linkResult) {
             return { handled: true, shouldFallback: false };
           }
-          throw moveError;
+          destination = linkResult.linkPath;
+        } else {
+          // Move file with atomic error handling (TOCTOU fix: handle ENOENT from move directly)
+          try {
+            await this._moveFile(filePath, result.destination);
+          } catch (moveError) {
+            if (isNotFoundError(moveError)) {
+              logger.debug('[DOWNLOAD-WATCHER] File disappeared before move:', filePath);
+              return { handled: true, shouldFallback: false };
+            }
+            throw moveError;
+          }
         }
+        // Linked files are indexed where the original lives
+        const indexedPath = linked ? filePath : destination;
 
         // Record undo action AFTER the move succeeds to avoid phantom undo entries
-        if (result.undoAction && this.autoOrganizeService?.undoRedo) {
+        if (linked && this.autoOrganizeService?.undoRedo) {
+          try {
+            await this.autoOrganizeService.undoRedo.recordAction(ACTION_TYPES.BATCH_OPERATION, {
+              operations: [
+                {
+                  type: 'virtual_link',
+                  originalPath: filePath,
+                  newPath: destination,
+                  linkType: organizeMode
+                }
+              ],
+              description: `Auto-organized ${path.basename(filePath)} (linked)`
+            });
+          } catch (undoErr) {
+            logger.debug('[DOWNLOAD-WATCHER] Failed to record undo action:', undoErr.message);
+          }
+        } else if (result.undoAction && this.autoOrganizeService?.undoRedo) {
           try {
             await this.autoOrganizeService.undoRedo.recordAction(result.undoAction);
           } catch (undoErr) {
@@ -812,15 +958,15 @@ class DownloadWatcher {
         const confidencePercent = deriveWatcherConfidencePercent(result);
         // FIX: Use renamed filename from destination, not original filename
         // This ensures notifications show the actual filename the user will see
-        const fileName = path.basename(result.destination);
-        const destFolder = path.basename(path.dirname(result.destination));
+        const fileName = path.basename(destination);
+        const destFolder = path.basename(path.dirname(destination));
 
         logger.info(
           '[DOWNLOAD-WATCHER] Auto-organized with',
           `${confidencePercent}% confidence:`,
           filePath,
           '=>',
-          result.destination
+          destination
         );
 
         // Send notification via NotificationService
@@ -838,7 +984,7 @@ class DownloadWatcher {
             // Get analysis data from result (may be nested in result.analysis)
             const analysis = result.analysis || result;
             const analysisForHistory = {
-              suggestedName: path.basename(result.destination),
+              suggestedName: path.basename(destination),
               category: result.category || result.folder || destFolder || 'organized',
               // FIX NEW-10: Include keywords from analysis for history display
               keywords: result.keywords || analysis.keywords || [],
@@ -847,10 +993,10 @@ class DownloadWatcher {
               smartFolder: result.smartFolder || null,
               summary: result.summary || analysis.summary || '',
               model: 'auto-organize',
-              suggestedPath: result.destination,
-              actualPath: result.destination,
+              suggestedPath: destination,
+              actualPath: destination,
               renamed: true,
-              newName: path.basename(result.destination),
+              newName: path.basename(destination),
               // Extended fields for richer context in chat/search
               documentType: analysis.type || null,
               entity: analysis.entity || null,
@@ -868,7 +1014,7 @@ class DownloadWatcher {
             };
 
             await recordAnalysisResult({
-              filePath: result.destination,
+              filePath: indexedPath,
               result: analysisForHistory,
               processingTime: result.processingTime || 0,
               modelType: 'auto-organize',
@@ -878,7 +1024,7 @@ class DownloadWatcher {
 
             // FIX: Embed the file into ChromaDB for semantic search
             // This ensures DownloadWatcher-organized files are searchable
-            await this._embedAnalyzedFile(result.destination, result);
+            await this._embedAnalyzedFile(indexedPath, result);
           } catch (historyErr) {
             logger.debug('[DOWNLOAD-WATCHER] Failed to record history entry:', historyErr.message);
           }
@@ -892,7 +1038,7 @@ class DownloadWatcher {
       // Check if we have analysis result to show low-confidence notification
       if (this.notificationService && result) {
         const confidencePercent = deriveWatcherConfidencePercent(result);
-        const thresholdPercent = Math.round((settings.confidenceThreshold || 0.75) * 100);
+        const thresholdPercent = Math.round(confidenceThreshold * 100);
         if (confidencePercent < thresholdPercent) {
           await this.notificationService.notifyLowConfidence(
             fileName,
@@ -914,6 +1060,36 @@ class DownloadWatcher {
     }
   }
 
+  /**
+   * Link a file into a link-based smart folder, leaving the original in place.
+   * @param {string} source - Source file path
+   * @param {string} destination - Desired link path
+   * @param {'symlink'|'hardlink'} linkType
+   * @returns {Promise<{linkPath: string, linkType: string}|null>} Null when the file disappeared
+   * @throws {FileSystemError} When the link cannot be created
+   */
+  async _linkFile(source, destination, linkType) {
+    const linkService = getVirtualLinkService();
+    if (!linkService) {
+      throw new Error('Virtual links are unavailable; cannot organize into a link-based folder');
+    }
+    try {
+      return await linkService.createLink(source, destination, linkType);
+    } catch (linkError) {
+      if (isNotFoundError(linkError)) {
+        logger.debug('[DOWNLOAD-WATCHER] File disappeared before linking:', source);
+        return null;
+      }
+      const fsError = FileSystemError.forOperation('link', linkError, source);
+      logger.error('[DOWNLOAD-WATCHER] Failed to link file:', {
+        source,
+        destination,
+        error: fsError.getUserFriendlyMessage()
+      });
+      throw fsError;
+    }
+  }
+
   /**
    * Move a file to destination, handling cross-device moves and FILE_IN_USE retries.
    * @param {string} source - Source file path
@@ -1224,6 +1400,8 @@ class DownloadWatcher {
         extractionMethod: analysis.extractionMethod || 'unknown',
         // Document date for time-based queries
         date: analysis.date || null,
+        // Chat leaves out the text of sensitive files unless the user allows it
+        sensitivity: getSensitivityLevel(analysis),
         smartFolder: resolvedSmartFolder?.name || null,
         smartFolderPath: resolvedSmartFolder?.path || null
       };
@@ -1257,6 +1435,9 @@ class DownloadWatcher {
       } catch {
         // Non-fatal
       }
+
+      // Saved searches re-run shortly so smart collections pick the file up
+      notifyFileIndexed(filePath);
     } catch (embedError) {
       // Non-critical - log but don't fail the operation
       logger.warn('[DOWNLOAD-WATCHER] Failed to embed file:', {
@@ -0,0 +1,548 @@
+/**
+ * DuplicateService
+ *
+ * Scans smart folders for duplicate files and resolves duplicate groups by
+ * quarantining or linking the extra copies. Three detectors produce groups:
+ * - exact: identical size and SHA-256 checksum
+ * - image: perceptual difference hash (dHash) within a small Hamming distance
+ * - document: embedding similarity reported by ClusteringService
+ *
+ * Every resolution is recorded as one undoable batch in UndoRedoService.
+ *
+ * @module services/DuplicateService
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const { app } = require('electron');
+const { createLogger } = require('../../shared/logger');
+const { SUPPORTED_IMAGE_EXTENSIONS, ACTION_TYPES } = require('../../shared/constants');
+const { scanDirectory, DEFAULT_IGNORE_PATTERNS } = require('../folderScanner');
+const { computeFileChecksum, createFileLink } = require('../utils/fileDedup');
+
+const logger = createLogger('DuplicateService');
+
+const DEFAULTS = {
+  maxFiles: 20000,
+  maxImages: 5000,
+  scanTimeoutMs: 5 * 60 * 1000,
+  // 64-bit dHash; <= 6 differing bits survives re-encoding and resizing
+  imageDistance: 6,
+  documentSimilarity: 0.95
+};
+
+// Formats sharp can decode without extra codecs
+const HASHABLE_IMAGE_EXTENSIONS = new Set(
+  SUPPORTED_IMAGE_EXTENSIONS.filter((ext) => !['.svg', '.ico', '.heic'].includes(ext))
+);
+
+/**
+ * Compute a 64-bit difference hash for an image.
+ * The image is shrunk to 9x8 greyscale and each bit records whether a pixel is
+ * brighter than its right-hand neighbour.
+ * @param {string} filePath
+ * @returns {Promise<string>} 16-character hex hash
+ */
+async function computeImageHash(filePath) {
+  const sharp = require('sharp');
+  const pixels = await sharp(filePath, { failOn: 'none' })
+    .greyscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+  let hash = '';
+  for (let row = 0; row < 8; row++) {
+    let byte = 0;
+    for (let col = 0; col < 8; col++) {
+      const left = pixels[row * 9 + col];
+      const right = pixels[row * 9 + col + 1];
+      byte = (byte << 1) | (left > right ? 1 : 0);
+    }
+    hash += byte.toString(16).padStart(2, '0');
+  }
+  return hash;
+}
+
+const popcount32 = (value) => {
+  let v = value - ((value >>> 1) & 0x55555555);
+  v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+  return (((v + (v >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+};
+
+/**
+ * Hamming distance between two hex dHashes.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i += 8) {
+    distance += popcount32(parseInt(a.slice(i, i + 8), 16) ^ parseInt(b.slice(i, i + 8), 16));
+  }
+  return distance;
+}
+
+/**
+ * Group items connected by pairwise matches (union-find).
+ * @param {Array} items
+ * @param {Function} isMatch - (a, b) => boolean
+ * @returns {Array<Array>} Groups with at least two members
+ */
+function groupConnected(items, isMatch) {
+  const parent = items.map((_, i) => i);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+  for (let i = 0; i < items.length; i++) {
+    for (let j = i + 1; j < items.length; j++) {
+      if (isMatch(items[i], items[j])) {
+        const rootA = find(i);
+        const rootB = find(j);
+        if (rootA !== rootB) parent[rootA] = rootB;
+      }
+    }
+  }
+  const groups = new Map();
+  items.forEach((item, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(item);
+  });
+  return Array.from(groups.values()).filter((group) => group.length > 1);
+}
+
+const normalizeKey = (filePath) => {
+  const resolved = path.resolve(filePath);
+  return process.platform === 'win32' ? resolved.toLowerCase() : resolved;
+};
+
+const isWithin = (child, parent) => {
+  const rel = path.relative(parent, child);
+  return rel === '' || (!rel.startsWith('..') && !path.isAbsolute(rel));
+};
+
+class DuplicateService {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.getUndoRedo] - Returns the UndoRedoService
+   * @param {Function} [options.getClusteringService] - Returns the ClusteringService
+   * @param {string} [options.quarantineDir] - Where removed copies are moved
+   * @param {Object} [options.limits] - Overrides for DEFAULTS
+   */
+  constructor({ getUndoRedo, getClusteringService, quarantineDir, limits } = {}) {
+    this._getUndoRedo = getUndoRedo || (() => null);
+    this._getClusteringService = getClusteringService || (() => null);
+    this.quarantineDir =
+      quarantineDir || path.join(app.getPath('documents'), 'StratoSort Duplicates');
+    this.limits = { ...DEFAULTS, ...limits };
+    this._scanning = false;
+    this._cancelRequested = false;
+    this._lastScan = null;
+  }
+
+  isScanning() {
+    return this._scanning;
+  }
+
+  cancelScan() {
+    if (!this._scanning) return false;
+    this._cancelRequested = true;
+    return true;
+  }
+
+  /**
+   * Results of the most recent completed scan.
+   * @returns {{groups: Array, scannedAt: string|null, stats: Object|null, scanning: boolean}}
+   */
+  getResults() {
+    return {
+      groups: this._lastScan?.groups || [],
+      scannedAt: this._lastScan?.scannedAt || null,
+      stats: this._lastScan?.stats || null,
+      quarantineDir: this.quarantineDir,
+      scanning: this._scanning
+    };
+  }
+
+  /**
+   * Scan folders for exact and near-duplicate files.
+   * @param {string[]} folderPaths - Smart folder paths
+   * @param {Object} [options]
+   * @param {boolean} [options.includeImages=true]
+   * @param {boolean} [options.includeDocuments=true]
+   * @param {Function} [options.onProgress] - ({ phase, processed, total }) => void
+   * @returns {Promise<{success: boolean, groups?: Array, stats?: Object, cancelled?: boolean, error?: string}>}
+   */
+  async scan(folderPaths, { includeImages = true, includeDocuments = true, onProgress } = {}) {
+    if (this._scanning) {
+      return { success: false, error: 'A duplicate scan is already running' };
+    }
+    this._scanning = true;
+    this._cancelRequested = false;
+    const startedAt = Date.now();
+    const report = (phase, processed, total) => {
+      try {
+        onProgress?.({ phase, processed, total });
+      } catch {
+        // Progress listeners must not break the scan
+      }
+    };
+
+    try {
+      report('listing', 0, 0);
+      const files = await this._listFiles(folderPaths);
+      if (this._cancelRequested) return { success: false, cancelled: true };
+
+      const exactGroups = await this._findExactGroups(files, report);
+      if (this._cancelRequested) return { success: false, cancelled: true };
+
+      // Extra copies of an exact group add nothing to near-duplicate matching
+      const redundant = new Set();
+      exactGroups.forEach((group) =>
+        group.files.slice(1).forEach((f) => redundant.add(normalizeKey(f.path)))
+      );
+      const candidates = files.filter((f) => !redundant.has(f.key));
+
+      const imageGroups = includeImages ? await this._findImageGroups(candidates, report) : [];
+      if (this._cancelRequested) return { success: false, cancelled: true };
+
+      const documentGroups = includeDocuments ? await this._findDocumentGroups(candidates) : [];
+
+      const groups = [...exactGroups, ...imageGroups, ...documentGroups].map((group, i) => ({
+        ...group,
+        id: `${group.kind}-${i}`
+      }));
+      const stats = {
+        filesScanned: files.length,
+        groupCount: groups.length,
+        duplicateCount: groups.reduce((sum, g) => sum + g.files.length - 1, 0),
+        reclaimableBytes: exactGroups.reduce((sum, g) => sum + g.reclaimableBytes, 0),
+        durationMs: Date.now() - startedAt,
+        partial: files.partial
+      };
+      this._lastScan = { groups, stats, scannedAt: new Date().toISOString() };
+      report('done', files.length, files.length);
+      logger.info('[DuplicateService] Scan complete', stats);
+      return { success: true, groups, stats };
+    } catch (error) {
+      logger.error('[DuplicateService] Scan failed', { error: error.message });
+      return { success: false, error: error.message };
+    } finally {
+      this._scanning = false;
+      this._cancelRequested = false;
+    }
+  }
+
+  async _listFiles(folderPaths) {
+    const quarantineKey = normalizeKey(this.quarantineDir);
+    const seen = new Map();
+    let partial = false;
+
+    for (const folderPath of folderPaths || []) {
+      if (this._cancelRequested || seen.size >= this.limits.maxFiles) break;
+      try {
+        await fs.access(folderPath);
+      } catch {
+        continue;
+      }
+      const tree = await scanDirectory(folderPath, DEFAULT_IGNORE_PATTERNS, {
+        maxFiles: this.limits.maxFiles - seen.size,
+        timeoutMs: this.limits.scanTimeoutMs
+      });
+      if (tree.__scanMeta?.partial) partial = true;
+
+      const stack = [...tree];
+      while (stack.length > 0) {
+        const node = stack.pop();
+        if (node.type === 'folder') {
+          if (!isWithin(normalizeKey(node.path), quarantineKey)) {
+            stack.push(...(node.children || []));
+          }
+          continue;
+        }
+        const key = normalizeKey(node.path);
+        // Nested smart folders would otherwise list the same file twice
+        if (seen.has(key) || node.name.startsWith('.') || !node.size) continue;
+        seen.set(key, {
+          key,
+          path: node.path,
+          name: node.name,
+          size: node.size,
+          modified: node.modified
+        });
+      }
+    }
+
+    const files = Array.from(seen.values());
+    files.partial = partial;
+    return files;
+  }
+
+  async _findExactGroups(files, report) {
+    const bySize = new Map();
+    for (const file of files) {
+      if (!bySize.has(file.size)) bySize.set(file.size, []);
+      bySize.get(file.size).push(file);
+    }
+    const candidates = Array.from(bySize.values()).filter((list) => list.length > 1);
+    const total = candidates.reduce((sum, list) => sum + list.length, 0);
+    let processed = 0;
+
+    const groups = [];
+    for (const sameSize of candidates) {
+      const byHash = new Map();
+      for (const file of sameSize) {
+        if (this._cancelRequested) return groups;
+        try {
+          const hash = await computeFileChecksum(file.path);
+          if (!byHash.has(hash)) byHash.set(hash, []);
+          byHash.get(hash).push(file);
+        } catch (error) {
+          logger.debug('[DuplicateService] Checksum failed', {
+            path: file.path,
+            error: error.message
+          });
+        }
+        report('hashing', ++processed, total);
+      }
+      for (const [hash, members] of byHash) {
+        if (members.length < 2) continue;
+        groups.push({
+          kind: 'exact',
+          hash,
+          similarity: 1,
+          files: this._toGroupFiles(members),
+          reclaimableBytes: members[0].size * (members.length - 1)
+        });
+      }
+    }
+    return groups;
+  }
+
+  async _findImageGroups(files, report) {
+    const images = files
+      .filter((f) => HASHABLE_IMAGE_EXTENSIONS.has(path.extname(f.name).toLowerCase()))
+      .slice(0, this.limits.maxImages);
+    const hashed = [];
+    for (let i = 0; i < images.length; i++) {
+      if (this._cancelRequested) return [];
+      try {
+        hashed.push({ ...images[i], imageHash: await computeImageHash(images[i].path) });
+      } catch (error) {
+        logger.debug('[DuplicateService] Image hash failed', {
+          path: images[i].path,
+          error: error.message
+        });
+      }
+      report('images', i + 1, images.length);
+    }
+
+    const maxDistance = this.limits.imageDistance;
+    return groupConnected(
+      hashed,
+      (a, b) => hammingDistance(a.imageHash, b.imageHash) <= maxDistance
+    ).map((members) => {
+      let worst = 0;
+      for (let i = 0; i < members.length; i++) {
+        for (let j = i + 1; j < members.length; j++) {
+          worst = Math.max(worst, hammingDistance(members[i].imageHash, members[j].imageHash));
+        }
+      }
+      return {
+        kind: 'image',
+        similarity: Math.round((1 - worst / 64) * 100) / 100,
+        files: this._toGroupFiles(members),
+        reclaimableBytes: 0
+      };
+    });
+  }
+
+  async _findDocumentGroups(files) {
+    const clustering = this._getClusteringService();
+    if (!clustering?.findNearDuplicates) return [];
+
+    const byKey = new Map(
+      files
+        .filter((f) => !SUPPORTED_IMAGE_EXTENSIONS.includes(path.extname(f.name).toLowerCase()))
+        .map((f) => [f.key, f])
+    );
+    try {
+      const result = await clustering.findNearDuplicates({
+        threshold: this.limits.documentSimilarity,
+        maxResults: 200
+      });
+      if (!result?.success) return [];
+      return (result.groups || [])
+        .map((group) => {
+          const members = [];
+          for (const member of group.members || []) {
+            const file = member.path && byKey.get(normalizeKey(member.path));
+            if (file && !members.includes(file)) members.push(file);
+          }
+          return members.length > 1
+            ? {
+                kind: 'document',
+                similarity: group.averageSimilarity,
+                files: this._toGroupFiles(members),
+                reclaimableBytes: 0
+              }
+            : null;
+        })
+        .filter(Boolean);
+    } catch (error) {
+      logger.warn('[DuplicateService] Embedding duplicate lookup failed', {
+        error: error.message
+      });
+      return [];
+    }
+  }
+
+  // Oldest copy first: it is the most likely original and the default keeper
+  _toGroupFiles(members) {
+    return members
+      .map(({ path: filePath, name, size, modified }) => ({ path: filePath, name, size, modified }))
+      .sort((a, b) => String(a.modified || '').localeCompare(String(b.modified || '')));
+  }
+
+  /**
+   * Resolve duplicate groups from the last scan.
+   * Every file in a group other than the keeper is moved to the quarantine
+   * folder; in 'link' mode (exact groups only) a link to the keeper is left in
+   * its place. All changes are recorded as a single undoable action.
+   *
+   * @param {Array<{groupId: string, keepPath: string}>} resolutions
+   * @param {Object} [options]
+   * @param {'quarantine'|'link'} [options.mode='quarantine']
+   * @returns {Promise<{success: boolean, results: Array, resolvedGroups: string[], error?: string}>}
+   */
+  async resolve(resolutions, { mode = 'quarantine' } = {}) {
+    const groupsById = new Map((this._lastScan?.groups || []).map((g) => [g.id, g]));
+    const operations = [];
+    const results = [];
+    const resolvedGroups = [];
+
+    for (const { groupId, keepPath } of resolutions || []) {
+      const group = groupsById.get(groupId);
+      const keeper = group?.files.find((f) => normalizeKey(f.path) === normalizeKey(keepPath));
+      if (!group || !keeper) {
+        results.push({ success: false, groupId, error: 'Duplicate group not found' });
+        continue;
+      }
+      if (mode === 'link' && group.kind !== 'exact') {
+        results.push({ success: false, groupId, error: 'Only identical files can be linked' });
+        continue;
+      }
+
+      let resolvedAny = false;
+      for (const file of group.files) {
+        if (file === keeper) continue;
+        try {
+          const operation = await this._resolveFile(file.path, keeper.path, mode);
+          operations.push(operation);
+          results.push({
+            success: true,
+            groupId,
+            type: operation.type,
+            source: file.path,
+            destination: operation.newPath
+          });
+          resolvedAny = true;
+        } catch (error) {
+          logger.warn('[DuplicateService] Failed to resolve duplicate', {
+            path: file.path,
+            error: error.message
+          });
+          results.push({ success: false, groupId, source: file.path, error: error.message });
+        }
+      }
+      if (resolvedAny) resolvedGroups.push(groupId);
+    }
+
+    if (operations.length > 0) {
+      await this._recordResolution(operations, mode, resolvedGroups.length);
+      // Resolved groups are stale; drop them so the review list stays accurate
+      const resolved = new Set(resolvedGroups);
+      this._lastScan.groups = this._lastScan.groups.filter((g) => !resolved.has(g.id));
+    }
+
+    return { success: operations.length > 0, results, resolvedGroups };
+  }
+
+  async _resolveFile(filePath, keepPath, mode) {
+    if (mode === 'link') {
+      // Files may have changed since the scan; never link over different content
+      const [keepHash, fileHash] = await Promise.all([
+        computeFileChecksum(keepPath),
+        computeFileChecksum(filePath)
+      ]);
+      if (keepHash !== fileHash) {
+        throw new Error('File changed since the scan');
+      }
+    }
+
+    const undoRedo = this._getUndoRedo();
+    await fs.mkdir(this.quarantineDir, { recursive: true });
+    const quarantinePath = await this._reserveQuarantinePath(path.basename(filePath));
+    if (undoRedo?.safeMove) {
+      await undoRedo.safeMove(filePath, quarantinePath);
+    } else {
+      await fs.rename(filePath, quarantinePath);
+    }
+
+    if (mode !== 'link') {
+      return { type: 'move', originalPath: filePath, newPath: quarantinePath };
+    }
+    try {
+      await createFileLink(keepPath, filePath);
+    } catch (error) {
+      // Put the copy back rather than leave a hole where the file was
+      await fs.rename(quarantinePath, filePath).catch(() => {});
+      throw error;
+    }
+    return { type: 'link', originalPath: filePath, newPath: quarantinePath, targetPath: keepPath };
+  }
+
+  async _reserveQuarantinePath(fileName) {
+    const ext = path.extname(fileName);
+    const base = path.basename(fileName, ext);
+    for (let counter = 0; counter < 1000; counter++) {
+      const candidate = path.join(
+        this.quarantineDir,
+        counter === 0 ? fileName : `${base}_${counter}${ext}`
+      );
+      try {
+        await fs.access(candidate);
+      } catch {
+        return candidate;
+      }
+    }
+    return path.join(this.quarantineDir, `${base}_${Date.now()}${ext}`);
+  }
+
+  async _recordResolution(operations, mode, groupCount) {
+    const undoRedo = this._getUndoRedo();
+    const moved = operations
+      .filter((op) => op.type === 'move')
+      .map((op) => ({ oldPath: op.originalPath, newPath: op.newPath }));
+    try {
+      await undoRedo?.updateChromaDbPaths?.(moved);
+      await undoRedo?.recordAction?.(ACTION_TYPES.BATCH_OPERATION, {
+        operations,
+        description: `${mode === 'link' ? 'Link' : 'Quarantine'} ${operations.length} duplicate${
+          operations.length !== 1 ? 's' : ''
+        } in ${groupCount} group${groupCount !== 1 ? 's' : ''}`
+      });
+    } catch (error) {
+      logger.warn('[DuplicateService] Failed to record duplicate resolution', {
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = { DuplicateService, computeImageHash, hammingDistance };
@@ -0,0 +1,355 @@
+/**
+ * File Annotation Service
+ *
+ * Persists user-defined tags and free-text notes per file. Entries are keyed
+ * by the semantic file id (the id used by search and the vector store), so
+ * they survive re-analysis and follow files through moves via the
+ * FilePathCoordinator. Search folds them into BM25 and embedding text, and
+ * smart folder rules can match on them.
+ *
+ * Emits 'changed' with { id, path, annotation } whenever a file's
+ * annotations are edited, moved or removed.
+ *
+ * @module services/FileAnnotationService
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const { EventEmitter } = require('events');
+const { app } = require('electron');
+const { z } = require('zod');
+const { createLogger } = require('../../shared/logger');
+const { JsonCollectionFile } = require('../../shared/jsonCollectionFile');
+const { getSemanticFileId } = require('../../shared/fileIdUtils');
+const {
+  normalizeUserTags,
+  normalizeUserNote,
+  matchesUserTags
+} = require('../../shared/fileAnnotations');
+
+const logger = createLogger('FileAnnotationService');
+
+const entrySchema = z.object({
+  id: z.string().min(1),
+  path: z.string().min(1),
+  tags: z.array(z.string()),
+  note: z.string(),
+  updatedAt: z.string()
+});
+
+function toAnnotation(entry) {
+  return { tags: [...entry.tags], note: entry.note, updatedAt: entry.updatedAt };
+}
+
+class FileAnnotationService extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.userDataPath = options.userDataPath || app.getPath('userData');
+    this.filePath = path.join(this.userDataPath, options.filename || 'file-annotations.json');
+    this._entries = new Map(); // semantic file id -> { id, path, tags, note, updatedAt }
+    this._loaded = false;
+    this._loadPromise = null;
+    this._file = new JsonCollectionFile(this.filePath);
+    this._coordinator = null;
+    this._coordinatorListeners = null;
+  }
+
+  async load() {
+    if (this._loaded) return;
+    if (!this._loadPromise) {
+      this._loadPromise = this._loadFromDisk();
+    }
+    await this._loadPromise;
+  }
+
+  async _loadFromDisk() {
+    try {
+      const data = await fs.readFile(this.filePath, 'utf-8');
+      const parsed = JSON.parse(data);
+      const items = Array.isArray(parsed?.items) ? parsed.items : [];
+      let invalidCount = 0;
+      for (const item of items) {
+        const result = entrySchema.safeParse(item);
+        if (result.success) {
+          this._entries.set(result.data.id, result.data);
+        } else {
+          invalidCount += 1;
+        }
+      }
+      if (invalidCount > 0) {
+        logger.warn('[FileAnnotationService] Dropped invalid annotations', { invalidCount });
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('[FileAnnotationService] Failed to load annotations:', error.message);
+      }
+    } finally {
+      this._loaded = true;
+    }
+  }
+
+  /**
+   * @param {string} filePath
+   * @returns {Promise<{tags: string[], note: string, updatedAt: string}|null>}
+   */
+  async get(filePath) {
+    await this.load();
+    const entry = this._entries.get(getSemanticFileId(filePath));
+    return entry ? toAnnotation(entry) : null;
+  }
+
+  /**
+   * @param {string[]} filePaths
+   * @returns {Promise<Object>} filePath -> annotation, only for annotated files
+   */
+  async getMany(filePaths) {
+    await this.load();
+    const result = {};
+    for (const filePath of Array.isArray(filePaths) ? filePaths : []) {
+      const entry = this._entries.get(getSemanticFileId(filePath));
+      if (entry) result[filePath] = toAnnotation(entry);
+    }
+    return result;
+  }
+
+  /**
+   * All annotations keyed by semantic file id, for index builds.
+   * @returns {Promise<Map<string, {tags: string[], note: string}>>}
+   */
+  async getAllById() {
+    await this.load();
+    const result = new Map();
+    for (const [id, entry] of this._entries) {
+      result.set(id, toAnnotation(entry));
+    }
+    return result;
+  }
+
+  /**
+   * Replace a file's tags and/or note. Fields left undefined keep their
+   * current value; an annotation with no tags and an empty note is removed.
+   * @param {string} filePath
+   * @param {Object} input
+   * @param {string[]} [input.tags]
+   * @param {string} [input.note]
+   * @returns {Promise<Object|null>} The stored annotation, or null when cleared
+   */
+  async set(filePath, { tags, note } = {}) {
+    await this.load();
+    const id = getSemanticFileId(filePath);
+    const existing = this._entries.get(id);
+    const nextTags = tags === undefined ? existing?.tags || [] : normalizeUserTags(tags);
+    const nextNote = note === undefined ? existing?.note || '' : normalizeUserNote(note);
+
+    if (nextTags.length === 0 && !nextNote) {
+      if (!existing) return null;
+      this._entries.delete(id);
+      await this._save();
+      this._emitChange(id, filePath, null);
+      return null;
+    }
+
+    const entry = {
+      id,
+      path: filePath,
+      tags: nextTags,
+      note: nextNote,
+      updatedAt: new Date().toISOString()
+    };
+    this._entries.set(id, entry);
+    await this._save();
+    this._emitChange(id, filePath, toAnnotation(entry));
+    return toAnnotation(entry);
+  }
+
+  /**
+   * Every tag in use with the number of files carrying it, most used first.
+   * Tags differing only in case are counted together under the first spelling seen.
+   * @returns {Promise<Array<{tag: string, count: number}>>}
+   */
+  async listTags() {
+    await this.load();
+    const counts = new Map();
+    for (const entry of this._entries.values()) {
+      for (const tag of entry.tags) {
+        const key = tag.toLowerCase();
+        const current = counts.get(key);
+        if (current) current.count += 1;
+        else counts.set(key, { tag, count: 1 });
+      }
+    }
+    return Array.from(counts.values()).sort(
+      (a, b) => b.count - a.count || a.tag.localeCompare(b.tag)
+    );
+  }
+
+  /**
+   * @param {string[]} tags
+   * @param {Object} [options]
+   * @param {'all'|'any'} [options.match='all']
+   * @returns {Promise<Array<{path: string, tags: string[], note: string, updatedAt: string}>>}
+   */
+  async findByTags(tags, { match = 'all' } = {}) {
+    await this.load();
+    if (normalizeUserTags(tags).length === 0) return [];
+    const results = [];
+    for (const entry of this._entries.values()) {
+      if (matchesUserTags(entry.tags, tags, match)) {
+        results.push({ path: entry.path, ...toAnnotation(entry) });
+      }
+    }
+    return results.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  /**
+   * Carry annotations over to a file's new location.
+   * @param {string} oldPath
+   * @param {string} newPath
+   * @param {Object} [options]
+   * @param {boolean} [options.copy=false] - Keep the source annotation as well
+   * @returns {Promise<boolean>} Whether anything was moved
+   */
+  async movePath(oldPath, newPath, { copy = false } = {}) {
+    await this.load();
+    const oldId = getSemanticFileId(oldPath);
+    const newId = getSemanticFileId(newPath);
+    const entry = this._entries.get(oldId);
+    if (!entry || oldId === newId) return false;
+
+    if (!copy) this._entries.delete(oldId);
+    const moved = { ...entry, id: newId, path: newPath, tags: [...entry.tags] };
+    this._entries.set(newId, moved);
+    await this._save();
+    if (!copy) this._emitChange(oldId, oldPath, null);
+    this._emitChange(newId, newPath, toAnnotation(moved));
+    return true;
+  }
+
+  /**
+   * @param {string} filePath
+   * @returns {Promise<boolean>} Whether an annotation was removed
+   */
+  async removePath(filePath) {
+    await this.load();
+    const id = getSemanticFileId(filePath);
+    if (!this._entries.delete(id)) return false;
+    await this._save();
+    this._emitChange(id, filePath, null);
+    return true;
+  }
+
+  /**
+   * Follow moves, copies and deletions reported by the FilePathCoordinator.
+   * @param {import('events').EventEmitter} coordinator
+   */
+  trackPathChanges(coordinator) {
+    if (!coordinator?.on || this._coordinator === coordinator) return;
+    this.untrackPathChanges();
+
+    const onError = (action) => (error) =>
+      logger.warn(`[FileAnnotationService] Failed to ${action} annotation:`, error.message);
+    const listeners = {
+      'path-changed': ({ oldPath, newPath }) =>
+        this.movePath(oldPath, newPath).catch(onError('move')),
+      'paths-changed': ({ changes }) => {
+        for (const { oldPath, newPath } of changes || []) {
+          this.movePath(oldPath, newPath).catch(onError('move'));
+        }
+      },
+      'file-copied': ({ sourcePath, destPath }) =>
+        this.movePath(sourcePath, destPath, { copy: true }).catch(onError('copy')),
+      'file-deleted': ({ path: filePath }) => this.removePath(filePath).catch(onError('remove'))
+    };
+    for (const [event, listener] of Object.entries(listeners)) {
+      coordinator.on(event, listener);
+    }
+    this._coordinator = coordinator;
+    this._coordinatorListeners = listeners;
+  }
+
+  untrackPathChanges() {
+    if (!this._coordinator) return;
+    for (const [event, listener] of Object.entries(this._coordinatorListeners)) {
+      this._coordinator.removeListener(event, listener);
+    }
+    this._coordinator = null;
+    this._coordinatorListeners = null;
+  }
+
+  _emitChange(id, filePath, annotation) {
+    try {
+      this.emit('changed', { id, path: filePath, annotation });
+    } catch (error) {
+      logger.warn('[FileAnnotationService] Change listener failed:', error.message);
+    }
+  }
+
+  /**
+   * Queue a write of every annotation behind any write in flight
+   * @returns {Promise<void>} Rejects if the file could not be written
+   */
+  _save() {
+    return this._file.save(Array.from(this._entries.values()));
+  }
+
+  shutdown() {
+    this.untrackPathChanges();
+    this.removeAllListeners();
+  }
+}
+
+/**
+ * Resolve the registered service without creating one, so callers outside
+ * the app (tests, CLI before startup) quietly skip annotations.
+ * @returns {FileAnnotationService|null}
+ */
+function getRegisteredService() {
+  try {
+    const { container, ServiceIds } = require('./ServiceContainer');
+    return container.tryResolve(ServiceIds.FILE_ANNOTATIONS) || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Copy of `analysis` with the file's user tags and note attached as
+ * `userTags`/`userNote`, for embedding text and rule evaluation.
+ * @param {Object} analysis
+ * @param {string} filePath
+ * @returns {Promise<Object>} The original object when the file has no annotations
+ */
+async function mergeFileAnnotations(analysis, filePath) {
+  const service = getRegisteredService();
+  if (!service || !filePath) return analysis;
+  try {
+    const annotation = await service.get(filePath);
+    return annotation
+      ? { ...analysis, userTags: annotation.tags, userNote: annotation.note }
+      : analysis;
+  } catch (error) {
+    logger.debug('[FileAnnotationService] Failed to read annotations:', error.message);
+    return analysis;
+  }
+}
+
+const { createSingletonHelpers } = require('../../shared/singletonFactory');
+
+const { getInstance, createInstance, registerWithContainer, resetInstance } =
+  createSingletonHelpers({
+    ServiceClass: FileAnnotationService,
+    serviceId: 'FILE_ANNOTATIONS',
+    serviceName: 'FileAnnotationService',
+    containerPath: './ServiceContainer',
+    shutdownMethod: 'shutdown'
+  });
+
+module.exports = {
+  FileAnnotationService,
+  getInstance,
+  createInstance,
+  registerWithContainer,
+  resetInstance,
+  getRegisteredService,
+  mergeFileAnnotations
+};
@@ -12,6 +12,7 @@ const { enrichFolderTextForEmbedding } = require('../analysis/semanticExtensionM
 const { validateEmbeddingDimensions } = require('../../shared/vectorMath');
 const { capEmbeddingInput } = require('../utils/embeddingInput');
 const { chunkText } = require('../utils/textChunking');
+const { routeFolderMatches } = require('../../shared/smartFolderHierarchy');
 
 /**
  * Embedding dimension constants for different models
@@ -1113,6 +1114,36 @@ class FolderMatchingService {
     }
   }
 
+  /**
+   * Match a raw embedding vector to nested smart folders.
+   * Top-level folders compete first; each match then descends into the best
+   * scoring child folder per level (see shared/smartFolderHierarchy).
+   * @param {Array<number>} vector - Embedding vector
+   * @param {Array<Object>} smartFolders - Smart folders, children carry `parentId`
+   * @param {Object} [options]
+   * @param {number} [options.topK=5] - Number of routed matches
+   * @param {number} [options.minChildScore] - Score a child folder needs to be chosen
+   * @returns {Promise<Array>} Matches shaped like matchVectorToFolders results plus `route`
+   */
+  async routeVectorToFolderTree(vector, smartFolders, options = {}) {
+    const { topK = 5, minChildScore } = options;
+    const folders = Array.isArray(smartFolders) ? smartFolders : [];
+    // Children only get a score if they come back from the query, so ask for every folder
+    const queryK = Math.min(100, Math.max(topK, folders.length));
+    const matches = await this.matchVectorToFolders(vector, queryK);
+
+    return routeFolderMatches(matches, folders, { topK, minChildScore }).map(
+      ({ folder, score, route }) => ({
+        folderId: folder.id,
+        name: folder.name,
+        path: folder.path,
+        description: folder.description || '',
+        score,
+        route
+      })
+    );
+  }
+
   /**
    * Find similar files using a raw query vector
    * @param {Array<number>} queryVector - The embedding vector to search with
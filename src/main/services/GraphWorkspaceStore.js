@@ -0,0 +1,204 @@
+/**
+ * Graph Workspace Store
+ *
+ * Persists named graph workspaces (nodes, edges, per-node notes, chat and
+ * view settings) from the Knowledge OS graph tab to userData so several
+ * graphs can be kept side by side and exported.
+ *
+ * @module services/GraphWorkspaceStore
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const { app } = require('electron');
+const { z } = require('zod');
+const { createLogger } = require('../../shared/logger');
+const { JsonCollectionFile } = require('../../shared/jsonCollectionFile');
+const { exportGraph } = require('../../shared/graphExport');
+
+const logger = createLogger('GraphWorkspaceStore');
+
+const MAX_WORKSPACES = 50;
+const MAX_NAME_LENGTH = 80;
+
+const workspaceSchema = z
+  .object({
+    id: z.string().min(1),
+    name: z.string(),
+    createdAt: z.string(),
+    updatedAt: z.string(),
+    nodes: z.array(z.object({ id: z.string() }).passthrough()),
+    edges: z.array(z.object({ source: z.string(), target: z.string() }).passthrough()),
+    notes: z.record(z.string(), z.string()).optional(),
+    chatMessages: z.array(z.object({}).passthrough()).optional(),
+    settings: z.object({}).passthrough().optional()
+  })
+  .passthrough();
+
+function cleanName(name) {
+  return String(name || '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, MAX_NAME_LENGTH);
+}
+
+function summarize(workspace) {
+  return {
+    id: workspace.id,
+    name: workspace.name,
+    createdAt: workspace.createdAt,
+    updatedAt: workspace.updatedAt,
+    nodeCount: workspace.nodes.length,
+    edgeCount: workspace.edges.length
+  };
+}
+
+class GraphWorkspaceStore {
+  constructor(options = {}) {
+    this.userDataPath = options.userDataPath || app.getPath('userData');
+    this.filePath = path.join(this.userDataPath, options.filename || 'graph-workspaces.json');
+    this.maxWorkspaces = options.maxWorkspaces || MAX_WORKSPACES;
+    this._workspaces = new Map(); // id -> workspace, most recently updated last
+    this._loaded = false;
+    this._loadPromise = null;
+    this._file = new JsonCollectionFile(this.filePath);
+  }
+
+  async load() {
+    if (this._loaded) return;
+    if (!this._loadPromise) {
+      this._loadPromise = this._loadFromDisk();
+    }
+    await this._loadPromise;
+  }
+
+  async _loadFromDisk() {
+    try {
+      const data = await fs.readFile(this.filePath, 'utf-8');
+      const parsed = JSON.parse(data);
+      const items = Array.isArray(parsed?.items) ? parsed.items : [];
+      let invalidCount = 0;
+      const valid = [];
+      for (const item of items) {
+        const result = workspaceSchema.safeParse(item);
+        if (result.success) {
+          valid.push(result.data);
+        } else {
+          invalidCount += 1;
+        }
+      }
+      valid.sort((a, b) => a.updatedAt.localeCompare(b.updatedAt));
+      for (const workspace of valid) {
+        this._workspaces.set(workspace.id, workspace);
+      }
+      if (invalidCount > 0) {
+        logger.warn('[GraphWorkspaceStore] Dropped invalid workspaces', { invalidCount });
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('[GraphWorkspaceStore] Failed to load workspaces:', error.message);
+      }
+    } finally {
+      this._loaded = true;
+    }
+  }
+
+  /**
+   * List workspace summaries, most recently updated first.
+   * @returns {Promise<Array<Object>>}
+   */
+  async list() {
+    await this.load();
+    return Array.from(this._workspaces.values()).reverse().map(summarize);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<Object|null>}
+   */
+  async get(id) {
+    await this.load();
+    const workspace = this._workspaces.get(id);
+    return workspace ? { ...workspace } : null;
+  }
+
+  /**
+   * Create a workspace, or overwrite the graph of an existing one.
+   * @param {Object} input
+   * @param {string} [input.id] - Existing workspace to update; omitted to create
+   * @param {string} input.name
+   * @param {Array} input.nodes
+   * @param {Array} input.edges
+   * @param {Object} [input.notes] - nodeId -> note
+   * @param {Array} [input.chatMessages]
+   * @param {Object} [input.settings] - Graph view settings
+   * @returns {Promise<Object|null>} Summary, or null when `id` does not exist
+   */
+  async save({ id, name, nodes, edges, notes = {}, chatMessages = [], settings = {} }) {
+    await this.load();
+    const now = new Date().toISOString();
+    const existing = id ? this._workspaces.get(id) : null;
+    if (id && !existing) return null;
+
+    if (!existing && this._workspaces.size >= this.maxWorkspaces) {
+      const oldestId = this._workspaces.keys().next().value;
+      this._workspaces.delete(oldestId);
+    }
+
+    const workspace = {
+      id: existing?.id || crypto.randomUUID(),
+      name: cleanName(name) || existing?.name || 'Untitled graph',
+      createdAt: existing?.createdAt || now,
+      updatedAt: now,
+      nodes,
+      edges,
+      notes,
+      chatMessages,
+      settings
+    };
+
+    // Re-insert so Map order tracks recency
+    this._workspaces.delete(workspace.id);
+    this._workspaces.set(workspace.id, workspace);
+    await this._save();
+    return summarize(workspace);
+  }
+
+  async rename(id, name) {
+    await this.load();
+    const workspace = this._workspaces.get(id);
+    const clean = cleanName(name);
+    if (!workspace || !clean) return null;
+    workspace.name = clean;
+    await this._save();
+    return summarize(workspace);
+  }
+
+  async remove(id) {
+    await this.load();
+    if (!this._workspaces.delete(id)) return false;
+    await this._save();
+    return true;
+  }
+
+  /**
+   * @param {string} id
+   * @param {'graphml'|'gexf'|'json'} format
+   * @returns {Promise<string|null>} File contents, or null when the workspace does not exist
+   */
+  async export(id, format) {
+    const workspace = await this.get(id);
+    return workspace ? exportGraph(workspace, format) : null;
+  }
+
+  /**
+   * Queue a write of the workspaces behind any write in flight
+   * @returns {Promise<void>} Rejects if the file could not be written
+   */
+  _save() {
+    return this._file.save(Array.from(this._workspaces.values()));
+  }
+}
+
+module.exports = { GraphWorkspaceStore };
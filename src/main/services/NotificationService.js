@@ -305,6 +305,80 @@ class NotificationService {
     }
   }
 
+  /**
+   * Notify that a scheduled organization job finished
+   * @param {string} jobName - Scheduled job name
+   * @param {Object} counts - Run counts
+   * @param {number} counts.moved - Files moved
+   * @param {number} counts.skipped - Files left in place
+   * @param {number} counts.errors - Files that failed
+   */
+  async notifyScheduledRunComplete(jobName, { moved = 0, skipped = 0, errors = 0 } = {}) {
+    const settings = await this._getSettings();
+    if (!settings.notifications) return;
+
+    const mode = settings.notificationMode || 'both';
+    const title = `Scheduled: ${jobName}`;
+    const parts = [`${moved} moved`];
+    if (skipped > 0) parts.push(`${skipped} skipped`);
+    if (errors > 0) parts.push(`${errors} failed`);
+    const body = parts.join(', ');
+    const severity = errors > 0 ? NotificationSeverity.WARNING : NotificationSeverity.SUCCESS;
+
+    if (this._shouldShowTray(mode)) {
+      this._showTrayNotification(title, body);
+    }
+
+    if (this._shouldShowUi(mode)) {
+      this._sendToUi({
+        type: NotificationType.BATCH_COMPLETE,
+        title,
+        message: body,
+        severity,
+        duration: 5000,
+        data: { jobName, moved, skipped, errors }
+      });
+    }
+  }
+
+  /**
+   * Notify that newly indexed files match a saved search
+   * @param {string} searchName - Saved search (smart collection) name
+   * @param {string[]} fileNames - Names of the newly matching files
+   * @param {Object} [data] - Extra context, e.g. { searchId }
+   */
+  async notifySavedSearchMatches(searchName, fileNames, data = {}) {
+    const settings = await this._getSettings();
+    if (!settings.notifications || fileNames.length === 0) return;
+
+    const mode = settings.notificationMode || 'both';
+    const title = `New in "${searchName}"`;
+    const body =
+      fileNames.length === 1
+        ? `${fileNames[0]} matches this saved search`
+        : `${fileNames[0]} and ${fileNames.length - 1} more match this saved search`;
+
+    if (this._shouldShowTray(mode)) {
+      this._showTrayNotification(title, body);
+    }
+
+    if (this._shouldShowUi(mode)) {
+      this._sendToUi({
+        type: NotificationType.SAVED_SEARCH_MATCH,
+        title,
+        message: body,
+        severity: NotificationSeverity.INFO,
+        duration: 5000,
+        data: { ...data, searchName, fileNames: fileNames.slice(0, 10) }
+      });
+    }
+
+    logger.debug('[NotificationService] Saved search notification sent', {
+      searchName,
+      count: fileNames.length
+    });
+  }
+
   /**
    * Notify about a watcher error
    * @param {string} watcherName - Name of the watcher
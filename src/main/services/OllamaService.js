@@ -23,8 +23,9 @@ const {
 const { withOllamaRetry } = require('../utils/ollamaApiRetry');
 const { getInstance: getOllamaClient } = require('./OllamaClient');
 const { buildOllamaOptions } = require('./PerformanceService');
-const { categorizeModels } = require('../../shared/modelCategorization');
 const { capEmbeddingInput } = require('../utils/embeddingInput');
+const { LLM_PROVIDERS, categorizeModelsForRoles } = require('../../shared/llmProviders');
+const { setProviderConfig, getActiveProviderConfig, getRoleProviderId } = require('./llmProviders');
 
 // FIX: Module-level constant for allowed embedding models (used by all updateConfig methods)
 const ALLOWED_EMBED_MODELS = [
@@ -37,6 +38,28 @@ const ALLOWED_EMBED_MODELS = [
   'gte' // Alibaba GTE models (various dims)
 ];
 
+/**
+ * Check an embedding model against the Ollama allowlist.
+ * FIX Issue 2.2: Use exact base name matching instead of substring to prevent
+ * malicious model names like "evil-nomic-embed-text" from passing validation.
+ * Models served by an OpenAI-compatible server come from the user's own model
+ * list and use that server's naming, so the allowlist does not apply to them.
+ * @param {string} model - Requested embedding model
+ * @returns {boolean}
+ */
+function isAllowedEmbeddingModel(model) {
+  if (getRoleProviderId('embedding') !== LLM_PROVIDERS.OLLAMA) return true;
+  const normalizedModel = model.toLowerCase();
+  return (
+    ALLOWED_EMBED_MODELS.includes(model) ||
+    ALLOWED_EMBED_MODELS.some((allowed) => {
+      // Strip version tag (e.g., "nomic-embed-text:v1.5" -> "nomic-embed-text")
+      const base = normalizedModel.split(':')[0];
+      return base === allowed.toLowerCase();
+    })
+  );
+}
+
 /**
  * Centralized service for Ollama operations
  * Reduces code duplication and provides consistent error handling
@@ -210,6 +233,7 @@ class OllamaService {
   /**
    * Update Ollama configuration
    * @param {object} config - Configuration object with model settings
+   * @param {object} [config.providers] - Provider per role (see shared/llmProviders getProviderConfig)
    * @param {object} [options] - Options for the update
    * @param {boolean} [options.skipSave=false] - Skip saving to settings file (use when already in a save operation)
    */
@@ -229,6 +253,18 @@ class OllamaService {
 
       if (config.host) await setOllamaHost(config.host, !skipSave);
 
+      // Providers are applied before models so the embedding allowlist sees the new backend
+      let previousEmbeddingProvider = null;
+      if (config.providers) {
+        previousEmbeddingProvider = getRoleProviderId('embedding');
+        const { changedRoles, connectionChanged } = setProviderConfig(config.providers);
+        if (changedRoles.length > 0 || connectionChanged) {
+          // Failures recorded against the previous backend should not keep the circuit open
+          this._ollamaClient?.resetCircuitBreaker?.();
+        }
+        if (!changedRoles.includes('embedding')) previousEmbeddingProvider = null;
+      }
+
       if (config.textModel) {
         await setOllamaModel(config.textModel, !skipSave);
         // FIX: Await async notification to ensure callbacks complete
@@ -249,16 +285,7 @@ class OllamaService {
 
       if (config.embeddingModel) {
         // Uses module-level ALLOWED_EMBED_MODELS constant
-        const normalizedModel = config.embeddingModel.toLowerCase();
-        // FIX Issue 2.2: Use exact base name matching instead of substring to prevent
-        // malicious model names like "evil-nomic-embed-text" from passing validation
-        const isAllowed =
-          ALLOWED_EMBED_MODELS.includes(config.embeddingModel) ||
-          ALLOWED_EMBED_MODELS.some((allowed) => {
-            // Strip version tag (e.g., "nomic-embed-text:v1.5" -> "nomic-embed-text")
-            const base = normalizedModel.split(':')[0];
-            return base === allowed.toLowerCase();
-          });
+        const isAllowed = isAllowedEmbeddingModel(config.embeddingModel);
 
         const embedModel = isAllowed ? config.embeddingModel : 'embeddinggemma';
 
@@ -283,6 +310,16 @@ class OllamaService {
         if (result?.failed) totalCallbackFailures += result.failed;
       }
 
+      // The same model name on another backend still produces incompatible vectors
+      if (previousEmbeddingProvider && getOllamaEmbeddingModel() === previousEmbeddingModel) {
+        const result = await this._notifyModelChange(
+          'embedding',
+          `${previousEmbeddingProvider}:${previousEmbeddingModel}`,
+          `${getRoleProviderId('embedding')}:${previousEmbeddingModel}`
+        );
+        if (result?.failed) totalCallbackFailures += result.failed;
+      }
+
       logger.info('[OllamaService] Configuration updated');
       // FIX #9: Return actual callback failures count instead of hardcoded 0
       return {
@@ -324,17 +361,8 @@ class OllamaService {
       }
 
       if (config.embeddingModel) {
-        // FIX LOW #23: Use exact base name matching instead of substring to prevent
-        // malicious model names like "evil-nomic-embed-text" from passing validation
-        // This makes validation consistent with updateConfig() method
-        const normalizedModel = config.embeddingModel.toLowerCase();
-        const isAllowed =
-          ALLOWED_EMBED_MODELS.includes(config.embeddingModel) ||
-          ALLOWED_EMBED_MODELS.some((allowed) => {
-            // Strip version tag (e.g., "nomic-embed-text:v1.5" -> "nomic-embed-text")
-            const base = normalizedModel.split(':')[0];
-            return base === allowed.toLowerCase();
-          });
+        // FIX LOW #23: Same allowlist check as updateConfig()
+        const isAllowed = isAllowedEmbeddingModel(config.embeddingModel);
 
         actualEmbeddingModel = isAllowed ? config.embeddingModel : 'embeddinggemma';
         originalRequestedModel = config.embeddingModel;
@@ -406,17 +434,7 @@ class OllamaService {
       }
 
       if (config.embeddingModel) {
-        // FIX Issue 2.2: Use exact base name matching instead of substring to prevent
-        // malicious model names like "evil-nomic-embed-text" from passing validation
-        // This makes validation consistent with updateConfig() and updateConfigWithDowngradeInfo()
-        const normalizedModel = config.embeddingModel.toLowerCase();
-        const isAllowed =
-          ALLOWED_EMBED_MODELS.includes(config.embeddingModel) ||
-          ALLOWED_EMBED_MODELS.some((allowed) => {
-            // Strip version tag (e.g., "nomic-embed-text:v1.5" -> "nomic-embed-text")
-            const base = normalizedModel.split(':')[0];
-            return base === allowed.toLowerCase();
-          });
+        const isAllowed = isAllowedEmbeddingModel(config.embeddingModel);
 
         const embedModel = isAllowed ? config.embeddingModel : 'embeddinggemma';
         await setOllamaEmbeddingModel(embedModel);
@@ -518,13 +536,20 @@ class OllamaService {
       clearTimeout(timeoutId);
       const models = response?.models || [];
 
-      // Use shared categorization utility (handles sorting)
-      const categories = categorizeModels(models);
+      // Each role only offers models from the provider that serves it
+      const providers = getActiveProviderConfig();
+      const categories = categorizeModelsForRoles(models, providers);
 
       return {
         success: true,
         models,
         categories,
+        providers: {
+          text: providers.text,
+          vision: providers.vision,
+          embedding: providers.embedding
+        },
+        providerErrors: response?.errors || [],
         selected: {
           textModel: getOllamaModel(),
           visionModel: getOllamaVisionModel(),
@@ -781,6 +806,79 @@ class OllamaService {
     });
   }
 
+  /**
+   * Stream text generation from the LLM, reporting each token as it arrives.
+   * Not retried: a partially streamed answer cannot be replayed transparently.
+   * MED-5: Rate limited to prevent overwhelming Ollama server
+   * @param {string} prompt - Prompt text
+   * @param {Object} [options] - Options
+   * @param {Function} [options.onToken] - Called with each generated text delta
+   * @param {AbortSignal} [options.signal] - Aborts the in-flight generation
+   * @param {string} [options.model] - Model override (defaults to the text model)
+   * @returns {Promise<{success: boolean, response: string, cancelled?: boolean, error?: string}>}
+   */
+  async streamText(prompt, options = {}) {
+    const { onToken, signal } = options;
+
+    // FIX: Fast-fail if circuit breaker is open to avoid wasting rate limiter slot
+    if (this._ollamaClient?.circuitBreaker?.getState?.() === 'OPEN') {
+      logger.warn('[OllamaService] streamText fast-fail: circuit breaker is open');
+      return {
+        success: false,
+        response: '',
+        error: 'Service temporarily unavailable (circuit breaker open)'
+      };
+    }
+
+    await ollamaRateLimiter.waitForSlot();
+    ollamaRateLimiter.recordCall();
+
+    if (signal?.aborted) {
+      return { success: false, cancelled: true, response: '' };
+    }
+
+    let text = '';
+    let stream = null;
+    const abortStream = () => stream?.abort?.();
+    signal?.addEventListener?.('abort', abortStream, { once: true });
+
+    try {
+      const ollama = getOllama();
+      const model = options.model || getOllamaModel();
+      const perfOptions = await buildOllamaOptions('text');
+      const mergedOptions = { ...perfOptions, ...(options.ollamaOptions || {}) };
+
+      stream = await ollama.generate({
+        model,
+        prompt,
+        format: options.format,
+        system: options.system,
+        options: mergedOptions,
+        stream: true
+      });
+      // The signal may have fired while the request was being opened
+      if (signal?.aborted) abortStream();
+
+      for await (const part of stream) {
+        if (typeof part?.response === 'string' && part.response.length > 0) {
+          text += part.response;
+          onToken?.(part.response);
+        }
+      }
+
+      return { success: true, response: text };
+    } catch (error) {
+      if (signal?.aborted) {
+        logger.debug('[OllamaService] Streamed generation cancelled');
+        return { success: false, cancelled: true, response: text };
+      }
+      logger.error('[OllamaService] Failed to stream text:', error);
+      return { success: false, response: text, error: error.message };
+    } finally {
+      signal?.removeEventListener?.('abort', abortStream);
+    }
+  }
+
   /**
    * Analyze image with vision model
    * MED-5: Rate limited to prevent overwhelming Ollama server
@@ -1083,6 +1181,7 @@ module.exports = {
   pullModels: defaultInstance.pullModels.bind(defaultInstance),
   generateEmbedding: defaultInstance.generateEmbedding.bind(defaultInstance),
   analyzeText: defaultInstance.analyzeText.bind(defaultInstance),
+  streamText: defaultInstance.streamText.bind(defaultInstance),
   analyzeImage: defaultInstance.analyzeImage.bind(defaultInstance),
   // New resilience methods
   batchGenerateEmbeddings: defaultInstance.batchGenerateEmbeddings.bind(defaultInstance),
@@ -0,0 +1,581 @@
+/**
+ * OrganizationScheduler
+ *
+ * Runs the scheduled organization jobs defined in the `organizationSchedules`
+ * setting (see shared/organizationSchedules). Jobs run in the main process, so
+ * they keep running while the window is hidden in background mode.
+ *
+ * - sweep jobs analyze each file with AutoOrganizeService and move files whose
+ *   best smart folder match meets the confidence threshold
+ * - archive jobs move files older than a cutoff into an archive folder
+ *
+ * Each run writes a report (moved, skipped, errors) to the run history and is
+ * recorded as one undoable batch in UndoRedoService. Runs missed while the app
+ * was closed are caught up once on start.
+ *
+ * @module services/OrganizationScheduler
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const { EventEmitter } = require('events');
+const { app } = require('electron');
+const { createLogger } = require('../../shared/logger');
+const { ACTION_TYPES } = require('../../shared/constants');
+const { atomicWriteFile, loadJsonFile } = require('../../shared/atomicFile');
+const { findContainingSmartFolder } = require('../../shared/folderUtils');
+const {
+  normalizeSchedules,
+  getScheduleProblem,
+  getNextRunTime
+} = require('../../shared/organizationSchedules');
+const { scanDirectory, DEFAULT_IGNORE_PATTERNS } = require('../folderScanner');
+
+const logger = createLogger('OrganizationScheduler');
+
+const DEFAULTS = {
+  maxRuns: 50,
+  // Sweeps analyze every file with the LLM; larger folders continue next run
+  maxSweepFiles: 200,
+  maxArchiveFiles: 5000,
+  // Report entries kept per list; counts stay exact
+  maxReportEntries: 500,
+  scanTimeoutMs: 2 * 60 * 1000,
+  // Re-check at least hourly so sleep and clock changes cannot strand a job
+  maxTimerMs: 60 * 60 * 1000
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const normalizeKey = (filePath) => {
+  const resolved = path.resolve(filePath);
+  return process.platform === 'win32' ? resolved.toLowerCase() : resolved;
+};
+
+const isWithin = (child, parent) => {
+  const rel = path.relative(parent, child);
+  return rel === '' || (!rel.startsWith('..') && !path.isAbsolute(rel));
+};
+
+class OrganizationScheduler extends EventEmitter {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.autoOrganizeService - Provides processNewFile
+   * @param {Object} deps.settingsService - Settings source
+   * @param {Object} [deps.undoRedo] - UndoRedoService for batch undo
+   * @param {Object} [deps.notificationService] - Run summaries
+   * @param {Function} [deps.getSmartFolders] - Returns current smart folders
+   * @param {string} [deps.statePath] - Run history file
+   * @param {Object} [deps.limits] - Overrides for DEFAULTS
+   */
+  constructor({
+    autoOrganizeService,
+    settingsService,
+    undoRedo,
+    notificationService,
+    getSmartFolders,
+    statePath,
+    limits
+  } = {}) {
+    super();
+    this.autoOrganizeService = autoOrganizeService;
+    this.settingsService = settingsService;
+    this.undoRedo = undoRedo || null;
+    this.notificationService = notificationService || null;
+    this.getSmartFolders = getSmartFolders || (() => []);
+    this.statePath = statePath || path.join(app.getPath('userData'), 'organization-schedules.json');
+    this.limits = { ...DEFAULTS, ...limits };
+
+    this._settings = {};
+    this._jobs = [];
+    this._runs = [];
+    this._lastRunAt = {};
+    this._nextRunAt = new Map();
+    this._pending = new Set();
+    this._queue = Promise.resolve();
+    this._runningJobId = null;
+    this._timer = null;
+    this._started = false;
+    this._stopping = false;
+    this._stateLoaded = null;
+  }
+
+  /**
+   * Load run history and arm the timer from the persisted settings.
+   */
+  async start() {
+    if (this._started) return;
+    this._started = true;
+    this._stopping = false;
+    await this._loadState();
+    let settings = {};
+    try {
+      settings = (await this.settingsService?.load?.()) || {};
+    } catch (error) {
+      logger.warn('[Scheduler] Could not load settings', { error: error.message });
+    }
+    this.applySettings(settings);
+    logger.info('[Scheduler] Started', { jobs: this._jobs.length });
+  }
+
+  async stop() {
+    this._started = false;
+    this._stopping = true;
+    this._clearTimer();
+  }
+
+  async shutdown() {
+    await this.stop();
+  }
+
+  /**
+   * Pick up schedule edits. Safe to call before start().
+   * @param {Object} settings - Current settings
+   */
+  applySettings(settings) {
+    this._settings = settings || {};
+    const previous = new Map(this._jobs.map((job) => [job.id, job]));
+    this._jobs = normalizeSchedules(this._settings.organizationSchedules);
+
+    // Recompute due times for edited jobs; untouched jobs keep their countdown
+    for (const job of this._jobs) {
+      const before = previous.get(job.id);
+      if (before && this._timingKey(before) !== this._timingKey(job)) {
+        this._nextRunAt.delete(job.id);
+      }
+    }
+    for (const id of this._nextRunAt.keys()) {
+      if (!this._jobs.some((job) => job.id === id)) this._nextRunAt.delete(id);
+    }
+    if (this._started) this._reschedule();
+  }
+
+  _timingKey(job) {
+    return [job.enabled, job.frequency, job.time, job.dayOfWeek, job.dayOfMonth].join('|');
+  }
+
+  _clearTimer() {
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+  }
+
+  _computeNextRun(job, now) {
+    const lastRunAt = this._lastRunAt[job.id];
+    if (lastRunAt) {
+      const sinceLastRun = getNextRunTime(job, new Date(lastRunAt));
+      // Missed while the app was closed: due now (caught up once)
+      if (sinceLastRun <= now) return now;
+      return sinceLastRun;
+    }
+    return getNextRunTime(job, now);
+  }
+
+  _reschedule() {
+    this._clearTimer();
+    if (!this._started) return;
+
+    const now = new Date();
+    let earliest = null;
+    for (const job of this._jobs) {
+      if (!job.enabled || getScheduleProblem(job)) {
+        this._nextRunAt.delete(job.id);
+        continue;
+      }
+      // Queued and running jobs are rescheduled when they finish
+      if (this._pending.has(job.id)) continue;
+      if (!this._nextRunAt.has(job.id)) {
+        this._nextRunAt.set(job.id, this._computeNextRun(job, now));
+      }
+      const nextRun = this._nextRunAt.get(job.id);
+      if (nextRun <= now) {
+        this.runJob(job.id, { trigger: 'schedule' }).catch((error) => {
+          logger.error('[Scheduler] Scheduled run failed', { job: job.name, error: error.message });
+        });
+        continue;
+      }
+      if (!earliest || nextRun < earliest) earliest = nextRun;
+    }
+
+    if (earliest) {
+      const delay = Math.min(Math.max(earliest - now, 1000), this.limits.maxTimerMs);
+      this._timer = setTimeout(() => {
+        this._timer = null;
+        this._reschedule();
+      }, delay);
+      this._timer.unref?.();
+    }
+  }
+
+  /**
+   * Queue a job run. Runs execute one at a time.
+   * @param {string} jobId
+   * @param {Object} [options]
+   * @param {string} [options.trigger='manual'] - 'schedule' or 'manual'
+   * @returns {Promise<Object>} The run report
+   */
+  runJob(jobId, { trigger = 'manual' } = {}) {
+    const job = this._jobs.find((j) => j.id === jobId);
+    if (!job) {
+      return Promise.resolve({ success: false, error: 'Scheduled job not found' });
+    }
+    if (this._pending.has(jobId)) {
+      return Promise.resolve({ success: false, error: 'This job is already queued or running' });
+    }
+    this._pending.add(jobId);
+
+    const run = this._queue.then(() => this._executeJob(job, trigger));
+    this._queue = run.catch(() => {});
+    return run.finally(() => {
+      this._pending.delete(jobId);
+      // The next run counts from this one
+      this._nextRunAt.delete(jobId);
+      this._reschedule();
+    });
+  }
+
+  isJobPending(jobId) {
+    return this._pending.has(jobId);
+  }
+
+  async _executeJob(job, trigger) {
+    await this._loadState();
+    const run = {
+      id: `run-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      jobId: job.id,
+      jobName: job.name,
+      action: job.action,
+      trigger,
+      sourceFolder: job.sourceFolder,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      counts: { checked: 0, moved: 0, skipped: 0, errors: 0 },
+      moved: [],
+      skipped: [],
+      errors: [],
+      truncated: false,
+      undoActionId: null,
+      undoneAt: null
+    };
+    this._runningJobId = job.id;
+    logger.info('[Scheduler] Running job', { job: job.name, action: job.action, trigger });
+
+    const operations = [];
+    try {
+      const problem = getScheduleProblem(job);
+      if (problem) throw new Error(problem);
+      await fs.access(job.sourceFolder);
+
+      if (job.action === 'archive') {
+        await this._archive(job, run, operations);
+      } else {
+        await this._sweep(job, run, operations);
+      }
+    } catch (error) {
+      logger.warn('[Scheduler] Job failed', { job: job.name, error: error.message });
+      this._addEntry(run, 'errors', { path: job.sourceFolder, error: error.message });
+    }
+
+    if (operations.length > 0) {
+      run.undoActionId = await this._recordUndo(run, operations);
+    }
+    run.finishedAt = new Date().toISOString();
+    this._runningJobId = null;
+    this._lastRunAt[job.id] = run.startedAt;
+    this._runs.unshift(run);
+    this._runs = this._runs.slice(0, this.limits.maxRuns);
+    await this._saveState();
+
+    logger.info('[Scheduler] Job finished', { job: job.name, ...run.counts });
+    this._notify(run);
+    this.emit('run-complete', this._toSummary(run));
+    return { success: true, run: this._withUndoState(run) };
+  }
+
+  async _listFiles(job, maxFiles, excludeDir) {
+    const tree = await scanDirectory(job.sourceFolder, DEFAULT_IGNORE_PATTERNS, {
+      maxDepth: job.includeSubfolders ? Infinity : 0,
+      maxFiles: job.action === 'archive' ? maxFiles * 2 : maxFiles * 4,
+      timeoutMs: this.limits.scanTimeoutMs
+    });
+    const excludeKey = excludeDir ? normalizeKey(excludeDir) : null;
+    const files = [];
+    const stack = [...tree];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      if (excludeKey && isWithin(normalizeKey(node.path), excludeKey)) continue;
+      if (node.type === 'folder') {
+        stack.push(...(node.children || []));
+      } else if (!node.name.startsWith('.')) {
+        files.push(node);
+      }
+    }
+    files.sort((a, b) => a.path.localeCompare(b.path));
+    // Depth caps are intentional here; only time and file budgets leave files behind
+    const reasons = tree.__scanMeta?.reasons || [];
+    return { files, partial: reasons.some((reason) => reason !== 'maxDepth') };
+  }
+
+  async _sweep(job, run, operations) {
+    if (!this.autoOrganizeService?.processNewFile) {
+      throw new Error('Auto-organize service unavailable');
+    }
+    const smartFolders = (this.getSmartFolders() || []).filter((f) => f && f.path);
+    if (smartFolders.length === 0) throw new Error('No smart folders to organize into');
+
+    const settings = this._settings;
+    const confidenceThreshold = job.confidenceThreshold ?? settings.confidenceThreshold ?? 0.75;
+    const { files, partial } = await this._listFiles(job, this.limits.maxSweepFiles);
+    const candidates = files.filter((file) => {
+      if (findContainingSmartFolder(file.path, smartFolders)) {
+        this._addEntry(run, 'skipped', { path: file.path, reason: 'Already in a smart folder' });
+        return false;
+      }
+      return true;
+    });
+    run.truncated = partial || candidates.length > this.limits.maxSweepFiles;
+
+    for (const file of candidates.slice(0, this.limits.maxSweepFiles)) {
+      if (this._stopping) break;
+      run.counts.checked++;
+      try {
+        const result = await this.autoOrganizeService.processNewFile(file.path, smartFolders, {
+          // The schedule itself is the opt-in; the live watcher toggle does not apply
+          autoOrganizeEnabled: true,
+          confidenceThreshold,
+          defaultLocation: settings.defaultSmartFolderLocation || 'Documents',
+          namingSettings: {
+            convention: settings.namingConvention || 'subject-date',
+            separator: settings.separator || '-',
+            dateFormat: settings.dateFormat || 'YYYY-MM-DD',
+            caseConvention: settings.caseConvention || 'kebab-case'
+          }
+        });
+        if (!result?.destination) {
+          this._addEntry(run, 'skipped', {
+            path: file.path,
+            reason: 'No smart folder match above the confidence threshold'
+          });
+          continue;
+        }
+        const destination = await this._moveFile(file.path, result.destination);
+        operations.push({ type: 'move', originalPath: file.path, newPath: destination });
+        this._addEntry(run, 'moved', {
+          from: file.path,
+          to: destination,
+          confidence: result.confidence
+        });
+      } catch (error) {
+        this._addEntry(run, 'errors', { path: file.path, error: error.message });
+      }
+    }
+  }
+
+  async _archive(job, run, operations) {
+    const cutoff = Date.now() - job.olderThanDays * DAY_MS;
+    const { files, partial } = await this._listFiles(
+      job,
+      this.limits.maxArchiveFiles,
+      job.destinationFolder
+    );
+    const due = files.filter((file) => {
+      const modified = new Date(file.modified).getTime();
+      return Number.isFinite(modified) && modified < cutoff;
+    });
+    run.counts.checked = files.length;
+    run.truncated = partial || due.length > this.limits.maxArchiveFiles;
+
+    for (const file of due.slice(0, this.limits.maxArchiveFiles)) {
+      if (this._stopping) break;
+      try {
+        const target = path.join(job.destinationFolder, path.relative(job.sourceFolder, file.path));
+        const destination = await this._moveFile(file.path, target);
+        operations.push({ type: 'move', originalPath: file.path, newPath: destination });
+        this._addEntry(run, 'moved', { from: file.path, to: destination });
+      } catch (error) {
+        this._addEntry(run, 'errors', { path: file.path, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Move without overwriting: an existing name gets a numeric suffix.
+   * @returns {Promise<string>} Final destination
+   */
+  async _moveFile(source, destination) {
+    const dir = path.dirname(destination);
+    const ext = path.extname(destination);
+    const base = path.basename(destination, ext);
+    await fs.mkdir(dir, { recursive: true });
+
+    let target = destination;
+    for (let counter = 1; counter < 1000; counter++) {
+      try {
+        await fs.access(target);
+      } catch {
+        break;
+      }
+      target = path.join(dir, `${base}_${counter}${ext}`);
+    }
+
+    if (this.undoRedo?.safeMove) {
+      await this.undoRedo.safeMove(source, target);
+    } else {
+      await fs.rename(source, target);
+    }
+    return target;
+  }
+
+  _addEntry(run, list, entry) {
+    run.counts[list]++;
+    if (run[list].length < this.limits.maxReportEntries) run[list].push(entry);
+  }
+
+  async _recordUndo(run, operations) {
+    try {
+      await this.undoRedo?.updateChromaDbPaths?.(
+        operations.map((op) => ({ oldPath: op.originalPath, newPath: op.newPath }))
+      );
+      const actionId = await this.undoRedo?.recordAction?.(ACTION_TYPES.BATCH_OPERATION, {
+        operations,
+        description: `Scheduled: ${run.jobName} (${operations.length} file${
+          operations.length !== 1 ? 's' : ''
+        })`
+      });
+      return actionId || null;
+    } catch (error) {
+      logger.warn('[Scheduler] Failed to record undo action', { error: error.message });
+      return null;
+    }
+  }
+
+  _notify(run) {
+    if (!this.notificationService?.notifyScheduledRunComplete) return;
+    this.notificationService
+      .notifyScheduledRunComplete(run.jobName, run.counts)
+      .catch((error) =>
+        logger.debug('[Scheduler] Failed to send run notification', { error: error.message })
+      );
+  }
+
+  /**
+   * Undo a run's moves. Only the most recent undoable action can be undone,
+   * so this fails when other changes were recorded after the run.
+   * @param {string} runId
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async undoRun(runId) {
+    await this._loadState();
+    const run = this._runs.find((r) => r.id === runId);
+    if (!run) return { success: false, error: 'Run not found' };
+    if (run.undoneAt) return { success: false, error: 'This run was already undone' };
+    if (!run.undoActionId || !this.undoRedo) {
+      return { success: false, error: 'This run has nothing to undo' };
+    }
+    if (!this._isLatestAction(run.undoActionId)) {
+      return {
+        success: false,
+        error: 'Other changes were made after this run. Undo those first from the undo history.'
+      };
+    }
+
+    try {
+      const result = await this.undoRedo.undo();
+      run.undoneAt = new Date().toISOString();
+      await this._saveState();
+      this.emit('run-complete', this._toSummary(run));
+      return {
+        success: true,
+        successCount: result?.successCount ?? run.counts.moved,
+        failCount: result?.failCount ?? 0
+      };
+    } catch (error) {
+      logger.warn('[Scheduler] Failed to undo run', { runId, error: error.message });
+      return { success: false, error: error.message };
+    }
+  }
+
+  _isLatestAction(actionId) {
+    const latest = this.undoRedo?.getActionHistory?.(1)?.[0];
+    return Boolean(latest && latest.id === actionId);
+  }
+
+  _withUndoState(run) {
+    return {
+      ...run,
+      canUndo: Boolean(run.undoActionId && !run.undoneAt && this._isLatestAction(run.undoActionId))
+    };
+  }
+
+  _toSummary(run) {
+    const {
+      moved: _moved,
+      skipped: _skipped,
+      errors: _errors,
+      ...summary
+    } = this._withUndoState(run);
+    return summary;
+  }
+
+  /**
+   * Run history, newest first, without per-file entries.
+   * @returns {Promise<Array>}
+   */
+  async listRuns() {
+    await this._loadState();
+    return this._runs.map((run) => this._toSummary(run));
+  }
+
+  /**
+   * Full report for one run.
+   * @param {string} runId
+   * @returns {Promise<Object|null>}
+   */
+  async getRun(runId) {
+    await this._loadState();
+    const run = this._runs.find((r) => r.id === runId);
+    return run ? this._withUndoState(run) : null;
+  }
+
+  /**
+   * Configured jobs with their next and last run times.
+   * @returns {Array}
+   */
+  getJobStatus() {
+    return this._jobs.map((job) => ({
+      id: job.id,
+      name: job.name,
+      enabled: job.enabled,
+      problem: getScheduleProblem(job),
+      nextRunAt: this._nextRunAt.get(job.id)?.toISOString() || null,
+      lastRunAt: this._lastRunAt[job.id] || null,
+      running: this._runningJobId === job.id,
+      queued: this._pending.has(job.id) && this._runningJobId !== job.id
+    }));
+  }
+
+  _loadState() {
+    if (!this._stateLoaded) {
+      this._stateLoaded = loadJsonFile(this.statePath, { description: 'schedule history' }).then(
+        (data) => {
+          this._runs = Array.isArray(data?.runs) ? data.runs.slice(0, this.limits.maxRuns) : [];
+          this._lastRunAt =
+            data?.lastRunAt && typeof data.lastRunAt === 'object' ? data.lastRunAt : {};
+        }
+      );
+    }
+    return this._stateLoaded;
+  }
+
+  async _saveState() {
+    try {
+      await fs.mkdir(path.dirname(this.statePath), { recursive: true });
+      await atomicWriteFile(this.statePath, { runs: this._runs, lastRunAt: this._lastRunAt });
+    } catch (error) {
+      logger.warn('[Scheduler] Failed to save run history', { error: error.message });
+    }
+  }
+}
+
+module.exports = { OrganizationScheduler };
@@ -5,6 +5,13 @@ const { crossDeviceMove } = require('../../shared/atomicFileOperations');
 const { safeSend } = require('../ipc/ipcWrappers');
 const { computeFileChecksum, handleDuplicateMove } = require('../utils/fileDedup');
 const { removeEmbeddingsForPathBestEffort } = require('../ipc/files/embeddingSync');
+const {
+  findAvailablePath,
+  removePartialCopy,
+  copyFileVerified,
+  findVerifiedCopy,
+  applySourceRetention
+} = require('../utils/verifiedCopy');
 
 async function pathExists(filePath, logger, label) {
   try {
@@ -24,6 +31,36 @@ async function pathExists(filePath, logger, label) {
   }
 }
 
+/**
+ * Finish a copy-mode operation. A copy recorded as verified is trusted, an
+ * identical file at the destination is reused, and anything else (including a
+ * partial copy) is copied again before the retention policy runs.
+ */
+async function resumeCopyOperation(op, logger) {
+  await removePartialCopy(op.destination);
+
+  if (!(await pathExists(op.source, logger, 'source'))) {
+    // The retention policy already deleted or archived the source
+    if (await pathExists(op.destination, logger, 'destination')) {
+      return { destination: op.destination };
+    }
+    throw new Error('Source file missing; destination not found');
+  }
+
+  let destination = op.destination;
+  const verified =
+    (op.copyVerified && (await pathExists(destination, logger, 'destination'))) ||
+    Boolean(await findVerifiedCopy(op.source, destination));
+  if (!verified) {
+    destination = await findAvailablePath(destination);
+    await fs.mkdir(path.dirname(destination), { recursive: true });
+    await copyFileVerified(op.source, destination);
+  }
+
+  const { archivePath } = await applySourceRetention(op.source, op.sourceRetention);
+  return { destination, archivePath };
+}
+
 /**
  * Resume incomplete organize batches from a previous session.
  * Coordinates with ProcessingStateService to safely continue operations.
@@ -56,6 +93,24 @@ async function resumeIncompleteBatches(serviceIntegration, logger, getMainWindow
         try {
           await serviceIntegration.processingState.markOrganizeOpStarted(batch.id, i);
 
+          if (op.transferMode === 'copy') {
+            const copy = await resumeCopyOperation(op, logger);
+            await serviceIntegration.processingState.markOrganizeOpDone(batch.id, i, copy);
+
+            const win = getMainWindow?.();
+            if (win && !win.isDestroyed()) {
+              safeSend(win.webContents, 'operation-progress', {
+                type: 'batch_organize',
+                current: i + 1,
+                total,
+                currentFile: path.basename(op.source),
+                transferMode: 'copy',
+                verification: 'verified'
+              });
+            }
+            continue;
+          }
+
           const sourceExists = await pathExists(op.source, logger, 'source');
           const destinationExists = await pathExists(op.destination, logger, 'destination');
 
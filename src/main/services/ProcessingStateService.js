@@ -524,6 +524,20 @@ class ProcessingStateService {
     await this.saveState();
   }
 
+  /**
+   * Record progress within an operation without changing its status, such as
+   * the destination a copy is headed for or a copy that has been verified,
+   * so a resumed batch can pick up from there
+   */
+  async updateOrganizeOp(batchId, index, patch) {
+    await this.initialize();
+    const batch = this.state.organize.batches[batchId];
+    if (!batch?.operations || index < 0 || index >= batch.operations.length) return;
+    batch.operations[index] = { ...batch.operations[index], ...patch };
+    this.state.organize.lastUpdated = new Date().toISOString();
+    await this.saveState();
+  }
+
   async markOrganizeOpDone(batchId, index, updatedOp = null) {
     await this.initialize();
     const batch = this.state.organize.batches[batchId];
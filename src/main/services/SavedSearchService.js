@@ -0,0 +1,524 @@
+/**
+ * Saved Search Service
+ *
+ * Persists saved searches (query, tag filters and search mode) that the
+ * search sidebar shows as smart collections. Each collection keeps its last
+ * matches and the ones the user has not opened yet.
+ *
+ * Collections are re-run shortly after the watchers index new files, so the
+ * sidebar and unread counts stay current without the user searching again.
+ * A collection with `notify` set raises a notification when one of those
+ * newly indexed files starts matching it.
+ *
+ * Emits 'changed' with { searches } (summaries) after every edit or refresh.
+ *
+ * @module services/SavedSearchService
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { app } = require('electron');
+const { z } = require('zod');
+const { createLogger } = require('../../shared/logger');
+const { JsonCollectionFile } = require('../../shared/jsonCollectionFile');
+const { getSemanticFileId } = require('../../shared/fileIdUtils');
+const { normalizeUserTags } = require('../../shared/fileAnnotations');
+const {
+  SAVED_SEARCH_MODES,
+  SAVED_SEARCH_LIMITS,
+  normalizeSavedSearchName
+} = require('../../shared/savedSearches');
+
+const logger = createLogger('SavedSearchService');
+
+// Watchers index files one at a time; wait for a burst to settle before re-running
+const REFRESH_DELAY_MS = 10 * 1000;
+// Collections are re-run once after startup to catch files indexed by other tools
+const STARTUP_REFRESH_DELAY_MS = 60 * 1000;
+
+const matchSchema = z.object({
+  id: z.string().min(1),
+  path: z.string(),
+  name: z.string(),
+  score: z.number()
+});
+
+const searchSchema = z.object({
+  id: z.string().min(1),
+  name: z.string().min(1),
+  query: z.string().min(1),
+  mode: z.enum(SAVED_SEARCH_MODES),
+  tags: z.array(z.string()),
+  tagMatch: z.enum(['all', 'any']),
+  notify: z.boolean(),
+  createdAt: z.string(),
+  updatedAt: z.string(),
+  lastRefreshedAt: z.string().nullable(),
+  matches: z.array(matchSchema),
+  unreadIds: z.array(z.string())
+});
+
+function summarize(search) {
+  return {
+    id: search.id,
+    name: search.name,
+    query: search.query,
+    mode: search.mode,
+    tags: [...search.tags],
+    tagMatch: search.tagMatch,
+    notify: search.notify,
+    createdAt: search.createdAt,
+    updatedAt: search.updatedAt,
+    lastRefreshedAt: search.lastRefreshedAt,
+    matchCount: search.matches.length,
+    unreadCount: search.unreadIds.length
+  };
+}
+
+function toMatch(result) {
+  const meta = result.metadata || {};
+  return {
+    id: result.id,
+    path: String(meta.path || ''),
+    name: String(meta.name || path.basename(String(meta.path || ''))),
+    score: Number.isFinite(result.score) ? result.score : 0
+  };
+}
+
+class SavedSearchService extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.getSearchService] - Returns the SearchService used for refreshes
+   * @param {Object} [options.notificationService] - Raises new-match notifications
+   * @param {string} [options.userDataPath]
+   * @param {string} [options.filename]
+   * @param {number} [options.refreshDelayMs] - Debounce after files are indexed
+   */
+  constructor(options = {}) {
+    super();
+    this.getSearchService = options.getSearchService || (() => null);
+    this.notificationService = options.notificationService || null;
+    this.userDataPath = options.userDataPath || app.getPath('userData');
+    this.filePath = path.join(this.userDataPath, options.filename || 'saved-searches.json');
+    this.refreshDelayMs = options.refreshDelayMs ?? REFRESH_DELAY_MS;
+    this._searches = new Map(); // id -> saved search, in creation order
+    this._loaded = false;
+    this._loadPromise = null;
+    this._file = new JsonCollectionFile(this.filePath);
+    this._pendingIndexedIds = new Set();
+    this._refreshTimer = null;
+    this._startupTimer = null;
+    this._refreshQueue = Promise.resolve();
+    this._coordinator = null;
+    this._coordinatorListeners = null;
+  }
+
+  async load() {
+    if (this._loaded) return;
+    if (!this._loadPromise) {
+      this._loadPromise = this._loadFromDisk();
+    }
+    await this._loadPromise;
+  }
+
+  async _loadFromDisk() {
+    try {
+      const data = await fs.readFile(this.filePath, 'utf-8');
+      const parsed = JSON.parse(data);
+      const items = Array.isArray(parsed?.items) ? parsed.items : [];
+      let invalidCount = 0;
+      for (const item of items) {
+        const result = searchSchema.safeParse(item);
+        if (result.success) {
+          this._searches.set(result.data.id, result.data);
+        } else {
+          invalidCount += 1;
+        }
+      }
+      if (invalidCount > 0) {
+        logger.warn('[SavedSearchService] Dropped invalid saved searches', { invalidCount });
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('[SavedSearchService] Failed to load saved searches:', error.message);
+      }
+    } finally {
+      this._loaded = true;
+    }
+  }
+
+  /**
+   * Schedule the startup refresh. Collections keep their stored matches
+   * until then.
+   */
+  start() {
+    if (this._startupTimer) return;
+    this._startupTimer = setTimeout(() => {
+      this._startupTimer = null;
+      this.refresh().catch((error) => {
+        logger.warn('[SavedSearchService] Startup refresh failed:', error.message);
+      });
+    }, STARTUP_REFRESH_DELAY_MS);
+    this._startupTimer.unref?.();
+  }
+
+  /**
+   * @returns {Promise<Array<Object>>} Summaries in creation order
+   */
+  async list() {
+    await this.load();
+    return Array.from(this._searches.values()).map(summarize);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<Object|null>} Summary plus `matches` and `unreadIds`
+   */
+  async get(id) {
+    await this.load();
+    const search = this._searches.get(id);
+    if (!search) return null;
+    return {
+      ...summarize(search),
+      matches: search.matches.map((match) => ({ ...match })),
+      unreadIds: [...search.unreadIds]
+    };
+  }
+
+  /**
+   * Save a search and run it once so it starts with its current matches,
+   * none of them unread.
+   * @param {Object} input
+   * @param {string} [input.name] - Defaults to the query
+   * @param {string} input.query
+   * @param {'hybrid'|'vector'|'bm25'} [input.mode='hybrid']
+   * @param {string[]} [input.tags] - User tag filter
+   * @param {'all'|'any'} [input.tagMatch='all']
+   * @param {boolean} [input.notify=false]
+   * @returns {Promise<Object|null>} Summary, or null when the limit is reached
+   */
+  async create({ name, query, mode = 'hybrid', tags = [], tagMatch = 'all', notify = false }) {
+    await this.load();
+    if (this._searches.size >= SAVED_SEARCH_LIMITS.MAX_SEARCHES) return null;
+
+    const cleanQuery = String(query || '')
+      .trim()
+      .slice(0, SAVED_SEARCH_LIMITS.MAX_QUERY_LENGTH);
+    const now = new Date().toISOString();
+    const search = {
+      id: crypto.randomUUID(),
+      name: normalizeSavedSearchName(name) || normalizeSavedSearchName(cleanQuery),
+      query: cleanQuery,
+      mode,
+      tags: normalizeUserTags(tags),
+      tagMatch,
+      notify: Boolean(notify),
+      createdAt: now,
+      updatedAt: now,
+      lastRefreshedAt: null,
+      matches: [],
+      unreadIds: []
+    };
+    this._searches.set(search.id, search);
+    await this._save();
+    await this._enqueueRefresh([search.id], { indexedIds: null, markUnread: false });
+    return summarize(this._searches.get(search.id) || search);
+  }
+
+  /**
+   * Edit a saved search. Changing what it searches for re-runs it and
+   * resets its unread matches.
+   * @param {string} id
+   * @param {Object} changes - Any of name, query, mode, tags, tagMatch, notify
+   * @returns {Promise<Object|null>} Summary, or null when `id` does not exist
+   */
+  async update(id, changes = {}) {
+    await this.load();
+    const search = this._searches.get(id);
+    if (!search) return null;
+
+    const before = JSON.stringify([search.query, search.mode, search.tags, search.tagMatch]);
+    if (changes.name !== undefined) {
+      search.name = normalizeSavedSearchName(changes.name) || search.name;
+    }
+    if (typeof changes.query === 'string' && changes.query.trim()) {
+      search.query = changes.query.trim().slice(0, SAVED_SEARCH_LIMITS.MAX_QUERY_LENGTH);
+    }
+    if (SAVED_SEARCH_MODES.includes(changes.mode)) search.mode = changes.mode;
+    if (changes.tags !== undefined) search.tags = normalizeUserTags(changes.tags);
+    if (changes.tagMatch === 'all' || changes.tagMatch === 'any') {
+      search.tagMatch = changes.tagMatch;
+    }
+    if (typeof changes.notify === 'boolean') search.notify = changes.notify;
+    search.updatedAt = new Date().toISOString();
+
+    const criteriaChanged =
+      before !== JSON.stringify([search.query, search.mode, search.tags, search.tagMatch]);
+    if (criteriaChanged) {
+      search.matches = [];
+      search.unreadIds = [];
+    }
+    await this._save();
+    if (criteriaChanged) {
+      await this._enqueueRefresh([id], { indexedIds: null, markUnread: false });
+    } else {
+      this._emitChanged();
+    }
+    return summarize(search);
+  }
+
+  async remove(id) {
+    await this.load();
+    if (!this._searches.delete(id)) return false;
+    await this._save();
+    this._emitChanged();
+    return true;
+  }
+
+  /**
+   * Clear a collection's unread matches, e.g. once the user opens it.
+   * @param {string} id
+   * @returns {Promise<Object|null>}
+   */
+  async markViewed(id) {
+    await this.load();
+    const search = this._searches.get(id);
+    if (!search) return null;
+    if (search.unreadIds.length > 0) {
+      search.unreadIds = [];
+      await this._save();
+      this._emitChanged();
+    }
+    return summarize(search);
+  }
+
+  /**
+   * Re-run saved searches now. Matches that were not there before are
+   * counted as unread.
+   * @param {string} [id] - Only this search; all of them when omitted
+   * @returns {Promise<Array<Object>>} Summaries after the refresh
+   */
+  async refresh(id) {
+    await this.load();
+    const ids = id ? [id] : Array.from(this._searches.keys());
+    await this._enqueueRefresh(ids, { indexedIds: null, markUnread: true });
+    return this.list();
+  }
+
+  /**
+   * Record that a watcher indexed a file; collections are re-run once the
+   * burst settles.
+   * @param {string} filePath
+   */
+  noteIndexedFile(filePath) {
+    if (!filePath) return;
+    this._pendingIndexedIds.add(getSemanticFileId(filePath));
+    if (this._refreshTimer) clearTimeout(this._refreshTimer);
+    this._refreshTimer = setTimeout(() => {
+      this._refreshTimer = null;
+      const indexedIds = new Set(this._pendingIndexedIds);
+      this._pendingIndexedIds.clear();
+      this.load()
+        .then(() =>
+          this._enqueueRefresh(Array.from(this._searches.keys()), {
+            indexedIds,
+            markUnread: true
+          })
+        )
+        .catch((error) => {
+          logger.warn('[SavedSearchService] Refresh after indexing failed:', error.message);
+        });
+    }, this.refreshDelayMs);
+    this._refreshTimer.unref?.();
+  }
+
+  /**
+   * Keep collections pointing at files that were moved or renamed, so a
+   * move does not show up as a new match.
+   * @param {string} oldPath
+   * @param {string} newPath
+   */
+  async movePath(oldPath, newPath) {
+    await this.load();
+    const oldId = getSemanticFileId(oldPath);
+    const newId = getSemanticFileId(newPath);
+    if (oldId === newId) return false;
+    let changed = false;
+    for (const search of this._searches.values()) {
+      for (const match of search.matches) {
+        if (match.id !== oldId) continue;
+        match.id = newId;
+        match.path = newPath;
+        match.name = path.basename(newPath);
+        search.unreadIds = search.unreadIds.map((unreadId) =>
+          unreadId === oldId ? newId : unreadId
+        );
+        changed = true;
+      }
+    }
+    if (changed) await this._save();
+    return changed;
+  }
+
+  /**
+   * Follow moves reported by the FilePathCoordinator. Deleted files drop out
+   * on the next refresh.
+   * @param {import('events').EventEmitter} coordinator
+   */
+  trackPathChanges(coordinator) {
+    if (!coordinator?.on || this._coordinator === coordinator) return;
+    this.untrackPathChanges();
+
+    const onError = (error) =>
+      logger.warn('[SavedSearchService] Failed to update moved match:', error.message);
+    const listeners = {
+      'path-changed': ({ oldPath, newPath }) => this.movePath(oldPath, newPath).catch(onError),
+      'paths-changed': ({ changes }) => {
+        for (const { oldPath, newPath } of changes || []) {
+          this.movePath(oldPath, newPath).catch(onError);
+        }
+      }
+    };
+    for (const [event, listener] of Object.entries(listeners)) {
+      coordinator.on(event, listener);
+    }
+    this._coordinator = coordinator;
+    this._coordinatorListeners = listeners;
+  }
+
+  untrackPathChanges() {
+    if (!this._coordinator) return;
+    for (const [event, listener] of Object.entries(this._coordinatorListeners)) {
+      this._coordinator.removeListener(event, listener);
+    }
+    this._coordinator = null;
+    this._coordinatorListeners = null;
+  }
+
+  _enqueueRefresh(ids, options) {
+    // Refreshes run one at a time so overlapping triggers cannot interleave writes
+    const run = this._refreshQueue.then(() => this._refreshSearches(ids, options));
+    this._refreshQueue = run.catch(() => {});
+    return run;
+  }
+
+  async _refreshSearches(ids, { indexedIds, markUnread }) {
+    const searchService = await this.getSearchService();
+    if (!searchService?.hybridSearch) {
+      logger.debug('[SavedSearchService] Search unavailable, skipping refresh');
+      return;
+    }
+
+    const newlyIndexed = [];
+    let refreshed = 0;
+    for (const id of ids) {
+      const search = this._searches.get(id);
+      if (!search) continue;
+      let response;
+      try {
+        response = await searchService.hybridSearch(search.query, {
+          topK: SAVED_SEARCH_LIMITS.MAX_MATCHES,
+          mode: search.mode,
+          tags: search.tags,
+          tagMatch: search.tagMatch,
+          // Background refreshes skip the LLM re-ranker
+          rerank: false
+        });
+      } catch (error) {
+        logger.warn('[SavedSearchService] Saved search failed:', {
+          name: search.name,
+          error: error.message
+        });
+        continue;
+      }
+      if (!response?.success || !this._searches.has(id)) continue;
+
+      const previousIds = new Set(search.matches.map((match) => match.id));
+      const matches = (response.results || [])
+        .filter((result) => result?.id)
+        .slice(0, SAVED_SEARCH_LIMITS.MAX_MATCHES)
+        .map(toMatch);
+      const currentIds = new Set(matches.map((match) => match.id));
+      const added = matches.filter((match) => !previousIds.has(match.id));
+
+      const unread = search.unreadIds.filter((unreadId) => currentIds.has(unreadId));
+      if (markUnread) {
+        for (const match of added) {
+          if (!unread.includes(match.id)) unread.push(match.id);
+        }
+      }
+
+      search.matches = matches;
+      search.unreadIds = unread;
+      search.lastRefreshedAt = new Date().toISOString();
+      refreshed += 1;
+
+      if (search.notify && indexedIds) {
+        const fresh = added.filter((match) => indexedIds.has(match.id));
+        if (fresh.length > 0) newlyIndexed.push({ search, files: fresh });
+      }
+    }
+
+    if (refreshed === 0) return;
+    await this._save();
+    this._emitChanged();
+
+    for (const { search, files } of newlyIndexed) {
+      try {
+        await this.notificationService?.notifySavedSearchMatches?.(
+          search.name,
+          files.map((file) => file.name),
+          { searchId: search.id }
+        );
+      } catch (error) {
+        logger.debug('[SavedSearchService] Notification failed:', error.message);
+      }
+    }
+  }
+
+  _emitChanged() {
+    try {
+      this.emit('changed', {
+        searches: Array.from(this._searches.values()).map(summarize)
+      });
+    } catch (error) {
+      logger.warn('[SavedSearchService] Change listener failed:', error.message);
+    }
+  }
+
+  /**
+   * Queue a write of the saved searches behind any write in flight
+   * @returns {Promise<void>} Rejects if the file could not be written
+   */
+  _save() {
+    return this._file.save(Array.from(this._searches.values()));
+  }
+
+  shutdown() {
+    if (this._refreshTimer) clearTimeout(this._refreshTimer);
+    if (this._startupTimer) clearTimeout(this._startupTimer);
+    this._refreshTimer = null;
+    this._startupTimer = null;
+    this._pendingIndexedIds.clear();
+    this.untrackPathChanges();
+    this.removeAllListeners();
+  }
+}
+
+/**
+ * Tell the registered service that a watcher indexed a file. A no-op when
+ * the service is not registered (tests, CLI).
+ * @param {string} filePath
+ */
+function notifyFileIndexed(filePath) {
+  try {
+    const { container, ServiceIds } = require('./ServiceContainer');
+    container.tryResolve(ServiceIds.SAVED_SEARCHES)?.noteIndexedFile(filePath);
+  } catch (error) {
+    logger.debug('[SavedSearchService] Could not queue refresh:', error.message);
+  }
+}
+
+module.exports = { SavedSearchService, notifyFileIndexed };
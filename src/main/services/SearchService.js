@@ -18,6 +18,13 @@ const { THRESHOLDS, TIMEOUTS, SEARCH } = require('../../shared/performanceConsta
 const { normalizePathForIndex } = require('../../shared/pathSanitization');
 const { validateEmbeddingDimensions, padOrTruncateVector } = require('../../shared/vectorMath');
 const { getSemanticFileId } = require('../../shared/fileIdUtils');
+const { normalizeUserTags, matchesUserTags } = require('../../shared/fileAnnotations');
+const {
+  SEARCH_QUERY_VALUE_FIELDS,
+  parseSearchQuery,
+  matchesSearchFilters,
+  describeSearchFilters
+} = require('../../shared/searchQuery');
 
 // Optional services for enhanced query processing
 const { getInstance: getQueryProcessor } = require('./QueryProcessor');
@@ -35,6 +42,21 @@ const MIN_RESULT_SCORE = THRESHOLDS.MIN_SIMILARITY_SCORE;
  */
 const VECTOR_SEARCH_TIMEOUT = TIMEOUTS.SEMANTIC_QUERY;
 
+/**
+ * Candidates fetched per requested result when filtering by user tags,
+ * since the filter runs after ranking
+ */
+const TAG_FILTER_OVERFETCH = 5;
+const TAG_FILTER_MAX_CANDIDATES = 200;
+
+/**
+ * Structured query filters restrict retrievers to the matching files. Up to
+ * this many ids are handed to the vector store; larger candidate sets
+ * over-fetch and drop non-matching results instead.
+ */
+const FILTER_MAX_PREFILTER_IDS = 2000;
+const FILTER_OVERFETCH = 5;
+
 /**
  * Default search options (from performanceConstants.SEARCH)
  */
@@ -81,6 +103,7 @@ class SearchService {
    * @param {Object} [dependencies.reRankerService] - Optional ReRankerService for LLM re-ranking
    * @param {Object} [dependencies.ollamaService] - Optional OllamaService for re-ranking
    * @param {Object} [dependencies.relationshipIndexService] - Optional RelationshipIndexService for graph expansion
+   * @param {Object} [dependencies.fileAnnotationService] - Optional FileAnnotationService for user tags/notes
    */
   constructor({
     chromaDbService,
@@ -89,7 +112,8 @@ class SearchService {
     queryProcessor,
     reRankerService,
     ollamaService,
-    relationshipIndexService
+    relationshipIndexService,
+    fileAnnotationService
   } = {}) {
     // Validate required dependencies
     if (!chromaDbService) {
@@ -111,6 +135,12 @@ class SearchService {
     this.reRanker = reRankerService || null;
     this.ollamaService = ollamaService || null;
     this.relationshipIndex = relationshipIndexService || null;
+    this.annotations = fileAnnotationService || null;
+
+    // User tags and notes are indexed, so edits make the index stale
+    this._onAnnotationsChanged = ({ path: changedPath } = {}) =>
+      this.invalidateIndex({ reason: 'annotations-changed', newPath: changedPath });
+    this.annotations?.on?.('changed', this._onAnnotationsChanged);
 
     // Lazy initialize optional services
     this._queryProcessorInitialized = false;
@@ -300,6 +330,15 @@ class SearchService {
         return [];
       };
 
+      let annotations = new Map();
+      if (this.annotations?.getAllById) {
+        try {
+          annotations = await this.annotations.getAllById();
+        } catch (annotationError) {
+          logger.warn('[SearchService] Failed to load file annotations:', annotationError.message);
+        }
+      }
+
       // Release old index and document map before building new ones to avoid
       // holding both old and new data structures in memory simultaneously.
       // This prevents doubling memory usage during rebuilds.
@@ -319,6 +358,8 @@ class SearchService {
         this.field('subject', { boost: 2 });
         this.field('summary', { boost: 1.5 });
         this.field('tags', { boost: 2 });
+        this.field('userTags', { boost: 3 });
+        this.field('userNote', { boost: 1.5 });
         this.field('category', { boost: 1.5 });
         this.field('entity', { boost: 1.4 });
         this.field('project', { boost: 1.4 });
@@ -352,6 +393,9 @@ class SearchService {
 
           const normalizedTags = normalizeList(analysis.tags);
           const normalizedKeyEntities = normalizeList(analysis.keyEntities);
+          const annotation = annotations.get(canonicalId);
+          const userTags = annotation?.tags || [];
+          const userNote = annotation?.note || '';
 
           const indexDoc = {
             id: canonicalId,
@@ -359,6 +403,8 @@ class SearchService {
             subject: analysis.subject || '',
             summary: analysis.summary || '',
             tags: normalizedTags.join(' '),
+            userTags: userTags.join(' '),
+            userNote: self._truncateText(userNote, 2000),
             category: analysis.category || '',
             entity: analysis.entity || '',
             project: analysis.project || '',
@@ -380,9 +426,14 @@ class SearchService {
             path: currentPath,
             name: currentName,
             type: doc.mimeType || 'document',
+            extension: (doc.fileExtension || '').replace(/^\./, '') || null,
+            size: Number.isFinite(doc.fileSize) ? doc.fileSize : null,
+            modified: doc.lastModified || null,
             subject: analysis.subject,
             summary: analysis.summary,
             tags: normalizedTags,
+            userTags,
+            userNote: userNote || null,
             category: analysis.category,
             entity: analysis.entity || null,
             project: analysis.project || null,
@@ -557,9 +608,12 @@ class SearchService {
    *
    * @param {string} query - Search query
    * @param {number} topK - Number of results to return
+   * @param {Object} [options]
+   * @param {Set<string>} [options.allowedIds] - Only return these documents
    * @returns {Array} Search results with scores
    */
-  bm25Search(query, topK = 20) {
+  bm25Search(query, topK = 20, options = {}) {
+    const { allowedIds = null } = options;
     if (!this.bm25Index) {
       logger.warn('[SearchService] BM25 index not built');
       return [];
@@ -569,7 +623,8 @@ class SearchService {
       // Escape special lunr characters
       const safeQuery = this._escapeLunrQuery(query);
       logger.debug(`[SearchService] BM25 search query: "${query}" -> escaped: "${safeQuery}"`);
-      const results = this.bm25Index.search(safeQuery);
+      const rawResults = this.bm25Index.search(safeQuery);
+      const results = allowedIds ? rawResults.filter((r) => allowedIds.has(r.ref)) : rawResults;
       logger.debug(`[SearchService] BM25 raw results: ${results.length}`);
 
       const mapped = results.slice(0, topK).map((result) => {
@@ -594,6 +649,7 @@ class SearchService {
             name: meta.name,
             type: meta.type,
             tags: meta.tags || [],
+            userTags: meta.userTags || [],
             category: meta.category || '',
             subject: meta.subject || '',
             confidence: meta.confidence || 0
@@ -643,9 +699,12 @@ class SearchService {
    *
    * @param {string} query - Search query
    * @param {number} topK - Number of results to return
+   * @param {Object} [options]
+   * @param {Set<string>} [options.allowedIds] - Only return these files
    * @returns {Promise<Array>} Search results with scores
    */
-  async vectorSearch(query, topK = 20) {
+  async vectorSearch(query, topK = 20, options = {}) {
+    const { allowedIds = null } = options;
     try {
       // Generate query embedding
       const embedResult = await this.embedding.embedText(query);
@@ -665,13 +724,21 @@ class SearchService {
       }
 
       // Query ChromaDB
-      const chromaResults = await this.chromaDb.querySimilarFiles(queryVector, topK);
-      logger.debug(`[SearchService] ChromaDB returned ${chromaResults?.length || 0} results`);
+      const prefilter = this._getStorePrefilter(allowedIds, topK);
+      const rawResults = await this.chromaDb.querySimilarFiles(
+        queryVector,
+        prefilter.topK,
+        ...(prefilter.ids ? [{ ids: prefilter.ids }] : [])
+      );
+      logger.debug(`[SearchService] ChromaDB returned ${rawResults?.length || 0} results`);
 
-      if (!chromaResults || !Array.isArray(chromaResults)) {
+      if (!rawResults || !Array.isArray(rawResults)) {
         logger.warn('[SearchService] ChromaDB returned no results or invalid format');
         return [];
       }
+      const chromaResults = allowedIds
+        ? rawResults.filter((r) => allowedIds.has(r.id)).slice(0, topK)
+        : rawResults;
 
       // Extract query words for tag/category matching
       const queryWords = query
@@ -745,7 +812,8 @@ class SearchService {
       chunkContext = DEFAULT_OPTIONS.chunkContext,
       chunkContextMaxNeighbors = DEFAULT_OPTIONS.chunkContextMaxNeighbors,
       chunkContextMaxFiles = DEFAULT_OPTIONS.chunkContextMaxFiles,
-      chunkContextMaxChars = DEFAULT_OPTIONS.chunkContextMaxChars
+      chunkContextMaxChars = DEFAULT_OPTIONS.chunkContextMaxChars,
+      allowedIds = null
     } = options;
     try {
       // Inspect chunk collection availability and count
@@ -780,7 +848,12 @@ class SearchService {
         return [];
       }
 
-      const chunkResults = await this.chromaDb.querySimilarFileChunks(queryVector, topKChunks);
+      const prefilter = this._getStorePrefilter(allowedIds, topKChunks);
+      const chunkResults = await this.chromaDb.querySimilarFileChunks(
+        queryVector,
+        prefilter.ids ? topKChunks : prefilter.topK,
+        ...(prefilter.ids ? [{ fileIds: prefilter.ids }] : [])
+      );
       if (!Array.isArray(chunkResults) || chunkResults.length === 0) {
         logger.debug('[SearchService] Chunk search returned no results');
         return [];
@@ -791,7 +864,7 @@ class SearchService {
       for (const hit of chunkResults) {
         const meta = hit?.metadata || {};
         const fileId = meta.fileId;
-        if (!fileId) continue;
+        if (!fileId || (allowedIds && !allowedIds.has(fileId))) continue;
 
         const score = typeof hit.score === 'number' ? hit.score : 0;
         const existing = byFile.get(fileId);
@@ -1236,13 +1309,14 @@ class SearchService {
    * @param {string} query - Search query
    * @param {number} topK - Number of results
    * @param {number} timeout - Timeout in milliseconds
+   * @param {Object} [options] - vectorSearch options
    * @returns {Promise<{results: Array, timedOut: boolean}>}
    */
-  async _vectorSearchWithTimeout(query, topK, timeout = VECTOR_SEARCH_TIMEOUT) {
+  async _vectorSearchWithTimeout(query, topK, timeout = VECTOR_SEARCH_TIMEOUT, options = {}) {
     let timeoutId = null;
 
     try {
-      const searchPromise = this.vectorSearch(query, topK).then((results) => {
+      const searchPromise = this.vectorSearch(query, topK, options).then((results) => {
         // Clear timeout immediately when search completes to prevent leak
         if (timeoutId) clearTimeout(timeoutId);
         return { results, timedOut: false };
@@ -1273,6 +1347,256 @@ class SearchService {
     }
   }
 
+  /**
+   * Run a search over a wider candidate set and keep only files carrying the
+   * requested user tags. Tags live outside the vector store, so the filter is
+   * applied after ranking rather than inside each retriever.
+   *
+   * @param {string} query
+   * @param {Object} options - hybridSearch options
+   * @param {string[]} tags - Normalized tag filter
+   * @returns {Promise<Object>} hybridSearch result
+   */
+  async _searchWithTagFilter(query, options, tags) {
+    if (!this.annotations?.getAllById) {
+      return { success: false, results: [], error: 'Tag filtering unavailable' };
+    }
+
+    const topK = options.topK ?? DEFAULT_OPTIONS.topK;
+    const tagMatch = options.tagMatch === 'any' ? 'any' : 'all';
+    const innerOptions = {
+      ...options,
+      topK: Math.min(topK * TAG_FILTER_OVERFETCH, TAG_FILTER_MAX_CANDIDATES)
+    };
+    delete innerOptions.tags;
+    delete innerOptions.tagMatch;
+
+    const result = await this.hybridSearch(query, innerOptions);
+    if (!result.success) return result;
+
+    const annotations = await this.annotations.getAllById();
+    const results = result.results
+      .filter((r) => {
+        const id = r.metadata?.path ? getSemanticFileId(r.metadata.path) : r.id;
+        return matchesUserTags(annotations.get(id)?.tags, tags, tagMatch);
+      })
+      .slice(0, topK);
+
+    return { ...result, results, tagFilter: { tags, match: tagMatch } };
+  }
+
+  /**
+   * Narrow a retriever call to a candidate set. Small sets are passed to the
+   * vector store as an id filter; large ones over-fetch and filter afterwards.
+   *
+   * @param {Set<string>|null} allowedIds
+   * @param {number} topK
+   * @returns {{topK: number, ids: string[]|null}}
+   * @private
+   */
+  _getStorePrefilter(allowedIds, topK) {
+    if (!allowedIds) return { topK, ids: null };
+    if (allowedIds.size <= FILTER_MAX_PREFILTER_IDS) {
+      return { topK: Math.min(topK, allowedIds.size), ids: Array.from(allowedIds) };
+    }
+    return { topK: topK * FILTER_OVERFETCH, ids: null };
+  }
+
+  /**
+   * Flatten an indexed document into the record shape matchesSearchFilters expects.
+   *
+   * @param {Object} doc - documentMap entry
+   * @param {boolean} withText - Include searchable text for phrase and exclusion filters
+   * @returns {Object}
+   * @private
+   */
+  _toFilterRecord(doc, withText) {
+    const documentDate = doc.documentDate ? Date.parse(doc.documentDate) : NaN;
+    const modified =
+      typeof doc.modified === 'number' ? doc.modified : Date.parse(doc.modified || '');
+    const confidence = Number(doc.confidence);
+    const extension =
+      doc.extension || (/\.([^./\\]+)$/.exec(doc.name || doc.path || '')?.[1] ?? '');
+
+    const record = {
+      path: doc.path,
+      extension: extension.toLowerCase(),
+      mimeType: doc.type,
+      documentType: doc.documentType,
+      entity: doc.entity,
+      keyEntities: doc.keyEntities,
+      tags: doc.tags,
+      userTags: doc.userTags,
+      date: Number.isFinite(documentDate) ? documentDate : modified,
+      size: doc.size,
+      // Analysis confidence is stored as 0-1 by some analyzers and 0-100 by others
+      confidence: Number.isFinite(confidence) && confidence <= 1 ? confidence * 100 : confidence
+    };
+
+    if (withText) {
+      const entry = doc.analysisId
+        ? this.history?.analysisHistory?.entries?.[doc.analysisId]
+        : null;
+      record.text = [
+        doc.name,
+        doc.subject,
+        doc.summary,
+        doc.category,
+        doc.entity,
+        doc.project,
+        doc.purpose,
+        doc.userNote,
+        ...(doc.tags || []),
+        ...(doc.userTags || []),
+        ...(doc.keyEntities || []),
+        this._truncateText(entry?.analysis?.extractedText, 5000)
+      ]
+        .filter(Boolean)
+        .join('\n')
+        .toLowerCase();
+    }
+    return record;
+  }
+
+  /**
+   * Ids of indexed documents passing the parsed query filters.
+   *
+   * @param {Array<Array<Object>>} groups - From parseSearchQuery
+   * @returns {Set<string>}
+   * @private
+   */
+  _getFilteredIds(groups) {
+    const withText = groups.some((group) => group.some((clause) => clause.kind === 'text'));
+    const ids = new Set();
+    for (const [id, doc] of this.documentMap) {
+      if (matchesSearchFilters(this._toFilterRecord(doc, withText), groups)) {
+        ids.add(id);
+      }
+    }
+    return ids;
+  }
+
+  /**
+   * Run a structured query (field filters, phrases, exclusions). Filters are
+   * resolved against the BM25 document map first and the resulting candidate
+   * set is passed to every retriever; the free text ranks within it. A query
+   * with filters but no text lists the matching files, newest first.
+   *
+   * @param {string} query - Raw query
+   * @param {Object} options - hybridSearch options
+   * @param {Object} syntax - parseSearchQuery result
+   * @returns {Promise<Object>} hybridSearch result with queryMeta.syntax
+   */
+  async _searchWithQuerySyntax(query, options, syntax) {
+    const topK = options.topK ?? DEFAULT_OPTIONS.topK;
+
+    if (this.isIndexStale()) {
+      await this.buildBM25Index();
+    }
+
+    const allowedIds = syntax.groups.length > 0 ? this._getFilteredIds(syntax.groups) : null;
+    const syntaxMeta = {
+      text: syntax.text,
+      filters: describeSearchFilters(syntax.groups),
+      errors: syntax.errors,
+      candidateCount: allowedIds ? allowedIds.size : null
+    };
+    logger.debug('[SearchService] Structured query', syntaxMeta);
+
+    if (allowedIds && allowedIds.size === 0) {
+      return { success: true, results: [], mode: 'filter', queryMeta: { syntax: syntaxMeta } };
+    }
+
+    if (syntax.text.length < 2) {
+      if (!allowedIds) {
+        return {
+          success: false,
+          results: [],
+          error: syntax.errors[0]?.message || 'Query too short',
+          queryMeta: { syntax: syntaxMeta }
+        };
+      }
+      const listed = Array.from(allowedIds, (id) => {
+        const doc = this.documentMap.get(id);
+        return { doc, date: this._toFilterRecord(doc, false).date || 0 };
+      })
+        .sort((a, b) => b.date - a.date)
+        .slice(0, topK)
+        .map(({ doc }) => ({
+          id: doc.id,
+          score: 1,
+          metadata: { ...doc },
+          source: 'filter',
+          matchDetails: { sources: ['filter'] }
+        }));
+      const { validResults } = await this._validateFileExistence(listed);
+      return {
+        success: true,
+        results: validResults,
+        mode: 'filter',
+        queryMeta: { syntax: syntaxMeta }
+      };
+    }
+
+    const result = await this.hybridSearch(syntax.text, {
+      ...options,
+      allowedIds,
+      querySyntax: false
+    });
+    return { ...result, queryMeta: { ...result.queryMeta, syntax: syntaxMeta } };
+  }
+
+  /**
+   * Distinct values of a query field across the index, for autocomplete.
+   *
+   * @param {string} field - One of SEARCH_QUERY_VALUE_FIELDS
+   * @param {Object} [options]
+   * @param {string} [options.prefix] - Case-insensitive prefix (falls back to substring matches)
+   * @param {number} [options.limit=10]
+   * @returns {Promise<Array<{value: string, count: number}>>}
+   */
+  async getQueryFieldValues(field, { prefix = '', limit = 10 } = {}) {
+    if (!SEARCH_QUERY_VALUE_FIELDS.includes(field)) return [];
+    if (this.isIndexStale()) {
+      await this.buildBM25Index();
+    }
+
+    const counts = new Map();
+    const add = (value) => {
+      const text = String(value || '').trim();
+      if (!text) return;
+      const key = text.toLowerCase();
+      const current = counts.get(key);
+      if (current) current.count += 1;
+      else counts.set(key, { value: text, count: 1 });
+    };
+
+    for (const doc of this.documentMap.values()) {
+      if (field === 'type') {
+        add(this._toFilterRecord(doc, false).extension);
+      } else if (field === 'folder') {
+        const segments = String(doc.path || '').split(/[\\/]/);
+        add(segments[segments.length - 2]);
+      } else if (field === 'entity') {
+        new Set([doc.entity, ...(doc.keyEntities || [])].filter(Boolean)).forEach(add);
+      } else if (field === 'tag') {
+        new Set([...(doc.userTags || []), ...(doc.tags || [])]).forEach(add);
+      }
+    }
+
+    const needle = String(prefix).toLowerCase();
+    const ranked = Array.from(counts.values())
+      .filter((entry) => entry.value.toLowerCase().includes(needle))
+      .sort(
+        (a, b) =>
+          Number(b.value.toLowerCase().startsWith(needle)) -
+            Number(a.value.toLowerCase().startsWith(needle)) ||
+          b.count - a.count ||
+          a.value.localeCompare(b.value)
+      );
+    return ranked.slice(0, limit);
+  }
+
   /**
    * Filter results by minimum score threshold
    *
@@ -1375,12 +1699,17 @@ class SearchService {
    * - Score normalization before RRF fusion
    * - Timeout fallback to BM25-only on vector search timeout
    * - Minimum score filtering for quality control
+   * - Structured query syntax (type:, folder:, before:, "phrases", -exclusions,
+   *   OR) applied as a candidate pre-filter, see shared/searchQuery
    *
    * @param {string} query - Search query
    * @param {Object} options - Search options
    * @param {number} options.topK - Number of results (default: 20)
    * @param {string} options.mode - Search mode: 'hybrid', 'vector', 'bm25' (default: 'hybrid')
    * @param {number} options.minScore - Minimum score threshold (default: 0.5)
+   * @param {string[]} [options.tags] - Only return files carrying these user tags
+   * @param {'all'|'any'} [options.tagMatch='all'] - Whether files need every tag or just one
+   * @param {boolean} [options.querySyntax=true] - Parse field filters, phrases and exclusions
    * @returns {Promise<{success: boolean, results: Array, mode: string}>}
    */
   async hybridSearch(query, options = {}) {
@@ -1408,17 +1737,33 @@ class SearchService {
       graphExpansionMaxEdges = DEFAULT_OPTIONS.graphExpansionMaxEdges,
       graphExpansionMaxNeighbors = DEFAULT_OPTIONS.graphExpansionMaxNeighbors,
       graphExpansionMinWeight = DEFAULT_OPTIONS.graphExpansionMinWeight,
-      graphExpansionDecay = DEFAULT_OPTIONS.graphExpansionDecay
+      graphExpansionDecay = DEFAULT_OPTIONS.graphExpansionDecay,
+      // Set by _searchWithQuerySyntax to restrict every retriever
+      allowedIds = null
     } = options;
     const safeChunkWeight = Number.isFinite(chunkWeight)
       ? chunkWeight
       : DEFAULT_OPTIONS.chunkWeight;
     const resolvedChunkTopK = Number.isInteger(chunkTopK) ? chunkTopK : topK * 6;
+    // Retriever options, only when a structured query narrowed the candidates
+    const retrieverArgs = allowedIds ? [{ allowedIds }] : [];
 
     if (!query || typeof query !== 'string' || query.trim().length < 2) {
       return { success: false, results: [], error: 'Query too short' };
     }
 
+    const tagFilter = normalizeUserTags(options.tags);
+    if (tagFilter.length > 0) {
+      return this._searchWithTagFilter(query, options, tagFilter);
+    }
+
+    if (options.querySyntax !== false) {
+      const syntax = parseSearchQuery(query);
+      if (syntax.hasSyntax) {
+        return this._searchWithQuerySyntax(query, options, syntax);
+      }
+    }
+
     // FIX P2-1: Normalize query for all search modes (trim, collapse whitespace)
     // BM25 will additionally expand synonyms, but vector search uses this normalized version
     const normalizedQuery = query.trim().replace(/\s+/g, ' ');
@@ -1497,14 +1842,14 @@ class SearchService {
       // Handle different search modes
       if (mode === 'bm25') {
         // Use expanded query for BM25 (benefits from synonyms)
-        const results = this.bm25Search(processedQuery, topK);
+        const results = this.bm25Search(processedQuery, topK, ...retrieverArgs);
         const filtered = this._filterByScore(results, minScore);
         return { success: true, results: filtered, mode: 'bm25', queryMeta };
       }
 
       if (mode === 'vector') {
         // FIX P2-1: Use normalized query for vector search (consistent preprocessing)
-        const results = await this.vectorSearch(normalizedQuery, topK);
+        const results = await this.vectorSearch(normalizedQuery, topK, ...retrieverArgs);
         this._enrichResults(results);
         const filtered = this._filterByScore(results, minScore);
         return { success: true, results: filtered, mode: 'vector', queryMeta };
@@ -1512,10 +1857,12 @@ class SearchService {
 
       // Hybrid mode: combine both search types with timeout protection
       // FIX P2-1: Use expanded query for BM25, normalized for vector (consistent preprocessing)
-      const bm25Results = this.bm25Search(processedQuery, topK * 2);
+      const bm25Results = this.bm25Search(processedQuery, topK * 2, ...retrieverArgs);
       const { results: vectorResults, timedOut } = await this._vectorSearchWithTimeout(
         normalizedQuery,
-        topK * 2
+        topK * 2,
+        VECTOR_SEARCH_TIMEOUT,
+        ...retrieverArgs
       );
       const chunkResults =
         safeChunkWeight > 0 && resolvedChunkTopK > 0
@@ -1523,7 +1870,8 @@ class SearchService {
               chunkContext,
               chunkContextMaxNeighbors,
               chunkContextMaxFiles,
-              chunkContextMaxChars
+              chunkContextMaxChars,
+              allowedIds
             })
           : [];
 
@@ -1691,7 +2039,9 @@ class SearchService {
         graphExpansionDecay
       });
 
-      fusedResults = graphExpansionResult.results;
+      fusedResults = allowedIds
+        ? graphExpansionResult.results.filter((r) => allowedIds.has(r.id))
+        : graphExpansionResult.results;
 
       // Apply minimum score filter to fused results
       let filteredResults = this._filterByScore(fusedResults.slice(0, topK), minScore);
@@ -1824,7 +2174,7 @@ class SearchService {
 
       // Last resort: try BM25-only on complete failure
       try {
-        const bm25Results = this.bm25Search(query, topK);
+        const bm25Results = this.bm25Search(query, topK, ...retrieverArgs);
         if (bm25Results.length > 0) {
           logger.info('[SearchService] Falling back to BM25-only after hybrid failure');
           const filtered = this._filterByScore(bm25Results, minScore);
@@ -2770,6 +3120,8 @@ class SearchService {
       }
     }
 
+    this.annotations?.removeListener?.('changed', this._onAnnotationsChanged);
+
     // Clear index and cache
     this.bm25Index = null;
     this.documentMap.clear();
@@ -1,8 +1,49 @@
 const path = require('path');
+const fs = require('fs').promises;
 const { processTemplate, makeUniqueFileName } = require('./autoOrganize/namingUtils');
+const { SUPPORTED_IMAGE_EXTENSIONS } = require('../../shared/constants');
 const { createLogger } = require('../../shared/logger');
 const logger = createLogger('SemanticRenameService');
 
+/**
+ * Read the EXIF fields exposed as {exif.*} template tokens.
+ * @param {string} filePath - Image path
+ * @returns {Promise<Object|null>} Flat, lower-case keyed fields or null when unavailable
+ */
+async function readExifFields(filePath) {
+  if (!SUPPORTED_IMAGE_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) {
+    return null;
+  }
+  try {
+    const sharp = require('sharp');
+    const meta = await sharp(filePath).metadata();
+    if (!meta?.exif) return null;
+    const exif = require('exif-reader')(meta.exif);
+    const taken = exif?.exif?.DateTimeOriginal || exif?.image?.ModifyDate;
+    let date = null;
+    if (taken instanceof Date && !Number.isNaN(taken.getTime())) {
+      date = taken.toISOString().split('T')[0];
+    } else if (taken) {
+      // Legacy string format: "2024:01:15 10:30:00"
+      const parts = String(taken).split(' ')[0].replace(/:/g, '-');
+      date = /^\d{4}-\d{2}-\d{2}$/.test(parts) ? parts : null;
+    }
+    return {
+      make: exif?.image?.Make || null,
+      model: exif?.image?.Model || null,
+      lens: exif?.exif?.LensModel || null,
+      iso: exif?.exif?.ISOSpeedRatings ?? exif?.exif?.ISO ?? null,
+      date
+    };
+  } catch (error) {
+    logger.debug('SemanticRenameService: EXIF read failed', {
+      file: filePath,
+      error: error.message
+    });
+    return null;
+  }
+}
+
 /**
  * Service for semantic file renaming.
  * Orchestrates the generation of new filenames based on AI analysis and user templates.
@@ -26,9 +67,10 @@ class SemanticRenameService {
    * @param {string} filePath - The full path to the original file.
    * @param {Object} analysisResult - The analysis result object (ExtendedAnalysisSchema).
    * @param {string} template - The naming template string (e.g., "{date}_{entity}_{type}").
+   * @param {Object} [extra] - Additional template context ({ index, counterStart, exif })
    * @returns {string} The new full file path (or original if no change).
    */
-  generateNewName(filePath, analysisResult, template) {
+  generateNewName(filePath, analysisResult, template, extra = {}) {
     try {
       const originalDir = path.dirname(filePath);
       const originalName = path.basename(filePath);
@@ -36,6 +78,7 @@ class SemanticRenameService {
 
       // 1. Process the template using the analysis result
       const context = {
+        ...extra,
         originalName,
         analysis: analysisResult,
         extension
@@ -58,6 +101,94 @@ class SemanticRenameService {
       return filePath; // Fallback to original path on error
     }
   }
+
+  /**
+   * Preview a template rename for a batch of files.
+   *
+   * Names are made unique against each other and against files already present
+   * in the destination directory. Files in the batch count as present under their
+   * current names, so applying the renames in any order never overwrites a file.
+   *
+   * @param {Array<{path: string, analysis?: Object}>} files - Files in display order
+   * @param {string} template - Naming template
+   * @param {Object} [options]
+   * @param {number} [options.counterStart=1] - Value of {n} for the first file
+   * @returns {Promise<Array<Object>>} One entry per file:
+   *   { sourcePath, originalName, newName, destination, changed, collision }
+   *   where collision is 'batch', 'existing' or null
+   */
+  async previewBatch(files, template, options = {}) {
+    const usesExif = /\{exif\./i.test(template || '');
+    const namesByDir = new Map(); // dir -> Map(lowerName -> count), seeded from disk
+
+    const getUsedNames = async (dir) => {
+      if (!namesByDir.has(dir)) {
+        const used = new Map();
+        try {
+          for (const entry of await fs.readdir(dir)) {
+            used.set(entry.toLowerCase(), 1);
+          }
+        } catch (error) {
+          logger.debug('SemanticRenameService: Could not list directory', {
+            dir,
+            error: error.message
+          });
+        }
+        namesByDir.set(dir, { used, claimed: new Set() });
+      }
+      return namesByDir.get(dir);
+    };
+
+    const preview = [];
+    for (const [index, file] of files.entries()) {
+      const sourcePath = file.path;
+      const dir = path.dirname(sourcePath);
+      const originalName = path.basename(sourcePath);
+      const exif = usesExif ? await readExifFields(sourcePath) : null;
+
+      let desiredName = originalName;
+      try {
+        desiredName = processTemplate(template, {
+          originalName,
+          analysis: file.analysis,
+          extension: path.extname(originalName),
+          index,
+          counterStart: options.counterStart,
+          exif
+        });
+      } catch (error) {
+        logger.error('SemanticRenameService: Failed to process template', {
+          file: sourcePath,
+          error: error.message
+        });
+      }
+
+      const { used, claimed } = await getUsedNames(dir);
+      const desiredKey = desiredName.toLowerCase();
+      let newName = desiredName;
+      let collision = null;
+
+      // Keeping the current name (or only changing its case) never collides
+      if (desiredKey !== originalName.toLowerCase()) {
+        collision = claimed.has(desiredKey) ? 'batch' : used.has(desiredKey) ? 'existing' : null;
+        newName = makeUniqueFileName(desiredName, used);
+      }
+      const newKey = newName.toLowerCase();
+      if (!used.has(newKey)) used.set(newKey, 1);
+      claimed.add(newKey);
+
+      preview.push({
+        sourcePath,
+        originalName,
+        newName,
+        destination: path.join(dir, newName),
+        changed: newName !== originalName,
+        collision
+      });
+    }
+
+    return preview;
+  }
 }
 
 // Singleton instance
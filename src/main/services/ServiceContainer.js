@@ -611,6 +611,19 @@ const ServiceIds = {
 
   // Watcher services
   SMART_FOLDER_WATCHER: 'smartFolderWatcher',
+  ORGANIZATION_SCHEDULER: 'organizationScheduler', // Runs scheduled organization jobs
+
+  // Loopback REST API for other tools
+  LOCAL_API_SERVER: 'localApiServer',
+
+  // User tags and notes on files
+  FILE_ANNOTATIONS: 'fileAnnotations',
+
+  // Saved searches shown as smart collections
+  SAVED_SEARCHES: 'savedSearches',
+
+  // Links that link-based smart folders are built from
+  VIRTUAL_LINKS: 'virtualLinks',
 
   // Notification service
   NOTIFICATION_SERVICE: 'notificationService'
@@ -624,12 +637,18 @@ const ServiceIds = {
  * @type {string[]}
  */
 const SHUTDOWN_ORDER = [
-  // First: Watcher services (must stop before other services)
+  // First: stop accepting external API requests
+  ServiceIds.LOCAL_API_SERVER,
+  // Watcher services (must stop before other services)
   ServiceIds.SMART_FOLDER_WATCHER,
   ServiceIds.DOWNLOAD_WATCHER,
+  ServiceIds.ORGANIZATION_SCHEDULER,
   // High-level services that use other services
   ServiceIds.FILE_PATH_COORDINATOR, // Coordinator depends on many services
+  ServiceIds.SAVED_SEARCHES, // Re-runs searches after indexing
+  ServiceIds.VIRTUAL_LINKS, // Verifies links on a timer
   ServiceIds.SEARCH_SERVICE,
+  ServiceIds.FILE_ANNOTATIONS, // Search and the coordinator listen to it
   ServiceIds.RELATIONSHIP_INDEX,
   ServiceIds.LEARNING_FEEDBACK, // Depends on suggestion service, must shutdown before it
   ServiceIds.AUTO_ORGANIZE,
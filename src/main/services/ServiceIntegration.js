@@ -533,6 +533,12 @@ class ServiceIntegration {
       });
     }
 
+    // Register FileAnnotationService (user tags and notes, keyed by semantic file id)
+    if (!container.has(ServiceIds.FILE_ANNOTATIONS)) {
+      const { registerWithContainer: registerFileAnnotations } = require('./FileAnnotationService');
+      registerFileAnnotations(container, ServiceIds.FILE_ANNOTATIONS);
+    }
+
     // Register FilePathCoordinator (coordinates all path-dependent systems)
     if (!container.has(ServiceIds.FILE_PATH_COORDINATOR)) {
       container.registerSingleton(ServiceIds.FILE_PATH_COORDINATOR, (c) => {
@@ -563,6 +569,13 @@ class ServiceIntegration {
           cacheInvalidationBus
         });
 
+        // Annotations follow files through moves, copies and deletions
+        c.tryResolve(ServiceIds.FILE_ANNOTATIONS)?.trackPathChanges(coordinator);
+        // Moved files stay in their smart collections instead of showing up as new
+        c.tryResolve(ServiceIds.SAVED_SEARCHES)?.trackPathChanges(coordinator);
+        // Symlinks are retargeted when their originals move
+        c.tryResolve(ServiceIds.VIRTUAL_LINKS)?.trackPathChanges(coordinator);
+
         return coordinator;
       });
     }
@@ -623,7 +636,8 @@ class ServiceIntegration {
           parallelEmbeddingService: c.resolve(ServiceIds.PARALLEL_EMBEDDING),
           // Optional services - use tryResolve to avoid errors if not available
           ollamaService: c.tryResolve(ServiceIds.OLLAMA_SERVICE),
-          relationshipIndexService: c.tryResolve(ServiceIds.RELATIONSHIP_INDEX)
+          relationshipIndexService: c.tryResolve(ServiceIds.RELATIONSHIP_INDEX),
+          fileAnnotationService: c.tryResolve(ServiceIds.FILE_ANNOTATIONS)
         });
       });
     }
@@ -647,6 +661,51 @@ class ServiceIntegration {
       });
     }
 
+    // Scheduled organization jobs; started from simple-main once folders are loaded
+    if (!container.has(ServiceIds.ORGANIZATION_SCHEDULER)) {
+      container.registerSingleton(ServiceIds.ORGANIZATION_SCHEDULER, (c) => {
+        const { OrganizationScheduler } = require('./OrganizationScheduler');
+        return new OrganizationScheduler({
+          autoOrganizeService: c.resolve(ServiceIds.AUTO_ORGANIZE),
+          settingsService: c.resolve(ServiceIds.SETTINGS),
+          undoRedo: c.resolve(ServiceIds.UNDO_REDO),
+          notificationService: c.resolve(ServiceIds.NOTIFICATION_SERVICE),
+          getSmartFolders: () => [] // Set during app init via configureOrganizationScheduler
+        });
+      });
+    }
+
+    // Saved searches (smart collections); refreshed after the watchers index files
+    if (!container.has(ServiceIds.SAVED_SEARCHES)) {
+      container.registerSingleton(ServiceIds.SAVED_SEARCHES, (c) => {
+        const { SavedSearchService } = require('./SavedSearchService');
+        return new SavedSearchService({
+          // Prefer the instance the search IPC already built its index for
+          getSearchService: () => {
+            const { getSearchServiceInstance } = require('../ipc/semantic');
+            return getSearchServiceInstance() || c.tryResolve(ServiceIds.SEARCH_SERVICE);
+          },
+          notificationService: c.resolve(ServiceIds.NOTIFICATION_SERVICE)
+        });
+      });
+    }
+
+    // Links built by link-based smart folders; verified against their originals on a timer
+    if (!container.has(ServiceIds.VIRTUAL_LINKS)) {
+      container.registerSingleton(ServiceIds.VIRTUAL_LINKS, () => {
+        const { VirtualLinkService } = require('./VirtualLinkService');
+        return new VirtualLinkService();
+      });
+    }
+
+    // Loopback REST API; started/stopped by settings through applySettings
+    if (!container.has(ServiceIds.LOCAL_API_SERVER)) {
+      container.registerSingleton(ServiceIds.LOCAL_API_SERVER, () => {
+        const { LocalApiServer } = require('./localApi/LocalApiServer');
+        return new LocalApiServer();
+      });
+    }
+
     logger.info('[ServiceIntegration] Core services registered with container');
   }
 
@@ -790,6 +849,35 @@ class ServiceIntegration {
     }
   }
 
+  /**
+   * Configure and start the OrganizationScheduler
+   * Runs for the lifetime of the main process, including in background mode
+   *
+   * @param {Object} config - Configuration object
+   * @param {Function} config.getSmartFolders - Function to get current smart folders
+   */
+  configureOrganizationScheduler({ getSmartFolders }) {
+    try {
+      const scheduler = container.resolve(ServiceIds.ORGANIZATION_SCHEDULER);
+
+      if (scheduler) {
+        scheduler.getSmartFolders = getSmartFolders;
+        scheduler.start().catch((error) => {
+          logger.warn(
+            '[ServiceIntegration] Failed to start OrganizationScheduler:',
+            error?.message
+          );
+        });
+        logger.info('[ServiceIntegration] OrganizationScheduler configured');
+      }
+    } catch (error) {
+      logger.warn(
+        '[ServiceIntegration] Failed to configure OrganizationScheduler:',
+        error?.message || String(error)
+      );
+    }
+  }
+
   /**
    * Auto-start the SmartFolderWatcher
    * Smart folder watching is always enabled - files added to smart folders are automatically analyzed
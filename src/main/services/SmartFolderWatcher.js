@@ -42,6 +42,10 @@ const {
 } = require('./organization/learningFeedback');
 const { withTimeout } = require('../../shared/promiseUtils');
 const { shouldEmbed } = require('./embedding/embeddingGate');
+const { mergeFileAnnotations } = require('./FileAnnotationService');
+const { notifyFileIndexed } = require('./SavedSearchService');
+const { getVirtualLinkService } = require('./VirtualLinkService');
+const { getSensitivityLevel } = require('../../shared/sensitiveData');
 
 const logger = typeof createLogger === 'function' ? createLogger('SmartFolderWatcher') : baseLogger;
 if (typeof createLogger !== 'function' && logger?.setContext) {
@@ -489,6 +493,12 @@ class SmartFolderWatcher {
       return;
     }
 
+    // Links in link-based smart folders stand in for originals indexed where they live
+    if (getVirtualLinkService()?.isVirtualLink(filePath)) {
+      logger.debug('[SMART-FOLDER-WATCHER] Skipping virtual link:', filePath);
+      return;
+    }
+
     // Skip temp files
     if (isTemporaryFile(filePath)) {
       logger.debug('[SMART-FOLDER-WATCHER] Skipping temp file:', filePath);
@@ -1284,13 +1294,10 @@ class SmartFolderWatcher {
       const extractedText =
         typeof analysis.extractedText === 'string' ? analysis.extractedText : '';
       const isImage = isImageFile(filePath);
-      const analysisForEmbedding = {
-        ...analysis,
-        keywords,
-        subject,
-        documentType,
-        documentDate
-      };
+      const analysisForEmbedding = await mergeFileAnnotations(
+        { ...analysis, keywords, subject, documentType, documentDate },
+        filePath
+      );
 
       const embeddingSummary = buildEmbeddingSummary(
         analysisForEmbedding,
@@ -1340,6 +1347,8 @@ class SmartFolderWatcher {
         extractionMethod: analysis.extractionMethod || 'unknown',
         // Document date for time-based queries
         date: documentDate,
+        // Chat leaves out the text of sensitive files unless the user allows it
+        sensitivity: getSensitivityLevel(analysis),
         smartFolder: resolvedSmartFolder?.name || null,
         smartFolderPath: resolvedSmartFolder?.path || null
       };
@@ -1374,6 +1383,9 @@ class SmartFolderWatcher {
         // Non-fatal
       }
 
+      // Saved searches re-run shortly so smart collections pick the file up
+      notifyFileIndexed(filePath);
+
       // Conditionally generate chunk embeddings for deep semantic search (opt-in setting)
       // Check settings for user preference, fallback to constant default
       let autoChunkEnabled = AI_DEFAULTS.EMBEDDING.AUTO_CHUNK_ON_ANALYSIS;
@@ -1916,7 +1928,11 @@ class SmartFolderWatcher {
           const subFiles = await this._scanDirectory(fullPath, maxDepth, currentDepth + 1);
           files.push(...subFiles);
         } else if (entry.isFile()) {
-          if (isSupportedFile(fullPath) && !isTemporaryFile(fullPath)) {
+          if (
+            isSupportedFile(fullPath) &&
+            !isTemporaryFile(fullPath) &&
+            !getVirtualLinkService()?.isVirtualLink(fullPath)
+          ) {
             files.push(fullPath);
           }
         }
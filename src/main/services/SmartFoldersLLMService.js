@@ -2,10 +2,9 @@ const { createLogger } = require('../../shared/logger');
 
 const logger = createLogger('SmartFoldersLLMService');
 const { extractAndParseJSON } = require('../utils/jsonRepair');
-const { fetchWithRetry } = require('../utils/ollamaApiRetry');
-const { getOllamaHost } = require('../ollamaUtils');
+const { generateWithRetry } = require('../utils/ollamaApiRetry');
+const { getOllama } = require('../ollamaUtils');
 const { DEFAULT_AI_MODELS } = require('../../shared/constants');
-const { SERVICE_URLS } = require('../../shared/configDefaults');
 
 async function enhanceSmartFolderWithLLM(folderData, existingFolders, getOllamaModel) {
   try {
@@ -39,28 +38,17 @@ Please provide a JSON response with the following enhancements:
     const modelToUse =
       (typeof getOllamaModel === 'function' && getOllamaModel()) || DEFAULT_AI_MODELS.TEXT_ANALYSIS;
 
-    const host = typeof getOllamaHost === 'function' ? getOllamaHost() : SERVICE_URLS.OLLAMA_HOST;
-
     try {
-      const response = await fetchWithRetry(`${host}/api/generate`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
+      const data = await generateWithRetry(
+        getOllama(),
+        {
           model: modelToUse,
           prompt,
-          stream: false,
           format: 'json',
           options: { temperature: 0.3, num_predict: 500 }
-        })
-      });
-
-      if (!response?.ok) {
-        return {
-          error: `HTTP error ${response?.status || 'unknown'}`
-        };
-      }
-
-      const data = await response.json();
+        },
+        { operation: `Smart folder enhancement for ${folderData.name}` }
+      );
       const enhancement = extractAndParseJSON(data?.response, null);
 
       if (enhancement && typeof enhancement === 'object') {
@@ -88,7 +76,6 @@ async function calculateFolderSimilarities(suggestedCategory, folderCategories,
     const similarities = [];
     const modelToUse =
       (typeof getOllamaModel === 'function' && getOllamaModel()) || DEFAULT_AI_MODELS.TEXT_ANALYSIS;
-    const host = typeof getOllamaHost === 'function' ? getOllamaHost() : SERVICE_URLS.OLLAMA_HOST;
 
     if (!Array.isArray(folderCategories) || folderCategories.length === 0) {
       return [];
@@ -121,41 +108,24 @@ Rate similarity from 0.0 to 1.0 where:
 Respond with only a number between 0.0 and 1.0:`;
 
       try {
-        const response = await fetchWithRetry(`${host}/api/generate`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
+        const data = await generateWithRetry(
+          getOllama(),
+          {
             model: modelToUse,
             prompt,
-            stream: false,
             options: { temperature: 0.1, num_predict: 10 }
-          })
-        });
-
-        if (response?.ok) {
-          const data = await response.json();
-          const raw = data?.response || '';
-          try {
-            const similarity = parseFloat((raw || '').trim());
-            if (!isNaN(similarity) && similarity >= 0 && similarity <= 1) {
-              similarities.push({
-                name: folder.name,
-                id: folder.id,
-                confidence: similarity,
-                description: folder.description
-              });
-            } else {
-              pushFallback(folder);
-            }
-          } catch (parseError) {
-            logger.warn(
-              `[SEMANTIC] Failed to parse response for folder ${folder.name}:`,
-              parseError.message
-            );
-            pushFallback(folder);
-          }
+          },
+          { operation: `Folder similarity for ${folder.name}` }
+        );
+        const similarity = parseFloat(String(data?.response || '').trim());
+        if (!isNaN(similarity) && similarity >= 0 && similarity <= 1) {
+          similarities.push({
+            name: folder.name,
+            id: folder.id,
+            confidence: similarity,
+            description: folder.description
+          });
         } else {
-          logger.warn(`[SEMANTIC] Service error for folder ${folder.name}`);
           pushFallback(folder);
         }
       } catch (folderError) {
@@ -6,6 +6,12 @@ const { createLogger } = require('../../shared/logger');
 const { normalizePathForIndex } = require('../../shared/pathSanitization');
 const { RETRY } = require('../../shared/performanceConstants');
 const { crossDeviceMove } = require('../../shared/atomicFileOperations');
+const { createFileLink, isFileLinkTo } = require('../utils/fileDedup');
+const {
+  copyFileVerified,
+  applySourceRetention,
+  revertVerifiedCopy
+} = require('../utils/verifiedCopy');
 
 const logger = createLogger('UndoRedoService');
 const normalizePath = (filePath) => {
@@ -36,6 +42,22 @@ function getFilePathCoordinator() {
   return null;
 }
 
+// Link-based smart folders: links are created and removed through their registry
+function getVirtualLinkService() {
+  const linkService = container.tryResolve(ServiceIds.VIRTUAL_LINKS);
+  if (!linkService) {
+    throw new Error('Virtual links are unavailable');
+  }
+  return linkService;
+}
+
+// Operations whose file ends up at a new path. A copy-mode copy takes over its
+// source's index entries unless the source was kept.
+const relocatesFile = (operation) =>
+  operation.type === 'move' ||
+  operation.type === 'rename' ||
+  (operation.type === 'copy' && operation.sourceRetention !== 'keep');
+
 // Helper to generate secure random IDs
 const generateSecureId = () =>
   `${Date.now().toString(36)}-${crypto.randomBytes(6).toString('hex')}`;
@@ -538,7 +560,7 @@ class UndoRedoService {
               type: operation.type
             });
             // Collect path changes for batch ChromaDB update
-            if (result.success && (operation.type === 'move' || operation.type === 'rename')) {
+            if (result.success && relocatesFile(operation)) {
               pathChanges.push({
                 oldPath: operation.newPath,
                 newPath: operation.originalPath
@@ -617,7 +639,7 @@ class UndoRedoService {
               type: operation.type
             });
             // Collect path changes for batch ChromaDB update
-            if (operation.type === 'move' || operation.type === 'rename') {
+            if (relocatesFile(operation)) {
               pathChanges.push({
                 oldPath: operation.originalPath,
                 newPath: operation.newPath
@@ -671,6 +693,70 @@ class UndoRedoService {
           return { success: true, restored: operation.originalPath };
         }
         return { success: false, error: 'Backup not found' };
+      case 'link':
+        // Drop the link and put the preserved copy back in its place
+        if (!(await this.fileExists(operation.newPath))) {
+          return { success: false, error: 'Preserved copy not found' };
+        }
+        // Only drop what is still our link (lstat also sees a dangling symlink);
+        // a file put there since belongs to the user
+        if (await fs.lstat(operation.originalPath).catch(() => null)) {
+          if (!(await isFileLinkTo(operation.targetPath, operation.originalPath))) {
+            return {
+              success: false,
+              error: `${path.basename(operation.originalPath)} is no longer a link to the kept file; undo left it in place`
+            };
+          }
+          await fs.rm(operation.originalPath, { force: true });
+        }
+        await this.safeMove(operation.newPath, operation.originalPath);
+        return { success: true, restored: operation.originalPath };
+      case 'virtual_link': {
+        // The original never moved; only the link leaves the smart folder
+        const removal = await getVirtualLinkService().removeLink(
+          operation.newPath,
+          operation.originalPath
+        );
+        if (!removal.success) {
+          return { success: false, error: removal.error };
+        }
+        return {
+          success: true,
+          source: operation.newPath,
+          destination: operation.originalPath
+        };
+      }
+      case 'materialize':
+        // Move the file back to the original location and link it again
+        await getVirtualLinkService().dematerialize(operation);
+        return {
+          success: true,
+          source: operation.newPath,
+          destination: operation.originalPath
+        };
+      case 'copy':
+        // Bring the source back from the archive (or the copy itself, if the
+        // source was deleted), then drop the verified copy
+        await revertVerifiedCopy(
+          {
+            source: operation.originalPath,
+            destination: operation.newPath,
+            sourceRetention: operation.sourceRetention,
+            archivePath: operation.archivePath,
+            checksum: operation.checksum
+          },
+          (from, to) => this.safeMove(from, to)
+        );
+        if (operation.sourceRetention === 'keep') {
+          await getFilePathCoordinator()
+            ?.handleFileDeletion(operation.newPath)
+            .catch(() => {});
+        }
+        return {
+          success: true,
+          source: operation.newPath,
+          destination: operation.originalPath
+        };
       default:
         return {
           success: false,
@@ -694,6 +780,42 @@ class UndoRedoService {
           await fs.unlink(operation.originalPath);
         }
         break;
+      case 'link':
+        await this.safeMove(operation.originalPath, operation.newPath);
+        await createFileLink(operation.targetPath, operation.originalPath);
+        break;
+      case 'virtual_link':
+        await getVirtualLinkService().restoreLink({
+          sourcePath: operation.originalPath,
+          linkPath: operation.newPath,
+          linkType: operation.linkType
+        });
+        break;
+      case 'materialize': {
+        const result = await getVirtualLinkService().materialize(operation.newPath);
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+        break;
+      }
+      case 'copy': {
+        await this.ensureParentDirectory(normalizePath(operation.newPath));
+        const { checksum } = await copyFileVerified(operation.originalPath, operation.newPath);
+        const { archivePath } = await applySourceRetention(
+          operation.originalPath,
+          operation.sourceRetention
+        );
+        // The next undo restores the source from wherever it was archived this time,
+        // and checks the copy against this copy's hash
+        operation.archivePath = archivePath;
+        operation.checksum = checksum;
+        if (operation.sourceRetention === 'keep') {
+          await getFilePathCoordinator()
+            ?.handleFileCopy(operation.originalPath, operation.newPath)
+            .catch(() => {});
+        }
+        break;
+      }
     }
   }
 
@@ -988,7 +1110,7 @@ class UndoRedoService {
         return `Create folder ${path.basename(actionData.folderPath)}`;
       case 'BATCH_ORGANIZE':
       case 'BATCH_OPERATION':
-        return `Organize ${actionData.operations.length} files`;
+        return actionData.description || `Organize ${actionData.operations.length} files`;
       default:
         return `Unknown action: ${actionType}`;
     }
@@ -0,0 +1,765 @@
+/**
+ * Virtual Link Service
+ *
+ * Registry of the links that link-based smart folders are built from (see
+ * shared/organizeModes). Organizing into such a folder leaves the original
+ * where it is and creates a symlink or hard link in the folder instead; each
+ * entry records the original, the link and the link type.
+ *
+ * Links follow their originals. Moves reported by the FilePathCoordinator
+ * retarget symlinks, and verify() - run after startup and then periodically -
+ * catches what other apps did behind our back: originals renamed in place
+ * are found again by file id, hard links to originals that were replaced
+ * (sync clients write a new file over the old one) are refreshed, symlinks
+ * to originals that are gone are removed. A hard link to a vanished original
+ * is kept, since it now holds the only copy, and simply leaves the registry.
+ *
+ * materialize() turns a link into a real move: the link is replaced by the
+ * original.
+ *
+ * Emits 'changed' with { count } after every edit.
+ *
+ * @module services/VirtualLinkService
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { app } = require('electron');
+const { z } = require('zod');
+const { createLogger } = require('../../shared/logger');
+const { JsonCollectionFile } = require('../../shared/jsonCollectionFile');
+const { LIMITS } = require('../../shared/performanceConstants');
+const { normalizePathForIndex } = require('../../shared/pathSanitization');
+const { crossDeviceMove } = require('../../shared/atomicFileOperations');
+const { getInstance: getFileOperationTracker } = require('../../shared/fileOperationTracker');
+const { createFileLink } = require('../utils/fileDedup');
+
+const logger = createLogger('VirtualLinkService');
+
+// Give sync clients time to settle after startup before checking every link
+const STARTUP_VERIFY_DELAY_MS = 2 * 60 * 1000;
+const VERIFY_INTERVAL_MS = 30 * 60 * 1000;
+// Entries read from an original's folder when looking for a renamed original
+const MAX_RENAME_SCAN_ENTRIES = 5000;
+const SYMLINK_FALLBACK_CODES = new Set(['EXDEV', 'EPERM', 'ENOTSUP', 'EMLINK']);
+
+const linkSchema = z.object({
+  id: z.string().min(1),
+  sourcePath: z.string().min(1),
+  linkPath: z.string().min(1),
+  linkType: z.enum(['symlink', 'hardlink']),
+  fileId: z.string().nullable(),
+  createdAt: z.string()
+});
+
+const keyOf = (filePath) => normalizePathForIndex(path.resolve(filePath));
+
+async function getFileId(filePath) {
+  const stats = await fs.stat(filePath, { bigint: true });
+  return `${stats.dev}:${stats.ino}`;
+}
+
+async function lstatSafe(filePath) {
+  try {
+    return await fs.lstat(filePath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+function recordOperations(paths, operationType) {
+  try {
+    const tracker = getFileOperationTracker();
+    for (const filePath of paths) {
+      tracker.recordOperation(filePath, operationType, 'virtualLinks');
+    }
+  } catch (error) {
+    logger.debug('[VirtualLinkService] Failed to record operation:', error.message);
+  }
+}
+
+class VirtualLinkService extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.userDataPath]
+   * @param {string} [options.filename]
+   * @param {number} [options.verifyIntervalMs] - Periodic verification, 0 to disable
+   */
+  constructor(options = {}) {
+    super();
+    this.userDataPath = options.userDataPath || app.getPath('userData');
+    this.filePath = path.join(this.userDataPath, options.filename || 'virtual-links.json');
+    this.verifyIntervalMs = options.verifyIntervalMs ?? VERIFY_INTERVAL_MS;
+    this._links = new Map(); // key(linkPath) -> entry
+    this._loaded = false;
+    this._loadPromise = null;
+    this._file = new JsonCollectionFile(this.filePath);
+    this._startupTimer = null;
+    this._verifyTimer = null;
+    this._coordinator = null;
+    this._coordinatorListeners = null;
+  }
+
+  async load() {
+    if (this._loaded) return;
+    if (!this._loadPromise) {
+      this._loadPromise = this._loadFromDisk();
+    }
+    await this._loadPromise;
+  }
+
+  async _loadFromDisk() {
+    try {
+      const data = await fs.readFile(this.filePath, 'utf-8');
+      const parsed = JSON.parse(data);
+      const items = Array.isArray(parsed?.items) ? parsed.items : [];
+      let invalidCount = 0;
+      for (const item of items) {
+        const result = linkSchema.safeParse(item);
+        if (result.success) {
+          this._links.set(keyOf(result.data.linkPath), result.data);
+        } else {
+          invalidCount += 1;
+        }
+      }
+      if (invalidCount > 0) {
+        logger.warn('[VirtualLinkService] Dropped invalid link entries', { invalidCount });
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('[VirtualLinkService] Failed to load links:', error.message);
+      }
+    } finally {
+      this._loaded = true;
+    }
+  }
+
+  /**
+   * Schedule verification after startup and then every verifyIntervalMs.
+   */
+  start() {
+    if (this._startupTimer || this._verifyTimer) return;
+    const runVerify = () =>
+      this.verify().catch((error) => {
+        logger.warn('[VirtualLinkService] Link verification failed:', error.message);
+      });
+    this._startupTimer = setTimeout(() => {
+      this._startupTimer = null;
+      runVerify();
+      if (this.verifyIntervalMs > 0) {
+        this._verifyTimer = setInterval(runVerify, this.verifyIntervalMs);
+        this._verifyTimer.unref?.();
+      }
+    }, STARTUP_VERIFY_DELAY_MS);
+    this._startupTimer.unref?.();
+  }
+
+  /**
+   * @param {Object} [filter]
+   * @param {string} [filter.folderPath] - Only links inside this folder
+   * @returns {Promise<Array<Object>>} Entries, newest first
+   */
+  async list({ folderPath } = {}) {
+    await this.load();
+    const prefix = folderPath ? `${keyOf(folderPath).replace(/\/+$/, '')}/` : null;
+    return Array.from(this._links.entries())
+      .filter(([key]) => !prefix || key.startsWith(prefix))
+      .map(([, entry]) => ({ ...entry }))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Whether a path is a registered link. Synchronous for watchers; false
+   * until the registry has loaded.
+   * @param {string} filePath
+   * @returns {boolean}
+   */
+  isVirtualLink(filePath) {
+    return Boolean(filePath) && this._links.has(keyOf(filePath));
+  }
+
+  /**
+   * @param {string} sourcePath
+   * @returns {Promise<Array<Object>>} Links pointing at this original
+   */
+  async getLinksForSource(sourcePath) {
+    await this.load();
+    const sourceKey = keyOf(sourcePath);
+    return Array.from(this._links.values())
+      .filter((entry) => keyOf(entry.sourcePath) === sourceKey)
+      .map((entry) => ({ ...entry }));
+  }
+
+  /**
+   * Link an original into a smart folder. Taken names get a numeric suffix,
+   * unless the name is already a registered link to the same original.
+   * Hard links fall back to symlinks across volumes and symlinks fall back to
+   * hard links where the OS refuses them (Windows without developer mode).
+   *
+   * @param {string} sourcePath - Original, left in place
+   * @param {string} linkPath - Desired path inside the smart folder
+   * @param {'symlink'|'hardlink'} linkType
+   * @returns {Promise<{linkPath: string, linkType: string, existing: boolean}>}
+   */
+  async createLink(sourcePath, linkPath, linkType) {
+    await this.load();
+    const fileId = await getFileId(sourcePath);
+    const sourceKey = keyOf(sourcePath);
+    const ext = path.extname(linkPath);
+    const baseName = ext.length > 0 ? linkPath.slice(0, -ext.length) : linkPath;
+
+    let candidate = linkPath;
+    for (let counter = 1; counter <= LIMITS.MAX_NUMERIC_RETRIES; counter++) {
+      const existing = this._links.get(keyOf(candidate));
+      if (existing && keyOf(existing.sourcePath) === sourceKey && (await lstatSafe(candidate))) {
+        return { linkPath: existing.linkPath, linkType: existing.linkType, existing: true };
+      }
+      let createdType;
+      try {
+        createdType = await this._makeLink(sourcePath, candidate, linkType);
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+        candidate = `${baseName}_${counter}${ext}`;
+        continue;
+      }
+      await this._registerNewLink({
+        sourcePath,
+        linkPath: candidate,
+        linkType: createdType,
+        fileId
+      });
+      return { linkPath: candidate, linkType: createdType, existing: false };
+    }
+    throw new Error(`Could not find a free name for link ${path.basename(linkPath)}`);
+  }
+
+  /**
+   * Recreate a link at exactly linkPath, e.g. when redoing an organize.
+   * @param {{sourcePath: string, linkPath: string, linkType: string}} link
+   * @returns {Promise<string>} Link type created
+   */
+  async restoreLink({ sourcePath, linkPath, linkType }) {
+    await this.load();
+    const fileId = await getFileId(sourcePath);
+    await fs.mkdir(path.dirname(linkPath), { recursive: true });
+    const createdType = await this._makeLink(sourcePath, linkPath, linkType);
+    await this._registerNewLink({ sourcePath, linkPath, linkType: createdType, fileId });
+    return createdType;
+  }
+
+  /**
+   * Delete a link and forget it. The file at linkPath is only deleted while
+   * it is still a link to the original; anything the user put there instead
+   * is left alone.
+   * @param {string} linkPath
+   * @param {string} [sourcePath] - Original, for links missing from the registry
+   * @returns {Promise<{success: boolean, removed: boolean, error?: string}>}
+   */
+  async removeLink(linkPath, sourcePath) {
+    await this.load();
+    const entry = this._links.get(keyOf(linkPath));
+    const original = entry?.sourcePath || sourcePath;
+    if (!original) return { success: false, removed: false, error: 'Not a virtual link' };
+
+    const isLink = await this._isLinkTo(linkPath, original);
+    if (!isLink && (await lstatSafe(linkPath))) {
+      return { success: false, removed: false, error: 'File is no longer a link to the original' };
+    }
+    // Forget first: a registry that cannot be written leaves the link in place
+    if (entry) {
+      try {
+        await this._forget([entry]);
+      } catch (error) {
+        return {
+          success: false,
+          removed: false,
+          error: `Could not update links: ${error.message}`
+        };
+      }
+    }
+    if (!isLink) return { success: true, removed: false };
+
+    try {
+      await fs.unlink(linkPath);
+    } catch (error) {
+      if (entry) await this._restoreEntries([entry]);
+      throw error;
+    }
+    recordOperations([linkPath], 'delete');
+    return { success: true, removed: true };
+  }
+
+  /**
+   * Turn a link into a real move: the link is deleted and the original moved
+   * into its place. Moves the original out of its source folder, so only do
+   * this on request.
+   * @param {string} linkPath
+   * @returns {Promise<{success: boolean, originalPath?: string, newPath?: string, linkType?: string, error?: string}>}
+   */
+  async materialize(linkPath) {
+    await this.load();
+    const entry = this._links.get(keyOf(linkPath));
+    if (!entry) return { success: false, error: 'Not a virtual link' };
+    if (!(await lstatSafe(entry.sourcePath))) {
+      return { success: false, error: 'Original file no longer exists' };
+    }
+    if (!(await this._isLinkTo(entry.linkPath, entry.sourcePath))) {
+      return { success: false, error: 'File is no longer a link to the original' };
+    }
+
+    try {
+      await this._forget([entry]);
+    } catch (error) {
+      return { success: false, error: `Could not update links: ${error.message}` };
+    }
+    try {
+      await this._replaceLinkWithOriginal(entry.sourcePath, entry.linkPath, entry.linkType);
+    } catch (error) {
+      await this._restoreEntries([entry]);
+      throw error;
+    }
+    await this._reportMove(entry.sourcePath, entry.linkPath);
+    logger.info('[VirtualLinkService] Materialized link', {
+      original: entry.sourcePath,
+      destination: entry.linkPath
+    });
+    return {
+      success: true,
+      originalPath: entry.sourcePath,
+      newPath: entry.linkPath,
+      linkType: entry.linkType
+    };
+  }
+
+  /**
+   * Undo a materialize: move the file back to where the original was and
+   * put the link back.
+   * @param {{originalPath: string, newPath: string, linkType: string}} operation
+   */
+  async dematerialize({ originalPath, newPath, linkType }) {
+    await this.load();
+    await fs.mkdir(path.dirname(originalPath), { recursive: true });
+    await this._moveFile(newPath, originalPath);
+    try {
+      await this.restoreLink({ sourcePath: originalPath, linkPath: newPath, linkType });
+    } catch (error) {
+      // Leave the file where it was rather than half undone
+      await this._moveFile(originalPath, newPath);
+      throw error;
+    }
+    await this._reportMove(newPath, originalPath);
+  }
+
+  /**
+   * Follow an original or a link the app moved.
+   * @param {string} oldPath
+   * @param {string} newPath
+   * @returns {Promise<boolean>} Whether any entry changed
+   */
+  async movePath(oldPath, newPath) {
+    await this.load();
+    const oldKey = keyOf(oldPath);
+    let changed = false;
+
+    const movedLink = this._links.get(oldKey);
+    // A link "moving" onto its own original is an undone materialize; the link stays put
+    if (movedLink && keyOf(movedLink.sourcePath) !== keyOf(newPath)) {
+      this._links.delete(oldKey);
+      movedLink.linkPath = newPath;
+      this._links.set(keyOf(newPath), movedLink);
+      changed = true;
+    }
+
+    for (const entry of this._links.values()) {
+      if (keyOf(entry.sourcePath) !== oldKey) continue;
+      await this._retarget(entry, newPath);
+      changed = true;
+    }
+
+    if (changed) {
+      await this._save();
+      this._emitChanged();
+    }
+    return changed;
+  }
+
+  /**
+   * Drop entries for a deleted file. Symlinks to a deleted original are
+   * removed with it; hard links keep the content and become regular files.
+   * @param {string} filePath
+   */
+  async handleDeletedPath(filePath) {
+    await this.load();
+    const deletedKey = keyOf(filePath);
+    const stale = [];
+    for (const [key, entry] of this._links) {
+      if (key === deletedKey) {
+        stale.push(entry);
+      } else if (keyOf(entry.sourcePath) === deletedKey) {
+        if (entry.linkType === 'symlink') await this._deleteDanglingSymlink(entry);
+        stale.push(entry);
+      }
+    }
+    if (stale.length > 0) await this._forget(stale);
+  }
+
+  /**
+   * Check every link against its original and repair what changed outside
+   * the app.
+   * @returns {Promise<{checked: number, retargeted: number, refreshed: number, removed: number, orphaned: number}>}
+   */
+  async verify() {
+    await this.load();
+    const summary = { checked: 0, retargeted: 0, refreshed: 0, removed: 0, orphaned: 0 };
+    const stale = [];
+    let changed = false;
+
+    for (const entry of Array.from(this._links.values())) {
+      summary.checked += 1;
+      try {
+        if (!(await lstatSafe(entry.linkPath))) {
+          // The user deleted the link
+          stale.push(entry);
+          continue;
+        }
+
+        let currentId = null;
+        try {
+          currentId = await getFileId(entry.sourcePath);
+        } catch (error) {
+          if (error.code !== 'ENOENT') throw error;
+        }
+
+        if (currentId && currentId === entry.fileId) continue;
+        if (currentId) {
+          // Same path, new file: the original was rewritten by replacing it
+          if (entry.linkType === 'hardlink') {
+            await this._refreshHardLink(entry);
+            summary.refreshed += 1;
+          }
+          entry.fileId = currentId;
+          changed = true;
+          continue;
+        }
+
+        const renamedTo = await this._findRenamedOriginal(entry);
+        if (renamedTo) {
+          await this._retarget(entry, renamedTo);
+          summary.retargeted += 1;
+          changed = true;
+          continue;
+        }
+
+        if (entry.linkType === 'symlink') {
+          await this._deleteDanglingSymlink(entry);
+          summary.removed += 1;
+        } else {
+          summary.orphaned += 1;
+          logger.info('[VirtualLinkService] Original gone, keeping hard link as a file', {
+            linkPath: entry.linkPath
+          });
+        }
+        stale.push(entry);
+      } catch (error) {
+        logger.warn('[VirtualLinkService] Could not verify link', {
+          linkPath: entry.linkPath,
+          error: error.message
+        });
+      }
+    }
+
+    if (stale.length > 0) {
+      await this._forget(stale);
+    } else if (changed) {
+      await this._save();
+      this._emitChanged();
+    }
+    logger.info('[VirtualLinkService] Verified links', summary);
+    return summary;
+  }
+
+  /**
+   * Follow moves and deletions reported by the FilePathCoordinator.
+   * @param {import('events').EventEmitter} coordinator
+   */
+  trackPathChanges(coordinator) {
+    if (!coordinator?.on || this._coordinator === coordinator) return;
+    this.untrackPathChanges();
+
+    const onError = (error) =>
+      logger.warn('[VirtualLinkService] Failed to follow path change:', error.message);
+    const listeners = {
+      'path-changed': ({ oldPath, newPath }) => this.movePath(oldPath, newPath).catch(onError),
+      'paths-changed': ({ changes }) => {
+        for (const { oldPath, newPath } of changes || []) {
+          this.movePath(oldPath, newPath).catch(onError);
+        }
+      },
+      'file-deleted': ({ path: filePath }) => this.handleDeletedPath(filePath).catch(onError)
+    };
+    for (const [event, listener] of Object.entries(listeners)) {
+      coordinator.on(event, listener);
+    }
+    this._coordinator = coordinator;
+    this._coordinatorListeners = listeners;
+  }
+
+  untrackPathChanges() {
+    if (!this._coordinator) return;
+    for (const [event, listener] of Object.entries(this._coordinatorListeners)) {
+      this._coordinator.removeListener(event, listener);
+    }
+    this._coordinator = null;
+    this._coordinatorListeners = null;
+  }
+
+  async _makeLink(sourcePath, linkPath, linkType) {
+    let createdType;
+    if (linkType === 'hardlink') {
+      createdType = await createFileLink(sourcePath, linkPath);
+    } else {
+      try {
+        await fs.symlink(path.resolve(sourcePath), linkPath, 'file');
+        createdType = 'symlink';
+      } catch (error) {
+        if (!SYMLINK_FALLBACK_CODES.has(error.code)) throw error;
+        await fs.link(sourcePath, linkPath);
+        createdType = 'hardlink';
+      }
+    }
+    if (createdType !== linkType) {
+      logger.info('[VirtualLinkService] Created fallback link type', {
+        requested: linkType,
+        created: createdType,
+        linkPath
+      });
+    }
+    recordOperations([linkPath], 'link');
+    return createdType;
+  }
+
+  async _register({ sourcePath, linkPath, linkType, fileId }) {
+    const entry = {
+      id: crypto.randomUUID(),
+      sourcePath,
+      linkPath,
+      linkType,
+      fileId,
+      createdAt: new Date().toISOString()
+    };
+    const key = keyOf(linkPath);
+    const previous = this._links.get(key);
+    this._links.set(key, entry);
+    try {
+      await this._save();
+    } catch (error) {
+      if (previous) this._links.set(key, previous);
+      else this._links.delete(key);
+      throw error;
+    }
+    this._emitChanged();
+    return entry;
+  }
+
+  /**
+   * Register a link just made at linkPath; if the registry cannot be written
+   * the link is removed again, so the folder never holds an unknown link.
+   */
+  async _registerNewLink(link) {
+    try {
+      await this._register(link);
+    } catch (error) {
+      await fs.unlink(link.linkPath).catch(() => {});
+      throw error;
+    }
+  }
+
+  async _forget(entries) {
+    for (const entry of entries) {
+      this._links.delete(keyOf(entry.linkPath));
+    }
+    try {
+      await this._save();
+    } catch (error) {
+      for (const entry of entries) {
+        this._links.set(keyOf(entry.linkPath), entry);
+      }
+      throw error;
+    }
+    this._emitChanged();
+  }
+
+  /**
+   * Put forgotten entries back after the file change they were forgotten
+   * for failed. Best effort: the caller is already reporting an error.
+   */
+  async _restoreEntries(entries) {
+    for (const entry of entries) {
+      this._links.set(keyOf(entry.linkPath), entry);
+    }
+    try {
+      await this._save();
+      this._emitChanged();
+    } catch (error) {
+      logger.warn('[VirtualLinkService] Failed to restore link entries:', error.message);
+    }
+  }
+
+  /**
+   * Whether linkPath is still a link to sourcePath: a symlink resolving to
+   * it, or a hard link sharing its file id.
+   */
+  async _isLinkTo(linkPath, sourcePath) {
+    const stats = await lstatSafe(linkPath);
+    if (!stats) return false;
+    if (stats.isSymbolicLink()) {
+      const target = await fs.readlink(linkPath);
+      return keyOf(path.resolve(path.dirname(linkPath), target)) === keyOf(sourcePath);
+    }
+    try {
+      return (await getFileId(linkPath)) === (await getFileId(sourcePath));
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  async _retarget(entry, newSourcePath) {
+    if (entry.linkType === 'symlink' && (await this._isLinkTo(entry.linkPath, entry.sourcePath))) {
+      await fs.unlink(entry.linkPath);
+      await fs.symlink(path.resolve(newSourcePath), entry.linkPath, 'file');
+      recordOperations([entry.linkPath], 'link');
+    }
+    entry.sourcePath = newSourcePath;
+    try {
+      entry.fileId = await getFileId(newSourcePath);
+    } catch {
+      // Keep the previous id; verify() catches up later
+    }
+  }
+
+  async _refreshHardLink(entry) {
+    const tempPath = `${entry.linkPath}.${Date.now()}.tmp`;
+    await fs.link(entry.sourcePath, tempPath);
+    try {
+      await fs.rename(tempPath, entry.linkPath);
+    } catch (error) {
+      await fs.rm(tempPath, { force: true });
+      throw error;
+    }
+    recordOperations([entry.linkPath], 'link');
+  }
+
+  async _deleteDanglingSymlink(entry) {
+    const stats = await lstatSafe(entry.linkPath);
+    if (!stats?.isSymbolicLink()) return;
+    const target = await fs.readlink(entry.linkPath);
+    if (keyOf(path.resolve(path.dirname(entry.linkPath), target)) !== keyOf(entry.sourcePath)) {
+      return;
+    }
+    await fs.unlink(entry.linkPath);
+    recordOperations([entry.linkPath], 'delete');
+  }
+
+  /**
+   * Sync clients and photo importers rename files in place; look for the
+   * original's file id next to where it used to be.
+   */
+  async _findRenamedOriginal(entry) {
+    if (!entry.fileId) return null;
+    const dir = path.dirname(entry.sourcePath);
+    let names;
+    try {
+      names = await fs.readdir(dir);
+    } catch {
+      return null;
+    }
+    const linkKey = keyOf(entry.linkPath);
+    for (const name of names.slice(0, MAX_RENAME_SCAN_ENTRIES)) {
+      const candidate = path.join(dir, name);
+      if (keyOf(candidate) === linkKey) continue;
+      try {
+        const stats = await fs.lstat(candidate);
+        if (!stats.isFile()) continue;
+        if ((await getFileId(candidate)) === entry.fileId) return candidate;
+      } catch {
+        // Vanished while scanning
+      }
+    }
+    return null;
+  }
+
+  async _replaceLinkWithOriginal(sourcePath, linkPath, linkType) {
+    await fs.unlink(linkPath);
+    try {
+      await this._moveFile(sourcePath, linkPath);
+    } catch (error) {
+      // Put the link back so nothing is lost from the smart folder
+      await this._makeLink(sourcePath, linkPath, linkType).catch(() => {});
+      throw error;
+    }
+  }
+
+  async _moveFile(source, destination) {
+    try {
+      await fs.rename(source, destination);
+    } catch (error) {
+      if (error.code !== 'EXDEV') throw error;
+      await crossDeviceMove(source, destination, { verify: true });
+    }
+    recordOperations([source, destination], 'move');
+  }
+
+  async _reportMove(oldPath, newPath) {
+    if (!this._coordinator?.atomicPathUpdate) return;
+    try {
+      await this._coordinator.atomicPathUpdate(oldPath, newPath, { type: 'move' });
+    } catch (error) {
+      logger.warn('[VirtualLinkService] Failed to update moved file:', error.message);
+    }
+  }
+
+  _emitChanged() {
+    try {
+      this.emit('changed', { count: this._links.size });
+    } catch (error) {
+      logger.warn('[VirtualLinkService] Change listener failed:', error.message);
+    }
+  }
+
+  /**
+   * Queue a write of the link registry behind any write in flight
+   * @returns {Promise<void>} Rejects if the file could not be written
+   */
+  _save() {
+    return this._file.save(Array.from(this._links.values()));
+  }
+
+  shutdown() {
+    if (this._startupTimer) clearTimeout(this._startupTimer);
+    if (this._verifyTimer) clearInterval(this._verifyTimer);
+    this._startupTimer = null;
+    this._verifyTimer = null;
+    this.untrackPathChanges();
+    this.removeAllListeners();
+  }
+}
+
+/**
+ * The registered service, or null when it is not registered (tests, CLI).
+ * @returns {VirtualLinkService|null}
+ */
+function getVirtualLinkService() {
+  try {
+    const { container, ServiceIds } = require('./ServiceContainer');
+    return container.tryResolve(ServiceIds.VIRTUAL_LINKS) || null;
+  } catch (error) {
+    logger.debug('[VirtualLinkService] Service unavailable:', error.message);
+    return null;
+  }
+}
+
+module.exports = { VirtualLinkService, getVirtualLinkService };
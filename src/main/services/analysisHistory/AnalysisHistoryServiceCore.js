@@ -15,6 +15,7 @@ const { analysisResultSchema, validateSchema } = require('../../../shared/normal
 const { LIMITS, TIMEOUTS } = require('../../../shared/performanceConstants');
 const { CircuitBreaker } = require('../../utils/CircuitBreaker');
 const { traceHistoryUpdate } = require('../../../shared/pathTraceLogger');
+const { SENSITIVITY_LEVELS, isSensitiveLevel } = require('../../../shared/sensitiveData');
 
 // Import decomposed modules
 const {
@@ -33,9 +34,10 @@ const {
   loadConfig: loadConfigFile,
   saveConfig: saveConfigFile,
   loadHistory: loadHistoryFile,
-  saveHistory: saveHistoryFile,
-  loadIndex: loadIndexFile,
-  saveIndex: saveIndexFile,
+  loadHistoryLog: loadHistoryLogFile,
+  appendHistoryRecords: appendHistoryRecordsFile,
+  writeHistoryLog: writeHistoryLogFile,
+  archiveLegacyFile,
   createDefaultStructures: createDefaultStructuresFiles
 } = require('./persistence');
 
@@ -61,6 +63,7 @@ const {
   getAnalysisByTag: getAnalysisByTagHelper,
   getRecentAnalysis: getRecentAnalysisHelper,
   getAnalysisByDateRange: getAnalysisByDateRangeHelper,
+  getSensitiveAnalysis: getSensitiveAnalysisHelper,
   getCategories: getCategoriesHelper,
   getTags: getTagsHelper
 } = require('./queries');
@@ -68,12 +71,18 @@ const {
 const { performMaintenanceIfNeeded, migrateHistory } = require('./maintenance');
 
 const logger = createLogger('AnalysisHistoryService');
+
+// Entry cap written into analysis-config.json by versions that stored history as one JSON file
+const LEGACY_MAX_HISTORY_ENTRIES = 10000;
+
 class AnalysisHistoryServiceCore {
   constructor() {
     this.userDataPath = app.getPath('userData');
+    this.historyLogPath = path.join(this.userDataPath, 'analysis-history.jsonl');
+    this.configPath = path.join(this.userDataPath, 'analysis-config.json');
+    // Single-file store used before the history log; read once for migration
     this.historyPath = path.join(this.userDataPath, 'analysis-history.json');
     this.indexPath = path.join(this.userDataPath, 'analysis-index.json');
-    this.configPath = path.join(this.userDataPath, 'analysis-config.json');
 
     this.analysisHistory = null;
     this.analysisIndex = null;
@@ -86,6 +95,10 @@ class AnalysisHistoryServiceCore {
     this.SCHEMA_VERSION = '1.0.0';
     this.MAX_HISTORY_ENTRIES = LIMITS.MAX_HISTORY_ENTRIES;
 
+    // History log compaction: rewrite once superseded records outnumber live entries
+    this._logRecordCount = 0;
+    this.COMPACTION_MIN_RECORDS = 5000;
+
     // Get cache TTLs from config
     const ttls = getCacheTTLs();
     this.CACHE_TTL_MS = ttls.CACHE_TTL_MS;
@@ -250,24 +263,81 @@ class AnalysisHistoryServiceCore {
       () => this.getDefaultConfig(),
       async (cfg) => saveConfigFile(this.configPath, cfg)
     );
+
+    // Lift the old default cap so existing libraries stop pruning at 10k entries
+    if (
+      this.config?.maxHistoryEntries === LEGACY_MAX_HISTORY_ENTRIES &&
+      this.MAX_HISTORY_ENTRIES > LEGACY_MAX_HISTORY_ENTRIES
+    ) {
+      this.config.maxHistoryEntries = this.MAX_HISTORY_ENTRIES;
+      await this.saveConfig();
+    }
   }
 
   async loadHistory() {
+    const logged = await loadHistoryLogFile(
+      this.historyLogPath,
+      this.SCHEMA_VERSION,
+      () => this.createEmptyHistory(),
+      migrateHistory
+    );
+    if (!logged) {
+      await this._migrateLegacyHistory();
+      return;
+    }
+
+    this.analysisHistory = logged.history;
+    this._logRecordCount = logged.recordCount;
+    if (logged.skippedLines > 0 || logged.migrated) {
+      await this.compactHistory();
+    }
+  }
+
+  /**
+   * One-time import of analysis-history.json into the history log.
+   * The old history and index files are renamed to *.migrated afterwards.
+   */
+  async _migrateLegacyHistory() {
     this.analysisHistory = await loadHistoryFile(
       this.historyPath,
       this.SCHEMA_VERSION,
       () => this.createEmptyHistory(),
-      async (hist) => saveHistoryFile(this.historyPath, hist),
+      async () => {},
       migrateHistory
     );
+    await this.compactHistory();
+
+    const [historyArchived] = await Promise.all([
+      archiveLegacyFile(this.historyPath),
+      archiveLegacyFile(this.indexPath)
+    ]);
+    if (historyArchived) {
+      logger.info('[AnalysisHistoryService] Migrated analysis history to the history log', {
+        entries: Object.keys(this.analysisHistory.entries || {}).length
+      });
+    }
   }
 
+  /**
+   * Build the lookup indexes from the loaded entries.
+   * Indexes live in memory only; rebuilding is cheaper than persisting them.
+   */
   async loadIndex() {
-    this.analysisIndex = await loadIndexFile(
-      this.indexPath,
-      () => createEmptyIndex(this.SCHEMA_VERSION),
-      async (idx) => saveIndexFile(this.indexPath, idx)
-    );
+    const index = createEmptyIndex(this.SCHEMA_VERSION);
+    let skipped = 0;
+    for (const entry of Object.values(this.analysisHistory?.entries || {})) {
+      try {
+        updateIndexes(index, entry);
+      } catch {
+        skipped++;
+      }
+    }
+    if (skipped > 0) {
+      logger.warn('[AnalysisHistoryService] Skipped malformed entries while indexing', {
+        skipped
+      });
+    }
+    this.analysisIndex = index;
   }
 
   async createDefaultStructures(options = {}) {
@@ -287,8 +357,7 @@ class AnalysisHistoryServiceCore {
     const result = await createDefaultStructuresFiles(
       {
         configPath: this.configPath,
-        historyPath: this.historyPath,
-        indexPath: this.indexPath
+        historyLogPath: this.historyLogPath
       },
       resetConfig
         ? () => this.getDefaultConfig()
@@ -303,6 +372,7 @@ class AnalysisHistoryServiceCore {
     this.config = result.config;
     this.analysisHistory = result.history;
     this.analysisIndex = result.index;
+    this._logRecordCount = result.recordCount || 0;
 
     // Reset caches/stat tracking so subsequent reads reflect the cleared state
     this._cache = createCacheStore();
@@ -316,14 +386,38 @@ class AnalysisHistoryServiceCore {
     await saveConfigFile(this.configPath, this.config);
   }
 
-  async saveHistory() {
-    await this.circuitBreaker.execute(() =>
-      saveHistoryFile(this.historyPath, this.analysisHistory)
+  /**
+   * Append changes to the history log, compacting it when it has grown too large.
+   * @param {Object} [changes]
+   * @param {Array<Object>} [changes.put] - New or updated entries
+   * @param {Array<string>} [changes.remove] - Ids of removed entries
+   */
+  async saveHistory(changes = {}) {
+    const appended = await this.circuitBreaker.execute(() =>
+      appendHistoryRecordsFile(this.historyLogPath, this.analysisHistory, changes)
     );
+    this._logRecordCount += appended || 0;
+
+    const liveEntries = this.analysisHistory.metadata?.totalEntries || 0;
+    if (this._logRecordCount > Math.max(this.COMPACTION_MIN_RECORDS, liveEntries * 2)) {
+      try {
+        await this.compactHistory();
+      } catch (error) {
+        // The appended log is still complete; compaction is retried on the next save
+        logger.warn('[AnalysisHistoryService] History log compaction failed', {
+          error: error.message
+        });
+      }
+    }
   }
 
-  async saveIndex() {
-    await this.circuitBreaker.execute(() => saveIndexFile(this.indexPath, this.analysisIndex));
+  /**
+   * Rewrite the history log with only the live entries.
+   */
+  async compactHistory() {
+    this._logRecordCount = await this.circuitBreaker.execute(() =>
+      writeHistoryLogFile(this.historyLogPath, this.analysisHistory)
+    );
   }
 
   async recordAnalysis(fileInfo, analysisResults) {
@@ -519,6 +613,10 @@ class AnalysisHistoryServiceCore {
               reasoning: safeResults.reasoning || null,
               documentDate: safeResults.documentDate || null,
               extractionMethod: safeResults.extractionMethod || null,
+              archiveMembers: safeResults.archiveMembers || null,
+              audio: safeResults.audio || null,
+              video: safeResults.video || null,
+              thumbnailPath: safeResults.thumbnailPath || null,
               // Structured data for queries
               keyEntities: safeResults.keyEntities || [],
               dates: safeResults.dates || [],
@@ -528,7 +626,9 @@ class AnalysisHistoryServiceCore {
               // Image-specific fields
               content_type: safeResults.content_type || null,
               has_text: safeResults.has_text ?? null,
-              colors: safeResults.colors || null
+              colors: safeResults.colors || null,
+              // Personal information found in the text (levels, categories, masked samples)
+              sensitivity: safeResults.sensitivity || null
             },
 
             // Processing metadata
@@ -588,8 +688,8 @@ class AnalysisHistoryServiceCore {
       if (hasChanges) {
         this.analysisHistory.updatedAt = timestamp;
 
-        // Save to disk
-        const saveResults = await Promise.allSettled([this.saveHistory(), this.saveIndex()]);
+        // Append the new entries to the history log
+        const saveResults = await Promise.allSettled([this.saveHistory({ put: addedEntries })]);
         const saveFailures = saveResults.filter((result) => result.status === 'rejected');
         if (saveFailures.length > 0) {
           saveFailures.forEach((result, index) => {
@@ -641,8 +741,7 @@ class AnalysisHistoryServiceCore {
           this._cache,
           this,
           this.config,
-          () => this.saveHistory(),
-          () => this.saveIndex(),
+          (removed) => this.saveHistory({ remove: removed.map((entry) => entry.id) }),
           { onEntriesRemoved: this._onEntriesRemovedCallback }
         );
       }
@@ -742,6 +841,11 @@ class AnalysisHistoryServiceCore {
     return this._normalizeResults(result);
   }
 
+  async getSensitiveAnalysis(options = {}) {
+    await this.initialize();
+    return getSensitiveAnalysisHelper(this.analysisHistory, options);
+  }
+
   async getCategories() {
     await this.initialize();
     return getCategoriesHelper(this.analysisIndex);
@@ -819,6 +923,7 @@ class AnalysisHistoryServiceCore {
     try {
       let updated = 0;
       let notFound = 0;
+      const updatedEntries = [];
 
       // Build a map of oldPath -> update info for faster lookup
       const updateMap = new Map();
@@ -864,6 +969,7 @@ class AnalysisHistoryServiceCore {
           // PATH-TRACE: Log history entry path update
           traceHistoryUpdate(update.oldPath, update.newPath, entry.id, true);
 
+          updatedEntries.push(entry);
           updated++;
           updateMap.delete(updateKey); // Remove to track not found
         }
@@ -875,8 +981,7 @@ class AnalysisHistoryServiceCore {
         const prevUpdatedAt = this.analysisHistory.updatedAt;
         this.analysisHistory.updatedAt = new Date().toISOString();
 
-        // Save both files atomically — if either fails, the on-disk state is inconsistent
-        const saveResults = await Promise.allSettled([this.saveHistory(), this.saveIndex()]);
+        const saveResults = await Promise.allSettled([this.saveHistory({ put: updatedEntries })]);
         const saveFailures = saveResults.filter((r) => r.status === 'rejected');
 
         if (saveFailures.length > 0) {
@@ -927,7 +1032,6 @@ class AnalysisHistoryServiceCore {
 
     const releaseLock = await this._acquireWriteLock('updateEmbeddingStateByPath');
     try {
-      const entries = this.analysisHistory?.entries || {};
       let updated = 0;
 
       const now = new Date().toISOString();
@@ -947,11 +1051,9 @@ class AnalysisHistoryServiceCore {
         return null;
       };
 
-      for (const entry of Object.values(entries)) {
-        const original = entry?.originalPath;
-        const actual = entry?.organization?.actual;
-        if (original !== target && actual !== target) continue;
-
+      // One path maps to one primary entry; the path index resolves it without a scan
+      const entry = getAnalysisByPathHelper(this.analysisHistory, this.analysisIndex, target);
+      if (entry) {
         if (!entry.embedding || typeof entry.embedding !== 'object') {
           entry.embedding = { policy: null, status: 'unknown', model: null, updatedAt: now };
         }
@@ -967,14 +1069,13 @@ class AnalysisHistoryServiceCore {
 
         entry.embedding.updatedAt = now;
         updated++;
-        break; // One path maps to one primary entry
       }
 
       if (updated > 0) {
         const prevUpdatedAt = this.analysisHistory.updatedAt;
         this.analysisHistory.updatedAt = now;
 
-        const saveResult = await Promise.allSettled([this.saveHistory()]);
+        const saveResult = await Promise.allSettled([this.saveHistory({ put: [entry] })]);
         const failures = saveResult.filter((r) => r.status === 'rejected');
         if (failures.length > 0) {
           // Keep behavior consistent with other update methods: log + force re-init.
@@ -996,6 +1097,67 @@ class AnalysisHistoryServiceCore {
     }
   }
 
+  /**
+   * Record the user's review of a file flagged as sensitive.
+   *
+   * 'not_sensitive' clears the level so the file is routed and used in chat
+   * like any other; 'sensitive' restores the detected level.
+   *
+   * @param {string} filePath
+   * @param {'sensitive'|'not_sensitive'} decision
+   * @returns {Promise<{updated: number, notFound: number, sensitivity?: Object}>}
+   */
+  async reviewSensitivityByPath(filePath, decision) {
+    await this.initialize();
+    this._assertWritable('reviewSensitivityByPath');
+
+    const target = typeof filePath === 'string' ? filePath : '';
+    if (!target || !['sensitive', 'not_sensitive'].includes(decision)) {
+      return { updated: 0, notFound: 1 };
+    }
+
+    const releaseLock = await this._acquireWriteLock('reviewSensitivityByPath');
+    try {
+      const now = new Date().toISOString();
+      // The path index points at the entry in use for the path, like the lookups do
+      const entry = getAnalysisByPathHelper(this.analysisHistory, this.analysisIndex, target);
+      if (!entry?.analysis?.sensitivity) return { updated: 0, notFound: 1 };
+
+      const current = entry.analysis.sensitivity;
+      const detectedLevel = current.detectedLevel || current.level;
+      const confirmedLevel = isSensitiveLevel(detectedLevel)
+        ? detectedLevel
+        : SENSITIVITY_LEVELS.HIGH;
+      entry.analysis.sensitivity = {
+        ...current,
+        detectedLevel,
+        level: decision === 'not_sensitive' ? SENSITIVITY_LEVELS.NONE : confirmedLevel,
+        review: { decision, reviewedAt: now }
+      };
+
+      const prevUpdatedAt = this.analysisHistory.updatedAt;
+      this.analysisHistory.updatedAt = now;
+      try {
+        await this.saveHistory({ put: [entry] });
+      } catch (error) {
+        logger.error('[AnalysisHistoryService] reviewSensitivityByPath persistence failed', {
+          error: error.message
+        });
+        entry.analysis.sensitivity = current;
+        this.analysisHistory.updatedAt = prevUpdatedAt;
+        this.initialized = false;
+        throw error;
+      }
+
+      clearCachesHelper(this._cache, this);
+      return { updated: 1, notFound: 0, sensitivity: entry.analysis.sensitivity };
+    } finally {
+      if (typeof releaseLock === 'function') {
+        releaseLock();
+      }
+    }
+  }
+
   /**
    * Convenience helper: set per-file embedding policy.
    *
@@ -1059,7 +1221,9 @@ class AnalysisHistoryServiceCore {
         const prevUpdatedAt = this.analysisHistory.updatedAt;
         this.analysisHistory.updatedAt = new Date().toISOString();
 
-        const saveResults = await Promise.allSettled([this.saveHistory(), this.saveIndex()]);
+        const saveResults = await Promise.allSettled([
+          this.saveHistory({ remove: removedEntries.map((removed) => removed.id) })
+        ]);
         const saveFailures = saveResults.filter((r) => r.status === 'rejected');
         if (saveFailures.length > 0) {
           // Rollback in-memory mutations to match disk state
@@ -1185,11 +1349,11 @@ class AnalysisHistoryServiceCore {
       // Update indexes
       updateIndexes(this.analysisIndex, clonedEntry);
 
-      // Save to disk atomically — rollback in-memory state if either fails
+      // Append to the history log — rollback in-memory state if it fails
       const prevUpdatedAt = this.analysisHistory.updatedAt;
       this.analysisHistory.updatedAt = new Date().toISOString();
 
-      const saveResults = await Promise.allSettled([this.saveHistory(), this.saveIndex()]);
+      const saveResults = await Promise.allSettled([this.saveHistory({ put: [clonedEntry] })]);
       const saveFailures = saveResults.filter((r) => r.status === 'rejected');
 
       if (saveFailures.length > 0) {
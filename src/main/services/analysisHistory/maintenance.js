@@ -21,8 +21,7 @@ const logger = createLogger('AnalysisHistory-Maintenance');
  * @param {Object} cache - Cache store
  * @param {Object} state - State object
  * @param {Object} config - Config object
- * @param {Function} saveHistory - Function to save history
- * @param {Function} saveIndex - Function to save index
+ * @param {Function} saveHistory - Function to persist removals, receives the removed entries
  * @param {Object} [options] - Optional parameters
  * @param {Function} [options.onEntriesRemoved] - Callback when entries are removed, receives array of {id, fileHash, originalPath, actualPath?}
  */
@@ -33,7 +32,6 @@ async function performMaintenanceIfNeeded(
   state,
   config,
   saveHistory,
-  saveIndex,
   options = {}
 ) {
   const { onEntriesRemoved } = options;
@@ -48,8 +46,7 @@ async function performMaintenanceIfNeeded(
       cache,
       state,
       config,
-      saveHistory,
-      saveIndex
+      saveHistory
     );
     if (removed && removed.length > 0) {
       allRemovedEntries.push(...removed);
@@ -65,8 +62,7 @@ async function performMaintenanceIfNeeded(
     cache,
     state,
     cutoffDate,
-    saveHistory,
-    saveIndex
+    saveHistory
   );
   if (expired && expired.length > 0) {
     allRemovedEntries.push(...expired);
@@ -87,6 +83,34 @@ async function performMaintenanceIfNeeded(
   return allRemovedEntries;
 }
 
+const byTimestamp = (a, b) => new Date(a[1].timestamp) - new Date(b[1].timestamp);
+
+/**
+ * Get the oldest entries
+ * Uses the month index when available so only the oldest months are sorted.
+ * @param {Object} analysisHistory - Analysis history data
+ * @param {Object} analysisIndex - Analysis index
+ * @param {number} count - Number of entries to return
+ * @returns {Array<[string, Object]>} [id, entry] pairs, oldest first
+ */
+function getOldestEntries(analysisHistory, analysisIndex, count) {
+  if (!analysisIndex?.dateIndex) {
+    return Object.entries(analysisHistory.entries).sort(byTimestamp).slice(0, count);
+  }
+  const oldest = [];
+  for (const month of Object.keys(analysisIndex.dateIndex).sort()) {
+    const monthEntries = analysisIndex.dateIndex[month]
+      .map((id) => [id, analysisHistory.entries[id]])
+      .filter(([, entry]) => entry)
+      .sort(byTimestamp);
+    for (const pair of monthEntries) {
+      oldest.push(pair);
+      if (oldest.length >= count) return oldest;
+    }
+  }
+  return oldest;
+}
+
 /**
  * Cleanup old entries beyond max limit
  * @param {Object} analysisHistory - Analysis history data
@@ -94,8 +118,7 @@ async function performMaintenanceIfNeeded(
  * @param {Object} cache - Cache store
  * @param {Object} state - State object
  * @param {Object} config - Config object
- * @param {Function} saveHistory - Function to save history
- * @param {Function} saveIndex - Function to save index
+ * @param {Function} saveHistory - Function to persist removals, receives the removed entries
  * @returns {Promise<Array<{id: string, fileHash: string, originalPath: string}>>} Removed entries
  */
 async function cleanupOldEntries(
@@ -104,13 +127,10 @@ async function cleanupOldEntries(
   cache,
   state,
   config,
-  saveHistory,
-  saveIndex
+  saveHistory
 ) {
-  const entries = Object.entries(analysisHistory.entries);
-  const sortedEntries = entries.sort((a, b) => new Date(a[1].timestamp) - new Date(b[1].timestamp));
-
-  const toRemove = sortedEntries.slice(0, entries.length - config.maxHistoryEntries);
+  const excess = Object.keys(analysisHistory.entries).length - config.maxHistoryEntries;
+  const toRemove = excess > 0 ? getOldestEntries(analysisHistory, analysisIndex, excess) : [];
   const removedEntries = [];
 
   for (const [id, entry] of toRemove) {
@@ -149,12 +169,35 @@ async function cleanupOldEntries(
   if (analysisHistory.metadata) {
     analysisHistory.metadata.lastCleanup = new Date().toISOString();
   }
-  await saveHistory();
-  await saveIndex();
+  await saveHistory(removedEntries);
 
   return removedEntries;
 }
 
+/**
+ * Collect entries that may be older than the cutoff
+ * Uses the month index when available so only old months are visited.
+ * @param {Object} analysisHistory - Analysis history data
+ * @param {Object} analysisIndex - Analysis index
+ * @param {Date} cutoffDate - Cutoff date
+ * @returns {Array<[string, Object]>} [id, entry] pairs
+ */
+function getExpiryCandidates(analysisHistory, analysisIndex, cutoffDate) {
+  if (!analysisIndex?.dateIndex) {
+    return Object.entries(analysisHistory.entries);
+  }
+  const cutoffMonth = cutoffDate.toISOString().substring(0, 7); // YYYY-MM
+  const candidates = [];
+  for (const [month, ids] of Object.entries(analysisIndex.dateIndex)) {
+    if (month > cutoffMonth) continue;
+    for (const id of ids) {
+      const entry = analysisHistory.entries[id];
+      if (entry) candidates.push([id, entry]);
+    }
+  }
+  return candidates;
+}
+
 /**
  * Remove entries older than cutoff date
  * @param {Object} analysisHistory - Analysis history data
@@ -162,8 +205,7 @@ async function cleanupOldEntries(
  * @param {Object} cache - Cache store
  * @param {Object} state - State object
  * @param {Date} cutoffDate - Cutoff date
- * @param {Function} saveHistory - Function to save history
- * @param {Function} saveIndex - Function to save index
+ * @param {Function} saveHistory - Function to persist removals, receives the removed entries
  * @returns {Promise<Array<{id: string, fileHash: string, originalPath: string}>>} Removed entries
  */
 async function removeExpiredEntries(
@@ -172,10 +214,9 @@ async function removeExpiredEntries(
   cache,
   state,
   cutoffDate,
-  saveHistory,
-  saveIndex
+  saveHistory
 ) {
-  const entries = Object.entries(analysisHistory.entries);
+  const entries = getExpiryCandidates(analysisHistory, analysisIndex, cutoffDate);
   const removedEntries = [];
 
   for (const [id, entry] of entries) {
@@ -210,8 +251,7 @@ async function removeExpiredEntries(
     logger.info(
       `[AnalysisHistoryService] Removed ${removedEntries.length} expired analysis entries`
     );
-    await saveHistory();
-    await saveIndex();
+    await saveHistory(removedEntries);
   }
 
   return removedEntries;
@@ -4,15 +4,26 @@
  * File I/O operations for analysis history.
  * Handles atomic writes, loading, and saving of history, index, and config.
  *
+ * History entries are stored in an append-only log (one JSON record per line):
+ * - { op: 'meta', history } - history totals and metadata, written with every batch
+ * - { op: 'put', entry } - a new or updated entry
+ * - { op: 'del', id } - a removed entry
+ * Loading replays the log; compaction rewrites it with one 'put' per live entry.
+ * The single-file history/index JSON helpers remain for config and the one-time
+ * migration from the old store.
+ *
  * @module analysisHistory/persistence
  */
 
 const fs = require('fs').promises;
 const path = require('path');
+const readline = require('readline');
 const { createLogger } = require('../../../shared/logger');
 const { replaceFileWithRetry } = require('../../../shared/atomicFile');
 
 const logger = createLogger('AnalysisHistory-Persistence');
+// Entries per write while compacting, so the log is never built as one string
+const COMPACTION_CHUNK_SIZE = 1000;
 const TRANSIENT_ERROR_CODES = new Set([
   'EACCES',
   'EPERM',
@@ -218,13 +229,196 @@ async function saveIndex(indexPath, index) {
   await atomicWriteFile(indexPath, JSON.stringify(index, null, 2));
 }
 
+/**
+ * Build the meta record carrying everything in the history except its entries
+ * @param {Object} history - History object
+ * @returns {Object} Meta record
+ */
+function createMetaRecord(history) {
+  const { entries: _entries, ...meta } = history;
+  return { op: 'meta', history: meta };
+}
+
+function serializeRecords(records) {
+  return records.map((record) => `${JSON.stringify(record)}\n`).join('');
+}
+
+/**
+ * Load history by replaying the append-only log
+ * Lines that cannot be parsed (e.g. a write cut short by a crash) are skipped.
+ * @param {string} logPath - Path to history log
+ * @param {string} schemaVersion - Current schema version
+ * @param {Function} createEmptyHistory - Function to create empty history
+ * @param {Function} migrateHistory - Function to migrate history
+ * @returns {Promise<{history: Object, recordCount: number, skippedLines: number, migrated: boolean}|null>}
+ *   Null when the log does not exist yet
+ */
+async function loadHistoryLog(logPath, schemaVersion, createEmptyHistory, migrateHistory) {
+  let history = createEmptyHistory();
+  let recordCount = 0;
+  let skippedLines = 0;
+
+  try {
+    // Open first so a missing log surfaces as ENOENT here rather than as a stream error
+    const handle = await fs.open(logPath, 'r');
+    const lines = readline.createInterface({
+      input: handle.createReadStream({ encoding: 'utf8' }),
+      crlfDelay: Infinity
+    });
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        skippedLines++;
+        continue;
+      }
+      if (record?.op === 'put' && record.entry?.id) {
+        history.entries[record.entry.id] = record.entry;
+      } else if (record?.op === 'del' && record.id) {
+        delete history.entries[record.id];
+      } else if (record?.op === 'meta' && record.history) {
+        Object.assign(history, record.history, { entries: history.entries });
+      } else {
+        skippedLines++;
+        continue;
+      }
+      recordCount++;
+    }
+  } catch (error) {
+    if (error?.code === 'ENOENT') {
+      return null;
+    }
+    if (isTransientError(error)) {
+      error.transient = true;
+      throw error;
+    }
+    error.preserveOnError = true;
+    throw error;
+  }
+
+  if (skippedLines > 0) {
+    logger.warn('[AnalysisHistory] Skipped unreadable history log records', {
+      logPath,
+      skippedLines
+    });
+  }
+
+  let migrated = false;
+  if (history.schemaVersion !== schemaVersion) {
+    history = await migrateHistory(history);
+    migrated = true;
+  }
+
+  return { history, recordCount, skippedLines, migrated };
+}
+
+/**
+ * Append changed and removed entries to the history log
+ * @param {string} logPath - Path to history log
+ * @param {Object} history - History object (for the trailing meta record)
+ * @param {Object} [changes] - Changes to record
+ * @param {Array<Object>} [changes.put] - New or updated entries
+ * @param {Array<string>} [changes.remove] - Ids of removed entries
+ * @returns {Promise<number>} Number of records appended
+ */
+async function appendHistoryRecords(logPath, history, changes = {}) {
+  history.updatedAt = new Date().toISOString();
+  const records = [
+    ...(changes.put || []).map((entry) => ({ op: 'put', entry })),
+    ...(changes.remove || []).map((id) => ({ op: 'del', id })),
+    createMetaRecord(history)
+  ];
+  await ensureParentDirectory(logPath);
+  // A crash mid-append can leave a torn last line; start on a fresh one so the
+  // new records are not glued onto it (the torn line is skipped on load)
+  const separator = (await endsWithNewline(logPath)) ? '' : '\n';
+  await fs.appendFile(logPath, separator + serializeRecords(records));
+  return records.length;
+}
+
+/**
+ * Whether the log is missing, empty or ends with a newline
+ * @param {string} logPath - Path to history log
+ * @returns {Promise<boolean>}
+ */
+async function endsWithNewline(logPath) {
+  let handle;
+  try {
+    handle = await fs.open(logPath, 'r');
+    const { size } = await handle.stat();
+    if (size === 0) return true;
+    const { buffer } = await handle.read(Buffer.alloc(1), 0, 1, size - 1);
+    return buffer[0] === 0x0a;
+  } catch (error) {
+    if (error?.code === 'ENOENT') return true;
+    throw error;
+  } finally {
+    await handle?.close();
+  }
+}
+
+/**
+ * Rewrite the history log with one record per live entry (compaction)
+ * Writes to a temp file in chunks, then swaps it in.
+ * @param {string} logPath - Path to history log
+ * @param {Object} history - History object
+ * @returns {Promise<number>} Number of records in the new log
+ */
+async function writeHistoryLog(logPath, history) {
+  history.updatedAt = new Date().toISOString();
+  await ensureParentDirectory(logPath);
+
+  const tempPath = `${logPath}.tmp.${Date.now()}`;
+  const entries = Object.values(history.entries || {});
+  try {
+    await fs.writeFile(tempPath, serializeRecords([createMetaRecord(history)]));
+    for (let i = 0; i < entries.length; i += COMPACTION_CHUNK_SIZE) {
+      const chunk = entries
+        .slice(i, i + COMPACTION_CHUNK_SIZE)
+        .map((entry) => ({ op: 'put', entry }));
+      await fs.appendFile(tempPath, serializeRecords(chunk));
+    }
+    await replaceFileWithRetry(tempPath, logPath);
+  } catch (error) {
+    try {
+      await fs.unlink(tempPath);
+    } catch {
+      // Ignore cleanup errors
+    }
+    throw error;
+  }
+  return entries.length + 1;
+}
+
+/**
+ * Move a file from the old single-file store aside once it has been migrated
+ * @param {string} filePath - Legacy file path
+ * @returns {Promise<boolean>} True if the file existed and was renamed
+ */
+async function archiveLegacyFile(filePath) {
+  try {
+    await fs.rename(filePath, `${filePath}.migrated`);
+    return true;
+  } catch (error) {
+    if (error?.code === 'ENOENT') return false;
+    logger.warn('[AnalysisHistory] Failed to archive migrated file', {
+      filePath,
+      error: error?.message || error
+    });
+    return false;
+  }
+}
+
 /**
  * Create default structures and save to disk
- * @param {Object} paths - Object with configPath, historyPath, indexPath
+ * The index is derived from the entries, so only config and history are written.
+ * @param {Object} paths - Object with configPath, historyLogPath
  * @param {Function} getDefaultConfig - Function to get default config
  * @param {Function} createEmptyHistory - Function to create empty history
  * @param {Function} createEmptyIndex - Function to create empty index
- * @returns {Promise<{config: Object, history: Object, index: Object}>}
+ * @returns {Promise<{config: Object, history: Object, index: Object, recordCount: number}>}
  */
 async function createDefaultStructures(
   paths,
@@ -236,13 +430,12 @@ async function createDefaultStructures(
   const history = createEmptyHistory();
   const index = createEmptyIndex();
 
-  await Promise.all([
+  const [, recordCount] = await Promise.all([
     saveConfig(paths.configPath, config),
-    saveHistory(paths.historyPath, history),
-    saveIndex(paths.indexPath, index)
+    writeHistoryLog(paths.historyLogPath, history)
   ]);
 
-  return { config, history, index };
+  return { config, history, index, recordCount };
 }
 
 module.exports = {
@@ -254,5 +447,9 @@ module.exports = {
   saveHistory,
   loadIndex,
   saveIndex,
+  loadHistoryLog,
+  appendHistoryRecords,
+  writeHistoryLog,
+  archiveLegacyFile,
   createDefaultStructures
 };
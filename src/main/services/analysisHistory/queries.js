@@ -9,6 +9,7 @@
 
 const path = require('path');
 const { maintainCacheSize } = require('./cacheManager');
+const { isSensitiveLevel } = require('../../../shared/sensitiveData');
 
 // Normalize a file path for lookups (normalize separators, lower-case on Windows)
 function normalizePathForLookup(filePath) {
@@ -303,6 +304,35 @@ function getAnalysisByDateRange(analysisHistory, analysisIndex, startDate, endDa
   };
 }
 
+/**
+ * Get entries whose analysis found sensitive personal information, newest first.
+ * Each file is listed once, under its current path.
+ * @param {Object} analysisHistory - Analysis history data
+ * @param {Object} options - Query options
+ * @param {boolean} [options.includeDismissed=false] - Include files the user marked as not sensitive
+ * @param {number} [options.limit=500] - Maximum entries to return
+ * @returns {Array} Analysis entries
+ */
+function getSensitiveAnalysis(analysisHistory, options = {}) {
+  const { includeDismissed = false, limit = 500 } = options;
+  const byPath = new Map();
+
+  for (const entry of Object.values(analysisHistory.entries || {})) {
+    const sensitivity = entry?.analysis?.sensitivity;
+    if (!sensitivity) continue;
+    const dismissed = sensitivity.review?.decision === 'not_sensitive';
+    if (!isSensitiveLevel(sensitivity.level) && !(includeDismissed && dismissed)) continue;
+
+    const key = normalizePathForLookup(entry.organization?.actual || entry.originalPath);
+    const existing = byPath.get(key);
+    if (!existing || new Date(entry.timestamp) > new Date(existing.timestamp)) {
+      byPath.set(key, entry);
+    }
+  }
+
+  return sortEntries(Array.from(byPath.values()), 'timestamp', 'desc').slice(0, limit);
+}
+
 /**
  * Get all available categories with counts
  * Performance: Uses index directly, no iteration over entries
@@ -335,6 +365,7 @@ module.exports = {
   getAnalysisByTag,
   getRecentAnalysis,
   getAnalysisByDateRange,
+  getSensitiveAnalysis,
   getCategories,
   getTags
 };
@@ -13,6 +13,12 @@ const { cosineSimilarity } = require('../../../shared/vectorMath');
 const { createLogger } = require('../../../shared/logger');
 const logger = createLogger('AnalysisHistory-Search');
 
+// Title / artist / album tags of an audio entry, or '' for other files
+function getAudioTagText(audio) {
+  if (!audio || typeof audio !== 'object') return '';
+  return [audio.title, audio.artist, audio.album].filter(Boolean).join(' - ');
+}
+
 // Build the text representation used for semantic embedding
 function buildEntryText(entry) {
   const parts = [];
@@ -23,6 +29,13 @@ function buildEntryText(entry) {
   if (Array.isArray(entry.analysis?.tags) && entry.analysis.tags.length > 0) {
     parts.push(`Tags: ${entry.analysis.tags.join(', ')}`);
   }
+  if (Array.isArray(entry.analysis?.archiveMembers) && entry.analysis.archiveMembers.length > 0) {
+    parts.push(`Archive contents: ${entry.analysis.archiveMembers.slice(0, 50).join(', ')}`);
+  }
+  const audioTags = getAudioTagText(entry.analysis?.audio);
+  if (audioTags) {
+    parts.push(`Audio: ${audioTags}`);
+  }
   if (entry.analysis?.extractedText) {
     // Cap extracted text to avoid enormous prompts
     const text = entry.analysis.extractedText;
@@ -129,10 +142,15 @@ async function searchAnalysis(analysisHistory, cache, searchCacheTTL, query, opt
     if (entries.length <= MAX_SEMANTIC_ENTRIES) {
       semanticCandidateIds = null; // All entries are candidates
     } else {
-      const byRecency = entries
-        .slice()
-        .sort((a, b) => new Date(b.timestamp).getTime() - new Date(a.timestamp).getTime())
-        .slice(0, MAX_SEMANTIC_ENTRIES);
+      // Reuse the recency ordering kept for getRecentAnalysis instead of re-sorting every query
+      if (!cacheStore.sortedEntriesValid || !Array.isArray(cacheStore.sortedEntries)) {
+        cacheStore.sortedEntries = entries
+          .slice()
+          .sort((a, b) => new Date(b.timestamp).getTime() - new Date(a.timestamp).getTime());
+        cacheStore.sortedEntriesValid = true;
+        cacheStore.sortedEntriesTime = now;
+      }
+      const byRecency = cacheStore.sortedEntries.slice(0, MAX_SEMANTIC_ENTRIES);
       semanticCandidateIds = new Set(byRecency.map((e) => e.id));
     }
   }
@@ -241,6 +259,22 @@ async function searchAnalysis(analysisHistory, cache, searchCacheTTL, query, opt
       }
     }
 
+    // Archives: match the names of files inside
+    if (Array.isArray(entry.analysis.archiveMembers)) {
+      for (const member of entry.analysis.archiveMembers) {
+        if (member.toLowerCase().includes(queryLower)) {
+          score += 4;
+          break;
+        }
+      }
+    }
+
+    // Audio: match title, artist and album tags
+    const audioTags = getAudioTagText(entry.analysis.audio);
+    if (audioTags && audioTags.toLowerCase().includes(queryLower)) {
+      score += 5;
+    }
+
     // Image-specific: search content_type (e.g., "screenshot", "photograph")
     if (
       entry.analysis.content_type &&
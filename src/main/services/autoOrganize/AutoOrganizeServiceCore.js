@@ -10,6 +10,11 @@
 const { createLogger } = require('../../../shared/logger');
 const { BATCH } = require('../../../shared/performanceConstants');
 const { DEFAULT_SETTINGS } = require('../../../shared/defaultSettings');
+const {
+  isSensitiveAnalysis,
+  getSecureFolders,
+  getSensitiveReviewReason
+} = require('../../../shared/sensitiveData');
 
 // Import decomposed modules
 const { getFileTypeCategory, sanitizeFile } = require('./fileTypeUtils');
@@ -141,18 +146,45 @@ class AutoOrganizeServiceCore {
       operations: []
     };
 
-    // Separate files with and without analysis
+    // Separate files with and without analysis; sensitive files are routed on their own
     const filesWithAnalysis = [];
     const filesWithoutAnalysis = [];
+    const sensitiveFiles = [];
 
     for (const file of files) {
       if (!file.analysis) {
         filesWithoutAnalysis.push(file);
+      } else if (isSensitiveAnalysis(file.analysis)) {
+        sensitiveFiles.push(file);
       } else {
         filesWithAnalysis.push(file);
       }
     }
 
+    // Sensitive files only go to secure smart folders; without one they wait for review
+    if (sensitiveFiles.length > 0) {
+      const secureFolders = getSecureFolders(smartFolders);
+      if (secureFolders.length === 0) {
+        for (const file of sensitiveFiles) {
+          results.needsReview.push({
+            file: this._sanitizeFile(file),
+            suggestion: null,
+            alternatives: [],
+            confidence: 0,
+            explanation: getSensitiveReviewReason(file.analysis)
+          });
+        }
+      } else {
+        await processFilesIndividually(
+          sensitiveFiles,
+          secureFolders,
+          { confidenceThreshold: effectiveThreshold, defaultLocation, preserveNames },
+          results,
+          this.suggestionService
+        );
+      }
+    }
+
     // Process files without analysis first (they use the default folder)
     if (filesWithoutAnalysis.length > 0) {
       await processFilesWithoutAnalysis(
@@ -17,6 +17,10 @@ const {
   buildDestinationPath
 } = require('./folderOperations');
 const { safeSuggestion } = require('./pathUtils');
+const {
+  isSensitiveAnalysis,
+  restrictFoldersForSensitivity
+} = require('../../../shared/sensitiveData');
 // FIX C-5: Import from shared idUtils to break circular dependency with batchProcessor
 const { generateSecureId } = require('./idUtils');
 
@@ -331,6 +335,13 @@ async function processNewFile(filePath, smartFolders, options, suggestionService
       throw accessError;
     }
 
+    // Sensitive files may only be filed into secure smart folders
+    const routingFolders = restrictFoldersForSensitivity(smartFolders, analysis);
+    if (routingFolders.length === 0 && isSensitiveAnalysis(analysis)) {
+      logger.info('[AutoOrganize] Sensitive file left in place, no secure smart folder:', filePath);
+      return null;
+    }
+
     // Create file object
     const file = {
       name: path.basename(filePath),
@@ -365,7 +376,7 @@ async function processNewFile(filePath, smartFolders, options, suggestionService
     }
 
     // Get suggestion
-    const suggestion = await suggestionService.getSuggestionsForFile(file, smartFolders, {
+    const suggestion = await suggestionService.getSuggestionsForFile(file, routingFolders, {
       includeAlternatives: false
     });
 
@@ -386,7 +397,7 @@ async function processNewFile(filePath, smartFolders, options, suggestionService
       let resolvedPath = safePrimary.path;
       let resolvedFolder = safePrimary.folder;
 
-      const matchingSmartFolder = smartFolders.find(
+      const matchingSmartFolder = routingFolders.find(
         (f) =>
           (f.name && f.name.toLowerCase() === resolvedFolder.toLowerCase()) ||
           (f.path && resolvedPath && f.path.toLowerCase() === resolvedPath.toLowerCase())
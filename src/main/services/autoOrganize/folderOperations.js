@@ -13,6 +13,7 @@ const { logger: baseLogger, createLogger } = require('../../../shared/logger');
 const { isPathDangerous, sanitizePath } = require('../../../shared/pathSanitization');
 const { getFileTypeCategory } = require('./fileTypeUtils');
 const { isUNCPath } = require('../../../shared/crossPlatformUtils');
+const { splitSubpath } = require('../../../shared/smartFolderHierarchy');
 
 const logger =
   typeof createLogger === 'function' ? createLogger('AutoOrganize-Folders') : baseLogger;
@@ -300,6 +301,12 @@ function buildDestinationPath(file, suggestion, defaultLocation, preserveNames)
     folderPath = path.join(absoluteDefaultLocation, folderPath);
   }
 
+  // Nested smart folders route below their root (e.g. Clients/Acme/2024); the move creates them
+  const subpathSegments = splitSubpath(suggestion.subpath);
+  if (subpathSegments.length > 0) {
+    folderPath = path.join(folderPath, ...subpathSegments);
+  }
+
   let fileName = preserveNames ? file.name : file.analysis?.suggestedName || file.name;
   const originalExt = path.extname(file.name);
 
@@ -285,21 +285,51 @@ function enforceFileNameLength(fileName, extension = null) {
   return `${finalBase}${ext}`;
 }
 
+/**
+ * Split a date-like value into zero-padded year/month/day parts.
+ * YYYY-MM-DD strings are read directly to avoid timezone shifts.
+ * @param {string|Date} value - Date value
+ * @returns {{year: string, month: string, day: string}|null}
+ */
+function getDateParts(value) {
+  if (!value) return null;
+  const match = typeof value === 'string' ? value.trim().match(/^(\d{4})-(\d{2})-(\d{2})/) : null;
+  if (match) {
+    return { year: match[1], month: match[2], day: match[3] };
+  }
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  return {
+    year: String(date.getFullYear()),
+    month: String(date.getMonth() + 1).padStart(2, '0'),
+    day: String(date.getDate()).padStart(2, '0')
+  };
+}
+
 /**
  * Process a naming template string by replacing tokens with values from the analysis result.
- * Supports standard tokens: {date}, {entity}, {type}, {category}, {project}, {summary}, {original}.
+ *
+ * Supported tokens:
+ * - Analysis fields: {date}, {entity}, {type}, {category}, {project}, {summary}, {keywords[N]}
+ * - Dates: {year}, {month}, {day} (analysis date, then EXIF date, then today)
+ * - File: {original}, {original:start:end} (substring of the original base name), {ext}
+ * - Counter: {n}, or {n:03} to zero-pad to three digits
+ * - EXIF: {exif.make}, {exif.model}, {exif.lens}, {exif.iso}, {exif.date}
  *
  * @param {string} template - The naming template (e.g. "{date}_{entity}_{type}")
  * @param {Object} context - The context object containing replacement values
  * @param {string} [context.originalName] - Original filename
  * @param {Object} [context.analysis] - Analysis result
  * @param {string} [context.extension] - File extension (including dot)
+ * @param {number} [context.index] - Position of the file in its batch (0-based)
+ * @param {number} [context.counterStart=1] - Value of {n} for the first file
+ * @param {Object} [context.exif] - EXIF fields read from the file
  * @returns {string} The processed filename
  */
 function processTemplate(template, context) {
   if (!template) return context.originalName || 'untitled';
 
-  const { analysis, originalName, extension } = context;
+  const { analysis, originalName, extension, exif } = context;
   const originalBase = originalName ? originalName.replace(/\.[^/.]+$/, '') : '';
 
   // Helper to safely get a string value or empty string
@@ -308,6 +338,17 @@ function processTemplate(template, context) {
     return typeof val === 'string' ? val.trim() : '';
   };
 
+  const getExifVal = (key) => {
+    const val = exif && exif[key.toLowerCase()];
+    return val === undefined || val === null ? '' : String(val).trim();
+  };
+
+  const dateParts =
+    getDateParts(getVal('date')) || getDateParts(getExifVal('date')) || getDateParts(new Date());
+  const counter =
+    (Number.isInteger(context.counterStart) ? context.counterStart : 1) +
+    (Number.isInteger(context.index) ? context.index : 0);
+
   let result = template;
 
   // Replace tokens
@@ -317,7 +358,23 @@ function processTemplate(template, context) {
   result = result.replace(/\{category\}/gi, getVal('category') || 'Uncategorized');
   result = result.replace(/\{project\}/gi, getVal('project') || 'General');
   result = result.replace(/\{summary\}/gi, getVal('summary') || '');
-  result = result.replace(/\{original\}/gi, originalBase);
+  result = result.replace(/\{original(?::(-?\d+)(?::(-?\d+))?)?\}/gi, (match, start, end) =>
+    start === undefined
+      ? originalBase
+      : originalBase.slice(Number(start), end === undefined ? undefined : Number(end))
+  );
+  result = result.replace(/\{ext\}/gi, (extension || '').replace(/^\./, ''));
+  result = result.replace(/\{year\}/gi, dateParts.year);
+  result = result.replace(/\{month\}/gi, dateParts.month);
+  result = result.replace(/\{day\}/gi, dateParts.day);
+  result = result.replace(/\{n(?::(\d{1,2}))?\}/gi, (match, width) =>
+    width ? String(counter).padStart(Number(width), '0') : String(counter)
+  );
+  result = result.replace(/\{keywords\[(\d+)\]\}/gi, (match, idx) => {
+    const keyword = Array.isArray(analysis?.keywords) ? analysis.keywords[Number(idx)] : null;
+    return typeof keyword === 'string' ? keyword.trim() : '';
+  });
+  result = result.replace(/\{exif\.([a-z]+)\}/gi, (match, key) => getExifVal(key));
 
   // Sanitize the result to be a valid filename
   // 1. Remove characters illegal in filenames (Windows/Unix)
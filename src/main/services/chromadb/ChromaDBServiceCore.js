@@ -26,6 +26,9 @@ const CHROMADB_INIT_TIMEOUT_MS = getConfig('CHROMADB.initTimeout', 60000);
 
 // Extracted modules
 const { ChromaQueryCache } = require('./ChromaQueryCache');
+const { EmbeddedVectorClient } = require('./EmbeddedVectorStore');
+const { getVectorStoreBackend, getEmbeddedStorePath } = require('./vectorStoreBackend');
+const { copyChromaCollections } = require('./embeddedMigration');
 const {
   checkHealthViaHttp,
   checkHealthViaClient,
@@ -103,6 +106,15 @@ const MAX_PORT_NUMBER = NETWORK.MAX_PORT;
 const MIN_PORT_NUMBER = NETWORK.MIN_PORT;
 const VALID_PROTOCOLS = ['http', 'https'];
 
+// Every collection the service manages (also the set copied by migrateToEmbedded)
+const COLLECTION_NAMES = [
+  'file_embeddings',
+  'file_chunk_embeddings',
+  'folder_embeddings',
+  'feedback_memory',
+  'learning_patterns'
+];
+
 /**
  * ChromaDB-based Vector Database Service
  *
@@ -116,6 +128,8 @@ class ChromaDBServiceCore extends EventEmitter {
   constructor() {
     super();
     this.dbPath = path.join(app.getPath('userData'), 'chromadb');
+    // 'chromadb' (server) or 'embedded' (in-process); resolved on initialize()
+    this.backend = 'chromadb';
     this.client = null;
     this.fileCollection = null;
     this.fileChunkCollection = null;
@@ -373,6 +387,38 @@ class ChromaDBServiceCore extends EventEmitter {
     };
   }
 
+  /**
+   * @returns {boolean} True when collections live in the in-process store
+   */
+  isEmbedded() {
+    return this.backend === 'embedded';
+  }
+
+  /**
+   * @private
+   */
+  _createServerClient() {
+    // The Chroma JS SDK deprecated { path }. Use { ssl, host, port } to avoid console noise.
+    return new ChromaClient({
+      ssl: this.serverProtocol === 'https',
+      host: this.serverHost,
+      port: this.serverPort
+    });
+  }
+
+  /**
+   * Flush the embedded store before dropping the client (no-op for ChromaClient)
+   * @private
+   */
+  async _closeClient() {
+    if (typeof this.client?.close !== 'function') return;
+    try {
+      await this.client.close();
+    } catch (error) {
+      logger.warn('[ChromaDB] Error closing vector store client:', error.message);
+    }
+  }
+
   /**
    * Force a clean re-initialization of client/collections.
    * @private
@@ -381,6 +427,7 @@ class ChromaDBServiceCore extends EventEmitter {
     logger.warn('[ChromaDB] Forcing re-initialization', { reason, ...context });
     this.initialized = false;
     this.isOnline = false;
+    await this._closeClient();
     this.client = null;
     this.fileCollection = null;
     this.fileChunkCollection = null;
@@ -874,8 +921,10 @@ class ChromaDBServiceCore extends EventEmitter {
    */
   async checkHealth() {
     try {
-      // Try HTTP endpoints first
-      const httpResult = await checkHealthViaHttp(this.serverUrl);
+      // Try HTTP endpoints first (the embedded store has none; its heartbeat is local)
+      const httpResult = this.isEmbedded()
+        ? { healthy: false }
+        : await checkHealthViaHttp(this.serverUrl);
 
       if (httpResult.healthy) {
         const wasOffline = !this.isOnline;
@@ -1028,12 +1077,12 @@ class ChromaDBServiceCore extends EventEmitter {
         await this.ensureDbDirectory();
         await this.offlineQueue.initialize();
 
-        // The Chroma JS SDK deprecated { path }. Use { ssl, host, port } to avoid console noise.
-        this.client = new ChromaClient({
-          ssl: this.serverProtocol === 'https',
-          host: this.serverHost,
-          port: this.serverPort
-        });
+        this.backend = getVectorStoreBackend();
+        if (this.isEmbedded()) {
+          this.client = new EmbeddedVectorClient({ path: getEmbeddedStorePath() });
+        } else {
+          this.client = this._createServerClient();
+        }
 
         // Wrap collection operations with timeout to prevent hanging on slow/unresponsive server
         this.fileCollection = await withTimeout(
@@ -1138,7 +1187,8 @@ class ChromaDBServiceCore extends EventEmitter {
           ]);
 
         logger.info('[ChromaDB] Successfully initialized vector database', {
-          dbPath: this.dbPath,
+          backend: this.backend,
+          dbPath: this.isEmbedded() ? getEmbeddedStorePath() : this.dbPath,
           serverUrl: this.serverUrl,
           fileCount,
           folderCount,
@@ -1177,7 +1227,9 @@ class ChromaDBServiceCore extends EventEmitter {
 
         let serverHealthy = false;
         try {
-          const health = await checkHealthViaHttp(this.serverUrl);
+          const health = this.isEmbedded()
+            ? { healthy: false }
+            : await checkHealthViaHttp(this.serverUrl);
           serverHealthy = Boolean(health?.healthy);
         } catch {
           serverHealthy = false;
@@ -2098,13 +2150,20 @@ class ChromaDBServiceCore extends EventEmitter {
     return updatedFiles;
   }
 
-  async querySimilarFiles(queryEmbedding, topK = 10) {
+  /**
+   * @param {number[]} queryEmbedding
+   * @param {number} [topK=10]
+   * @param {Object} [options]
+   * @param {string[]} [options.ids] - Restrict the search to these file ids
+   */
+  async querySimilarFiles(queryEmbedding, topK = 10, options = {}) {
     await this.initialize();
     return this.circuitBreaker.execute(async () =>
       querySimilarFilesOp({
         queryEmbedding,
         topK,
-        fileCollection: this.fileCollection
+        fileCollection: this.fileCollection,
+        filterIds: options.ids
       })
     );
   }
@@ -2145,12 +2204,19 @@ class ChromaDBServiceCore extends EventEmitter {
     });
   }
 
-  async querySimilarFileChunks(queryEmbedding, topK = 20) {
+  /**
+   * @param {number[]} queryEmbedding
+   * @param {number} [topK=20]
+   * @param {Object} [options]
+   * @param {string[]} [options.fileIds] - Restrict the search to chunks of these files
+   */
+  async querySimilarFileChunks(queryEmbedding, topK = 20, options = {}) {
     await this.initialize();
     return querySimilarFileChunksOp({
       queryEmbedding,
       topK,
-      chunkCollection: this.fileChunkCollection
+      chunkCollection: this.fileChunkCollection,
+      fileIds: options.fileIds
     });
   }
 
@@ -2381,6 +2447,7 @@ class ChromaDBServiceCore extends EventEmitter {
           fileChunks: 0,
           dbPath: this.dbPath,
           serverUrl: this.serverUrl,
+          backend: this.backend,
           initialized: false,
           queryCache: this.queryCache.getStats(),
           inflightQueries: this.inflightQueries.size,
@@ -2398,6 +2465,7 @@ class ChromaDBServiceCore extends EventEmitter {
         fileChunks: fileChunkCount,
         dbPath: this.dbPath,
         serverUrl: this.serverUrl,
+        backend: this.backend,
         initialized: this.initialized,
         queryCache: this.queryCache.getStats(),
         inflightQueries: this.inflightQueries.size
@@ -2410,6 +2478,7 @@ class ChromaDBServiceCore extends EventEmitter {
         fileChunks: 0,
         dbPath: this.dbPath,
         serverUrl: this.serverUrl,
+        backend: this.backend,
         initialized: false,
         queryCache: this.queryCache.getStats(),
         inflightQueries: 0,
@@ -2715,6 +2784,7 @@ class ChromaDBServiceCore extends EventEmitter {
     this.removeAllListeners();
 
     if (this.client) {
+      await this._closeClient();
       this.fileCollection = null;
       this.folderCollection = null;
       this.fileChunkCollection = null;
@@ -2727,6 +2797,8 @@ class ChromaDBServiceCore extends EventEmitter {
   }
 
   async isServerAvailable(timeoutMs = 3000, maxRetries = 3) {
+    // The embedded store runs in-process, so there is no server to wait for
+    if (getVectorStoreBackend() === 'embedded') return true;
     return isServerAvailable({
       serverUrl: this.serverUrl,
       client: this.client,
@@ -2735,13 +2807,56 @@ class ChromaDBServiceCore extends EventEmitter {
     });
   }
 
+  // ============== Embedded Store Migration ==============
+
+  /**
+   * Copy all collections from the ChromaDB server into the embedded store.
+   * Works from either backend: when already embedded, a temporary client reads
+   * from the configured server URL (which must be running).
+   *
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - ({ collection, copied, total }) => void
+   * @returns {Promise<{success: boolean, collections: Object, totalCopied: number}>}
+   */
+  async migrateToEmbedded({ onProgress } = {}) {
+    const embedded = this.isEmbedded() && this.client;
+    const sourceClient = embedded
+      ? this._createServerClient()
+      : this.client || this._createServerClient();
+    const targetClient = embedded
+      ? this.client
+      : new EmbeddedVectorClient({ path: getEmbeddedStorePath() });
+
+    logger.info('[ChromaDB] Copying collections into embedded store', {
+      serverUrl: this.serverUrl,
+      target: getEmbeddedStorePath()
+    });
+
+    try {
+      const result = await copyChromaCollections({
+        sourceClient,
+        targetClient,
+        collectionNames: COLLECTION_NAMES,
+        onProgress
+      });
+      if (embedded) {
+        this.clearQueryCache();
+        this._clearDimensionCache();
+      }
+      return { success: true, ...result };
+    } finally {
+      if (!embedded) await targetClient.close();
+    }
+  }
+
   getServerConfig() {
     return {
       host: this.serverHost,
       port: this.serverPort,
       protocol: this.serverProtocol,
       url: this.serverUrl,
-      dbPath: this.dbPath
+      dbPath: this.dbPath,
+      backend: this.backend
     };
   }
 }
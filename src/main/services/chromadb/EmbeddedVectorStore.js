@@ -0,0 +1,856 @@
+/**
+ * Embedded Vector Store
+ *
+ * Pure-Node, in-process replacement for the ChromaDB server. Implements the
+ * subset of the Chroma JS client/collection API used by fileOperations,
+ * chunkOperations, folderEmbeddings and ChromaDBServiceCore, so the rest of
+ * the service works unchanged against either backend.
+ *
+ * Storage: one directory per collection holding a snapshot plus a change log
+ * - `collection.json`  - ids, metadatas, documents, collection metadata
+ * - `vectors.<gen>.bin` - row-major Float32 embeddings for that generation
+ * - `changes.<gen>.log` - JSONL `put`/`del`/`meta` records since the snapshot
+ * Saves append only the rows that changed. Once the log holds more records
+ * than half the collection, the next save compacts it into a new snapshot
+ * generation. The JSON file names its vectors and log files and is replaced
+ * atomically last, so a crash mid-compaction leaves the previous generation
+ * readable; a crash mid-append leaves a torn last line that load cuts off.
+ *
+ * Search is an exact (flat) scan, which stays fast for the tens of thousands
+ * of vectors a desktop index holds and returns the same ranking Chroma's
+ * HNSW index approximates.
+ *
+ * @module services/chromadb/EmbeddedVectorStore
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const readline = require('readline');
+const { createLogger } = require('../../../shared/logger');
+const { atomicWriteFile, replaceFileWithRetry, safeUnlink } = require('../../../shared/atomicFile');
+
+const logger = createLogger('EmbeddedVectorStore');
+
+const STORE_VERSION = 2;
+const COLLECTION_FILE = 'collection.json';
+const DEFAULT_PERSIST_DELAY_MS = 1000;
+// Log records always allowed before a compaction, however small the collection
+const MIN_COMPACTION_RECORDS = 1000;
+const VALID_NAME = /^[a-zA-Z0-9][a-zA-Z0-9._-]{1,62}$/;
+
+function createNotFoundError(name) {
+  // Matches ChromaDBServiceCore._isChromaNotFoundError
+  const error = new Error(`Collection ${name} not found`);
+  error.name = 'ChromaNotFoundError';
+  return error;
+}
+
+// ============= Filters =============
+
+function compare(value, operator, operand) {
+  switch (operator) {
+    case '$eq':
+      return value === operand;
+    case '$ne':
+      return value !== operand;
+    case '$gt':
+      return typeof value === 'number' && value > operand;
+    case '$gte':
+      return typeof value === 'number' && value >= operand;
+    case '$lt':
+      return typeof value === 'number' && value < operand;
+    case '$lte':
+      return typeof value === 'number' && value <= operand;
+    case '$in':
+      return Array.isArray(operand) && operand.includes(value);
+    case '$nin':
+      return Array.isArray(operand) && !operand.includes(value);
+    default:
+      throw new Error(`Unsupported where operator: ${operator}`);
+  }
+}
+
+/**
+ * Evaluate a Chroma `where` filter against a record's metadata
+ * @param {Object|null} metadata
+ * @param {Object} where - e.g. `{ fileId: 'x' }`, `{ $and: [...] }`, `{ n: { $gte: 2 } }`
+ * @returns {boolean}
+ */
+function matchesWhere(metadata, where) {
+  if (!where || Object.keys(where).length === 0) return true;
+  const meta = metadata || {};
+  return Object.entries(where).every(([key, condition]) => {
+    if (key === '$and') return condition.every((clause) => matchesWhere(meta, clause));
+    if (key === '$or') return condition.some((clause) => matchesWhere(meta, clause));
+    if (condition !== null && typeof condition === 'object' && !Array.isArray(condition)) {
+      return Object.entries(condition).every(([operator, operand]) =>
+        compare(meta[key], operator, operand)
+      );
+    }
+    return meta[key] === condition;
+  });
+}
+
+/**
+ * Evaluate a Chroma `whereDocument` filter against a document
+ * @param {string|null} document
+ * @param {Object} whereDocument - `{ $contains }`, `{ $not_contains }`, `$and`/`$or`
+ * @returns {boolean}
+ */
+function matchesWhereDocument(document, whereDocument) {
+  if (!whereDocument || Object.keys(whereDocument).length === 0) return true;
+  const text = document || '';
+  return Object.entries(whereDocument).every(([key, operand]) => {
+    if (key === '$contains') return text.includes(operand);
+    if (key === '$not_contains') return !text.includes(operand);
+    if (key === '$and') return operand.every((clause) => matchesWhereDocument(text, clause));
+    if (key === '$or') return operand.some((clause) => matchesWhereDocument(text, clause));
+    throw new Error(`Unsupported whereDocument operator: ${key}`);
+  });
+}
+
+// ============= Distance =============
+
+function norm(vector) {
+  let sum = 0;
+  for (let i = 0; i < vector.length; i++) sum += vector[i] * vector[i];
+  return Math.sqrt(sum);
+}
+
+/**
+ * Distance in Chroma's conventions for the collection's `hnsw:space`:
+ * cosine → 1 - cos, ip → 1 - dot, l2 → squared euclidean
+ */
+function distance(space, query, queryNorm, vector, vectorNorm) {
+  let dot = 0;
+  if (space === 'l2') {
+    let sum = 0;
+    for (let i = 0; i < query.length; i++) {
+      const diff = query[i] - vector[i];
+      sum += diff * diff;
+    }
+    return sum;
+  }
+  for (let i = 0; i < query.length; i++) dot += query[i] * vector[i];
+  if (space === 'ip') return 1 - dot;
+  if (queryNorm === 0 || vectorNorm === 0) return 1;
+  return 1 - dot / (queryNorm * vectorNorm);
+}
+
+// Embeddings travel through the change log as base64 Float32 bytes
+function encodeVector(vector) {
+  return Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength).toString('base64');
+}
+
+function decodeVector(encoded) {
+  // Copy into an aligned buffer so the Float32Array view is valid
+  return new Float32Array(new Uint8Array(Buffer.from(encoded, 'base64')).buffer);
+}
+
+// ============= Collection =============
+
+class EmbeddedCollection {
+  /**
+   * @param {Object} options
+   * @param {string} options.name
+   * @param {string} options.dir - Directory holding this collection's files
+   * @param {Object} [options.metadata] - Collection metadata (`hnsw:space` selects the distance)
+   * @param {number} [options.persistDelayMs] - Debounce for background saves
+   */
+  constructor({ name, dir, metadata = {}, persistDelayMs = DEFAULT_PERSIST_DELAY_MS }) {
+    this.name = name;
+    this.id = name;
+    this.metadata = metadata || {};
+    this._dir = dir;
+    this._persistDelayMs = persistDelayMs;
+
+    this._ids = [];
+    this._index = new Map();
+    this._vectors = [];
+    this._norms = [];
+    this._metadatas = [];
+    this._documents = [];
+    this._dimension = null;
+    this._generation = 0;
+    this._logFile = null;
+    this._logRecords = 0;
+
+    this._dirty = false;
+    // Ids written or deleted since the last save, and whether the next save must compact
+    this._pendingPuts = new Set();
+    this._pendingDeletes = new Set();
+    this._metadataChanged = false;
+    this._needsSnapshot = false;
+    this._persistTimer = null;
+    this._writeChain = Promise.resolve();
+    this._dropped = false;
+  }
+
+  get _space() {
+    return this.metadata?.['hnsw:space'] || 'l2';
+  }
+
+  // ============= Persistence =============
+
+  /**
+   * Load records from disk (no-op for a new collection)
+   */
+  async load() {
+    let header;
+    try {
+      header = JSON.parse(await fs.readFile(path.join(this._dir, COLLECTION_FILE), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw new Error(`Failed to read vector collection "${this.name}": ${error.message}`, {
+        cause: error
+      });
+    }
+
+    const count = header.ids?.length || 0;
+    const dimension = header.dimension || 0;
+    let buffer = Buffer.alloc(0);
+    if (count > 0 && dimension > 0) {
+      buffer = await fs.readFile(path.join(this._dir, header.vectorsFile));
+      if (buffer.length !== count * dimension * 4) {
+        throw new Error(
+          `Vector file for collection "${this.name}" is truncated (${buffer.length} bytes for ${count} records)`
+        );
+      }
+    }
+    // Copy into an aligned buffer so Float32Array views are valid
+    const floats = new Float32Array(new Uint8Array(buffer).buffer);
+
+    const rows = new Map();
+    (header.ids || []).forEach((id, row) => {
+      rows.set(id, {
+        vector: floats.slice(row * dimension, (row + 1) * dimension),
+        metadata: header.metadatas?.[row] ?? null,
+        document: header.documents?.[row] ?? null
+      });
+    });
+    // Version 1 stores have no change log; their first save writes one
+    this._logFile = header.logFile || null;
+    const metadata = this._logFile
+      ? await this._replayLog(path.join(this._dir, this._logFile), rows, header.metadata)
+      : header.metadata;
+
+    this.metadata = { ...metadata, ...this.metadata };
+    this._generation = header.generation || 0;
+    this._ids = Array.from(rows.keys());
+    const records = Array.from(rows.values());
+    this._vectors = records.map((record) => record.vector);
+    this._metadatas = records.map((record) => record.metadata);
+    this._documents = records.map((record) => record.document);
+    this._norms = this._vectors.map(norm);
+    this._dimension = this._vectors[0]?.length || null;
+    this._reindex();
+  }
+
+  /**
+   * Apply the change log on top of the snapshot rows. A put replaces the whole
+   * row, so replaying in order reproduces the row order held in memory.
+   * @private
+   * @param {string} logPath
+   * @param {Map<string, Object>} rows - Snapshot rows by id, updated in place
+   * @param {Object} metadata - Snapshot collection metadata
+   * @returns {Promise<Object>} Collection metadata after the log
+   */
+  async _replayLog(logPath, rows, metadata) {
+    let current = metadata;
+    let size;
+    let offset = 0;
+    let skipped = 0;
+    try {
+      // Open first so a missing log surfaces as ENOENT here rather than as a stream error
+      const handle = await fs.open(logPath, 'r');
+      size = (await handle.stat()).size;
+      const lines = readline.createInterface({
+        input: handle.createReadStream({ encoding: 'utf8' }),
+        crlfDelay: Infinity
+      });
+      for await (const line of lines) {
+        const next = offset + Buffer.byteLength(line) + 1;
+        // A last line without its newline is an append that never finished
+        if (next > size) continue;
+        offset = next;
+
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch {
+          skipped++;
+          continue;
+        }
+        if (record?.op === 'put' && record.id && record.vector) {
+          rows.set(record.id, {
+            vector: decodeVector(record.vector),
+            metadata: record.metadata ?? null,
+            document: record.document ?? null
+          });
+        } else if (record?.op === 'del' && record.id) {
+          rows.delete(record.id);
+        } else if (record?.op === 'meta' && record.metadata) {
+          current = record.metadata;
+        } else {
+          skipped++;
+          continue;
+        }
+        this._logRecords++;
+      }
+    } catch (error) {
+      if (error.code === 'ENOENT') return metadata;
+      throw error;
+    }
+
+    if (skipped > 0) {
+      logger.warn('[EmbeddedVectorStore] Skipped unreadable change log records', {
+        collection: this.name,
+        skipped
+      });
+    }
+    if (offset < size) {
+      // Cut the torn tail so later appends start on a line of their own
+      await fs.truncate(logPath, offset);
+      logger.warn('[EmbeddedVectorStore] Dropped a torn change log record', {
+        collection: this.name,
+        bytes: size - offset
+      });
+    }
+    return current;
+  }
+
+  _reindex() {
+    this._index = new Map(this._ids.map((id, row) => [id, row]));
+  }
+
+  _markDirty() {
+    this._dirty = true;
+    if (this._persistTimer || this._dropped) return;
+    this._persistTimer = setTimeout(() => {
+      this._persistTimer = null;
+      this.flush().catch((error) => {
+        logger.error('[EmbeddedVectorStore] Background save failed', {
+          collection: this.name,
+          error: error.message
+        });
+      });
+    }, this._persistDelayMs);
+    this._persistTimer.unref?.();
+  }
+
+  /**
+   * Write pending changes to disk now
+   * @returns {Promise<void>}
+   */
+  flush() {
+    if (this._persistTimer) {
+      clearTimeout(this._persistTimer);
+      this._persistTimer = null;
+    }
+    this._writeChain = this._writeChain.then(() => this._persist());
+    return this._writeChain;
+  }
+
+  async _persist() {
+    if (!this._dirty || this._dropped) return;
+    this._dirty = false;
+
+    const puts = this._pendingPuts;
+    const deletes = this._pendingDeletes;
+    const metadataChanged = this._metadataChanged;
+    this._pendingPuts = new Set();
+    this._pendingDeletes = new Set();
+    this._metadataChanged = false;
+
+    const compact =
+      !this._logFile ||
+      this._needsSnapshot ||
+      this._logRecords + puts.size + deletes.size >
+        Math.max(MIN_COMPACTION_RECORDS, this._ids.length / 2);
+    try {
+      await fs.mkdir(this._dir, { recursive: true });
+      if (compact) {
+        await this._writeSnapshot();
+      } else {
+        await this._appendChanges(puts, deletes, metadataChanged);
+      }
+    } catch (error) {
+      // The pending sets are gone and the log may end mid-record; a snapshot covers both
+      this._dirty = true;
+      this._needsSnapshot = true;
+      throw error;
+    }
+  }
+
+  /**
+   * Append the rows changed since the last save to the change log
+   * @private
+   */
+  async _appendChanges(puts, deletes, metadataChanged) {
+    // Build every record before the first await so later writes land in the next save
+    const records = [];
+    if (metadataChanged) records.push({ op: 'meta', metadata: this.metadata });
+    // Deletes first: an id deleted and re-added since the last save moved to the end
+    for (const id of deletes) records.push({ op: 'del', id });
+    const rows = Array.from(puts, (id) => this._index.get(id))
+      .filter((row) => row !== undefined)
+      .sort((a, b) => a - b);
+    for (const row of rows) {
+      records.push({
+        op: 'put',
+        id: this._ids[row],
+        vector: encodeVector(this._vectors[row]),
+        metadata: this._metadatas[row],
+        document: this._documents[row]
+      });
+    }
+    if (records.length === 0) return;
+
+    const text = records.map((record) => `${JSON.stringify(record)}\n`).join('');
+    await fs.appendFile(path.join(this._dir, this._logFile), text, 'utf8');
+    this._logRecords += records.length;
+  }
+
+  /**
+   * Compact everything into a new snapshot generation with an empty change log
+   * @private
+   */
+  async _writeSnapshot() {
+    const generation = this._generation + 1;
+    const vectorsFile = `vectors.${generation}.bin`;
+    const logFile = `changes.${generation}.log`;
+    const dimension = this._dimension || 0;
+    const floats = new Float32Array(this._ids.length * dimension);
+    this._vectors.forEach((vector, row) => floats.set(vector, row * dimension));
+    const header = {
+      version: STORE_VERSION,
+      name: this.name,
+      metadata: this.metadata,
+      generation,
+      dimension,
+      vectorsFile,
+      logFile,
+      ids: this._ids.slice(),
+      metadatas: this._metadatas.slice(),
+      documents: this._documents.slice()
+    };
+
+    const vectorsPath = path.join(this._dir, vectorsFile);
+    const tempPath = `${vectorsPath}.tmp.${Date.now()}`;
+    await fs.writeFile(tempPath, Buffer.from(floats.buffer));
+    await replaceFileWithRetry(tempPath, vectorsPath);
+    // Left over from a compaction that failed before its header was written
+    await safeUnlink(path.join(this._dir, logFile));
+    await atomicWriteFile(path.join(this._dir, COLLECTION_FILE), header);
+
+    const previous = this._generation;
+    const previousLog = this._logFile;
+    this._generation = generation;
+    this._logFile = logFile;
+    this._logRecords = 0;
+    this._needsSnapshot = false;
+    if (previous > 0) {
+      await safeUnlink(path.join(this._dir, `vectors.${previous}.bin`)).catch(() => {});
+    }
+    if (previousLog) {
+      await safeUnlink(path.join(this._dir, previousLog)).catch(() => {});
+    }
+  }
+
+  async _drop() {
+    this._dropped = true;
+    if (this._persistTimer) {
+      clearTimeout(this._persistTimer);
+      this._persistTimer = null;
+    }
+    await this._writeChain.catch(() => {});
+    await fs.rm(this._dir, { recursive: true, force: true });
+  }
+
+  // ============= Writes =============
+
+  _toVector(embedding, id) {
+    if (!embedding || typeof embedding.length !== 'number' || embedding.length === 0) {
+      throw new Error(`Missing embedding for id ${id}`);
+    }
+    if (this._dimension !== null && embedding.length !== this._dimension) {
+      // Same wording as the Chroma server so existing error handling applies
+      throw new Error(
+        `Collection expecting embedding with dimension of ${this._dimension}, got ${embedding.length}`
+      );
+    }
+    return Float32Array.from(embedding);
+  }
+
+  _validateBatch({ ids, embeddings, metadatas, documents }, { requireEmbeddings }) {
+    if (!Array.isArray(ids)) throw new Error('ids must be an array');
+    if (new Set(ids).size !== ids.length) {
+      throw new Error('Expected IDs to be unique, found duplicates');
+    }
+    for (const [field, values] of Object.entries({ embeddings, metadatas, documents })) {
+      if (values !== undefined && values !== null && values.length !== ids.length) {
+        throw new Error(`${field} must have the same length as ids`);
+      }
+    }
+    if (requireEmbeddings && !Array.isArray(embeddings)) {
+      throw new Error('embeddings are required');
+    }
+  }
+
+  _write(params, mode) {
+    const { ids, embeddings, metadatas, documents } = params;
+    this._validateBatch(params, { requireEmbeddings: mode !== 'update' });
+
+    // Validate every vector before changing anything, so a bad batch is all-or-nothing
+    const vectors = ids.map((id, i) => {
+      if (embeddings?.[i] !== undefined && embeddings?.[i] !== null) {
+        return this._toVector(embeddings[i], id);
+      }
+      // Only rows that already exist can keep the vector they have
+      if (mode !== 'update' && !this._index.has(id)) {
+        throw new Error(`Missing embedding for id ${id}`);
+      }
+      return null;
+    });
+    if (this._dimension === null) {
+      const first = vectors.find(Boolean);
+      if (first && vectors.some((vector) => vector && vector.length !== first.length)) {
+        throw new Error('All embeddings in a batch must have the same dimension');
+      }
+    }
+
+    let changed = false;
+    ids.forEach((id, i) => {
+      const row = this._index.get(id);
+      const exists = row !== undefined;
+      if ((mode === 'add' && exists) || (mode === 'update' && !exists)) return;
+
+      const vector = vectors[i];
+      if (this._dimension === null && vector) this._dimension = vector.length;
+
+      if (!exists) {
+        this._index.set(id, this._ids.length);
+        this._ids.push(id);
+        this._vectors.push(vector);
+        this._norms.push(norm(vector));
+        this._metadatas.push(metadatas?.[i] ? { ...metadatas[i] } : null);
+        this._documents.push(documents?.[i] ?? null);
+      } else {
+        if (vector) {
+          this._vectors[row] = vector;
+          this._norms[row] = norm(vector);
+        }
+        if (metadatas?.[i]) {
+          // Chroma merges metadata on update/upsert; null removes a key
+          const merged = { ...(this._metadatas[row] || {}) };
+          for (const [key, value] of Object.entries(metadatas[i])) {
+            if (value === null) delete merged[key];
+            else merged[key] = value;
+          }
+          this._metadatas[row] = merged;
+        }
+        if (documents?.[i] !== undefined && documents?.[i] !== null) {
+          this._documents[row] = documents[i];
+        }
+      }
+      this._pendingPuts.add(id);
+      changed = true;
+    });
+
+    if (changed) this._markDirty();
+  }
+
+  async add(params) {
+    this._write(params, 'add');
+  }
+
+  async upsert(params) {
+    this._write(params, 'upsert');
+  }
+
+  async update(params) {
+    this._write(params, 'update');
+  }
+
+  /**
+   * Delete by ids and/or filter
+   * @param {Object} [params]
+   * @param {string[]} [params.ids]
+   * @param {Object} [params.where]
+   * @param {Object} [params.whereDocument]
+   */
+  async delete({ ids, where, whereDocument } = {}) {
+    const rows = this._selectRows({ ids, where, whereDocument });
+    if (rows.length === 0) return;
+
+    const removed = new Set(rows);
+    for (const row of rows) {
+      this._pendingPuts.delete(this._ids[row]);
+      this._pendingDeletes.add(this._ids[row]);
+    }
+    const keep = (_, row) => !removed.has(row);
+    this._ids = this._ids.filter(keep);
+    this._vectors = this._vectors.filter(keep);
+    this._norms = this._norms.filter(keep);
+    this._metadatas = this._metadatas.filter(keep);
+    this._documents = this._documents.filter(keep);
+    this._reindex();
+    if (this._ids.length === 0) this._dimension = null;
+    this._markDirty();
+  }
+
+  async modify({ name, metadata } = {}) {
+    if (name && name !== this.name) {
+      throw new Error('Renaming embedded collections is not supported');
+    }
+    if (metadata) {
+      this.metadata = { ...this.metadata, ...metadata };
+      this._metadataChanged = true;
+      this._markDirty();
+    }
+  }
+
+  // ============= Reads =============
+
+  _selectRows({ ids, where, whereDocument }) {
+    const candidates = Array.isArray(ids)
+      ? ids.map((id) => this._index.get(id)).filter((row) => row !== undefined)
+      : this._ids.map((_, row) => row);
+    return candidates.filter(
+      (row) =>
+        matchesWhere(this._metadatas[row], where) &&
+        matchesWhereDocument(this._documents[row], whereDocument)
+    );
+  }
+
+  async count() {
+    return this._ids.length;
+  }
+
+  /**
+   * Fetch records (Chroma `get` shape: flat arrays, unrequested fields null)
+   * @param {Object} [params]
+   * @param {string[]} [params.ids]
+   * @param {Object} [params.where]
+   * @param {Object} [params.whereDocument]
+   * @param {number} [params.limit]
+   * @param {number} [params.offset]
+   * @param {string[]} [params.include] - Default `['metadatas', 'documents']`
+   */
+  async get({
+    ids,
+    where,
+    whereDocument,
+    limit,
+    offset = 0,
+    include = ['metadatas', 'documents']
+  } = {}) {
+    let rows = this._selectRows({ ids, where, whereDocument });
+    if (offset > 0 || Number.isFinite(limit)) {
+      rows = rows.slice(offset, Number.isFinite(limit) ? offset + limit : undefined);
+    }
+    const wants = new Set(include);
+    return {
+      ids: rows.map((row) => this._ids[row]),
+      embeddings: wants.has('embeddings')
+        ? rows.map((row) => Array.from(this._vectors[row]))
+        : null,
+      metadatas: wants.has('metadatas') ? rows.map((row) => this._metadatas[row]) : null,
+      documents: wants.has('documents') ? rows.map((row) => this._documents[row]) : null,
+      include
+    };
+  }
+
+  async peek({ limit = 10 } = {}) {
+    return this.get({ limit, include: ['embeddings', 'metadatas', 'documents'] });
+  }
+
+  /**
+   * Nearest-neighbour search (Chroma `query` shape: one array per query embedding)
+   * @param {Object} params
+   * @param {number[][]} params.queryEmbeddings
+   * @param {number} [params.nResults]
+   * @param {Object} [params.where]
+   * @param {Object} [params.whereDocument]
+   * @param {string[]} [params.ids] - Restrict the search to these ids
+   * @param {string[]} [params.include] - Default `['metadatas', 'documents', 'distances']`
+   */
+  async query({
+    queryEmbeddings,
+    nResults = 10,
+    where,
+    whereDocument,
+    ids,
+    include = ['metadatas', 'documents', 'distances']
+  } = {}) {
+    if (!Array.isArray(queryEmbeddings)) {
+      throw new Error('queryEmbeddings are required; embedded collections do not embed text');
+    }
+    const rows = this._selectRows({ ids, where, whereDocument });
+    const wants = new Set(include);
+    const result = {
+      ids: [],
+      distances: wants.has('distances') ? [] : null,
+      metadatas: wants.has('metadatas') ? [] : null,
+      documents: wants.has('documents') ? [] : null,
+      embeddings: wants.has('embeddings') ? [] : null,
+      include
+    };
+
+    for (const embedding of queryEmbeddings) {
+      if (this._dimension !== null && embedding.length !== this._dimension) {
+        throw new Error(
+          `Collection expecting embedding with dimension of ${this._dimension}, got ${embedding.length}`
+        );
+      }
+      const queryNorm = norm(embedding);
+      const ranked = rows
+        .map((row) => ({
+          row,
+          distance: distance(
+            this._space,
+            embedding,
+            queryNorm,
+            this._vectors[row],
+            this._norms[row]
+          )
+        }))
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, Math.max(0, nResults));
+
+      result.ids.push(ranked.map(({ row }) => this._ids[row]));
+      result.distances?.push(ranked.map(({ distance: d }) => d));
+      result.metadatas?.push(ranked.map(({ row }) => this._metadatas[row]));
+      result.documents?.push(ranked.map(({ row }) => this._documents[row]));
+      result.embeddings?.push(ranked.map(({ row }) => Array.from(this._vectors[row])));
+    }
+    return result;
+  }
+}
+
+// ============= Client =============
+
+class EmbeddedVectorClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.path - Root directory for all collections
+   * @param {number} [options.persistDelayMs] - Debounce for background saves
+   */
+  constructor({ path: rootPath, persistDelayMs = DEFAULT_PERSIST_DELAY_MS }) {
+    this.path = rootPath;
+    this._persistDelayMs = persistDelayMs;
+    this._collections = new Map();
+    this._loading = new Map();
+  }
+
+  _dirFor(name) {
+    if (typeof name !== 'string' || !VALID_NAME.test(name)) {
+      throw new Error(`Invalid collection name: ${name}`);
+    }
+    return path.join(this.path, name);
+  }
+
+  async _exists(name) {
+    try {
+      await fs.access(path.join(this._dirFor(name), COLLECTION_FILE));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async _open(name, metadata) {
+    if (this._collections.has(name)) return this._collections.get(name);
+    // Concurrent opens of the same collection share one load
+    if (!this._loading.has(name)) {
+      const collection = new EmbeddedCollection({
+        name,
+        dir: this._dirFor(name),
+        metadata,
+        persistDelayMs: this._persistDelayMs
+      });
+      const loading = collection
+        .load()
+        .then(() => {
+          this._collections.set(name, collection);
+          return collection;
+        })
+        .finally(() => this._loading.delete(name));
+      this._loading.set(name, loading);
+    }
+    return this._loading.get(name);
+  }
+
+  /**
+   * Mirrors ChromaClient.heartbeat() so health checks work unchanged
+   */
+  async heartbeat() {
+    return { 'nanosecond heartbeat': Date.now() * 1e6 };
+  }
+
+  async getOrCreateCollection({ name, metadata } = {}) {
+    const existed = this._collections.has(name) || (await this._exists(name));
+    const collection = await this._open(name, metadata);
+    if (!existed) {
+      collection._markDirty();
+      await collection.flush();
+    }
+    return collection;
+  }
+
+  async getCollection({ name } = {}) {
+    if (!this._collections.has(name) && !(await this._exists(name))) {
+      throw createNotFoundError(name);
+    }
+    return this._open(name);
+  }
+
+  async createCollection({ name, metadata } = {}) {
+    if (this._collections.has(name) || (await this._exists(name))) {
+      throw new Error(`Collection ${name} already exists`);
+    }
+    return this.getOrCreateCollection({ name, metadata });
+  }
+
+  async deleteCollection({ name } = {}) {
+    const dir = this._dirFor(name);
+    const collection = this._collections.get(name) || (await this._loading.get(name));
+    this._collections.delete(name);
+    if (collection) {
+      await collection._drop();
+    } else {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  }
+
+  async listCollections() {
+    let entries = [];
+    try {
+      entries = await fs.readdir(this.path, { withFileTypes: true });
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    const names = [];
+    for (const entry of entries) {
+      if (entry.isDirectory() && VALID_NAME.test(entry.name) && (await this._exists(entry.name))) {
+        names.push(entry.name);
+      }
+    }
+    return Promise.all(names.map((name) => this._open(name)));
+  }
+
+  /**
+   * Flush every open collection to disk
+   */
+  async close() {
+    const collections = [...this._collections.values()];
+    await Promise.all(collections.map((collection) => collection.flush()));
+  }
+}
+
+module.exports = {
+  EmbeddedVectorClient,
+  EmbeddedCollection,
+  matchesWhere,
+  matchesWhereDocument
+};
@@ -141,13 +141,15 @@ async function batchUpsertFileChunks({ chunks, chunkCollection }) {
  * @param {Array<number>} params.queryEmbedding
  * @param {number} params.topK
  * @param {Object} params.chunkCollection
+ * @param {string[]} [params.fileIds] - Only consider chunks of these files
  * @returns {Promise<Array<{id: string, score: number, distance: number, metadata: Object, document: string}>>}
  */
-async function querySimilarFileChunks({ queryEmbedding, topK = 20, chunkCollection }) {
+async function querySimilarFileChunks({ queryEmbedding, topK = 20, chunkCollection, fileIds }) {
   try {
     const results = await chunkCollection.query({
       queryEmbeddings: [queryEmbedding],
-      nResults: topK
+      nResults: topK,
+      ...(Array.isArray(fileIds) && { where: { fileId: { $in: fileIds } } })
     });
 
     const ids = results.ids?.[0] || [];
@@ -0,0 +1,90 @@
+/**
+ * ChromaDB → Embedded Store Migration
+ *
+ * Copies collections (ids, embeddings, metadata, documents) from a ChromaDB
+ * server into the embedded vector store. Copying is an upsert, so re-running
+ * after a partial migration is safe; the source is never modified.
+ */
+
+const { createLogger } = require('../../../shared/logger');
+
+const logger = createLogger('ChromaDB:EmbeddedMigration');
+
+const DEFAULT_BATCH_SIZE = 500;
+
+function isNotFound(error) {
+  const message = String(error?.message || '').toLowerCase();
+  return (
+    error?.name === 'ChromaNotFoundError' ||
+    message.includes('not found') ||
+    message.includes('does not exist')
+  );
+}
+
+/**
+ * Copy collections between two clients exposing the Chroma collection API
+ *
+ * @param {Object} options
+ * @param {Object} options.sourceClient - ChromaClient to read from
+ * @param {Object} options.targetClient - EmbeddedVectorClient to write to
+ * @param {string[]} options.collectionNames
+ * @param {number} [options.batchSize]
+ * @param {Function} [options.onProgress] - ({ collection, copied, total }) => void
+ * @returns {Promise<{collections: Object<string, {copied: number, skipped?: string}>, totalCopied: number}>}
+ */
+async function copyChromaCollections({
+  sourceClient,
+  targetClient,
+  collectionNames,
+  batchSize = DEFAULT_BATCH_SIZE,
+  onProgress
+}) {
+  const collections = {};
+  let totalCopied = 0;
+
+  for (const name of collectionNames) {
+    let source;
+    try {
+      source = await sourceClient.getCollection({ name });
+    } catch (error) {
+      if (!isNotFound(error)) throw error;
+      collections[name] = { copied: 0, skipped: 'missing in source' };
+      continue;
+    }
+
+    const total = await source.count();
+    const target = await targetClient.getOrCreateCollection({
+      name,
+      metadata: source.metadata || undefined
+    });
+
+    let copied = 0;
+    while (copied < total) {
+      const page = await source.get({
+        limit: batchSize,
+        offset: copied,
+        include: ['embeddings', 'metadatas', 'documents']
+      });
+      const ids = page?.ids || [];
+      if (ids.length === 0) break;
+
+      await target.upsert({
+        ids,
+        embeddings: page.embeddings,
+        metadatas: page.metadatas?.map((meta) => meta || {}),
+        documents: page.documents?.map((doc) => doc ?? '')
+      });
+      copied += ids.length;
+      onProgress?.({ collection: name, copied, total });
+    }
+
+    await targetClient.close?.();
+    collections[name] = { copied };
+    totalCopied += copied;
+    logger.info('[Migration] Copied collection', { collection: name, copied, total });
+  }
+
+  return { collections, totalCopied };
+}
+
+module.exports = { copyChromaCollections };
@@ -460,9 +460,10 @@ async function updateFilePaths({ pathUpdates, fileCollection, queryCache }) {
  * @param {Array} params.queryEmbedding - The embedding vector to search for
  * @param {number} params.topK - Number of results to return
  * @param {Object} params.fileCollection - ChromaDB file collection
+ * @param {string[]} [params.filterIds] - Only consider these file ids
  * @returns {Promise<Array>} Similar files with scores
  */
-async function querySimilarFiles({ queryEmbedding, topK = 10, fileCollection }) {
+async function querySimilarFiles({ queryEmbedding, topK = 10, fileCollection, filterIds }) {
   try {
     // Check collection count before querying
     const count = await fileCollection.count();
@@ -473,10 +474,12 @@ async function querySimilarFiles({ queryEmbedding, topK = 10, fileCollection })
       return [];
     }
 
-    const results = await fileCollection.query({
-      queryEmbeddings: [queryEmbedding],
-      nResults: topK
-    });
+    const query = { queryEmbeddings: [queryEmbedding], nResults: topK };
+    if (Array.isArray(filterIds)) {
+      query.ids = filterIds;
+      query.nResults = Math.min(topK, filterIds.length);
+    }
+    const results = await fileCollection.query(query);
 
     if (!results.ids || !results.ids[0] || results.ids[0].length === 0) {
       logger.debug('[FileOps] Query returned no matching results');
@@ -0,0 +1,86 @@
+/**
+ * Vector Store Backend Selection
+ *
+ * Resolves which vector store ChromaDBServiceCore talks to. The choice is read
+ * once at startup (before ChromaDB would be spawned) and cached; changing the
+ * setting takes effect on the next launch.
+ *
+ * Precedence: STRATOSORT_VECTOR_STORE env var > `vectorStoreBackend` setting > 'chromadb'
+ */
+
+const path = require('path');
+const { app } = require('electron');
+const { VECTOR_STORE_BACKENDS } = require('../../../shared/validationConstants');
+const { createLogger } = require('../../../shared/logger');
+
+const logger = createLogger('VectorStoreBackend');
+
+const DEFAULT_BACKEND = 'chromadb';
+const EMBEDDED_STORE_DIRNAME = 'vector-store';
+
+let configuredBackend = null;
+
+function normalizeBackend(value) {
+  const normalized = typeof value === 'string' ? value.trim().toLowerCase() : '';
+  return VECTOR_STORE_BACKENDS.includes(normalized) ? normalized : null;
+}
+
+/**
+ * Record the configured backend (from settings)
+ * @param {string} backend
+ */
+function setVectorStoreBackend(backend) {
+  configuredBackend = normalizeBackend(backend);
+}
+
+/**
+ * Get the active backend
+ * @returns {'chromadb'|'embedded'}
+ */
+function getVectorStoreBackend() {
+  return (
+    normalizeBackend(process.env.STRATOSORT_VECTOR_STORE) || configuredBackend || DEFAULT_BACKEND
+  );
+}
+
+/**
+ * Read the backend from settings (cached after the first successful read)
+ * @returns {Promise<'chromadb'|'embedded'>}
+ */
+async function loadVectorStoreBackend() {
+  if (configuredBackend === null) {
+    try {
+      const { getInstance: getSettingsService } = require('../SettingsService');
+      const settings = await getSettingsService().load();
+      setVectorStoreBackend(settings?.vectorStoreBackend);
+    } catch (error) {
+      logger.warn('[VectorStore] Could not read backend setting, using default', {
+        error: error.message
+      });
+    }
+  }
+  return getVectorStoreBackend();
+}
+
+/**
+ * @returns {boolean} True when the in-process store is selected
+ */
+function isEmbeddedVectorStore() {
+  return getVectorStoreBackend() === 'embedded';
+}
+
+/**
+ * Directory holding the embedded store's collections
+ * @returns {string}
+ */
+function getEmbeddedStorePath() {
+  return path.join(app.getPath('userData'), EMBEDDED_STORE_DIRNAME);
+}
+
+module.exports = {
+  setVectorStoreBackend,
+  getVectorStoreBackend,
+  loadVectorStoreBackend,
+  isEmbeddedVectorStore,
+  getEmbeddedStorePath
+};
@@ -0,0 +1,95 @@
+/**
+ * LLMRouter - Ollama-shaped client that routes each call to its role's provider
+ *
+ * Returned by ollamaUtils.getOllama() once any role uses another provider, so
+ * every existing caller (and the OllamaClient retry/circuit breaker/offline
+ * queue wrapper) keeps working unchanged while requests go to the configured
+ * backend:
+ * - generate/chat with images → vision provider, otherwise text provider
+ * - embed → embedding provider
+ * - list → models of every provider in use, tagged with `provider`
+ * - pull/show/delete → always Ollama (model management is Ollama-only)
+ *
+ * @module services/llmProviders/LLMRouter
+ */
+
+const { LLM_PROVIDERS, LLM_ROLES } = require('../../../shared/llmProviders');
+const { getRoleProviderId, getOpenAICompatibleProvider } = require('./providerRegistry');
+
+function hasImages(images) {
+  return Array.isArray(images) && images.length > 0;
+}
+
+class LLMRouter {
+  /**
+   * @param {Object} options
+   * @param {import('./OllamaProvider').OllamaProvider} options.ollamaProvider
+   */
+  constructor({ ollamaProvider }) {
+    this.ollamaProvider = ollamaProvider;
+  }
+
+  /**
+   * @param {'text'|'vision'|'embedding'} role
+   * @returns {Object} Provider serving the role
+   */
+  getProvider(role) {
+    return getRoleProviderId(role) === LLM_PROVIDERS.OPENAI_COMPATIBLE
+      ? getOpenAICompatibleProvider()
+      : this.ollamaProvider;
+  }
+
+  generate(request) {
+    return this.getProvider(hasImages(request?.images) ? 'vision' : 'text').generate(request);
+  }
+
+  chat(request) {
+    const isVision = (request?.messages || []).some((message) => hasImages(message?.images));
+    return this.getProvider(isVision ? 'vision' : 'text').chat(request);
+  }
+
+  embed(request) {
+    return this.getProvider('embedding').embed(request);
+  }
+
+  /**
+   * List models from every provider in use. Fails only when all of them
+   * fail; partial failures are reported in `errors`.
+   * @returns {Promise<{models: Array, errors?: Array<{provider: string, error: string}>}>}
+   */
+  async list() {
+    const providers = [...new Set(LLM_ROLES.map((role) => this.getProvider(role)))];
+    const results = await Promise.allSettled(providers.map((provider) => provider.list()));
+
+    const failures = results.filter((result) => result.status === 'rejected');
+    if (failures.length === results.length) {
+      throw failures[0].reason;
+    }
+
+    const models = results.flatMap((result) =>
+      result.status === 'fulfilled' ? result.value?.models || [] : []
+    );
+    const errors = results
+      .map((result, index) =>
+        result.status === 'rejected'
+          ? { provider: providers[index].id, error: result.reason?.message || 'Unknown error' }
+          : null
+      )
+      .filter(Boolean);
+    return errors.length > 0 ? { models, errors } : { models };
+  }
+
+  pull(request) {
+    return this.ollamaProvider.pull(request);
+  }
+
+  show(request) {
+    return this.ollamaProvider.show(request);
+  }
+
+  delete(request) {
+    return this.ollamaProvider.delete(request);
+  }
+}
+
+module.exports = { LLMRouter };
@@ -0,0 +1,63 @@
+/**
+ * OllamaProvider - LLM provider backed by Ollama's native API
+ *
+ * The rest of the app speaks Ollama's request/response shapes, so this
+ * provider is a thin pass-through to the shared `ollama` client. It stays
+ * lazy (`getClient`) because ollamaUtils recreates the client whenever the
+ * host changes.
+ *
+ * @module services/llmProviders/OllamaProvider
+ */
+
+const { LLM_PROVIDERS } = require('../../../shared/llmProviders');
+
+class OllamaProvider {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getClient - Returns the current `ollama` client instance
+   */
+  constructor({ getClient }) {
+    this.id = LLM_PROVIDERS.OLLAMA;
+    this._getClient = getClient;
+  }
+
+  get client() {
+    return this._getClient();
+  }
+
+  generate(request) {
+    return this.client.generate(request);
+  }
+
+  chat(request) {
+    return this.client.chat(request);
+  }
+
+  embed(request) {
+    return this.client.embed(request);
+  }
+
+  /**
+   * List installed models, tagged with this provider's id
+   * @returns {Promise<{models: Array}>}
+   */
+  async list() {
+    const response = await this.client.list();
+    const models = Array.isArray(response?.models) ? response.models : [];
+    return { ...response, models: models.map((model) => ({ ...model, provider: this.id })) };
+  }
+
+  pull(request) {
+    return this.client.pull(request);
+  }
+
+  show(request) {
+    return this.client.show(request);
+  }
+
+  delete(request) {
+    return this.client.delete(request);
+  }
+}
+
+module.exports = { OllamaProvider };
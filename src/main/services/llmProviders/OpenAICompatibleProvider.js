@@ -0,0 +1,386 @@
+/**
+ * OpenAICompatibleProvider - LLM provider for servers exposing the OpenAI `/v1` API
+ *
+ * Covers llama.cpp `server`, LM Studio, vLLM and LocalAI. Requests and
+ * responses are translated to and from Ollama's shapes so callers (and the
+ * retry, circuit breaker and offline queue layers in OllamaClient) do not
+ * need to know which backend served them:
+ * - generate → POST /chat/completions (system + user message, images as data URLs)
+ * - chat     → POST /chat/completions
+ * - embed    → POST /embeddings
+ * - list     → GET  /models
+ * Streaming responses are parsed from server-sent events into Ollama-style
+ * chunks and can be cancelled with `abort()`, like the ollama client's streams.
+ *
+ * @module services/llmProviders/OpenAICompatibleProvider
+ */
+
+const { createLogger } = require('../../../shared/logger');
+const { LLM_PROVIDERS } = require('../../../shared/llmProviders');
+
+const logger = createLogger('OpenAICompatibleProvider');
+
+/** Ollama `options` that have an OpenAI equivalent */
+const OPTION_MAP = {
+  temperature: 'temperature',
+  top_p: 'top_p',
+  num_predict: 'max_tokens',
+  stop: 'stop',
+  seed: 'seed',
+  presence_penalty: 'presence_penalty',
+  frequency_penalty: 'frequency_penalty'
+};
+
+function detectImageMime(base64) {
+  if (base64.startsWith('iVBOR')) return 'image/png';
+  if (base64.startsWith('R0lGOD')) return 'image/gif';
+  if (base64.startsWith('UklGR')) return 'image/webp';
+  return 'image/jpeg';
+}
+
+function toImageUrl(image) {
+  if (typeof image === 'string' && image.startsWith('data:')) return image;
+  const base64 = typeof image === 'string' ? image : Buffer.from(image).toString('base64');
+  return `data:${detectImageMime(base64)};base64,${base64}`;
+}
+
+function toMessageContent(text, images) {
+  if (!Array.isArray(images) || images.length === 0) return text || '';
+  return [
+    { type: 'text', text: text || '' },
+    ...images.map((image) => ({ type: 'image_url', image_url: { url: toImageUrl(image) } }))
+  ];
+}
+
+function toIsoTime(created) {
+  return new Date(Number.isFinite(created) ? created * 1000 : Date.now()).toISOString();
+}
+
+function createResponseError(status, message) {
+  const error = new Error(message || `HTTP ${status}`);
+  error.name = 'ResponseError';
+  // `status` drives isRetryableError; `status_code` mirrors the ollama client's errors
+  error.status = status;
+  error.status_code = status;
+  return error;
+}
+
+class OpenAICompatibleProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.baseUrl - Base URL including the `/v1` path
+   * @param {string} [options.apiKey] - Sent as a bearer token when set
+   * @param {Function} [options.fetch] - fetch implementation (defaults to global fetch)
+   */
+  constructor({ baseUrl, apiKey = '', fetch: fetchImpl } = {}) {
+    this.id = LLM_PROVIDERS.OPENAI_COMPATIBLE;
+    this.baseUrl = String(baseUrl || '').replace(/\/+$/, '');
+    this.apiKey = apiKey || '';
+    this._fetch = fetchImpl || ((...args) => global.fetch(...args));
+    // Some servers (e.g. LM Studio) reject `json_object`; remember once it fails
+    this._jsonModeUnsupported = false;
+  }
+
+  // ============= HTTP =============
+
+  async _request(path, { method = 'POST', body, signal } = {}) {
+    const headers = { Accept: 'application/json' };
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+    const response = await this._fetch(`${this.baseUrl}${path}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body),
+      signal
+    });
+
+    if (!response.ok) {
+      let message = `HTTP ${response.status}: ${response.statusText || 'request failed'}`;
+      try {
+        const text = await response.text();
+        const parsed = JSON.parse(text);
+        const detail = parsed?.error?.message || parsed?.error || parsed?.message || parsed?.detail;
+        if (typeof detail === 'string' && detail) message = detail;
+      } catch {
+        // Keep the status-based message for non-JSON error bodies
+      }
+      throw createResponseError(response.status, message);
+    }
+    return response;
+  }
+
+  async _requestJson(path, options) {
+    const response = await this._request(path, options);
+    return response.json();
+  }
+
+  // ============= REQUEST MAPPING =============
+
+  _buildCompletionBody(request, messages) {
+    const body = { model: request.model, messages, stream: Boolean(request.stream) };
+
+    for (const [ollamaKey, openaiKey] of Object.entries(OPTION_MAP)) {
+      const value = request.options?.[ollamaKey];
+      if (value === undefined || value === null) continue;
+      // num_predict of -1/-2 means "until done" in Ollama
+      if (ollamaKey === 'num_predict' && !(value > 0)) continue;
+      body[openaiKey] = value;
+    }
+
+    if (request.format && !this._jsonModeUnsupported) {
+      body.response_format =
+        typeof request.format === 'object'
+          ? { type: 'json_schema', json_schema: { name: 'response', schema: request.format } }
+          : { type: 'json_object' };
+    }
+    if (Array.isArray(request.tools) && request.tools.length > 0) {
+      body.tools = request.tools;
+      if (request.tool_choice) body.tool_choice = request.tool_choice;
+    }
+    return body;
+  }
+
+  _toOpenAIMessages(messages) {
+    return (Array.isArray(messages) ? messages : []).map((message) => {
+      const mapped = {
+        role: message.role,
+        content: toMessageContent(message.content, message.images)
+      };
+      if (Array.isArray(message.tool_calls) && message.tool_calls.length > 0) {
+        mapped.tool_calls = message.tool_calls.map((call, index) => ({
+          id: call.id || `call_${index}`,
+          type: 'function',
+          function: {
+            name: call.function?.name,
+            arguments:
+              typeof call.function?.arguments === 'string'
+                ? call.function.arguments
+                : JSON.stringify(call.function?.arguments || {})
+          }
+        }));
+      }
+      return mapped;
+    });
+  }
+
+  async _postCompletion(body, signal) {
+    try {
+      return await this._request('/chat/completions', { body, signal });
+    } catch (error) {
+      if (
+        body.response_format &&
+        error.status === 400 &&
+        /response_format|json/i.test(error.message)
+      ) {
+        // The prompts already ask for JSON and responses go through JSON repair
+        this._jsonModeUnsupported = true;
+        logger.info('[OpenAICompatibleProvider] Server rejected JSON mode, retrying without it', {
+          baseUrl: this.baseUrl,
+          error: error.message
+        });
+        const { response_format: _responseFormat, ...rest } = body;
+        return this._request('/chat/completions', { body: rest, signal });
+      }
+      throw error;
+    }
+  }
+
+  // ============= RESPONSE MAPPING =============
+
+  _messageText(message) {
+    if (typeof message?.content === 'string' && message.content) return message.content;
+    if (Array.isArray(message?.content)) {
+      return message.content
+        .map((part) => (typeof part === 'string' ? part : part?.text || ''))
+        .join('');
+    }
+    // Forced tool calls carry the structured answer in the arguments
+    return message?.tool_calls?.[0]?.function?.arguments || '';
+  }
+
+  _completionMeta(data, request) {
+    const choice = data?.choices?.[0] || {};
+    return {
+      model: data?.model || request.model,
+      created_at: toIsoTime(data?.created),
+      done: true,
+      done_reason: choice.finish_reason || 'stop',
+      prompt_eval_count: data?.usage?.prompt_tokens,
+      eval_count: data?.usage?.completion_tokens
+    };
+  }
+
+  /**
+   * Wrap a streaming response as an async iterable of Ollama-style chunks
+   * @param {Response} response - Streaming fetch response
+   * @param {AbortController} controller - Aborts the underlying request
+   * @param {Function} toChunk - Maps (delta, choice, data) to an Ollama chunk
+   */
+  _createStream(response, controller, toChunk) {
+    async function* iterate() {
+      const decoder = new TextDecoder();
+      let buffer = '';
+      let finishReason = null;
+      let model = null;
+
+      const handleLine = (line) => {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) return null;
+        const payload = trimmed.slice(5).trim();
+        if (!payload || payload === '[DONE]') return null;
+        let data;
+        try {
+          data = JSON.parse(payload);
+        } catch {
+          return null;
+        }
+        if (data?.error) {
+          throw createResponseError(500, data.error.message || String(data.error));
+        }
+        model = data?.model || model;
+        const choice = data?.choices?.[0];
+        if (choice?.finish_reason) finishReason = choice.finish_reason;
+        const delta = choice?.delta?.content;
+        return typeof delta === 'string' && delta ? toChunk(delta, model) : null;
+      };
+
+      for await (const bytes of response.body) {
+        buffer += decoder.decode(bytes, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+          const chunk = handleLine(line);
+          if (chunk) yield chunk;
+        }
+      }
+      const tail = handleLine(buffer);
+      if (tail) yield tail;
+
+      yield { ...toChunk('', model), done: true, done_reason: finishReason || 'stop' };
+    }
+
+    const iterator = iterate();
+    return {
+      [Symbol.asyncIterator]: () => iterator,
+      abort: () => controller.abort()
+    };
+  }
+
+  async _complete(request, messages, toResult, toChunk) {
+    const body = this._buildCompletionBody(request, messages);
+    if (!request.stream) {
+      const response = await this._postCompletion(body, request.signal);
+      const data = await response.json();
+      return toResult(data);
+    }
+
+    const controller = new AbortController();
+    if (request.signal) {
+      if (request.signal.aborted) controller.abort();
+      else request.signal.addEventListener('abort', () => controller.abort(), { once: true });
+    }
+    const response = await this._postCompletion(body, controller.signal);
+    return this._createStream(response, controller, toChunk);
+  }
+
+  // ============= PROVIDER API =============
+
+  /**
+   * Ollama-style generate (prompt + optional system and images)
+   * @param {Object} request - Ollama generate request
+   * @returns {Promise<Object|AsyncIterable>} Ollama-style response, or a stream when `stream` is set
+   */
+  async generate(request) {
+    const messages = [];
+    if (request.system) messages.push({ role: 'system', content: request.system });
+    messages.push({ role: 'user', content: toMessageContent(request.prompt, request.images) });
+
+    return this._complete(
+      request,
+      messages,
+      (data) => ({
+        ...this._completionMeta(data, request),
+        response: this._messageText(data?.choices?.[0]?.message)
+      }),
+      (delta, model) => ({
+        model: model || request.model,
+        created_at: new Date().toISOString(),
+        response: delta,
+        done: false
+      })
+    );
+  }
+
+  /**
+   * Ollama-style chat
+   * @param {Object} request - Ollama chat request
+   * @returns {Promise<Object|AsyncIterable>}
+   */
+  async chat(request) {
+    return this._complete(
+      request,
+      this._toOpenAIMessages(request.messages),
+      (data) => {
+        const message = data?.choices?.[0]?.message || {};
+        return {
+          ...this._completionMeta(data, request),
+          message: {
+            role: 'assistant',
+            content: typeof message.content === 'string' ? message.content : '',
+            ...(Array.isArray(message.tool_calls) ? { tool_calls: message.tool_calls } : {})
+          }
+        };
+      },
+      (delta, model) => ({
+        model: model || request.model,
+        created_at: new Date().toISOString(),
+        message: { role: 'assistant', content: delta },
+        done: false
+      })
+    );
+  }
+
+  /**
+   * Ollama-style embed
+   * @param {Object} request - `{ model, input }` where input is a string or array of strings
+   * @returns {Promise<{model: string, embeddings: number[][]}>}
+   */
+  async embed(request) {
+    const data = await this._requestJson('/embeddings', {
+      body: { model: request.model, input: request.input },
+      signal: request.signal
+    });
+    const rows = Array.isArray(data?.data) ? data.data.slice() : [];
+    rows.sort((a, b) => (a?.index ?? 0) - (b?.index ?? 0));
+    return {
+      model: data?.model || request.model,
+      embeddings: rows.map((row) => row?.embedding || []),
+      prompt_eval_count: data?.usage?.prompt_tokens
+    };
+  }
+
+  /**
+   * List models served by this server, in Ollama's `list()` shape
+   * @returns {Promise<{models: Array}>}
+   */
+  async list() {
+    const data = await this._requestJson('/models', { method: 'GET' });
+    const rows = Array.isArray(data?.data) ? data.data : Array.isArray(data) ? data : [];
+    return {
+      models: rows
+        .filter((row) => row && typeof row.id === 'string')
+        .map((row) => ({
+          name: row.id,
+          model: row.id,
+          modified_at: Number.isFinite(row.created) ? toIsoTime(row.created) : null,
+          size: 0,
+          digest: '',
+          details: { owned_by: row.owned_by || null },
+          provider: this.id
+        }))
+    };
+  }
+}
+
+module.exports = { OpenAICompatibleProvider };
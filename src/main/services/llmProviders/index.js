@@ -0,0 +1,27 @@
+/**
+ * LLM provider layer
+ *
+ * @module services/llmProviders
+ */
+
+const { OllamaProvider } = require('./OllamaProvider');
+const { OpenAICompatibleProvider } = require('./OpenAICompatibleProvider');
+const { LLMRouter } = require('./LLMRouter');
+const {
+  setProviderConfig,
+  getActiveProviderConfig,
+  getRoleProviderId,
+  isOllamaInUse,
+  getOpenAICompatibleProvider
+} = require('./providerRegistry');
+
+module.exports = {
+  OllamaProvider,
+  OpenAICompatibleProvider,
+  LLMRouter,
+  setProviderConfig,
+  getActiveProviderConfig,
+  getRoleProviderId,
+  isOllamaInUse,
+  getOpenAICompatibleProvider
+};
@@ -0,0 +1,89 @@
+/**
+ * Provider registry - which provider serves each model role
+ *
+ * Holds the active provider configuration (loaded from settings by
+ * ollamaUtils and updated by OllamaService.updateConfig) and the shared
+ * OpenAI-compatible provider instance, recreated when its URL or key change.
+ *
+ * @module services/llmProviders/providerRegistry
+ */
+
+const { createLogger } = require('../../../shared/logger');
+const { LLM_PROVIDERS, LLM_ROLES, getProviderConfig } = require('../../../shared/llmProviders');
+const { OpenAICompatibleProvider } = require('./OpenAICompatibleProvider');
+
+const logger = createLogger('LLMProviders');
+
+let activeConfig = getProviderConfig({});
+let openaiProvider = null;
+
+/**
+ * Replace the active provider configuration
+ * @param {Object} config - Shape of shared/llmProviders getProviderConfig()
+ * @returns {{changedRoles: string[], connectionChanged: boolean}}
+ */
+function setProviderConfig(config) {
+  const next = getProviderConfig({
+    textProvider: config?.text,
+    visionProvider: config?.vision,
+    embeddingProvider: config?.embedding,
+    openaiCompatibleHost: config?.openaiCompatibleHost,
+    openaiCompatibleApiKey: config?.openaiCompatibleApiKey
+  });
+  const changedRoles = LLM_ROLES.filter((role) => next[role] !== activeConfig[role]);
+  const connectionChanged =
+    next.openaiCompatibleHost !== activeConfig.openaiCompatibleHost ||
+    next.openaiCompatibleApiKey !== activeConfig.openaiCompatibleApiKey;
+
+  activeConfig = next;
+  if (connectionChanged) openaiProvider = null;
+  if (changedRoles.length > 0 || connectionChanged) {
+    logger.info('[LLMProviders] Provider configuration updated', {
+      text: next.text,
+      vision: next.vision,
+      embedding: next.embedding,
+      openaiCompatibleHost: next.openaiCompatibleHost
+    });
+  }
+  return { changedRoles, connectionChanged };
+}
+
+/**
+ * @returns {Object} Copy of the active provider configuration
+ */
+function getActiveProviderConfig() {
+  return { ...activeConfig };
+}
+
+/**
+ * @param {'text'|'vision'|'embedding'} role
+ * @returns {string} Provider id serving the role
+ */
+function getRoleProviderId(role) {
+  return activeConfig[role] || LLM_PROVIDERS.OLLAMA;
+}
+
+/**
+ * @returns {boolean} True when at least one role is served by Ollama
+ */
+function isOllamaInUse() {
+  return LLM_ROLES.some((role) => getRoleProviderId(role) === LLM_PROVIDERS.OLLAMA);
+}
+
+function getOpenAICompatibleProvider() {
+  if (!openaiProvider) {
+    openaiProvider = new OpenAICompatibleProvider({
+      baseUrl: activeConfig.openaiCompatibleHost,
+      apiKey: activeConfig.openaiCompatibleApiKey
+    });
+  }
+  return openaiProvider;
+}
+
+module.exports = {
+  setProviderConfig,
+  getActiveProviderConfig,
+  getRoleProviderId,
+  isOllamaInUse,
+  getOpenAICompatibleProvider
+};
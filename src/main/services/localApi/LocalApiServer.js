@@ -0,0 +1,323 @@
+/**
+ * LocalApiServer
+ *
+ * Opt-in HTTP API bound to 127.0.0.1 so launchers, editor plugins and scripts
+ * can query the index. Controlled by the `localApiEnabled` / `localApiPort`
+ * settings and started or stopped as they change.
+ *
+ * - every endpoint except /health and /openapi.json needs the bearer token,
+ *   which is kept in userData (not in settings, so it is not exported)
+ * - the Host header must name the loopback address, which blocks DNS
+ *   rebinding from web pages; no CORS headers are sent
+ * - each endpoint has its own SlidingWindowRateLimiter
+ *
+ * @module services/localApi/LocalApiServer
+ */
+
+const http = require('http');
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const { app } = require('electron');
+const { createLogger } = require('../../../shared/logger');
+const { SlidingWindowRateLimiter } = require('../../../shared/RateLimiter');
+const { DEFAULT_SETTINGS } = require('../../../shared/defaultSettings');
+const { atomicWriteFile, loadJsonFile } = require('../../../shared/atomicFile');
+const { invokeHandler } = require('../../core/ipcRegistry');
+const { createRoutes, ApiError } = require('./routes');
+const { buildOpenApiSpec } = require('./openApi');
+
+const logger = createLogger('LocalApiServer');
+
+const HOST = '127.0.0.1';
+const TOKEN_FILENAME = 'local-api.json';
+const MAX_BODY_BYTES = 64 * 1024;
+
+// API callers have no renderer to receive progress events
+const API_EVENT = Object.freeze({ sender: null });
+
+function generateToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function tokensMatch(expected, provided) {
+  if (typeof provided !== 'string') return false;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(provided);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+class LocalApiServer {
+  /**
+   * @param {Object} [deps]
+   * @param {Function} [deps.invoke] - (channel, ...args) => Promise; defaults to the IPC registry
+   * @param {string} [deps.tokenPath] - Token file location
+   * @param {string} [deps.version] - Reported by /health and the OpenAPI document
+   */
+  constructor({ invoke, tokenPath, version } = {}) {
+    this.invoke = invoke || ((channel, ...args) => invokeHandler(channel, API_EVENT, ...args));
+    this.tokenPath = tokenPath || path.join(app.getPath('userData'), TOKEN_FILENAME);
+    this.version = version || app.getVersion?.() || null;
+
+    this._server = null;
+    this._port = null; // Bound port (differs from the requested one only for port 0)
+    this._requestedPort = null;
+    this._token = null;
+    this._lastError = null;
+    this._desired = { enabled: false, port: DEFAULT_SETTINGS.localApiPort };
+    this._queue = Promise.resolve();
+
+    this.routes = createRoutes({
+      version: this.version,
+      getOpenApiSpec: () =>
+        buildOpenApiSpec(this.routes, {
+          port: this._port || this._desired.port,
+          version: this.version
+        })
+    });
+    this._limiters = new Map(
+      this.routes.map((route) => [
+        route,
+        new SlidingWindowRateLimiter(route.rateLimit.maxCalls, route.rateLimit.windowMs)
+      ])
+    );
+  }
+
+  /**
+   * Start, stop or move the server to match settings
+   * @param {Object} settings
+   * @returns {Promise<void>} Resolves once the change is applied
+   */
+  applySettings(settings = {}) {
+    const port = Number(settings.localApiPort);
+    this._desired = {
+      enabled: settings.localApiEnabled === true,
+      port: Number.isInteger(port) ? port : DEFAULT_SETTINGS.localApiPort
+    };
+    return this._enqueue(() => this._reconcile()).catch((error) => {
+      this._lastError = error.message;
+      logger.warn('[LocalApi] Failed to apply settings', { error: error.message });
+    });
+  }
+
+  /**
+   * @returns {Promise<{enabled: boolean, running: boolean, port: number, url: string|null, token: string, error: string|null}>}
+   */
+  async getStatus() {
+    const token = await this._loadToken();
+    const running = Boolean(this._server);
+    return {
+      enabled: this._desired.enabled,
+      running,
+      port: this._port || this._desired.port,
+      url: running ? `http://${HOST}:${this._port}/api/v1` : null,
+      token,
+      error: this._lastError
+    };
+  }
+
+  /**
+   * Replace the token; existing clients must pick up the new one
+   * @returns {Promise<string>}
+   */
+  async regenerateToken() {
+    this._token = generateToken();
+    await this._saveToken(this._token);
+    logger.info('[LocalApi] Token regenerated');
+    return this._token;
+  }
+
+  async shutdown() {
+    this._desired = { ...this._desired, enabled: false };
+    await this._enqueue(() => this._stop());
+  }
+
+  _enqueue(task) {
+    const run = this._queue.then(task, task);
+    this._queue = run.catch(() => {});
+    return run;
+  }
+
+  async _reconcile() {
+    const { enabled, port } = this._desired;
+    if (this._server && (!enabled || this._requestedPort !== port)) {
+      await this._stop();
+    }
+    if (enabled && !this._server) {
+      await this._start(port);
+    }
+  }
+
+  async _start(port) {
+    await this._loadToken();
+    const server = http.createServer((req, res) => {
+      this._handle(req, res).catch((error) => {
+        logger.error('[LocalApi] Unhandled request error', { error: error.message });
+        this._send(res, 500, { error: 'Internal error' });
+      });
+    });
+    server.keepAliveTimeout = 5000;
+
+    try {
+      await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, HOST, () => {
+          server.off('error', reject);
+          resolve();
+        });
+      });
+    } catch (error) {
+      this._lastError =
+        error.code === 'EADDRINUSE' ? `Port ${port} is already in use` : error.message;
+      logger.warn('[LocalApi] Failed to start', { port, error: error.message });
+      return;
+    }
+
+    server.on('error', (error) => {
+      logger.warn('[LocalApi] Server error', { error: error.message });
+    });
+    this._server = server;
+    this._port = server.address().port;
+    this._requestedPort = port;
+    this._lastError = null;
+    logger.info('[LocalApi] Listening', { url: `http://${HOST}:${this._port}` });
+  }
+
+  async _stop() {
+    const server = this._server;
+    if (!server) return;
+    this._server = null;
+    this._port = null;
+    this._requestedPort = null;
+    await new Promise((resolve) => {
+      server.close(() => resolve());
+      server.closeAllConnections?.();
+    });
+    logger.info('[LocalApi] Stopped');
+  }
+
+  async _loadToken() {
+    if (this._token) return this._token;
+    const stored = await loadJsonFile(this.tokenPath, { description: 'local API token' });
+    if (typeof stored?.token === 'string' && stored.token) {
+      this._token = stored.token;
+      return stored.token;
+    }
+    return this.regenerateToken();
+  }
+
+  async _saveToken(token) {
+    await atomicWriteFile(this.tokenPath, { token, createdAt: new Date().toISOString() });
+    try {
+      await fs.chmod(this.tokenPath, 0o600);
+    } catch {
+      // Not supported on every filesystem; the file is inside userData anyway
+    }
+  }
+
+  async _handle(req, res) {
+    const allowedHosts = [`${HOST}:${this._port}`, `localhost:${this._port}`];
+    if (!allowedHosts.includes(String(req.headers.host || '').toLowerCase())) {
+      this._send(res, 403, { error: 'Host not allowed' });
+      return;
+    }
+
+    const url = new URL(req.url, `http://${HOST}:${this._port}`);
+    const candidates = this.routes.filter((r) => r.path === url.pathname);
+    if (candidates.length === 0) {
+      this._send(res, 404, { error: 'Not found' });
+      return;
+    }
+    const route = candidates.find((r) => r.method === req.method);
+    if (!route) {
+      res.setHeader('Allow', candidates.map((r) => r.method).join(', '));
+      this._send(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+
+    if (!route.public) {
+      const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+      if (!tokensMatch(this._token, match?.[1])) {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        this._send(res, 401, { error: 'Missing or invalid token' });
+        return;
+      }
+    }
+
+    const limiter = this._limiters.get(route);
+    if (!limiter.canCall()) {
+      res.setHeader('Retry-After', String(Math.ceil(route.rateLimit.windowMs / 1000)));
+      this._send(res, 429, { error: 'Rate limit exceeded' });
+      return;
+    }
+    limiter.recordCall();
+
+    try {
+      const body = req.method === 'POST' ? await this._readJson(req) : undefined;
+      const result = await route.handle({
+        query: Object.fromEntries(url.searchParams),
+        body,
+        invoke: this.invoke
+      });
+      this._send(res, 200, result);
+    } catch (error) {
+      if (error instanceof ApiError) {
+        this._send(res, error.status, {
+          error: error.message,
+          ...(error.details && { details: error.details })
+        });
+        return;
+      }
+      logger.error('[LocalApi] Request failed', { path: route.path, error: error.message });
+      this._send(res, 500, { error: 'Internal error' });
+    }
+  }
+
+  _readJson(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      let tooLarge = false;
+      req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+          // Keep draining so the 413 response can still be written
+          tooLarge = true;
+          chunks.length = 0;
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => {
+        if (tooLarge) {
+          reject(new ApiError(413, 'Request body too large'));
+          return;
+        }
+        if (size === 0) {
+          resolve({});
+          return;
+        }
+        try {
+          resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+        } catch {
+          reject(new ApiError(400, 'Body must be valid JSON'));
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  _send(res, status, body) {
+    if (res.headersSent) return;
+    const payload = JSON.stringify(body ?? null);
+    res.writeHead(status, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Content-Length': Buffer.byteLength(payload),
+      'Cache-Control': 'no-store',
+      'X-Content-Type-Options': 'nosniff'
+    });
+    res.end(payload);
+  }
+}
+
+module.exports = { LocalApiServer };
@@ -0,0 +1,90 @@
+/**
+ * OpenAPI description for the local API, generated from the route table
+ *
+ * @module services/localApi/openApi
+ */
+
+const errorResponse = (description) => ({
+  description,
+  content: {
+    'application/json': {
+      schema: { $ref: '#/components/schemas/Error' }
+    }
+  }
+});
+
+/**
+ * @param {Array<Object>} routes - From createRoutes
+ * @param {Object} options
+ * @param {number} options.port
+ * @param {string} [options.version]
+ * @returns {Object} OpenAPI 3.0 document
+ */
+function buildOpenApiSpec(routes, { port, version }) {
+  const paths = {};
+  for (const route of routes) {
+    const responses = {
+      200: {
+        description: 'Success',
+        content: { 'application/json': { schema: { type: 'object' } } }
+      },
+      400: errorResponse('Invalid request'),
+      429: errorResponse(
+        `Rate limit exceeded (${route.rateLimit.maxCalls} requests per ${route.rateLimit.windowMs / 1000}s); see Retry-After`
+      )
+    };
+    if (!route.public) {
+      Object.assign(responses, {
+        401: errorResponse('Missing or invalid token'),
+        404: errorResponse('Not found'),
+        422: errorResponse('The request could not be completed'),
+        503: errorResponse('A required service is not running')
+      });
+    }
+
+    const operation = {
+      summary: route.summary,
+      operationId: `${route.method.toLowerCase()}${route.path
+        .replace('/api/v1', '')
+        .split(/[/.]/)
+        .filter(Boolean)
+        .map((part) => part[0].toUpperCase() + part.slice(1))
+        .join('')}`,
+      responses
+    };
+    if (route.public) operation.security = [];
+    if (route.parameters) operation.parameters = route.parameters;
+    if (route.requestBody) {
+      operation.requestBody = {
+        required: true,
+        content: { 'application/json': { schema: route.requestBody } }
+      };
+    }
+    paths[route.path] = { ...paths[route.path], [route.method.toLowerCase()]: operation };
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'StratoSort Local API',
+      version: version || '1.0.0',
+      description:
+        'Loopback-only API for querying the StratoSort index. Send the token shown in Settings as `Authorization: Bearer <token>`.'
+    },
+    servers: [{ url: `http://127.0.0.1:${port}` }],
+    security: [{ bearerAuth: [] }],
+    components: {
+      securitySchemes: { bearerAuth: { type: 'http', scheme: 'bearer' } },
+      schemas: {
+        Error: {
+          type: 'object',
+          properties: { error: { type: 'string' }, details: {} },
+          required: ['error']
+        }
+      }
+    },
+    paths
+  };
+}
+
+module.exports = { buildOpenApiSpec };
@@ -0,0 +1,226 @@
+/**
+ * Local API Routes
+ *
+ * Endpoint table for the loopback REST API. Each route forwards to the same
+ * IPC handler the renderer uses (via `invoke`), so validation, fallbacks and
+ * results match the app. The table also drives the OpenAPI description.
+ *
+ * @module services/localApi/routes
+ */
+
+const path = require('path');
+const { IPC_CHANNELS, SUPPORTED_IMAGE_EXTENSIONS } = require('../../../shared/constants');
+const { getFileEmbeddingId } = require('../../utils/fileIdUtils');
+
+const MINUTE_MS = 60 * 1000;
+const SEARCH_MODES = ['hybrid', 'vector', 'bm25'];
+
+class ApiError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function requireString(value, name) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw new ApiError(400, `"${name}" is required`);
+  }
+  return value.trim();
+}
+
+function requireAbsolutePath(value, name = 'path') {
+  const filePath = requireString(value, name);
+  if (!path.isAbsolute(filePath)) {
+    throw new ApiError(400, `"${name}" must be an absolute path`);
+  }
+  return path.normalize(filePath);
+}
+
+function optionalInt(value, name) {
+  if (value == null || value === '') return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new ApiError(400, `"${name}" must be a positive integer`);
+  }
+  return number;
+}
+
+function optionalEnum(value, name, allowed) {
+  if (value == null || value === '') return undefined;
+  if (!allowed.includes(value)) {
+    throw new ApiError(400, `"${name}" must be one of: ${allowed.join(', ')}`);
+  }
+  return value;
+}
+
+/**
+ * Turn a `{ success: false }` handler result into an HTTP error
+ */
+function assertHandlerSuccess(result) {
+  if (result?.success !== false) return result;
+  const { error } = result;
+  const message = (typeof error === 'string' ? error : error?.message) || 'Request failed';
+  const code = typeof error === 'object' ? error?.code : undefined;
+  if (error?.details?.errorType === 'ValidationError') {
+    throw new ApiError(400, message, error.details.validationErrors);
+  }
+  if (code === 'SERVICE_UNAVAILABLE' || code === 'APP_SHUTTING_DOWN') {
+    throw new ApiError(503, message);
+  }
+  throw new ApiError(422, message);
+}
+
+async function getAnalysisEntry(invoke, filePath) {
+  const entry = await invoke(IPC_CHANNELS.ANALYSIS_HISTORY.GET_FILE_HISTORY, filePath);
+  if (!entry) {
+    throw new ApiError(404, 'No analysis recorded for this file');
+  }
+  return entry;
+}
+
+const pathParam = {
+  name: 'path',
+  in: 'query',
+  required: true,
+  description: 'Absolute file path',
+  schema: { type: 'string' }
+};
+const topKParam = {
+  name: 'topK',
+  in: 'query',
+  required: false,
+  schema: { type: 'integer', minimum: 1 }
+};
+
+/**
+ * Build the route table
+ *
+ * Route fields: method, path, summary, rateLimit ({ maxCalls, windowMs }),
+ * public (skip token auth), parameters/requestBody (OpenAPI), handle({ query, body, invoke }).
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.getOpenApiSpec] - Returns the OpenAPI document
+ * @param {string} [options.version] - App version reported by /health
+ * @returns {Array<Object>}
+ */
+function createRoutes({ getOpenApiSpec, version } = {}) {
+  return [
+    {
+      method: 'GET',
+      path: '/api/v1/health',
+      summary: 'Check that the API is running',
+      public: true,
+      rateLimit: { maxCalls: 120, windowMs: MINUTE_MS },
+      handle: async () => ({ status: 'ok', version: version || null })
+    },
+    {
+      method: 'GET',
+      path: '/api/v1/openapi.json',
+      summary: 'OpenAPI description of this API',
+      public: true,
+      rateLimit: { maxCalls: 30, windowMs: MINUTE_MS },
+      handle: async () => getOpenApiSpec()
+    },
+    {
+      method: 'GET',
+      path: '/api/v1/search',
+      summary: 'Hybrid semantic and keyword search over analyzed files',
+      rateLimit: { maxCalls: 30, windowMs: MINUTE_MS },
+      parameters: [
+        { name: 'q', in: 'query', required: true, schema: { type: 'string' } },
+        topKParam,
+        { name: 'mode', in: 'query', required: false, schema: { enum: SEARCH_MODES } }
+      ],
+      handle: async ({ query, invoke }) => {
+        const request = { query: requireString(query.q, 'q') };
+        const topK = optionalInt(query.topK, 'topK');
+        const mode = optionalEnum(query.mode, 'mode', SEARCH_MODES);
+        if (topK) request.topK = topK;
+        if (mode) request.mode = mode;
+        const result = assertHandlerSuccess(await invoke(IPC_CHANNELS.EMBEDDINGS.SEARCH, request));
+        return { mode: result.mode, results: result.results || [], meta: result.meta };
+      }
+    },
+    {
+      method: 'GET',
+      path: '/api/v1/similar',
+      summary: 'Find files similar to an analyzed file',
+      rateLimit: { maxCalls: 30, windowMs: MINUTE_MS },
+      parameters: [pathParam, topKParam],
+      handle: async ({ query, invoke }) => {
+        const filePath = requireAbsolutePath(query.path);
+        const isImage = SUPPORTED_IMAGE_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+        const request = { fileId: getFileEmbeddingId(filePath, isImage ? 'image' : 'file') };
+        const topK = optionalInt(query.topK, 'topK');
+        if (topK) request.topK = topK;
+        const result = assertHandlerSuccess(
+          await invoke(IPC_CHANNELS.EMBEDDINGS.FIND_SIMILAR, request)
+        );
+        return { results: result.results || [] };
+      }
+    },
+    {
+      method: 'GET',
+      path: '/api/v1/files/analysis',
+      summary: 'Latest recorded analysis for a file',
+      rateLimit: { maxCalls: 120, windowMs: MINUTE_MS },
+      parameters: [pathParam],
+      handle: async ({ query, invoke }) => getAnalysisEntry(invoke, requireAbsolutePath(query.path))
+    },
+    {
+      method: 'POST',
+      path: '/api/v1/chat',
+      summary: 'Ask a question answered from your documents',
+      rateLimit: { maxCalls: 10, windowMs: MINUTE_MS },
+      requestBody: {
+        type: 'object',
+        required: ['query'],
+        properties: {
+          query: { type: 'string' },
+          sessionId: { type: 'string' },
+          topK: { type: 'integer', minimum: 1, maximum: 20 },
+          mode: { enum: SEARCH_MODES },
+          responseMode: { enum: ['fast', 'deep'] }
+        }
+      },
+      handle: async ({ body, invoke }) => {
+        const { query, sessionId, topK, mode, responseMode } = body || {};
+        const request = { query: requireString(query, 'query') };
+        if (sessionId != null) request.sessionId = sessionId;
+        if (topK != null) request.topK = topK;
+        if (mode != null) request.mode = mode;
+        if (responseMode != null) request.responseMode = responseMode;
+        return assertHandlerSuccess(await invoke(IPC_CHANNELS.CHAT.QUERY, request));
+      }
+    },
+    {
+      method: 'POST',
+      path: '/api/v1/organize/suggestions',
+      summary: 'Smart folder suggestions for an analyzed file',
+      rateLimit: { maxCalls: 20, windowMs: MINUTE_MS },
+      requestBody: {
+        type: 'object',
+        required: ['path'],
+        properties: { path: { type: 'string', description: 'Absolute file path' } }
+      },
+      handle: async ({ body, invoke }) => {
+        const filePath = requireAbsolutePath(body?.path);
+        const entry = await getAnalysisEntry(invoke, filePath);
+        const file = {
+          path: filePath,
+          name: path.basename(filePath),
+          extension: path.extname(filePath).toLowerCase(),
+          analysis: entry.analysis || {}
+        };
+        return assertHandlerSuccess(
+          await invoke(IPC_CHANNELS.SUGGESTIONS.GET_FILE_SUGGESTIONS, { file })
+        );
+      }
+    }
+  ];
+}
+
+module.exports = { createRoutes, ApiError };
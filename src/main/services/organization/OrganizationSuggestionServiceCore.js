@@ -16,6 +16,7 @@ const { globalBatchProcessor } = require('../../utils/llmOptimization');
 const { cosineSimilarity } = require('../../../shared/vectorMath');
 const { getSemanticFileId, stripSemanticPrefix } = require('../../../shared/fileIdUtils');
 const { normalizePathForIndex } = require('../../../shared/pathSanitization');
+const { SMART_FOLDER_RULE_MODES } = require('../../../shared/validationConstants');
 const { findDefaultFolder } = require('../autoOrganize/folderOperations');
 const { readEmbeddingIndexMetadata } = require('../chromadb/embeddingIndexMetadata');
 const FolderMatchingService = require('../FolderMatchingService');
@@ -31,6 +32,7 @@ const {
 } = require('./strategies');
 
 const { PatternMatcher } = require('./patternMatcher');
+const { RoutingClassifier, getFolderKey } = require('./routingClassifier');
 const { FeedbackMemoryStore, getMetrics: getFeedbackMetrics } = require('./feedbackMemoryStore');
 const {
   buildMemoryEntry,
@@ -52,6 +54,14 @@ const {
 
 const { getLLMAlternativeSuggestions } = require('./llmSuggester');
 
+const { evaluateSmartFolderRules, toMatchedRule } = require('./ruleEngine');
+const { getSubfolderPath } = require('../../../shared/smartFolderHierarchy');
+const {
+  isSensitiveAnalysis,
+  getSecureFolders,
+  getSensitiveReviewReason
+} = require('../../../shared/sensitiveData');
+
 const { PatternPersistence } = require('./persistence');
 
 const {
@@ -74,6 +84,7 @@ const ROUTING_MODES = Object.freeze({
 });
 
 const DEFAULT_ROUTING_MODE = ROUTING_MODES.AUTO;
+const DEFAULT_RULE_MODE = 'priority';
 
 /**
  * Calculate optimal concurrency based on CPU cores
@@ -130,6 +141,16 @@ function findSmartFolderMatch(suggestion, index) {
   return null;
 }
 
+/**
+ * Add the rendered subfolder path of the suggested smart folder, if it declares a template.
+ * The smart folder path stays in `path`; destination builders append `subpath`.
+ */
+function withSubfolderPath(suggestion, file, index) {
+  if (!suggestion?.isSmartFolder) return suggestion;
+  const subpath = getSubfolderPath(findSmartFolderMatch(suggestion, index), file);
+  return subpath ? { ...suggestion, subpath } : suggestion;
+}
+
 /**
  * OrganizationSuggestionService - AI-powered file organization suggestions
  */
@@ -225,6 +246,13 @@ class OrganizationSuggestionServiceCore {
       maxFeedbackHistory: this.config.maxFeedbackHistory
     });
 
+    // Learns folder routing from feedback; confident predictions skip the LLM
+    this.routingClassifier = new RoutingClassifier({
+      confidenceThreshold: safeConfig.classifierConfidenceThreshold,
+      minExamples: safeConfig.classifierMinExamples,
+      minPrecision: safeConfig.classifierMinPrecision
+    });
+
     // Initialize persistence with dual-write support
     this.persistence = new PatternPersistence({
       filename: 'user-patterns.json',
@@ -309,6 +337,37 @@ class OrganizationSuggestionServiceCore {
     }
   }
 
+  async _getRuleModeSetting() {
+    try {
+      if (!this.settings || typeof this.settings.load !== 'function') {
+        return DEFAULT_RULE_MODE;
+      }
+      const settings = await this.settings.load();
+      const mode = String(settings?.smartFolderRuleMode || DEFAULT_RULE_MODE).toLowerCase();
+      return SMART_FOLDER_RULE_MODES.includes(mode) ? mode : DEFAULT_RULE_MODE;
+    } catch (error) {
+      logger.warn('[OrganizationSuggestionService] Failed to load rule mode setting', {
+        error: error.message
+      });
+      return DEFAULT_RULE_MODE;
+    }
+  }
+
+  async _isRoutingClassifierEnabled() {
+    try {
+      if (!this.settings || typeof this.settings.load !== 'function') {
+        return true;
+      }
+      const settings = await this.settings.load();
+      return settings?.routingClassifierEnabled !== false;
+    } catch (error) {
+      logger.warn('[OrganizationSuggestionService] Failed to load routing classifier setting', {
+        error: error.message
+      });
+      return true;
+    }
+  }
+
   async _getEmbeddingHealth() {
     let stats = null;
     try {
@@ -629,7 +688,35 @@ class OrganizationSuggestionServiceCore {
       normalizedFile = { ...file, extension: inferredExtension };
     }
 
+    // Sensitive documents may only be filed into secure smart folders
+    const sensitive = isSensitiveAnalysis(normalizedFile.analysis);
+    if (sensitive) {
+      smartFolders = getSecureFolders(smartFolders);
+      if (smartFolders.length === 0) {
+        return this._buildSensitiveReviewResult(normalizedFile);
+      }
+    }
+
     try {
+      // Deterministic user rules run first; in exclusive mode a match skips AI routing
+      const ruleMatch = await evaluateSmartFolderRules(normalizedFile, smartFolders);
+      if (ruleMatch && (await this._getRuleModeSetting()) === 'exclusive') {
+        return {
+          success: true,
+          primary: withSubfolderPath(
+            ruleMatch,
+            normalizedFile,
+            buildSmartFolderIndex(smartFolders)
+          ),
+          alternatives: [],
+          strategies: getApplicableStrategies(normalizedFile),
+          confidence: calculateConfidence(ruleMatch),
+          explanation: generateExplanation(ruleMatch, normalizedFile),
+          matchedRule: toMatchedRule(ruleMatch),
+          folderImprovements: []
+        };
+      }
+
       const routing =
         routingModeOverride && Object.values(ROUTING_MODES).includes(routingModeOverride)
           ? { mode: routingModeOverride, reason: routingReason || 'override' }
@@ -651,6 +738,20 @@ class OrganizationSuggestionServiceCore {
         await this.ensureSmartFolderEmbeddings(smartFolders);
       }
 
+      // The trained classifier runs wherever embeddings are used; when it is
+      // confident the LLM is not consulted at all
+      const classifierSuggestion =
+        routing.mode === ROUTING_MODES.LLM
+          ? null
+          : await this.getClassifierSuggestion(normalizedFile, smartFolders);
+      const classifierConfident = Boolean(classifierSuggestion?.classifierConfident);
+      if (classifierConfident) {
+        logger.debug('[OrganizationSuggestionService] Classifier is confident, skipping LLM', {
+          folder: classifierSuggestion.folder,
+          probability: classifierSuggestion.confidence
+        });
+      }
+
       // Get suggestions from all sources
       const semanticMatches =
         routing.mode === ROUTING_MODES.LLM
@@ -666,6 +767,7 @@ class OrganizationSuggestionServiceCore {
       const semanticTopScore =
         semanticMatches.length > 0 ? Number(semanticMatches[0]?.score || 0) : 0;
       const hybridNeedsLlm =
+        !classifierConfident &&
         routing.mode === ROUTING_MODES.HYBRID &&
         (semanticMatches.length === 0 || semanticTopScore < this.config.hybridLLMThreshold);
       const forceLlmSuggestions = routing.mode === ROUTING_MODES.LLM || hybridNeedsLlm;
@@ -673,7 +775,7 @@ class OrganizationSuggestionServiceCore {
       // Optimization: Only request LLM creative suggestions if alternatives are requested
       // This prevents "hallucinated" new folders from becoming the primary suggestion during auto-organize
       const llmSuggestions =
-        includeAlternatives || forceLlmSuggestions
+        !classifierConfident && (includeAlternatives || forceLlmSuggestions)
           ? await getLLMAlternativeSuggestions(normalizedFile, smartFolders, this.config)
           : [];
 
@@ -699,6 +801,9 @@ class OrganizationSuggestionServiceCore {
         match.source = 'semantic';
         allSuggestions.push(match);
       }
+      if (classifierSuggestion) {
+        allSuggestions.push(classifierSuggestion);
+      }
       for (const match of strategyMatches) {
         match.source = 'strategy';
         allSuggestions.push(match);
@@ -725,21 +830,24 @@ class OrganizationSuggestionServiceCore {
       }
 
       const smartFolderIndex = buildSmartFolderIndex(smartFolders);
-      const normalizedSuggestions = allSuggestions.map((suggestion) => {
-        const match = findSmartFolderMatch(suggestion, smartFolderIndex);
-        if (!match) {
-          return { ...suggestion, isSmartFolder: false };
-        }
+      const normalizedSuggestions = allSuggestions
+        .map((suggestion) => {
+          const match = findSmartFolderMatch(suggestion, smartFolderIndex);
+          if (!match) {
+            return { ...suggestion, isSmartFolder: false };
+          }
 
-        return {
-          ...suggestion,
-          folder: match.name || suggestion.folder,
-          path: match.path || suggestion.path,
-          description: match.description || suggestion.description,
-          isSmartFolder: true,
-          folderId: match.id || suggestion.folderId
-        };
-      });
+          return {
+            ...suggestion,
+            folder: match.name || suggestion.folder,
+            path: match.path || suggestion.path,
+            description: match.description || suggestion.description,
+            isSmartFolder: true,
+            folderId: match.id || suggestion.folderId
+          };
+        })
+        // Learned patterns and new-folder ideas can point outside the secure folders
+        .filter((suggestion) => !sensitive || suggestion.isSmartFolder);
 
       // Rank suggestions (cluster-consistent ones get boosted)
       let rankedSuggestions = rankSuggestions(normalizedSuggestions);
@@ -757,6 +865,17 @@ class OrganizationSuggestionServiceCore {
         rankedSuggestions
       );
 
+      // A matching rule always wins over AI-ranked suggestions (priority mode)
+      if (ruleMatch) {
+        const ruleFolderKey = ruleMatch.folder.toLowerCase();
+        rankedSuggestions = [
+          ruleMatch,
+          ...rankedSuggestions.filter(
+            (suggestion) => String(suggestion.folder || '').toLowerCase() !== ruleFolderKey
+          )
+        ];
+      }
+
       let primary = rankedSuggestions.find((suggestion) => suggestion.isSmartFolder) || null;
       if (!primary) {
         const defaultSuggestion = await this._getDefaultFolderSuggestion(
@@ -770,6 +889,9 @@ class OrganizationSuggestionServiceCore {
           primary = rankedSuggestions[0];
         }
       }
+      if (sensitive && !primary) {
+        return this._buildSensitiveReviewResult(normalizedFile);
+      }
 
       // Get folder improvements
       let folderImprovements = [];
@@ -783,13 +905,17 @@ class OrganizationSuggestionServiceCore {
 
       return {
         success: true,
-        primary,
+        primary: withSubfolderPath(primary, normalizedFile, smartFolderIndex),
         alternatives: includeAlternatives
-          ? rankedSuggestions.filter((suggestion) => suggestion !== primary).slice(0, 5)
+          ? rankedSuggestions
+              .filter((suggestion) => suggestion !== primary)
+              .slice(0, 5)
+              .map((suggestion) => withSubfolderPath(suggestion, normalizedFile, smartFolderIndex))
           : [],
         strategies: getApplicableStrategies(normalizedFile),
         confidence: calculateConfidence(primary),
         explanation: generateExplanation(primary, normalizedFile),
+        matchedRule: ruleMatch ? toMatchedRule(ruleMatch) : null,
         folderImprovements
       };
     } catch (error) {
@@ -802,6 +928,26 @@ class OrganizationSuggestionServiceCore {
     }
   }
 
+  /**
+   * Result for a sensitive file with no secure smart folder to route to.
+   * The file is held for review rather than filed somewhere less protected.
+   * @private
+   */
+  _buildSensitiveReviewResult(file) {
+    const reason = getSensitiveReviewReason(file.analysis);
+    logger.info('[OrganizationSuggestionService] Holding sensitive file for review', {
+      file: file.name
+    });
+    return {
+      success: false,
+      requiresReview: true,
+      sensitive: true,
+      error: reason,
+      explanation: reason,
+      fallback: null
+    };
+  }
+
   /**
    * Get default folder suggestion when no matches found
    * Uses secure folder creation from folderOperations with proper path validation
@@ -1034,10 +1180,18 @@ class OrganizationSuggestionServiceCore {
         return [];
       }
 
-      const matches = await this.folderMatcher.matchVectorToFolders(
-        embedding.vector,
-        this.config.topKSemanticMatches
-      );
+      // Nested folders are reached through their parent rather than matched on their own
+      const hasNestedFolders = smartFolders.some((f) => f?.parentId);
+      const matches =
+        hasNestedFolders && typeof this.folderMatcher.routeVectorToFolderTree === 'function'
+          ? await this.folderMatcher.routeVectorToFolderTree(embedding.vector, smartFolders, {
+              topK: this.config.topKSemanticMatches,
+              minChildScore: this.config.semanticMatchThreshold
+            })
+          : await this.folderMatcher.matchVectorToFolders(
+              embedding.vector,
+              this.config.topKSemanticMatches
+            );
 
       // Get analysis confidence and normalize to 0-1 scale
       // LLM responses may return confidence as 0-1 (e.g., 0.8) or 0-100 (e.g., 80)
@@ -1077,7 +1231,10 @@ class OrganizationSuggestionServiceCore {
           analysisConfidence: normalizedConfidence,
           description: smartFolder.description || match.description,
           method: 'semantic_embedding',
-          isSmartFolder: true
+          isSmartFolder: true,
+          ...(Array.isArray(match.route) && match.route.length > 1
+            ? { route: match.route.map((level) => level.name) }
+            : {})
         });
       }
 
@@ -1088,6 +1245,108 @@ class OrganizationSuggestionServiceCore {
     }
   }
 
+  /**
+   * Embed a file the same way for training and prediction. Feedback from
+   * learningFeedback carries category/subject/keywords at the top level rather
+   * than an analysis object, so those are folded back in.
+   * @private
+   * @returns {Promise<{vector: number[], model: string}|null>}
+   */
+  async _embedForClassifier(file) {
+    const analysis = file.analysis || {
+      summary: file.subject || undefined,
+      category: file.category || undefined,
+      keywords: Array.isArray(file.keywords) ? file.keywords : []
+    };
+    const embedding = await this.folderMatcher.embedText(
+      generateFileSummary({ ...file, analysis })
+    );
+    if (!embedding || !Array.isArray(embedding.vector) || embedding.vector.length === 0) {
+      return null;
+    }
+    return { vector: embedding.vector, model: embedding.model || null };
+  }
+
+  /**
+   * Routing classifier prediction as a suggestion
+   * @param {Object} file - File to route
+   * @param {Array} smartFolders - Current smart folders
+   * @returns {Promise<Object|null>}
+   */
+  async getClassifierSuggestion(file, smartFolders) {
+    try {
+      if (!Array.isArray(smartFolders) || smartFolders.length < 2) return null;
+      if (!(await this._isRoutingClassifierEnabled())) return null;
+      await this.routingClassifier.load();
+      if (this.routingClassifier.classes.size === 0) return null;
+
+      const embedding = await this._embedForClassifier(file);
+      if (!embedding) return null;
+      const prediction = this.routingClassifier.predict(embedding.vector, smartFolders, {
+        model: embedding.model
+      });
+      if (!prediction || prediction.probability < 0.5) return null;
+
+      return {
+        folder: prediction.folder.name,
+        path: prediction.folder.path,
+        folderId: prediction.folder.id,
+        description: prediction.folder.description,
+        score: prediction.probability,
+        confidence: prediction.probability,
+        method: 'trained_classifier',
+        source: 'classifier',
+        isSmartFolder: true,
+        classifierConfident: prediction.confident,
+        classifierExamples: prediction.examples
+      };
+    } catch (error) {
+      logger.warn('[OrganizationSuggestionService] Routing classifier failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Train the routing classifier from one piece of feedback
+   * @private
+   */
+  async _trainRoutingClassifier(file, suggestion, accepted) {
+    if (!file || !suggestion || suggestion.isSmartFolder === false) return;
+    if (!getFolderKey(suggestion)) return;
+    try {
+      if (!(await this._isRoutingClassifierEnabled())) return;
+      await this.routingClassifier.load();
+      const embedding = await this._embedForClassifier(file);
+      if (!embedding) return;
+      this.routingClassifier.train(
+        embedding.vector,
+        { folderId: suggestion.folderId, path: suggestion.path, name: suggestion.folder },
+        {
+          accepted: Boolean(accepted),
+          weight: Number.isFinite(suggestion.feedbackWeight) ? suggestion.feedbackWeight : 1,
+          model: embedding.model
+        }
+      );
+    } catch (error) {
+      logger.debug('[OrganizationSuggestionService] Routing classifier training skipped:', {
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Routing classifier training summary and per-folder accuracy
+   * @param {Array} [smartFolders] - Current smart folders, to flag removed ones
+   * @returns {Promise<Object>}
+   */
+  async getClassifierStats(smartFolders = null) {
+    await this.routingClassifier.load();
+    return {
+      enabled: await this._isRoutingClassifierEnabled(),
+      ...this.routingClassifier.getStats(smartFolders)
+    };
+  }
+
   /**
    * Get improvement suggestions for existing folders
    */
@@ -1137,6 +1396,7 @@ class OrganizationSuggestionServiceCore {
     }
 
     this.patternMatcher.recordFeedback(file, suggestion, accepted);
+    await this._trainRoutingClassifier(file, suggestion, accepted);
     if (accepted) {
       await this._maybeStoreAutoFeedbackReason(file, suggestion, note);
     }
@@ -2013,19 +2273,25 @@ class OrganizationSuggestionServiceCore {
   /**
    * Shutdown the service, cancelling any pending operations
    * FIX C-1: Call shutdown on persistence layers to prevent timer leaks
+   * Their pending saves are flushed before this resolves; the save timers are
+   * unref'd and would otherwise be dropped when the app quits.
+   * @returns {Promise<void>}
    */
-  shutdown() {
-    try {
-      if (this.persistence) {
-        this.persistence.shutdown();
-      }
-      if (this.feedbackMemoryStore) {
-        this.feedbackMemoryStore.shutdown();
+  async shutdown() {
+    // Each store flushes on its own so one failure does not lose the others' data
+    const stores = [this.persistence, this.feedbackMemoryStore, this.routingClassifier];
+    const results = await Promise.allSettled(
+      stores.filter(Boolean).map(async (store) => store.shutdown())
+    );
+    for (const result of results) {
+      if (result.status === 'rejected') {
+        logger.warn(
+          '[OrganizationSuggestionService] Error during shutdown:',
+          result.reason?.message
+        );
       }
-      logger.info('[OrganizationSuggestionService] Shutdown complete');
-    } catch (error) {
-      logger.warn('[OrganizationSuggestionService] Error during shutdown:', error.message);
     }
+    logger.info('[OrganizationSuggestionService] Shutdown complete');
   }
 
   // Legacy compatibility getters and setters
@@ -14,6 +14,8 @@
  * - llmSuggester.js - LLM-powered suggestions (~100 lines)
  * - persistence.js - Pattern persistence (~100 lines)
  * - filePatternAnalyzer.js - Batch file analysis (~150 lines)
+ * - ruleEngine.js - Deterministic smart folder rules (~300 lines)
+ * - routingClassifier.js - Routing learned from user corrections (~350 lines)
  *
  * @module services/organization
  */
@@ -27,6 +29,8 @@ const folderAnalyzer = require('./folderAnalyzer');
 const llmSuggester = require('./llmSuggester');
 const filePatternAnalyzer = require('./filePatternAnalyzer');
 const learningFeedback = require('./learningFeedback');
+const ruleEngine = require('./ruleEngine');
+const routingClassifier = require('./routingClassifier');
 
 // Export core class as OrganizationSuggestionService for backward compatibility
 const OrganizationSuggestionService = OrganizationSuggestionServiceCore;
@@ -74,3 +78,5 @@ module.exports.folderAnalyzer = folderAnalyzer;
 module.exports.llmSuggester = llmSuggester;
 module.exports.filePatternAnalyzer = filePatternAnalyzer;
 module.exports.learningFeedback = learningFeedback;
+module.exports.ruleEngine = ruleEngine;
+module.exports.routingClassifier = routingClassifier;
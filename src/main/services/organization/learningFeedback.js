@@ -104,6 +104,8 @@ function buildFolderSuggestion(smartFolder, confidenceWeight = 1.0) {
     folderId: smartFolder.id || null,
     // Base confidence adjusted by source weight
     confidence: 0.85 * confidenceWeight,
+    // How much the routing classifier trusts this placement as a training example
+    feedbackWeight: confidenceWeight,
     method: 'implicit_feedback',
     isSmartFolder: true,
     description: smartFolder.description || ''
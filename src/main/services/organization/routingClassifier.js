@@ -0,0 +1,384 @@
+/**
+ * Routing Classifier
+ *
+ * On-device nearest-centroid classifier over file embeddings, trained from
+ * accepted and rejected suggestions and manual moves into smart folders.
+ * Each folder keeps the sum of the unit vectors filed into it (and of those
+ * rejected for it), so every piece of feedback is one incremental update and
+ * nothing has to be retrained from scratch.
+ *
+ * Accuracy is measured prequentially: before an example is learned, the
+ * classifier predicts it, and the hit or miss is counted for the folder.
+ * Those numbers are what decide whether a prediction may skip the LLM.
+ *
+ * @module services/organization/routingClassifier
+ */
+
+const path = require('path');
+const { app } = require('electron');
+const { createLogger } = require('../../../shared/logger');
+const { cosineSimilarity, validateEmbeddingVector } = require('../../../shared/vectorMath');
+const { atomicWriteFile, loadJsonFile } = require('../../../shared/atomicFile');
+
+const logger = createLogger('Organization:RoutingClassifier');
+
+const STATE_VERSION = 1;
+
+const DEFAULTS = Object.freeze({
+  // Softmax temperature over cosine scores; embedding similarities sit close together
+  temperature: 0.05,
+  // A folder needs this many examples before its predictions can skip the LLM
+  minExamples: 5,
+  // ...and this many predictions scored against feedback
+  minEvaluated: 5,
+  // ...with at least this share of them right
+  minPrecision: 0.8,
+  // Probability the top folder needs to be called confident
+  confidenceThreshold: 0.85,
+  saveDelayMs: 2000
+});
+
+function toUnitVector(vector) {
+  let norm = 0;
+  for (const value of vector) norm += value * value;
+  norm = Math.sqrt(norm);
+  return norm > 0 ? vector.map((value) => value / norm) : null;
+}
+
+function addInto(sum, vector, weight) {
+  if (!sum) return vector.map((value) => value * weight);
+  for (let i = 0; i < sum.length; i++) sum[i] += vector[i] * weight;
+  return sum;
+}
+
+function ratio(hits, total) {
+  return total > 0 ? Math.round((hits / total) * 1000) / 1000 : null;
+}
+
+/**
+ * Key a folder by id, falling back to its path so folders without ids still train
+ * @param {Object} folder - Smart folder or suggestion ({ id|folderId, path, name })
+ * @returns {string|null}
+ */
+function getFolderKey(folder) {
+  const id = folder?.folderId || folder?.id;
+  if (id) return `id:${id}`;
+  if (folder?.path) return `path:${path.normalize(folder.path).toLowerCase()}`;
+  return null;
+}
+
+class RoutingClassifier {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.filename] - State file in userData
+   * @param {string} [options.filePath] - Full state file path (overrides filename)
+   * @param {number} [options.confidenceThreshold]
+   * @param {number} [options.minExamples]
+   * @param {number} [options.minEvaluated]
+   * @param {number} [options.minPrecision]
+   */
+  constructor(options = {}) {
+    this.filePath =
+      options.filePath ||
+      path.join(app.getPath('userData'), options.filename || 'routing-classifier.json');
+    this.options = { ...DEFAULTS };
+    for (const key of Object.keys(DEFAULTS)) {
+      if (Number.isFinite(options[key])) this.options[key] = options[key];
+    }
+
+    this.model = null;
+    this.dimensions = null;
+    this.classes = new Map();
+    this.trainedExamples = 0;
+    this.updatedAt = null;
+    this._loading = null;
+    this._saveTimer = null;
+    this._pendingSave = Promise.resolve();
+  }
+
+  /**
+   * Load persisted state once; later calls reuse the same promise
+   * @returns {Promise<void>}
+   */
+  load() {
+    if (!this._loading) {
+      this._loading = loadJsonFile(this.filePath, { description: 'routing classifier' }).then(
+        (data) => {
+          if (data?.version !== STATE_VERSION || !Array.isArray(data.classes)) return;
+          this.model = data.model || null;
+          this.dimensions = data.dimensions || null;
+          this.trainedExamples = data.trainedExamples || 0;
+          this.updatedAt = data.updatedAt || null;
+          this.classes = new Map(data.classes.map((entry) => [entry.key, entry]));
+          logger.info('[RoutingClassifier] Loaded', {
+            folders: this.classes.size,
+            examples: this.trainedExamples
+          });
+        }
+      );
+    }
+    return this._loading;
+  }
+
+  /**
+   * Forget everything learned so far, e.g. after the embedding model changed
+   * @param {string} [reason]
+   */
+  reset(reason = 'manual') {
+    logger.info('[RoutingClassifier] Reset', { reason, folders: this.classes.size });
+    this.classes.clear();
+    this.model = null;
+    this.dimensions = null;
+    this.trainedExamples = 0;
+    this.updatedAt = new Date().toISOString();
+    this._scheduleSave();
+  }
+
+  /**
+   * Vectors from another embedding model live in another space; start over
+   * @private
+   * @returns {number[]|null} Unit vector, or null when it cannot be used
+   */
+  _prepareVector(vector, model) {
+    if (!validateEmbeddingVector(vector).valid) return null;
+    if (this.classes.size > 0 && (this.model !== model || this.dimensions !== vector.length)) {
+      this.reset('embedding_model_changed');
+    }
+    return toUnitVector(vector);
+  }
+
+  /**
+   * Learn from one piece of feedback
+   * @param {number[]} vector - File embedding
+   * @param {Object} folder - Destination smart folder ({ folderId|id, path, name })
+   * @param {Object} [options]
+   * @param {boolean} [options.accepted=true] - False when the folder was rejected for this file
+   * @param {number} [options.weight=1] - Lower for weaker signals such as startup scans
+   * @param {string} [options.model] - Embedding model that produced the vector
+   * @returns {boolean} True if the example was learned
+   */
+  train(vector, folder, { accepted = true, weight = 1, model = null } = {}) {
+    const key = getFolderKey(folder);
+    if (!key || !(weight > 0)) return false;
+    const unit = this._prepareVector(vector, model);
+    if (!unit) return false;
+
+    // Score the prediction before learning from the answer. A folder's first
+    // example is skipped: nothing could have predicted it yet.
+    let entry = this.classes.get(key);
+    if (accepted && entry?.sum && this.classes.size > 1) {
+      const prediction = this._rank(unit, null)[0];
+      entry.evaluated++;
+      prediction.entry.predicted++;
+      if (prediction.key === key) {
+        entry.correct++;
+        prediction.entry.predictedCorrect++;
+      }
+    }
+
+    if (!entry) {
+      entry = {
+        key,
+        name: folder.name || folder.folder || null,
+        path: folder.path || null,
+        sum: null,
+        weight: 0,
+        examples: 0,
+        rejectedSum: null,
+        rejectedWeight: 0,
+        rejections: 0,
+        evaluated: 0,
+        correct: 0,
+        predicted: 0,
+        predictedCorrect: 0
+      };
+      this.classes.set(key, entry);
+    }
+    entry.name = folder.name || folder.folder || entry.name;
+    entry.path = folder.path || entry.path;
+
+    if (accepted) {
+      entry.sum = addInto(entry.sum, unit, weight);
+      entry.weight += weight;
+      entry.examples++;
+    } else {
+      entry.rejectedSum = addInto(entry.rejectedSum, unit, weight);
+      entry.rejectedWeight += weight;
+      entry.rejections++;
+    }
+
+    this.model = model;
+    this.dimensions = unit.length;
+    this.trainedExamples++;
+    this.updatedAt = new Date().toISOString();
+    this._scheduleSave();
+    return true;
+  }
+
+  /**
+   * Cosine to the folder's centroid, lowered when the file looks more like what
+   * was rejected for that folder than what was filed into it
+   * @private
+   */
+  _rank(unit, allowedKeys) {
+    const ranked = [];
+    for (const [key, entry] of this.classes) {
+      if (!entry.sum || (allowedKeys && !allowedKeys.has(key))) continue;
+      const similarity = cosineSimilarity(unit, entry.sum);
+      const rejectedSimilarity = entry.rejectedSum ? cosineSimilarity(unit, entry.rejectedSum) : 0;
+      const score = similarity - Math.max(0, rejectedSimilarity - similarity);
+      ranked.push({ key, entry, similarity, score });
+    }
+    return ranked.sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Predict the smart folder for a file
+   * @param {number[]} vector - File embedding
+   * @param {Array<Object>} smartFolders - Folders currently configured; others are ignored
+   * @param {Object} [options]
+   * @param {string} [options.model] - Embedding model that produced the vector
+   * @returns {Object|null} { folder, probability, similarity, confident, examples, precision }
+   */
+  predict(vector, smartFolders, { model = null } = {}) {
+    if (this.classes.size === 0 || !Array.isArray(smartFolders)) return null;
+    if (!validateEmbeddingVector(vector).valid) return null;
+    if (this.model !== model || this.dimensions !== vector.length) return null;
+
+    const foldersByKey = new Map();
+    for (const folder of smartFolders) {
+      if (!folder) continue;
+      for (const key of [getFolderKey({ id: folder.id }), getFolderKey({ path: folder.path })]) {
+        if (key) foldersByKey.set(key, folder);
+      }
+    }
+
+    const ranked = this._rank(toUnitVector(vector), new Set(foldersByKey.keys()));
+    if (ranked.length === 0) return null;
+
+    const { temperature } = this.options;
+    const top = ranked[0];
+    const expSum = ranked.reduce(
+      (sum, candidate) => sum + Math.exp((candidate.score - top.score) / temperature),
+      0
+    );
+    // A single trained folder has nothing to be told apart from
+    const probability = ranked.length > 1 ? 1 / expSum : 0;
+    const precision = ratio(top.entry.predictedCorrect, top.entry.predicted);
+    const confident =
+      ranked.length > 1 &&
+      probability >= this.options.confidenceThreshold &&
+      top.entry.examples >= this.options.minExamples &&
+      top.entry.predicted >= this.options.minEvaluated &&
+      precision >= this.options.minPrecision;
+
+    return {
+      folder: foldersByKey.get(top.key),
+      probability: Math.round(probability * 1000) / 1000,
+      similarity: Math.round(top.similarity * 1000) / 1000,
+      confident,
+      examples: top.entry.examples,
+      precision
+    };
+  }
+
+  /**
+   * Training summary and per-folder accuracy
+   * @param {Array<Object>} [smartFolders] - Marks folders that are no longer configured
+   * @returns {Object}
+   */
+  getStats(smartFolders = null) {
+    const currentKeys = Array.isArray(smartFolders)
+      ? new Set(
+          smartFolders.flatMap((folder) =>
+            [getFolderKey({ id: folder?.id }), getFolderKey({ path: folder?.path })].filter(Boolean)
+          )
+        )
+      : null;
+
+    let evaluated = 0;
+    let correct = 0;
+    const folders = [];
+    for (const entry of this.classes.values()) {
+      evaluated += entry.evaluated;
+      correct += entry.correct;
+      folders.push({
+        name: entry.name,
+        path: entry.path,
+        examples: entry.examples,
+        rejections: entry.rejections,
+        evaluated: entry.evaluated,
+        accuracy: ratio(entry.correct, entry.evaluated),
+        predicted: entry.predicted,
+        precision: ratio(entry.predictedCorrect, entry.predicted),
+        active: currentKeys ? currentKeys.has(entry.key) : true
+      });
+    }
+    folders.sort((a, b) => b.examples - a.examples);
+
+    return {
+      model: this.model,
+      trainedExamples: this.trainedExamples,
+      evaluated,
+      accuracy: ratio(correct, evaluated),
+      updatedAt: this.updatedAt,
+      thresholds: {
+        confidence: this.options.confidenceThreshold,
+        minExamples: this.options.minExamples,
+        minPrecision: this.options.minPrecision
+      },
+      folders
+    };
+  }
+
+  _scheduleSave() {
+    if (this._saveTimer) return;
+    this._saveTimer = setTimeout(() => {
+      this._saveTimer = null;
+      this._queueSave();
+    }, this.options.saveDelayMs);
+    if (typeof this._saveTimer.unref === 'function') {
+      this._saveTimer.unref();
+    }
+  }
+
+  // Saves run one after another so an older snapshot never lands last
+  _queueSave() {
+    this._pendingSave = this._pendingSave.then(() => this.save());
+    return this._pendingSave;
+  }
+
+  /**
+   * Write state to disk now
+   * @returns {Promise<void>}
+   */
+  async save() {
+    try {
+      await atomicWriteFile(this.filePath, {
+        version: STATE_VERSION,
+        model: this.model,
+        dimensions: this.dimensions,
+        trainedExamples: this.trainedExamples,
+        updatedAt: this.updatedAt,
+        classes: Array.from(this.classes.values())
+      });
+    } catch (error) {
+      logger.warn('[RoutingClassifier] Failed to save', { error: error.message });
+    }
+  }
+
+  /**
+   * Flush a scheduled save and wait for any save already writing
+   * @returns {Promise<void>}
+   */
+  async shutdown() {
+    if (this._saveTimer) {
+      clearTimeout(this._saveTimer);
+      this._saveTimer = null;
+      this._queueSave();
+    }
+    await this._pendingSave;
+  }
+}
+
+module.exports = { RoutingClassifier, getFolderKey };
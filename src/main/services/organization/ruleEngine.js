@@ -0,0 +1,366 @@
+/**
+ * Smart Folder Rule Engine
+ *
+ * Deterministic, user-authored routing rules evaluated before (or instead of)
+ * semantic/LLM matching. Folders are checked in list order and each folder's
+ * rules in their configured order; the first rule that matches wins.
+ *
+ * Rule definitions and sanitization live in shared/smartFolderRules.
+ *
+ * @module services/organization/ruleEngine
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { createLogger } = require('../../../shared/logger');
+const { normalizePathForIndex } = require('../../../shared/pathSanitization');
+const { matchesUserTags } = require('../../../shared/fileAnnotations');
+const {
+  RULE_CONDITION_TYPES,
+  RULE_LIMITS,
+  normalizeSmartFolderRules,
+  describeRuleCondition
+} = require('../../../shared/smartFolderRules');
+
+const logger = createLogger('Organization:RuleEngine');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_PATTERN_CACHE = 500;
+
+// Compiled glob/regex patterns keyed by syntax + source; invalid patterns cache as null
+const patternCache = new Map();
+
+function escapeRegExp(str) {
+  return str.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+}
+
+function globToRegExp(glob) {
+  let source = '';
+  for (const ch of glob) {
+    if (ch === '*') source += '.*';
+    else if (ch === '?') source += '.';
+    else source += escapeRegExp(ch);
+  }
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Compile a user pattern once. Returns null for invalid or oversized patterns
+ * so a bad rule simply never matches instead of throwing mid-organization.
+ */
+function compilePattern(pattern, syntax) {
+  const key = `${syntax}:${pattern}`;
+  if (patternCache.has(key)) return patternCache.get(key);
+
+  let compiled = null;
+  if (typeof pattern === 'string' && pattern.length <= RULE_LIMITS.MAX_PATTERN_LENGTH) {
+    try {
+      compiled = syntax === 'regex' ? new RegExp(pattern, 'i') : globToRegExp(pattern);
+    } catch (error) {
+      logger.debug('[RuleEngine] Ignoring invalid rule pattern', { pattern, error: error.message });
+    }
+  }
+
+  if (patternCache.size >= MAX_PATTERN_CACHE) {
+    patternCache.delete(patternCache.keys().next().value);
+  }
+  patternCache.set(key, compiled);
+  return compiled;
+}
+
+function toTimestamp(value) {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+function rulesNeedStats(rules) {
+  return rules.some((rule) =>
+    rule.conditions.some(
+      (c) =>
+        c.type === RULE_CONDITION_TYPES.SIZE ||
+        (c.type === RULE_CONDITION_TYPES.DATE && c.field !== 'document')
+    )
+  );
+}
+
+function rulesNeedAnnotations(rules) {
+  return rules.some((rule) =>
+    rule.conditions.some(
+      (c) => c.type === RULE_CONDITION_TYPES.USER_TAG || c.type === RULE_CONDITION_TYPES.USER_NOTE
+    )
+  );
+}
+
+/**
+ * User tags and note for the file: taken from the file/analysis when the
+ * caller already merged them, otherwise looked up from the annotation store.
+ */
+async function resolveAnnotations(file, analysis, filePath) {
+  const tags = file.userTags ?? analysis.userTags;
+  const note = file.userNote ?? analysis.userNote;
+  if (Array.isArray(tags) || typeof note === 'string') {
+    return { userTags: Array.isArray(tags) ? tags : [], userNote: note || '' };
+  }
+  if (!filePath) return { userTags: [], userNote: '' };
+
+  try {
+    // Lazy require: the store pulls in electron, which rule-only callers don't need
+    const { getRegisteredService } = require('../FileAnnotationService');
+    const annotation = await getRegisteredService()?.get(filePath);
+    return { userTags: annotation?.tags || [], userNote: annotation?.note || '' };
+  } catch (error) {
+    logger.debug('[RuleEngine] Could not read file annotations', {
+      file: filePath,
+      error: error.message
+    });
+    return { userTags: [], userNote: '' };
+  }
+}
+
+/**
+ * Build the evaluation context for a file. File stats and user annotations are
+ * only looked up when a rule actually needs them and the caller did not provide them.
+ * @param {Object} file - File object ({ name, path, extension, size, modified, created, analysis })
+ * @param {boolean} needsStats - Whether size/date conditions are present
+ * @param {boolean} [needsAnnotations] - Whether user tag/note conditions are present
+ * @returns {Promise<Object>}
+ */
+async function buildRuleContext(file, needsStats, needsAnnotations = false) {
+  const filePath = typeof file.path === 'string' ? file.path : '';
+  const name = file.name || path.basename(filePath);
+  const extension = String(file.extension || path.extname(name))
+    .replace(/^\./, '')
+    .toLowerCase();
+  const analysis = file.analysis && typeof file.analysis === 'object' ? file.analysis : {};
+
+  const context = {
+    name,
+    extension,
+    directory: filePath ? normalizePathForIndex(path.dirname(filePath)) : '',
+    analysis,
+    size: Number.isFinite(file.size) ? file.size : null,
+    modified: toTimestamp(file.modified ?? file.modifiedAt ?? file.mtime),
+    created: toTimestamp(file.created ?? file.createdAt ?? file.birthtime),
+    document: toTimestamp(analysis.documentDate || analysis.date),
+    userTags: [],
+    userNote: ''
+  };
+
+  if (needsAnnotations) {
+    Object.assign(context, await resolveAnnotations(file, analysis, filePath));
+  }
+
+  if (needsStats && filePath && (context.size === null || context.modified === null)) {
+    try {
+      const stats = await fs.stat(filePath);
+      if (context.size === null) context.size = stats.size;
+      if (context.modified === null) context.modified = stats.mtimeMs;
+      if (context.created === null) context.created = stats.birthtimeMs || stats.ctimeMs;
+    } catch (error) {
+      logger.debug('[RuleEngine] Could not stat file for rule evaluation', {
+        file: filePath,
+        error: error.message
+      });
+    }
+  }
+
+  return context;
+}
+
+function matchAnalysisValue(value, operator, expected) {
+  if (value === null || value === undefined) return false;
+  const text = String(value).trim();
+  if (!text) return false;
+
+  const lower = text.toLowerCase();
+  const target = expected.toLowerCase();
+  switch (operator) {
+    case 'equals':
+      return lower === target;
+    case 'contains':
+      return lower.includes(target);
+    case 'startsWith':
+      return lower.startsWith(target);
+    case 'matches': {
+      const regex = compilePattern(expected, 'regex');
+      return regex ? regex.test(text) : false;
+    }
+    case 'exists':
+      return true;
+    default:
+      return false;
+  }
+}
+
+function evaluateCondition(condition, context, now) {
+  switch (condition.type) {
+    case RULE_CONDITION_TYPES.EXTENSION:
+      return condition.values.includes(context.extension);
+
+    case RULE_CONDITION_TYPES.FILENAME: {
+      const regex = compilePattern(condition.pattern, condition.syntax);
+      return regex ? regex.test(context.name) : false;
+    }
+
+    case RULE_CONDITION_TYPES.SIZE:
+      if (context.size === null) return false;
+      if (condition.minBytes !== null && context.size < condition.minBytes) return false;
+      if (condition.maxBytes !== null && context.size > condition.maxBytes) return false;
+      return true;
+
+    case RULE_CONDITION_TYPES.DATE: {
+      const time = context[condition.field];
+      if (time === null || time === undefined) return false;
+      const after = toTimestamp(condition.after);
+      const before = toTimestamp(condition.before);
+      if (after !== null && time < after) return false;
+      if (before !== null && time >= before) return false;
+      if (condition.olderThanDays !== null && now - time < condition.olderThanDays * DAY_MS) {
+        return false;
+      }
+      if (condition.newerThanDays !== null && now - time > condition.newerThanDays * DAY_MS) {
+        return false;
+      }
+      return true;
+    }
+
+    case RULE_CONDITION_TYPES.SOURCE_FOLDER: {
+      if (!context.directory) return false;
+      const folder = normalizePathForIndex(condition.folder).replace(/\/+$/, '');
+      if (context.directory === folder) return true;
+      return condition.includeSubfolders && context.directory.startsWith(`${folder}/`);
+    }
+
+    case RULE_CONDITION_TYPES.ANALYSIS: {
+      const value = context.analysis[condition.field];
+      if (Array.isArray(value)) {
+        return value.some((item) => matchAnalysisValue(item, condition.operator, condition.value));
+      }
+      return matchAnalysisValue(value, condition.operator, condition.value);
+    }
+
+    case RULE_CONDITION_TYPES.USER_TAG:
+      return matchesUserTags(context.userTags, condition.values, 'any');
+
+    case RULE_CONDITION_TYPES.USER_NOTE:
+      return matchAnalysisValue(context.userNote, condition.operator, condition.value);
+
+    default:
+      return false;
+  }
+}
+
+function evaluateRule(rule, context, now) {
+  const results = [];
+  for (const condition of rule.conditions) {
+    const raw = evaluateCondition(condition, context, now);
+    const passed = condition.negate ? !raw : raw;
+    if (passed) results.push(condition);
+    if (rule.match === 'any' && passed) return results;
+    if (rule.match !== 'any' && !passed) return null;
+  }
+  return rule.match === 'any' ? null : results;
+}
+
+/**
+ * Find the first smart folder rule matching a file.
+ *
+ * @param {Object} file - File to route (name/path required, analysis optional)
+ * @param {Array} smartFolders - Smart folders in priority order
+ * @param {Object} [options]
+ * @param {number} [options.now] - Reference time for relative date conditions
+ * @returns {Promise<Object|null>} Suggestion-shaped match or null when no rule applies
+ */
+async function evaluateSmartFolderRules(file, smartFolders, options = {}) {
+  if (!file || !Array.isArray(smartFolders) || smartFolders.length === 0) return null;
+
+  const candidates = [];
+  for (const folder of smartFolders) {
+    if (!folder || !folder.name || !Array.isArray(folder.rules) || folder.rules.length === 0) {
+      continue;
+    }
+    const rules = normalizeSmartFolderRules(folder.rules).filter((rule) => rule.enabled);
+    if (rules.length > 0) candidates.push({ folder, rules });
+  }
+  if (candidates.length === 0) return null;
+
+  const needsStats = candidates.some(({ rules }) => rulesNeedStats(rules));
+  const needsAnnotations = candidates.some(({ rules }) => rulesNeedAnnotations(rules));
+  const context = await buildRuleContext(file, needsStats, needsAnnotations);
+  const now = Number.isFinite(options.now) ? options.now : Date.now();
+
+  for (const { folder, rules } of candidates) {
+    for (const rule of rules) {
+      const matched = evaluateRule(rule, context, now);
+      if (!matched) continue;
+
+      const matchedBy = matched.map(describeRuleCondition);
+      logger.debug('[RuleEngine] Rule matched', {
+        file: context.name,
+        folder: folder.name,
+        rule: rule.name
+      });
+      return {
+        folder: folder.name,
+        path: folder.path,
+        description: folder.description,
+        score: 1,
+        confidence: 1,
+        method: 'smart_folder_rule',
+        source: 'rule',
+        isSmartFolder: true,
+        folderId: folder.id,
+        ruleId: rule.id,
+        ruleName: rule.name,
+        matchedBy
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Summary of a rule match stored on analysis results so the renderer can
+ * explain why a file was routed the way it was.
+ * @param {Object} match - Result of evaluateSmartFolderRules
+ * @returns {Object}
+ */
+function toMatchedRule(match) {
+  return {
+    folderId: match.folderId,
+    folder: match.folder,
+    ruleId: match.ruleId,
+    ruleName: match.ruleName,
+    matchedBy: match.matchedBy
+  };
+}
+
+/**
+ * Apply a rule match to an analysis result in place, overriding the AI category.
+ * @param {Object} analysis - Analysis result from the analyzers
+ * @param {Object} match - Result of evaluateSmartFolderRules
+ * @returns {Object} The same analysis object
+ */
+function applyRuleMatchToAnalysis(analysis, match) {
+  if (!analysis || typeof analysis !== 'object' || !match) return analysis;
+  if (analysis.category && analysis.category !== match.folder) {
+    analysis.llmOriginalCategory = analysis.llmOriginalCategory || analysis.category;
+  }
+  analysis.category = match.folder;
+  analysis.categorySource = 'smart_folder_rule';
+  analysis.matchedRule = toMatchedRule(match);
+  return analysis;
+}
+
+module.exports = {
+  evaluateSmartFolderRules,
+  applyRuleMatchToAnalysis,
+  toMatchedRule,
+  // Exported for testing
+  compilePattern,
+  evaluateCondition
+};
@@ -11,7 +11,9 @@
  * Source-based weight multipliers
  */
 const sourceWeights = {
+  rule: 2.0, // Explicit user rules are deterministic and always win
   llm: 1.3, // LLM content analysis is PRIMARY - semantic understanding first
+  classifier: 1.3, // Trained on this user's own corrections; stands in for the LLM when confident
   user_pattern: 1.2, // User patterns are valuable but don't override content understanding
   semantic: 1.1, // Embedding similarity supports but doesn't dominate
   cluster: 1.1, // Cluster-based suggestions support organization
@@ -106,8 +108,14 @@ function generateExplanation(suggestion, file) {
   }
 
   const explanations = {
+    rule: `Matched by rule "${suggestion.ruleName || 'Unnamed rule'}"${
+      Array.isArray(suggestion.matchedBy) && suggestion.matchedBy.length > 0
+        ? ` (${suggestion.matchedBy.join('; ')})`
+        : ''
+    }`,
     semantic: `This file's content is similar to other files in "${suggestion.folder}"`,
     user_pattern: `You've organized similar files this way before`,
+    classifier: `You've filed files like this into "${suggestion.folder}" before`,
     strategy: `Using ${suggestion.strategyName || 'your preferred'} organization method`,
     llm: `Based on the file's content and purpose`,
     pattern: `This is where ${(file?.extension || 'these').toUpperCase()} files usually go`,
@@ -15,7 +15,12 @@ const { TIMEOUTS } = require('../../../shared/performanceConstants');
 
 const { runPreflightChecks, isPortAvailable } = require('./preflightChecks');
 const { startChromaDB, isChromaDBRunning, checkChromaDBHealth } = require('./chromaService');
-const { startOllama, isOllamaRunning, checkOllamaHealth } = require('./ollamaService');
+const {
+  startOllama,
+  isOllamaRequired,
+  isOllamaRunning,
+  checkOllamaHealth
+} = require('./ollamaService');
 const { createHealthMonitor } = require('./healthMonitoring');
 const { shutdown, shutdownProcess } = require('./shutdownHandler');
 
@@ -304,7 +309,7 @@ class StartupManager {
       this.chromadbDependencyMissing = true;
     }
 
-    if (initialResult.disabled) {
+    if (initialResult.disabled || initialResult.embedded) {
       return initialResult;
     }
 
@@ -333,6 +338,11 @@ class StartupManager {
   }
 
   async startOllama() {
+    if (!(await isOllamaRequired())) {
+      logger.info('[STARTUP] No model role uses Ollama; not starting it');
+      this.serviceStatus.ollama = { status: 'not_used', required: false, health: 'not_used' };
+      return { success: true, notUsed: true };
+    }
     return await this.startServiceWithRetry(
       'ollama',
       async () => startOllama({ serviceStatus: this.serviceStatus }),
@@ -408,7 +418,17 @@ class StartupManager {
     const progress = serviceName === 'chromadb' ? 40 : 55;
 
     if (result.success) {
-      if (result.external) {
+      if (result.notUsed) {
+        this.reportProgress(
+          'services',
+          `${serviceName} not needed by the selected providers`,
+          progress,
+          {
+            service: serviceName,
+            status: 'not_used'
+          }
+        );
+      } else if (result.external) {
         this.reportProgress('services', `${serviceName} detected (external instance)`, progress, {
           service: serviceName,
           status: 'external'
@@ -512,7 +532,7 @@ class StartupManager {
     const serviceResults = await this.initializeServices();
     logger.info('[STARTUP] Services initialization complete');
 
-    if (serviceResults.ollama?.success) {
+    if (serviceResults.ollama?.success && !serviceResults.ollama.notUsed) {
       logger.info('[STARTUP] Phase 3: Verifying AI models');
       this.reportProgress('models', 'Verifying AI models...', 70);
     }
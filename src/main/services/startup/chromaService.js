@@ -16,6 +16,7 @@ const { createLogger } = require('../../../shared/logger');
 const { axiosWithRetry } = require('../../utils/ollamaApiRetry');
 const { hasPythonModuleAsync } = require('../../utils/asyncSpawnUtils');
 const { container, ServiceIds } = require('../ServiceContainer');
+const { loadVectorStoreBackend } = require('../chromadb/vectorStoreBackend');
 const {
   getChromaDataDir,
   parseChromaConfig,
@@ -182,6 +183,15 @@ async function startChromaDB({
     return { success: true, disabled: true };
   }
 
+  // The embedded vector store runs in-process: no Python, no server to spawn
+  if ((await loadVectorStoreBackend()) === 'embedded') {
+    serviceStatus.chromadb.status = 'running';
+    serviceStatus.chromadb.health = 'healthy';
+    serviceStatus.chromadb.embedded = true;
+    logger.info('[STARTUP] Using embedded vector store; skipping ChromaDB server');
+    return { success: true, embedded: true };
+  }
+
   if (chromadbDependencyMissing) {
     logger.info('[STARTUP] ChromaDB dependency previously marked missing. Skipping startup.');
     serviceStatus.chromadb.status = 'disabled';
@@ -15,6 +15,7 @@ const { axiosWithRetry } = require('../../utils/ollamaApiRetry');
 const { isPortAvailable } = require('./preflightChecks');
 const { checkChromaDBHealth } = require('./chromaService');
 const { checkOllamaHealth } = require('./ollamaService');
+const { isOllamaInUse } = require('../llmProviders');
 const { container, ServiceIds } = require('../ServiceContainer');
 const { withTimeout } = require('../../../shared/promiseUtils');
 
@@ -287,8 +288,13 @@ async function checkServicesHealth(
   // Handle circuit breaker recovery for ChromaDB
   await handleCircuitBreakerRecovery('chromadb', serviceStatus, startChromaDB, checkChromaDBHealth);
 
+  // Ollama is only probed (and restarted) while some model role uses it
+  const ollamaInUse = isOllamaInUse();
+
   // Handle circuit breaker recovery for Ollama
-  await handleCircuitBreakerRecovery('ollama', serviceStatus, startOllama, checkOllamaHealth);
+  if (ollamaInUse) {
+    await handleCircuitBreakerRecovery('ollama', serviceStatus, startOllama, checkOllamaHealth);
+  }
 
   // Check ChromaDB health
   await checkServiceHealthWithRecovery(
@@ -300,7 +306,15 @@ async function checkServicesHealth(
   );
 
   // Check Ollama health
-  await checkServiceHealthWithRecovery('ollama', serviceStatus, config, restartLocks, startOllama);
+  if (ollamaInUse) {
+    await checkServiceHealthWithRecovery(
+      'ollama',
+      serviceStatus,
+      config,
+      restartLocks,
+      startOllama
+    );
+  }
 }
 
 /**
@@ -16,10 +16,30 @@ const { TIMEOUTS } = require('../../../shared/performanceConstants');
 const { getValidatedOllamaHost } = require('../../../shared/configDefaults');
 const { getRecommendedEnvSettings } = require('../PerformanceService');
 const { findOllamaBinary } = require('../../utils/ollamaDetection');
+const { getProviderConfig } = require('../../../shared/llmProviders');
+const { setProviderConfig, isOllamaInUse } = require('../llmProviders');
 
 const logger = createLogger('StartupManager:Ollama');
 // Note: checkOllamaHealth is imported from shared ollamaApiRetry module
 
+/**
+ * Whether any model role is served by Ollama. Startup runs before the rest of
+ * the Ollama config is loaded, so the provider choice is read from settings here.
+ * @returns {Promise<boolean>}
+ */
+async function isOllamaRequired() {
+  try {
+    const { getInstance: getSettingsService } = require('../SettingsService');
+    const settings = await getSettingsService().load();
+    setProviderConfig(getProviderConfig(settings));
+  } catch (error) {
+    logger.warn('[STARTUP] Could not read provider settings, assuming Ollama is used', {
+      error: error.message
+    });
+  }
+  return isOllamaInUse();
+}
+
 /**
  * Check if Ollama is running
  * @returns {Promise<boolean>}
@@ -241,6 +261,7 @@ async function startOllama({ serviceStatus }) {
 
 module.exports = {
   checkOllamaHealth,
+  isOllamaRequired,
   isOllamaRunning,
   startOllama
 };
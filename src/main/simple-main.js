@@ -400,6 +400,9 @@ function updateDownloadWatcher(settings) {
 
       downloadWatcher.start();
       logger.info('[AUTO-ORGANIZE] Download watcher started successfully');
+    } else {
+      // Pick up inbox folder edits without toggling auto-organize
+      downloadWatcher.applyInboxSettings?.(settings);
     }
   } else if (downloadWatcher) {
     downloadWatcher.stop();
@@ -428,6 +431,18 @@ function handleSettingsChanged(settings) {
   } catch (error) {
     logger.warn('[SETTINGS] Failed to apply settings to auto-organize service:', error?.message);
   }
+  try {
+    const { container, ServiceIds } = require('./services/ServiceContainer');
+    container.tryResolve(ServiceIds.ORGANIZATION_SCHEDULER)?.applySettings?.(settings);
+  } catch (error) {
+    logger.warn('[SETTINGS] Failed to apply settings to organization scheduler:', error?.message);
+  }
+  try {
+    const { container, ServiceIds } = require('./services/ServiceContainer');
+    container.tryResolve(ServiceIds.LOCAL_API_SERVER)?.applySettings?.(settings);
+  } catch (error) {
+    logger.warn('[SETTINGS] Failed to apply settings to local API server:', error?.message);
+  }
   try {
     updateTrayMenu();
   } catch (error) {
@@ -446,7 +461,10 @@ if (!gotTheLock) {
   logger.debug('Failed to get lock, quitting');
   app.quit();
 } else {
-  const secondInstanceHandler = (_event, argv) => {
+  const secondInstanceHandler = (_event, argv, _workingDirectory, additionalData) => {
+    // The CLI only checks that the app is not running; it prints its own error
+    if (additionalData?.cli) return;
+
     // Someone tried to run a second instance, restore and focus our window
     // HIGH-2 FIX: Use event-driven window state manager
     const { restoreWindow } = require('./core/windowState');
@@ -829,6 +847,17 @@ app.whenReady().then(async () => {
         analyzeImageFile
       });
 
+      // Start scheduled organization jobs (runs in background mode too)
+      serviceIntegration.configureOrganizationScheduler({
+        getSmartFolders: () => customFolders
+      });
+
+      // Re-run saved searches once the index is up so collections catch up
+      const { container, ServiceIds } = require('./services/ServiceContainer');
+      container.tryResolve(ServiceIds.SAVED_SEARCHES)?.start();
+      // Check virtual links against their originals once sync clients have settled
+      container.tryResolve(ServiceIds.VIRTUAL_LINKS)?.start();
+
       // Configure LearningFeedback to learn from file organization
       serviceIntegration.configureLearningFeedback({
         getSmartFolders: getCustomFolders
@@ -265,8 +265,51 @@ async function handleDuplicateMove({
   return { skipped: true, destination: duplicatePath, reason: 'duplicate' };
 }
 
+/**
+ * Create a link at linkPath pointing to targetPath.
+ * Prefers a hard link so the copy stays valid if the target is later moved;
+ * falls back to a symlink across volumes or where hard links are not allowed.
+ * @param {string} targetPath - Existing file to link to
+ * @param {string} linkPath - Path where the link is created (must not exist)
+ * @returns {Promise<'hardlink'|'symlink'>}
+ */
+async function createFileLink(targetPath, linkPath) {
+  try {
+    await fs.link(targetPath, linkPath);
+    return 'hardlink';
+  } catch (error) {
+    if (!['EXDEV', 'EPERM', 'ENOTSUP', 'EMLINK'].includes(error?.code)) throw error;
+    await fs.symlink(path.resolve(targetPath), linkPath, 'file');
+    return 'symlink';
+  }
+}
+
+/**
+ * Check whether linkPath is still a link made by createFileLink to targetPath:
+ * a symlink resolving to it, or a hard link sharing its inode.
+ * @param {string} targetPath - File the link should point to
+ * @param {string} linkPath - Path expected to hold the link
+ * @returns {Promise<boolean>} False when either path no longer exists
+ */
+async function isFileLinkTo(targetPath, linkPath) {
+  try {
+    const linkStats = await fs.lstat(linkPath);
+    if (linkStats.isSymbolicLink()) {
+      const linked = path.resolve(path.dirname(linkPath), await fs.readlink(linkPath));
+      return linked === path.resolve(targetPath);
+    }
+    const targetStats = await fs.stat(targetPath);
+    return linkStats.dev === targetStats.dev && linkStats.ino === targetStats.ino;
+  } catch (error) {
+    if (error?.code === 'ENOENT') return false;
+    throw error;
+  }
+}
+
 module.exports = {
   computeFileChecksum,
+  createFileLink,
+  isFileLinkTo,
   findDuplicateForDestination,
   handleDuplicateMove
 };
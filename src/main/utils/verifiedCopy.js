@@ -0,0 +1,221 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { IntegrityError, FILE_SYSTEM_ERROR_CODES } = require('../errors/FileSystemError');
+const { LIMITS } = require('../../shared/performanceConstants');
+const { computeFileChecksum } = require('./fileDedup');
+
+/**
+ * Verified Copy
+ * Copy-mode organization for removable media and camera cards:
+ * - Copies go to a partial file, are read back and hashed against the source,
+ *   and only then renamed into place, so an interrupted copy never looks done
+ * - After verification the source is kept, deleted or archived
+ */
+
+const PARTIAL_COPY_SUFFIX = '.stratosort-partial';
+// Archived sources go into this folder next to where they were
+const ARCHIVE_FOLDER_NAME = 'Organized Originals';
+
+function getPartialCopyPath(destination) {
+  return `${destination}${PARTIAL_COPY_SUFFIX}`;
+}
+
+async function pathExists(filePath) {
+  try {
+    await fs.lstat(filePath);
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+}
+
+/**
+ * First free path of `filePath`, `name_1.ext`, `name_2.ext`, ...
+ * @param {string} filePath
+ * @returns {Promise<string>}
+ */
+async function findAvailablePath(filePath) {
+  if (!(await pathExists(filePath))) return filePath;
+  const ext = path.extname(filePath);
+  const baseName = ext.length > 0 ? filePath.slice(0, -ext.length) : filePath;
+  for (let counter = 1; counter <= LIMITS.MAX_NUMERIC_RETRIES; counter++) {
+    const candidate = `${baseName}_${counter}${ext}`;
+    if (!(await pathExists(candidate))) return candidate;
+  }
+  throw new Error(`Too many name collisions for ${path.basename(filePath)}`);
+}
+
+/**
+ * Remove what an interrupted copy left behind
+ * @param {string} destination - Destination the copy was headed for
+ */
+async function removePartialCopy(destination) {
+  await fs.rm(getPartialCopyPath(destination), { force: true });
+}
+
+/**
+ * Copy a file and verify the copy with SHA-256.
+ * The source is hashed while it streams, so it is read once; the copy is read
+ * back from disk. Modification times are kept, since photos and scans are
+ * often sorted by date.
+ *
+ * @param {string} source
+ * @param {string} destination - Must not exist yet (see findAvailablePath)
+ * @param {Object} [options]
+ * @param {Function} [options.onBytes] - Called with the size of each chunk written
+ * @param {Function} [options.onVerify] - Called once the copy is written, before read-back
+ * @param {AbortSignal} [options.signal] - Aborts the copy (the partial file is removed)
+ * @returns {Promise<{destination: string, bytes: number, checksum: string}>}
+ * @throws {IntegrityError} When the copy does not match the source
+ */
+async function copyFileVerified(source, destination, { onBytes, onVerify, signal } = {}) {
+  const partialPath = getPartialCopyPath(destination);
+  const sourceHash = crypto.createHash('sha256');
+  let bytes = 0;
+
+  try {
+    const sourceStats = await fs.stat(source);
+    await pipeline(
+      fsSync.createReadStream(source),
+      new Transform({
+        transform(chunk, encoding, callback) {
+          sourceHash.update(chunk);
+          bytes += chunk.length;
+          onBytes?.(chunk.length);
+          callback(null, chunk);
+        }
+      }),
+      fsSync.createWriteStream(partialPath),
+      { signal }
+    );
+
+    const checksum = sourceHash.digest('hex');
+    onVerify?.();
+    const copyChecksum = await computeFileChecksum(partialPath);
+    if (copyChecksum !== checksum) {
+      throw new IntegrityError(FILE_SYSTEM_ERROR_CODES.CHECKSUM_MISMATCH, destination, {
+        operation: 'verifiedCopy',
+        source
+      });
+    }
+
+    await fs.utimes(partialPath, sourceStats.atime, sourceStats.mtime);
+    // rename() replaces an existing file on most platforms; never overwrite one
+    if (await pathExists(destination)) {
+      const error = new Error(`Destination already exists: ${destination}`);
+      error.code = 'EEXIST';
+      throw error;
+    }
+    await fs.rename(partialPath, destination);
+    return { destination, bytes, checksum };
+  } catch (error) {
+    await fs.rm(partialPath, { force: true }).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Check whether `destination` already holds a copy of `source`
+ * @param {string} source
+ * @param {string} destination
+ * @returns {Promise<string|null>} The shared checksum, or null
+ */
+async function findVerifiedCopy(source, destination) {
+  let sourceStats;
+  let destinationStats;
+  try {
+    [sourceStats, destinationStats] = await Promise.all([fs.stat(source), fs.stat(destination)]);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+  if (!destinationStats.isFile() || sourceStats.size !== destinationStats.size) return null;
+
+  const [sourceChecksum, destinationChecksum] = await Promise.all([
+    computeFileChecksum(source),
+    computeFileChecksum(destination)
+  ]);
+  return sourceChecksum === destinationChecksum ? sourceChecksum : null;
+}
+
+/**
+ * Apply the retention policy to a source whose copy has been verified
+ * @param {string} source
+ * @param {'keep'|'delete'|'archive'} policy
+ * @returns {Promise<{archivePath: string|null}>}
+ */
+async function applySourceRetention(source, policy) {
+  if (policy === 'delete') {
+    await fs.unlink(source);
+  } else if (policy === 'archive') {
+    const archiveDir = path.join(path.dirname(source), ARCHIVE_FOLDER_NAME);
+    await fs.mkdir(archiveDir, { recursive: true });
+    const archivePath = await findAvailablePath(path.join(archiveDir, path.basename(source)));
+    await fs.rename(source, archivePath);
+    return { archivePath };
+  }
+  return { archivePath: null };
+}
+
+/**
+ * Undo a verified copy: bring the source back from the archive if needed,
+ * then drop the copy. When the source is gone (deleted by the retention
+ * policy or by the user) the copy is the last one, so it is moved back instead.
+ * A copy edited since it was made is never deleted: the undo fails with
+ * COPY_MODIFIED before anything is touched.
+ *
+ * @param {Object} copy
+ * @param {string} copy.source
+ * @param {string} copy.destination
+ * @param {string} [copy.sourceRetention]
+ * @param {string|null} [copy.archivePath]
+ * @param {string} [copy.checksum] - Hash recorded when the copy was verified;
+ *   without it the copy is compared against the source
+ * @param {Function} moveFn - (from, to) => Promise, must handle cross-device moves
+ */
+async function revertVerifiedCopy(
+  { source, destination, sourceRetention, archivePath, checksum },
+  moveFn
+) {
+  const restoreFrom =
+    sourceRetention === 'archive' && archivePath && (await pathExists(archivePath))
+      ? archivePath
+      : null;
+  const original = restoreFrom || ((await pathExists(source)) ? source : null);
+  if (original && (await pathExists(destination))) {
+    const expected = checksum || (await computeFileChecksum(original));
+    if ((await computeFileChecksum(destination)) !== expected) {
+      const error = new Error(
+        `${path.basename(destination)} was changed after it was copied; undo left it in place`
+      );
+      error.code = 'COPY_MODIFIED';
+      throw error;
+    }
+  }
+
+  if (restoreFrom) {
+    await moveFn(restoreFrom, source);
+  }
+  if (await pathExists(source)) {
+    await fs.rm(destination, { force: true });
+  } else {
+    await fs.mkdir(path.dirname(source), { recursive: true });
+    await moveFn(destination, source);
+  }
+}
+
+module.exports = {
+  PARTIAL_COPY_SUFFIX,
+  ARCHIVE_FOLDER_NAME,
+  findAvailablePath,
+  removePartialCopy,
+  copyFileVerified,
+  findVerifiedCopy,
+  applySourceRetention,
+  revertVerifiedCopy
+};
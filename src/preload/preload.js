@@ -31,7 +31,8 @@ const IPC_CHANNELS = {
     COPY_FILE: 'files:copy',
     OPEN_FOLDER: 'files:open-folder',
     DELETE_FOLDER: 'files:delete-folder',
-    CLEANUP_ANALYSIS: 'files:cleanup-analysis'
+    CLEANUP_ANALYSIS: 'files:cleanup-analysis',
+    GET_PREVIEW: 'files:get-preview'
   },
 
   // SMART_FOLDERS
@@ -102,6 +103,8 @@ const IPC_CHANNELS = {
     GET_STATISTICS: 'analysis-history:get-statistics',
     GET_FILE_HISTORY: 'analysis-history:get-file-history',
     SET_EMBEDDING_POLICY: 'analysis-history:set-embedding-policy',
+    GET_SENSITIVE: 'analysis-history:get-sensitive',
+    REVIEW_SENSITIVITY: 'analysis-history:review-sensitivity',
     CLEAR: 'analysis-history:clear',
     EXPORT: 'analysis-history:export'
   },
@@ -120,6 +123,7 @@ const IPC_CHANNELS = {
     FIND_SIMILAR: 'embeddings:find-similar',
     REBUILD_BM25_INDEX: 'embeddings:rebuild-bm25',
     GET_SEARCH_STATUS: 'embeddings:get-search-status',
+    GET_QUERY_VALUES: 'embeddings:get-query-values',
     DIAGNOSE_SEARCH: 'embeddings:diagnose-search',
     FIND_MULTI_HOP: 'embeddings:find-multi-hop',
     COMPUTE_CLUSTERS: 'embeddings:compute-clusters',
@@ -166,7 +170,8 @@ const IPC_CHANNELS = {
     ADD_FEEDBACK_MEMORY: 'suggestions:add-feedback-memory',
     GET_FEEDBACK_MEMORY: 'suggestions:get-feedback-memory',
     UPDATE_FEEDBACK_MEMORY: 'suggestions:update-feedback-memory',
-    DELETE_FEEDBACK_MEMORY: 'suggestions:delete-feedback-memory'
+    DELETE_FEEDBACK_MEMORY: 'suggestions:delete-feedback-memory',
+    GET_CLASSIFIER_STATS: 'suggestions:get-classifier-stats'
   },
 
   // ORGANIZE
@@ -178,7 +183,8 @@ const IPC_CHANNELS = {
     UPDATE_THRESHOLDS: 'organize:update-thresholds',
     CLUSTER_BATCH: 'organize:cluster-batch',
     IDENTIFY_OUTLIERS: 'organize:identify-outliers',
-    GET_CLUSTER_SUGGESTIONS: 'organize:get-cluster-suggestions'
+    GET_CLUSTER_SUGGESTIONS: 'organize:get-cluster-suggestions',
+    PREVIEW_RENAME: 'organize:preview-rename'
   },
 
   // CHROMADB
@@ -188,6 +194,7 @@ const IPC_CHANNELS = {
     GET_QUEUE_STATS: 'chromadb:get-queue-stats',
     FORCE_RECOVERY: 'chromadb:force-recovery',
     HEALTH_CHECK: 'chromadb:health-check',
+    MIGRATE_TO_EMBEDDED: 'chromadb:migrate-to-embedded',
     STATUS_CHANGED: 'chromadb:status-changed'
   },
 
@@ -204,13 +211,84 @@ const IPC_CHANNELS = {
   // CHAT
   CHAT: {
     QUERY: 'chat:query',
-    RESET_SESSION: 'chat:reset-session'
+    QUERY_STREAM: 'chat:query-stream',
+    CANCEL: 'chat:cancel',
+    RESET_SESSION: 'chat:reset-session',
+    STREAM_EVENT: 'chat:stream-event',
+    LIST_CONVERSATIONS: 'chat:list-conversations',
+    GET_CONVERSATION: 'chat:get-conversation',
+    RENAME_CONVERSATION: 'chat:rename-conversation',
+    DELETE_CONVERSATION: 'chat:delete-conversation',
+    EXPORT_CONVERSATION: 'chat:export-conversation'
   },
 
   // KNOWLEDGE
   KNOWLEDGE: {
     GET_RELATIONSHIP_EDGES: 'knowledge:get-relationship-edges',
     GET_RELATIONSHIP_STATS: 'knowledge:get-relationship-stats'
+  },
+
+  // DUPLICATES
+  DUPLICATES: {
+    SCAN: 'duplicates:scan',
+    GET_RESULTS: 'duplicates:get-results',
+    CANCEL_SCAN: 'duplicates:cancel-scan',
+    RESOLVE: 'duplicates:resolve',
+    SCAN_PROGRESS: 'duplicates:scan-progress'
+  },
+
+  // SCHEDULES
+  SCHEDULES: {
+    GET_STATUS: 'schedules:get-status',
+    GET_RUN: 'schedules:get-run',
+    RUN_NOW: 'schedules:run-now',
+    UNDO_RUN: 'schedules:undo-run',
+    RUN_COMPLETE: 'schedules:run-complete'
+  },
+
+  // LOCAL_API
+  LOCAL_API: {
+    GET_STATUS: 'local-api:get-status',
+    REGENERATE_TOKEN: 'local-api:regenerate-token'
+  },
+
+  // GRAPH_WORKSPACES
+  GRAPH_WORKSPACES: {
+    LIST: 'graph-workspaces:list',
+    GET: 'graph-workspaces:get',
+    SAVE: 'graph-workspaces:save',
+    RENAME: 'graph-workspaces:rename',
+    DELETE: 'graph-workspaces:delete',
+    EXPORT: 'graph-workspaces:export',
+    SAVE_SNAPSHOT: 'graph-workspaces:save-snapshot'
+  },
+
+  // FILE_ANNOTATIONS
+  FILE_ANNOTATIONS: {
+    GET: 'file-annotations:get',
+    GET_MANY: 'file-annotations:get-many',
+    SET: 'file-annotations:set',
+    LIST_TAGS: 'file-annotations:list-tags',
+    FIND_BY_TAGS: 'file-annotations:find-by-tags'
+  },
+
+  // SAVED_SEARCHES
+  SAVED_SEARCHES: {
+    LIST: 'saved-searches:list',
+    GET: 'saved-searches:get',
+    CREATE: 'saved-searches:create',
+    UPDATE: 'saved-searches:update',
+    DELETE: 'saved-searches:delete',
+    MARK_VIEWED: 'saved-searches:mark-viewed',
+    REFRESH: 'saved-searches:refresh',
+    CHANGED: 'saved-searches:changed'
+  },
+
+  // VIRTUAL_LINKS
+  VIRTUAL_LINKS: {
+    LIST: 'virtual-links:list',
+    MATERIALIZE: 'virtual-links:materialize',
+    VERIFY: 'virtual-links:verify'
   }
 };
 // === END GENERATED IPC_CHANNELS ===
@@ -250,7 +328,9 @@ const buildEmbeddingSearchPayload = (query, options = {}) => {
     correctSpelling,
     expandSynonyms,
     rerank,
-    rerankTopN
+    rerankTopN,
+    tags,
+    tagMatch
   } = options;
 
   return {
@@ -264,7 +344,10 @@ const buildEmbeddingSearchPayload = (query, options = {}) => {
     ...(typeof correctSpelling === 'boolean' && { correctSpelling }),
     ...(typeof expandSynonyms === 'boolean' && { expandSynonyms }),
     ...(typeof rerank === 'boolean' && { rerank }),
-    ...(Number.isInteger(rerankTopN) && { rerankTopN })
+    ...(Number.isInteger(rerankTopN) && { rerankTopN }),
+    // Only files carrying these user tags ('all' by default, or 'any')
+    ...(Array.isArray(tags) && tags.length > 0 && { tags }),
+    ...((tagMatch === 'all' || tagMatch === 'any') && { tagMatch })
   };
 };
 
@@ -288,7 +371,14 @@ const ALLOWED_CHANNELS = {
   CHROMADB: Object.values(IPC_CHANNELS.CHROMADB || {}),
   DEPENDENCIES: Object.values(IPC_CHANNELS.DEPENDENCIES || {}),
   CHAT: Object.values(IPC_CHANNELS.CHAT || {}),
-  KNOWLEDGE: Object.values(IPC_CHANNELS.KNOWLEDGE || {})
+  KNOWLEDGE: Object.values(IPC_CHANNELS.KNOWLEDGE || {}),
+  DUPLICATES: Object.values(IPC_CHANNELS.DUPLICATES || {}),
+  SCHEDULES: Object.values(IPC_CHANNELS.SCHEDULES || {}),
+  LOCAL_API: Object.values(IPC_CHANNELS.LOCAL_API || {}),
+  GRAPH_WORKSPACES: Object.values(IPC_CHANNELS.GRAPH_WORKSPACES || {}),
+  FILE_ANNOTATIONS: Object.values(IPC_CHANNELS.FILE_ANNOTATIONS || {}),
+  SAVED_SEARCHES: Object.values(IPC_CHANNELS.SAVED_SEARCHES || {}),
+  VIRTUAL_LINKS: Object.values(IPC_CHANNELS.VIRTUAL_LINKS || {})
 };
 
 // FIX: Use centralized security config to prevent drift between preload and main process
@@ -349,6 +439,7 @@ class SecureIPCManager {
       channel === IPC_CHANNELS.ANALYSIS.ANALYZE_IMAGE ||
       channel === IPC_CHANNELS.ANALYSIS.ANALYZE_DOCUMENT ||
       channel === IPC_CHANNELS.CHAT.QUERY ||
+      channel === IPC_CHANNELS.CHAT.QUERY_STREAM ||
       channel === IPC_CHANNELS.SUGGESTIONS.GET_BATCH_SUGGESTIONS ||
       channel === IPC_CHANNELS.SUGGESTIONS.GET_FILE_SUGGESTIONS ||
       channel === IPC_CHANNELS.FILES.PERFORM_OPERATION ||
@@ -779,6 +870,8 @@ contextBridge.exposeInMainWorld('electronAPI', {
     // Add missing file operations that the UI is calling
     open: (filePath) => secureIPC.safeInvoke(IPC_CHANNELS.FILES.OPEN_FILE, filePath),
     reveal: (filePath) => secureIPC.safeInvoke(IPC_CHANNELS.FILES.REVEAL_FILE, filePath),
+    getPreview: (filePath, options = {}) =>
+      secureIPC.safeInvoke(IPC_CHANNELS.FILES.GET_PREVIEW, filePath, options),
     copy: (sourcePath, destinationPath) =>
       secureIPC.safeInvoke(IPC_CHANNELS.FILES.COPY_FILE, sourcePath, destinationPath),
     openFolder: (folderPath) => secureIPC.safeInvoke(IPC_CHANNELS.FILES.OPEN_FOLDER, folderPath),
@@ -925,6 +1018,13 @@ contextBridge.exposeInMainWorld('electronAPI', {
         filePath,
         policy
       }),
+    getSensitive: (options) =>
+      secureIPC.safeInvoke(IPC_CHANNELS.ANALYSIS_HISTORY.GET_SENSITIVE, options),
+    reviewSensitivity: (filePath, decision) =>
+      secureIPC.safeInvoke(IPC_CHANNELS.ANALYSIS_HISTORY.REVIEW_SENSITIVITY, {
+        filePath,
+        decision
+      }),
     clear: () => secureIPC.safeInvoke(IPC_CHANNELS.ANALYSIS_HISTORY.CLEAR),
     export: (format) => secureIPC.safeInvoke(IPC_CHANNELS.ANALYSIS_HISTORY.EXPORT, format)
   },
@@ -967,6 +1067,9 @@ contextBridge.exposeInMainWorld('electronAPI', {
       ),
     rebuildBM25Index: () => secureIPC.safeInvoke(IPC_CHANNELS.EMBEDDINGS.REBUILD_BM25_INDEX),
     getSearchStatus: () => secureIPC.safeInvoke(IPC_CHANNELS.EMBEDDINGS.GET_SEARCH_STATUS),
+    // Known values of a query field (type:, folder:, entity:, tag:) for autocomplete
+    getQueryValues: (field, prefix = '') =>
+      secureIPC.safeInvoke(IPC_CHANNELS.EMBEDDINGS.GET_QUERY_VALUES, { field, prefix }),
     // Diagnostic endpoint for troubleshooting search issues
     diagnoseSearch: (testQuery = 'test') =>
       secureIPC.safeInvoke(IPC_CHANNELS.EMBEDDINGS.DIAGNOSE_SEARCH, { testQuery }),
@@ -1001,8 +1104,19 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // Chat / Document QA
   chat: {
     query: (payload) => secureIPC.safeInvoke(IPC_CHANNELS.CHAT.QUERY, payload),
+    // Streams answer tokens via onStreamEvent; resolves with the same shape as query()
+    queryStream: (payload) => secureIPC.safeInvoke(IPC_CHANNELS.CHAT.QUERY_STREAM, payload),
+    cancel: (requestId) => secureIPC.safeInvoke(IPC_CHANNELS.CHAT.CANCEL, { requestId }),
     resetSession: (sessionId) =>
-      secureIPC.safeInvoke(IPC_CHANNELS.CHAT.RESET_SESSION, { sessionId })
+      secureIPC.safeInvoke(IPC_CHANNELS.CHAT.RESET_SESSION, { sessionId }),
+    onStreamEvent: (callback) => secureIPC.safeOn(IPC_CHANNELS.CHAT.STREAM_EVENT, callback),
+    // Persisted conversations (conversation id === chat session id)
+    listConversations: () => secureIPC.safeInvoke(IPC_CHANNELS.CHAT.LIST_CONVERSATIONS),
+    getConversation: (id) => secureIPC.safeInvoke(IPC_CHANNELS.CHAT.GET_CONVERSATION, { id }),
+    renameConversation: (id, title) =>
+      secureIPC.safeInvoke(IPC_CHANNELS.CHAT.RENAME_CONVERSATION, { id, title }),
+    deleteConversation: (id) => secureIPC.safeInvoke(IPC_CHANNELS.CHAT.DELETE_CONVERSATION, { id }),
+    exportConversation: (id) => secureIPC.safeInvoke(IPC_CHANNELS.CHAT.EXPORT_CONVERSATION, { id })
   },
 
   // Knowledge relationships
@@ -1016,6 +1130,90 @@ contextBridge.exposeInMainWorld('electronAPI', {
     getRelationshipStats: () => secureIPC.safeInvoke(IPC_CHANNELS.KNOWLEDGE.GET_RELATIONSHIP_STATS)
   },
 
+  // Duplicate detection and resolution
+  duplicates: {
+    // Starts a background scan; progress arrives via onScanProgress
+    scan: (options = {}) => secureIPC.safeInvoke(IPC_CHANNELS.DUPLICATES.SCAN, options),
+    getResults: () => secureIPC.safeInvoke(IPC_CHANNELS.DUPLICATES.GET_RESULTS),
+    cancelScan: () => secureIPC.safeInvoke(IPC_CHANNELS.DUPLICATES.CANCEL_SCAN),
+    resolve: (resolutions, mode) =>
+      secureIPC.safeInvoke(IPC_CHANNELS.DUPLICATES.RESOLVE, { resolutions, mode }),
+    onScanProgress: (callback) => secureIPC.safeOn(IPC_CHANNELS.DUPLICATES.SCAN_PROGRESS, callback)
+  },
+
+  // Scheduled organization jobs (defined in settings.organizationSchedules)
+  schedules: {
+    getStatus: () => secureIPC.safeInvoke(IPC_CHANNELS.SCHEDULES.GET_STATUS),
+    getRun: (runId) => secureIPC.safeInvoke(IPC_CHANNELS.SCHEDULES.GET_RUN, { runId }),
+    // Starts the job in the background; the report arrives via onRunComplete
+    runNow: (jobId) => secureIPC.safeInvoke(IPC_CHANNELS.SCHEDULES.RUN_NOW, { jobId }),
+    undoRun: (runId) => secureIPC.safeInvoke(IPC_CHANNELS.SCHEDULES.UNDO_RUN, { runId }),
+    onRunComplete: (callback) => secureIPC.safeOn(IPC_CHANNELS.SCHEDULES.RUN_COMPLETE, callback)
+  },
+
+  // Loopback REST API (enabled through settings.localApiEnabled)
+  localApi: {
+    getStatus: () => secureIPC.safeInvoke(IPC_CHANNELS.LOCAL_API.GET_STATUS),
+    regenerateToken: () => secureIPC.safeInvoke(IPC_CHANNELS.LOCAL_API.REGENERATE_TOKEN)
+  },
+
+  // Named graph workspaces from the Knowledge OS graph tab
+  graphWorkspaces: {
+    list: () => secureIPC.safeInvoke(IPC_CHANNELS.GRAPH_WORKSPACES.LIST),
+    get: (id) => secureIPC.safeInvoke(IPC_CHANNELS.GRAPH_WORKSPACES.GET, { id }),
+    // workspace: { id?, name, nodes, edges, notes, chatMessages, settings }; omit id to create
+    save: (workspace) => secureIPC.safeInvoke(IPC_CHANNELS.GRAPH_WORKSPACES.SAVE, workspace),
+    rename: (id, name) => secureIPC.safeInvoke(IPC_CHANNELS.GRAPH_WORKSPACES.RENAME, { id, name }),
+    delete: (id) => secureIPC.safeInvoke(IPC_CHANNELS.GRAPH_WORKSPACES.DELETE, { id }),
+    // format: 'graphml' | 'gexf' | 'json'; prompts for a destination
+    export: (id, format) =>
+      secureIPC.safeInvoke(IPC_CHANNELS.GRAPH_WORKSPACES.EXPORT, { id, format }),
+    // format: 'svg' (markup) | 'png' (data URL); prompts for a destination
+    saveSnapshot: (name, format, data) =>
+      secureIPC.safeInvoke(IPC_CHANNELS.GRAPH_WORKSPACES.SAVE_SNAPSHOT, { name, format, data })
+  },
+
+  // User tags and notes on files; used by search, embeddings and smart folder rules
+  annotations: {
+    get: (filePath) => secureIPC.safeInvoke(IPC_CHANNELS.FILE_ANNOTATIONS.GET, { filePath }),
+    getMany: (filePaths) =>
+      secureIPC.safeInvoke(IPC_CHANNELS.FILE_ANNOTATIONS.GET_MANY, { filePaths }),
+    // Omitted fields keep their value; clearing both tags and note removes the annotation
+    set: (filePath, { tags, note } = {}) =>
+      secureIPC.safeInvoke(IPC_CHANNELS.FILE_ANNOTATIONS.SET, { filePath, tags, note }),
+    listTags: () => secureIPC.safeInvoke(IPC_CHANNELS.FILE_ANNOTATIONS.LIST_TAGS),
+    // match: 'all' (default) | 'any'
+    findByTags: (tags, match) =>
+      secureIPC.safeInvoke(IPC_CHANNELS.FILE_ANNOTATIONS.FIND_BY_TAGS, { tags, match })
+  },
+
+  // Saved searches shown as smart collections in the search sidebar
+  savedSearches: {
+    list: () => secureIPC.safeInvoke(IPC_CHANNELS.SAVED_SEARCHES.LIST),
+    // Includes the stored matches and which of them are unread
+    get: (id) => secureIPC.safeInvoke(IPC_CHANNELS.SAVED_SEARCHES.GET, { id }),
+    // search: { name?, query, mode?, tags?, tagMatch?, notify? }
+    create: (search) => secureIPC.safeInvoke(IPC_CHANNELS.SAVED_SEARCHES.CREATE, search),
+    update: (id, changes) =>
+      secureIPC.safeInvoke(IPC_CHANNELS.SAVED_SEARCHES.UPDATE, { ...changes, id }),
+    delete: (id) => secureIPC.safeInvoke(IPC_CHANNELS.SAVED_SEARCHES.DELETE, { id }),
+    markViewed: (id) => secureIPC.safeInvoke(IPC_CHANNELS.SAVED_SEARCHES.MARK_VIEWED, { id }),
+    // Re-runs one search, or all of them when id is omitted
+    refresh: (id) => secureIPC.safeInvoke(IPC_CHANNELS.SAVED_SEARCHES.REFRESH, id ? { id } : {}),
+    onChanged: (callback) => secureIPC.safeOn(IPC_CHANNELS.SAVED_SEARCHES.CHANGED, callback)
+  },
+
+  // Links that link-based smart folders are built from
+  virtualLinks: {
+    // Newest first; folderPath limits the list to one smart folder
+    list: (folderPath) =>
+      secureIPC.safeInvoke(IPC_CHANNELS.VIRTUAL_LINKS.LIST, folderPath ? { folderPath } : {}),
+    // Replaces each link with its original (a real move); undoable
+    materialize: (linkPaths) =>
+      secureIPC.safeInvoke(IPC_CHANNELS.VIRTUAL_LINKS.MATERIALIZE, { linkPaths }),
+    verify: () => secureIPC.safeInvoke(IPC_CHANNELS.VIRTUAL_LINKS.VERIFY)
+  },
+
   // Organization Suggestions
   suggestions: {
     getFileSuggestions: (file, options) =>
@@ -1066,7 +1264,8 @@ contextBridge.exposeInMainWorld('electronAPI', {
     deleteFeedbackMemory: (id) =>
       secureIPC.safeInvoke(IPC_CHANNELS.SUGGESTIONS.DELETE_FEEDBACK_MEMORY, {
         id
-      })
+      }),
+    getClassifierStats: () => secureIPC.safeInvoke(IPC_CHANNELS.SUGGESTIONS.GET_CLASSIFIER_STATS)
   },
 
   // Auto-Organize
@@ -1085,7 +1284,9 @@ contextBridge.exposeInMainWorld('electronAPI', {
     identifyOutliers: (files) =>
       secureIPC.safeInvoke(IPC_CHANNELS.ORGANIZE.IDENTIFY_OUTLIERS, { files }),
     getClusterSuggestions: (file, smartFolders) =>
-      secureIPC.safeInvoke(IPC_CHANNELS.ORGANIZE.GET_CLUSTER_SUGGESTIONS, { file, smartFolders })
+      secureIPC.safeInvoke(IPC_CHANNELS.ORGANIZE.GET_CLUSTER_SUGGESTIONS, { file, smartFolders }),
+    previewRename: (files, template, options) =>
+      secureIPC.safeInvoke(IPC_CHANNELS.ORGANIZE.PREVIEW_RENAME, { files, template, options })
   },
 
   // Undo/Redo System
@@ -1253,6 +1454,7 @@ contextBridge.exposeInMainWorld('electronAPI', {
     getQueueStats: () => secureIPC.safeInvoke(IPC_CHANNELS.CHROMADB.GET_QUEUE_STATS),
     forceRecovery: () => secureIPC.safeInvoke(IPC_CHANNELS.CHROMADB.FORCE_RECOVERY),
     healthCheck: () => secureIPC.safeInvoke(IPC_CHANNELS.CHROMADB.HEALTH_CHECK),
+    migrateToEmbedded: () => secureIPC.safeInvoke(IPC_CHANNELS.CHROMADB.MIGRATE_TO_EMBEDDED),
     // FIX: Use IPC_CHANNELS constant instead of hardcoded string
     onStatusChanged: (callback) => secureIPC.safeOn(IPC_CHANNELS.CHROMADB.STATUS_CHANGED, callback)
   },
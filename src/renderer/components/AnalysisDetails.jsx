@@ -1,11 +1,12 @@
 import React, { memo } from 'react';
 import PropTypes from 'prop-types';
-import { FileText, Info, Sparkles, Lightbulb, Tag, AlignLeft } from 'lucide-react';
+import { FileText, Info, Sparkles, Lightbulb, Tag, AlignLeft, Bookmark } from 'lucide-react';
 import { Text, Code, Caption } from './ui/Typography';
 import { Stack } from './layout';
 import StatusBadge from './ui/StatusBadge';
 import Card from './ui/Card';
 import Collapsible from './ui/Collapsible';
+import FileAnnotationsEditor from './FileAnnotationsEditor';
 import { formatDisplayPath } from '../utils/pathDisplay';
 
 const isValuePresent = (value) => value !== null && value !== undefined && value !== '';
@@ -252,6 +253,12 @@ const AnalysisDetails = memo(function AnalysisDetails({
         </div>
       </SectionCard>
 
+      {resolvedFilePath && (
+        <SectionCard title="Your Tags & Notes" icon={Bookmark}>
+          <FileAnnotationsEditor filePath={resolvedFilePath} />
+        </SectionCard>
+      )}
+
       {metadataItems.length > 0 && (
         <SectionCard title="Metadata" icon={Info}>
           <div className="grid sm:grid-cols-2 gap-3">
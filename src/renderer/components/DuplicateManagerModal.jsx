@@ -0,0 +1,362 @@
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { Copy, Image as ImageIcon, FileText, RefreshCw, Square } from 'lucide-react';
+import { createLogger } from '../../shared/logger';
+import { useNotification } from '../contexts/NotificationContext';
+import { useUndoRedo, createDuplicateResolutionAction } from './UndoRedoSystem';
+import Modal from './ui/Modal';
+import Button from './ui/Button';
+import Card from './ui/Card';
+import Switch from './ui/Switch';
+import { StatusBadge, StateMessage } from './ui';
+import { Text } from './ui/Typography';
+import { Inline, Stack } from './layout';
+
+const logger = createLogger('DuplicateManagerModal');
+
+const KIND_META = {
+  exact: { label: 'Identical', icon: Copy, variant: 'error' },
+  image: { label: 'Similar image', icon: ImageIcon, variant: 'warning' },
+  document: { label: 'Similar document', icon: FileText, variant: 'info' }
+};
+
+const PHASE_LABELS = {
+  listing: 'Listing files',
+  hashing: 'Comparing file contents',
+  images: 'Comparing images'
+};
+
+const formatSize = (bytes) => {
+  if (!bytes) return '0 KB';
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+function DuplicateManagerModal({ onClose }) {
+  const { addNotification } = useNotification();
+  const { executeAction } = useUndoRedo();
+  const [groups, setGroups] = useState([]);
+  const [stats, setStats] = useState(null);
+  const [quarantineDir, setQuarantineDir] = useState('');
+  const [progress, setProgress] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isResolving, setIsResolving] = useState(false);
+  const [includeImages, setIncludeImages] = useState(true);
+  const [includeDocuments, setIncludeDocuments] = useState(true);
+  // groupId -> path of the copy to keep; presence means the group is selected
+  const [keepers, setKeepers] = useState({});
+  const isMountedRef = useRef(true);
+
+  const loadResults = useCallback(async () => {
+    try {
+      const result = await window.electronAPI?.duplicates?.getResults?.();
+      if (!isMountedRef.current || !result?.success) return;
+      setGroups(result.groups || []);
+      setStats(result.stats || null);
+      setQuarantineDir(result.quarantineDir || '');
+      if (result.scanning) setProgress((prev) => prev || { phase: 'listing' });
+      setKeepers((prev) => {
+        const next = {};
+        (result.groups || []).forEach((group) => {
+          if (prev[group.id]) next[group.id] = prev[group.id];
+        });
+        return next;
+      });
+    } catch (error) {
+      logger.warn('Failed to load duplicate results', { error: error?.message });
+    } finally {
+      if (isMountedRef.current) setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    isMountedRef.current = true;
+    loadResults();
+    return () => {
+      isMountedRef.current = false;
+    };
+  }, [loadResults]);
+
+  // The scan keeps running if the modal closes; progress resumes on reopen
+  useEffect(() => {
+    const subscribe = window.electronAPI?.duplicates?.onScanProgress;
+    if (typeof subscribe !== 'function') return undefined;
+    return subscribe((event) => {
+      if (!event?.phase) return;
+      if (event.phase === 'done' || event.phase === 'cancelled' || event.phase === 'error') {
+        setProgress(null);
+        if (event.phase === 'error') {
+          addNotification(`Duplicate scan failed: ${event.error || 'Unknown error'}`, 'error');
+        }
+        loadResults();
+        return;
+      }
+      setProgress(event);
+    });
+  }, [addNotification, loadResults]);
+
+  const startScan = useCallback(async () => {
+    try {
+      const result = await window.electronAPI?.duplicates?.scan?.({
+        includeImages,
+        includeDocuments
+      });
+      if (result?.success) {
+        setProgress({ phase: 'listing' });
+      } else {
+        addNotification(result?.error || 'Could not start duplicate scan', 'warning');
+      }
+    } catch (error) {
+      addNotification(`Could not start duplicate scan: ${error?.message}`, 'error');
+    }
+  }, [includeImages, includeDocuments, addNotification]);
+
+  const cancelScan = useCallback(() => {
+    window.electronAPI?.duplicates?.cancelScan?.().catch((error) => {
+      logger.warn('Failed to cancel duplicate scan', { error: error?.message });
+    });
+  }, []);
+
+  const toggleGroup = (group) => {
+    setKeepers((prev) => {
+      const next = { ...prev };
+      if (next[group.id]) delete next[group.id];
+      else next[group.id] = group.files[0]?.path;
+      return next;
+    });
+  };
+
+  const selectedGroups = useMemo(() => groups.filter((g) => keepers[g.id]), [groups, keepers]);
+  const canLink = selectedGroups.length > 0 && selectedGroups.every((g) => g.kind === 'exact');
+  const allSelected = groups.length > 0 && selectedGroups.length === groups.length;
+
+  const toggleAll = () => {
+    setKeepers(
+      allSelected
+        ? {}
+        : Object.fromEntries(groups.map((g) => [g.id, keepers[g.id] || g.files[0]?.path]))
+    );
+  };
+
+  const resolve = useCallback(
+    async (mode) => {
+      const resolutions = selectedGroups.map((g) => ({ groupId: g.id, keepPath: keepers[g.id] }));
+      if (resolutions.length === 0) return;
+      const extraCount = selectedGroups.reduce((sum, g) => sum + g.files.length - 1, 0);
+      const description = `${mode === 'link' ? 'Link' : 'Quarantine'} ${extraCount} duplicate${
+        extraCount !== 1 ? 's' : ''
+      }`;
+
+      setIsResolving(true);
+      try {
+        const result = await executeAction(
+          createDuplicateResolutionAction(description, resolutions, mode)
+        );
+        const failed = (result?.results || []).filter((r) => !r.success);
+        if (failed.length > 0) {
+          addNotification(
+            `${failed.length} file${failed.length !== 1 ? 's' : ''} could not be resolved: ${failed[0].error}`,
+            'warning',
+            6000
+          );
+        }
+      } catch (error) {
+        // executeAction already notified the user
+        logger.error('Duplicate resolution failed', { error: error?.message });
+      } finally {
+        if (isMountedRef.current) {
+          setIsResolving(false);
+          loadResults();
+        }
+      }
+    },
+    [selectedGroups, keepers, executeAction, addNotification, loadResults]
+  );
+
+  const isScanning = Boolean(progress);
+  const progressText = progress
+    ? `${PHASE_LABELS[progress.phase] || 'Scanning'}${
+        progress.total ? ` (${progress.processed || 0} of ${progress.total})` : '...'
+      }`
+    : '';
+
+  return (
+    <Modal
+      isOpen
+      onClose={onClose}
+      title="Duplicate Files"
+      description="Find identical and near-identical files across your smart folders"
+      size="xl"
+      footer={
+        <Inline className="justify-between w-full" gap="default" wrap={false}>
+          <Text variant="tiny" className="text-system-gray-500 truncate" title={quarantineDir}>
+            Removed copies go to {quarantineDir || 'the quarantine folder'}
+          </Text>
+          <Inline gap="default" wrap={false}>
+            <Button
+              onClick={() => resolve('link')}
+              variant="secondary"
+              size="sm"
+              disabled={!canLink || isResolving || isScanning}
+              title="Identical files only: keep one copy and leave links in place of the others"
+            >
+              Replace with Links
+            </Button>
+            <Button
+              onClick={() => resolve('quarantine')}
+              variant="primary"
+              size="sm"
+              disabled={selectedGroups.length === 0 || isResolving || isScanning}
+              isLoading={isResolving}
+            >
+              Quarantine Extras
+            </Button>
+          </Inline>
+        </Inline>
+      }
+    >
+      <Stack gap="default">
+        <Inline className="justify-between" gap="default">
+          <Inline gap="spacious">
+            <label className="flex items-center gap-2 text-sm text-system-gray-700">
+              <Switch checked={includeImages} onChange={setIncludeImages} disabled={isScanning} />
+              Similar images
+            </label>
+            <label className="flex items-center gap-2 text-sm text-system-gray-700">
+              <Switch
+                checked={includeDocuments}
+                onChange={setIncludeDocuments}
+                disabled={isScanning}
+              />
+              Similar documents
+            </label>
+          </Inline>
+          {isScanning ? (
+            <Button
+              onClick={cancelScan}
+              variant="secondary"
+              size="sm"
+              leftIcon={<Square className="w-4 h-4" />}
+            >
+              Stop Scan
+            </Button>
+          ) : (
+            <Button
+              onClick={startScan}
+              variant="secondary"
+              size="sm"
+              leftIcon={<RefreshCw className="w-4 h-4" />}
+            >
+              {stats ? 'Scan Again' : 'Scan Smart Folders'}
+            </Button>
+          )}
+        </Inline>
+
+        {isScanning && (
+          <Text variant="small" className="text-stratosort-blue" aria-live="polite">
+            {progressText}
+          </Text>
+        )}
+
+        {stats && !isScanning && (
+          <Inline className="justify-between" gap="default">
+            <Text variant="small" className="text-system-gray-600">
+              {stats.filesScanned} files scanned • {groups.length} group
+              {groups.length !== 1 ? 's' : ''} • {formatSize(stats.reclaimableBytes)} reclaimable
+              from identical copies
+              {stats.partial && ' • scan stopped early on a large folder'}
+            </Text>
+            {groups.length > 0 && (
+              <Button onClick={toggleAll} variant="ghost" size="sm">
+                {allSelected ? 'Clear Selection' : 'Select All'}
+              </Button>
+            )}
+          </Inline>
+        )}
+
+        {!isLoading && !isScanning && groups.length === 0 && (
+          <StateMessage
+            icon={Copy}
+            title={stats ? 'No duplicates found' : 'No scan yet'}
+            description={
+              stats
+                ? 'Your smart folders have no duplicate files.'
+                : 'Scan your smart folders to find duplicate files.'
+            }
+          />
+        )}
+
+        <Stack gap="compact">
+          {groups.map((group) => {
+            const meta = KIND_META[group.kind] || KIND_META.exact;
+            const Icon = meta.icon;
+            const selected = Boolean(keepers[group.id]);
+            return (
+              <Card key={group.id} variant="default" className="space-y-2">
+                <Inline className="justify-between" gap="default" wrap={false}>
+                  <label className="flex items-center gap-2 min-w-0 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={selected}
+                      onChange={() => toggleGroup(group)}
+                      className="form-checkbox accent-stratosort-blue"
+                    />
+                    <Icon className="w-4 h-4 text-system-gray-500 flex-shrink-0" aria-hidden />
+                    <Text variant="small" className="font-medium truncate">
+                      {group.files[0]?.name}
+                    </Text>
+                  </label>
+                  <Inline gap="compact" wrap={false}>
+                    {group.kind !== 'exact' && (
+                      <Text variant="tiny" className="text-system-gray-500">
+                        {Math.round((group.similarity || 0) * 100)}% similar
+                      </Text>
+                    )}
+                    <StatusBadge variant={meta.variant} size="sm">
+                      {meta.label}
+                    </StatusBadge>
+                  </Inline>
+                </Inline>
+                <div className="pl-6 space-y-1">
+                  {group.files.map((file) => (
+                    <label
+                      key={file.path}
+                      className="flex items-center gap-2 text-xs text-system-gray-600 cursor-pointer"
+                    >
+                      <input
+                        type="radio"
+                        name={`keep-${group.id}`}
+                        checked={keepers[group.id] === file.path}
+                        onChange={() => setKeepers((prev) => ({ ...prev, [group.id]: file.path }))}
+                        className="accent-stratosort-blue"
+                        aria-label={`Keep ${file.path}`}
+                      />
+                      <span className="truncate flex-1" title={file.path}>
+                        {file.path}
+                      </span>
+                      <span className="flex-shrink-0 text-system-gray-400">
+                        {formatSize(file.size)}
+                        {file.modified && ` • ${new Date(file.modified).toLocaleDateString()}`}
+                      </span>
+                      {keepers[group.id] === file.path && (
+                        <StatusBadge variant="success" size="sm">
+                          Keep
+                        </StatusBadge>
+                      )}
+                    </label>
+                  ))}
+                </div>
+              </Card>
+            );
+          })}
+        </Stack>
+      </Stack>
+    </Modal>
+  );
+}
+
+DuplicateManagerModal.propTypes = {
+  onClose: PropTypes.func.isRequired
+};
+
+export default DuplicateManagerModal;
@@ -0,0 +1,174 @@
+import React, { useCallback, useEffect, useId, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import { X } from 'lucide-react';
+import { Input, Textarea } from './ui';
+import { Text } from './ui/Typography';
+import { createLogger } from '../../shared/logger';
+import { FILE_ANNOTATION_LIMITS, normalizeUserTags } from '../../shared/fileAnnotations';
+
+const logger = createLogger('FileAnnotationsEditor');
+
+const api = () => window.electronAPI?.annotations;
+
+/**
+ * FileAnnotationsEditor - Edit a file's user tags and note
+ *
+ * Tags save as soon as they are added or removed; the note saves on blur.
+ * Annotations are stored per file in the main process and feed search,
+ * embeddings and smart folder rules.
+ */
+function FileAnnotationsEditor({ filePath, compact = false, onSaved }) {
+  const [tags, setTags] = useState([]);
+  const [note, setNote] = useState('');
+  const [tagInput, setTagInput] = useState('');
+  const [knownTags, setKnownTags] = useState([]);
+  const [status, setStatus] = useState('');
+  const savedNoteRef = useRef('');
+  const suggestionsId = useId();
+
+  useEffect(() => {
+    let cancelled = false;
+    setTags([]);
+    setNote('');
+    setTagInput('');
+    setStatus('');
+    savedNoteRef.current = '';
+    if (!filePath || !api()) return undefined;
+
+    (async () => {
+      try {
+        const [result, tagList] = await Promise.all([api().get(filePath), api().listTags()]);
+        if (cancelled) return;
+        const annotation = result?.success ? result.annotation : null;
+        setTags(annotation?.tags || []);
+        setNote(annotation?.note || '');
+        savedNoteRef.current = annotation?.note || '';
+        if (tagList?.success) setKnownTags(tagList.tags.map((entry) => entry.tag));
+      } catch (error) {
+        logger.warn('Failed to load file annotations', { error: error?.message });
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [filePath]);
+
+  const save = useCallback(
+    async (patch) => {
+      try {
+        const result = await api().set(filePath, patch);
+        if (!result?.success) {
+          throw new Error(result?.error?.message || result?.error || 'Save failed');
+        }
+        setStatus('Saved');
+        onSaved?.(result.annotation);
+        return true;
+      } catch (error) {
+        logger.error('Failed to save file annotations', { error: error?.message });
+        setStatus('Could not save');
+        return false;
+      }
+    },
+    [filePath, onSaved]
+  );
+
+  const commitTags = useCallback(
+    (nextTags) => {
+      const normalized = normalizeUserTags(nextTags);
+      setTags(normalized);
+      save({ tags: normalized });
+    },
+    [save]
+  );
+
+  const addTagsFromInput = useCallback(() => {
+    const added = normalizeUserTags(tagInput);
+    setTagInput('');
+    if (added.length > 0) commitTags([...tags, ...added]);
+  }, [commitTags, tagInput, tags]);
+
+  const handleTagKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      addTagsFromInput();
+    } else if (e.key === 'Backspace' && !tagInput && tags.length > 0) {
+      commitTags(tags.slice(0, -1));
+    }
+  };
+
+  const handleNoteBlur = useCallback(async () => {
+    if (note.trim() === savedNoteRef.current.trim()) return;
+    if (await save({ note })) savedNoteRef.current = note;
+  }, [note, save]);
+
+  if (!filePath || !api()) return null;
+
+  const atTagLimit = tags.length >= FILE_ANNOTATION_LIMITS.MAX_TAGS_PER_FILE;
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center gap-1.5">
+        {tags.map((tag) => (
+          <span
+            key={tag}
+            className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full bg-stratosort-blue/10 text-stratosort-blue text-xs"
+          >
+            {tag}
+            <button
+              type="button"
+              onClick={() => commitTags(tags.filter((t) => t !== tag))}
+              className="hover:text-stratosort-danger"
+              aria-label={`Remove tag ${tag}`}
+            >
+              <X className="w-3 h-3" />
+            </button>
+          </span>
+        ))}
+        <Input
+          value={tagInput}
+          onChange={(e) => setTagInput(e.target.value)}
+          onKeyDown={handleTagKeyDown}
+          onBlur={addTagsFromInput}
+          placeholder={atTagLimit ? 'Tag limit reached' : 'Add tag…'}
+          disabled={atTagLimit}
+          maxLength={FILE_ANNOTATION_LIMITS.MAX_TAG_LENGTH}
+          list={suggestionsId}
+          aria-label="Add tag"
+          className={`h-7 text-xs ${compact ? 'w-28' : 'w-36'}`}
+        />
+        <datalist id={suggestionsId}>
+          {knownTags
+            .filter((tag) => !tags.some((t) => t.toLowerCase() === tag.toLowerCase()))
+            .slice(0, 50)
+            .map((tag) => (
+              <option key={tag} value={tag} />
+            ))}
+        </datalist>
+      </div>
+      <Textarea
+        value={note}
+        onChange={(e) => setNote(e.target.value)}
+        onBlur={handleNoteBlur}
+        rows={compact ? 3 : 4}
+        maxLength={FILE_ANNOTATION_LIMITS.MAX_NOTE_LENGTH}
+        placeholder="Add a note about this file…"
+        aria-label="File note"
+        className="w-full text-sm"
+      />
+      {status && (
+        <Text variant="tiny" className="text-system-gray-400">
+          {status}
+        </Text>
+      )}
+    </div>
+  );
+}
+
+FileAnnotationsEditor.propTypes = {
+  filePath: PropTypes.string,
+  compact: PropTypes.bool,
+  onSaved: PropTypes.func
+};
+
+export default FileAnnotationsEditor;
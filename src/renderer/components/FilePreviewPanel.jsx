@@ -0,0 +1,297 @@
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { ChevronLeft, ChevronRight, ExternalLink, FileQuestion, FolderOpen } from 'lucide-react';
+import { createLogger } from '../../shared/logger';
+import { useFileActions } from '../hooks';
+import { findChunkRange } from '../utils/highlightUtils';
+import SidePanel from './ui/SidePanel';
+import Button from './ui/Button';
+import IconButton from './ui/IconButton';
+import { StateMessage } from './ui';
+import { Text } from './ui/Typography';
+import { Inline } from './layout';
+
+const logger = createLogger('FilePreviewPanel');
+
+const TEXT_SOURCE_LABELS = {
+  file: null,
+  analysis: 'Text captured during analysis',
+  extracted: 'Extracted text'
+};
+
+const formatSize = (bytes) => {
+  if (!bytes) return '0 KB';
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * FilePreviewPanel - Side panel preview of a file (image, PDF page, text or
+ * extracted document text). When opened from a chunk search result the
+ * matching chunk is highlighted and scrolled into view.
+ */
+function FilePreviewPanel({ isOpen, onClose, filePath, fileName, matchDetails = null }) {
+  const [preview, setPreview] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isPaging, setIsPaging] = useState(false);
+  const [error, setError] = useState(null);
+  const [view, setView] = useState('visual');
+  const requestRef = useRef(0);
+  const markRef = useRef(null);
+  const { openFile, revealFile } = useFileActions(setError);
+
+  useEffect(() => {
+    if (!isOpen || !filePath) return undefined;
+    const requestId = requestRef.current + 1;
+    requestRef.current = requestId;
+    setPreview(null);
+    setError(null);
+    setIsLoading(true);
+
+    (async () => {
+      try {
+        const result = await window.electronAPI?.files?.getPreview?.(filePath);
+        if (requestRef.current !== requestId) return;
+        if (result?.success) {
+          setPreview(result);
+        } else {
+          setError(
+            result?.errorCode === 'FILE_NOT_FOUND'
+              ? 'File not found. It may have been moved or deleted.'
+              : result?.error || 'Preview unavailable'
+          );
+        }
+      } catch (e) {
+        logger.warn('Failed to load preview', { error: e?.message });
+        if (requestRef.current === requestId) setError('Preview unavailable');
+      } finally {
+        if (requestRef.current === requestId) setIsLoading(false);
+      }
+    })();
+
+    return () => {
+      // Drop responses for a file that is no longer shown
+      requestRef.current += 1;
+    };
+  }, [isOpen, filePath]);
+
+  const highlightRange = useMemo(
+    () => findChunkRange(preview?.text, matchDetails),
+    [preview?.text, matchDetails]
+  );
+
+  // Start on the matched text when there is one, otherwise on the rendered page/image
+  useEffect(() => {
+    setView(preview?.dataUrl && !highlightRange ? 'visual' : 'text');
+  }, [preview, highlightRange]);
+
+  useEffect(() => {
+    if (view === 'text' && highlightRange && markRef.current) {
+      markRef.current.scrollIntoView({ block: 'center' });
+    }
+  }, [view, highlightRange]);
+
+  const changePage = useCallback(
+    async (delta) => {
+      if (!preview?.page) return;
+      setIsPaging(true);
+      try {
+        const result = await window.electronAPI?.files?.getPreview?.(filePath, {
+          page: preview.page + delta,
+          includeText: false
+        });
+        if (result?.success && result.dataUrl) {
+          setPreview((prev) =>
+            prev?.path === result.path
+              ? { ...prev, dataUrl: result.dataUrl, page: result.page, pageCount: result.pageCount }
+              : prev
+          );
+        }
+      } catch (e) {
+        logger.warn('Failed to load page', { error: e?.message });
+      } finally {
+        setIsPaging(false);
+      }
+    },
+    [filePath, preview?.page]
+  );
+
+  const hasText = typeof preview?.text === 'string' && preview.text.length > 0;
+  const title = fileName || preview?.name || 'Preview';
+  const meta = preview
+    ? [
+        preview.extension ? preview.extension.slice(1).toUpperCase() : null,
+        formatSize(preview.size),
+        preview.pageCount ? `${preview.pageCount} page${preview.pageCount === 1 ? '' : 's'}` : null
+      ]
+        .filter(Boolean)
+        .join(' • ')
+    : null;
+
+  const renderText = () => {
+    const { text } = preview;
+    return (
+      <div className="space-y-2">
+        {TEXT_SOURCE_LABELS[preview.textSource] && (
+          <Text variant="tiny" className="text-system-gray-400">
+            {TEXT_SOURCE_LABELS[preview.textSource]}
+          </Text>
+        )}
+        <pre className="text-xs leading-relaxed text-system-gray-700 whitespace-pre-wrap break-words font-mono bg-system-gray-50 rounded-lg p-3">
+          {highlightRange ? (
+            <>
+              {text.slice(0, highlightRange.start)}
+              <mark
+                ref={markRef}
+                className="bg-stratosort-warning/25 text-system-gray-900 rounded-sm"
+              >
+                {text.slice(highlightRange.start, highlightRange.end)}
+              </mark>
+              {text.slice(highlightRange.end)}
+            </>
+          ) : (
+            text
+          )}
+        </pre>
+        {preview.truncated && (
+          <Text variant="tiny" className="text-system-gray-400">
+            Preview shortened. Open the file to see everything.
+          </Text>
+        )}
+      </div>
+    );
+  };
+
+  const renderVisual = () => (
+    <div className="space-y-3">
+      <div className="rounded-lg bg-system-gray-50 border border-system-gray-100 flex items-center justify-center overflow-hidden">
+        <img
+          src={preview.dataUrl}
+          alt={preview.kind === 'pdf' ? `${title}, page ${preview.page}` : title}
+          className={`max-w-full h-auto ${isPaging ? 'opacity-50' : ''}`}
+        />
+      </div>
+      {preview.kind === 'pdf' && preview.pageCount > 1 && (
+        <Inline className="justify-center" gap="compact" wrap={false}>
+          <IconButton
+            variant="ghost"
+            size="sm"
+            aria-label="Previous page"
+            disabled={isPaging || preview.page <= 1}
+            onClick={() => changePage(-1)}
+            icon={<ChevronLeft className="w-4 h-4" />}
+          />
+          <Text variant="tiny" className="text-system-gray-600">
+            Page {preview.page} of {preview.pageCount}
+          </Text>
+          <IconButton
+            variant="ghost"
+            size="sm"
+            aria-label="Next page"
+            disabled={isPaging || preview.page >= preview.pageCount}
+            onClick={() => changePage(1)}
+            icon={<ChevronRight className="w-4 h-4" />}
+          />
+        </Inline>
+      )}
+    </div>
+  );
+
+  const renderBody = () => {
+    if (isLoading) {
+      return (
+        <Text variant="small" className="text-system-gray-500">
+          Loading preview…
+        </Text>
+      );
+    }
+    if (!preview) {
+      return (
+        <StateMessage
+          icon={FileQuestion}
+          title="Preview unavailable"
+          description={error || 'This file could not be previewed.'}
+          tone="warning"
+        />
+      );
+    }
+    if (!preview.dataUrl && !hasText) {
+      return (
+        <StateMessage
+          icon={FileQuestion}
+          title="No preview for this file type"
+          description={preview.renderError || 'Open the file to view it.'}
+        />
+      );
+    }
+
+    return (
+      <div className="space-y-3">
+        {preview.dataUrl && hasText && (
+          <Inline gap="compact" wrap={false}>
+            <Button
+              variant={view === 'visual' ? 'secondary' : 'ghost'}
+              size="sm"
+              onClick={() => setView('visual')}
+            >
+              {preview.kind === 'pdf' ? 'Page' : 'Image'}
+            </Button>
+            <Button
+              variant={view === 'text' ? 'secondary' : 'ghost'}
+              size="sm"
+              onClick={() => setView('text')}
+            >
+              {highlightRange ? 'Text (match)' : 'Text'}
+            </Button>
+          </Inline>
+        )}
+        {preview.dataUrl && (view === 'visual' || !hasText) ? renderVisual() : renderText()}
+        {matchDetails?.bestSnippet && hasText && !highlightRange && (
+          <Text variant="tiny" className="text-system-gray-400">
+            The matched passage could not be located in this text.
+          </Text>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <SidePanel
+      isOpen={isOpen}
+      onClose={onClose}
+      title={title}
+      description={meta}
+      width={560}
+      footer={
+        <>
+          {error && preview && (
+            <Text variant="tiny" className="text-stratosort-danger mr-auto self-center">
+              {error}
+            </Text>
+          )}
+          <Button variant="secondary" size="sm" onClick={() => revealFile(filePath)}>
+            <FolderOpen className="h-4 w-4" />
+            <span>Reveal</span>
+          </Button>
+          <Button variant="primary" size="sm" onClick={() => openFile(filePath)}>
+            <ExternalLink className="h-4 w-4" />
+            <span>Open File</span>
+          </Button>
+        </>
+      }
+    >
+      {renderBody()}
+    </SidePanel>
+  );
+}
+
+FilePreviewPanel.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  filePath: PropTypes.string,
+  fileName: PropTypes.string,
+  /** matchDetails from a search result; chunk offsets/snippet are highlighted */
+  matchDetails: PropTypes.object
+};
+
+export default FilePreviewPanel;
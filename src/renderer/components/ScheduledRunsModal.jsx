@@ -0,0 +1,241 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { CalendarClock, ChevronDown, ChevronRight, Undo2 } from 'lucide-react';
+import { createLogger } from '../../shared/logger';
+import { useNotification } from '../contexts/NotificationContext';
+import Modal from './ui/Modal';
+import Button from './ui/Button';
+import Card from './ui/Card';
+import { StatusBadge, StateMessage } from './ui';
+import { Text } from './ui/Typography';
+import { Inline, Stack } from './layout';
+
+const logger = createLogger('ScheduledRunsModal');
+
+const ACTION_LABELS = { sweep: 'Sweep', archive: 'Archive' };
+
+function getRunBadge(run) {
+  if (run.undoneAt) return { variant: 'info', label: 'Undone' };
+  if (run.counts?.errors > 0) return { variant: 'warning', label: 'Errors' };
+  return { variant: 'success', label: 'Completed' };
+}
+
+function ReportList({ title, entries, total, render }) {
+  if (!total) return null;
+  return (
+    <div className="space-y-1">
+      <Text variant="tiny" className="font-semibold text-system-gray-600">
+        {title} ({total})
+      </Text>
+      <ul className="space-y-0.5 text-xs text-system-gray-600">
+        {entries.map((entry, index) => (
+          <li key={index} className="truncate" title={entry.path || entry.from}>
+            {render(entry)}
+          </li>
+        ))}
+      </ul>
+      {entries.length < total && (
+        <Text variant="tiny" className="text-system-gray-400">
+          {total - entries.length} more not shown
+        </Text>
+      )}
+    </div>
+  );
+}
+
+ReportList.propTypes = {
+  title: PropTypes.string.isRequired,
+  entries: PropTypes.array.isRequired,
+  total: PropTypes.number,
+  render: PropTypes.func.isRequired
+};
+
+function ScheduledRunsModal({ onClose }) {
+  const { addNotification } = useNotification();
+  const [runs, setRuns] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [expandedId, setExpandedId] = useState(null);
+  const [report, setReport] = useState(null);
+  const [undoingId, setUndoingId] = useState(null);
+  const isMountedRef = useRef(true);
+
+  const loadRuns = useCallback(async () => {
+    try {
+      const result = await window.electronAPI?.schedules?.getStatus?.();
+      if (isMountedRef.current && result?.success) setRuns(result.runs || []);
+    } catch (error) {
+      logger.warn('Failed to load scheduled runs', { error: error?.message });
+    } finally {
+      if (isMountedRef.current) setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    isMountedRef.current = true;
+    loadRuns();
+    const subscribe = window.electronAPI?.schedules?.onRunComplete;
+    const unsubscribe = typeof subscribe === 'function' ? subscribe(() => loadRuns()) : null;
+    return () => {
+      isMountedRef.current = false;
+      unsubscribe?.();
+    };
+  }, [loadRuns]);
+
+  const toggleRun = useCallback(
+    async (runId) => {
+      if (expandedId === runId) {
+        setExpandedId(null);
+        return;
+      }
+      setExpandedId(runId);
+      setReport(null);
+      try {
+        const result = await window.electronAPI?.schedules?.getRun?.(runId);
+        if (isMountedRef.current && result?.success) setReport(result.run);
+      } catch (error) {
+        logger.warn('Failed to load run report', { error: error?.message });
+      }
+    },
+    [expandedId]
+  );
+
+  const undoRun = useCallback(
+    async (run) => {
+      setUndoingId(run.id);
+      try {
+        const result = await window.electronAPI?.schedules?.undoRun?.(run.id);
+        if (result?.success) {
+          addNotification(
+            `Undid "${run.jobName}": ${result.successCount} file${
+              result.successCount !== 1 ? 's' : ''
+            } restored`,
+            result.failCount > 0 ? 'warning' : 'success'
+          );
+        } else {
+          addNotification(result?.error || 'Could not undo this run', 'warning', 6000);
+        }
+      } catch (error) {
+        addNotification(`Could not undo this run: ${error?.message}`, 'error');
+      } finally {
+        if (isMountedRef.current) {
+          setUndoingId(null);
+          setExpandedId(null);
+          loadRuns();
+        }
+      }
+    },
+    [addNotification, loadRuns]
+  );
+
+  return (
+    <Modal
+      isOpen
+      onClose={onClose}
+      title="Scheduled Runs"
+      description="Reports from scheduled sweep and archive jobs"
+      size="lg"
+    >
+      <Stack gap="compact">
+        {!isLoading && runs.length === 0 && (
+          <StateMessage
+            icon={CalendarClock}
+            title="No runs yet"
+            description="Scheduled jobs report here after they run."
+          />
+        )}
+
+        {runs.map((run) => {
+          const badge = getRunBadge(run);
+          const expanded = expandedId === run.id;
+          const Chevron = expanded ? ChevronDown : ChevronRight;
+          return (
+            <Card key={run.id} variant="default" className="space-y-2">
+              <Inline className="justify-between" gap="default" wrap={false}>
+                <button
+                  type="button"
+                  onClick={() => toggleRun(run.id)}
+                  className="flex items-center gap-2 min-w-0 text-left"
+                  aria-expanded={expanded}
+                >
+                  <Chevron className="w-4 h-4 text-system-gray-500 flex-shrink-0" aria-hidden />
+                  <div className="min-w-0">
+                    <Text variant="small" className="font-medium truncate">
+                      {run.jobName}
+                    </Text>
+                    <Text variant="tiny" className="text-system-gray-500">
+                      {ACTION_LABELS[run.action] || run.action} •{' '}
+                      {new Date(run.startedAt).toLocaleString()}
+                      {run.trigger === 'manual' && ' • run manually'} • {run.counts.moved} moved,{' '}
+                      {run.counts.skipped} skipped, {run.counts.errors} failed
+                      {run.truncated && ' • more files remain for the next run'}
+                    </Text>
+                  </div>
+                </button>
+                <Inline gap="compact" wrap={false}>
+                  <StatusBadge variant={badge.variant} size="sm">
+                    {badge.label}
+                  </StatusBadge>
+                  {run.canUndo && (
+                    <Button
+                      onClick={() => undoRun(run)}
+                      variant="secondary"
+                      size="sm"
+                      leftIcon={<Undo2 className="w-4 h-4" />}
+                      isLoading={undoingId === run.id}
+                      disabled={Boolean(undoingId)}
+                    >
+                      Undo
+                    </Button>
+                  )}
+                </Inline>
+              </Inline>
+
+              {expanded && (
+                <div className="pl-6 space-y-3">
+                  {!report && (
+                    <Text variant="tiny" className="text-system-gray-500">
+                      Loading report...
+                    </Text>
+                  )}
+                  {report && report.id === run.id && (
+                    <>
+                      <ReportList
+                        title="Moved"
+                        entries={report.moved}
+                        total={report.counts.moved}
+                        render={(entry) => `${entry.from} → ${entry.to}`}
+                      />
+                      <ReportList
+                        title="Skipped"
+                        entries={report.skipped}
+                        total={report.counts.skipped}
+                        render={(entry) => `${entry.path} (${entry.reason})`}
+                      />
+                      <ReportList
+                        title="Errors"
+                        entries={report.errors}
+                        total={report.counts.errors}
+                        render={(entry) => `${entry.path}: ${entry.error}`}
+                      />
+                      {!report.counts.moved && !report.counts.skipped && !report.counts.errors && (
+                        <Text variant="tiny" className="text-system-gray-500">
+                          Nothing needed organizing ({report.counts.checked} files checked).
+                        </Text>
+                      )}
+                    </>
+                  )}
+                </div>
+              )}
+            </Card>
+          );
+        })}
+      </Stack>
+    </Modal>
+  );
+}
+
+ScheduledRunsModal.propTypes = {
+  onClose: PropTypes.func.isRequired
+};
+
+export default ScheduledRunsModal;
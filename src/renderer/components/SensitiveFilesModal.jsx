@@ -0,0 +1,165 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { ShieldAlert } from 'lucide-react';
+import { createLogger } from '../../shared/logger';
+import { SENSITIVE_CATEGORY_LABELS, isSensitiveLevel } from '../../shared/sensitiveData';
+import { useNotification } from '../contexts/NotificationContext';
+import Modal from './ui/Modal';
+import Button from './ui/Button';
+import Card from './ui/Card';
+import Switch from './ui/Switch';
+import { StatusBadge, StateMessage } from './ui';
+import { Text } from './ui/Typography';
+import { Inline, Stack } from './layout';
+
+const logger = createLogger('SensitiveFilesModal');
+
+function getLevelBadge(sensitivity) {
+  if (sensitivity.level === 'high') return { variant: 'error', label: 'High' };
+  if (sensitivity.level === 'medium') return { variant: 'warning', label: 'Medium' };
+  return { variant: 'info', label: 'Cleared' };
+}
+
+function describeFindings(findings = []) {
+  return findings
+    .map((finding) => {
+      const label = SENSITIVE_CATEGORY_LABELS[finding.category] || finding.category;
+      const samples = finding.samples?.length > 0 ? ` (${finding.samples.join(', ')})` : '';
+      return `${label}${finding.count > 1 ? ` ×${finding.count}` : ''}${samples}`;
+    })
+    .join(' • ');
+}
+
+function SensitiveFilesModal({ onClose }) {
+  const { addNotification } = useNotification();
+  const [files, setFiles] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [showCleared, setShowCleared] = useState(false);
+  const [reviewingPath, setReviewingPath] = useState(null);
+  const isMountedRef = useRef(true);
+
+  const loadFiles = useCallback(async () => {
+    try {
+      const result = await window.electronAPI?.analysisHistory?.getSensitive?.({
+        includeDismissed: showCleared
+      });
+      if (isMountedRef.current && result?.success) setFiles(result.files || []);
+    } catch (error) {
+      logger.warn('Failed to load sensitive files', { error: error?.message });
+    } finally {
+      if (isMountedRef.current) setIsLoading(false);
+    }
+  }, [showCleared]);
+
+  useEffect(() => {
+    isMountedRef.current = true;
+    loadFiles();
+    return () => {
+      isMountedRef.current = false;
+    };
+  }, [loadFiles]);
+
+  const review = useCallback(
+    async (file, decision) => {
+      setReviewingPath(file.path);
+      try {
+        const result = await window.electronAPI?.analysisHistory?.reviewSensitivity?.(
+          file.path,
+          decision
+        );
+        if (result?.success) {
+          addNotification(
+            decision === 'not_sensitive'
+              ? `Cleared the sensitive flag on ${file.name}`
+              : `Marked ${file.name} as sensitive`,
+            'success'
+          );
+        } else {
+          addNotification(result?.error || 'Could not update this file', 'warning');
+        }
+      } catch (error) {
+        addNotification(`Could not update this file: ${error?.message}`, 'error');
+      } finally {
+        if (isMountedRef.current) {
+          setReviewingPath(null);
+          loadFiles();
+        }
+      }
+    },
+    [addNotification, loadFiles]
+  );
+
+  return (
+    <Modal
+      isOpen
+      onClose={onClose}
+      title="Sensitive Files"
+      description="Files where analysis found personal information"
+      size="lg"
+    >
+      <Stack gap="compact">
+        <Inline className="justify-end" gap="compact" wrap={false}>
+          <Text variant="tiny" className="text-system-gray-600">
+            Show cleared files
+          </Text>
+          <Switch checked={showCleared} onChange={setShowCleared} aria-label="Show cleared files" />
+        </Inline>
+
+        {!isLoading && files.length === 0 && (
+          <StateMessage
+            icon={ShieldAlert}
+            title="No sensitive files"
+            description="Files with SSNs, card or bank numbers, passports or medical records are listed here after analysis."
+          />
+        )}
+
+        {files.map((file) => {
+          const { sensitivity } = file;
+          const badge = getLevelBadge(sensitivity);
+          const flagged = isSensitiveLevel(sensitivity.level);
+          return (
+            <Card key={file.path} variant="default" className="space-y-1">
+              <Inline className="justify-between" gap="default" wrap={false}>
+                <div className="min-w-0">
+                  <Text variant="small" className="font-medium truncate" title={file.path}>
+                    {file.name}
+                  </Text>
+                  <Text variant="tiny" className="text-system-gray-500 truncate">
+                    {describeFindings(sensitivity.findings)}
+                  </Text>
+                  <Text variant="tiny" className="text-system-gray-400">
+                    {file.smartFolder ? `In ${file.smartFolder} • ` : ''}
+                    {sensitivity.confirmedBy === 'model' ? 'Confirmed by AI • ' : ''}
+                    {sensitivity.review
+                      ? `Reviewed ${new Date(sensitivity.review.reviewedAt).toLocaleString()}`
+                      : `Detected ${new Date(file.analyzedAt).toLocaleString()}`}
+                  </Text>
+                </div>
+                <Inline gap="compact" wrap={false}>
+                  <StatusBadge variant={badge.variant} size="sm">
+                    {badge.label}
+                  </StatusBadge>
+                  <Button
+                    onClick={() => review(file, flagged ? 'not_sensitive' : 'sensitive')}
+                    variant="secondary"
+                    size="sm"
+                    isLoading={reviewingPath === file.path}
+                    disabled={Boolean(reviewingPath)}
+                  >
+                    {flagged ? 'Not Sensitive' : 'Sensitive'}
+                  </Button>
+                </Inline>
+              </Inline>
+            </Card>
+          );
+        })}
+      </Stack>
+    </Modal>
+  );
+}
+
+SensitiveFilesModal.propTypes = {
+  onClose: PropTypes.func.isRequired
+};
+
+export default SensitiveFilesModal;
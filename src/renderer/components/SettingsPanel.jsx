@@ -4,11 +4,13 @@ import {
   Brain,
   ChevronsDown,
   ChevronsUp,
+  Copy,
   FolderOpen,
   History,
   Monitor,
   Save,
   Settings as SettingsIcon,
+  ShieldAlert,
   Wrench,
   X,
   Zap
@@ -16,6 +18,7 @@ import {
 import { createLogger } from '../../shared/logger';
 import { sanitizeSettings } from '../../shared/settingsValidation';
 import { DEFAULT_SETTINGS } from '../../shared/defaultSettings';
+import { LLM_PROVIDERS, getProviderConfig } from '../../shared/llmProviders';
 import { useNotification } from '../contexts/NotificationContext';
 import { getElectronAPI, eventsIpc, ollamaIpc, settingsIpc } from '../services/ipc';
 import { useAppDispatch, useAppSelector } from '../store/hooks';
@@ -30,14 +33,21 @@ import { Heading, Text } from './ui/Typography';
 import { Stack } from './layout';
 import { lockAppScroll, unlockAppScroll } from '../utils/scrollLock';
 import AutoOrganizeSection from './settings/AutoOrganizeSection';
+import CopyModeSection from './settings/CopyModeSection';
+import RoutingClassifierSection from './settings/RoutingClassifierSection';
+import InboxFoldersSection from './settings/InboxFoldersSection';
+import OrganizationSchedulesSection from './settings/OrganizationSchedulesSection';
 import BackgroundModeSection from './settings/BackgroundModeSection';
 import NotificationSettingsSection from './settings/NotificationSettingsSection';
 import OllamaConfigSection from './settings/OllamaConfigSection';
 import ModelSelectionSection from './settings/ModelSelectionSection';
 import ChatPersonaSection from './settings/ChatPersonaSection';
 import ModelManagementSection from './settings/ModelManagementSection';
+import AudioTranscriptionSection from './settings/AudioTranscriptionSection';
+import VideoAnalysisSection from './settings/VideoAnalysisSection';
 import EmbeddingRebuildSection from './settings/EmbeddingRebuildSection';
 import EmbeddingBehaviorSection from './settings/EmbeddingBehaviorSection';
+import VectorStoreSection from './settings/VectorStoreSection';
 import LearningSyncSection from './settings/LearningSyncSection';
 import DefaultLocationsSection from './settings/DefaultLocationsSection';
 import NamingSettingsSection from './settings/NamingSettingsSection';
@@ -45,8 +55,13 @@ import GraphRetrievalSection from './settings/GraphRetrievalSection';
 import ApplicationSection from './settings/ApplicationSection';
 import APITestSection from './settings/APITestSection';
 import SettingsBackupSection from './settings/SettingsBackupSection';
+import LocalApiSection from './settings/LocalApiSection';
+import SensitiveDataSection from './settings/SensitiveDataSection';
 
 const AnalysisHistoryModal = lazy(() => import('./AnalysisHistoryModal'));
+const DuplicateManagerModal = lazy(() => import('./DuplicateManagerModal'));
+const ScheduledRunsModal = lazy(() => import('./ScheduledRunsModal'));
+const SensitiveFilesModal = lazy(() => import('./SensitiveFilesModal'));
 
 const SECTION_KEYS = [
   'settings-ai',
@@ -54,6 +69,8 @@ const SECTION_KEYS = [
   'settings-defaults',
   'settings-app',
   'settings-history',
+  'settings-duplicates',
+  'settings-sensitive',
   'settings-api'
 ];
 
@@ -132,6 +149,9 @@ const SettingsPanel = React.memo(function SettingsPanel() {
 
   const [showAllModels, setShowAllModels] = useState(false);
   const [showAnalysisHistory, setShowAnalysisHistory] = useState(false);
+  const [showDuplicateManager, setShowDuplicateManager] = useState(false);
+  const [showScheduledRuns, setShowScheduledRuns] = useState(false);
+  const [showSensitiveFiles, setShowSensitiveFiles] = useState(false);
   const [analysisStats, setAnalysisStats] = useState(null);
   const didAutoHealthCheckRef = useRef(false);
   const skipAutoSaveRef = useRef(0);
@@ -140,6 +160,7 @@ const SettingsPanel = React.memo(function SettingsPanel() {
   const uiSettingsRef = useRef(uiSettings);
   const settingsLoadedRef = useRef(false);
   const lastSavedSnapshotRef = useRef(stableStringify(sanitizeSettings(DEFAULT_SETTINGS)));
+  const lastSavedProvidersRef = useRef(stableStringify(getProviderConfig(DEFAULT_SETTINGS)));
 
   useEffect(() => {
     settingsRef.current = settings;
@@ -158,6 +179,7 @@ const SettingsPanel = React.memo(function SettingsPanel() {
 
   const updateLastSavedSnapshot = useCallback((nextSettings) => {
     lastSavedSnapshotRef.current = stableStringify(sanitizeSettings(nextSettings || {}));
+    lastSavedProvidersRef.current = stableStringify(getProviderConfig(nextSettings || {}));
   }, []);
 
   useEffect(() => {
@@ -175,11 +197,12 @@ const SettingsPanel = React.memo(function SettingsPanel() {
 
   const visionModelOptions = useMemo(() => ollamaModelLists.vision, [ollamaModelLists.vision]);
 
+  const embeddingProvider = settings?.embeddingProvider || LLM_PROVIDERS.OLLAMA;
   const embeddingModelOptions = useMemo(() => {
-    return ollamaModelLists.embedding.length > 0
-      ? ollamaModelLists.embedding
-      : ALLOWED_EMBED_MODELS;
-  }, [ollamaModelLists.embedding]);
+    if (ollamaModelLists.embedding.length > 0) return ollamaModelLists.embedding;
+    // The Ollama allowlist is meaningless for other servers' model ids
+    return embeddingProvider === LLM_PROVIDERS.OLLAMA ? ALLOWED_EMBED_MODELS : [];
+  }, [ollamaModelLists.embedding, embeddingProvider]);
 
   const pullProgressText = useMemo(() => {
     if (!pullProgress) return null;
@@ -233,14 +256,18 @@ const SettingsPanel = React.memo(function SettingsPanel() {
       };
 
       const installedModels = response?.models || [];
-      const installedEmbeddingModels = ALLOWED_EMBED_MODELS.filter((allowedModel) =>
-        installedModels.some(
-          (installed) =>
-            installed === allowedModel ||
-            installed.startsWith(`${allowedModel}:`) ||
-            installed.includes(allowedModel)
-        )
-      );
+      const embedsWithOllama =
+        (response?.providers?.embedding || LLM_PROVIDERS.OLLAMA) === LLM_PROVIDERS.OLLAMA;
+      const installedEmbeddingModels = embedsWithOllama
+        ? ALLOWED_EMBED_MODELS.filter((allowedModel) =>
+            installedModels.some(
+              (installed) =>
+                installed === allowedModel ||
+                installed.startsWith(`${allowedModel}:`) ||
+                installed.includes(allowedModel)
+            )
+          )
+        : (categories.embedding || []).slice().sort();
 
       setOllamaModelLists({
         text: (categories.text || []).slice().sort(),
@@ -253,9 +280,10 @@ const SettingsPanel = React.memo(function SettingsPanel() {
         skipAutoSaveRef.current += 1;
         applySettingsUpdate((prev) => {
           const desiredEmbed = response.selected.embeddingModel || prev.embeddingModel;
-          const nextEmbeddingModel = ALLOWED_EMBED_MODELS.includes(desiredEmbed)
-            ? desiredEmbed
-            : DEFAULT_EMBED_MODEL;
+          const nextEmbeddingModel =
+            !embedsWithOllama || ALLOWED_EMBED_MODELS.includes(desiredEmbed)
+              ? desiredEmbed
+              : DEFAULT_EMBED_MODEL;
 
           return {
             ...prev,
@@ -443,10 +471,14 @@ const SettingsPanel = React.memo(function SettingsPanel() {
       if (nextSnapshot === lastSavedSnapshotRef.current) {
         return;
       }
+      const providersChanged =
+        stableStringify(getProviderConfig(normalizedSettings)) !== lastSavedProvidersRef.current;
       const res = await settingsIpc.save(normalizedSettings);
       const savedSettings = res?.settings || normalizedSettings;
       dispatch(updateSettings(savedSettings));
       updateLastSavedSnapshot(savedSettings);
+      // Model lists depend on which servers are in use
+      if (providersChanged) await loadOllamaModels();
     } catch (error) {
       logger.error('Auto-save settings failed', {
         error: error.message,
@@ -723,7 +755,17 @@ const SettingsPanel = React.memo(function SettingsPanel() {
                     isAddingModel={isAddingModel}
                     onAddModel={addOllamaModel}
                   />
+                  <AudioTranscriptionSection
+                    settings={settings}
+                    setSettings={applySettingsUpdate}
+                  />
+                  <VideoAnalysisSection settings={settings} setSettings={applySettingsUpdate} />
                   <EmbeddingBehaviorSection settings={settings} setSettings={applySettingsUpdate} />
+                  <VectorStoreSection
+                    settings={settings}
+                    setSettings={applySettingsUpdate}
+                    addNotification={addNotification}
+                  />
                   <EmbeddingRebuildSection addNotification={addNotification} />
                   <LearningSyncSection settings={settings} setSettings={applySettingsUpdate} />
                 </Stack>
@@ -741,6 +783,15 @@ const SettingsPanel = React.memo(function SettingsPanel() {
               >
                 <Stack gap="spacious">
                   <AutoOrganizeSection settings={settings} setSettings={applySettingsUpdate} />
+                  <RoutingClassifierSection settings={settings} setSettings={applySettingsUpdate} />
+                  <CopyModeSection settings={settings} setSettings={applySettingsUpdate} />
+                  <InboxFoldersSection settings={settings} setSettings={applySettingsUpdate} />
+                  <OrganizationSchedulesSection
+                    settings={settings}
+                    setSettings={applySettingsUpdate}
+                    addNotification={addNotification}
+                    onViewRuns={() => setShowScheduledRuns(true)}
+                  />
                   <BackgroundModeSection settings={settings} setSettings={applySettingsUpdate} />
                   <GraphRetrievalSection settings={settings} setSettings={applySettingsUpdate} />
                 </Stack>
@@ -778,6 +829,11 @@ const SettingsPanel = React.memo(function SettingsPanel() {
                     settings={settings}
                     setSettings={applySettingsUpdate}
                   />
+                  <LocalApiSection
+                    settings={settings}
+                    setSettings={applySettingsUpdate}
+                    addNotification={addNotification}
+                  />
                   <SettingsBackupSection addNotification={addNotification} />
                 </Stack>
               </Collapsible>
@@ -808,6 +864,50 @@ const SettingsPanel = React.memo(function SettingsPanel() {
                 </Card>
               </Collapsible>
 
+              <Collapsible
+                title={
+                  <div className="flex items-center gap-2">
+                    <Copy className="h-4 w-4 text-stratosort-blue" aria-hidden="true" />
+                    <span>Duplicate Files</span>
+                  </div>
+                }
+                defaultOpen={false}
+                persistKey="settings-duplicates"
+              >
+                <Card variant="default" className="space-y-3">
+                  <Text variant="small" className="text-system-gray-600">
+                    Find identical files and near-identical images or documents across your smart
+                    folders, then keep one copy and quarantine or link the rest. Every cleanup can
+                    be undone.
+                  </Text>
+                  <Button
+                    onClick={() => setShowDuplicateManager(true)}
+                    variant="secondary"
+                    size="sm"
+                    className="w-fit"
+                  >
+                    Manage Duplicates
+                  </Button>
+                </Card>
+              </Collapsible>
+
+              <Collapsible
+                title={
+                  <div className="flex items-center gap-2">
+                    <ShieldAlert className="h-4 w-4 text-stratosort-blue" aria-hidden="true" />
+                    <span>Sensitive Documents</span>
+                  </div>
+                }
+                defaultOpen={false}
+                persistKey="settings-sensitive"
+              >
+                <SensitiveDataSection
+                  settings={settings}
+                  setSettings={applySettingsUpdate}
+                  onReviewFiles={() => setShowSensitiveFiles(true)}
+                />
+              </Collapsible>
+
               <Collapsible
                 title={
                   <div className="flex items-center gap-2">
@@ -844,6 +944,21 @@ const SettingsPanel = React.memo(function SettingsPanel() {
           </>
         )}
       </div>
+      {!showUnavailable && showDuplicateManager && (
+        <Suspense fallback={<ModalLoadingOverlay message="Loading Duplicates..." />}>
+          <DuplicateManagerModal onClose={() => setShowDuplicateManager(false)} />
+        </Suspense>
+      )}
+      {!showUnavailable && showScheduledRuns && (
+        <Suspense fallback={<ModalLoadingOverlay message="Loading Runs..." />}>
+          <ScheduledRunsModal onClose={() => setShowScheduledRuns(false)} />
+        </Suspense>
+      )}
+      {!showUnavailable && showSensitiveFiles && (
+        <Suspense fallback={<ModalLoadingOverlay message="Loading Sensitive Files..." />}>
+          <SensitiveFilesModal onClose={() => setShowSensitiveFiles(false)} />
+        </Suspense>
+      )}
       {!showUnavailable && showAnalysisHistory && (
         <Suspense fallback={<ModalLoadingOverlay message="Loading History..." />}>
           <AnalysisHistoryModal
@@ -168,11 +168,34 @@ export const createOrganizeBatchAction = (description, operations, stateCallback
   }
 });
 
+/**
+ * Duplicate resolution: the main process moves or links the extra copies and
+ * records the batch, so undo/redo delegate to UndoRedoService like organize batches.
+ */
+export const createDuplicateResolutionAction = (description, resolutions, mode) => ({
+  type: ACTION_TYPES.BATCH_OPERATION,
+  description,
+  execute: async () => {
+    const result = await window.electronAPI.duplicates.resolve(resolutions, mode);
+    if (!result?.success) {
+      const firstError = result?.results?.find((r) => !r.success)?.error;
+      throw new Error(firstError || result?.error || 'No duplicates were resolved');
+    }
+    return result;
+  },
+  undo: async () => window.electronAPI.undoRedo.undo(),
+  redo: async () => window.electronAPI.undoRedo.redo(),
+  metadata: { resolutions, mode }
+});
+
 const rehydrateAction = (serializedAction) => {
   const { type, metadata, description } = serializedAction;
 
   try {
     if (type === ACTION_TYPES.BATCH_OPERATION) {
+      if (metadata && metadata.resolutions) {
+        return createDuplicateResolutionAction(description, metadata.resolutions, metadata.mode);
+      }
       if (metadata && metadata.operations) {
         return createOrganizeBatchAction(description, metadata.operations);
       }
@@ -1073,5 +1096,6 @@ export default {
   createFileAction,
   createSettingsAction,
   createOrganizeBatchAction,
+  createDuplicateResolutionAction,
   createBatchAction
 };
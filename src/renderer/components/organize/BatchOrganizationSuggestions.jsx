@@ -347,11 +347,16 @@ function BatchOrganizationSuggestions({
                             <FileText className="w-4 h-4 text-system-gray-400" />
                             <span>{file.name}</span>
                           </div>
-                          {file.suggestion && (
-                            <Text as="span" variant="tiny" className="text-system-gray-500">
-                              {Math.round((file.suggestion.confidence || 0) * 100)}% match
-                            </Text>
-                          )}
+                          {file.suggestion &&
+                            (file.suggestion.source === 'rule' ? (
+                              <Text as="span" variant="tiny" className="text-stratosort-blue">
+                                Rule: {file.suggestion.ruleName}
+                              </Text>
+                            ) : (
+                              <Text as="span" variant="tiny" className="text-system-gray-500">
+                                {Math.round((file.suggestion.confidence || 0) * 100)}% match
+                              </Text>
+                            ))}
                         </div>
                       ))}
                   </div>
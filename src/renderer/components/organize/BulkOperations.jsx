@@ -1,6 +1,6 @@
 import React from 'react';
 import PropTypes from 'prop-types';
-import { Check, Pencil } from 'lucide-react';
+import { Check, Pencil, TextCursorInput } from 'lucide-react';
 import Button from '../ui/Button';
 import Select from '../ui/Select';
 import { Text } from '../ui/Typography';
@@ -16,6 +16,7 @@ function BulkOperations({
   bulkCategory,
   setBulkCategory,
   onApplyBulkCategory,
+  onBulkRename,
   smartFolders = [],
   isProcessing = false
 }) {
@@ -53,6 +54,12 @@ function BulkOperations({
               <Pencil className="w-4 h-4" aria-hidden="true" />
               Bulk Edit
             </Button>
+            {onBulkRename && (
+              <Button onClick={onBulkRename} variant="secondary" size="sm" disabled={isProcessing}>
+                <TextCursorInput className="w-4 h-4" aria-hidden="true" />
+                Rename
+              </Button>
+            )}
           </Inline>
         )}
       </Inline>
@@ -111,6 +118,7 @@ BulkOperations.propTypes = {
   bulkCategory: PropTypes.string,
   setBulkCategory: PropTypes.func,
   onApplyBulkCategory: PropTypes.func,
+  onBulkRename: PropTypes.func,
   smartFolders: PropTypes.arrayOf(
     PropTypes.shape({
       id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
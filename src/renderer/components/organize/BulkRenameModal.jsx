@@ -0,0 +1,216 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { ArrowRight } from 'lucide-react';
+import Modal from '../ui/Modal';
+import Button from '../ui/Button';
+import Input from '../ui/Input';
+import StatusBadge from '../ui/StatusBadge';
+import { Text } from '../ui/Typography';
+import { Inline, Stack } from '../layout';
+import { createLogger } from '../../../shared/logger';
+
+const logger = createLogger('BulkRenameModal');
+
+const DEFAULT_TEMPLATE = '{date}_{entity}_{type}';
+const PREVIEW_DEBOUNCE_MS = 250;
+
+// Tokens understood by processTemplate in the main process
+const TEMPLATE_TOKENS = [
+  { token: '{date}', label: 'Date' },
+  { token: '{year}', label: 'Year' },
+  { token: '{month}', label: 'Month' },
+  { token: '{entity}', label: 'Entity' },
+  { token: '{type}', label: 'Type' },
+  { token: '{project}', label: 'Project' },
+  { token: '{category}', label: 'Category' },
+  { token: '{keywords[0]}', label: 'First keyword' },
+  { token: '{original}', label: 'Original name' },
+  { token: '{original:0:10}', label: 'Original (first 10 chars)' },
+  { token: '{n:03}', label: 'Counter (001)' },
+  { token: '{ext}', label: 'Extension' },
+  { token: '{exif.date}', label: 'Photo date' },
+  { token: '{exif.model}', label: 'Camera model' }
+];
+
+const COLLISION_LABELS = {
+  batch: 'Duplicate in batch',
+  existing: 'Name already exists'
+};
+
+function BulkRenameModal({ isOpen, onClose, files, onApply, isApplying = false }) {
+  const [template, setTemplate] = useState(DEFAULT_TEMPLATE);
+  const [counterStart, setCounterStart] = useState(1);
+  const [preview, setPreview] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const requestIdRef = useRef(0);
+  const inputRef = useRef(null);
+
+  // Live preview: debounce template edits and drop stale responses
+  useEffect(() => {
+    if (!isOpen || files.length === 0 || !template.trim()) {
+      setPreview([]);
+      return undefined;
+    }
+    const requestId = ++requestIdRef.current;
+    const timer = setTimeout(async () => {
+      setIsLoading(true);
+      try {
+        const payload = files.map((file) => ({ path: file.path, analysis: file.analysis }));
+        const result = await window.electronAPI?.organize?.previewRename?.(payload, template, {
+          counterStart
+        });
+        if (requestId !== requestIdRef.current) return;
+        if (result?.success) {
+          setPreview(result.preview || []);
+          setError('');
+        } else {
+          setPreview([]);
+          setError(result?.error || 'Preview unavailable');
+        }
+      } catch (err) {
+        if (requestId !== requestIdRef.current) return;
+        logger.warn('Rename preview failed', { error: err?.message });
+        setPreview([]);
+        setError(err?.message || 'Preview unavailable');
+      } finally {
+        if (requestId === requestIdRef.current) setIsLoading(false);
+      }
+    }, PREVIEW_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [isOpen, files, template, counterStart]);
+
+  const changedCount = useMemo(() => preview.filter((item) => item.changed).length, [preview]);
+  const collisionCount = useMemo(() => preview.filter((item) => item.collision).length, [preview]);
+
+  const insertToken = (token) => {
+    const input = inputRef.current;
+    if (!input) {
+      setTemplate((prev) => `${prev}${token}`);
+      return;
+    }
+    const start = input.selectionStart ?? template.length;
+    const end = input.selectionEnd ?? template.length;
+    setTemplate(`${template.slice(0, start)}${token}${template.slice(end)}`);
+    requestAnimationFrame(() => {
+      input.focus();
+      input.setSelectionRange(start + token.length, start + token.length);
+    });
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title="Bulk Rename"
+      description={`Rename ${files.length} selected file${files.length !== 1 ? 's' : ''} from a template`}
+      size="xl"
+      footer={
+        <Inline className="justify-between w-full" gap="default" wrap={false}>
+          <Text variant="tiny" className="text-system-gray-500">
+            {changedCount} of {preview.length} names change
+            {collisionCount > 0 && ` • ${collisionCount} adjusted to avoid collisions`}
+          </Text>
+          <Inline gap="default" wrap={false}>
+            <Button onClick={onClose} variant="secondary" size="sm" disabled={isApplying}>
+              Cancel
+            </Button>
+            <Button
+              onClick={() => onApply(preview)}
+              variant="primary"
+              size="sm"
+              disabled={changedCount === 0 || isLoading || isApplying}
+              isLoading={isApplying}
+            >
+              Rename {changedCount} File{changedCount !== 1 ? 's' : ''}
+            </Button>
+          </Inline>
+        </Inline>
+      }
+    >
+      <Stack gap="default" className="h-full">
+        <Inline gap="cozy" className="w-full items-end" wrap={false}>
+          <div className="flex-1">
+            <Input
+              ref={inputRef}
+              label="Name template"
+              value={template}
+              onChange={(e) => setTemplate(e.target.value)}
+              error={error}
+              spellCheck={false}
+            />
+          </div>
+          <div className="w-28">
+            <Input
+              label="Counter start"
+              type="number"
+              min={0}
+              value={counterStart}
+              onChange={(e) => setCounterStart(Math.max(0, parseInt(e.target.value, 10) || 0))}
+            />
+          </div>
+        </Inline>
+
+        <div className="flex flex-wrap gap-1.5">
+          {TEMPLATE_TOKENS.map(({ token, label }) => (
+            <button
+              key={token}
+              type="button"
+              onClick={() => insertToken(token)}
+              title={label}
+              className="px-2 py-0.5 text-xs font-mono rounded-md border border-border-soft bg-system-gray-50 text-system-gray-700 hover:border-stratosort-blue/40 hover:text-stratosort-blue transition-colors"
+            >
+              {token}
+            </button>
+          ))}
+        </div>
+
+        <div className="flex-1 min-h-0 overflow-y-auto modern-scrollbar border border-border-soft rounded-lg">
+          <div className="grid grid-cols-[minmax(0,1fr)_auto_minmax(0,1fr)_auto] gap-x-3 gap-y-1 p-3 text-sm">
+            {preview.map((item) => (
+              <React.Fragment key={item.sourcePath}>
+                <span className="truncate text-system-gray-600" title={item.originalName}>
+                  {item.originalName}
+                </span>
+                <ArrowRight className="w-4 h-4 text-system-gray-400 self-center" aria-hidden />
+                <span
+                  className={`truncate ${item.changed ? 'font-medium text-system-gray-900' : 'text-system-gray-400'}`}
+                  title={item.newName}
+                >
+                  {item.newName}
+                </span>
+                <span className="justify-self-end">
+                  {item.collision && (
+                    <StatusBadge variant="warning" size="sm">
+                      {COLLISION_LABELS[item.collision] || 'Adjusted'}
+                    </StatusBadge>
+                  )}
+                </span>
+              </React.Fragment>
+            ))}
+          </div>
+          {preview.length === 0 && !error && (
+            <Text variant="small" className="p-4 text-center text-system-gray-500">
+              {isLoading ? 'Generating preview...' : 'Enter a template to preview new names'}
+            </Text>
+          )}
+        </div>
+      </Stack>
+    </Modal>
+  );
+}
+
+BulkRenameModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  files: PropTypes.arrayOf(
+    PropTypes.shape({
+      path: PropTypes.string.isRequired,
+      analysis: PropTypes.object
+    })
+  ).isRequired,
+  onApply: PropTypes.func.isRequired,
+  isApplying: PropTypes.bool
+};
+
+export default BulkRenameModal;
@@ -5,6 +5,7 @@ import { Card, Button } from '../ui';
 import { Heading, Text } from '../ui/Typography';
 import { ErrorBoundaryCore } from '../ErrorBoundary';
 import { normalizeConfidence } from '../../utils/scoreUtils';
+import { splitSubpath } from '../../../shared/smartFolderHierarchy';
 
 function OrganizationPreview({ files, strategy, suggestions, onConfirm, onCancel }) {
   const [previewTree, setPreviewTree] = useState({});
@@ -37,8 +38,21 @@ function OrganizationPreview({ files, strategy, suggestions, onConfirm, onCancel
         : suggestions[file.path] || suggestions[file.name];
       if (!suggestion) return;
 
-      const folderPath = suggestion.path || suggestion.folder;
-      if (!folderPath) return; // Skip files with no target folder
+      const baseFolderPath = suggestion.path || suggestion.folder;
+      if (!baseFolderPath) return; // Skip files with no target folder
+      // Nested smart folders resolve a subpath below the routed folder; show the full destination
+      const subfolders = splitSubpath(suggestion.subpath);
+      const separator = baseFolderPath.includes('\\') ? '\\' : '/';
+      const folderPath =
+        subfolders.length > 0
+          ? [baseFolderPath.replace(/[\\/]+$/, ''), ...subfolders].join(separator)
+          : baseFolderPath;
+      const folderLabel = [
+        ...(Array.isArray(suggestion.route) && suggestion.route.length > 0
+          ? suggestion.route
+          : [suggestion.folder || baseFolderPath]),
+        ...subfolders
+      ].join(' › ');
       let newName = suggestion.suggestedName || file.name;
 
       // Ensure the original file extension is preserved
@@ -52,7 +66,7 @@ function OrganizationPreview({ files, strategy, suggestions, onConfirm, onCancel
 
       if (!tree[folderPath]) {
         tree[folderPath] = {
-          name: suggestion.folder,
+          name: folderLabel,
           path: folderPath,
           files: [],
           confidence: 0,
@@ -387,6 +401,8 @@ function OrganizationPreview({ files, strategy, suggestions, onConfirm, onCancel
 const suggestionShape = PropTypes.shape({
   folder: PropTypes.string,
   path: PropTypes.string,
+  subpath: PropTypes.string,
+  route: PropTypes.arrayOf(PropTypes.string),
   confidence: PropTypes.number,
   suggestedName: PropTypes.string
 });
@@ -139,6 +139,12 @@ const OrganizationSuggestions = memo(function OrganizationSuggestions({
                 </Text>
               )}
 
+              {primary.source === 'rule' && primary.ruleName && (
+                <Text variant="tiny" className="mt-2 text-stratosort-blue">
+                  Matched by rule: {primary.ruleName}
+                </Text>
+              )}
+
               {primary.strategy && (
                 <Text variant="tiny" className="mt-2 text-system-gray-500">
                   Strategy: {primary.strategyName || primary.strategy}
@@ -340,7 +346,9 @@ const suggestionShape = PropTypes.shape({
   method: PropTypes.string,
   strategy: PropTypes.string,
   strategyName: PropTypes.string,
-  suggestedName: PropTypes.string
+  suggestedName: PropTypes.string,
+  source: PropTypes.string,
+  ruleName: PropTypes.string
 });
 
 const strategyShape = PropTypes.shape({
@@ -1,12 +1,25 @@
 import React, { useEffect, useMemo, useState } from 'react';
 import PropTypes from 'prop-types';
 import { useSelector } from 'react-redux';
-import { FolderOpen, CheckCircle, Clock, FileText } from 'lucide-react';
+import { FolderOpen, CheckCircle, Clock, FileText, ShieldCheck } from 'lucide-react';
 import { formatDisplayPath } from '../../utils/pathDisplay';
 import { Heading, Text } from '../ui/Typography';
 import Card from '../ui/Card';
 import { selectRedactPaths } from '../../store/selectors';
 
+const formatSize = (bytes) => {
+  if (!bytes) return '0 KB';
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+};
+
+const VERIFICATION_LABELS = {
+  copying: 'Copying',
+  verifying: 'Verifying',
+  verified: 'Verified'
+};
+
 function OrganizeProgress({
   isOrganizing,
   batchProgress = { current: 0, total: 0, currentFile: '' },
@@ -78,6 +91,7 @@ function OrganizeProgress({
   if (!isOrganizing) return null;
 
   const percentToShow = hasTotals ? Math.max(visualPercent, actualPercent) : visualPercent;
+  const isCopying = batchProgress.transferMode === 'copy';
 
   return (
     <div className="py-8 w-full max-w-2xl mx-auto">
@@ -90,7 +104,7 @@ function OrganizeProgress({
         </div>
         <div>
           <Heading as="h3" variant="h4" className="text-stratosort-blue">
-            Organizing Files...
+            {isCopying ? 'Copying Files...' : 'Organizing Files...'}
           </Heading>
           <Text variant="small" className="text-system-gray-600">
             Do not close the app until completion
@@ -129,9 +143,26 @@ function OrganizeProgress({
           )}
         </div>
 
+        {isCopying && (
+          <Text
+            as="div"
+            variant="tiny"
+            className="flex flex-wrap items-center gap-x-3 gap-y-1 text-system-gray-600 mb-1"
+          >
+            <span>{formatSize(batchProgress.bytesPerSecond)}/s</span>
+            <span>{formatSize(batchProgress.bytesCopied)} copied</span>
+            <span className="flex items-center gap-1 text-stratosort-success">
+              <ShieldCheck className="w-3.5 h-3.5" aria-hidden="true" />
+              {batchProgress.verifiedCount || 0} of {batchProgress.total} verified
+            </span>
+          </Text>
+        )}
+
         {batchProgress.currentFile && (
           <Text variant="tiny" className="text-system-gray-500 break-words truncate">
-            Currently processing:{' '}
+            {isCopying && VERIFICATION_LABELS[batchProgress.verification]
+              ? `${VERIFICATION_LABELS[batchProgress.verification]}:`
+              : 'Currently processing:'}{' '}
             <span className="font-medium text-system-gray-700">
               {formatDisplayPath(batchProgress.currentFile, { redact: redactPaths, segments: 2 })}
             </span>
@@ -211,7 +242,12 @@ OrganizeProgress.propTypes = {
   batchProgress: PropTypes.shape({
     current: PropTypes.number,
     total: PropTypes.number,
-    currentFile: PropTypes.string
+    currentFile: PropTypes.string,
+    transferMode: PropTypes.string,
+    verification: PropTypes.string,
+    bytesCopied: PropTypes.number,
+    bytesPerSecond: PropTypes.number,
+    verifiedCount: PropTypes.number
   }),
   preview: PropTypes.arrayOf(
     PropTypes.shape({
@@ -1,7 +1,7 @@
 import React, { memo, useCallback } from 'react';
 import PropTypes from 'prop-types';
 import { useSelector } from 'react-redux';
-import { FileText, ChevronRight, Info } from 'lucide-react';
+import { FileText, ChevronRight, Eye, Info, ListChecks } from 'lucide-react';
 import Input from '../ui/Input';
 import Select from '../ui/Select';
 import { StatusBadge } from '../ui';
@@ -20,7 +20,8 @@ function ReadyFileItem({
   editing = null,
   onEdit,
   category: categoryProp = null,
-  onViewDetails = null
+  onViewDetails = null,
+  onPreview = null
 }) {
   // PERF: Use memoized selector instead of inline Boolean coercion
   const redactPaths = useSelector(selectRedactPaths);
@@ -41,6 +42,9 @@ function ReadyFileItem({
         ? Math.round(confidenceValue)
         : Math.round(confidenceValue * 100);
   const showConfidence = computedConfidence !== null;
+  // Only explain the rule while the user hasn't re-pointed the file to another folder
+  const matchedRule =
+    analysis?.matchedRule && analysis.matchedRule.folder === category ? analysis.matchedRule : null;
   const handleToggle = useCallback(() => onToggleSelected(index), [onToggleSelected, index]);
   const handleEditName = useCallback(
     (e) => onEdit(index, 'suggestedName', e.target.value),
@@ -54,6 +58,7 @@ function ReadyFileItem({
     () => onViewDetails && onViewDetails(file),
     [onViewDetails, file]
   );
+  const handlePreview = useCallback(() => onPreview && onPreview(file), [onPreview, file]);
 
   const filePath = file.path || '';
   const displayFilePath = formatDisplayPath(filePath, { redact: redactPaths, segments: 2 });
@@ -136,6 +141,18 @@ function ReadyFileItem({
               </option>
             ))}
           </Select>
+
+          {matchedRule && (
+            <div
+              className="flex items-center gap-1.5 text-stratosort-blue"
+              title={(matchedRule.matchedBy || []).join('\n')}
+            >
+              <ListChecks className="w-3.5 h-3.5 flex-shrink-0" />
+              <Text variant="tiny" className="text-stratosort-blue truncate">
+                Matched by rule &quot;{matchedRule.ruleName}&quot;
+              </Text>
+            </div>
+          )}
         </div>
       ) : (
         <div className="p-4">
@@ -183,17 +200,31 @@ function ReadyFileItem({
             <div />
           )}
 
-          {/* View Details Link */}
-          <button
-            type="button"
-            onClick={handleViewDetails}
-            className="flex items-center gap-1.5 text-xs font-medium text-system-gray-500 hover:text-stratosort-blue transition-colors"
-            aria-label={`View analysis details for ${file.name}`}
-          >
-            <Info className="w-3.5 h-3.5" />
-            Details
-            <ChevronRight className="w-3 h-3" />
-          </button>
+          <div className="flex items-center gap-3">
+            {onPreview && (
+              <button
+                type="button"
+                onClick={handlePreview}
+                className="flex items-center gap-1.5 text-xs font-medium text-system-gray-500 hover:text-stratosort-blue transition-colors"
+                aria-label={`Preview ${file.name}`}
+              >
+                <Eye className="w-3.5 h-3.5" />
+                Preview
+              </button>
+            )}
+
+            {/* View Details Link */}
+            <button
+              type="button"
+              onClick={handleViewDetails}
+              className="flex items-center gap-1.5 text-xs font-medium text-system-gray-500 hover:text-stratosort-blue transition-colors"
+              aria-label={`View analysis details for ${file.name}`}
+            >
+              <Info className="w-3.5 h-3.5" />
+              Details
+              <ChevronRight className="w-3 h-3" />
+            </button>
+          </div>
         </div>
       )}
     </Card>
@@ -210,13 +241,15 @@ ReadyFileItem.propTypes = {
   editing: PropTypes.object,
   onEdit: PropTypes.func.isRequired,
   category: PropTypes.string,
-  onViewDetails: PropTypes.func
+  onViewDetails: PropTypes.func,
+  onPreview: PropTypes.func
 };
 
 function areReadyFileItemPropsEqual(prev, next) {
   if (prev.onToggleSelected !== next.onToggleSelected) return false;
   if (prev.onEdit !== next.onEdit) return false;
   if (prev.onViewDetails !== next.onViewDetails) return false;
+  if (prev.onPreview !== next.onPreview) return false;
   if (prev.index !== next.index) return false;
   if (prev.isSelected !== next.isSelected) return false;
   if (prev.category !== next.category) return false;
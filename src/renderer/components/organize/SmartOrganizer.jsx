@@ -566,7 +566,9 @@ function SmartOrganizer({ files = [], smartFolders = [], onOrganize, onCancel })
                         group.files.forEach((file) => {
                           batchAccepted[file.path] = {
                             folder: group.folder,
-                            path: group.folder,
+                            path: group.path || group.folder,
+                            subpath: file.suggestion?.subpath,
+                            route: file.suggestion?.route,
                             confidence: group.confidence
                           };
                         });
@@ -6,6 +6,15 @@ import ReadyFileItem from './ReadyFileItem';
 import { Text } from '../ui/Typography';
 import { joinPath } from '../../utils/platform';
 import { UI_VIRTUALIZATION } from '../../../shared/constants';
+import { renderSubfolderTemplate } from '../../../shared/smartFolderHierarchy';
+
+/**
+ * Append the rendered subfolder template of a nested smart folder to its destination
+ */
+const withSubfolderPath = (destination, smartFolder, file) => {
+  const segments = renderSubfolderTemplate(smartFolder?.subfolderTemplate, file);
+  return segments.length > 0 ? joinPath(destination, ...segments) : destination;
+};
 
 // FIX L-2: Use centralized constants for virtualization
 const DEFAULT_ROW_HEIGHT = UI_VIRTUALIZATION.FILE_GRID_ROW_HEIGHT;
@@ -44,7 +53,8 @@ const VirtualizedFileRow = memo(function VirtualizedFileRow({ index, style, data
     handleEditFile,
     smartFolders = [],
     defaultLocation = '',
-    onViewDetails
+    onViewDetails,
+    onPreview
   } = data || {};
   const startIndex = index * columnsPerRow;
   const rowItems = [];
@@ -71,12 +81,13 @@ const VirtualizedFileRow = memo(function VirtualizedFileRow({ index, style, data
     // FIX: Validate defaultLocation before joinPath to prevent invalid paths
     // An empty defaultLocation would produce paths like '/Finance' instead of 'C:\Users\...\Finance'
     const safeDefaultLocation = defaultLocation && defaultLocation.trim() ? defaultLocation : null;
-    const destination = smartFolder
+    const folderDestination = smartFolder
       ? smartFolder.path ||
         (safeDefaultLocation ? joinPath(safeDefaultLocation, smartFolder.name) : smartFolder.name)
       : safeDefaultLocation
         ? joinPath(safeDefaultLocation, rawCategory || 'Uncategorized')
         : rawCategory || 'Uncategorized';
+    const destination = withSubfolderPath(folderDestination, smartFolder, fileWithEdits);
 
     rowItems.push(
       <div key={file.path} className="flex-1 min-w-0">
@@ -92,6 +103,7 @@ const VirtualizedFileRow = memo(function VirtualizedFileRow({ index, style, data
           destination={destination}
           category={currentCategory}
           onViewDetails={onViewDetails}
+          onPreview={onPreview}
         />
       </div>
     );
@@ -126,7 +138,8 @@ VirtualizedFileRow.propTypes = {
     handleEditFile: PropTypes.func.isRequired,
     smartFolders: PropTypes.array.isRequired,
     defaultLocation: PropTypes.string.isRequired,
-    onViewDetails: PropTypes.func.isRequired
+    onViewDetails: PropTypes.func.isRequired,
+    onPreview: PropTypes.func
   }).isRequired
 };
 
@@ -147,7 +160,8 @@ function VirtualizedFileGrid({
   smartFolders,
   defaultLocation,
   containerWidth = 1200, // Default to xl breakpoint width
-  onViewDetails
+  onViewDetails,
+  onPreview
 }) {
   const safeFiles = useMemo(() => (Array.isArray(files) ? files : []), [files]);
   const safeSelectedFiles = useMemo(
@@ -252,7 +266,7 @@ function VirtualizedFileGrid({
     // An empty defaultLocation would produce paths like '/Finance' instead of 'C:\Users\...\Finance'
     const resolvedDefaultLocation =
       safeDefaultLocation && safeDefaultLocation.trim() ? safeDefaultLocation : null;
-    const destination = smartFolder
+    const folderDestination = smartFolder
       ? smartFolder.path ||
         (resolvedDefaultLocation
           ? joinPath(resolvedDefaultLocation, smartFolder.name)
@@ -260,6 +274,7 @@ function VirtualizedFileGrid({
       : resolvedDefaultLocation
         ? joinPath(resolvedDefaultLocation, rawCategory || 'Uncategorized')
         : rawCategory || 'Uncategorized';
+    const destination = withSubfolderPath(folderDestination, smartFolder, fileWithEdits);
 
     return {
       file: fileWithEdits,
@@ -296,7 +311,8 @@ function VirtualizedFileGrid({
         handleEditFile,
         smartFolders: safeSmartFolders,
         defaultLocation: safeDefaultLocation,
-        onViewDetails
+        onViewDetails,
+        onPreview
       }
     }),
     [
@@ -311,7 +327,8 @@ function VirtualizedFileGrid({
       handleEditFile,
       safeSmartFolders,
       safeDefaultLocation,
-      onViewDetails
+      onViewDetails,
+      onPreview
     ]
   );
   // Calculate optimal list height based on file count (data-aware sizing)
@@ -368,6 +385,7 @@ function VirtualizedFileGrid({
               destination={sampleItem.destination}
               category={sampleItem.currentCategory}
               onViewDetails={onViewDetails}
+              onPreview={onPreview}
             />
           </div>
         )}
@@ -412,7 +430,7 @@ function VirtualizedFileGrid({
         const stateDisplay = getFileStateDisplay(file.path, !!file.analysis);
         const resolvedDefaultLocation =
           safeDefaultLocation && safeDefaultLocation.trim() ? safeDefaultLocation : null;
-        const destination = smartFolder
+        const folderDestination = smartFolder
           ? smartFolder.path ||
             (resolvedDefaultLocation
               ? joinPath(resolvedDefaultLocation, smartFolder.name)
@@ -420,6 +438,7 @@ function VirtualizedFileGrid({
           : resolvedDefaultLocation
             ? joinPath(resolvedDefaultLocation, rawCategory || 'Uncategorized')
             : rawCategory || 'Uncategorized';
+        const destination = withSubfolderPath(folderDestination, smartFolder, fileWithEdits);
         return (
           <ReadyFileItem
             key={file.path}
@@ -434,6 +453,7 @@ function VirtualizedFileGrid({
             destination={destination}
             category={currentCategory}
             onViewDetails={onViewDetails}
+            onPreview={onPreview}
           />
         );
       })}
@@ -454,7 +474,8 @@ VirtualizedFileGrid.propTypes = {
   smartFolders: PropTypes.array.isRequired,
   defaultLocation: PropTypes.string.isRequired,
   containerWidth: PropTypes.number,
-  onViewDetails: PropTypes.func.isRequired
+  onViewDetails: PropTypes.func.isRequired,
+  onPreview: PropTypes.func
 };
 
 const MemoizedVirtualizedFileGrid = memo(VirtualizedFileGrid);
@@ -2,6 +2,7 @@ export { default as StatusOverview } from './StatusOverview';
 export { default as TargetFolderList } from './TargetFolderList';
 export { default as ReadyFileItem } from './ReadyFileItem';
 export { default as BulkOperations } from './BulkOperations';
+export { default as BulkRenameModal } from './BulkRenameModal';
 export { default as OrganizeProgress } from './OrganizeProgress';
 export { default as OrganizationSuggestions } from './OrganizationSuggestions';
 export { default as BatchOrganizationSuggestions } from './BatchOrganizationSuggestions';
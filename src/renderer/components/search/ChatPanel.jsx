@@ -1,8 +1,19 @@
 import React, { useMemo, useState } from 'react';
 import PropTypes from 'prop-types';
 import { useSelector } from 'react-redux';
-import { Send, RefreshCw, FileText, AlertTriangle, RotateCcw } from 'lucide-react';
-import { Button, Textarea, Switch, StateMessage } from '../ui';
+import {
+  Send,
+  Square,
+  RefreshCw,
+  FileText,
+  AlertTriangle,
+  RotateCcw,
+  History,
+  Pencil,
+  Trash2,
+  Download
+} from 'lucide-react';
+import { Button, IconButton, Input, Textarea, Switch, StateMessage } from '../ui';
 import { Text } from '../ui/Typography';
 import { formatDisplayPath } from '../../utils/pathDisplay';
 import { selectRedactPaths } from '../../store/selectors';
@@ -331,6 +342,146 @@ AnswerBlock.defaultProps = {
   onOpenSource: null
 };
 
+function formatConversationDate(iso) {
+  const ms = Date.parse(iso);
+  if (!Number.isFinite(ms)) return '';
+  const date = new Date(ms);
+  return date.toDateString() === new Date().toDateString()
+    ? date.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })
+    : date.toLocaleDateString();
+}
+
+function ConversationSidebar({
+  conversations,
+  activeConversationId,
+  onSelect,
+  onRename,
+  onDelete,
+  onExport
+}) {
+  const [editingId, setEditingId] = useState(null);
+  const [draftTitle, setDraftTitle] = useState('');
+
+  const startRename = (conversation) => {
+    setEditingId(conversation.id);
+    setDraftTitle(conversation.title);
+  };
+
+  const commitRename = () => {
+    const title = draftTitle.trim();
+    const original = conversations.find((c) => c.id === editingId);
+    if (editingId && title && title !== original?.title) {
+      onRename(editingId, title);
+    }
+    setEditingId(null);
+  };
+
+  return (
+    <div className="flex w-64 shrink-0 flex-col border-r border-system-gray-200 bg-white">
+      <Text
+        as="div"
+        variant="tiny"
+        className="px-3 py-3 font-semibold uppercase tracking-wide text-system-gray-500"
+      >
+        Conversations
+      </Text>
+      <div className="flex-1 overflow-y-auto">
+        {conversations.length === 0 ? (
+          <Text variant="tiny" className="px-3 text-system-gray-500">
+            Past conversations appear here after your first question.
+          </Text>
+        ) : (
+          conversations.map((conversation) => {
+            const isActive = conversation.id === activeConversationId;
+            return (
+              <div
+                key={conversation.id}
+                className={`group px-3 py-2 border-l-2 ${
+                  isActive
+                    ? 'border-stratosort-blue bg-stratosort-blue/5'
+                    : 'border-transparent hover:bg-system-gray-50'
+                }`}
+              >
+                {editingId === conversation.id ? (
+                  <Input
+                    value={draftTitle}
+                    onChange={(e) => setDraftTitle(e.target.value)}
+                    onBlur={commitRename}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') commitRename();
+                      if (e.key === 'Escape') setEditingId(null);
+                    }}
+                    maxLength={80}
+                    autoFocus
+                    aria-label="Conversation title"
+                  />
+                ) : (
+                  <button
+                    type="button"
+                    onClick={() => onSelect(conversation.id)}
+                    className="block w-full text-left"
+                    title={conversation.title}
+                  >
+                    <div className="truncate text-sm font-medium text-system-gray-800">
+                      {conversation.title}
+                    </div>
+                    <Text as="div" variant="tiny" className="text-system-gray-500">
+                      {formatConversationDate(conversation.updatedAt)} •{' '}
+                      {Math.ceil(conversation.messageCount / 2)} questions
+                    </Text>
+                  </button>
+                )}
+                <div className="mt-1 hidden items-center gap-1 group-hover:flex group-focus-within:flex">
+                  <IconButton
+                    type="button"
+                    size="sm"
+                    variant="ghost"
+                    icon={<Pencil className="w-3 h-3" />}
+                    onClick={() => startRename(conversation)}
+                    aria-label={`Rename ${conversation.title}`}
+                  />
+                  <IconButton
+                    type="button"
+                    size="sm"
+                    variant="ghost"
+                    icon={<Download className="w-3 h-3" />}
+                    onClick={() => onExport(conversation.id)}
+                    aria-label={`Export ${conversation.title} to Markdown`}
+                  />
+                  <IconButton
+                    type="button"
+                    size="sm"
+                    variant="ghost"
+                    icon={<Trash2 className="w-3 h-3" />}
+                    onClick={() => onDelete(conversation.id)}
+                    aria-label={`Delete ${conversation.title}`}
+                  />
+                </div>
+              </div>
+            );
+          })
+        )}
+      </div>
+    </div>
+  );
+}
+
+ConversationSidebar.propTypes = {
+  conversations: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      title: PropTypes.string.isRequired,
+      updatedAt: PropTypes.string,
+      messageCount: PropTypes.number
+    })
+  ).isRequired,
+  activeConversationId: PropTypes.string,
+  onSelect: PropTypes.func.isRequired,
+  onRename: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired,
+  onExport: PropTypes.func.isRequired
+};
+
 ChatModeToggle.propTypes = {
   value: PropTypes.oneOf(['fast', 'deep']).isRequired,
   onChange: PropTypes.func.isRequired
@@ -340,6 +491,7 @@ export default function ChatPanel({
   messages,
   onSend,
   onReset,
+  onCancel,
   isSending,
   error,
   warning,
@@ -350,10 +502,20 @@ export default function ChatPanel({
   isSearching,
   isLoadingStats,
   responseMode,
-  onResponseModeChange
+  onResponseModeChange,
+  conversations,
+  activeConversationId,
+  onSelectConversation,
+  onRenameConversation,
+  onDeleteConversation,
+  onExportConversation
 }) {
   const [input, setInput] = useState('');
+  const [showHistory, setShowHistory] = useState(false);
+  const hasHistory = typeof onSelectConversation === 'function';
   const showSearchStatus = useSearchContext && (isSearching || isLoadingStats);
+  // Streamed answers render in their own message, so the generic thinking bubble is not needed
+  const isStreaming = messages.length > 0 && Boolean(messages[messages.length - 1].isStreaming);
 
   const latestSources = useMemo(() => {
     const lastAssistant = [...messages].reverse().find((m) => m.role === 'assistant');
@@ -372,236 +534,278 @@ export default function ChatPanel({
   };
 
   return (
-    <div className="flex h-full flex-col chat-panel">
-      <div className="flex items-center justify-between gap-cozy border-b border-system-gray-200 px-4 py-3">
-        <Text as="div" variant="small" className="font-semibold text-system-gray-800">
-          Conversational Chat
-        </Text>
-        <div className="flex items-center gap-2">
-          {showSearchStatus && (
-            <div className="inline-flex items-center gap-2 text-[11px] text-system-gray-500 bg-system-gray-100 px-2 py-1 rounded-full">
-              <div className="h-2 w-2 rounded-full bg-system-gray-400 animate-pulse" />
-              Updating search context...
-            </div>
-          )}
-          {isSending && (
-            <div className="inline-flex items-center gap-2 text-[11px] text-system-gray-500 bg-stratosort-blue/10 px-2 py-1 rounded-full">
-              <div className="h-2 w-2 rounded-full bg-stratosort-blue animate-pulse" />
-              Assistant thinking <ThinkingDots />
-            </div>
-          )}
+    <div className="flex h-full chat-panel">
+      {hasHistory && showHistory ? (
+        <ConversationSidebar
+          conversations={conversations}
+          activeConversationId={activeConversationId}
+          onSelect={onSelectConversation}
+          onRename={onRenameConversation}
+          onDelete={onDeleteConversation}
+          onExport={onExportConversation}
+        />
+      ) : null}
+      <div className="flex min-w-0 flex-1 flex-col">
+        <div className="flex items-center justify-between gap-cozy border-b border-system-gray-200 px-4 py-3">
           <div className="flex items-center gap-2">
-            <div className="flex items-center gap-compact">
-              <Text as="span" variant="tiny" className="text-system-gray-500">
-                Use search context
-              </Text>
-              <Switch checked={useSearchContext} onChange={onToggleSearchContext} />
+            {hasHistory ? (
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => setShowHistory((prev) => !prev)}
+                title={showHistory ? 'Hide conversations' : 'Show conversations'}
+                aria-pressed={showHistory}
+              >
+                <History className="w-4 h-4" />
+              </Button>
+            ) : null}
+            <Text as="div" variant="small" className="font-semibold text-system-gray-800">
+              Conversational Chat
+            </Text>
+          </div>
+          <div className="flex items-center gap-2">
+            {showSearchStatus && (
+              <div className="inline-flex items-center gap-2 text-[11px] text-system-gray-500 bg-system-gray-100 px-2 py-1 rounded-full">
+                <div className="h-2 w-2 rounded-full bg-system-gray-400 animate-pulse" />
+                Updating search context...
+              </div>
+            )}
+            {isSending && (
+              <div className="inline-flex items-center gap-2 text-[11px] text-system-gray-500 bg-stratosort-blue/10 px-2 py-1 rounded-full">
+                <div className="h-2 w-2 rounded-full bg-stratosort-blue animate-pulse" />
+                Assistant thinking <ThinkingDots />
+              </div>
+            )}
+            <div className="flex items-center gap-2">
+              <div className="flex items-center gap-compact">
+                <Text as="span" variant="tiny" className="text-system-gray-500">
+                  Use search context
+                </Text>
+                <Switch checked={useSearchContext} onChange={onToggleSearchContext} />
+              </div>
+              <ChatModeToggle value={responseMode} onChange={onResponseModeChange} />
             </div>
-            <ChatModeToggle value={responseMode} onChange={onResponseModeChange} />
+            <Button variant="ghost" size="sm" onClick={onReset} title="Reset chat">
+              <RefreshCw className="w-4 h-4" />
+            </Button>
           </div>
-          <Button variant="ghost" size="sm" onClick={onReset} title="Reset chat">
-            <RefreshCw className="w-4 h-4" />
-          </Button>
         </div>
-      </div>
-
-      {warning ? (
-        <div className="px-4 pt-3">
-          <ChatWarningBanner message={warning} />
-        </div>
-      ) : null}
 
-      <div className="flex-1 overflow-y-auto px-4 py-4 space-y-default chat-thread">
-        {messages.length === 0 ? (
-          <Text variant="small" className="text-system-gray-500">
-            Ask about your documents. Responses will separate document evidence from model
-            knowledge.
-          </Text>
+        {warning ? (
+          <div className="px-4 pt-3">
+            <ChatWarningBanner message={warning} />
+          </div>
         ) : null}
 
-        {messages.map((message, idx) => {
-          const isUser = message.role === 'user';
-          const assistantText = buildAssistantText(message);
-          const hasDocumentAnswer =
-            Array.isArray(message.documentAnswer) && message.documentAnswer.length > 0;
-          const hasModelAnswer =
-            Array.isArray(message.modelAnswer) && message.modelAnswer.length > 0;
-          const hasSources = Array.isArray(message.sources) && message.sources.length > 0;
+        <div className="flex-1 overflow-y-auto px-4 py-4 space-y-default chat-thread">
+          {messages.length === 0 ? (
+            <Text variant="small" className="text-system-gray-500">
+              Ask about your documents. Responses will separate document evidence from model
+              knowledge.
+            </Text>
+          ) : null}
+
+          {messages.map((message, idx) => {
+            const isUser = message.role === 'user';
+            const assistantText = buildAssistantText(message);
+            const hasDocumentAnswer =
+              Array.isArray(message.documentAnswer) && message.documentAnswer.length > 0;
+            const hasModelAnswer =
+              Array.isArray(message.modelAnswer) && message.modelAnswer.length > 0;
+            const hasSources = Array.isArray(message.sources) && message.sources.length > 0;
 
-          return (
-            <div
-              key={`${message.role}-${idx}`}
-              className={`chat-message ${isUser ? 'chat-message-user' : 'chat-message-assistant'}`}
-            >
-              <div className="chat-message-meta">
-                <div className="chat-message-label">{isUser ? 'You' : 'Assistant'}</div>
-              </div>
+            return (
               <div
-                className={`chat-bubble ${isUser ? 'chat-bubble-user' : 'chat-bubble-assistant'}`}
+                key={`${message.role}-${idx}`}
+                className={`chat-message ${isUser ? 'chat-message-user' : 'chat-message-assistant'}`}
               >
-                {isUser ? (
-                  <div className="chat-message-text whitespace-pre-wrap">{message.text}</div>
-                ) : (
-                  <div className="space-y-3">
-                    <div className="chat-message-text whitespace-pre-wrap">
-                      {assistantText ||
-                        (isSending
-                          ? 'Thinking...'
-                          : 'I could not find an answer in the selected documents.')}
-                    </div>
-                    {(hasDocumentAnswer || hasModelAnswer) && (
-                      <div className="space-y-2">
-                        {hasDocumentAnswer ? (
-                          <details className="chat-details">
-                            <summary>
-                              Evidence from documents ({message.documentAnswer.length})
-                            </summary>
-                            <div className="chat-details-body">
-                              <AnswerBlock
-                                title="Evidence"
-                                items={message.documentAnswer}
-                                showTitle={false}
-                                sources={message.sources}
-                                onOpenSource={onOpenSource}
-                              />
-                            </div>
-                          </details>
-                        ) : null}
-                        {hasModelAnswer ? (
-                          <details className="chat-details">
-                            <summary>Model knowledge ({message.modelAnswer.length})</summary>
-                            <div className="chat-details-body">
-                              <AnswerBlock
-                                title="Model"
-                                items={message.modelAnswer}
-                                showTitle={false}
-                                sources={message.sources}
-                                onOpenSource={onOpenSource}
-                              />
-                            </div>
-                          </details>
-                        ) : null}
+                <div className="chat-message-meta">
+                  <div className="chat-message-label">{isUser ? 'You' : 'Assistant'}</div>
+                </div>
+                <div
+                  className={`chat-bubble ${isUser ? 'chat-bubble-user' : 'chat-bubble-assistant'}`}
+                >
+                  {isUser ? (
+                    <div className="chat-message-text whitespace-pre-wrap">{message.text}</div>
+                  ) : (
+                    <div className="space-y-3">
+                      <div className="chat-message-text whitespace-pre-wrap">
+                        {assistantText ||
+                          (isSending
+                            ? 'Thinking...'
+                            : 'I could not find an answer in the selected documents.')}
+                        {message.isStreaming && assistantText ? <ThinkingDots /> : null}
                       </div>
-                    )}
-                    {Array.isArray(message.followUps) && message.followUps.length > 0 ? (
-                      <div className="space-y-2">
-                        <div className="flex justify-between items-center">
-                          <Text
-                            as="span"
-                            variant="tiny"
-                            className="font-semibold text-system-gray-500 uppercase tracking-wide"
-                          >
-                            Suggested follow-ups
-                          </Text>
-                          {idx === messages.length - 1 && (
-                            <Button
-                              onClick={() => {
-                                // Find last user message
-                                const lastUserMsg = [...messages]
-                                  .reverse()
-                                  .find((m) => m.role === 'user');
-                                if (lastUserMsg?.text) {
-                                  onSend(lastUserMsg.text);
-                                }
-                              }}
-                              variant="ghost"
-                              size="sm"
-                              leftIcon={<RotateCcw className="w-3 h-3" />}
-                              className="text-stratosort-blue hover:text-stratosort-blue-dark text-xs lowercase px-2 py-1"
-                              title="Regenerate response"
-                            >
-                              regenerate
-                            </Button>
-                          )}
+                      {message.cancelled ? (
+                        <Text as="div" variant="tiny" className="text-system-gray-500">
+                          Response stopped
+                        </Text>
+                      ) : null}
+                      {(hasDocumentAnswer || hasModelAnswer) && (
+                        <div className="space-y-2">
+                          {hasDocumentAnswer ? (
+                            <details className="chat-details">
+                              <summary>
+                                Evidence from documents ({message.documentAnswer.length})
+                              </summary>
+                              <div className="chat-details-body">
+                                <AnswerBlock
+                                  title="Evidence"
+                                  items={message.documentAnswer}
+                                  showTitle={false}
+                                  sources={message.sources}
+                                  onOpenSource={onOpenSource}
+                                />
+                              </div>
+                            </details>
+                          ) : null}
+                          {hasModelAnswer ? (
+                            <details className="chat-details">
+                              <summary>Model knowledge ({message.modelAnswer.length})</summary>
+                              <div className="chat-details-body">
+                                <AnswerBlock
+                                  title="Model"
+                                  items={message.modelAnswer}
+                                  showTitle={false}
+                                  sources={message.sources}
+                                  onOpenSource={onOpenSource}
+                                />
+                              </div>
+                            </details>
+                          ) : null}
                         </div>
-                        <div className="chat-followups">
-                          {message.followUps.map((followUp) => (
-                            <Button
-                              key={followUp}
-                              variant="secondary"
-                              size="sm"
-                              onClick={() => onSend(followUp)}
+                      )}
+                      {Array.isArray(message.followUps) && message.followUps.length > 0 ? (
+                        <div className="space-y-2">
+                          <div className="flex justify-between items-center">
+                            <Text
+                              as="span"
+                              variant="tiny"
+                              className="font-semibold text-system-gray-500 uppercase tracking-wide"
                             >
-                              {followUp}
-                            </Button>
-                          ))}
-                        </div>
-                      </div>
-                    ) : null}
-                    {hasSources ? (
-                      <details className="chat-details">
-                        <summary>Sources ({message.sources.length})</summary>
-                        <div className="chat-details-body">
-                          <SourceList sources={message.sources} onOpenSource={onOpenSource} />
+                              Suggested follow-ups
+                            </Text>
+                            {idx === messages.length - 1 && (
+                              <Button
+                                onClick={() => {
+                                  // Find last user message
+                                  const lastUserMsg = [...messages]
+                                    .reverse()
+                                    .find((m) => m.role === 'user');
+                                  if (lastUserMsg?.text) {
+                                    onSend(lastUserMsg.text);
+                                  }
+                                }}
+                                variant="ghost"
+                                size="sm"
+                                leftIcon={<RotateCcw className="w-3 h-3" />}
+                                className="text-stratosort-blue hover:text-stratosort-blue-dark text-xs lowercase px-2 py-1"
+                                title="Regenerate response"
+                              >
+                                regenerate
+                              </Button>
+                            )}
+                          </div>
+                          <div className="chat-followups">
+                            {message.followUps.map((followUp) => (
+                              <Button
+                                key={followUp}
+                                variant="secondary"
+                                size="sm"
+                                onClick={() => onSend(followUp)}
+                              >
+                                {followUp}
+                              </Button>
+                            ))}
+                          </div>
                         </div>
-                      </details>
-                    ) : null}
-                  </div>
-                )}
+                      ) : null}
+                      {hasSources ? (
+                        <details className="chat-details">
+                          <summary>Sources ({message.sources.length})</summary>
+                          <div className="chat-details-body">
+                            <SourceList sources={message.sources} onOpenSource={onOpenSource} />
+                          </div>
+                        </details>
+                      ) : null}
+                    </div>
+                  )}
+                </div>
               </div>
-            </div>
-          );
-        })}
-        {isSending && (
-          <div className="chat-message chat-message-assistant">
-            <div className="chat-message-meta">
-              <div className="chat-message-label">Assistant</div>
-            </div>
-            <div className="chat-bubble chat-bubble-assistant">
-              <div className="chat-message-text text-system-gray-500">
-                Assistant is thinking <ThinkingDots />
+            );
+          })}
+          {isSending && !isStreaming && (
+            <div className="chat-message chat-message-assistant">
+              <div className="chat-message-meta">
+                <div className="chat-message-label">Assistant</div>
+              </div>
+              <div className="chat-bubble chat-bubble-assistant">
+                <div className="chat-message-text text-system-gray-500">
+                  Assistant is thinking <ThinkingDots />
+                </div>
               </div>
             </div>
-          </div>
-        )}
-      </div>
+          )}
+        </div>
 
-      {error ? (
-        <StateMessage
-          icon={AlertTriangle}
-          tone="error"
-          size="sm"
-          align="left"
-          title="Chat error"
-          description={error}
-          className="px-4 py-2 bg-red-50 border-t border-b border-red-100"
-          contentClassName="max-w-xl"
-        />
-      ) : null}
+        {error ? (
+          <StateMessage
+            icon={AlertTriangle}
+            tone="error"
+            size="sm"
+            align="left"
+            title="Chat error"
+            description={error}
+            className="px-4 py-2 bg-red-50 border-t border-b border-red-100"
+            contentClassName="max-w-xl"
+          />
+        ) : null}
 
-      <div className="border-t border-system-gray-200 px-4 py-3 chat-input">
-        <Textarea
-          value={input}
-          onChange={(event) => setInput(event.target.value)}
-          placeholder="Ask a question about your documents (e.g., 'Summarize my tax returns')..."
-          rows={3}
-          onKeyDown={(event) => {
-            if ((event.metaKey || event.ctrlKey) && event.key === 'Enter') {
-              event.preventDefault();
-              handleSend();
-            }
-          }}
-        />
-        <div className="mt-2 flex items-center justify-between">
-          <div className="flex items-center gap-compact">
-            <Text as="span" variant="tiny" className="text-system-gray-500">
-              Ctrl/⌘ + Enter to send
-            </Text>
-            {latestSources.length > 1 ? (
-              <Button variant="ghost" size="sm" onClick={() => onUseSourcesInGraph(latestSources)}>
-                View in graph
+        <div className="border-t border-system-gray-200 px-4 py-3 chat-input">
+          <Textarea
+            value={input}
+            onChange={(event) => setInput(event.target.value)}
+            placeholder="Ask a question about your documents (e.g., 'Summarize my tax returns')..."
+            rows={3}
+            onKeyDown={(event) => {
+              if ((event.metaKey || event.ctrlKey) && event.key === 'Enter') {
+                event.preventDefault();
+                handleSend();
+              }
+            }}
+          />
+          <div className="mt-2 flex items-center justify-between">
+            <div className="flex items-center gap-compact">
+              <Text as="span" variant="tiny" className="text-system-gray-500">
+                Ctrl/⌘ + Enter to send
+              </Text>
+              {latestSources.length > 1 ? (
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => onUseSourcesInGraph(latestSources)}
+                >
+                  View in graph
+                </Button>
+              ) : null}
+            </div>
+            {isSending && isStreaming && onCancel ? (
+              <Button variant="secondary" size="sm" onClick={onCancel} title="Stop generating">
+                <Square className="w-4 h-4" />
+                <span>Stop</span>
               </Button>
-            ) : null}
+            ) : (
+              <Button
+                variant="primary"
+                size="sm"
+                onClick={handleSend}
+                disabled={isSending || !input.trim()}
+              >
+                <Send className="w-4 h-4" />
+                <span>Send</span>
+              </Button>
+            )}
           </div>
-          <Button
-            variant="primary"
-            size="sm"
-            onClick={handleSend}
-            disabled={isSending || !input.trim()}
-          >
-            <Send className="w-4 h-4" />
-            <span>Send</span>
-          </Button>
         </div>
       </div>
     </div>
@@ -616,11 +820,14 @@ ChatPanel.propTypes = {
       documentAnswer: PropTypes.array,
       modelAnswer: PropTypes.array,
       followUps: PropTypes.array,
-      sources: PropTypes.array
+      sources: PropTypes.array,
+      isStreaming: PropTypes.bool,
+      cancelled: PropTypes.bool
     })
   ).isRequired,
   onSend: PropTypes.func.isRequired,
   onReset: PropTypes.func.isRequired,
+  onCancel: PropTypes.func,
   isSending: PropTypes.bool.isRequired,
   error: PropTypes.string,
   warning: PropTypes.string,
@@ -631,12 +838,25 @@ ChatPanel.propTypes = {
   isSearching: PropTypes.bool,
   isLoadingStats: PropTypes.bool,
   responseMode: PropTypes.oneOf(['fast', 'deep']),
-  onResponseModeChange: PropTypes.func
+  onResponseModeChange: PropTypes.func,
+  conversations: PropTypes.array,
+  activeConversationId: PropTypes.string,
+  onSelectConversation: PropTypes.func,
+  onRenameConversation: PropTypes.func,
+  onDeleteConversation: PropTypes.func,
+  onExportConversation: PropTypes.func
 };
 
 ChatPanel.defaultProps = {
+  onCancel: null,
   error: '',
   warning: '',
   responseMode: 'fast',
-  onResponseModeChange: () => {}
+  onResponseModeChange: () => {},
+  conversations: [],
+  activeConversationId: null,
+  onSelectConversation: null,
+  onRenameConversation: () => {},
+  onDeleteConversation: () => {},
+  onExportConversation: () => {}
 };
@@ -0,0 +1,306 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Download, Save, Trash2 } from 'lucide-react';
+import { Button, IconButton, Input, Select } from '../ui';
+import { ConfirmModal } from '../ui/Modal';
+import { Text } from '../ui/Typography';
+import { createLogger } from '../../../shared/logger';
+import { toSVG } from '../../../shared/graphExport';
+
+const logger = createLogger('GraphWorkspacePanel');
+
+// Single-slot save from before named workspaces; imported once, then removed
+const LEGACY_STORAGE_KEY = 'stratosort_graph_state';
+const MAX_SNAPSHOT_EDGE_PX = 8192;
+
+const EXPORT_OPTIONS = [
+  { value: 'graphml', label: 'GraphML' },
+  { value: 'gexf', label: 'GEXF (Gephi)' },
+  { value: 'json', label: 'JSON' },
+  { value: 'svg', label: 'SVG snapshot' },
+  { value: 'png', label: 'PNG snapshot' }
+];
+
+const api = () => window.electronAPI?.graphWorkspaces;
+
+function defaultWorkspaceName() {
+  return `Graph ${new Date().toLocaleDateString()}`;
+}
+
+function svgToPngDataUrl(svg, width, height) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => {
+      const scale = Math.min(2, MAX_SNAPSHOT_EDGE_PX / Math.max(width, height, 1));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      const context = canvas.getContext('2d');
+      context.scale(scale, scale);
+      context.drawImage(image, 0, 0);
+      resolve(canvas.toDataURL('image/png'));
+    };
+    image.onerror = () => reject(new Error('Failed to render snapshot'));
+    image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+  });
+}
+
+/**
+ * GraphWorkspacePanel - Pick, save and export named graph workspaces
+ *
+ * Workspaces are persisted by the main process. The parent supplies the
+ * current graph (already stripped of callbacks) and applies loaded ones.
+ */
+function GraphWorkspacePanel({ getGraphState, onLoadWorkspace, onStatus, onError }) {
+  const [workspaces, setWorkspaces] = useState([]);
+  const [currentId, setCurrentId] = useState('');
+  const [name, setName] = useState('');
+  const [exportFormat, setExportFormat] = useState('graphml');
+  const [isBusy, setIsBusy] = useState(false);
+  const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
+
+  const refresh = useCallback(async () => {
+    const result = await api()
+      ?.list?.()
+      .catch(() => null);
+    if (result?.success) setWorkspaces(result.workspaces || []);
+    return result?.workspaces || [];
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      const existing = await refresh();
+      if (cancelled) return;
+      try {
+        const legacy = window.localStorage?.getItem(LEGACY_STORAGE_KEY);
+        if (!legacy) return;
+        const state = JSON.parse(legacy);
+        if (existing.length === 0 && Array.isArray(state.nodes) && Array.isArray(state.edges)) {
+          const result = await api()?.save?.({
+            name: 'Saved graph',
+            nodes: state.nodes,
+            edges: state.edges,
+            notes: state.notes || {},
+            chatMessages: state.chatMessages || [],
+            settings: state.settings || {}
+          });
+          if (!result?.success) return;
+          await refresh();
+        }
+        window.localStorage.removeItem(LEGACY_STORAGE_KEY);
+      } catch (error) {
+        logger.warn('Failed to import legacy saved graph', { error: error?.message });
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [refresh]);
+
+  const saveWorkspace = useCallback(
+    async ({ asNew = false } = {}) => {
+      const payload = {
+        ...getGraphState(),
+        name: name.trim() || defaultWorkspaceName()
+      };
+      if (currentId && !asNew) payload.id = currentId;
+      const result = await api().save(payload);
+      if (!result?.success) {
+        throw new Error(result?.error?.message || result?.error || 'Failed to save workspace');
+      }
+      setCurrentId(result.workspace.id);
+      setName(result.workspace.name);
+      await refresh();
+      return result.workspace;
+    },
+    [currentId, getGraphState, name, refresh]
+  );
+
+  const runAction = useCallback(
+    async (action, failureMessage) => {
+      setIsBusy(true);
+      try {
+        await action();
+      } catch (error) {
+        logger.error(failureMessage, { error: error?.message });
+        onError(failureMessage);
+      } finally {
+        setIsBusy(false);
+      }
+    },
+    [onError]
+  );
+
+  const handleSave = useCallback(
+    (asNew) =>
+      runAction(async () => {
+        const workspace = await saveWorkspace({ asNew });
+        onStatus(`Saved workspace "${workspace.name}"`);
+      }, 'Failed to save graph workspace'),
+    [onStatus, runAction, saveWorkspace]
+  );
+
+  const handleSelect = useCallback(
+    (id) => {
+      if (!id) {
+        setCurrentId('');
+        setName('');
+        return;
+      }
+      runAction(async () => {
+        const result = await api().get(id);
+        if (!result?.success) throw new Error(result?.error || 'Workspace not found');
+        setCurrentId(id);
+        setName(result.workspace.name);
+        onLoadWorkspace(result.workspace);
+      }, 'Failed to load graph workspace');
+    },
+    [onLoadWorkspace, runAction]
+  );
+
+  const handleDelete = useCallback(async () => {
+    const result = await api().delete(currentId);
+    if (result?.success) {
+      onStatus(`Deleted workspace "${name}"`);
+      setCurrentId('');
+      setName('');
+      await refresh();
+    }
+  }, [currentId, name, onStatus, refresh]);
+
+  const handleExport = useCallback(
+    () =>
+      runAction(async () => {
+        let result;
+        if (exportFormat === 'svg' || exportFormat === 'png') {
+          const graphName = name.trim() || defaultWorkspaceName();
+          const { svg, width, height } = toSVG({ ...getGraphState(), name: graphName });
+          const data = exportFormat === 'png' ? await svgToPngDataUrl(svg, width, height) : svg;
+          result = await api().saveSnapshot(graphName, exportFormat, data);
+        } else {
+          // Data exports are written from the stored copy, so save current edits first
+          const workspace = await saveWorkspace();
+          result = await api().export(workspace.id, exportFormat);
+        }
+        if (result?.success) {
+          onStatus(`Exported graph to ${result.path}`);
+        } else if (!result?.canceled) {
+          throw new Error(result?.error?.message || result?.error || 'Export failed');
+        }
+      }, 'Failed to export graph'),
+    [exportFormat, getGraphState, name, onStatus, runAction, saveWorkspace]
+  );
+
+  const available = Boolean(api());
+
+  return (
+    <div className="pt-2 mt-2 border-t border-system-gray-100 space-y-2">
+      <Text
+        as="div"
+        variant="tiny"
+        className="font-semibold uppercase tracking-wide text-system-gray-500"
+      >
+        Workspaces
+      </Text>
+      <Select
+        value={currentId}
+        onChange={(e) => handleSelect(e.target.value)}
+        disabled={!available || isBusy}
+        className="h-8 text-sm bg-white"
+        aria-label="Graph workspace"
+      >
+        <option value="">New workspace</option>
+        {workspaces.map((workspace) => (
+          <option key={workspace.id} value={workspace.id}>
+            {workspace.name} ({workspace.nodeCount})
+          </option>
+        ))}
+      </Select>
+      <div className="flex gap-2">
+        <Input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder={defaultWorkspaceName()}
+          maxLength={80}
+          className="h-8 text-sm flex-1 min-w-0"
+          aria-label="Workspace name"
+        />
+        <IconButton
+          icon={<Trash2 className="h-3.5 w-3.5" />}
+          size="sm"
+          variant="ghost"
+          onClick={() => setShowDeleteConfirm(true)}
+          disabled={!currentId || isBusy}
+          aria-label="Delete workspace"
+          title="Delete workspace"
+        />
+      </div>
+      <div className="flex gap-2">
+        <Button
+          variant="secondary"
+          size="sm"
+          onClick={() => handleSave(false)}
+          disabled={!available || isBusy}
+          className="flex-1 justify-center h-8 text-xs"
+        >
+          <Save className="h-3.5 w-3.5" />
+          <span>Save</span>
+        </Button>
+        <Button
+          variant="secondary"
+          size="sm"
+          onClick={() => handleSave(true)}
+          disabled={!available || isBusy || !currentId}
+          className="flex-1 justify-center h-8 text-xs"
+        >
+          Save as New
+        </Button>
+      </div>
+      <div className="flex gap-2">
+        <Select
+          value={exportFormat}
+          onChange={(e) => setExportFormat(e.target.value)}
+          className="h-8 text-sm bg-white flex-1"
+          aria-label="Export format"
+        >
+          {EXPORT_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </Select>
+        <Button
+          variant="secondary"
+          size="sm"
+          onClick={handleExport}
+          disabled={!available || isBusy}
+          className="justify-center h-8 text-xs"
+        >
+          <Download className="h-3.5 w-3.5" />
+          <span>Export</span>
+        </Button>
+      </div>
+
+      <ConfirmModal
+        isOpen={showDeleteConfirm}
+        onClose={() => setShowDeleteConfirm(false)}
+        onConfirm={handleDelete}
+        title="Delete Workspace?"
+        message={`"${name}" will be removed. The files in it are not affected.`}
+        confirmText="Delete"
+        cancelText="Cancel"
+        variant="danger"
+      />
+    </div>
+  );
+}
+
+GraphWorkspacePanel.propTypes = {
+  getGraphState: PropTypes.func.isRequired,
+  onLoadWorkspace: PropTypes.func.isRequired,
+  onStatus: PropTypes.func.isRequired,
+  onError: PropTypes.func.isRequired
+};
+
+export default GraphWorkspacePanel;
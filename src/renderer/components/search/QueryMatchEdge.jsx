@@ -72,6 +72,8 @@ const QueryMatchEdge = memo(
           summary: 'summary',
           extractedText: 'content',
           tags: 'tags',
+          userTags: 'your tags',
+          userNote: 'your note',
           category: 'category'
         };
         const fields = matchDetails.matchedFields.map((f) => fieldLabels[f] || f).slice(0, 3);
@@ -1,13 +1,56 @@
 import React, { useState, useEffect, useRef, useMemo, memo } from 'react';
 import PropTypes from 'prop-types';
-import { Search, Clock, FileText, Tag, X, ArrowUp, ArrowDown } from 'lucide-react';
+import { Search, Clock, FileText, Tag, X, ArrowUp, ArrowDown, Filter } from 'lucide-react';
 import { IconButton } from '../ui';
 import { Text } from '../ui/Typography';
+import {
+  SEARCH_QUERY_FIELDS,
+  SEARCH_QUERY_VALUE_FIELDS,
+  getActiveQueryToken,
+  formatFieldToken
+} from '../../../shared/searchQuery';
 
 const RECENT_SEARCHES_KEY = 'stratosort-recent-searches';
 const MAX_RECENT_SEARCHES = 10;
 const MAX_SUGGESTIONS = 5;
 
+// Example values for fields that are not looked up from the index
+const FIELD_VALUE_HINTS = {
+  before: ['2024-06-01', '2024-01', '2023'],
+  after: ['2024-06-01', '2024-01', '2023'],
+  size: ['>10mb', '<1mb', '>=500kb'],
+  confidence: ['<70', '>=90']
+};
+
+/**
+ * Suggestions for the structured query token being typed: field names while
+ * typing a bare word, example values right after a date/size/confidence field.
+ * Values of indexed fields (type:, folder:, ...) are fetched separately.
+ */
+function getSyntaxSuggestions(query, token) {
+  if (!token) return [];
+  const prefix = query.slice(0, token.start) + (token.negate ? '-' : '');
+
+  if (!token.field) {
+    const typed = token.value.toLowerCase();
+    if (!typed || typed.includes(':')) return [];
+    return SEARCH_QUERY_FIELDS.filter((f) => f.name.startsWith(typed)).map((f) => ({
+      type: 'syntax-field',
+      label: `${f.name}:`,
+      detail: f.description,
+      value: `${prefix}${f.name}:`
+    }));
+  }
+
+  return (FIELD_VALUE_HINTS[token.field] || [])
+    .filter((hint) => hint.startsWith(token.value))
+    .map((hint) => ({
+      type: 'syntax-value',
+      label: `${token.field}:${hint}`,
+      value: `${prefix}${token.field}:${hint} `
+    }));
+}
+
 const isMac =
   navigator.userAgentData?.platform === 'macOS' || /Mac|iPod|iPhone|iPad/.test(navigator.userAgent);
 
@@ -66,6 +109,7 @@ const SearchAutocomplete = memo(
     const [suggestions, setSuggestions] = useState([]);
     const [selectedIndex, setSelectedIndex] = useState(-1);
     const [recentSearches, setRecentSearches] = useState([]);
+    const [fieldValueSuggestions, setFieldValueSuggestions] = useState([]);
 
     const inputRef = useRef(null);
     const containerRef = useRef(null);
@@ -76,6 +120,48 @@ const SearchAutocomplete = memo(
       setRecentSearches(loadRecentSearches());
     }, []);
 
+    const activeToken = useMemo(() => getActiveQueryToken(value || ''), [value]);
+    const syntaxSuggestions = useMemo(
+      () => getSyntaxSuggestions(value || '', activeToken),
+      [value, activeToken]
+    );
+
+    // Look up indexed values for type:, folder:, entity: and tag:
+    useEffect(() => {
+      const field = activeToken?.field;
+      if (!field || !SEARCH_QUERY_VALUE_FIELDS.includes(field)) {
+        setFieldValueSuggestions([]);
+        return undefined;
+      }
+
+      let isCancelled = false;
+      const timer = setTimeout(async () => {
+        try {
+          const result = await window.electronAPI?.embeddings?.getQueryValues?.(
+            field,
+            activeToken.value
+          );
+          if (isCancelled || !result?.success) return;
+          const prefix = value.slice(0, activeToken.start) + (activeToken.negate ? '-' : '');
+          setFieldValueSuggestions(
+            result.values.map((entry) => ({
+              type: 'syntax-value',
+              label: formatFieldToken(field, entry.value),
+              detail: `${entry.count} file${entry.count === 1 ? '' : 's'}`,
+              value: `${prefix}${formatFieldToken(field, entry.value)} `
+            }))
+          );
+        } catch {
+          // Ignore lookup errors
+        }
+      }, 150);
+
+      return () => {
+        isCancelled = true;
+        clearTimeout(timer);
+      };
+    }, [activeToken, value]);
+
     useEffect(() => {
       if (fetchTimeoutRef.current) {
         clearTimeout(fetchTimeoutRef.current);
@@ -84,7 +170,8 @@ const SearchAutocomplete = memo(
       const trimmed = value?.trim() || '';
       latestQueryRef.current = trimmed;
 
-      if (trimmed.length < 2) {
+      // Skip file lookups while a field filter is being typed
+      if (trimmed.length < 2 || getActiveQueryToken(value || '')?.field) {
         setSuggestions([]);
         return undefined;
       }
@@ -212,6 +299,11 @@ const SearchAutocomplete = memo(
       const items = [];
       const trimmed = value?.trim() || '';
 
+      if (activeToken?.field) {
+        return [...fieldValueSuggestions, ...syntaxSuggestions].slice(0, 8);
+      }
+      items.push(...syntaxSuggestions);
+
       if (trimmed.length < 2) {
         recentSearches.slice(0, 5).forEach((search) => {
           items.push({
@@ -240,7 +332,7 @@ const SearchAutocomplete = memo(
       }
 
       return items.slice(0, 8);
-    }, [value, recentSearches, suggestions]);
+    }, [value, recentSearches, suggestions, activeToken, fieldValueSuggestions, syntaxSuggestions]);
 
     useEffect(() => {
       if (selectedIndex >= allSuggestions.length) {
@@ -262,6 +354,15 @@ const SearchAutocomplete = memo(
     };
 
     const handleSelectSuggestion = (suggestion) => {
+      // Completing a filter keeps the dropdown open so the query can be finished
+      if (suggestion.type.startsWith('syntax')) {
+        onChange(suggestion.value);
+        setSelectedIndex(-1);
+        setShowSuggestions(true);
+        inputRef.current?.focus();
+        return;
+      }
+
       onChange(suggestion.value);
       setShowSuggestions(false);
       setSelectedIndex(-1);
@@ -429,16 +530,28 @@ const SearchAutocomplete = memo(
                     <FileText className="w-4 h-4 text-stratosort-blue shrink-0" />
                   )}
                   {item.type === 'tag' && <Tag className="w-4 h-4 text-emerald-500 shrink-0" />}
+                  {item.type.startsWith('syntax') && (
+                    <Filter className="w-4 h-4 text-stratosort-blue shrink-0" />
+                  )}
                   {item.type === 'category' && (
                     <div className="w-4 h-4 rounded bg-amber-100 flex items-center justify-center text-[10px] font-bold text-amber-600 shrink-0">
                       C
                     </div>
                   )}
 
-                  <Text variant="small" className="flex-1 truncate">
+                  <Text
+                    variant="small"
+                    className={`flex-1 truncate ${item.type.startsWith('syntax') ? 'font-mono' : ''}`}
+                  >
                     {item.label}
                   </Text>
 
+                  {item.detail && (
+                    <Text as="span" variant="tiny" className="text-system-gray-400 shrink-0">
+                      {item.detail}
+                    </Text>
+                  )}
+
                   {item.type === 'file' && item.rank !== undefined && item.rank < 3 && (
                     <Text
                       as="span"
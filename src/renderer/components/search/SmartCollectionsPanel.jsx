@@ -0,0 +1,327 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Bell, BellOff, BookmarkPlus, Library, RefreshCw, Trash2 } from 'lucide-react';
+import { Button, IconButton, Input, Select, Switch } from '../ui';
+import { ConfirmModal } from '../ui/Modal';
+import { Text } from '../ui/Typography';
+import { createLogger } from '../../../shared/logger';
+import {
+  SAVED_SEARCH_MODES,
+  SAVED_SEARCH_MODE_LABELS,
+  SAVED_SEARCH_LIMITS
+} from '../../../shared/savedSearches';
+
+const logger = createLogger('SmartCollectionsPanel');
+
+const api = () => window.electronAPI?.savedSearches;
+
+/**
+ * SmartCollectionsPanel - Saved searches shown as live collections
+ *
+ * The main process re-runs each saved search after the watchers index new
+ * files and pushes the updated unread counts here. Opening a collection
+ * hands its query, tag filter and mode to the parent and clears its unread
+ * count.
+ */
+function SmartCollectionsPanel({ query, tagFilter = '', activeId = null, onOpen }) {
+  const [searches, setSearches] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+  const [draft, setDraft] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [pendingDelete, setPendingDelete] = useState(null);
+
+  const loadSearches = useCallback(async () => {
+    const result = await api()
+      ?.list?.()
+      .catch(() => null);
+    if (result?.success) setSearches(result.searches || []);
+  }, []);
+
+  useEffect(() => {
+    loadSearches();
+    const subscribe = api()?.onChanged;
+    const unsubscribe =
+      typeof subscribe === 'function'
+        ? subscribe((payload) => {
+            if (Array.isArray(payload?.searches)) setSearches(payload.searches);
+          })
+        : null;
+    return () => unsubscribe?.();
+  }, [loadSearches]);
+
+  const runAction = useCallback(async (action, failureMessage) => {
+    setIsBusy(true);
+    setError('');
+    try {
+      await action();
+    } catch (e) {
+      logger.warn(failureMessage, { error: e?.message });
+      setError(failureMessage);
+    } finally {
+      setIsBusy(false);
+    }
+  }, []);
+
+  const trimmedQuery = query.trim();
+
+  const startSave = useCallback(() => {
+    setDraft({ name: '', mode: 'hybrid', notify: false });
+    setIsSaving(true);
+    setError('');
+  }, []);
+
+  const handleSave = useCallback(
+    () =>
+      runAction(async () => {
+        const result = await api().create({
+          name: draft.name.trim() || undefined,
+          query: trimmedQuery,
+          mode: draft.mode,
+          tags: tagFilter ? [tagFilter] : [],
+          notify: draft.notify
+        });
+        if (!result?.success) {
+          throw new Error(result?.error?.message || result?.error || 'Failed to save search');
+        }
+        setIsSaving(false);
+        setDraft(null);
+        await loadSearches();
+      }, 'Failed to save search'),
+    [draft, loadSearches, runAction, tagFilter, trimmedQuery]
+  );
+
+  const handleOpen = useCallback(
+    (search) => {
+      onOpen(search);
+      if (search.unreadCount > 0) {
+        api()
+          ?.markViewed?.(search.id)
+          .catch((e) => logger.debug('Failed to mark collection viewed', { error: e?.message }));
+      }
+    },
+    [onOpen]
+  );
+
+  const toggleNotify = useCallback(
+    (search) =>
+      runAction(async () => {
+        const result = await api().update(search.id, { notify: !search.notify });
+        if (!result?.success) throw new Error(result?.error || 'Update failed');
+        await loadSearches();
+      }, 'Failed to update collection'),
+    [loadSearches, runAction]
+  );
+
+  const handleRefresh = useCallback(
+    () =>
+      runAction(async () => {
+        const result = await api().refresh();
+        if (!result?.success) throw new Error(result?.error || 'Refresh failed');
+        setSearches(result.searches || []);
+      }, 'Failed to refresh collections'),
+    [runAction]
+  );
+
+  const handleDelete = useCallback(async () => {
+    if (!pendingDelete) return;
+    const result = await api()
+      ?.delete?.(pendingDelete.id)
+      .catch(() => null);
+    if (result?.success) await loadSearches();
+  }, [loadSearches, pendingDelete]);
+
+  if (!api()) return null;
+
+  const atLimit = searches.length >= SAVED_SEARCH_LIMITS.MAX_SEARCHES;
+
+  return (
+    <div className="flex flex-col gap-2 min-w-0">
+      <div className="flex items-center justify-between">
+        <Text
+          as="div"
+          variant="tiny"
+          className="font-semibold uppercase tracking-wide text-system-gray-500"
+        >
+          Smart Collections
+        </Text>
+        <IconButton
+          icon={<RefreshCw className={`h-3.5 w-3.5 ${isBusy ? 'animate-spin' : ''}`} />}
+          size="sm"
+          variant="ghost"
+          onClick={handleRefresh}
+          disabled={isBusy || searches.length === 0}
+          aria-label="Refresh collections"
+          title="Re-run all saved searches"
+        />
+      </div>
+
+      {searches.length === 0 && !isSaving && (
+        <Text variant="tiny" className="text-system-gray-400">
+          Save a search to keep it here. New matching files show up automatically.
+        </Text>
+      )}
+
+      <div className="flex flex-col gap-0.5">
+        {searches.map((search) => (
+          <div
+            key={search.id}
+            className={`group flex items-center gap-1 rounded-lg pr-1 ${
+              search.id === activeId ? 'bg-stratosort-blue/10' : 'hover:bg-system-gray-100'
+            }`}
+          >
+            <button
+              type="button"
+              onClick={() => handleOpen(search)}
+              className="flex-1 min-w-0 flex items-center gap-2 px-2 py-1.5 text-left"
+              title={search.query}
+            >
+              <Library className="h-3.5 w-3.5 shrink-0 text-system-gray-400" />
+              <span
+                className={`flex-1 truncate text-sm ${
+                  search.unreadCount > 0
+                    ? 'font-semibold text-system-gray-900'
+                    : 'text-system-gray-700'
+                }`}
+              >
+                {search.name}
+              </span>
+              {search.unreadCount > 0 ? (
+                <span
+                  className="shrink-0 rounded-full bg-stratosort-blue px-1.5 text-[10px] font-semibold leading-4 text-white"
+                  aria-label={`${search.unreadCount} new`}
+                >
+                  {search.unreadCount}
+                </span>
+              ) : (
+                <span className="shrink-0 text-[10px] text-system-gray-400">
+                  {search.matchCount}
+                </span>
+              )}
+            </button>
+            <IconButton
+              icon={
+                search.notify ? (
+                  <Bell className="h-3 w-3 text-stratosort-blue" />
+                ) : (
+                  <BellOff className="h-3 w-3" />
+                )
+              }
+              size="sm"
+              variant="ghost"
+              onClick={() => toggleNotify(search)}
+              disabled={isBusy}
+              className={search.notify ? '' : 'opacity-0 group-hover:opacity-100'}
+              aria-label={search.notify ? 'Stop notifying' : 'Notify on new matches'}
+              title={search.notify ? 'Notifying on new matches' : 'Notify on new matches'}
+            />
+            <IconButton
+              icon={<Trash2 className="h-3 w-3" />}
+              size="sm"
+              variant="ghost"
+              onClick={() => setPendingDelete(search)}
+              disabled={isBusy}
+              className="opacity-0 group-hover:opacity-100"
+              aria-label={`Delete ${search.name}`}
+              title="Delete collection"
+            />
+          </div>
+        ))}
+      </div>
+
+      {isSaving && draft ? (
+        <div className="flex flex-col gap-2 rounded-lg border border-system-gray-200 p-2">
+          <Text variant="tiny" className="truncate font-mono text-system-gray-500">
+            {trimmedQuery}
+            {tagFilter ? ` #${tagFilter}` : ''}
+          </Text>
+          <Input
+            value={draft.name}
+            onChange={(e) => setDraft((d) => ({ ...d, name: e.target.value }))}
+            placeholder={trimmedQuery}
+            maxLength={SAVED_SEARCH_LIMITS.MAX_NAME_LENGTH}
+            className="h-8 text-sm"
+            aria-label="Collection name"
+          />
+          <Select
+            value={draft.mode}
+            onChange={(e) => setDraft((d) => ({ ...d, mode: e.target.value }))}
+            className="h-8 text-sm bg-white"
+            aria-label="Search mode"
+          >
+            {SAVED_SEARCH_MODES.map((mode) => (
+              <option key={mode} value={mode}>
+                {SAVED_SEARCH_MODE_LABELS[mode]}
+              </option>
+            ))}
+          </Select>
+          <label className="flex items-center justify-between gap-2 text-xs text-system-gray-600">
+            <span>Notify on new matches</span>
+            <Switch
+              checked={draft.notify}
+              onChange={(notify) => setDraft((d) => ({ ...d, notify }))}
+              aria-label="Notify on new matches"
+            />
+          </label>
+          <div className="flex gap-2">
+            <Button
+              variant="primary"
+              size="sm"
+              onClick={handleSave}
+              disabled={isBusy}
+              className="flex-1 justify-center h-8 text-xs"
+            >
+              Save
+            </Button>
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={() => setIsSaving(false)}
+              className="justify-center h-8 text-xs"
+            >
+              Cancel
+            </Button>
+          </div>
+        </div>
+      ) : (
+        <Button
+          variant="secondary"
+          size="sm"
+          onClick={startSave}
+          disabled={trimmedQuery.length < 2 || atLimit}
+          className="justify-center h-8 text-xs"
+          title={atLimit ? 'Saved search limit reached' : 'Save the current search'}
+        >
+          <BookmarkPlus className="h-3.5 w-3.5" />
+          <span>Save Search</span>
+        </Button>
+      )}
+
+      {error && (
+        <Text variant="tiny" className="text-stratosort-danger">
+          {error}
+        </Text>
+      )}
+
+      <ConfirmModal
+        isOpen={Boolean(pendingDelete)}
+        onClose={() => setPendingDelete(null)}
+        onConfirm={handleDelete}
+        title="Delete Collection?"
+        message={`"${pendingDelete?.name || ''}" will be removed. The files in it are not affected.`}
+        confirmText="Delete"
+        cancelText="Cancel"
+        variant="danger"
+      />
+    </div>
+  );
+}
+
+SmartCollectionsPanel.propTypes = {
+  query: PropTypes.string.isRequired,
+  tagFilter: PropTypes.string,
+  activeId: PropTypes.string,
+  onOpen: PropTypes.func.isRequired
+};
+
+export default SmartCollectionsPanel;
@@ -5,6 +5,7 @@ import 'reactflow/dist/style.css';
 import {
   AlertTriangle,
   ExternalLink,
+  Eye,
   FolderOpen,
   FolderInput,
   RefreshCw,
@@ -24,7 +25,8 @@ import {
   ChevronRight,
   Maximize2,
   Minimize2,
-  HelpCircle
+  HelpCircle,
+  Filter
 } from 'lucide-react';
 
 import Modal, { ConfirmModal } from '../ui/Modal';
@@ -62,6 +64,10 @@ import EmptySearchState from './EmptySearchState';
 import GraphTour from './GraphTour';
 import GraphErrorBoundary from './GraphErrorBoundary';
 import ChatPanel from './ChatPanel';
+import GraphWorkspacePanel from './GraphWorkspacePanel';
+import SmartCollectionsPanel from './SmartCollectionsPanel';
+import FileAnnotationsEditor from '../FileAnnotationsEditor';
+import FilePreviewPanel from '../FilePreviewPanel';
 import { mapErrorToNotification } from '../../utils/errorMapping';
 
 const logger = createLogger('UnifiedSearchModal');
@@ -680,6 +686,7 @@ export default function UnifiedSearchModal({
   const [selectedSearchId, setSelectedSearchId] = useState(null);
   const [selectedDocumentDetails, setSelectedDocumentDetails] = useState(null);
   const [isLoadingDocumentDetails, setIsLoadingDocumentDetails] = useState(false);
+  const [previewTarget, setPreviewTarget] = useState(null); // { path, name, matchDetails }
   const [isSearching, setIsSearching] = useState(false);
   const [queryMeta, setQueryMeta] = useState(null); // Stores spell corrections and synonyms info
   const [searchMeta, setSearchMeta] = useState(null); // Stores search mode and fallback info
@@ -696,6 +703,9 @@ export default function UnifiedSearchModal({
   const [useSearchContext, setUseSearchContext] = useState(true);
   const [responseMode, setResponseMode] = useState('fast');
   const chatSessionRef = useRef(null);
+  const chatRequestRef = useRef(null); // requestId of the in-flight streamed answer
+  const [chatConversations, setChatConversations] = useState([]);
+  const [activeConversationId, setActiveConversationId] = useState(null);
   const [recommendationMap, setRecommendationMap] = useState({});
   const [_isLoadingRecommendations, setIsLoadingRecommendations] = useState(false);
 
@@ -750,6 +760,11 @@ export default function UnifiedSearchModal({
 
   // Persistence and Notes state
   const [graphNotes, setGraphNotes] = useState({}); // Map of nodeId -> note string
+  // User tag filter for the search tab ('' = all files) and the tags available to pick
+  const [tagFilter, setTagFilter] = useState('');
+  const [userTags, setUserTags] = useState([]);
+  // Saved search opened from the sidebar; its mode applies while its query is unchanged
+  const [activeCollection, setActiveCollection] = useState(null);
   const [enableAutoClustering, setEnableAutoClustering] = useState(true);
   const [showEdgeLabels, setShowEdgeLabels] = useState(true); // Default to showing labels for clarity
   const showEdgeLabelsRef = useRef(true); // Ref for access in callbacks without dependency
@@ -1083,6 +1098,19 @@ export default function UnifiedSearchModal({
     return chatSessionRef.current;
   }, []);
 
+  const refreshChatConversations = useCallback(async () => {
+    try {
+      const res = await window.electronAPI?.chat?.listConversations?.();
+      if (res?.success && Array.isArray(res.conversations)) {
+        setChatConversations(res.conversations);
+      }
+    } catch (listErr) {
+      logger.debug('[KnowledgeOS] Failed to load chat conversations', {
+        error: listErr?.message || String(listErr)
+      });
+    }
+  }, []);
+
   const handleChatSend = useCallback(
     async (text, overrideContextIds = null) => {
       const trimmed = typeof text === 'string' ? text.trim() : '';
@@ -1125,14 +1153,42 @@ export default function UnifiedSearchModal({
           topK: Math.min(8, defaultTopK)
         });
 
-        const response = await window.electronAPI?.chat?.query?.({
+        const payload = {
           sessionId,
           query: trimmed,
           topK: Math.min(8, defaultTopK),
           mode: 'hybrid',
           contextFileIds,
           responseMode
-        });
+        };
+        const chatApi = window.electronAPI?.chat;
+        let response;
+        if (typeof chatApi?.queryStream === 'function') {
+          // Streamed answer: a placeholder message is filled in by chat stream events
+          const requestId = crypto.randomUUID();
+          chatRequestRef.current = requestId;
+          setChatMessages((prev) => [
+            ...prev,
+            { role: 'assistant', text: '', sources: [], requestId, isStreaming: true }
+          ]);
+          response = await chatApi.queryStream({ ...payload, requestId });
+          chatRequestRef.current = null;
+          if (response?.cancelled) {
+            setChatMessages((prev) =>
+              prev.map((message) =>
+                message.requestId === requestId
+                  ? { ...message, isStreaming: false, cancelled: true }
+                  : message
+              )
+            );
+            return;
+          }
+          if (!response || response.success !== true) {
+            setChatMessages((prev) => prev.filter((message) => message.requestId !== requestId));
+          }
+        } else {
+          response = await chatApi?.query?.(payload);
+        }
 
         if (!response || response.success !== true) {
           throw new Error(response?.error || 'Chat request failed');
@@ -1153,13 +1209,20 @@ export default function UnifiedSearchModal({
           sources: response.sources || []
         };
 
-        setChatMessages((prev) => [...prev, assistantMessage]);
+        setChatMessages((prev) => [
+          ...prev.filter((message) => !message.isStreaming),
+          assistantMessage
+        ]);
+        // The main process persists each answered turn under the session id
+        setActiveConversationId(sessionId);
+        refreshChatConversations();
       } catch (chatErr) {
         logger.warn('[KnowledgeOS] Chat query failed', { error: chatErr?.message || chatErr });
         const { message } = mapErrorToNotification({ error: chatErr?.message || chatErr });
         setChatError(message);
         setChatWarning('');
       } finally {
+        chatRequestRef.current = null;
         setIsChatting(false);
       }
     },
@@ -1167,12 +1230,47 @@ export default function UnifiedSearchModal({
       defaultTopK,
       ensureChatSession,
       recommendationMap,
+      refreshChatConversations,
       responseMode,
       searchResults,
       useSearchContext
     ]
   );
 
+  // Apply streamed answer tokens and retrieved sources to the in-flight message
+  useEffect(() => {
+    const subscribe = window.electronAPI?.chat?.onStreamEvent;
+    if (typeof subscribe !== 'function') return undefined;
+    return subscribe((event) => {
+      if (!event?.requestId || event.requestId !== chatRequestRef.current) return;
+      setChatMessages((prev) =>
+        prev.map((message) => {
+          if (message.requestId !== event.requestId) return message;
+          if (event.type === 'token') {
+            return { ...message, text: `${message.text || ''}${event.delta || ''}` };
+          }
+          if (event.type === 'sources') {
+            return { ...message, sources: event.sources || [] };
+          }
+          return message;
+        })
+      );
+    });
+  }, []);
+
+  const handleChatCancel = useCallback(async () => {
+    const requestId = chatRequestRef.current;
+    if (!requestId) return;
+    logger.info('[KnowledgeOS] Chat generation cancelled', { requestId });
+    try {
+      await window.electronAPI?.chat?.cancel?.(requestId);
+    } catch (cancelErr) {
+      logger.debug('[KnowledgeOS] Chat cancel failed', {
+        error: cancelErr?.message || String(cancelErr)
+      });
+    }
+  }, []);
+
   const handleResponseModeChange = useCallback((nextMode) => {
     if (nextMode !== 'fast' && nextMode !== 'deep') return;
     setResponseMode(nextMode);
@@ -1185,6 +1283,9 @@ export default function UnifiedSearchModal({
   }, []);
 
   const handleChatReset = useCallback(async () => {
+    if (chatRequestRef.current) {
+      await handleChatCancel();
+    }
     setChatMessages([]);
     setChatError('');
     setChatWarning('');
@@ -1193,7 +1294,82 @@ export default function UnifiedSearchModal({
     logger.info('[KnowledgeOS] Chat session reset', { sessionId });
     await window.electronAPI?.chat?.resetSession?.(sessionId);
     chatSessionRef.current = crypto.randomUUID();
-  }, [ensureChatSession]);
+    setActiveConversationId(null);
+  }, [ensureChatSession, handleChatCancel]);
+
+  const handleSelectConversation = useCallback(
+    async (conversationId) => {
+      if (conversationId === chatSessionRef.current) return;
+      if (chatRequestRef.current) {
+        await handleChatCancel();
+      }
+      try {
+        const res = await window.electronAPI?.chat?.getConversation?.(conversationId);
+        if (!res?.success || !res.conversation) {
+          throw new Error(res?.error || 'Conversation not found');
+        }
+        // Resuming reuses the stored id as the session id; the main process
+        // rehydrates the model's memory window from the stored turns
+        chatSessionRef.current = conversationId;
+        setActiveConversationId(conversationId);
+        setChatMessages(
+          res.conversation.messages.map((message) =>
+            message.role === 'user'
+              ? { role: 'user', text: message.text || '' }
+              : {
+                  role: 'assistant',
+                  documentAnswer: message.documentAnswer || [],
+                  modelAnswer: message.modelAnswer || [],
+                  followUps: message.followUps || [],
+                  sources: message.sources || []
+                }
+          )
+        );
+        setChatError('');
+        setChatWarning('');
+        logger.info('[KnowledgeOS] Chat conversation resumed', { conversationId });
+      } catch (loadErr) {
+        logger.warn('[KnowledgeOS] Failed to resume conversation', {
+          error: loadErr?.message || String(loadErr)
+        });
+        setChatError('Could not open that conversation.');
+      }
+    },
+    [handleChatCancel]
+  );
+
+  const handleRenameConversation = useCallback(
+    async (conversationId, title) => {
+      const res = await window.electronAPI?.chat?.renameConversation?.(conversationId, title);
+      if (!res?.success) {
+        setChatError(res?.error || 'Failed to rename conversation.');
+      }
+      refreshChatConversations();
+    },
+    [refreshChatConversations]
+  );
+
+  const handleDeleteConversation = useCallback(
+    async (conversationId) => {
+      const res = await window.electronAPI?.chat?.deleteConversation?.(conversationId);
+      if (!res?.success) {
+        setChatError(res?.error || 'Failed to delete conversation.');
+      } else if (conversationId === chatSessionRef.current) {
+        setChatMessages([]);
+        chatSessionRef.current = crypto.randomUUID();
+        setActiveConversationId(null);
+      }
+      refreshChatConversations();
+    },
+    [refreshChatConversations]
+  );
+
+  const handleExportConversation = useCallback(async (conversationId) => {
+    const res = await window.electronAPI?.chat?.exportConversation?.(conversationId);
+    if (!res?.success && !res?.canceled) {
+      setChatError(res?.error || 'Failed to export conversation.');
+    }
+  }, []);
 
   const handleChatOpenSource = useCallback(
     (source) => {
@@ -1355,6 +1531,8 @@ export default function UnifiedSearchModal({
       setIsChatting(false);
       setUseSearchContext(true);
       chatSessionRef.current = crypto.randomUUID();
+      setActiveConversationId(null);
+      refreshChatConversations();
       // Graph state
       graphActions.setNodes([]);
       graphActions.setEdges([]);
@@ -1388,7 +1566,7 @@ export default function UnifiedSearchModal({
       cancelPendingLayout();
       graphActions.reset();
     };
-  }, [isOpen, effectiveInitialTab, graphActions, initialTab]);
+  }, [isOpen, effectiveInitialTab, graphActions, initialTab, refreshChatConversations]);
 
   useEffect(() => {
     if (!isOpen) {
@@ -1431,90 +1609,80 @@ export default function UnifiedSearchModal({
   // Persistence & Notes
   // ============================================================================
 
-  const handleSaveGraph = useCallback(() => {
-    try {
-      const state = {
-        nodes,
-        edges,
-        notes: graphNotes,
-        chatMessages,
-        settings: {
-          enableAutoClustering,
-          autoLayout,
-          showEdgeLabels
-        },
-        timestamp: Date.now()
-      };
-      localStorage.setItem('stratosort_graph_state', JSON.stringify(state));
-      setGraphStatus('Graph, chat, and settings saved');
-    } catch (e) {
-      logger.error('Failed to save graph', e);
-      setError('Failed to save graph state');
-    }
-  }, [nodes, edges, graphNotes, chatMessages, enableAutoClustering, autoLayout, showEdgeLabels]);
-
-  const handleLoadGraph = useCallback(() => {
-    try {
-      const saved = localStorage.getItem('stratosort_graph_state');
-      if (!saved) {
-        setGraphStatus('No saved graph found');
-        return;
-      }
-      const state = JSON.parse(saved);
-      if (Array.isArray(state.nodes) && Array.isArray(state.edges)) {
-        const rehydratedNodes = state.nodes.map((node) => {
-          if (node?.type === 'clusterNode' || node?.data?.kind === 'cluster') {
-            return {
-              ...node,
-              data: {
-                ...node.data,
-                ...clusterActionRefs.current
-              }
-            };
-          }
-          return node;
-        });
-        graphActions.setNodes(rehydratedNodes);
-        // Ensure edge visibility respects current or loaded setting
-        const loadedShowLabels = state.settings?.showEdgeLabels ?? true;
-
-        // Restore edges with updated visibility if needed
-        const restoredEdges = state.edges.map((e) => ({
-          ...e,
-          data: {
-            ...e.data,
-            showEdgeLabels: loadedShowLabels,
-            showEdgeTooltips: edgeTooltipsEnabled
+  // Snapshot for graph workspaces; the JSON round trip drops node action callbacks
+  const getGraphState = useCallback(
+    () =>
+      JSON.parse(
+        JSON.stringify({
+          nodes,
+          edges,
+          notes: graphNotes,
+          chatMessages,
+          settings: {
+            enableAutoClustering,
+            autoLayout,
+            showEdgeLabels
           }
-        }));
-        graphActions.setEdges(restoredEdges);
-
-        if (state.notes) setGraphNotes(state.notes);
-        if (state.chatMessages) setChatMessages(state.chatMessages);
-
-        // Restore settings
-        if (state.settings) {
-          if (state.settings.enableAutoClustering !== undefined)
-            setEnableAutoClustering(state.settings.enableAutoClustering);
-          if (state.settings.autoLayout !== undefined) setAutoLayout(state.settings.autoLayout);
-          setShowEdgeLabels(loadedShowLabels);
-        }
+        })
+      ),
+    [nodes, edges, graphNotes, chatMessages, enableAutoClustering, autoLayout, showEdgeLabels]
+  );
 
-        setGraphStatus(`Loaded graph from ${new Date(state.timestamp).toLocaleTimeString()}`);
-      } else {
+  const handleLoadWorkspace = useCallback(
+    (state) => {
+      if (!Array.isArray(state?.nodes) || !Array.isArray(state?.edges)) {
         logger.warn('[UnifiedSearchModal] Saved graph state invalid, resetting', {
-          hasNodes: Array.isArray(state.nodes),
-          hasEdges: Array.isArray(state.edges)
+          hasNodes: Array.isArray(state?.nodes),
+          hasEdges: Array.isArray(state?.edges)
         });
         graphActions.setNodes([]);
         graphActions.setEdges([]);
         setGraphStatus('Saved graph state was invalid and has been reset');
+        return;
       }
-    } catch (e) {
-      logger.error('Failed to load graph', e);
-      setError('Failed to load saved graph');
-    }
-  }, [graphActions, edgeTooltipsEnabled]);
+      const rehydratedNodes = state.nodes.map((node) => {
+        if (node?.type === 'clusterNode' || node?.data?.kind === 'cluster') {
+          return {
+            ...node,
+            data: {
+              ...node.data,
+              ...clusterActionRefs.current
+            }
+          };
+        }
+        return node;
+      });
+      graphActions.selectNode(null);
+      graphActions.setNodes(rehydratedNodes);
+      // Ensure edge visibility respects current or loaded setting
+      const loadedShowLabels = state.settings?.showEdgeLabels ?? true;
+
+      // Restore edges with updated visibility if needed
+      const restoredEdges = state.edges.map((e) => ({
+        ...e,
+        data: {
+          ...e.data,
+          showEdgeLabels: loadedShowLabels,
+          showEdgeTooltips: edgeTooltipsEnabled
+        }
+      }));
+      graphActions.setEdges(restoredEdges);
+
+      setGraphNotes(state.notes || {});
+      if (state.chatMessages) setChatMessages(state.chatMessages);
+
+      // Restore settings
+      if (state.settings) {
+        if (state.settings.enableAutoClustering !== undefined)
+          setEnableAutoClustering(state.settings.enableAutoClustering);
+        if (state.settings.autoLayout !== undefined) setAutoLayout(state.settings.autoLayout);
+        setShowEdgeLabels(loadedShowLabels);
+      }
+
+      setGraphStatus(`Loaded workspace "${state.name}"`);
+    },
+    [graphActions, edgeTooltipsEnabled]
+  );
 
   // ============================================================================
   // Shared: File Actions (defined early for keyboard shortcut dependency)
@@ -2864,20 +3032,22 @@ export default function UnifiedSearchModal({
       lastSearchRef.current = requestId;
       setIsSearching(true);
       setError('');
+      const mode = activeCollection?.query === q ? activeCollection.mode : 'hybrid';
 
       try {
         logger.info('[KnowledgeOS] Search started', {
           queryLength: q.length,
           topK: defaultTopK,
-          mode: 'hybrid'
+          mode
         });
 
-        // Use hybrid search with LLM re-ranking for top results
+        // Hybrid search (unless a saved search picked another mode) with LLM re-ranking
         const response = await window.electronAPI?.embeddings?.search?.(q, {
           topK: defaultTopK,
-          mode: 'hybrid',
+          mode,
           rerank: true, // Enable LLM re-ranking
-          rerankTopN: 10 // Re-rank top 10 results
+          rerankTopN: 10, // Re-rank top 10 results
+          ...(tagFilter ? { tags: [tagFilter] } : {})
         });
         if (cancelled) return;
         if (lastSearchRef.current !== requestId) return;
@@ -2932,7 +3102,34 @@ export default function UnifiedSearchModal({
       cancelled = true;
     };
     // searchRefreshTrigger triggers re-search when files are moved/deleted
-  }, [debouncedQuery, isOpen, defaultTopK, activeTab, searchRefreshTrigger]);
+  }, [
+    debouncedQuery,
+    isOpen,
+    defaultTopK,
+    activeTab,
+    searchRefreshTrigger,
+    tagFilter,
+    activeCollection
+  ]);
+
+  const openCollection = useCallback((search) => {
+    setActiveCollection({ id: search.id, query: search.query, mode: search.mode });
+    setTagFilter(search.tags?.[0] || '');
+    setQuery(search.query);
+  }, []);
+
+  const refreshUserTags = useCallback(async () => {
+    try {
+      const result = await window.electronAPI?.annotations?.listTags?.();
+      if (result?.success) setUserTags(result.tags.map((entry) => entry.tag));
+    } catch (e) {
+      logger.debug('[KnowledgeOS] Failed to load user tags', { error: e?.message });
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isOpen && activeTab === 'search') refreshUserTags();
+  }, [isOpen, activeTab, refreshUserTags]);
 
   const searchStatusLabel = useMemo(() => {
     if (isSearching) return 'Searching...';
@@ -3054,7 +3251,8 @@ export default function UnifiedSearchModal({
           category,
           subject,
           summary,
-          content
+          content,
+          thumbnailPath: metadata.thumbnailPath || ''
         },
         draggable: true
       };
@@ -4967,11 +5165,29 @@ export default function UnifiedSearchModal({
                 onSearch={(q) => {
                   setQuery(q);
                 }}
-                placeholder="Describe what you're looking for..."
+                placeholder="Describe what you're looking for, or try type:pdf before:2024..."
                 ariaLabel="Search query"
                 className="flex-1"
                 autoFocus
               />
+              {(userTags.length > 0 || tagFilter) && (
+                <Select
+                  value={tagFilter}
+                  onChange={(e) => setTagFilter(e.target.value)}
+                  aria-label="Filter by your tag"
+                  className="w-40 shrink-0"
+                >
+                  <option value="">All tags</option>
+                  {tagFilter && !userTags.includes(tagFilter) && (
+                    <option value={tagFilter}>{tagFilter}</option>
+                  )}
+                  {userTags.map((tag) => (
+                    <option key={tag} value={tag}>
+                      #{tag}
+                    </option>
+                  ))}
+                </Select>
+              )}
               {isSearching && (
                 <Text
                   as="div"
@@ -5089,8 +5305,36 @@ export default function UnifiedSearchModal({
               </div>
             )}
 
+            {/* Structured query filters parsed by the main process */}
+            {(queryMeta?.syntax?.filters?.length > 0 || queryMeta?.syntax?.errors?.length > 0) && (
+              <div className="flex flex-wrap items-center gap-2 px-3 py-2 bg-stratosort-blue/5 border border-stratosort-blue/20 rounded-lg text-xs">
+                <Filter className="w-3.5 h-3.5 text-stratosort-blue shrink-0" />
+                {queryMeta.syntax.filters.map((label) => (
+                  <span
+                    key={label}
+                    className="px-2 py-0.5 rounded-full bg-white border border-stratosort-blue/20 text-stratosort-blue"
+                  >
+                    {label}
+                  </span>
+                ))}
+                {queryMeta.syntax.errors.map((err) => (
+                  <span key={err.token} className="text-amber-700">
+                    Ignored <span className="font-mono">{err.token}</span>: {err.message}
+                  </span>
+                ))}
+              </div>
+            )}
+
             {/* Results grid */}
-            <div className="grid grid-cols-1 lg:grid-cols-[1fr_320px] gap-4 flex-1">
+            <div className="grid grid-cols-1 lg:grid-cols-[200px_1fr_320px] gap-4 flex-1">
+              <aside className="hidden lg:block overflow-y-auto max-h-[60vh]">
+                <SmartCollectionsPanel
+                  query={query}
+                  tagFilter={tagFilter}
+                  activeId={activeCollection?.query === query ? activeCollection.id : null}
+                  onOpen={openCollection}
+                />
+              </aside>
               <div ref={resultListRef} className="flex flex-col gap-2 overflow-y-auto max-h-[60vh]">
                 {searchResults.length === 0 && !error && !isSearching ? (
                   <EmptySearchState
@@ -5248,6 +5492,20 @@ export default function UnifiedSearchModal({
                       );
                     })()}
 
+                    {/* User tags and note */}
+                    {selectedSearchResult?.metadata?.path && (
+                      <div>
+                        <div className="text-[10px] uppercase text-system-gray-400 font-semibold mb-1 tracking-wider">
+                          Your Tags &amp; Notes
+                        </div>
+                        <FileAnnotationsEditor
+                          filePath={selectedSearchResult.metadata.path}
+                          compact
+                          onSaved={refreshUserTags}
+                        />
+                      </div>
+                    )}
+
                     {/* Document content preview */}
                     {isLoadingDocumentDetails ? (
                       <div className="flex-1 flex items-center justify-center p-4">
@@ -5291,6 +5549,21 @@ export default function UnifiedSearchModal({
                         <ExternalLink className="h-4 w-4" />
                         <span>Open File</span>
                       </Button>
+                      <Button
+                        variant="secondary"
+                        size="sm"
+                        title="Preview in app"
+                        onClick={() =>
+                          setPreviewTarget({
+                            path: selectedSearchResult?.metadata?.path,
+                            name: selectedSearchResult?.metadata?.name,
+                            matchDetails: selectedSearchResult?.matchDetails || null
+                          })
+                        }
+                        disabled={!selectedSearchResult?.metadata?.path}
+                      >
+                        <Eye className="h-4 w-4" />
+                      </Button>
                       <Button
                         variant="secondary"
                         size="sm"
@@ -5338,6 +5611,7 @@ export default function UnifiedSearchModal({
               messages={chatMessages}
               onSend={handleChatSend}
               onReset={handleChatReset}
+              onCancel={handleChatCancel}
               isSending={isChatting}
               error={chatError}
               warning={chatWarning}
@@ -5349,6 +5623,12 @@ export default function UnifiedSearchModal({
               isLoadingStats={isLoadingStats}
               responseMode={responseMode}
               onResponseModeChange={handleResponseModeChange}
+              conversations={chatConversations}
+              activeConversationId={activeConversationId}
+              onSelectConversation={handleSelectConversation}
+              onRenameConversation={handleRenameConversation}
+              onDeleteConversation={handleDeleteConversation}
+              onExportConversation={handleExportConversation}
             />
           </div>
         )}
@@ -6169,25 +6449,12 @@ export default function UnifiedSearchModal({
                             </Text>
                           </div>
 
-                          {/* Save/Load Controls */}
-                          <div className="pt-2 mt-2 border-t border-system-gray-100 flex gap-2">
-                            <Button
-                              variant="secondary"
-                              size="sm"
-                              onClick={handleSaveGraph}
-                              className="flex-1 justify-center h-8 text-xs"
-                            >
-                              Save State
-                            </Button>
-                            <Button
-                              variant="secondary"
-                              size="sm"
-                              onClick={handleLoadGraph}
-                              className="flex-1 justify-center h-8 text-xs"
-                            >
-                              Load State
-                            </Button>
-                          </div>
+                          <GraphWorkspacePanel
+                            getGraphState={getGraphState}
+                            onLoadWorkspace={handleLoadWorkspace}
+                            onStatus={setGraphStatus}
+                            onError={setError}
+                          />
 
                           <Button
                             variant="secondary"
@@ -7092,27 +7359,44 @@ export default function UnifiedSearchModal({
                             </div>
                           )}
 
-                          {/* Notes Section */}
+                          {/* Notes Section - file nodes edit the file's own tags and note */}
                           <div className="space-y-2">
                             <Text
                               as="div"
                               variant="tiny"
                               className="font-semibold text-system-gray-500 uppercase tracking-wider flex justify-between"
                             >
-                              <span>Notes</span>
+                              <span>{selectedKind === 'file' ? 'Tags & Notes' : 'Notes'}</span>
                             </Text>
-                            <Textarea
-                              className="w-full text-sm"
-                              rows={3}
-                              placeholder="Add notes about this node or connection..."
-                              value={graphNotes[selectedNode.id] || ''}
-                              onChange={(e) =>
-                                setGraphNotes((prev) => ({
-                                  ...prev,
-                                  [selectedNode.id]: e.target.value
-                                }))
-                              }
-                            />
+                            {selectedKind === 'file' && selectedPath ? (
+                              <FileAnnotationsEditor
+                                filePath={selectedPath}
+                                compact
+                                onSaved={(annotation) => {
+                                  // Mirror into the workspace so exports carry the note
+                                  const nodeId = selectedNode.id;
+                                  setGraphNotes((prev) => {
+                                    const next = { ...prev };
+                                    if (annotation?.note) next[nodeId] = annotation.note;
+                                    else delete next[nodeId];
+                                    return next;
+                                  });
+                                }}
+                              />
+                            ) : (
+                              <Textarea
+                                className="w-full text-sm"
+                                rows={3}
+                                placeholder="Add notes about this node or connection..."
+                                value={graphNotes[selectedNode.id] || ''}
+                                onChange={(e) =>
+                                  setGraphNotes((prev) => ({
+                                    ...prev,
+                                    [selectedNode.id]: e.target.value
+                                  }))
+                                }
+                              />
+                            )}
                           </div>
 
                           {/* Connections Section */}
@@ -7353,6 +7637,15 @@ export default function UnifiedSearchModal({
         />
       )}
 
+      {/* In-app file preview with the matched chunk highlighted */}
+      <FilePreviewPanel
+        isOpen={isOpen && Boolean(previewTarget?.path)}
+        onClose={() => setPreviewTarget(null)}
+        filePath={previewTarget?.path}
+        fileName={previewTarget?.name}
+        matchDetails={previewTarget?.matchDetails}
+      />
+
       {/* Clear confirmation modal */}
       <ConfirmModal
         isOpen={showClearConfirm}
@@ -9,6 +9,7 @@ import { logger } from '../../../../shared/logger';
 import FileIcon, { getFileCategory } from '../../ui/FileIcon';
 import { IconButton } from '../../ui';
 import { formatDisplayPath } from '../../../utils/pathDisplay';
+import { toFileUrl } from '../../../utils/pathNormalization';
 
 const CATEGORY_STYLES = {
   Documents: {
@@ -75,6 +76,7 @@ const CATEGORY_STYLES = {
 
 const FileNode = memo(({ data, selected }) => {
   const [showActions, setShowActions] = useState(false);
+  const [thumbnailFailed, setThumbnailFailed] = useState(false);
   const { showError } = useNotification();
   const redactPaths = useAppSelector((state) => Boolean(state?.system?.redactPaths));
   const filePath = data?.path || '';
@@ -87,6 +89,12 @@ const FileNode = memo(({ data, selected }) => {
     ? formatDisplayPath(suggestedFolder, { redact: redactPaths, segments: 2 })
     : '';
 
+  const thumbnailSrc = useMemo(
+    () => (data?.thumbnailPath ? toFileUrl(data.thumbnailPath) : ''),
+    [data?.thumbnailPath]
+  );
+  const showThumbnail = Boolean(thumbnailSrc) && !thumbnailFailed;
+
   // Determine category and style
   const category = useMemo(() => getFileCategory(filePath), [filePath]);
   const style = CATEGORY_STYLES[category] || CATEGORY_STYLES.Other;
@@ -271,6 +279,17 @@ const FileNode = memo(({ data, selected }) => {
         </div>
       )}
 
+      {showThumbnail && (
+        <img
+          src={thumbnailSrc}
+          alt=""
+          loading="lazy"
+          draggable={false}
+          onError={() => setThumbnailFailed(true)}
+          className="w-full h-20 object-cover rounded-md mb-1.5 bg-black/5"
+        />
+      )}
+
       <div className="flex items-start gap-2.5">
         <div className="shrink-0 mt-0.5">
           <FileIcon filename={filePath} className="w-5 h-5" />
@@ -332,6 +351,7 @@ FileNode.propTypes = {
     entities: PropTypes.arrayOf(PropTypes.string),
     dates: PropTypes.arrayOf(PropTypes.string),
     suggestedFolder: PropTypes.string,
+    thumbnailPath: PropTypes.string,
     style: PropTypes.shape({
       opacity: PropTypes.number
     })
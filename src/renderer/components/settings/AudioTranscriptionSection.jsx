@@ -0,0 +1,105 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import Card from '../ui/Card';
+import Input from '../ui/Input';
+import Select from '../ui/Select';
+import SettingRow from './SettingRow';
+import { Text } from '../ui/Typography';
+
+/**
+ * Audio transcription section
+ * Chooses the local speech-to-text backend used when analyzing audio files
+ */
+function AudioTranscriptionSection({ settings, setSettings }) {
+  const backend = settings?.audioTranscriptionBackend || 'none';
+
+  const updateSetting = (key) => (e) => setSettings((prev) => ({ ...prev, [key]: e.target.value }));
+
+  return (
+    <Card variant="default" className="space-y-5">
+      <div>
+        <Text variant="tiny" className="font-semibold uppercase tracking-wide text-system-gray-500">
+          Audio transcription
+        </Text>
+        <Text variant="small" className="text-system-gray-600">
+          Audio files are always categorized from their tags. Add a local speech-to-text engine to
+          also use what is said in recordings. Audio never leaves your machine unless you point the
+          server URL elsewhere.
+        </Text>
+      </div>
+
+      <SettingRow
+        layout="col"
+        label="Transcription engine"
+        description="Runs on each analyzed audio file; long recordings can take several minutes."
+      >
+        <Select value={backend} onChange={updateSetting('audioTranscriptionBackend')}>
+          <option value="none">Off (tags only)</option>
+          <option value="whisper-cpp">whisper.cpp executable</option>
+          <option value="openai-compatible">Local transcription server</option>
+        </Select>
+      </SettingRow>
+
+      {backend === 'whisper-cpp' && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <SettingRow
+            layout="col"
+            label="Executable"
+            description="Full path to whisper-cli, or its name if it is on your PATH."
+          >
+            <Input
+              type="text"
+              value={settings.audioTranscriptionCommand ?? ''}
+              onChange={updateSetting('audioTranscriptionCommand')}
+              placeholder="whisper-cli"
+              className="w-full"
+            />
+          </SettingRow>
+          <SettingRow layout="col" label="Model file" description="Path to a ggml model file.">
+            <Input
+              type="text"
+              value={settings.audioTranscriptionModel ?? ''}
+              onChange={updateSetting('audioTranscriptionModel')}
+              placeholder="/path/to/ggml-base.bin"
+              className="w-full"
+            />
+          </SettingRow>
+        </div>
+      )}
+
+      {backend === 'openai-compatible' && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <SettingRow
+            layout="col"
+            label="Server URL"
+            description="A server with an OpenAI-compatible /v1/audio/transcriptions endpoint."
+          >
+            <Input
+              type="text"
+              value={settings.audioTranscriptionEndpoint ?? ''}
+              onChange={updateSetting('audioTranscriptionEndpoint')}
+              placeholder="http://localhost:8000"
+              className="w-full"
+            />
+          </SettingRow>
+          <SettingRow layout="col" label="Model" description="Model name the server expects.">
+            <Input
+              type="text"
+              value={settings.audioTranscriptionModel ?? ''}
+              onChange={updateSetting('audioTranscriptionModel')}
+              placeholder="whisper-1"
+              className="w-full"
+            />
+          </SettingRow>
+        </div>
+      )}
+    </Card>
+  );
+}
+
+AudioTranscriptionSection.propTypes = {
+  settings: PropTypes.object,
+  setSettings: PropTypes.func.isRequired
+};
+
+export default AudioTranscriptionSection;
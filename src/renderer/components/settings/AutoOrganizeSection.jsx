@@ -15,6 +15,7 @@ const CONFIDENCE_MAX = 0.95; // 95%
  *
  * Controls:
  * - autoOrganize: Enable/disable auto-organize for new downloads
+ * - smartFolderRuleMode: Whether rule matches keep AI alternatives or skip AI entirely
  * - confidenceThreshold: Minimum confidence (0-1) required to auto-move files
  */
 function AutoOrganizeSection({ settings, setSettings }) {
@@ -77,6 +78,22 @@ function AutoOrganizeSection({ settings, setSettings }) {
           </Select>
         </SettingRow>
 
+        <SettingRow
+          label="Smart folder rules"
+          description="Rules you define on a smart folder always win. Exclusive mode skips AI matching entirely when a rule matches."
+        >
+          <Select
+            id="settings-smart-folder-rule-mode"
+            value={settings.smartFolderRuleMode || 'priority'}
+            onChange={(e) => updateSetting('smartFolderRuleMode', e.target.value)}
+            aria-label="Smart folder rule mode"
+            className="w-full max-w-[240px]"
+          >
+            <option value="priority">Rules first, AI as alternatives</option>
+            <option value="exclusive">Rules only when matched</option>
+          </Select>
+        </SettingRow>
+
         {/* Confidence threshold - only shown when autoOrganize is enabled */}
         {settings.autoOrganize && (
           <div className="rounded-lg border border-system-gray-100 bg-system-gray-50 p-4 space-y-3">
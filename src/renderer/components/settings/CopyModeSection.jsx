@@ -0,0 +1,84 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import Select from '../ui/Select';
+import Card from '../ui/Card';
+import SettingRow from './SettingRow';
+import { Text } from '../ui/Typography';
+import { SOURCE_RETENTION_LABELS } from '../../../shared/organizeModes';
+
+/**
+ * CopyModeSection - Whether organizing moves files or copies them
+ *
+ * Copy mode is meant for removable media and camera cards: each copy is
+ * checked against the source with a SHA-256 hash before the source is kept,
+ * deleted or archived.
+ */
+function CopyModeSection({ settings, setSettings }) {
+  const updateSetting = (key, value) => {
+    setSettings((prev) => ({
+      ...prev,
+      [key]: value
+    }));
+  };
+
+  const copyMode = settings.organizeTransferMode === 'copy';
+
+  return (
+    <Card variant="default" className="space-y-5">
+      <div>
+        <Text variant="tiny" className="font-semibold uppercase tracking-wide text-system-gray-500">
+          Copy mode
+        </Text>
+        <Text variant="small" className="text-system-gray-600">
+          Copy files instead of moving them, for example from a camera card or USB drive. Every copy
+          is verified against the original before anything happens to the original.
+        </Text>
+      </div>
+
+      <div className="space-y-6">
+        <SettingRow
+          label="When organizing"
+          description="Applies to the Organize step. Smart folders that use links always link."
+        >
+          <Select
+            id="settings-organize-transfer-mode"
+            value={copyMode ? 'copy' : 'move'}
+            onChange={(e) => updateSetting('organizeTransferMode', e.target.value)}
+            aria-label="Organize transfer mode"
+            className="w-full max-w-[240px]"
+          >
+            <option value="move">Move files</option>
+            <option value="copy">Copy and verify</option>
+          </Select>
+        </SettingRow>
+
+        <SettingRow
+          label="After a verified copy"
+          description="Archived originals go into a folder named Organized Originals next to where they were."
+        >
+          <Select
+            id="settings-copy-source-retention"
+            value={settings.copySourceRetention || 'keep'}
+            onChange={(e) => updateSetting('copySourceRetention', e.target.value)}
+            disabled={!copyMode}
+            aria-label="What happens to the original after a verified copy"
+            className="w-full max-w-[240px]"
+          >
+            {Object.entries(SOURCE_RETENTION_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </Select>
+        </SettingRow>
+      </div>
+    </Card>
+  );
+}
+
+CopyModeSection.propTypes = {
+  settings: PropTypes.object.isRequired,
+  setSettings: PropTypes.func.isRequired
+};
+
+export default CopyModeSection;
@@ -0,0 +1,223 @@
+import React, { useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { useSelector } from 'react-redux';
+import { FolderPlus, Trash2 } from 'lucide-react';
+import Button from '../ui/Button';
+import IconButton from '../ui/IconButton';
+import Input from '../ui/Input';
+import Switch from '../ui/Switch';
+import Card from '../ui/Card';
+import { Text } from '../ui/Typography';
+import { selectRedactPaths } from '../../store/selectors';
+import { INBOX_DEFAULTS, INBOX_LIMITS } from '../../../shared/inboxFolders';
+
+function createInbox(folderPath) {
+  const name =
+    folderPath
+      .split(/[\\/]+/)
+      .filter(Boolean)
+      .pop() || folderPath;
+  return {
+    id: `inbox-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    name,
+    path: folderPath,
+    ignorePatterns: [],
+    ...INBOX_DEFAULTS
+  };
+}
+
+const parsePatterns = (value) =>
+  value
+    .split(',')
+    .map((pattern) => pattern.trim())
+    .filter(Boolean);
+
+/**
+ * InboxFoldersSection - Folders watched for new files
+ *
+ * Each inbox has its own watch depth, ignore patterns, settle delay and
+ * auto-organize policy. An empty list watches the Downloads folder.
+ */
+function InboxFoldersSection({ settings, setSettings }) {
+  const redactPaths = useSelector(selectRedactPaths);
+  const inboxes = Array.isArray(settings.inboxFolders) ? settings.inboxFolders : [];
+
+  const setInboxes = useCallback(
+    (updater) => {
+      setSettings((prev) => {
+        const current = Array.isArray(prev.inboxFolders) ? prev.inboxFolders : [];
+        return { ...prev, inboxFolders: updater(current) };
+      });
+    },
+    [setSettings]
+  );
+
+  const updateInbox = useCallback(
+    (id, patch) =>
+      setInboxes((current) =>
+        current.map((inbox) => (inbox.id === id ? { ...inbox, ...patch } : inbox))
+      ),
+    [setInboxes]
+  );
+
+  const handleAdd = useCallback(async () => {
+    const res = await window.electronAPI.files.selectDirectory();
+    if (!res?.success || !res.path) return;
+    setInboxes((current) => {
+      if (current.some((inbox) => inbox.path === res.path)) return current;
+      return [...current, createInbox(res.path)].slice(0, INBOX_LIMITS.MAX_INBOXES);
+    });
+  }, [setInboxes]);
+
+  return (
+    <Card variant="default" className="space-y-5">
+      <div className="flex items-start justify-between gap-3">
+        <div>
+          <Text
+            variant="tiny"
+            className="font-semibold uppercase tracking-wide text-system-gray-500"
+          >
+            Inbox folders
+          </Text>
+          <Text variant="small" className="text-system-gray-600">
+            Folders watched for new files when auto-organize is on. With no inbox configured,
+            StratoSort watches your Downloads folder.
+          </Text>
+        </div>
+        <Button
+          onClick={handleAdd}
+          variant="secondary"
+          type="button"
+          size="sm"
+          leftIcon={<FolderPlus className="w-4 h-4" />}
+          disabled={inboxes.length >= INBOX_LIMITS.MAX_INBOXES}
+        >
+          Add inbox
+        </Button>
+      </div>
+
+      {inboxes.map((inbox) => {
+        const thresholdPercent =
+          inbox.confidenceThreshold === null || inbox.confidenceThreshold === undefined
+            ? ''
+            : Math.round(inbox.confidenceThreshold * 100);
+
+        return (
+          <div
+            key={inbox.id}
+            className="rounded-lg border border-system-gray-100 bg-system-gray-50 p-4 space-y-3"
+          >
+            <div className="flex items-center gap-3">
+              <Switch
+                checked={inbox.enabled !== false}
+                onChange={(checked) => updateInbox(inbox.id, { enabled: checked })}
+                aria-label={`Watch ${inbox.name}`}
+              />
+              <Input
+                value={inbox.name || ''}
+                onChange={(e) => updateInbox(inbox.id, { name: e.target.value })}
+                className="flex-1"
+                aria-label="Inbox name"
+                placeholder="Inbox name"
+              />
+              <IconButton
+                type="button"
+                onClick={() => setInboxes((current) => current.filter((i) => i.id !== inbox.id))}
+                icon={<Trash2 className="w-4 h-4" />}
+                size="sm"
+                variant="ghost"
+                aria-label={`Remove ${inbox.name}`}
+              />
+            </div>
+
+            <Input
+              type={redactPaths ? 'password' : 'text'}
+              value={inbox.path}
+              readOnly
+              className="w-full"
+              aria-label="Inbox path"
+            />
+
+            <div className="grid gap-3 sm:grid-cols-3">
+              <label className="space-y-1">
+                <Text as="span" variant="tiny" className="text-system-gray-500">
+                  Subfolder depth
+                </Text>
+                <Input
+                  type="number"
+                  min={0}
+                  max={INBOX_LIMITS.MAX_DEPTH}
+                  value={inbox.depth ?? INBOX_DEFAULTS.depth}
+                  onChange={(e) => updateInbox(inbox.id, { depth: Number(e.target.value) })}
+                />
+              </label>
+              <label className="space-y-1">
+                <Text as="span" variant="tiny" className="text-system-gray-500">
+                  Settle delay (ms)
+                </Text>
+                <Input
+                  type="number"
+                  min={0}
+                  max={INBOX_LIMITS.MAX_SETTLE_DELAY_MS}
+                  step={100}
+                  value={inbox.settleDelayMs ?? INBOX_DEFAULTS.settleDelayMs}
+                  onChange={(e) => updateInbox(inbox.id, { settleDelayMs: Number(e.target.value) })}
+                />
+              </label>
+              <label className="space-y-1">
+                <Text as="span" variant="tiny" className="text-system-gray-500">
+                  Min confidence (%)
+                </Text>
+                <Input
+                  type="number"
+                  min={0}
+                  max={100}
+                  value={thresholdPercent}
+                  placeholder="Global"
+                  disabled={inbox.autoOrganize === false}
+                  onChange={(e) =>
+                    updateInbox(inbox.id, {
+                      confidenceThreshold:
+                        e.target.value === '' ? null : Number(e.target.value) / 100
+                    })
+                  }
+                />
+              </label>
+            </div>
+
+            <label className="block space-y-1">
+              <Text as="span" variant="tiny" className="text-system-gray-500">
+                Ignore patterns (comma-separated, e.g. *.part, drafts/**)
+              </Text>
+              <Input
+                defaultValue={(inbox.ignorePatterns || []).join(', ')}
+                onBlur={(e) =>
+                  updateInbox(inbox.id, { ignorePatterns: parsePatterns(e.target.value) })
+                }
+                className="w-full"
+              />
+            </label>
+
+            <div className="flex items-center justify-between">
+              <Text as="span" variant="small" className="text-system-gray-700">
+                Move files automatically (off = analyze only)
+              </Text>
+              <Switch
+                checked={inbox.autoOrganize !== false}
+                onChange={(checked) => updateInbox(inbox.id, { autoOrganize: checked })}
+                aria-label={`Auto-organize ${inbox.name}`}
+              />
+            </div>
+          </div>
+        );
+      })}
+    </Card>
+  );
+}
+
+InboxFoldersSection.propTypes = {
+  settings: PropTypes.object.isRequired,
+  setSettings: PropTypes.func.isRequired
+};
+
+export default InboxFoldersSection;
@@ -0,0 +1,195 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Copy, Eye, EyeOff, RefreshCw } from 'lucide-react';
+import Switch from '../ui/Switch';
+import Input from '../ui/Input';
+import Button from '../ui/Button';
+import IconButton from '../ui/IconButton';
+import Card from '../ui/Card';
+import SettingRow from './SettingRow';
+import { Stack } from '../layout';
+import { Text } from '../ui/Typography';
+import { logger } from '../../../shared/logger';
+import { DEFAULT_SETTINGS } from '../../../shared/defaultSettings';
+
+const PORT_MIN = 1024;
+const PORT_MAX = 65535;
+
+/**
+ * LocalApiSection - Loopback REST API for launchers, editor plugins and scripts
+ *
+ * Enable/port are regular settings (applied on save); status and the token
+ * come from the main process, which owns the server and the token file.
+ */
+function LocalApiSection({ settings, setSettings, addNotification }) {
+  const [status, setStatus] = useState(null);
+  const [showToken, setShowToken] = useState(false);
+  const [isRegenerating, setIsRegenerating] = useState(false);
+
+  const loadStatus = useCallback(async () => {
+    const result = await window.electronAPI?.localApi?.getStatus?.().catch(() => null);
+    if (result?.success) {
+      setStatus(result.status);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  const handleCopy = useCallback(
+    async (value, label) => {
+      try {
+        await navigator.clipboard.writeText(value);
+        addNotification?.(`${label} copied`, 'success');
+      } catch (error) {
+        logger.warn('[Settings] Failed to copy to clipboard', { error: error?.message });
+      }
+    },
+    [addNotification]
+  );
+
+  const handleRegenerate = useCallback(async () => {
+    setIsRegenerating(true);
+    try {
+      const result = await window.electronAPI.localApi.regenerateToken();
+      if (result?.success) {
+        addNotification?.('New API token created; update your integrations', 'info');
+        await loadStatus();
+      }
+    } catch (error) {
+      logger.error('[Settings] Failed to regenerate API token', { error: error?.message });
+    } finally {
+      setIsRegenerating(false);
+    }
+  }, [addNotification, loadStatus]);
+
+  const port = settings.localApiPort ?? DEFAULT_SETTINGS.localApiPort;
+  const token = status?.token || '';
+
+  let statusText = 'Disabled';
+  if (status?.running) {
+    statusText = `Listening on ${status.url}`;
+  } else if (status?.error) {
+    statusText = `Not running: ${status.error}`;
+  } else if (status?.enabled) {
+    statusText = 'Starting…';
+  }
+
+  return (
+    <Card variant="default" className="space-y-5">
+      <div>
+        <Text variant="tiny" className="font-semibold uppercase tracking-wide text-system-gray-500">
+          Local API
+        </Text>
+        <Text variant="small" className="text-system-gray-600">
+          Let other tools on this computer search your files, ask questions and get folder
+          suggestions over HTTP. Only reachable from 127.0.0.1 and protected by a token.
+        </Text>
+      </div>
+
+      <Stack gap="relaxed">
+        <SettingRow
+          label="Enable Local API"
+          description="Starts a server on this computer after you save settings."
+        >
+          <Switch
+            checked={!!settings.localApiEnabled}
+            onChange={(checked) => setSettings((prev) => ({ ...prev, localApiEnabled: checked }))}
+          />
+        </SettingRow>
+
+        <SettingRow
+          label="Port"
+          description={`Port on 127.0.0.1 (${PORT_MIN}-${PORT_MAX}).`}
+          layout="col"
+        >
+          <Input
+            type="number"
+            min={PORT_MIN}
+            max={PORT_MAX}
+            value={port}
+            onChange={(e) =>
+              setSettings((prev) => ({ ...prev, localApiPort: Math.round(Number(e.target.value)) }))
+            }
+            className="max-w-[10rem]"
+          />
+        </SettingRow>
+
+        <SettingRow label="Status" description={statusText}>
+          <IconButton
+            icon={<RefreshCw className="w-4 h-4" />}
+            size="sm"
+            variant="ghost"
+            onClick={loadStatus}
+            aria-label="Refresh status"
+            title="Refresh status"
+          />
+        </SettingRow>
+
+        <SettingRow
+          label="Access Token"
+          description="Send as `Authorization: Bearer <token>`. Regenerating signs out existing clients."
+          layout="col"
+        >
+          <div className="flex flex-wrap items-center gap-2">
+            <Input
+              readOnly
+              type={showToken ? 'text' : 'password'}
+              value={token}
+              className="font-mono flex-1 min-w-[12rem]"
+              aria-label="Local API token"
+            />
+            <IconButton
+              icon={showToken ? <EyeOff className="w-4 h-4" /> : <Eye className="w-4 h-4" />}
+              size="sm"
+              variant="ghost"
+              onClick={() => setShowToken((prev) => !prev)}
+              aria-label={showToken ? 'Hide token' : 'Show token'}
+              title={showToken ? 'Hide token' : 'Show token'}
+            />
+            <IconButton
+              icon={<Copy className="w-4 h-4" />}
+              size="sm"
+              variant="ghost"
+              onClick={() => handleCopy(token, 'Token')}
+              disabled={!token}
+              aria-label="Copy token"
+              title="Copy token"
+            />
+            <Button
+              variant="subtle"
+              size="sm"
+              onClick={handleRegenerate}
+              disabled={!window.electronAPI?.localApi?.regenerateToken}
+              isLoading={isRegenerating}
+            >
+              Regenerate
+            </Button>
+          </div>
+        </SettingRow>
+
+        {status?.running && (
+          <Text variant="tiny" className="text-system-gray-500">
+            Endpoints are described at{' '}
+            <button
+              type="button"
+              className="font-mono text-stratosort-blue hover:underline"
+              onClick={() => handleCopy(`${status.url}/openapi.json`, 'OpenAPI URL')}
+            >
+              {status.url}/openapi.json
+            </button>
+          </Text>
+        )}
+      </Stack>
+    </Card>
+  );
+}
+
+LocalApiSection.propTypes = {
+  settings: PropTypes.object.isRequired,
+  setSettings: PropTypes.func.isRequired,
+  addNotification: PropTypes.func
+};
+
+export default LocalApiSection;
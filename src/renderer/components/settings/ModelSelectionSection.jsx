@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import PropTypes from 'prop-types';
 import { AlertTriangle, Database, Info, FileText } from 'lucide-react';
 import Select from '../ui/Select';
+import Input from '../ui/Input';
 import Card from '../ui/Card';
 import StatusBadge from '../ui/StatusBadge';
 import SettingRow from './SettingRow';
@@ -10,6 +11,13 @@ import Button from '../ui/Button';
 import StateMessage from '../ui/StateMessage';
 import { Text } from '../ui/Typography';
 import { logger } from '../../../shared/logger';
+import {
+  LLM_PROVIDERS,
+  LLM_PROVIDER_IDS,
+  LLM_PROVIDER_LABELS,
+  LLM_ROLES,
+  PROVIDER_SETTING_KEYS
+} from '../../../shared/llmProviders';
 
 // Embedding model dimensions - used for dimension change warnings
 const EMBEDDING_DIMENSIONS = {
@@ -20,9 +28,34 @@ const EMBEDDING_DIMENSIONS = {
   'bge-large': 1024
 };
 
+const SERVER_EMPTY_HINT = 'Load a model on your server, then refresh models.';
+
+function ProviderSelect({ value, onChange, label }) {
+  return (
+    <div className="mb-3">
+      <Select value={value} onChange={onChange} className="w-full" aria-label={label}>
+        {LLM_PROVIDER_IDS.map((id) => (
+          <option key={id} value={id}>
+            {LLM_PROVIDER_LABELS[id]}
+          </option>
+        ))}
+      </Select>
+    </div>
+  );
+}
+
+ProviderSelect.propTypes = {
+  value: PropTypes.string.isRequired,
+  onChange: PropTypes.func.isRequired,
+  label: PropTypes.string.isRequired
+};
+
 /**
  * Model selection section for text, vision, and embedding models
- * Displays categorized model dropdowns with helpful messages when categories are empty
+ * Displays categorized model dropdowns with helpful messages when categories are empty.
+ * Each role can be served by Ollama or an OpenAI-compatible server (llama.cpp,
+ * LM Studio, vLLM, LocalAI); switching the embedding provider goes through the
+ * same rebuild confirmation as switching the embedding model.
  */
 function ModelSelectionSection({
   settings,
@@ -32,7 +65,8 @@ function ModelSelectionSection({
   embeddingModelOptions
 }) {
   const [embeddingModelChanged, setEmbeddingModelChanged] = useState(false);
-  const [pendingModel, setPendingModel] = useState(null);
+  // { embeddingModel } or { embeddingProvider } awaiting confirmation
+  const [pendingEmbedding, setPendingEmbedding] = useState(null);
   const [showConfirmDialog, setShowConfirmDialog] = useState(false);
   const [stats, setStats] = useState(null);
   const [isRebuilding, setIsRebuilding] = useState(false);
@@ -45,24 +79,42 @@ function ModelSelectionSection({
     }
   }, [settings.embeddingModel]);
 
+  const providerFor = (role) => settings[PROVIDER_SETTING_KEYS[role]] || LLM_PROVIDERS.OLLAMA;
+  const activeProviders = [...new Set(LLM_ROLES.map(providerFor))];
+  const usesOpenAICompatible = activeProviders.includes(LLM_PROVIDERS.OPENAI_COMPATIBLE);
+  const embeddingProvider = providerFor('embedding');
+
+  const requestEmbeddingChange = (change) => {
+    setPendingEmbedding(change);
+    setShowConfirmDialog(true);
+    if (window.electronAPI?.embeddings?.getStats) {
+      window.electronAPI.embeddings
+        .getStats()
+        .then((s) => setStats(s))
+        .catch((err) => logger.error('Failed to fetch stats', err));
+    }
+  };
+
   const handleEmbeddingModelChange = (e) => {
     const newModel = e.target.value;
     if (newModel !== settings.embeddingModel) {
-      setPendingModel(newModel);
-      setShowConfirmDialog(true);
-      if (window.electronAPI?.embeddings?.getStats) {
-        window.electronAPI.embeddings
-          .getStats()
-          .then((s) => setStats(s))
-          .catch((err) => logger.error('Failed to fetch stats', err));
-      }
+      requestEmbeddingChange({ embeddingModel: newModel });
+    }
+  };
+
+  const handleEmbeddingProviderChange = (e) => {
+    const newProvider = e.target.value;
+    if (newProvider !== embeddingProvider) {
+      requestEmbeddingChange({ embeddingProvider: newProvider });
     }
   };
 
+  const updateSetting = (key) => (e) => setSettings((prev) => ({ ...prev, [key]: e.target.value }));
+
   const confirmChangeAndRebuild = async () => {
     setIsRebuilding(true);
     try {
-      setSettings((prev) => ({ ...prev, embeddingModel: pendingModel }));
+      setSettings((prev) => ({ ...prev, ...pendingEmbedding }));
       if (window.electronAPI?.embeddings?.fullRebuild) {
         await window.electronAPI.embeddings.fullRebuild();
       }
@@ -72,20 +124,20 @@ function ModelSelectionSection({
     } finally {
       setIsRebuilding(false);
       setShowConfirmDialog(false);
-      setPendingModel(null);
+      setPendingEmbedding(null);
     }
   };
 
   const confirmChangeOnly = () => {
-    setSettings((prev) => ({ ...prev, embeddingModel: pendingModel }));
+    setSettings((prev) => ({ ...prev, ...pendingEmbedding }));
     setEmbeddingModelChanged(true);
     setShowConfirmDialog(false);
-    setPendingModel(null);
+    setPendingEmbedding(null);
   };
 
   const cancelChange = () => {
     setShowConfirmDialog(false);
-    setPendingModel(null);
+    setPendingEmbedding(null);
   };
 
   const hasTextModels = textModelOptions.length > 0;
@@ -103,17 +155,52 @@ function ModelSelectionSection({
             Default AI models
           </Text>
           <Text variant="small" className="text-system-gray-600">
-            Choose which Ollama models StratoSort uses for analysis, vision, and embeddings.
+            Choose which models StratoSort uses for analysis, vision, and embeddings, and whether
+            each runs on Ollama or an OpenAI-compatible server such as llama.cpp, LM Studio, vLLM or
+            LocalAI.
           </Text>
         </div>
         <StatusBadge variant="info" className="whitespace-nowrap">
           <span className="flex items-center gap-2">
             <Database className="w-4 h-4" />
-            Pulled from Ollama
+            {activeProviders.length === 1
+              ? `Pulled from ${LLM_PROVIDER_LABELS[activeProviders[0]]}`
+              : 'Multiple providers'}
           </span>
         </StatusBadge>
       </div>
 
+      {usesOpenAICompatible && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <SettingRow
+            layout="col"
+            label="Server URL"
+            description="Base URL of the OpenAI-compatible API, usually ending in /v1."
+          >
+            <Input
+              type="text"
+              value={settings.openaiCompatibleHost ?? ''}
+              onChange={updateSetting('openaiCompatibleHost')}
+              placeholder="http://127.0.0.1:8080/v1"
+              className="w-full"
+            />
+          </SettingRow>
+          <SettingRow
+            layout="col"
+            label="API key"
+            description="Optional. Most local servers do not require one."
+          >
+            <Input
+              type="password"
+              autoComplete="off"
+              value={settings.openaiCompatibleApiKey ?? ''}
+              onChange={updateSetting('openaiCompatibleApiKey')}
+              className="w-full"
+            />
+          </SettingRow>
+        </div>
+      )}
+
       <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-6">
         {/* Text Model Selection */}
         <SettingRow
@@ -122,6 +209,11 @@ function ModelSelectionSection({
           description={`${textModelOptions.length} available`}
           className="h-full"
         >
+          <ProviderSelect
+            label="Text model provider"
+            value={providerFor('text')}
+            onChange={updateSetting(PROVIDER_SETTING_KEYS.text)}
+          />
           {hasTextModels ? (
             <Select
               value={settings.textModel}
@@ -146,7 +238,11 @@ function ModelSelectionSection({
               size="sm"
               align="left"
               title="No text models found"
-              description="Pull a model like llama3.2 or mistral."
+              description={
+                providerFor('text') === LLM_PROVIDERS.OLLAMA
+                  ? 'Pull a model like llama3.2 or mistral.'
+                  : SERVER_EMPTY_HINT
+              }
               className="p-3 bg-system-gray-50 rounded-lg border border-system-gray-100"
               contentClassName="max-w-xs"
             />
@@ -160,6 +256,11 @@ function ModelSelectionSection({
           description={`${visionModelOptions.length} available`}
           className="h-full"
         >
+          <ProviderSelect
+            label="Vision model provider"
+            value={providerFor('vision')}
+            onChange={updateSetting(PROVIDER_SETTING_KEYS.vision)}
+          />
           {hasVisionModels ? (
             <Select
               value={settings.visionModel}
@@ -184,7 +285,11 @@ function ModelSelectionSection({
               size="sm"
               align="left"
               title="No vision models found"
-              description="Pull a model like llava or moondream for image analysis."
+              description={
+                providerFor('vision') === LLM_PROVIDERS.OLLAMA
+                  ? 'Pull a model like llava or moondream for image analysis.'
+                  : SERVER_EMPTY_HINT
+              }
               className="p-3 bg-system-gray-50 rounded-lg border border-system-gray-100"
               contentClassName="max-w-xs"
             />
@@ -198,6 +303,11 @@ function ModelSelectionSection({
           description={`${embeddingModelOptions.length} available`}
           className="h-full"
         >
+          <ProviderSelect
+            label="Embedding model provider"
+            value={embeddingProvider}
+            onChange={handleEmbeddingProviderChange}
+          />
           {hasEmbeddingModels ? (
             <div className="space-y-3">
               <Select
@@ -237,7 +347,11 @@ function ModelSelectionSection({
               size="sm"
               align="left"
               title="No embedding models available"
-              description="Pull embeddinggemma (recommended) or mxbai-embed-large."
+              description={
+                embeddingProvider === LLM_PROVIDERS.OLLAMA
+                  ? 'Pull embeddinggemma (recommended) or mxbai-embed-large.'
+                  : SERVER_EMPTY_HINT
+              }
               className="p-3 bg-system-gray-50 rounded-lg border border-system-gray-100"
               contentClassName="max-w-xs"
             />
@@ -249,7 +363,11 @@ function ModelSelectionSection({
       <Modal
         isOpen={showConfirmDialog}
         onClose={cancelChange}
-        title="Change Embedding Model?"
+        title={
+          pendingEmbedding?.embeddingProvider
+            ? 'Change Embedding Provider?'
+            : 'Change Embedding Model?'
+        }
         size="sm"
       >
         <div className="space-y-4">
@@ -259,11 +377,21 @@ function ModelSelectionSection({
               <Text variant="small" className="font-medium text-stratosort-warning mb-1">
                 This will invalidate existing embeddings.
               </Text>
-              <Text variant="small" className="text-stratosort-warning">
-                Switching from <strong>{settings.embeddingModel}</strong> to{' '}
-                <strong>{pendingModel}</strong> changes the vector dimensions. You will need to
-                rebuild the vector database to search existing files.
-              </Text>
+              {pendingEmbedding?.embeddingProvider ? (
+                <Text variant="small" className="text-stratosort-warning">
+                  Switching embeddings from{' '}
+                  <strong>{LLM_PROVIDER_LABELS[embeddingProvider]}</strong> to{' '}
+                  <strong>{LLM_PROVIDER_LABELS[pendingEmbedding.embeddingProvider]}</strong>{' '}
+                  produces different vectors, even for a model with the same name. You will need to
+                  rebuild the vector database to search existing files.
+                </Text>
+              ) : (
+                <Text variant="small" className="text-stratosort-warning">
+                  Switching from <strong>{settings.embeddingModel}</strong> to{' '}
+                  <strong>{pendingEmbedding?.embeddingModel}</strong> changes the vector dimensions.
+                  You will need to rebuild the vector database to search existing files.
+                </Text>
+              )}
             </div>
           </div>
 
@@ -0,0 +1,372 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { useSelector } from 'react-redux';
+import { CalendarClock, FolderOpen, History, Play, Trash2 } from 'lucide-react';
+import Button from '../ui/Button';
+import IconButton from '../ui/IconButton';
+import Input from '../ui/Input';
+import Select from '../ui/Select';
+import Switch from '../ui/Switch';
+import Card from '../ui/Card';
+import { Text } from '../ui/Typography';
+import { selectRedactPaths } from '../../store/selectors';
+import {
+  DAY_NAMES,
+  SCHEDULE_DEFAULTS,
+  SCHEDULE_LIMITS,
+  describeSchedule
+} from '../../../shared/organizationSchedules';
+
+function createSchedule(folderPath) {
+  const folderName =
+    folderPath
+      .split(/[\\/]+/)
+      .filter(Boolean)
+      .pop() || folderPath;
+  return {
+    id: `schedule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    name: `Sweep ${folderName}`,
+    sourceFolder: folderPath,
+    destinationFolder: '',
+    ...SCHEDULE_DEFAULTS
+  };
+}
+
+const formatTime = (iso) => (iso ? new Date(iso).toLocaleString() : null);
+
+/**
+ * OrganizationSchedulesSection - Recurring sweep and archive jobs
+ *
+ * Jobs are stored in settings and run by the main process, also while the
+ * app sits in the tray. Run reports open in the run history modal.
+ */
+function OrganizationSchedulesSection({ settings, setSettings, addNotification, onViewRuns }) {
+  const redactPaths = useSelector(selectRedactPaths);
+  const [status, setStatus] = useState({});
+  const schedules = Array.isArray(settings.organizationSchedules)
+    ? settings.organizationSchedules
+    : [];
+
+  const loadStatus = useCallback(async () => {
+    const result = await window.electronAPI?.schedules?.getStatus?.().catch(() => null);
+    if (result?.success) {
+      setStatus(Object.fromEntries((result.jobs || []).map((job) => [job.id, job])));
+    }
+  }, []);
+
+  useEffect(() => {
+    loadStatus();
+    const subscribe = window.electronAPI?.schedules?.onRunComplete;
+    if (typeof subscribe !== 'function') return undefined;
+    return subscribe(() => loadStatus());
+  }, [loadStatus]);
+
+  const setSchedules = useCallback(
+    (updater) => {
+      setSettings((prev) => {
+        const current = Array.isArray(prev.organizationSchedules) ? prev.organizationSchedules : [];
+        return { ...prev, organizationSchedules: updater(current) };
+      });
+    },
+    [setSettings]
+  );
+
+  const updateSchedule = useCallback(
+    (id, patch) =>
+      setSchedules((current) =>
+        current.map((schedule) => (schedule.id === id ? { ...schedule, ...patch } : schedule))
+      ),
+    [setSchedules]
+  );
+
+  const pickFolder = async () => {
+    const res = await window.electronAPI.files.selectDirectory();
+    return res?.success && res.path ? res.path : null;
+  };
+
+  const handleAdd = useCallback(async () => {
+    const folderPath = await pickFolder();
+    if (!folderPath) return;
+    setSchedules((current) =>
+      [...current, createSchedule(folderPath)].slice(0, SCHEDULE_LIMITS.MAX_SCHEDULES)
+    );
+  }, [setSchedules]);
+
+  const handleRunNow = useCallback(
+    async (schedule) => {
+      const result = await window.electronAPI?.schedules
+        ?.runNow?.(schedule.id)
+        .catch((error) => ({ success: false, error: error?.message }));
+      if (result?.success) {
+        addNotification(`Running "${schedule.name}"...`, 'info', 3000);
+        setStatus((prev) => ({ ...prev, [schedule.id]: { ...prev[schedule.id], queued: true } }));
+      } else {
+        addNotification(result?.error || 'Could not start the job', 'warning');
+      }
+    },
+    [addNotification]
+  );
+
+  return (
+    <Card variant="default" className="space-y-5">
+      <div className="flex items-start justify-between gap-3">
+        <div>
+          <Text
+            variant="tiny"
+            className="font-semibold uppercase tracking-wide text-system-gray-500"
+          >
+            Scheduled jobs
+          </Text>
+          <Text variant="small" className="text-system-gray-600">
+            Sweep a folder into your smart folders or archive old files on a schedule. Jobs keep
+            running while StratoSort is in the tray, and every run can be reviewed and undone.
+          </Text>
+        </div>
+        <div className="flex flex-shrink-0 gap-2">
+          <Button
+            onClick={onViewRuns}
+            variant="ghost"
+            type="button"
+            size="sm"
+            leftIcon={<History className="w-4 h-4" />}
+          >
+            Run history
+          </Button>
+          <Button
+            onClick={handleAdd}
+            variant="secondary"
+            type="button"
+            size="sm"
+            leftIcon={<CalendarClock className="w-4 h-4" />}
+            disabled={schedules.length >= SCHEDULE_LIMITS.MAX_SCHEDULES}
+          >
+            Add job
+          </Button>
+        </div>
+      </div>
+
+      {schedules.map((schedule) => {
+        const jobStatus = status[schedule.id];
+        const isArchive = schedule.action === 'archive';
+        const thresholdPercent =
+          schedule.confidenceThreshold === null || schedule.confidenceThreshold === undefined
+            ? ''
+            : Math.round(schedule.confidenceThreshold * 100);
+        let statusText = describeSchedule(schedule);
+        if (jobStatus?.running) statusText += ' • running now';
+        else if (jobStatus?.queued) statusText += ' • queued';
+        else if (jobStatus?.nextRunAt) statusText += ` • next ${formatTime(jobStatus.nextRunAt)}`;
+        if (jobStatus?.lastRunAt) statusText += ` • last ${formatTime(jobStatus.lastRunAt)}`;
+
+        return (
+          <div
+            key={schedule.id}
+            className="rounded-lg border border-system-gray-100 bg-system-gray-50 p-4 space-y-3"
+          >
+            <div className="flex items-center gap-3">
+              <Switch
+                checked={schedule.enabled !== false}
+                onChange={(checked) => updateSchedule(schedule.id, { enabled: checked })}
+                aria-label={`Enable ${schedule.name}`}
+              />
+              <Input
+                value={schedule.name || ''}
+                onChange={(e) => updateSchedule(schedule.id, { name: e.target.value })}
+                className="flex-1"
+                aria-label="Job name"
+                placeholder="Job name"
+              />
+              <IconButton
+                type="button"
+                onClick={() => handleRunNow(schedule)}
+                icon={<Play className="w-4 h-4" />}
+                size="sm"
+                variant="ghost"
+                disabled={jobStatus?.running || jobStatus?.queued}
+                aria-label={`Run ${schedule.name} now`}
+                title="Run now (uses the saved settings)"
+              />
+              <IconButton
+                type="button"
+                onClick={() =>
+                  setSchedules((current) => current.filter((s) => s.id !== schedule.id))
+                }
+                icon={<Trash2 className="w-4 h-4" />}
+                size="sm"
+                variant="ghost"
+                aria-label={`Remove ${schedule.name}`}
+              />
+            </div>
+
+            <Input
+              type={redactPaths ? 'password' : 'text'}
+              value={schedule.sourceFolder}
+              readOnly
+              className="w-full"
+              aria-label="Source folder"
+            />
+
+            <div className="grid gap-3 sm:grid-cols-3">
+              <label className="space-y-1">
+                <Text as="span" variant="tiny" className="text-system-gray-500">
+                  Action
+                </Text>
+                <Select
+                  value={schedule.action || SCHEDULE_DEFAULTS.action}
+                  onChange={(e) => updateSchedule(schedule.id, { action: e.target.value })}
+                >
+                  <option value="sweep">Sweep into smart folders</option>
+                  <option value="archive">Archive old files</option>
+                </Select>
+              </label>
+              <label className="space-y-1">
+                <Text as="span" variant="tiny" className="text-system-gray-500">
+                  Repeat
+                </Text>
+                <Select
+                  value={schedule.frequency || SCHEDULE_DEFAULTS.frequency}
+                  onChange={(e) => updateSchedule(schedule.id, { frequency: e.target.value })}
+                >
+                  <option value="daily">Daily</option>
+                  <option value="weekly">Weekly</option>
+                  <option value="monthly">Monthly</option>
+                </Select>
+              </label>
+              <label className="space-y-1">
+                <Text as="span" variant="tiny" className="text-system-gray-500">
+                  Time
+                </Text>
+                <Input
+                  type="time"
+                  value={schedule.time || SCHEDULE_DEFAULTS.time}
+                  onChange={(e) =>
+                    e.target.value && updateSchedule(schedule.id, { time: e.target.value })
+                  }
+                />
+              </label>
+              {schedule.frequency === 'weekly' && (
+                <label className="space-y-1">
+                  <Text as="span" variant="tiny" className="text-system-gray-500">
+                    Day
+                  </Text>
+                  <Select
+                    value={schedule.dayOfWeek ?? SCHEDULE_DEFAULTS.dayOfWeek}
+                    onChange={(e) =>
+                      updateSchedule(schedule.id, { dayOfWeek: Number(e.target.value) })
+                    }
+                  >
+                    {DAY_NAMES.map((day, index) => (
+                      <option key={day} value={index}>
+                        {day}
+                      </option>
+                    ))}
+                  </Select>
+                </label>
+              )}
+              {schedule.frequency === 'monthly' && (
+                <label className="space-y-1">
+                  <Text as="span" variant="tiny" className="text-system-gray-500">
+                    Day of month
+                  </Text>
+                  <Input
+                    type="number"
+                    min={1}
+                    max={31}
+                    value={schedule.dayOfMonth ?? SCHEDULE_DEFAULTS.dayOfMonth}
+                    onChange={(e) =>
+                      updateSchedule(schedule.id, { dayOfMonth: Number(e.target.value) })
+                    }
+                  />
+                </label>
+              )}
+              {isArchive ? (
+                <label className="space-y-1">
+                  <Text as="span" variant="tiny" className="text-system-gray-500">
+                    Older than (days)
+                  </Text>
+                  <Input
+                    type="number"
+                    min={1}
+                    max={SCHEDULE_LIMITS.MAX_OLDER_THAN_DAYS}
+                    value={schedule.olderThanDays ?? SCHEDULE_DEFAULTS.olderThanDays}
+                    onChange={(e) =>
+                      updateSchedule(schedule.id, { olderThanDays: Number(e.target.value) })
+                    }
+                  />
+                </label>
+              ) : (
+                <label className="space-y-1">
+                  <Text as="span" variant="tiny" className="text-system-gray-500">
+                    Min confidence (%)
+                  </Text>
+                  <Input
+                    type="number"
+                    min={0}
+                    max={100}
+                    value={thresholdPercent}
+                    placeholder="Global"
+                    onChange={(e) =>
+                      updateSchedule(schedule.id, {
+                        confidenceThreshold:
+                          e.target.value === '' ? null : Number(e.target.value) / 100
+                      })
+                    }
+                  />
+                </label>
+              )}
+            </div>
+
+            {isArchive && (
+              <div className="flex items-center gap-2">
+                <Input
+                  type={redactPaths ? 'password' : 'text'}
+                  value={schedule.destinationFolder || ''}
+                  readOnly
+                  placeholder="Choose an archive folder"
+                  className="flex-1"
+                  aria-label="Archive folder"
+                />
+                <Button
+                  type="button"
+                  variant="secondary"
+                  size="sm"
+                  leftIcon={<FolderOpen className="w-4 h-4" />}
+                  onClick={async () => {
+                    const folderPath = await pickFolder();
+                    if (folderPath) updateSchedule(schedule.id, { destinationFolder: folderPath });
+                  }}
+                >
+                  Browse
+                </Button>
+              </div>
+            )}
+
+            <div className="flex items-center justify-between">
+              <Text as="span" variant="small" className="text-system-gray-700">
+                Include subfolders
+              </Text>
+              <Switch
+                checked={schedule.includeSubfolders === true}
+                onChange={(checked) => updateSchedule(schedule.id, { includeSubfolders: checked })}
+                aria-label={`Include subfolders of ${schedule.name}`}
+              />
+            </div>
+
+            <Text variant="tiny" className="text-system-gray-500">
+              {jobStatus?.problem || statusText}
+            </Text>
+          </div>
+        );
+      })}
+    </Card>
+  );
+}
+
+OrganizationSchedulesSection.propTypes = {
+  settings: PropTypes.object.isRequired,
+  setSettings: PropTypes.func.isRequired,
+  addNotification: PropTypes.func.isRequired,
+  onViewRuns: PropTypes.func.isRequired
+};
+
+export default OrganizationSchedulesSection;
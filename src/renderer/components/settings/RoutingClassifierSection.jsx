@@ -0,0 +1,113 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { RefreshCw } from 'lucide-react';
+import Button from '../ui/Button';
+import Switch from '../ui/Switch';
+import Card from '../ui/Card';
+import SettingRow from './SettingRow';
+import { Text } from '../ui/Typography';
+
+const formatPercent = (value) =>
+  value === null || value === undefined ? '—' : `${Math.round(value * 100)}%`;
+
+/**
+ * RoutingClassifierSection - Routing learned from the user's own corrections
+ *
+ * Accuracy is counted as feedback arrives: each accepted suggestion or manual
+ * move is first predicted, then learned.
+ */
+function RoutingClassifierSection({ settings, setSettings }) {
+  const [stats, setStats] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const enabled = settings.routingClassifierEnabled !== false;
+
+  const loadStats = useCallback(async () => {
+    setIsLoading(true);
+    const result = await window.electronAPI?.suggestions?.getClassifierStats?.().catch(() => null);
+    setStats(result?.success ? result : null);
+    setIsLoading(false);
+  }, []);
+
+  useEffect(() => {
+    loadStats();
+  }, [loadStats]);
+
+  const folders = (stats?.folders || []).filter((folder) => folder.active);
+
+  return (
+    <Card variant="default" className="space-y-5">
+      <div>
+        <Text variant="tiny" className="font-semibold uppercase tracking-wide text-system-gray-500">
+          Learned routing
+        </Text>
+        <Text variant="small" className="text-system-gray-600">
+          Learns where files go from the suggestions you accept or reject and the files you move
+          into smart folders. Everything stays on this device.
+        </Text>
+      </div>
+
+      <div className="space-y-6">
+        <SettingRow
+          label="Use learned routing"
+          description="When a folder has enough history and the match is clear, files are routed without asking the AI model."
+        >
+          <Switch
+            checked={enabled}
+            onChange={(checked) =>
+              setSettings((prev) => ({ ...prev, routingClassifierEnabled: checked }))
+            }
+          />
+        </SettingRow>
+
+        <div className="space-y-3">
+          <div className="flex items-center justify-between gap-3">
+            <Text variant="small" className="text-system-gray-600">
+              {stats
+                ? `${stats.trainedExamples} examples learned, ${formatPercent(stats.accuracy)} predicted correctly`
+                : 'No routing history yet'}
+            </Text>
+            <Button
+              onClick={loadStats}
+              variant="ghost"
+              size="sm"
+              isLoading={isLoading}
+              leftIcon={<RefreshCw className="w-4 h-4" />}
+            >
+              Refresh
+            </Button>
+          </div>
+
+          {folders.length > 0 && (
+            <table className="w-full text-left text-sm">
+              <thead className="text-system-gray-500">
+                <tr>
+                  <th className="py-1 font-medium">Folder</th>
+                  <th className="py-1 font-medium text-right">Examples</th>
+                  <th className="py-1 font-medium text-right">Accuracy</th>
+                  <th className="py-1 font-medium text-right">Precision</th>
+                </tr>
+              </thead>
+              <tbody className="text-system-gray-700">
+                {folders.map((folder) => (
+                  <tr key={folder.path || folder.name} className="border-t border-system-gray-100">
+                    <td className="py-1 truncate">{folder.name || folder.path}</td>
+                    <td className="py-1 text-right">{folder.examples}</td>
+                    <td className="py-1 text-right">{formatPercent(folder.accuracy)}</td>
+                    <td className="py-1 text-right">{formatPercent(folder.precision)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </Card>
+  );
+}
+
+RoutingClassifierSection.propTypes = {
+  settings: PropTypes.object.isRequired,
+  setSettings: PropTypes.func.isRequired
+};
+
+export default RoutingClassifierSection;
@@ -0,0 +1,87 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import Switch from '../ui/Switch';
+import Button from '../ui/Button';
+import Card from '../ui/Card';
+import SettingRow from './SettingRow';
+import { Text } from '../ui/Typography';
+
+/**
+ * SensitiveDataSection - Detection of personal information in analyzed files
+ * and how flagged files are handled by organization and chat
+ */
+function SensitiveDataSection({ settings, setSettings, onReviewFiles }) {
+  const updateSetting = (key, value) => {
+    setSettings((prev) => ({
+      ...prev,
+      [key]: value
+    }));
+  };
+
+  const detectionEnabled = settings.sensitiveDataDetection !== false;
+
+  return (
+    <Card variant="default" className="space-y-5">
+      <div>
+        <Text variant="tiny" className="font-semibold uppercase tracking-wide text-system-gray-500">
+          Sensitive documents
+        </Text>
+        <Text variant="small" className="text-system-gray-600">
+          Files containing Social Security numbers, card or bank account numbers, passports or
+          medical records are only filed into smart folders marked secure. Without one they are held
+          for review.
+        </Text>
+      </div>
+
+      <div className="space-y-6">
+        <SettingRow
+          label="Detect Sensitive Information"
+          description="Check extracted document text and OCR text for personal information during analysis."
+        >
+          <Switch
+            checked={detectionEnabled}
+            onChange={(checked) => updateSetting('sensitiveDataDetection', checked)}
+          />
+        </SettingRow>
+
+        <SettingRow
+          label="Confirm With AI Model"
+          description="Ask the local text model about uncertain matches, such as numbers without nearby labels."
+        >
+          <Switch
+            checked={settings.sensitiveDataModelConfirmation !== false}
+            disabled={!detectionEnabled}
+            onChange={(checked) => updateSetting('sensitiveDataModelConfirmation', checked)}
+          />
+        </SettingRow>
+
+        <SettingRow
+          label="Include in Chat"
+          description="Let chat quote the contents of sensitive files. When off, they are cited by name only."
+        >
+          <Switch
+            checked={Boolean(settings.allowSensitiveInChat)}
+            onChange={(checked) => updateSetting('allowSensitiveInChat', checked)}
+          />
+        </SettingRow>
+
+        <SettingRow
+          label="Flagged Files"
+          description="Review detected files and clear flags that are wrong."
+        >
+          <Button onClick={onReviewFiles} variant="secondary" size="sm">
+            Review Sensitive Files
+          </Button>
+        </SettingRow>
+      </div>
+    </Card>
+  );
+}
+
+SensitiveDataSection.propTypes = {
+  settings: PropTypes.object.isRequired,
+  setSettings: PropTypes.func.isRequired,
+  onReviewFiles: PropTypes.func.isRequired
+};
+
+export default SensitiveDataSection;
@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import Button from '../ui/Button';
+import Card from '../ui/Card';
+import Select from '../ui/Select';
+import SettingRow from './SettingRow';
+import { Text } from '../ui/Typography';
+
+/**
+ * Vector store section
+ * Chooses between the ChromaDB server and the built-in store, and copies
+ * existing ChromaDB data into the built-in store
+ */
+function VectorStoreSection({ settings, setSettings, addNotification }) {
+  const [isMigrating, setIsMigrating] = useState(false);
+  const backend = settings?.vectorStoreBackend || 'chromadb';
+
+  const handleMigrate = async () => {
+    if (!window?.electronAPI?.chromadb?.migrateToEmbedded) return;
+    setIsMigrating(true);
+    try {
+      const res = await window.electronAPI.chromadb.migrateToEmbedded();
+      if (res?.success) {
+        addNotification(
+          `Copied ${res.totalCopied || 0} embeddings into the built-in store.`,
+          'success'
+        );
+      } else {
+        addNotification(
+          `Copy failed: ${res?.error || 'ChromaDB server not reachable'}. Start ChromaDB and try again.`,
+          'error'
+        );
+      }
+    } catch {
+      addNotification('Copy failed. Make sure the ChromaDB server is running.', 'error');
+    } finally {
+      setIsMigrating(false);
+    }
+  };
+
+  return (
+    <Card variant="default" className="space-y-5">
+      <div>
+        <Text variant="tiny" className="font-semibold uppercase tracking-wide text-system-gray-500">
+          Vector store
+        </Text>
+        <Text variant="small" className="text-system-gray-600">
+          Where embeddings for semantic search are kept. The built-in store runs inside the app and
+          does not need Python or a ChromaDB server.
+        </Text>
+      </div>
+
+      <SettingRow
+        layout="col"
+        label="Storage backend"
+        description="Takes effect after restarting the app."
+      >
+        <Select
+          value={backend}
+          onChange={(e) => setSettings((prev) => ({ ...prev, vectorStoreBackend: e.target.value }))}
+        >
+          <option value="chromadb">ChromaDB server</option>
+          <option value="embedded">Built-in (no Python)</option>
+        </Select>
+      </SettingRow>
+
+      <SettingRow
+        layout="col"
+        label="Copy existing data"
+        description="Copies embeddings from the ChromaDB server into the built-in store so you do not have to rebuild. The server must be running; its data is left untouched."
+      >
+        <Button
+          onClick={handleMigrate}
+          variant="secondary"
+          size="sm"
+          type="button"
+          disabled={isMigrating}
+          isLoading={isMigrating}
+          className="shrink-0 w-full sm:w-auto"
+        >
+          {isMigrating ? 'Copying...' : 'Copy ChromaDB data'}
+        </Button>
+      </SettingRow>
+    </Card>
+  );
+}
+
+VectorStoreSection.propTypes = {
+  settings: PropTypes.object,
+  setSettings: PropTypes.func.isRequired,
+  addNotification: PropTypes.func.isRequired
+};
+
+export default VectorStoreSection;
@@ -0,0 +1,73 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import Card from '../ui/Card';
+import Input from '../ui/Input';
+import Select from '../ui/Select';
+import SettingRow from './SettingRow';
+import { Text } from '../ui/Typography';
+
+/**
+ * Video analysis section
+ * Locates ffmpeg and sets how many keyframes go through the vision model
+ */
+function VideoAnalysisSection({ settings, setSettings }) {
+  const keyframeCount = Number.isInteger(settings?.videoKeyframeCount)
+    ? settings.videoKeyframeCount
+    : 4;
+
+  return (
+    <Card variant="default" className="space-y-5">
+      <div>
+        <Text variant="tiny" className="font-semibold uppercase tracking-wide text-system-gray-500">
+          Video analysis
+        </Text>
+        <Text variant="small" className="text-system-gray-600">
+          Duration, resolution, recording date and location are read from every video. With ffmpeg
+          installed, keyframes are also described by the vision model and subtitles or speech are
+          used to categorize the video.
+        </Text>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <SettingRow
+          layout="col"
+          label="ffmpeg executable"
+          description="Full path to ffmpeg, or leave empty to use the one on your PATH."
+        >
+          <Input
+            type="text"
+            value={settings?.ffmpegPath ?? ''}
+            onChange={(e) => setSettings((prev) => ({ ...prev, ffmpegPath: e.target.value }))}
+            placeholder="ffmpeg"
+            className="w-full"
+          />
+        </SettingRow>
+        <SettingRow
+          layout="col"
+          label="Keyframes per video"
+          description="More frames describe long videos better but take longer to analyze."
+        >
+          <Select
+            value={String(keyframeCount)}
+            onChange={(e) =>
+              setSettings((prev) => ({ ...prev, videoKeyframeCount: Number(e.target.value) }))
+            }
+          >
+            <option value="0">None (metadata and speech only)</option>
+            <option value="2">2</option>
+            <option value="4">4</option>
+            <option value="6">6</option>
+            <option value="8">8</option>
+          </Select>
+        </SettingRow>
+      </div>
+    </Card>
+  );
+}
+
+VideoAnalysisSection.propTypes = {
+  settings: PropTypes.object,
+  setSettings: PropTypes.func.isRequired
+};
+
+export default VideoAnalysisSection;
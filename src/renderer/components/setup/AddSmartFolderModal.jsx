@@ -2,7 +2,7 @@ import React, { useState, useCallback, useEffect, useRef } from 'react';
 import PropTypes from 'prop-types';
 import { useSelector } from 'react-redux';
 import { Sparkles, FolderOpen } from 'lucide-react';
-import { Button, Input, Textarea } from '../ui';
+import { Button, Input, Select, Switch, Textarea } from '../ui';
 import { Text } from '../ui/Typography';
 import Modal from '../ui/Modal';
 import { Inline, Stack } from '../layout';
@@ -10,6 +10,15 @@ import { createLogger } from '../../../shared/logger';
 import { filesIpc, smartFoldersIpc } from '../../services/ipc';
 import { selectRedactPaths } from '../../store/selectors';
 import { mapErrorToNotification } from '../../utils/errorMapping';
+import {
+  orderFoldersByHierarchy,
+  validateSubfolderTemplate
+} from '../../../shared/smartFolderHierarchy';
+import {
+  ORGANIZE_MODES,
+  ORGANIZE_MODE_LABELS,
+  DEFAULT_ORGANIZE_MODE
+} from '../../../shared/organizeModes';
 
 const logger = createLogger('AddSmartFolderModal');
 const getPathSeparator = (path) => (path && path.includes('\\') ? '\\' : '/');
@@ -27,6 +36,10 @@ function AddSmartFolderModal({
   const [folderName, setFolderName] = useState('');
   const [folderPath, setFolderPath] = useState('');
   const [description, setDescription] = useState('');
+  const [parentId, setParentId] = useState('');
+  const [subfolderTemplate, setSubfolderTemplate] = useState('');
+  const [secure, setSecure] = useState(false);
+  const [organizeMode, setOrganizeMode] = useState(DEFAULT_ORGANIZE_MODE);
   const [isAdding, setIsAdding] = useState(false);
   const [isGeneratingDescription, setIsGeneratingDescription] = useState(false);
   const isMountedRef = useRef(true);
@@ -42,6 +55,10 @@ function AddSmartFolderModal({
     setFolderName('');
     setFolderPath('');
     setDescription('');
+    setParentId('');
+    setSubfolderTemplate('');
+    setSecure(false);
+    setOrganizeMode(DEFAULT_ORGANIZE_MODE);
     setIsGeneratingDescription(false);
   }, []);
 
@@ -83,6 +100,9 @@ function AddSmartFolderModal({
     }
   };
 
+  const parentFolder = existingFolders.find((f) => f.id === parentId) || null;
+  const pathBase = parentFolder?.path || defaultLocation;
+
   const handleClose = useCallback(() => {
     resetForm();
     onClose();
@@ -129,10 +149,20 @@ function AddSmartFolderModal({
       return;
     }
 
+    const templateError = validateSubfolderTemplate(subfolderTemplate.trim());
+    if (templateError) {
+      showNotification?.(templateError, 'error');
+      return;
+    }
+
     const isAbsolutePath = (p) =>
       /^[A-Za-z]:[\\/]/.test(p) || p.startsWith('/') || /^[\\/]{2}[^\\/]/.test(p);
 
     let targetPath = folderPath.trim();
+    // Subfolders default to a directory inside their parent
+    if (!targetPath && parentFolder?.path) {
+      targetPath = `${parentFolder.path}${getPathSeparator(parentFolder.path)}${folderName.trim()}`;
+    }
     if (!targetPath) {
       if (!defaultLocation || typeof defaultLocation !== 'string') {
         showNotification?.(
@@ -192,7 +222,11 @@ function AddSmartFolderModal({
         name: folderName.trim(),
         path: targetPath,
         description: description.trim() || `Smart folder for ${folderName.trim()}`,
-        isDefault: false
+        isDefault: false,
+        parentId: parentFolder?.id || null,
+        subfolderTemplate: subfolderTemplate.trim(),
+        secure,
+        organizeMode
       };
 
       const success = await onAdd(newFolder);
@@ -266,8 +300,8 @@ function AddSmartFolderModal({
               onChange={(e) => setFolderPath(e.target.value)}
               placeholder={
                 redactPaths
-                  ? `…${getPathSeparator(defaultLocation)}${folderName || 'FolderName'}`
-                  : `${defaultLocation}${getPathSeparator(defaultLocation)}${folderName || 'FolderName'}`
+                  ? `…${getPathSeparator(pathBase)}${folderName || 'FolderName'}`
+                  : `${pathBase}${getPathSeparator(pathBase)}${folderName || 'FolderName'}`
               }
               className="flex-1"
             />
@@ -285,6 +319,69 @@ function AddSmartFolderModal({
           </div>
         </div>
 
+        {existingFolders.length > 0 && (
+          <Select
+            label="Inside Smart Folder"
+            value={parentId}
+            onChange={(e) => setParentId(e.target.value)}
+            className="w-full"
+          >
+            <option value="">None (top level)</option>
+            {orderFoldersByHierarchy(existingFolders).map(({ folder, depth }) => (
+              <option key={folder.id} value={folder.id}>
+                {`${'\u00a0\u00a0'.repeat(depth)}${folder.name}`}
+              </option>
+            ))}
+          </Select>
+        )}
+
+        <div className="flex flex-col gap-1.5">
+          <Input
+            label="Subfolder Template"
+            type="text"
+            value={subfolderTemplate}
+            onChange={(e) => setSubfolderTemplate(e.target.value)}
+            placeholder="{entity}/{date:YYYY}/{type}"
+            className="w-full font-mono"
+          />
+          <Text variant="tiny" className="text-system-gray-500">
+            Optional. Files routed here go into subfolders built from their analysis, for example
+            Acme Corp/2024/Invoice. Fields: {'{entity} {project} {type} {category} {date:YYYY}'}
+          </Text>
+        </div>
+
+        <div className="flex items-start justify-between gap-4">
+          <div className="flex flex-col gap-0.5">
+            <Text as="span" variant="small" className="font-medium text-system-gray-700">
+              Secure folder
+            </Text>
+            <Text variant="tiny" className="text-system-gray-500">
+              Documents with SSNs, card or bank numbers, passports or medical records are only filed
+              into secure folders.
+            </Text>
+          </div>
+          <Switch checked={secure} onChange={setSecure} aria-label="Secure folder" />
+        </div>
+
+        <div className="flex flex-col gap-1.5">
+          <Select
+            label="Organize Mode"
+            value={organizeMode}
+            onChange={(e) => setOrganizeMode(e.target.value)}
+            className="w-full"
+          >
+            {ORGANIZE_MODES.map((mode) => (
+              <option key={mode} value={mode}>
+                {ORGANIZE_MODE_LABELS[mode]}
+              </option>
+            ))}
+          </Select>
+          <Text variant="tiny" className="text-system-gray-500">
+            Links leave files where they are, for folders owned by sync clients or camera imports. A
+            linked file can later be moved here for real.
+          </Text>
+        </div>
+
         <div className="relative">
           <div className="flex items-center justify-between mb-1.5">
             <Text as="label" variant="small" className="block font-medium text-system-gray-700">
@@ -1,4 +1,4 @@
-import React, { useEffect, useState, memo } from 'react';
+import React, { useEffect, useState, useCallback, memo } from 'react';
 import { useSelector } from 'react-redux';
 import {
   Folder,
@@ -8,17 +8,31 @@ import {
   ChevronDown,
   ChevronUp,
   FolderPlus,
-  Sparkles
+  Sparkles,
+  ListChecks,
+  FolderTree,
+  Lock,
+  Link2
 } from 'lucide-react';
 import Button from '../ui/Button';
 import IconButton from '../ui/IconButton';
 import Input from '../ui/Input';
+import Select from '../ui/Select';
+import Switch from '../ui/Switch';
 import Textarea from '../ui/Textarea';
 import Card from '../ui/Card';
 import StatusBadge from '../ui/StatusBadge';
+import SmartFolderRulesEditor from './SmartFolderRulesEditor';
 import { Heading, Text, Caption } from '../ui/Typography';
 import { formatDisplayPath } from '../../utils/pathDisplay';
 import { selectRedactPaths } from '../../store/selectors';
+import {
+  ORGANIZE_MODES,
+  ORGANIZE_MODE_LABELS,
+  isLinkOrganizeMode
+} from '../../../shared/organizeModes';
+
+const virtualLinksApi = () => window.electronAPI?.virtualLinks;
 
 const SmartFolderItem = memo(function SmartFolderItem({
   folder,
@@ -36,7 +50,9 @@ const SmartFolderItem = memo(function SmartFolderItem({
   addNotification,
   compact = false,
   isExpanded = true,
-  onToggleExpand
+  onToggleExpand,
+  parentName = '',
+  parentOptions = []
 }) {
   const isEditing = editingFolder?.id === folder.id;
   const [hasMounted, setHasMounted] = useState(false);
@@ -48,6 +64,49 @@ const SmartFolderItem = memo(function SmartFolderItem({
     setHasMounted(true);
   }, []);
 
+  // Link-based folders list their links so they can be turned into real moves
+  const usesLinks = isLinkOrganizeMode(folder.organizeMode);
+  const showsDetails = isExpanded && !isEditing;
+  const [linkPaths, setLinkPaths] = useState([]);
+  const [isMaterializing, setIsMaterializing] = useState(false);
+
+  const loadLinks = useCallback(async () => {
+    try {
+      const result = await virtualLinksApi()?.list?.(folder.path);
+      setLinkPaths(result?.success ? result.links.map((link) => link.linkPath) : []);
+    } catch {
+      setLinkPaths([]);
+    }
+  }, [folder.path]);
+
+  useEffect(() => {
+    if (usesLinks && showsDetails && folder.path) loadLinks();
+  }, [usesLinks, showsDetails, folder.path, loadLinks]);
+
+  const handleMaterialize = async () => {
+    if (linkPaths.length === 0) return;
+    setIsMaterializing(true);
+    try {
+      const result = await virtualLinksApi()?.materialize?.(linkPaths);
+      if (result?.successCount > 0) {
+        addNotification?.(
+          `Moved ${result.successCount} ${result.successCount === 1 ? 'file' : 'files'} into ${folder.name}`,
+          result.failCount > 0 ? 'warning' : 'success'
+        );
+      } else {
+        addNotification?.(
+          `Could not move linked files: ${result?.results?.[0]?.error || result?.error || 'Unknown error'}`,
+          'error'
+        );
+      }
+    } catch (err) {
+      addNotification?.(`Could not move linked files: ${err.message}`, 'error');
+    } finally {
+      setIsMaterializing(false);
+      loadLinks();
+    }
+  };
+
   const shouldAnimateEntrance = !hasMounted;
   const cardAnimationClass = shouldAnimateEntrance ? 'animate-slide-in-right' : '';
   const cardAnimationDelay = shouldAnimateEntrance ? `${index * 0.05}s` : undefined;
@@ -72,10 +131,20 @@ const SmartFolderItem = memo(function SmartFolderItem({
           <Folder className="w-5 h-5" />
         </div>
         <div className="flex-1 min-w-0">
-          <Text variant="body" className="font-medium truncate">
+          <Text variant="body" className="font-medium truncate flex items-center gap-1.5">
             {folder.name}
+            {folder.secure && (
+              <Lock className="w-3.5 h-3.5 text-stratosort-blue shrink-0" aria-label="Secure" />
+            )}
+            {usesLinks && (
+              <Link2
+                className="w-3.5 h-3.5 text-stratosort-blue shrink-0"
+                aria-label={ORGANIZE_MODE_LABELS[folder.organizeMode]}
+              />
+            )}
           </Text>
           <Text variant="tiny" className="truncate">
+            {parentName ? `${parentName} › ` : ''}
             {displayPath}
           </Text>
         </div>
@@ -185,6 +254,88 @@ const SmartFolderItem = memo(function SmartFolderItem({
           />
         </div>
 
+        <div className="flex flex-col md:flex-row gap-4">
+          <Select
+            value={editingFolder.parentId || ''}
+            onChange={(e) =>
+              setEditingFolder((prev) => ({
+                ...(prev || folder),
+                parentId: e.target.value || null
+              }))
+            }
+            className="flex-1"
+            aria-label="Parent smart folder"
+          >
+            <option value="">Top level</option>
+            {parentOptions.map(({ folder: option, depth: optionDepth }) => (
+              <option key={option.id} value={option.id}>
+                {`${'\u00a0\u00a0'.repeat(optionDepth)}${option.name}`}
+              </option>
+            ))}
+          </Select>
+          <Input
+            value={editingFolder.subfolderTemplate || ''}
+            onChange={(e) =>
+              setEditingFolder((prev) => ({
+                ...(prev || folder),
+                subfolderTemplate: e.target.value
+              }))
+            }
+            className="flex-1 font-mono"
+            placeholder="Subfolder template, e.g. {entity}/{date:YYYY}/{type}"
+            aria-label="Subfolder template"
+          />
+        </div>
+
+        <div className="flex items-center justify-between gap-4">
+          <Text variant="small" className="text-system-gray-700">
+            Secure folder: the only place documents with sensitive personal information are filed
+          </Text>
+          <Switch
+            checked={editingFolder.secure === true}
+            onChange={(checked) =>
+              setEditingFolder((prev) => ({
+                ...(prev || folder),
+                secure: checked
+              }))
+            }
+            aria-label="Secure folder"
+          />
+        </div>
+
+        <div className="flex items-center justify-between gap-4">
+          <Text variant="small" className="text-system-gray-700">
+            Organize mode: links leave the original files where they are
+          </Text>
+          <Select
+            value={editingFolder.organizeMode || 'move'}
+            onChange={(e) =>
+              setEditingFolder((prev) => ({
+                ...(prev || folder),
+                organizeMode: e.target.value
+              }))
+            }
+            className="w-44 shrink-0"
+            aria-label="Organize mode"
+          >
+            {ORGANIZE_MODES.map((mode) => (
+              <option key={mode} value={mode}>
+                {ORGANIZE_MODE_LABELS[mode]}
+              </option>
+            ))}
+          </Select>
+        </div>
+
+        <SmartFolderRulesEditor
+          rules={editingFolder.rules || []}
+          onChange={(rules) =>
+            setEditingFolder((prev) => ({
+              ...(prev || folder),
+              rules
+            }))
+          }
+        />
+
         <div className="flex justify-end gap-2">
           <Button onClick={onCancelEdit} disabled={isSavingEdit} variant="secondary" size="sm">
             Cancel
@@ -224,8 +375,21 @@ const SmartFolderItem = memo(function SmartFolderItem({
               <Heading as="h3" variant="h6" className="truncate">
                 {folder.name}
               </Heading>
+              {folder.secure && (
+                <StatusBadge variant="info" size="sm" className="shrink-0 gap-1">
+                  <Lock className="w-3 h-3" />
+                  <span>Secure</span>
+                </StatusBadge>
+              )}
+              {usesLinks && (
+                <StatusBadge variant="info" size="sm" className="shrink-0 gap-1">
+                  <Link2 className="w-3 h-3" />
+                  <span>Links</span>
+                </StatusBadge>
+              )}
             </div>
             <Text variant="tiny" className="truncate" title={displayPath}>
+              {parentName ? `${parentName} › ` : ''}
               {displayPath}
             </Text>
           </div>
@@ -254,6 +418,48 @@ const SmartFolderItem = memo(function SmartFolderItem({
         </div>
       )}
 
+      {folder.subfolderTemplate && (
+        <div className="flex items-center gap-2 text-system-gray-600 min-w-0">
+          <FolderTree className="w-3.5 h-3.5 text-stratosort-blue shrink-0" />
+          <Text variant="tiny" className="font-mono truncate" title="Subfolder template">
+            {folder.subfolderTemplate}
+          </Text>
+        </div>
+      )}
+
+      {Array.isArray(folder.rules) && folder.rules.length > 0 && (
+        <div className="flex items-center gap-2 text-system-gray-600">
+          <ListChecks className="w-3.5 h-3.5 text-stratosort-blue" />
+          <Text variant="tiny">
+            {folder.rules.filter((rule) => rule.enabled !== false).length} of {folder.rules.length}{' '}
+            {folder.rules.length === 1 ? 'rule' : 'rules'} active
+          </Text>
+        </div>
+      )}
+
+      {usesLinks && (
+        <div className="flex items-center justify-between gap-2 text-system-gray-600">
+          <div className="flex items-center gap-2 min-w-0">
+            <Link2 className="w-3.5 h-3.5 text-stratosort-blue shrink-0" />
+            <Text variant="tiny" className="truncate">
+              {ORGANIZE_MODE_LABELS[folder.organizeMode]}: {linkPaths.length} linked{' '}
+              {linkPaths.length === 1 ? 'file' : 'files'}
+            </Text>
+          </div>
+          {linkPaths.length > 0 && (
+            <Button
+              onClick={handleMaterialize}
+              disabled={isMaterializing}
+              variant="secondary"
+              size="sm"
+              title="Move the original files into this folder, replacing their links"
+            >
+              {isMaterializing ? 'Moving...' : 'Move originals here'}
+            </Button>
+          )}
+        </div>
+      )}
+
       <div className="flex items-center justify-between border-t border-border-soft/50 mt-auto pt-3">
         <div className="flex items-center gap-1">
           {!folder.physicallyExists && (
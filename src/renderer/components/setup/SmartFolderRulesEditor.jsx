@@ -0,0 +1,458 @@
+import React, { useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { Plus, Trash2, ChevronUp, ChevronDown, ListChecks } from 'lucide-react';
+import Button from '../ui/Button';
+import IconButton from '../ui/IconButton';
+import Input from '../ui/Input';
+import Select from '../ui/Select';
+import Switch from '../ui/Switch';
+import { Text, Caption } from '../ui/Typography';
+import {
+  RULE_CONDITION_TYPES,
+  RULE_ANALYSIS_FIELDS,
+  RULE_ANALYSIS_OPERATORS,
+  RULE_NOTE_OPERATORS,
+  RULE_DATE_FIELDS,
+  RULE_LIMITS
+} from '../../../shared/smartFolderRules';
+
+const MB = 1024 * 1024;
+
+const CONDITION_LABELS = {
+  [RULE_CONDITION_TYPES.EXTENSION]: 'Extension',
+  [RULE_CONDITION_TYPES.FILENAME]: 'Filename',
+  [RULE_CONDITION_TYPES.SIZE]: 'Size',
+  [RULE_CONDITION_TYPES.DATE]: 'Date',
+  [RULE_CONDITION_TYPES.SOURCE_FOLDER]: 'Source folder',
+  [RULE_CONDITION_TYPES.ANALYSIS]: 'Analysis field',
+  [RULE_CONDITION_TYPES.USER_TAG]: 'Your tags',
+  [RULE_CONDITION_TYPES.USER_NOTE]: 'Your note'
+};
+
+const CONDITION_DEFAULTS = {
+  [RULE_CONDITION_TYPES.EXTENSION]: { values: '' },
+  [RULE_CONDITION_TYPES.FILENAME]: { pattern: '', syntax: 'glob' },
+  [RULE_CONDITION_TYPES.SIZE]: { minBytes: null, maxBytes: null },
+  [RULE_CONDITION_TYPES.DATE]: { field: 'modified', olderThanDays: null, newerThanDays: null },
+  [RULE_CONDITION_TYPES.SOURCE_FOLDER]: { folder: '', includeSubfolders: true },
+  [RULE_CONDITION_TYPES.ANALYSIS]: { field: 'entity', operator: 'contains', value: '' },
+  [RULE_CONDITION_TYPES.USER_TAG]: { values: '' },
+  [RULE_CONDITION_TYPES.USER_NOTE]: { operator: 'contains', value: '' }
+};
+
+function createCondition(type = RULE_CONDITION_TYPES.EXTENSION) {
+  return { type, negate: false, ...CONDITION_DEFAULTS[type] };
+}
+
+function createRule(index) {
+  return {
+    id: `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    name: `Rule ${index + 1}`,
+    enabled: true,
+    match: 'all',
+    conditions: [createCondition()]
+  };
+}
+
+const toMbInput = (bytes) =>
+  Number.isFinite(bytes) ? String(Math.round((bytes / MB) * 100) / 100) : '';
+const fromMbInput = (value) => (value === '' ? null : Math.max(0, Number(value) * MB));
+const toNumberOrNull = (value) => (value === '' ? null : Math.max(0, Number(value)));
+
+function ConditionFields({ condition, onChange }) {
+  const set = (patch) => onChange({ ...condition, ...patch });
+
+  switch (condition.type) {
+    case RULE_CONDITION_TYPES.EXTENSION:
+      return (
+        <Input
+          value={
+            Array.isArray(condition.values) ? condition.values.join(', ') : condition.values || ''
+          }
+          onChange={(e) => set({ values: e.target.value })}
+          placeholder="pdf, docx, txt"
+          aria-label="Extensions"
+          className="flex-1"
+        />
+      );
+    case RULE_CONDITION_TYPES.FILENAME:
+      return (
+        <>
+          <Input
+            value={condition.pattern || ''}
+            onChange={(e) => set({ pattern: e.target.value })}
+            placeholder={condition.syntax === 'regex' ? '^invoice-\\d+' : 'invoice-*'}
+            maxLength={RULE_LIMITS.MAX_PATTERN_LENGTH}
+            aria-label="Filename pattern"
+            className="flex-1"
+          />
+          <Select
+            value={condition.syntax || 'glob'}
+            onChange={(e) => set({ syntax: e.target.value })}
+            aria-label="Pattern syntax"
+            className="w-28"
+          >
+            <option value="glob">Glob</option>
+            <option value="regex">Regex</option>
+          </Select>
+        </>
+      );
+    case RULE_CONDITION_TYPES.SIZE:
+      return (
+        <>
+          <Input
+            type="number"
+            min="0"
+            step="0.1"
+            value={toMbInput(condition.minBytes)}
+            onChange={(e) => set({ minBytes: fromMbInput(e.target.value) })}
+            placeholder="Min MB"
+            aria-label="Minimum size in MB"
+            className="w-28"
+          />
+          <Input
+            type="number"
+            min="0"
+            step="0.1"
+            value={toMbInput(condition.maxBytes)}
+            onChange={(e) => set({ maxBytes: fromMbInput(e.target.value) })}
+            placeholder="Max MB"
+            aria-label="Maximum size in MB"
+            className="w-28"
+          />
+        </>
+      );
+    case RULE_CONDITION_TYPES.DATE:
+      return (
+        <>
+          <Select
+            value={condition.field || 'modified'}
+            onChange={(e) => set({ field: e.target.value })}
+            aria-label="Date field"
+            className="w-32"
+          >
+            {RULE_DATE_FIELDS.map((field) => (
+              <option key={field} value={field}>
+                {field}
+              </option>
+            ))}
+          </Select>
+          <Input
+            type="number"
+            min="0"
+            value={condition.olderThanDays ?? ''}
+            onChange={(e) => set({ olderThanDays: toNumberOrNull(e.target.value) })}
+            placeholder="Older than (days)"
+            aria-label="Older than days"
+            className="w-36"
+          />
+          <Input
+            type="number"
+            min="0"
+            value={condition.newerThanDays ?? ''}
+            onChange={(e) => set({ newerThanDays: toNumberOrNull(e.target.value) })}
+            placeholder="Newer than (days)"
+            aria-label="Newer than days"
+            className="w-36"
+          />
+        </>
+      );
+    case RULE_CONDITION_TYPES.SOURCE_FOLDER:
+      return (
+        <>
+          <Input
+            value={condition.folder || ''}
+            onChange={(e) => set({ folder: e.target.value })}
+            placeholder="/path/to/source"
+            aria-label="Source folder"
+            className="flex-1"
+          />
+          <label className="flex items-center gap-2">
+            <Switch
+              checked={condition.includeSubfolders !== false}
+              onChange={(checked) => set({ includeSubfolders: checked })}
+            />
+            <Text as="span" variant="tiny">
+              Subfolders
+            </Text>
+          </label>
+        </>
+      );
+    case RULE_CONDITION_TYPES.ANALYSIS:
+      return (
+        <>
+          <Select
+            value={condition.field || 'entity'}
+            onChange={(e) => set({ field: e.target.value })}
+            aria-label="Analysis field"
+            className="w-36"
+          >
+            {RULE_ANALYSIS_FIELDS.map((field) => (
+              <option key={field} value={field}>
+                {field}
+              </option>
+            ))}
+          </Select>
+          <Select
+            value={condition.operator || 'contains'}
+            onChange={(e) => set({ operator: e.target.value })}
+            aria-label="Operator"
+            className="w-32"
+          >
+            {RULE_ANALYSIS_OPERATORS.map((operator) => (
+              <option key={operator} value={operator}>
+                {operator}
+              </option>
+            ))}
+          </Select>
+          {condition.operator !== 'exists' && (
+            <Input
+              value={condition.value || ''}
+              onChange={(e) => set({ value: e.target.value })}
+              placeholder="Value"
+              aria-label="Analysis value"
+              className="flex-1"
+            />
+          )}
+        </>
+      );
+    case RULE_CONDITION_TYPES.USER_TAG:
+      return (
+        <Input
+          value={
+            Array.isArray(condition.values) ? condition.values.join(', ') : condition.values || ''
+          }
+          onChange={(e) => set({ values: e.target.value })}
+          placeholder="taxes, receipts (any of)"
+          aria-label="User tags"
+          className="flex-1"
+        />
+      );
+    case RULE_CONDITION_TYPES.USER_NOTE:
+      return (
+        <>
+          <Select
+            value={condition.operator || 'contains'}
+            onChange={(e) => set({ operator: e.target.value })}
+            aria-label="Operator"
+            className="w-32"
+          >
+            {RULE_NOTE_OPERATORS.map((operator) => (
+              <option key={operator} value={operator}>
+                {operator}
+              </option>
+            ))}
+          </Select>
+          {condition.operator !== 'exists' && (
+            <Input
+              value={condition.value || ''}
+              onChange={(e) => set({ value: e.target.value })}
+              placeholder="Text in note"
+              aria-label="Note value"
+              className="flex-1"
+            />
+          )}
+        </>
+      );
+    default:
+      return null;
+  }
+}
+
+ConditionFields.propTypes = {
+  condition: PropTypes.object.isRequired,
+  onChange: PropTypes.func.isRequired
+};
+
+/**
+ * SmartFolderRulesEditor - Edit the ordered, deterministic routing rules of a smart folder.
+ * Rules are evaluated top to bottom and the first match wins; incomplete conditions are
+ * dropped when the folder is saved.
+ */
+function SmartFolderRulesEditor({ rules = [], onChange }) {
+  const updateRule = useCallback(
+    (index, patch) =>
+      onChange(rules.map((rule, i) => (i === index ? { ...rule, ...patch } : rule))),
+    [rules, onChange]
+  );
+
+  const moveRule = useCallback(
+    (index, delta) => {
+      const target = index + delta;
+      if (target < 0 || target >= rules.length) return;
+      const next = [...rules];
+      [next[index], next[target]] = [next[target], next[index]];
+      onChange(next);
+    },
+    [rules, onChange]
+  );
+
+  const updateCondition = (ruleIndex, conditionIndex, condition) =>
+    updateRule(ruleIndex, {
+      conditions: rules[ruleIndex].conditions.map((c, i) => (i === conditionIndex ? condition : c))
+    });
+
+  return (
+    <div className="flex flex-col gap-3">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <ListChecks className="w-4 h-4 text-stratosort-blue" />
+          <Caption className="text-stratosort-blue">Rules</Caption>
+        </div>
+        <Button
+          type="button"
+          variant="ghost"
+          size="sm"
+          onClick={() => onChange([...rules, createRule(rules.length)])}
+          disabled={rules.length >= RULE_LIMITS.MAX_RULES_PER_FOLDER}
+          leftIcon={<Plus className="w-4 h-4" />}
+        >
+          Add rule
+        </Button>
+      </div>
+
+      {rules.length === 0 && (
+        <Text variant="tiny" className="text-system-gray-500">
+          No rules. Files are routed here by AI matching only.
+        </Text>
+      )}
+
+      {rules.map((rule, ruleIndex) => (
+        <div
+          key={rule.id || ruleIndex}
+          className="rounded-lg border border-system-gray-100 bg-system-gray-50 p-3 flex flex-col gap-2"
+        >
+          <div className="flex items-center gap-2">
+            <Switch
+              checked={rule.enabled !== false}
+              onChange={(checked) => updateRule(ruleIndex, { enabled: checked })}
+              aria-label="Rule enabled"
+            />
+            <Input
+              value={rule.name || ''}
+              onChange={(e) => updateRule(ruleIndex, { name: e.target.value })}
+              maxLength={RULE_LIMITS.MAX_NAME_LENGTH}
+              placeholder="Rule name"
+              aria-label="Rule name"
+              className="flex-1"
+            />
+            <Select
+              value={rule.match || 'all'}
+              onChange={(e) => updateRule(ruleIndex, { match: e.target.value })}
+              aria-label="Condition matching"
+              className="w-32"
+            >
+              <option value="all">Match all</option>
+              <option value="any">Match any</option>
+            </Select>
+            <IconButton
+              type="button"
+              onClick={() => moveRule(ruleIndex, -1)}
+              disabled={ruleIndex === 0}
+              icon={<ChevronUp className="w-4 h-4" />}
+              size="sm"
+              variant="ghost"
+              aria-label="Move rule up"
+            />
+            <IconButton
+              type="button"
+              onClick={() => moveRule(ruleIndex, 1)}
+              disabled={ruleIndex === rules.length - 1}
+              icon={<ChevronDown className="w-4 h-4" />}
+              size="sm"
+              variant="ghost"
+              aria-label="Move rule down"
+            />
+            <IconButton
+              type="button"
+              onClick={() => onChange(rules.filter((_, i) => i !== ruleIndex))}
+              icon={<Trash2 className="w-4 h-4" />}
+              size="sm"
+              variant="ghost"
+              className="text-stratosort-danger hover:bg-stratosort-danger/10"
+              aria-label="Remove rule"
+            />
+          </div>
+
+          {(rule.conditions || []).map((condition, conditionIndex) => (
+            <div key={conditionIndex} className="flex flex-wrap items-center gap-2 pl-2">
+              <Select
+                value={condition.type}
+                onChange={(e) =>
+                  updateCondition(ruleIndex, conditionIndex, {
+                    ...createCondition(e.target.value),
+                    negate: condition.negate
+                  })
+                }
+                aria-label="Condition type"
+                className="w-36"
+              >
+                {Object.values(RULE_CONDITION_TYPES).map((type) => (
+                  <option key={type} value={type}>
+                    {CONDITION_LABELS[type]}
+                  </option>
+                ))}
+              </Select>
+              <label className="flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  checked={condition.negate === true}
+                  onChange={(e) =>
+                    updateCondition(ruleIndex, conditionIndex, {
+                      ...condition,
+                      negate: e.target.checked
+                    })
+                  }
+                />
+                <Text as="span" variant="tiny">
+                  Not
+                </Text>
+              </label>
+              <ConditionFields
+                condition={condition}
+                onChange={(next) => updateCondition(ruleIndex, conditionIndex, next)}
+              />
+              <IconButton
+                type="button"
+                onClick={() =>
+                  updateRule(ruleIndex, {
+                    conditions: rule.conditions.filter((_, i) => i !== conditionIndex)
+                  })
+                }
+                icon={<Trash2 className="w-3.5 h-3.5" />}
+                size="sm"
+                variant="ghost"
+                className="text-system-gray-400 hover:text-stratosort-danger"
+                aria-label="Remove condition"
+              />
+            </div>
+          ))}
+
+          <div className="pl-2">
+            <Button
+              type="button"
+              variant="ghost"
+              size="sm"
+              onClick={() =>
+                updateRule(ruleIndex, {
+                  conditions: [...(rule.conditions || []), createCondition()]
+                })
+              }
+              disabled={(rule.conditions || []).length >= RULE_LIMITS.MAX_CONDITIONS_PER_RULE}
+              leftIcon={<Plus className="w-3.5 h-3.5" />}
+            >
+              Add condition
+            </Button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+SmartFolderRulesEditor.propTypes = {
+  rules: PropTypes.arrayOf(PropTypes.object),
+  onChange: PropTypes.func.isRequired
+};
+
+export default SmartFolderRulesEditor;
@@ -20,6 +20,7 @@ import {
   StatusOverview,
   TargetFolderList,
   BulkOperations,
+  BulkRenameModal,
   OrganizeProgress,
   VirtualizedFileGrid,
   VirtualizedProcessedFiles
@@ -27,6 +28,7 @@ import {
 import { UndoRedoToolbar, useUndoRedo } from '../components/UndoRedoSystem';
 import Modal from '../components/ui/Modal';
 import AnalysisDetails from '../components/AnalysisDetails';
+import FilePreviewPanel from '../components/FilePreviewPanel';
 import { useOrganizeState, useLoadInitialData } from './organize/useOrganizeState';
 import { useSmartFolderMatcher } from './organize/useSmartFolderMatcher';
 import {
@@ -37,6 +39,7 @@ import {
   useProcessedFiles
 } from './organize/useFileEditing';
 import { useOrganization } from './organize/useOrganization';
+import { useBulkRename } from './organize/useBulkRename';
 import { setFileStates as setFileStatesAction } from '../store/slices/filesSlice';
 import { updateAnalysisResult } from '../store/slices/analysisSlice';
 import { formatDisplayPath } from '../utils/pathDisplay';
@@ -46,6 +49,7 @@ function OrganizePhase() {
   const { addNotification } = useNotification();
   const { executeAction } = useUndoRedo();
   const [viewingFileDetails, setViewingFileDetails] = React.useState(null);
+  const [previewingFile, setPreviewingFile] = React.useState(null);
   const redactPaths = useAppSelector((state) => Boolean(state?.system?.redactPaths));
   const detailHeaderPath = useMemo(() => {
     const rawPath = viewingFileDetails?.path || viewingFileDetails?.analysis?.path || '';
@@ -58,6 +62,7 @@ function OrganizePhase() {
   const [showFoldersModal, setShowFoldersModal] = React.useState(false);
   const [showStatusModal, setShowStatusModal] = React.useState(false);
   const [showHistoryModal, setShowHistoryModal] = React.useState(false);
+  const [showBulkRename, setShowBulkRename] = React.useState(false);
 
   const {
     organizedFiles,
@@ -293,6 +298,33 @@ function OrganizePhase() {
     setSelectedFiles(new Set());
   }, [selectedFiles, unprocessedFiles, addNotification, handleOrganizeFiles, setSelectedFiles]);
 
+  const { applyBulkRename, isRenaming } = useBulkRename({
+    executeAction,
+    dispatch,
+    addNotification
+  });
+
+  const selectedFilesForRename = useMemo(
+    () =>
+      Array.from(selectedFiles)
+        .sort((a, b) => a - b)
+        .filter((index) => index >= 0 && index < unprocessedFiles.length)
+        .map((index) => unprocessedFiles[index])
+        .filter((f) => f && f.path),
+    [selectedFiles, unprocessedFiles]
+  );
+
+  const handleApplyBulkRename = useCallback(
+    async (preview) => {
+      const result = await applyBulkRename(preview, selectedFilesForRename);
+      if (result) {
+        setShowBulkRename(false);
+        setSelectedFiles(new Set());
+      }
+    },
+    [applyBulkRename, selectedFilesForRename, setSelectedFiles]
+  );
+
   const handleOrganizeClick = useCallback(() => {
     if (selectedFiles.size > 0) {
       approveSelectedFiles();
@@ -388,8 +420,9 @@ function OrganizePhase() {
               bulkCategory={bulkCategory}
               setBulkCategory={setBulkCategory}
               onApplyBulkCategory={applyBulkCategoryChange}
+              onBulkRename={() => setShowBulkRename(true)}
               smartFolders={safeSmartFolders}
-              isProcessing={isOrganizing}
+              isProcessing={isOrganizing || isRenaming}
             />
           </Card>
         )}
@@ -462,6 +495,7 @@ function OrganizePhase() {
                     smartFolders={safeSmartFolders}
                     defaultLocation={defaultLocation}
                     onViewDetails={setViewingFileDetails}
+                    onPreview={setPreviewingFile}
                   />
                 </ErrorBoundaryCore>
               </div>
@@ -632,6 +666,23 @@ function OrganizePhase() {
         )}
       </SidePanel>
 
+      {/* File Preview Panel */}
+      <FilePreviewPanel
+        isOpen={Boolean(previewingFile?.path)}
+        onClose={() => setPreviewingFile(null)}
+        filePath={previewingFile?.path}
+        fileName={previewingFile?.name}
+      />
+
+      {/* Bulk Rename Modal */}
+      <BulkRenameModal
+        isOpen={showBulkRename}
+        onClose={() => setShowBulkRename(false)}
+        files={selectedFilesForRename}
+        onApply={handleApplyBulkRename}
+        isApplying={isRenaming}
+      />
+
       {/* Smart Folders Modal */}
       <Modal
         isOpen={showFoldersModal}
@@ -16,6 +16,11 @@ import { SmartFolderItem, AddSmartFolderModal } from '../components/setup';
 import { Plus, ChevronDown, ChevronUp, RotateCcw, Folder } from 'lucide-react';
 import { filesIpc, settingsIpc, smartFoldersIpc } from '../services/ipc';
 import { normalizePathValue } from '../utils/pathNormalization';
+import {
+  orderFoldersByHierarchy,
+  validateSubfolderTemplate,
+  wouldCreateFolderCycle
+} from '../../shared/smartFolderHierarchy';
 
 const logger = createLogger('SetupPhase');
 const normalizePathWithFallback = (value, fallback = 'Documents') => {
@@ -42,6 +47,8 @@ function SetupPhase() {
   const { showSuccess, showError, showWarning, showInfo, addNotification } = useNotification();
 
   const [smartFolders, setSmartFolders] = useState([]);
+  // Children follow their parent so nested folders read as a tree
+  const orderedFolders = useMemo(() => orderFoldersByHierarchy(smartFolders), [smartFolders]);
   const [editingFolder, setEditingFolder] = useState(null);
   const [defaultLocation, setDefaultLocation] = useState('Documents');
   const [isDefaultLocationLoaded, setIsDefaultLocationLoaded] = useState(false);
@@ -240,6 +247,11 @@ function SetupPhase() {
       showWarning('Folder name cannot be empty');
       return;
     }
+    const templateError = validateSubfolderTemplate(editingFolder.subfolderTemplate?.trim());
+    if (templateError) {
+      showWarning(templateError);
+      return;
+    }
     setIsSavingEdit(true);
     try {
       const result = await smartFoldersIpc.edit(editingFolder.id, editingFolder);
@@ -518,11 +530,20 @@ function SetupPhase() {
                   isCompactMode ? 'md:grid-cols-2' : 'md:grid-cols-2 xl:grid-cols-3'
                 }`}
               >
-                {smartFolders.map((folder, index) => (
+                {orderedFolders.map(({ folder }, index) => (
                   <SmartFolderItem
                     key={folder.id}
                     folder={folder}
                     index={index}
+                    parentName={smartFolders.find((f) => f.id === folder.parentId)?.name || ''}
+                    parentOptions={
+                      editingFolder?.id === folder.id
+                        ? orderedFolders.filter(
+                            (option) =>
+                              !wouldCreateFolderCycle(folder.id, option.folder.id, smartFolders)
+                          )
+                        : []
+                    }
                     editingFolder={editingFolder}
                     setEditingFolder={setEditingFolder}
                     isSavingEdit={isSavingEdit}
@@ -16,3 +16,4 @@ export {
   useProcessedFiles
 } from './useFileEditing';
 export { useOrganization, useProgressTracking } from './useOrganization';
+export { useBulkRename } from './useBulkRename';
@@ -0,0 +1,123 @@
+/**
+ * useBulkRename Hook
+ *
+ * Applies a template rename preview as a single undoable batch.
+ *
+ * @module organize/useBulkRename
+ */
+
+import { useState, useCallback } from 'react';
+import { createLogger } from '../../../shared/logger';
+import { createOrganizeBatchAction } from '../../components/UndoRedoSystem';
+import { updateAnalysisResult, updateResultPathsAfterMove } from '../../store/slices/analysisSlice';
+import { updateFilePathsAfterMove } from '../../store/slices/filesSlice';
+
+const logger = createLogger('OrganizePhase-BulkRename');
+
+const fileNameOf = (filePath) =>
+  String(filePath || '')
+    .split(/[\\/]/)
+    .pop() || '';
+
+/**
+ * Hook for template-based bulk renames in the Organize phase.
+ *
+ * Renames run through the batch_organize file operation so the whole batch is
+ * recorded as one undo step. The new name also becomes the file's suggested
+ * name, so a later organize keeps it instead of applying the naming convention.
+ *
+ * @param {Object} params
+ * @param {Function} params.executeAction - Undo/redo executeAction
+ * @param {Function} params.dispatch - Redux dispatch
+ * @param {Function} params.addNotification - Notification function
+ * @returns {{ applyBulkRename: Function, isRenaming: boolean }}
+ */
+export function useBulkRename({ executeAction, dispatch, addNotification }) {
+  const [isRenaming, setIsRenaming] = useState(false);
+
+  const applyBulkRename = useCallback(
+    async (preview, files = []) => {
+      const operations = (Array.isArray(preview) ? preview : [])
+        .filter((item) => item?.changed && item.sourcePath && item.destination)
+        .map((item) => ({ source: item.sourcePath, destination: item.destination }));
+
+      if (operations.length === 0) {
+        addNotification('No file names would change', 'info');
+        return null;
+      }
+
+      // Remember previous suggested names so undo restores them
+      const previousSuggestions = new Map(
+        files.map((file) => [file.path, file.analysis?.suggestedName])
+      );
+
+      const syncPaths = (results, reverse) => {
+        const moved = (Array.isArray(results) ? results : []).filter(
+          (r) => r?.success && r.source && r.destination
+        );
+        if (moved.length === 0) return 0;
+        const oldPaths = moved.map((r) => r.source);
+        const newPaths = moved.map((r) => r.destination);
+        dispatch(updateResultPathsAfterMove({ oldPaths, newPaths }));
+        dispatch(updateFilePathsAfterMove({ oldPaths, newPaths }));
+        moved.forEach((r) => {
+          // On undo the destination is the original path
+          const suggestedName = reverse
+            ? previousSuggestions.get(r.destination)
+            : fileNameOf(r.destination);
+          dispatch(updateAnalysisResult({ path: r.destination, changes: { suggestedName } }));
+        });
+        return moved.length;
+      };
+
+      const stateCallbacks = {
+        onExecute: (result) => syncPaths(result?.results, false),
+        onUndo: (result) => {
+          const count = syncPaths(result?.results, true);
+          addNotification(`Undo complete. ${count} files renamed back.`, 'info');
+        },
+        onRedo: (result) => {
+          const count = syncPaths(result?.results, false);
+          addNotification(`Redo complete. ${count} files renamed.`, 'info');
+        }
+      };
+
+      setIsRenaming(true);
+      try {
+        const result = await executeAction(
+          createOrganizeBatchAction(
+            `Rename ${operations.length} file${operations.length !== 1 ? 's' : ''}`,
+            operations,
+            stateCallbacks
+          )
+        );
+        if (!result) return null;
+        const successCount = Array.isArray(result.results)
+          ? result.results.filter((r) => r.success).length
+          : 0;
+        const failCount = operations.length - successCount;
+
+        // executeAction reports overall success; surface partial failures separately
+        if (failCount > 0) {
+          addNotification(
+            `Renamed ${successCount} files with ${failCount} failures. Check logs for details.`,
+            'warning',
+            6000
+          );
+        }
+        return result;
+      } catch (error) {
+        // executeAction already notified the user
+        logger.error('[BULK-RENAME] Rename failed:', error.message);
+        return null;
+      } finally {
+        setIsRenaming(false);
+      }
+    },
+    [executeAction, dispatch, addNotification]
+  );
+
+  return { applyBulkRename, isRenaming };
+}
+
+export default useBulkRename;
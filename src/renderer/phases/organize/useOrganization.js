@@ -9,6 +9,7 @@
 import { useState, useCallback, useEffect, useRef } from 'react';
 import { PHASES } from '../../../shared/constants';
 import { createLogger } from '../../../shared/logger';
+import { renderSubfolderTemplate } from '../../../shared/smartFolderHierarchy';
 import { createOrganizeBatchAction } from '../../components/UndoRedoSystem';
 import { updateResultPathsAfterMove } from '../../store/slices/analysisSlice';
 import { updateFilePathsAfterMove } from '../../store/slices/filesSlice';
@@ -86,7 +87,15 @@ export function useProgressTracking() {
               setBatchProgress({
                 current: safeCurrent,
                 total: safeTotal,
-                currentFile: payload.currentFile || ''
+                currentFile: payload.currentFile || '',
+                // Copy mode: throughput and verification of the copies
+                ...(payload.transferMode === 'copy' && {
+                  transferMode: 'copy',
+                  verification: payload.verification || '',
+                  bytesCopied: Number(payload.bytesCopied) || 0,
+                  bytesPerSecond: Number(payload.bytesPerSecond) || 0,
+                  verifiedCount: Number(payload.verifiedCount) || 0
+                })
               });
             } catch (error) {
               logger.error('Error processing progress update', {
@@ -302,9 +311,12 @@ function processFileForOrganization({
   const smartFolder = findSmartFolderForCategory(currentCategory);
 
   // FIX: Use platform-aware path joining instead of hardcoded slashes
-  const destinationDir = smartFolder
+  const folderDir = smartFolder
     ? smartFolder.path || joinPath(defaultLocation, smartFolder.name)
     : joinPath(defaultLocation, currentCategory || 'Uncategorized');
+  // Nested smart folders file below their root, e.g. Clients/<entity>/<year>
+  const subfolders = renderSubfolderTemplate(smartFolder?.subfolderTemplate, fileWithEdits);
+  const destinationDir = subfolders.length > 0 ? joinPath(folderDir, ...subfolders) : folderDir;
 
   const suggestedName = edits.suggestedName || fileWithEdits.analysis?.suggestedName || file.name;
 
@@ -665,8 +677,9 @@ export function useOrganization({
                     organizedAt: new Date().toISOString()
                   };
                 });
+              // Files linked into link-based smart folders stay at their original path
               const successfulMoves = resArray
-                .filter((r) => r.success && r.source)
+                .filter((r) => r.success && r.source && r.operation !== 'link')
                 .map((r) => ({
                   source: r.source,
                   destination: r.destination || operationMap.get(r.source)
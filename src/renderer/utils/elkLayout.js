@@ -88,6 +88,9 @@ const NODE_SIZES = {
   default: { width: 220, height: 100 }
 };
 
+// Extra height of file nodes that show a video thumbnail
+const THUMBNAIL_HEIGHT = 86;
+
 /**
  * Default layout options for ELK
  */
@@ -177,10 +180,11 @@ export async function elkLayout(nodes, edges, options = {}) {
     layoutOptions,
     children: nodes.map((node) => {
       const size = NODE_SIZES[node.type] || NODE_SIZES.default;
+      const hasThumbnail = node.type === 'fileNode' && Boolean(node.data?.thumbnailPath);
       return {
         id: node.id,
         width: size.width,
-        height: size.height
+        height: hasThumbnail ? size.height + THUMBNAIL_HEIGHT : size.height
       };
     }),
     edges: safeEdges
@@ -96,3 +96,51 @@ export function hasMatches(text, query) {
   const textLower = text.toLowerCase();
   return words.some((word) => textLower.includes(word));
 }
+
+// Enough of a chunk snippet to locate it without building a huge pattern
+const MAX_SNIPPET_WORDS = 40;
+
+const collapseWhitespace = (value) => value.replace(/\s+/g, ' ').trim().toLowerCase();
+
+/**
+ * Locate a search chunk inside a document's text.
+ *
+ * Chunk offsets (charStart/charEnd) point into the text captured at analysis
+ * time. They are used as-is when the text at those offsets still starts with
+ * the chunk's snippet; otherwise (re-extracted or edited file) the snippet is
+ * searched for, tolerating whitespace differences.
+ *
+ * @param {string} text - Document text shown in the preview
+ * @param {Object} matchDetails - matchDetails from a chunk search result
+ * @returns {{start: number, end: number}|null} Range to highlight
+ */
+export function findChunkRange(text, matchDetails) {
+  if (!text || typeof text !== 'string' || !matchDetails) return null;
+
+  const { charStart, charEnd, bestSnippet } = matchDetails;
+  const snippet = typeof bestSnippet === 'string' ? bestSnippet.trim() : '';
+  const hasOffsets =
+    Number.isInteger(charStart) &&
+    Number.isInteger(charEnd) &&
+    charStart >= 0 &&
+    charEnd > charStart &&
+    charEnd <= text.length;
+
+  if (hasOffsets) {
+    const probe = collapseWhitespace(snippet.slice(0, 80));
+    if (!probe || collapseWhitespace(text.slice(charStart, charEnd)).startsWith(probe)) {
+      return { start: charStart, end: charEnd };
+    }
+  }
+
+  const words = snippet.split(/\s+/).filter(Boolean).slice(0, MAX_SNIPPET_WORDS);
+  if (words.length === 0) return null;
+
+  const escapedWords = words.map((w) => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const match = new RegExp(escapedWords.join('\\s+'), 'i').exec(text);
+  if (!match) return null;
+
+  const chunkLength = hasOffsets ? charEnd - charStart : 0;
+  const end = Math.min(text.length, match.index + Math.max(match[0].length, chunkLength));
+  return { start: match.index, end };
+}
@@ -51,3 +51,13 @@ export const isAbsolutePath = (value, options = {}) => {
 };
 
 export const extractFileName = (value) => safeBasename(coercePathValue(value));
+
+export const toFileUrl = (value) => {
+  const normalized = normalizePathValue(value);
+  if (!isAbsolutePath(normalized)) return '';
+  const forward = normalized.replace(/\\/g, '/');
+  return encodeURI(forward.startsWith('/') ? `file://${forward}` : `file:///${forward}`).replace(
+    /#/g,
+    '%23'
+  );
+};
@@ -22,7 +22,8 @@ const IPC_CHANNELS = {
     COPY_FILE: 'files:copy',
     OPEN_FOLDER: 'files:open-folder',
     DELETE_FOLDER: 'files:delete-folder',
-    CLEANUP_ANALYSIS: 'files:cleanup-analysis'
+    CLEANUP_ANALYSIS: 'files:cleanup-analysis',
+    GET_PREVIEW: 'files:get-preview'
   },
   SMART_FOLDERS: {
     GET: 'smart-folders:get',
@@ -81,6 +82,8 @@ const IPC_CHANNELS = {
     GET_STATISTICS: 'analysis-history:get-statistics',
     GET_FILE_HISTORY: 'analysis-history:get-file-history',
     SET_EMBEDDING_POLICY: 'analysis-history:set-embedding-policy',
+    GET_SENSITIVE: 'analysis-history:get-sensitive',
+    REVIEW_SENSITIVITY: 'analysis-history:review-sensitivity',
     CLEAR: 'analysis-history:clear',
     EXPORT: 'analysis-history:export'
   },
@@ -97,6 +100,7 @@ const IPC_CHANNELS = {
     FIND_SIMILAR: 'embeddings:find-similar',
     REBUILD_BM25_INDEX: 'embeddings:rebuild-bm25',
     GET_SEARCH_STATUS: 'embeddings:get-search-status',
+    GET_QUERY_VALUES: 'embeddings:get-query-values',
     DIAGNOSE_SEARCH: 'embeddings:diagnose-search',
     FIND_MULTI_HOP: 'embeddings:find-multi-hop',
     COMPUTE_CLUSTERS: 'embeddings:compute-clusters',
@@ -137,7 +141,8 @@ const IPC_CHANNELS = {
     ADD_FEEDBACK_MEMORY: 'suggestions:add-feedback-memory',
     GET_FEEDBACK_MEMORY: 'suggestions:get-feedback-memory',
     UPDATE_FEEDBACK_MEMORY: 'suggestions:update-feedback-memory',
-    DELETE_FEEDBACK_MEMORY: 'suggestions:delete-feedback-memory'
+    DELETE_FEEDBACK_MEMORY: 'suggestions:delete-feedback-memory',
+    GET_CLASSIFIER_STATS: 'suggestions:get-classifier-stats'
   },
   ORGANIZE: {
     AUTO: 'organize:auto',
@@ -147,7 +152,8 @@ const IPC_CHANNELS = {
     UPDATE_THRESHOLDS: 'organize:update-thresholds',
     CLUSTER_BATCH: 'organize:cluster-batch',
     IDENTIFY_OUTLIERS: 'organize:identify-outliers',
-    GET_CLUSTER_SUGGESTIONS: 'organize:get-cluster-suggestions'
+    GET_CLUSTER_SUGGESTIONS: 'organize:get-cluster-suggestions',
+    PREVIEW_RENAME: 'organize:preview-rename'
   },
   CHROMADB: {
     GET_STATUS: 'chromadb:get-status',
@@ -155,6 +161,7 @@ const IPC_CHANNELS = {
     GET_QUEUE_STATS: 'chromadb:get-queue-stats',
     FORCE_RECOVERY: 'chromadb:force-recovery',
     HEALTH_CHECK: 'chromadb:health-check',
+    MIGRATE_TO_EMBEDDED: 'chromadb:migrate-to-embedded',
     STATUS_CHANGED: 'chromadb:status-changed'
   },
   DEPENDENCIES: {
@@ -167,11 +174,68 @@ const IPC_CHANNELS = {
   },
   CHAT: {
     QUERY: 'chat:query',
-    RESET_SESSION: 'chat:reset-session'
+    QUERY_STREAM: 'chat:query-stream',
+    CANCEL: 'chat:cancel',
+    RESET_SESSION: 'chat:reset-session',
+    STREAM_EVENT: 'chat:stream-event',
+    LIST_CONVERSATIONS: 'chat:list-conversations',
+    GET_CONVERSATION: 'chat:get-conversation',
+    RENAME_CONVERSATION: 'chat:rename-conversation',
+    DELETE_CONVERSATION: 'chat:delete-conversation',
+    EXPORT_CONVERSATION: 'chat:export-conversation'
   },
   KNOWLEDGE: {
     GET_RELATIONSHIP_EDGES: 'knowledge:get-relationship-edges',
     GET_RELATIONSHIP_STATS: 'knowledge:get-relationship-stats'
+  },
+  DUPLICATES: {
+    SCAN: 'duplicates:scan',
+    GET_RESULTS: 'duplicates:get-results',
+    CANCEL_SCAN: 'duplicates:cancel-scan',
+    RESOLVE: 'duplicates:resolve',
+    SCAN_PROGRESS: 'duplicates:scan-progress'
+  },
+  SCHEDULES: {
+    GET_STATUS: 'schedules:get-status',
+    GET_RUN: 'schedules:get-run',
+    RUN_NOW: 'schedules:run-now',
+    UNDO_RUN: 'schedules:undo-run',
+    RUN_COMPLETE: 'schedules:run-complete'
+  },
+  LOCAL_API: {
+    GET_STATUS: 'local-api:get-status',
+    REGENERATE_TOKEN: 'local-api:regenerate-token'
+  },
+  GRAPH_WORKSPACES: {
+    LIST: 'graph-workspaces:list',
+    GET: 'graph-workspaces:get',
+    SAVE: 'graph-workspaces:save',
+    RENAME: 'graph-workspaces:rename',
+    DELETE: 'graph-workspaces:delete',
+    EXPORT: 'graph-workspaces:export',
+    SAVE_SNAPSHOT: 'graph-workspaces:save-snapshot'
+  },
+  FILE_ANNOTATIONS: {
+    GET: 'file-annotations:get',
+    GET_MANY: 'file-annotations:get-many',
+    SET: 'file-annotations:set',
+    LIST_TAGS: 'file-annotations:list-tags',
+    FIND_BY_TAGS: 'file-annotations:find-by-tags'
+  },
+  SAVED_SEARCHES: {
+    LIST: 'saved-searches:list',
+    GET: 'saved-searches:get',
+    CREATE: 'saved-searches:create',
+    UPDATE: 'saved-searches:update',
+    DELETE: 'saved-searches:delete',
+    MARK_VIEWED: 'saved-searches:mark-viewed',
+    REFRESH: 'saved-searches:refresh',
+    CHANGED: 'saved-searches:changed'
+  },
+  VIRTUAL_LINKS: {
+    LIST: 'virtual-links:list',
+    MATERIALIZE: 'virtual-links:materialize',
+    VERIFY: 'virtual-links:verify'
   }
 };
 
@@ -381,6 +445,7 @@ const ANALYSIS_SUPPORTED_EXTENSIONS = Array.from(
     ...SUPPORTED_TEXT_EXTENSIONS,
     ...SUPPORTED_DOCUMENT_EXTENSIONS,
     ...SUPPORTED_IMAGE_EXTENSIONS,
+    ...SUPPORTED_AUDIO_EXTENSIONS,
     ...SUPPORTED_ARCHIVE_EXTENSIONS
   ])
 );
@@ -7,6 +7,7 @@ const { SERVICE_URLS } = require('./configDefaults');
 const { CONCURRENCY } = require('./performanceConstants');
 const { DEFAULT_AI_MODELS } = require('./constants');
 const { DEFAULT_CHAT_PERSONA_ID } = require('./chatPersonas');
+const { LLM_PROVIDERS, DEFAULT_OPENAI_COMPATIBLE_HOST } = require('./llmProviders');
 
 const DEFAULT_SETTINGS = {
   // UI
@@ -24,13 +25,34 @@ const DEFAULT_SETTINGS = {
   lastBrowsedPath: null,
   maxConcurrentAnalysis: CONCURRENCY.DEFAULT_WORKERS,
   autoOrganize: false,
+  // Folders watched for new files (empty = watch the Downloads folder)
+  inboxFolders: [],
+  // Scheduled sweep/archive jobs run by the main process (see shared/organizationSchedules)
+  organizationSchedules: [],
   backgroundMode: false,
   launchOnStartup: false,
+  // Loopback REST API for other tools (see main/services/localApi); off by default
+  localApiEnabled: false,
+  localApiPort: 47615,
   // Organization Confidence Threshold (files must meet this confidence to be auto-organized to suggested folder)
   // Files below this threshold are routed to "Uncategorized" for manual review
   confidenceThreshold: 0.75,
   // Smart folder routing mode: auto-select based on embedding health
   smartFolderRoutingMode: 'auto',
+  // Smart folder rules: 'priority' keeps AI alternatives, 'exclusive' skips AI on a rule match
+  smartFolderRuleMode: 'priority',
+  // Nearest-centroid classifier trained on the user's corrections; when confident it skips the LLM
+  routingClassifierEnabled: true,
+  // Batch organize: 'copy' writes hash-verified copies (for removable media), then the
+  // source is kept, deleted or archived per copySourceRetention (see shared/organizeModes)
+  organizeTransferMode: 'move',
+  copySourceRetention: 'keep',
+  // Sensitive documents (SSNs, card and bank numbers, passports, medical records) only go to
+  // smart folders marked secure; the text model settles ambiguous pattern matches
+  sensitiveDataDetection: true,
+  sensitiveDataModelConfirmation: true,
+  // Chat quotes sensitive files only when this is on
+  allowSensitiveInChat: false,
   // Naming convention defaults (used by auto-organize / download watcher)
   namingConvention: 'subject-date',
   dateFormat: 'YYYY-MM-DD',
@@ -41,6 +63,14 @@ const DEFAULT_SETTINGS = {
   textModel: DEFAULT_AI_MODELS.TEXT_ANALYSIS,
   visionModel: DEFAULT_AI_MODELS.IMAGE_ANALYSIS,
   embeddingModel: DEFAULT_AI_MODELS.EMBEDDING,
+  // Provider serving each model role: 'ollama' or 'openai-compatible'
+  // (llama.cpp server, LM Studio, vLLM, LocalAI via their /v1 API)
+  textProvider: LLM_PROVIDERS.OLLAMA,
+  visionProvider: LLM_PROVIDERS.OLLAMA,
+  embeddingProvider: LLM_PROVIDERS.OLLAMA,
+  openaiCompatibleHost: DEFAULT_OPENAI_COMPATIBLE_HOST,
+  // Optional bearer token; most local servers do not need one
+  openaiCompatibleApiKey: '',
   // Embedding workflow controls
   // - during_analysis: embed while analyzing (current/default)
   // - after_organize: defer file embeddings until after moves/renames
@@ -51,6 +81,21 @@ const DEFAULT_SETTINGS = {
   // - web_only: do not embed locally (intended for web-search-only workflows)
   // - skip: do not embed
   defaultEmbeddingPolicy: 'embed',
+  // Where embeddings are stored (takes effect on restart)
+  // - chromadb: ChromaDB server (bundled Python or CHROMA_SERVER_URL)
+  // - embedded: in-process store under userData/vector-store
+  vectorStoreBackend: 'chromadb',
+  // Audio transcription (off by default; see main/analysis/audioTranscription)
+  // - whisper-cpp: run a local whisper.cpp executable with a model file
+  // - openai-compatible: POST to a local /v1/audio/transcriptions server
+  audioTranscriptionBackend: 'none',
+  audioTranscriptionCommand: null,
+  audioTranscriptionModel: null,
+  audioTranscriptionEndpoint: null,
+  // Video analysis: keyframes, embedded subtitles and audio need ffmpeg
+  // (null = `ffmpeg` on PATH); 0 keyframes skips the vision model
+  ffmpegPath: null,
+  videoKeyframeCount: 4,
   chatPersona: DEFAULT_CHAT_PERSONA_ID,
   chatResponseMode: 'fast',
   // Dependency lifecycle management (user consent required)
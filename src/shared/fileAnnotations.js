@@ -0,0 +1,86 @@
+/**
+ * File Annotations
+ *
+ * Shared limits and normalization for user-defined tags and notes on files.
+ * Used by the annotation store in the main process, the rule engine and the
+ * renderer's tag editor so all of them agree on what a valid tag is.
+ *
+ * @module shared/fileAnnotations
+ */
+
+const FILE_ANNOTATION_LIMITS = Object.freeze({
+  MAX_TAGS_PER_FILE: 20,
+  MAX_TAG_LENGTH: 40,
+  MAX_NOTE_LENGTH: 5000
+});
+
+/**
+ * Clean a single tag: trims, collapses whitespace and drops a leading '#'.
+ * @param {*} tag
+ * @returns {string} Empty string when nothing usable remains
+ */
+function normalizeUserTag(tag) {
+  if (typeof tag !== 'string') return '';
+  return tag
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^#+/, '')
+    .trim()
+    .slice(0, FILE_ANNOTATION_LIMITS.MAX_TAG_LENGTH);
+}
+
+/**
+ * Clean a tag list. Duplicates are dropped case-insensitively, keeping the
+ * first spelling, and the list is capped at MAX_TAGS_PER_FILE.
+ * @param {Array|string} tags - Array of tags or a comma separated string
+ * @returns {string[]}
+ */
+function normalizeUserTags(tags) {
+  const raw = Array.isArray(tags) ? tags : typeof tags === 'string' ? tags.split(',') : [];
+  const seen = new Set();
+  const result = [];
+  for (const item of raw) {
+    const tag = normalizeUserTag(item);
+    const key = tag.toLowerCase();
+    if (!tag || seen.has(key)) continue;
+    seen.add(key);
+    result.push(tag);
+    if (result.length >= FILE_ANNOTATION_LIMITS.MAX_TAGS_PER_FILE) break;
+  }
+  return result;
+}
+
+/**
+ * @param {*} note
+ * @returns {string}
+ */
+function normalizeUserNote(note) {
+  if (typeof note !== 'string') return '';
+  return note.trim().slice(0, FILE_ANNOTATION_LIMITS.MAX_NOTE_LENGTH);
+}
+
+/**
+ * Check a file's tags against a filter (case-insensitive).
+ * @param {string[]} fileTags
+ * @param {string[]} filterTags
+ * @param {'all'|'any'} [match='all']
+ * @returns {boolean}
+ */
+function matchesUserTags(fileTags, filterTags, match = 'all') {
+  const wanted = normalizeUserTags(filterTags).map((tag) => tag.toLowerCase());
+  if (wanted.length === 0) return true;
+  const have = new Set(
+    (Array.isArray(fileTags) ? fileTags : []).map((tag) => String(tag).toLowerCase())
+  );
+  return match === 'any'
+    ? wanted.some((tag) => have.has(tag))
+    : wanted.every((tag) => have.has(tag));
+}
+
+module.exports = {
+  FILE_ANNOTATION_LIMITS,
+  normalizeUserTag,
+  normalizeUserTags,
+  normalizeUserNote,
+  matchesUserTags
+};
@@ -9,6 +9,7 @@
 
 const path = require('path');
 const { normalizePathForIndex } = require('./pathSanitization');
+const { normalizeOrganizeMode } = require('./organizeModes');
 
 /**
  * Ensure value is an array (internal helper)
@@ -139,8 +140,22 @@ function findContainingSmartFolder(filePath, smartFolders = []) {
   return bestMatch;
 }
 
+/**
+ * Organize mode of the smart folder a destination falls in. Nested folders
+ * use their own setting; destinations outside every smart folder are moved.
+ *
+ * @param {string} destinationPath - File destination
+ * @param {Array} smartFolders - Array of smart folder objects with paths
+ * @returns {'move'|'symlink'|'hardlink'}
+ */
+function getOrganizeModeForPath(destinationPath, smartFolders = []) {
+  const folder = findContainingSmartFolder(destinationPath, smartFolders);
+  return normalizeOrganizeMode(folder?.organizeMode);
+}
+
 module.exports = {
   mapFoldersToCategories,
   getFolderNamesString,
-  findContainingSmartFolder
+  findContainingSmartFolder,
+  getOrganizeModeForPath
 };
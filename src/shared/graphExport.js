@@ -0,0 +1,305 @@
+/**
+ * Graph Workspace Export
+ *
+ * Serializes a saved graph workspace (React Flow nodes/edges plus per-node
+ * notes) to GraphML, GEXF, a plain JSON interchange format, and an SVG
+ * snapshot. Shared so the main process can write data exports and the
+ * renderer can draw the snapshot it rasterizes to PNG.
+ *
+ * @module shared/graphExport
+ */
+
+const GRAPH_EXPORT_FORMATS = ['graphml', 'gexf', 'json'];
+const GRAPH_SNAPSHOT_FORMATS = ['svg', 'png'];
+
+const NODE_WIDTH = 180;
+const NODE_HEIGHT = 44;
+const SNAPSHOT_PADDING = 40;
+
+const NODE_COLORS = {
+  cluster: '#dbeafe',
+  duplicate: '#fde68a',
+  query: '#ede9fe',
+  folder: '#dcfce7',
+  file: '#ffffff'
+};
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function truncate(text, max) {
+  const clean = String(text || '');
+  return clean.length > max ? `${clean.slice(0, max - 1)}…` : clean;
+}
+
+function toNumber(value) {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : 0;
+}
+
+/**
+ * Flatten a workspace into export-ready nodes and edges. Cluster labels are
+ * attached to member nodes so tools like Gephi can color by cluster.
+ *
+ * @param {Object} workspace - { name, nodes, edges, notes }
+ * @returns {{ name: string, nodes: Array<Object>, edges: Array<Object> }}
+ */
+function normalizeGraph(workspace = {}) {
+  const rawNodes = Array.isArray(workspace.nodes) ? workspace.nodes : [];
+  const rawEdges = Array.isArray(workspace.edges) ? workspace.edges : [];
+  const notes = workspace.notes && typeof workspace.notes === 'object' ? workspace.notes : {};
+
+  const clusterOf = new Map();
+  for (const node of rawNodes) {
+    const kind = node?.data?.kind;
+    if ((kind === 'cluster' || kind === 'duplicate') && Array.isArray(node.data.memberIds)) {
+      for (const memberId of node.data.memberIds) {
+        if (!clusterOf.has(memberId)) clusterOf.set(memberId, node.data.label || node.id);
+      }
+    }
+  }
+
+  const nodes = rawNodes
+    .filter((node) => node && node.id != null)
+    .map((node) => {
+      const id = String(node.id);
+      const data = node.data || {};
+      return {
+        id,
+        label: String(data.label || id),
+        kind: data.kind || 'file',
+        path: data.path || '',
+        category: data.category || '',
+        cluster: clusterOf.get(id) || '',
+        note: typeof notes[id] === 'string' ? notes[id] : '',
+        x: toNumber(node.position?.x),
+        y: toNumber(node.position?.y)
+      };
+    });
+
+  const nodeIds = new Set(nodes.map((node) => node.id));
+  const edges = rawEdges
+    .filter((edge) => edge && nodeIds.has(String(edge.source)) && nodeIds.has(String(edge.target)))
+    .map((edge, index) => ({
+      id: String(edge.id || `e${index}`),
+      source: String(edge.source),
+      target: String(edge.target),
+      kind: edge.data?.kind || edge.type || '',
+      weight: toNumber(edge.data?.similarity ?? edge.data?.score ?? 1) || 1
+    }));
+
+  return { name: String(workspace.name || 'Graph'), nodes, edges };
+}
+
+const NODE_ATTRIBUTES = ['label', 'kind', 'path', 'category', 'cluster', 'note'];
+
+/**
+ * @param {Object} workspace
+ * @returns {string} GraphML document
+ */
+function toGraphML(workspace) {
+  const { name, nodes, edges } = normalizeGraph(workspace);
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">'
+  ];
+  for (const attr of NODE_ATTRIBUTES) {
+    lines.push(`  <key id="${attr}" for="node" attr.name="${attr}" attr.type="string"/>`);
+  }
+  lines.push(
+    '  <key id="x" for="node" attr.name="x" attr.type="double"/>',
+    '  <key id="y" for="node" attr.name="y" attr.type="double"/>',
+    '  <key id="edgeKind" for="edge" attr.name="kind" attr.type="string"/>',
+    '  <key id="weight" for="edge" attr.name="weight" attr.type="double"/>',
+    `  <graph id="${escapeXml(name)}" edgedefault="undirected">`
+  );
+  for (const node of nodes) {
+    lines.push(`    <node id="${escapeXml(node.id)}">`);
+    for (const attr of NODE_ATTRIBUTES) {
+      if (node[attr]) lines.push(`      <data key="${attr}">${escapeXml(node[attr])}</data>`);
+    }
+    lines.push(
+      `      <data key="x">${node.x}</data>`,
+      `      <data key="y">${node.y}</data>`,
+      '    </node>'
+    );
+  }
+  for (const edge of edges) {
+    lines.push(
+      `    <edge id="${escapeXml(edge.id)}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}">`,
+      `      <data key="edgeKind">${escapeXml(edge.kind)}</data>`,
+      `      <data key="weight">${edge.weight}</data>`,
+      '    </edge>'
+    );
+  }
+  lines.push('  </graph>', '</graphml>');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * @param {Object} workspace
+ * @returns {string} GEXF 1.3 document (with viz positions for Gephi)
+ */
+function toGEXF(workspace) {
+  const { name, nodes, edges } = normalizeGraph(workspace);
+  const attributes = NODE_ATTRIBUTES.filter((attr) => attr !== 'label');
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gexf xmlns="http://gexf.net/1.3" xmlns:viz="http://gexf.net/1.3/viz" version="1.3">',
+    `  <meta><creator>StratoSort</creator><description>${escapeXml(name)}</description></meta>`,
+    '  <graph defaultedgetype="undirected" mode="static">',
+    '    <attributes class="node">'
+  ];
+  attributes.forEach((attr, index) => {
+    lines.push(`      <attribute id="${index}" title="${attr}" type="string"/>`);
+  });
+  lines.push(
+    '    </attributes>',
+    '    <attributes class="edge">',
+    '      <attribute id="0" title="kind" type="string"/>',
+    '    </attributes>',
+    '    <nodes>'
+  );
+  for (const node of nodes) {
+    lines.push(`      <node id="${escapeXml(node.id)}" label="${escapeXml(node.label)}">`);
+    lines.push('        <attvalues>');
+    attributes.forEach((attr, index) => {
+      if (node[attr]) {
+        lines.push(`          <attvalue for="${index}" value="${escapeXml(node[attr])}"/>`);
+      }
+    });
+    lines.push(
+      '        </attvalues>',
+      `        <viz:position x="${node.x}" y="${-node.y}" z="0"/>`,
+      '      </node>'
+    );
+  }
+  lines.push('    </nodes>', '    <edges>');
+  for (const edge of edges) {
+    lines.push(
+      `      <edge id="${escapeXml(edge.id)}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}" weight="${edge.weight}">`,
+      `        <attvalues><attvalue for="0" value="${escapeXml(edge.kind)}"/></attvalues>`,
+      '      </edge>'
+    );
+  }
+  lines.push('    </edges>', '  </graph>', '</gexf>');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * @param {Object} workspace
+ * @returns {string} JSON interchange document
+ */
+function toGraphJSON(workspace) {
+  const { name, nodes, edges } = normalizeGraph(workspace);
+  return `${JSON.stringify(
+    {
+      format: 'stratosort-graph',
+      version: 1,
+      name,
+      exportedAt: new Date().toISOString(),
+      nodes: nodes.map(({ x, y, ...node }) => ({ ...node, position: { x, y } })),
+      edges
+    },
+    null,
+    2
+  )}\n`;
+}
+
+/**
+ * Draw the graph as a standalone SVG using saved node positions
+ *
+ * @param {Object} workspace
+ * @returns {{ svg: string, width: number, height: number }}
+ */
+function toSVG(workspace) {
+  const { name, nodes, edges } = normalizeGraph(workspace);
+  const xs = nodes.map((n) => n.x);
+  const ys = nodes.map((n) => n.y);
+  const minX = nodes.length ? Math.min(...xs) : 0;
+  const minY = nodes.length ? Math.min(...ys) : 0;
+  const width = Math.ceil(
+    (nodes.length ? Math.max(...xs) - minX : 0) + NODE_WIDTH + SNAPSHOT_PADDING * 2
+  );
+  const height = Math.ceil(
+    (nodes.length ? Math.max(...ys) - minY : 0) + NODE_HEIGHT + SNAPSHOT_PADDING * 3
+  );
+  const offsetX = SNAPSHOT_PADDING - minX;
+  const offsetY = SNAPSHOT_PADDING - minY;
+  const center = (node) => ({
+    x: node.x + offsetX + NODE_WIDTH / 2,
+    y: node.y + offsetY + NODE_HEIGHT / 2
+  });
+  const byId = new Map(nodes.map((node) => [node.id, node]));
+
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="-apple-system, Segoe UI, sans-serif">`,
+    `<title>${escapeXml(name)}</title>`,
+    `<rect width="${width}" height="${height}" fill="#f8fafc"/>`
+  ];
+  for (const edge of edges) {
+    const a = center(byId.get(edge.source));
+    const b = center(byId.get(edge.target));
+    parts.push(
+      `<line x1="${a.x}" y1="${a.y}" x2="${b.x}" y2="${b.y}" stroke="#94a3b8" stroke-width="1.5" stroke-opacity="0.7"/>`
+    );
+  }
+  for (const node of nodes) {
+    const x = node.x + offsetX;
+    const y = node.y + offsetY;
+    const fill = NODE_COLORS[node.kind] || NODE_COLORS.file;
+    parts.push(
+      `<g><title>${escapeXml(node.path || node.label)}</title>`,
+      `<rect x="${x}" y="${y}" width="${NODE_WIDTH}" height="${NODE_HEIGHT}" rx="8" fill="${fill}" stroke="#cbd5e1"/>`,
+      `<text x="${x + 10}" y="${y + (node.cluster ? 19 : 27)}" font-size="12" fill="#0f172a">${escapeXml(truncate(node.label, 26))}</text>`
+    );
+    if (node.cluster) {
+      parts.push(
+        `<text x="${x + 10}" y="${y + 35}" font-size="10" fill="#64748b">${escapeXml(truncate(node.cluster, 30))}</text>`
+      );
+    }
+    if (node.note) {
+      parts.push(
+        `<text x="${x}" y="${y + NODE_HEIGHT + 14}" font-size="10" font-style="italic" fill="#b45309">${escapeXml(truncate(node.note, 40))}</text>`
+      );
+    }
+    parts.push('</g>');
+  }
+  parts.push('</svg>');
+  return { svg: parts.join('\n'), width, height };
+}
+
+/**
+ * @param {Object} workspace
+ * @param {'graphml'|'gexf'|'json'} format
+ * @returns {string}
+ */
+function exportGraph(workspace, format) {
+  switch (format) {
+    case 'graphml':
+      return toGraphML(workspace);
+    case 'gexf':
+      return toGEXF(workspace);
+    case 'json':
+      return toGraphJSON(workspace);
+    default:
+      throw new Error(`Unsupported graph export format: ${format}`);
+  }
+}
+
+module.exports = {
+  GRAPH_EXPORT_FORMATS,
+  GRAPH_SNAPSHOT_FORMATS,
+  normalizeGraph,
+  toGraphML,
+  toGEXF,
+  toGraphJSON,
+  toSVG,
+  exportGraph
+};
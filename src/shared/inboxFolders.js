@@ -0,0 +1,199 @@
+/**
+ * Inbox Folders
+ *
+ * Shared definitions for the folders watched by the DownloadWatcher.
+ * Each inbox has its own watch depth, ignore patterns, settle delay and
+ * auto-organize policy. Persisted in settings as `inboxFolders`:
+ *   { id, name, path, enabled, depth, ignorePatterns, settleDelayMs,
+ *     autoOrganize, confidenceThreshold }
+ *
+ * When no inbox is configured the watcher falls back to the user's
+ * Downloads folder so existing installs keep their behavior.
+ *
+ * @module shared/inboxFolders
+ */
+
+const DEFAULT_INBOX_ID = 'downloads';
+
+const INBOX_LIMITS = Object.freeze({
+  MAX_INBOXES: 20,
+  MAX_DEPTH: 5,
+  MAX_IGNORE_PATTERNS: 50,
+  MAX_PATTERN_LENGTH: 200,
+  MAX_NAME_LENGTH: 100,
+  MAX_PATH_LENGTH: 1000,
+  MAX_SETTLE_DELAY_MS: 60000
+});
+
+const INBOX_DEFAULTS = Object.freeze({
+  enabled: true,
+  depth: 0,
+  settleDelayMs: 500,
+  autoOrganize: true,
+  // null = use the global confidenceThreshold setting
+  confidenceThreshold: null
+});
+
+function clampInteger(value, min, max, fallback) {
+  const num = Number(value);
+  if (!Number.isFinite(num)) return fallback;
+  return Math.min(max, Math.max(min, Math.round(num)));
+}
+
+function lastPathSegment(p) {
+  const parts = String(p)
+    .split(/[\\/]+/)
+    .filter(Boolean);
+  return parts[parts.length - 1] || p;
+}
+
+/**
+ * Sanitize a single inbox definition. Returns null when the inbox has no path.
+ * @param {Object} inbox - Raw inbox from the UI or settings file
+ * @returns {Object|null}
+ */
+function normalizeInboxFolder(inbox) {
+  if (!inbox || typeof inbox !== 'object') return null;
+  const inboxPath =
+    typeof inbox.path === 'string' ? inbox.path.trim().slice(0, INBOX_LIMITS.MAX_PATH_LENGTH) : '';
+  if (!inboxPath) return null;
+
+  const ignorePatterns = (Array.isArray(inbox.ignorePatterns) ? inbox.ignorePatterns : [])
+    .filter((pattern) => typeof pattern === 'string')
+    .map((pattern) => pattern.trim())
+    .filter((pattern) => pattern && pattern.length <= INBOX_LIMITS.MAX_PATTERN_LENGTH)
+    .slice(0, INBOX_LIMITS.MAX_IGNORE_PATTERNS);
+
+  const rawThreshold = inbox.confidenceThreshold;
+  const threshold =
+    rawThreshold === null || rawThreshold === undefined || rawThreshold === ''
+      ? null
+      : Number(rawThreshold);
+
+  const name = typeof inbox.name === 'string' ? inbox.name.trim() : '';
+
+  return {
+    id:
+      typeof inbox.id === 'string' && inbox.id.trim()
+        ? inbox.id.trim().slice(0, 64)
+        : `inbox-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    name: (name || lastPathSegment(inboxPath)).slice(0, INBOX_LIMITS.MAX_NAME_LENGTH),
+    path: inboxPath,
+    enabled: inbox.enabled !== false,
+    depth: clampInteger(inbox.depth, 0, INBOX_LIMITS.MAX_DEPTH, INBOX_DEFAULTS.depth),
+    ignorePatterns,
+    settleDelayMs: clampInteger(
+      inbox.settleDelayMs,
+      0,
+      INBOX_LIMITS.MAX_SETTLE_DELAY_MS,
+      INBOX_DEFAULTS.settleDelayMs
+    ),
+    autoOrganize: inbox.autoOrganize !== false,
+    confidenceThreshold:
+      threshold !== null && Number.isFinite(threshold) ? Math.min(1, Math.max(0, threshold)) : null
+  };
+}
+
+/**
+ * Sanitize the configured inbox list, dropping entries without a path and
+ * duplicate ids/paths.
+ * @param {Array} inboxes - Raw inbox list
+ * @returns {Array} Sanitized inboxes
+ */
+function normalizeInboxFolders(inboxes) {
+  if (!Array.isArray(inboxes)) return [];
+
+  const result = [];
+  const seenIds = new Set();
+  const seenPaths = new Set();
+  for (const raw of inboxes.slice(0, INBOX_LIMITS.MAX_INBOXES)) {
+    const inbox = normalizeInboxFolder(raw);
+    if (!inbox) continue;
+    const pathKey = inbox.path.replace(/[\\/]+$/, '').toLowerCase();
+    if (seenPaths.has(pathKey)) continue;
+    if (seenIds.has(inbox.id)) {
+      inbox.id = `${inbox.id}-${result.length}`;
+    }
+    seenIds.add(inbox.id);
+    seenPaths.add(pathKey);
+    result.push(inbox);
+  }
+  return result;
+}
+
+/**
+ * The implicit inbox used when none are configured.
+ * @param {string} downloadsPath - Absolute path to the user's Downloads folder
+ * @returns {Object}
+ */
+function getDefaultInboxFolder(downloadsPath) {
+  return {
+    ...normalizeInboxFolder({ id: DEFAULT_INBOX_ID, name: 'Downloads', path: downloadsPath }),
+    isDefault: true
+  };
+}
+
+/**
+ * Resolve the inboxes that should actually be watched.
+ * @param {Object} settings - Current settings
+ * @param {string} downloadsPath - Fallback Downloads path
+ * @returns {Array} Enabled inboxes
+ */
+function resolveInboxFolders(settings, downloadsPath) {
+  const configured = normalizeInboxFolders(settings?.inboxFolders);
+  if (configured.length === 0) {
+    return downloadsPath ? [getDefaultInboxFolder(downloadsPath)] : [];
+  }
+  return configured.filter((inbox) => inbox.enabled);
+}
+
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '*' && glob[i + 1] === '*') {
+      source += '.*';
+      i++;
+      if (glob[i + 1] === '/') i++;
+    } else if (ch === '*') {
+      source += '[^/]*';
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else {
+      source += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Build a matcher for an inbox's ignore patterns. Patterns without a slash
+ * match the file name anywhere in the inbox; patterns with a slash match the
+ * path relative to the inbox root (forward slashes).
+ * @param {Array<string>} patterns - Glob patterns (*, ?, **)
+ * @returns {Function} (relativePath) => boolean
+ */
+function createIgnoreMatcher(patterns) {
+  const compiled = (Array.isArray(patterns) ? patterns : []).map((pattern) => ({
+    regex: globToRegExp(pattern.replace(/\\/g, '/')),
+    matchPath: pattern.includes('/') || pattern.includes('\\')
+  }));
+  if (compiled.length === 0) return () => false;
+
+  return (relativePath) => {
+    const rel = String(relativePath).replace(/\\/g, '/');
+    const basename = rel.slice(rel.lastIndexOf('/') + 1);
+    return compiled.some(({ regex, matchPath }) => regex.test(matchPath ? rel : basename));
+  };
+}
+
+module.exports = {
+  DEFAULT_INBOX_ID,
+  INBOX_LIMITS,
+  INBOX_DEFAULTS,
+  normalizeInboxFolder,
+  normalizeInboxFolders,
+  getDefaultInboxFolder,
+  resolveInboxFolders,
+  createIgnoreMatcher
+};
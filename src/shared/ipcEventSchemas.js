@@ -49,7 +49,13 @@ const schemas = z
         // For batch operations
         file: z.string().optional(),
         success: z.boolean().optional(),
-        error: z.string().optional()
+        error: z.string().optional(),
+        // For copy-mode batch_organize
+        transferMode: z.enum(['move', 'copy']).optional(),
+        verification: z.enum(['copying', 'verifying', 'verified']).optional(),
+        bytesCopied: z.number().optional(),
+        bytesPerSecond: z.number().optional(),
+        verifiedCount: z.number().optional()
       });
 
       /**
@@ -256,6 +262,72 @@ const schemas = z
         timestamp: z.number().optional()
       });
 
+      /**
+       * Chat Stream Event
+       * Emitted while a streamed chat answer is generated: retrieved sources once,
+       * then answer text deltas
+       */
+      const chatStreamEventSchema = z.object({
+        requestId: z.string(),
+        type: z.enum(['sources', 'token']),
+        delta: z.string().optional(),
+        sources: z.array(z.any()).optional(),
+        meta: z.any().optional()
+      });
+
+      /**
+       * Duplicate Scan Progress
+       * Emitted while a background duplicate scan runs and once when it ends
+       */
+      const duplicateScanProgressSchema = z.object({
+        phase: z.enum(['listing', 'hashing', 'images', 'done', 'cancelled', 'error']),
+        processed: z.number().optional(),
+        total: z.number().optional(),
+        stats: z.any().optional(),
+        error: z.string().optional()
+      });
+
+      /**
+       * Scheduled Run Complete
+       * Summary of a scheduled organization run (per-file report via schedules:get-run)
+       */
+      const scheduleRunCompleteSchema = z.object({
+        id: z.string(),
+        jobId: z.string(),
+        jobName: z.string(),
+        action: z.enum(['sweep', 'archive']),
+        trigger: z.enum(['schedule', 'manual']),
+        startedAt: z.string(),
+        finishedAt: z.string().nullable(),
+        counts: z.object({
+          checked: z.number(),
+          moved: z.number(),
+          skipped: z.number(),
+          errors: z.number()
+        }),
+        truncated: z.boolean().optional(),
+        undoneAt: z.string().nullable().optional(),
+        canUndo: z.boolean()
+      });
+
+      /**
+       * Saved Searches Changed Event
+       * Collection summaries after an edit or a refresh
+       */
+      const savedSearchesChangedSchema = z.object({
+        searches: z.array(
+          z
+            .object({
+              id: z.string(),
+              name: z.string(),
+              query: z.string(),
+              matchCount: z.number(),
+              unreadCount: z.number()
+            })
+            .passthrough()
+        )
+      });
+
       return {
         operationProgressSchema,
         operationCompleteSchema,
@@ -272,7 +344,11 @@ const schemas = z
         openSemanticSearchSchema,
         batchResultsChunkSchema,
         undoRedoStateChangedSchema,
-        operationFailedSchema
+        operationFailedSchema,
+        chatStreamEventSchema,
+        duplicateScanProgressSchema,
+        scheduleRunCompleteSchema,
+        savedSearchesChangedSchema
       };
     })()
   : {};
@@ -298,7 +374,11 @@ const EVENT_SCHEMAS = z
       'open-semantic-search': schemas.openSemanticSearchSchema,
       'batch-results-chunk': schemas.batchResultsChunkSchema,
       'undo-redo:state-changed': schemas.undoRedoStateChangedSchema,
-      'operation-failed': schemas.operationFailedSchema
+      'operation-failed': schemas.operationFailedSchema,
+      'chat:stream-event': schemas.chatStreamEventSchema,
+      'duplicates:scan-progress': schemas.duplicateScanProgressSchema,
+      'schedules:run-complete': schemas.scheduleRunCompleteSchema,
+      'saved-searches:changed': schemas.savedSearchesChangedSchema
     }
   : {};
 
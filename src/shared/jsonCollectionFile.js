@@ -0,0 +1,42 @@
+/**
+ * JSON Collection File
+ *
+ * One JSON file holding a service's records as `{ items, lastUpdated }`.
+ * Writes are queued so they reach disk in call order, and a failed write
+ * rejects the save that asked for it; the queue itself keeps going.
+ *
+ * @module shared/jsonCollectionFile
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const { atomicWriteFile } = require('./atomicFile');
+
+class JsonCollectionFile {
+  /**
+   * @param {string} filePath - Target JSON file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this._writeChain = Promise.resolve();
+  }
+
+  /**
+   * Write the items once every earlier write has settled
+   * @param {Array} items - Records to persist
+   * @returns {Promise<void>} Resolves once these items are on disk
+   * @throws {Error} If the directory or file cannot be written
+   */
+  save(items) {
+    const write = this._writeChain.then(() => this._write(items));
+    this._writeChain = write.catch(() => {});
+    return write;
+  }
+
+  async _write(items) {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await atomicWriteFile(this.filePath, { items, lastUpdated: new Date().toISOString() });
+  }
+}
+
+module.exports = { JsonCollectionFile };
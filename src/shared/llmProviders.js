@@ -0,0 +1,139 @@
+/**
+ * LLM Providers
+ *
+ * Shared definitions for the backends StratoSort can send model calls to.
+ * Each role (text, vision, embedding) picks its own provider, so analysis can
+ * run on a llama.cpp / LM Studio / vLLM / LocalAI server while embeddings stay
+ * on Ollama (or any other mix). Persisted in settings as flat keys:
+ *   textProvider, visionProvider, embeddingProvider,
+ *   openaiCompatibleHost, openaiCompatibleApiKey
+ *
+ * Model names keep living in textModel / visionModel / embeddingModel and are
+ * interpreted by whichever provider serves the role.
+ *
+ * @module shared/llmProviders
+ */
+
+const { normalizeServiceUrl } = require('./urlUtils');
+const { categorizeModels } = require('./modelCategorization');
+
+const LLM_PROVIDERS = Object.freeze({
+  OLLAMA: 'ollama',
+  OPENAI_COMPATIBLE: 'openai-compatible'
+});
+
+const LLM_PROVIDER_IDS = Object.freeze(Object.values(LLM_PROVIDERS));
+
+const LLM_PROVIDER_LABELS = Object.freeze({
+  [LLM_PROVIDERS.OLLAMA]: 'Ollama',
+  [LLM_PROVIDERS.OPENAI_COMPATIBLE]: 'OpenAI-compatible server'
+});
+
+const LLM_ROLES = Object.freeze(['text', 'vision', 'embedding']);
+
+/** Settings key holding the provider for each role */
+const PROVIDER_SETTING_KEYS = Object.freeze({
+  text: 'textProvider',
+  vision: 'visionProvider',
+  embedding: 'embeddingProvider'
+});
+
+// llama.cpp `server` and LocalAI default port; LM Studio uses 1234, vLLM 8000
+const DEFAULT_OPENAI_COMPATIBLE_HOST = 'http://127.0.0.1:8080/v1';
+
+const MAX_API_KEY_LENGTH = 500;
+
+function normalizeProviderId(value) {
+  return LLM_PROVIDER_IDS.includes(value) ? value : LLM_PROVIDERS.OLLAMA;
+}
+
+/**
+ * Normalize an OpenAI-compatible base URL. Adds the protocol, drops trailing
+ * slashes and appends `/v1` when the user pasted only host and port.
+ * @param {string} url - URL as entered by the user
+ * @returns {string}
+ */
+function normalizeOpenAICompatibleUrl(url) {
+  const normalized = normalizeServiceUrl(url, { defaultUrl: DEFAULT_OPENAI_COMPATIBLE_HOST });
+  if (!normalized || typeof normalized !== 'string') return DEFAULT_OPENAI_COMPATIBLE_HOST;
+  try {
+    const parsed = new URL(normalized);
+    let pathname = parsed.pathname.replace(/\/+$/, '');
+    // Users often paste an endpoint instead of the base URL
+    pathname = pathname.replace(/\/(chat\/completions|completions|embeddings|models)$/, '');
+    if (!pathname) pathname = '/v1';
+    return `${parsed.protocol}//${parsed.host}${pathname}`;
+  } catch {
+    return DEFAULT_OPENAI_COMPATIBLE_HOST;
+  }
+}
+
+/**
+ * Extract the provider configuration from a settings object.
+ * @param {Object} [settings]
+ * @returns {{text: string, vision: string, embedding: string, openaiCompatibleHost: string, openaiCompatibleApiKey: string}}
+ */
+function getProviderConfig(settings = {}) {
+  const source = settings && typeof settings === 'object' ? settings : {};
+  const apiKey =
+    typeof source.openaiCompatibleApiKey === 'string'
+      ? source.openaiCompatibleApiKey.trim().slice(0, MAX_API_KEY_LENGTH)
+      : '';
+  return {
+    text: normalizeProviderId(source.textProvider),
+    vision: normalizeProviderId(source.visionProvider),
+    embedding: normalizeProviderId(source.embeddingProvider),
+    openaiCompatibleHost: normalizeOpenAICompatibleUrl(source.openaiCompatibleHost),
+    openaiCompatibleApiKey: apiKey
+  };
+}
+
+/**
+ * True when any role is served by the given provider.
+ * @param {Object} config - Result of getProviderConfig
+ * @param {string} providerId
+ */
+function usesProvider(config, providerId) {
+  return LLM_ROLES.some((role) => config?.[role] === providerId);
+}
+
+/**
+ * Group a merged model list into per-role options, only offering each role
+ * the models of the provider that serves it. Model lists from
+ * OpenAI-compatible servers rarely follow Ollama's naming, so a role whose
+ * category comes out empty there is offered every model of that server.
+ * @param {Array<{name: string, provider?: string}>} models - Models tagged with their provider
+ * @param {Object} config - Result of getProviderConfig
+ * @returns {{text: string[], vision: string[], embedding: string[]}}
+ */
+function categorizeModelsForRoles(models, config) {
+  const list = Array.isArray(models) ? models : [];
+  const result = { text: [], vision: [], embedding: [] };
+  for (const role of LLM_ROLES) {
+    const providerId = config?.[role] || LLM_PROVIDERS.OLLAMA;
+    const providerModels = list.filter(
+      (model) => (model?.provider || LLM_PROVIDERS.OLLAMA) === providerId
+    );
+    const categories = categorizeModels(providerModels);
+    result[role] =
+      categories[role].length > 0 || providerId === LLM_PROVIDERS.OLLAMA
+        ? categories[role]
+        : providerModels.map((model) => model.name).sort((a, b) => a.localeCompare(b));
+  }
+  return result;
+}
+
+module.exports = {
+  LLM_PROVIDERS,
+  LLM_PROVIDER_IDS,
+  LLM_PROVIDER_LABELS,
+  LLM_ROLES,
+  PROVIDER_SETTING_KEYS,
+  DEFAULT_OPENAI_COMPATIBLE_HOST,
+  MAX_API_KEY_LENGTH,
+  normalizeProviderId,
+  normalizeOpenAICompatibleUrl,
+  getProviderConfig,
+  usesProvider,
+  categorizeModelsForRoles
+};
@@ -33,10 +33,66 @@ const analysisResultSchema = z
       documentDate: z.string().nullable().optional(),
       keyEntities: z.array(z.string()).nullable().optional(),
       extractionMethod: z.string().nullable().optional(),
+      // Archive member paths (archives only)
+      archiveMembers: z.array(z.string()).nullable().optional(),
+      // Tags and transcription status (audio only)
+      audio: z
+        .object({
+          format: z.string().nullable().optional(),
+          durationSeconds: z.number().nullable().optional(),
+          title: z.string().nullable().optional(),
+          artist: z.string().nullable().optional(),
+          album: z.string().nullable().optional(),
+          genre: z.array(z.string()).optional(),
+          recordingDate: z.string().nullable().optional(),
+          transcribed: z.boolean().optional()
+        })
+        .nullable()
+        .optional(),
+      // Container metadata and keyframe / speech coverage (video only)
+      video: z
+        .object({
+          format: z.string().nullable().optional(),
+          durationSeconds: z.number().nullable().optional(),
+          width: z.number().nullable().optional(),
+          height: z.number().nullable().optional(),
+          creationDate: z.string().nullable().optional(),
+          location: z
+            .object({ latitude: z.number(), longitude: z.number() })
+            .passthrough()
+            .nullable()
+            .optional(),
+          framesAnalyzed: z.number().optional(),
+          subtitles: z.boolean().optional(),
+          transcribed: z.boolean().optional()
+        })
+        .nullable()
+        .optional(),
+      thumbnailPath: z.string().nullable().optional(),
       // Image-specific fields
       content_type: z.string().nullable().optional(),
       has_text: z.boolean().nullable().optional(),
-      colors: z.array(z.string()).nullable().optional()
+      colors: z.array(z.string()).nullable().optional(),
+      // Personal information found in the text; raw values are never stored
+      sensitivity: z
+        .object({
+          level: z.enum(['none', 'low', 'medium', 'high']),
+          categories: z.array(z.string()).optional(),
+          findings: z
+            .array(
+              z.object({
+                category: z.string(),
+                count: z.number(),
+                confident: z.boolean().optional(),
+                samples: z.array(z.string()).optional()
+              })
+            )
+            .optional(),
+          confirmedBy: z.string().nullable().optional(),
+          detectedAt: z.string().nullable().optional()
+        })
+        .nullable()
+        .optional()
     })
   : null;
 
@@ -16,6 +16,7 @@ const NotificationType = {
   LOW_CONFIDENCE: 'low_confidence',
   WATCHER_ERROR: 'watcher_error',
   BATCH_COMPLETE: 'batch_complete',
+  SAVED_SEARCH_MATCH: 'saved_search_match',
   OPERATION_COMPLETE: 'operation_complete',
   OPERATION_ERROR: 'operation_error',
   SYSTEM: 'system'
@@ -0,0 +1,224 @@
+/**
+ * Organization Schedules
+ *
+ * Shared definitions for scheduled organization jobs run by the main process
+ * OrganizationScheduler. Persisted in settings as `organizationSchedules`:
+ *   { id, name, enabled, action, sourceFolder, includeSubfolders,
+ *     confidenceThreshold, olderThanDays, destinationFolder,
+ *     frequency, time, dayOfWeek, dayOfMonth }
+ *
+ * Actions:
+ * - sweep: analyze files in the source folder and move confident matches into
+ *   smart folders (same rules as auto-organize)
+ * - archive: move files not modified for `olderThanDays` into the destination
+ *   folder, keeping their relative layout
+ *
+ * Times are local wall-clock times ("HH:MM").
+ *
+ * @module shared/organizationSchedules
+ */
+
+const SCHEDULE_ACTIONS = ['sweep', 'archive'];
+const SCHEDULE_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+const SCHEDULE_LIMITS = Object.freeze({
+  MAX_SCHEDULES: 20,
+  MAX_NAME_LENGTH: 100,
+  MAX_PATH_LENGTH: 1000,
+  MAX_OLDER_THAN_DAYS: 3650
+});
+
+const SCHEDULE_DEFAULTS = Object.freeze({
+  enabled: true,
+  action: 'sweep',
+  includeSubfolders: false,
+  // null = use the global confidenceThreshold setting
+  confidenceThreshold: null,
+  olderThanDays: 90,
+  frequency: 'weekly',
+  time: '02:00',
+  dayOfWeek: 0, // Sunday
+  dayOfMonth: 1
+});
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function clampInteger(value, min, max, fallback) {
+  const num = Number(value);
+  if (!Number.isFinite(num)) return fallback;
+  return Math.min(max, Math.max(min, Math.round(num)));
+}
+
+function cleanPath(value) {
+  return typeof value === 'string' ? value.trim().slice(0, SCHEDULE_LIMITS.MAX_PATH_LENGTH) : '';
+}
+
+function lastPathSegment(p) {
+  const parts = String(p)
+    .split(/[\\/]+/)
+    .filter(Boolean);
+  return parts[parts.length - 1] || p;
+}
+
+/**
+ * Sanitize a single schedule. Returns null when it has no source folder.
+ * @param {Object} schedule - Raw schedule from the UI or settings file
+ * @returns {Object|null}
+ */
+function normalizeSchedule(schedule) {
+  if (!schedule || typeof schedule !== 'object') return null;
+  const sourceFolder = cleanPath(schedule.sourceFolder);
+  if (!sourceFolder) return null;
+
+  const action = SCHEDULE_ACTIONS.includes(schedule.action)
+    ? schedule.action
+    : SCHEDULE_DEFAULTS.action;
+  const rawThreshold = schedule.confidenceThreshold;
+  const threshold =
+    rawThreshold === null || rawThreshold === undefined || rawThreshold === ''
+      ? null
+      : Number(rawThreshold);
+  const name = typeof schedule.name === 'string' ? schedule.name.trim() : '';
+  const defaultName = `${action === 'archive' ? 'Archive' : 'Sweep'} ${lastPathSegment(sourceFolder)}`;
+
+  return {
+    id:
+      typeof schedule.id === 'string' && schedule.id.trim()
+        ? schedule.id.trim().slice(0, 64)
+        : `schedule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    name: (name || defaultName).slice(0, SCHEDULE_LIMITS.MAX_NAME_LENGTH),
+    enabled: schedule.enabled !== false,
+    action,
+    sourceFolder,
+    includeSubfolders: schedule.includeSubfolders === true,
+    confidenceThreshold:
+      threshold !== null && Number.isFinite(threshold) ? Math.min(1, Math.max(0, threshold)) : null,
+    olderThanDays: clampInteger(
+      schedule.olderThanDays,
+      1,
+      SCHEDULE_LIMITS.MAX_OLDER_THAN_DAYS,
+      SCHEDULE_DEFAULTS.olderThanDays
+    ),
+    destinationFolder: cleanPath(schedule.destinationFolder),
+    frequency: SCHEDULE_FREQUENCIES.includes(schedule.frequency)
+      ? schedule.frequency
+      : SCHEDULE_DEFAULTS.frequency,
+    time: TIME_PATTERN.test(schedule.time) ? schedule.time : SCHEDULE_DEFAULTS.time,
+    dayOfWeek: clampInteger(schedule.dayOfWeek, 0, 6, SCHEDULE_DEFAULTS.dayOfWeek),
+    dayOfMonth: clampInteger(schedule.dayOfMonth, 1, 31, SCHEDULE_DEFAULTS.dayOfMonth)
+  };
+}
+
+/**
+ * Sanitize the configured schedule list, dropping entries without a source
+ * folder and renaming duplicate ids.
+ * @param {Array} schedules - Raw schedule list
+ * @returns {Array} Sanitized schedules
+ */
+function normalizeSchedules(schedules) {
+  if (!Array.isArray(schedules)) return [];
+
+  const result = [];
+  const seenIds = new Set();
+  for (const raw of schedules.slice(0, SCHEDULE_LIMITS.MAX_SCHEDULES)) {
+    const schedule = normalizeSchedule(raw);
+    if (!schedule) continue;
+    if (seenIds.has(schedule.id)) {
+      schedule.id = `${schedule.id}-${result.length}`;
+    }
+    seenIds.add(schedule.id);
+    result.push(schedule);
+  }
+  return result;
+}
+
+/**
+ * Why a schedule cannot run, or null when it is runnable.
+ * @param {Object} schedule - Normalized schedule
+ * @returns {string|null}
+ */
+function getScheduleProblem(schedule) {
+  if (!schedule?.sourceFolder) return 'No source folder selected';
+  if (schedule.action === 'archive') {
+    if (!schedule.destinationFolder) return 'No archive folder selected';
+    const source = schedule.sourceFolder.replace(/[\\/]+$/, '').toLowerCase();
+    const destination = schedule.destinationFolder.replace(/[\\/]+$/, '').toLowerCase();
+    if (source === destination) return 'The archive folder must differ from the source folder';
+  }
+  return null;
+}
+
+const daysInMonth = (year, month) => new Date(year, month + 1, 0).getDate();
+
+/**
+ * Next time a schedule is due, strictly after `from`.
+ * Monthly schedules on days a month does not have run on its last day.
+ * @param {Object} schedule - Normalized schedule
+ * @param {Date} [from=new Date()]
+ * @returns {Date}
+ */
+function getNextRunTime(schedule, from = new Date()) {
+  const [hours, minutes] = (TIME_PATTERN.test(schedule?.time) ? schedule.time : '02:00')
+    .split(':')
+    .map(Number);
+  const start = new Date(from.getTime());
+
+  if (schedule?.frequency === 'monthly') {
+    const target = clampInteger(schedule.dayOfMonth, 1, 31, 1);
+    for (let offset = 0; offset < 3; offset++) {
+      const year = start.getFullYear();
+      const month = start.getMonth() + offset;
+      const day = Math.min(target, daysInMonth(year, month));
+      const candidate = new Date(year, month, day, hours, minutes, 0, 0);
+      if (candidate > from) return candidate;
+    }
+  }
+
+  for (let offset = 0; offset <= 7; offset++) {
+    const candidate = new Date(
+      start.getFullYear(),
+      start.getMonth(),
+      start.getDate() + offset,
+      hours,
+      minutes,
+      0,
+      0
+    );
+    if (candidate <= from) continue;
+    if (schedule?.frequency === 'weekly' && candidate.getDay() !== Number(schedule.dayOfWeek)) {
+      continue;
+    }
+    return candidate;
+  }
+  // Unreachable for valid schedules; fall back to a day later
+  return new Date(from.getTime() + 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Human-readable summary, e.g. "Every Sunday at 02:00".
+ * @param {Object} schedule
+ * @returns {string}
+ */
+function describeSchedule(schedule) {
+  const time = schedule?.time || SCHEDULE_DEFAULTS.time;
+  if (schedule?.frequency === 'daily') return `Every day at ${time}`;
+  if (schedule?.frequency === 'monthly') {
+    return `Monthly on day ${schedule.dayOfMonth || 1} at ${time}`;
+  }
+  return `Every ${DAY_NAMES[schedule?.dayOfWeek] || DAY_NAMES[0]} at ${time}`;
+}
+
+module.exports = {
+  SCHEDULE_ACTIONS,
+  SCHEDULE_FREQUENCIES,
+  SCHEDULE_LIMITS,
+  SCHEDULE_DEFAULTS,
+  DAY_NAMES,
+  normalizeSchedule,
+  normalizeSchedules,
+  getScheduleProblem,
+  getNextRunTime,
+  describeSchedule
+};
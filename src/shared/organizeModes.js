@@ -0,0 +1,86 @@
+/**
+ * Organize Modes
+ *
+ * How files are placed into a smart folder. 'move' relocates the original;
+ * 'symlink' and 'hardlink' build the folder out of links and leave the
+ * original where it is, for sources owned by other apps (sync clients,
+ * camera imports). Used by the smart folder settings, batch organize and the
+ * download watcher (see folderUtils.getOrganizeModeForPath).
+ *
+ * Batch organize also has a transfer mode for sources on removable media and
+ * camera cards: 'copy' writes a hash-verified copy and then keeps, deletes or
+ * archives the source (see main/utils/verifiedCopy).
+ *
+ * @module shared/organizeModes
+ */
+
+const ORGANIZE_MODES = Object.freeze(['move', 'symlink', 'hardlink']);
+
+const ORGANIZE_MODE_LABELS = Object.freeze({
+  move: 'Move files',
+  symlink: 'Symbolic links',
+  hardlink: 'Hard links'
+});
+
+const DEFAULT_ORGANIZE_MODE = 'move';
+
+const TRANSFER_MODES = Object.freeze(['move', 'copy']);
+
+const DEFAULT_TRANSFER_MODE = 'move';
+
+const SOURCE_RETENTION_POLICIES = Object.freeze(['keep', 'delete', 'archive']);
+
+const SOURCE_RETENTION_LABELS = Object.freeze({
+  keep: 'Keep the original',
+  delete: 'Delete the original',
+  archive: 'Move the original to an archive folder'
+});
+
+const DEFAULT_SOURCE_RETENTION = 'keep';
+
+/**
+ * @param {*} mode
+ * @returns {'move'|'symlink'|'hardlink'}
+ */
+function normalizeOrganizeMode(mode) {
+  return ORGANIZE_MODES.includes(mode) ? mode : DEFAULT_ORGANIZE_MODE;
+}
+
+/**
+ * @param {string} mode
+ * @returns {boolean} True when files are linked rather than moved
+ */
+function isLinkOrganizeMode(mode) {
+  return mode === 'symlink' || mode === 'hardlink';
+}
+
+/**
+ * @param {*} mode
+ * @returns {'move'|'copy'}
+ */
+function normalizeTransferMode(mode) {
+  return TRANSFER_MODES.includes(mode) ? mode : DEFAULT_TRANSFER_MODE;
+}
+
+/**
+ * @param {*} policy
+ * @returns {'keep'|'delete'|'archive'}
+ */
+function normalizeSourceRetention(policy) {
+  return SOURCE_RETENTION_POLICIES.includes(policy) ? policy : DEFAULT_SOURCE_RETENTION;
+}
+
+module.exports = {
+  ORGANIZE_MODES,
+  ORGANIZE_MODE_LABELS,
+  DEFAULT_ORGANIZE_MODE,
+  TRANSFER_MODES,
+  DEFAULT_TRANSFER_MODE,
+  SOURCE_RETENTION_POLICIES,
+  SOURCE_RETENTION_LABELS,
+  DEFAULT_SOURCE_RETENTION,
+  normalizeOrganizeMode,
+  isLinkOrganizeMode,
+  normalizeTransferMode,
+  normalizeSourceRetention
+};
@@ -251,7 +251,7 @@ const LIMITS = {
   MAX_UNDO_STACK: 50,
   MAX_QUEUE_SIZE: 10000,
   MAX_DEAD_LETTER_SIZE: 1000,
-  MAX_HISTORY_ENTRIES: 10000,
+  MAX_HISTORY_ENTRIES: 500000,
   MAX_TOP_K: 100,
   MAX_XLSX_ROWS: 10000,
   MAX_IPC_REQUESTS_PER_SECOND: 200,
@@ -0,0 +1,44 @@
+/**
+ * Saved Searches
+ *
+ * Shared modes and limits for saved searches (smart collections). Used by
+ * the store in the main process, IPC validation and the renderer's
+ * collection sidebar.
+ *
+ * @module shared/savedSearches
+ */
+
+const SAVED_SEARCH_MODES = Object.freeze(['hybrid', 'vector', 'bm25']);
+
+const SAVED_SEARCH_MODE_LABELS = Object.freeze({
+  hybrid: 'Hybrid',
+  vector: 'Semantic',
+  bm25: 'Keyword'
+});
+
+const SAVED_SEARCH_LIMITS = Object.freeze({
+  MAX_SEARCHES: 50,
+  MAX_NAME_LENGTH: 80,
+  MAX_QUERY_LENGTH: 500,
+  // Matches kept per collection; also the topK of each refresh
+  MAX_MATCHES: 50
+});
+
+/**
+ * Clean a collection name: collapses whitespace and caps the length.
+ * @param {*} name
+ * @returns {string}
+ */
+function normalizeSavedSearchName(name) {
+  return String(name || '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, SAVED_SEARCH_LIMITS.MAX_NAME_LENGTH);
+}
+
+module.exports = {
+  SAVED_SEARCH_MODES,
+  SAVED_SEARCH_MODE_LABELS,
+  SAVED_SEARCH_LIMITS,
+  normalizeSavedSearchName
+};
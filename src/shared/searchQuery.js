@@ -0,0 +1,409 @@
+/**
+ * Search Query Syntax
+ *
+ * Parser and matcher for the structured query language accepted by the
+ * search box. Parsing happens in the main process (SearchService) so the
+ * CLI, REST API and renderer all behave the same; the renderer only uses
+ * the field list and the active-token helper for autocomplete.
+ *
+ * Supported syntax:
+ *   type:pdf  folder:"Taxes"  entity:acme  tag:urgent
+ *   before:2024-06-01  after:2024  size:>10mb  confidence:<70
+ *   "exact phrase"  -exclusion  -type:zip  type:pdf OR type:docx
+ *
+ * Field filters, quoted phrases and exclusions narrow the candidate set;
+ * the remaining words (plus phrases) are ranked by BM25 and vector search.
+ * OR joins the filters on either side of it; adjacent filters are ANDed.
+ *
+ * @module shared/searchQuery
+ */
+
+const { formatBytes } = require('./smartFolderRules');
+
+const SEARCH_QUERY_FIELDS = Object.freeze([
+  { name: 'type', description: 'File extension or kind', example: 'type:pdf' },
+  { name: 'folder', description: 'Folder the file is in', example: 'folder:"Taxes"' },
+  { name: 'entity', description: 'Company or person', example: 'entity:acme' },
+  { name: 'tag', description: 'Your tags or analysis tags', example: 'tag:urgent' },
+  { name: 'before', description: 'Dated before', example: 'before:2024-06-01' },
+  { name: 'after', description: 'Dated after', example: 'after:2023-12' },
+  { name: 'size', description: 'File size', example: 'size:>10mb' },
+  { name: 'confidence', description: 'Analysis confidence', example: 'confidence:<70' }
+]);
+
+const FIELD_NAMES = new Set(SEARCH_QUERY_FIELDS.map((f) => f.name));
+
+// Fields whose values are looked up from the index for autocomplete
+const SEARCH_QUERY_VALUE_FIELDS = Object.freeze(['type', 'folder', 'entity', 'tag']);
+
+// Broad kinds accepted by type: besides extensions
+const TYPE_KINDS = Object.freeze({
+  image: ['jpg', 'jpeg', 'png', 'gif', 'webp', 'bmp', 'tif', 'tiff', 'heic', 'svg'],
+  video: ['mp4', 'mov', 'mkv', 'avi', 'webm', 'm4v'],
+  audio: ['mp3', 'wav', 'm4a', 'flac', 'ogg', 'aac'],
+  document: ['pdf', 'doc', 'docx', 'odt', 'rtf', 'txt', 'md'],
+  spreadsheet: ['xls', 'xlsx', 'ods', 'csv'],
+  presentation: ['ppt', 'pptx', 'odp'],
+  archive: ['zip', 'rar', '7z', 'tar', 'gz']
+});
+
+const COMPARISON_PATTERN = /^(>=|<=|>|<|=)?\s*(\d+(?:\.\d+)?)\s*([a-z%]*)$/i;
+const SIZE_UNITS = {
+  '': 1,
+  b: 1,
+  k: 1024,
+  kb: 1024,
+  m: 1024 ** 2,
+  mb: 1024 ** 2,
+  g: 1024 ** 3,
+  gb: 1024 ** 3
+};
+const DATE_PATTERN = /^(\d{4})(?:[-/](\d{1,2}))?(?:[-/](\d{1,2}))?$/;
+
+/**
+ * Split a query into tokens, keeping their positions for autocomplete.
+ * @param {string} query
+ * @returns {Array<{kind: 'term'|'phrase'|'field'|'or', value: string, field?: string,
+ *   negate: boolean, quoted: boolean, start: number, end: number}>}
+ */
+function tokenizeSearchQuery(query) {
+  const tokens = [];
+  if (typeof query !== 'string') return tokens;
+  const pattern = /(-?)(?:"([^"]*)"?|([A-Za-z]+):(?:"([^"]*)"?|(\S*))|(\S+))/g;
+  let match;
+  while ((match = pattern.exec(query)) !== null) {
+    const [raw, minus, phrase, fieldName, quotedValue, plainValue, word] = match;
+    const start = match.index;
+    const end = start + raw.length;
+    const negate = minus === '-';
+
+    if (phrase !== undefined) {
+      tokens.push({ kind: 'phrase', value: phrase, negate, quoted: true, start, end });
+    } else if (fieldName !== undefined && FIELD_NAMES.has(fieldName.toLowerCase())) {
+      tokens.push({
+        kind: 'field',
+        field: fieldName.toLowerCase(),
+        value: quotedValue ?? plainValue,
+        negate,
+        quoted: quotedValue !== undefined,
+        start,
+        end
+      });
+    } else if (!negate && (word ?? raw) === 'OR') {
+      tokens.push({ kind: 'or', value: 'OR', negate: false, quoted: false, start, end });
+    } else {
+      // Unknown "field:" prefixes (times, URLs) are ordinary words
+      const value = word ?? raw.slice(minus.length);
+      tokens.push({
+        kind: 'term',
+        value,
+        negate: negate && value.length > 0,
+        quoted: false,
+        start,
+        end
+      });
+    }
+  }
+  return tokens;
+}
+
+function parseComparison(value, units) {
+  const match = COMPARISON_PATTERN.exec(value.trim());
+  if (!match) return null;
+  const unit = match[3].toLowerCase();
+  const scale = units ? units[unit] : unit === '' || unit === '%' ? 1 : undefined;
+  if (scale === undefined) return null;
+  return { op: match[1] || '>=', number: Number(match[2]) * scale };
+}
+
+/**
+ * Parse YYYY, YYYY-MM or YYYY-MM-DD into the [start, end) range it covers (UTC).
+ * @returns {{start: number, end: number}|null}
+ */
+function parseDateRange(value) {
+  const match = DATE_PATTERN.exec(value.trim());
+  if (!match) return null;
+  const year = Number(match[1]);
+  const month = match[2] ? Number(match[2]) - 1 : null;
+  const day = match[3] ? Number(match[3]) : null;
+  if (month !== null && (month < 0 || month > 11)) return null;
+  if (day !== null && (day < 1 || day > 31)) return null;
+
+  if (month === null) return { start: Date.UTC(year, 0, 1), end: Date.UTC(year + 1, 0, 1) };
+  if (day === null) return { start: Date.UTC(year, month, 1), end: Date.UTC(year, month + 1, 1) };
+  const start = Date.UTC(year, month, day);
+  if (new Date(start).getUTCDate() !== day) return null;
+  return { start, end: start + 24 * 60 * 60 * 1000 };
+}
+
+/**
+ * Turn a field token into a filter clause.
+ * @returns {{clause?: Object, error?: string}}
+ */
+function buildFieldClause(token) {
+  const value = token.value.trim();
+  const base = { kind: 'field', field: token.field, negate: token.negate, raw: value };
+
+  switch (token.field) {
+    case 'type': {
+      const type = value.toLowerCase().replace(/^\.+/, '');
+      return type ? { clause: { ...base, value: type } } : { error: 'type needs a value' };
+    }
+    case 'folder':
+    case 'entity':
+      return { clause: { ...base, value: value.toLowerCase() } };
+    case 'tag': {
+      const tag = value.replace(/^#+/, '').trim().toLowerCase();
+      return tag ? { clause: { ...base, value: tag } } : { error: 'tag needs a value' };
+    }
+    case 'before':
+    case 'after': {
+      const range = parseDateRange(value);
+      if (!range) return { error: `${token.field} expects a date like 2024-06-01` };
+      // before: strictly earlier than the period; after: strictly later than it
+      return {
+        clause:
+          token.field === 'before'
+            ? { ...base, op: '<', value: range.start }
+            : { ...base, op: '>=', value: range.end }
+      };
+    }
+    case 'size': {
+      const comparison = parseComparison(value, SIZE_UNITS);
+      if (!comparison) return { error: 'size expects a value like >10mb' };
+      return { clause: { ...base, op: comparison.op, value: comparison.number } };
+    }
+    case 'confidence': {
+      const comparison = parseComparison(value, null);
+      if (!comparison || comparison.number > 100) {
+        return { error: 'confidence expects a value like <70' };
+      }
+      return { clause: { ...base, op: comparison.op, value: comparison.number } };
+    }
+    default:
+      return { error: `Unknown field ${token.field}` };
+  }
+}
+
+/**
+ * Parse a search box query.
+ *
+ * @param {string} query
+ * @returns {{
+ *   text: string,
+ *   groups: Array<Array<Object>>,
+ *   errors: Array<{token: string, message: string}>,
+ *   hasSyntax: boolean
+ * }} `text` is what gets ranked; every group must have at least one matching
+ *   clause. `hasSyntax` is false for plain queries, which search as before.
+ */
+function parseSearchQuery(query) {
+  const tokens = tokenizeSearchQuery(query);
+  const textParts = [];
+  const groups = [];
+  const errors = [];
+  let hasSyntax = false;
+  let joinNext = false;
+
+  const addClause = (clause) => {
+    if (joinNext && groups.length > 0) groups[groups.length - 1].push(clause);
+    else groups.push([clause]);
+    joinNext = false;
+  };
+
+  for (const token of tokens) {
+    if (token.kind === 'or') {
+      joinNext = groups.length > 0;
+      continue;
+    }
+
+    if (token.kind === 'term' && !token.negate) {
+      if (token.value) textParts.push(token.value);
+      // OR between plain words is already how ranking treats them
+      joinNext = false;
+      continue;
+    }
+
+    hasSyntax = true;
+    if (token.kind === 'term' || token.kind === 'phrase') {
+      const value = token.value.replace(/\s+/g, ' ').trim();
+      if (!value) continue;
+      if (!token.negate) textParts.push(value);
+      addClause({ kind: 'text', value: value.toLowerCase(), negate: token.negate, raw: value });
+      continue;
+    }
+
+    // Unfinished field while typing ("type:") - ignore quietly
+    if (!token.value.trim()) continue;
+    const { clause, error } = buildFieldClause(token);
+    if (clause) addClause(clause);
+    else errors.push({ token: query.slice(token.start, token.end), message: error });
+  }
+
+  return {
+    text: textParts.join(' ').trim(),
+    groups,
+    errors,
+    hasSyntax
+  };
+}
+
+function compare(actual, op, expected) {
+  if (!Number.isFinite(actual)) return false;
+  switch (op) {
+    case '>':
+      return actual > expected;
+    case '>=':
+      return actual >= expected;
+    case '<':
+      return actual < expected;
+    case '<=':
+      return actual <= expected;
+    default:
+      return actual === expected;
+  }
+}
+
+function matchesType(record, type) {
+  const extension = String(record.extension || '').toLowerCase();
+  if (extension === type) return true;
+  if (TYPE_KINDS[type]?.includes(extension)) return true;
+  const mime = String(record.mimeType || '').toLowerCase();
+  if (mime && (mime === type || mime.startsWith(`${type}/`))) return true;
+  return String(record.documentType || '').toLowerCase() === type;
+}
+
+function matchesFolder(record, folder) {
+  const filePath = String(record.path || '')
+    .replace(/\\/g, '/')
+    .toLowerCase();
+  const parent = filePath.slice(0, filePath.lastIndexOf('/'));
+  const wanted = folder.replace(/\\/g, '/').replace(/\/+$/, '');
+  if (wanted.includes('/')) return parent.includes(wanted);
+  return parent.split('/').includes(wanted);
+}
+
+function matchesClause(record, clause) {
+  switch (clause.kind === 'text' ? 'text' : clause.field) {
+    case 'text':
+      return String(record.text || '').includes(clause.value);
+    case 'type':
+      return matchesType(record, clause.value);
+    case 'folder':
+      return matchesFolder(record, clause.value);
+    case 'entity':
+      return [record.entity, ...(record.keyEntities || [])].some((entity) =>
+        String(entity || '')
+          .toLowerCase()
+          .includes(clause.value)
+      );
+    case 'tag':
+      return [...(record.userTags || []), ...(record.tags || [])].some(
+        (tag) => String(tag).toLowerCase() === clause.value
+      );
+    case 'before':
+    case 'after':
+      return compare(record.date, clause.op, clause.value);
+    case 'size':
+      return compare(record.size, clause.op, clause.value);
+    case 'confidence':
+      return compare(record.confidence, clause.op, clause.value);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Check a file against parsed filter groups.
+ *
+ * @param {Object} record - Flattened file metadata
+ * @param {string} [record.path]
+ * @param {string} [record.extension] - Without the dot
+ * @param {string} [record.mimeType]
+ * @param {string} [record.documentType]
+ * @param {string} [record.entity]
+ * @param {string[]} [record.keyEntities]
+ * @param {string[]} [record.tags]
+ * @param {string[]} [record.userTags]
+ * @param {number} [record.date] - Timestamp (ms)
+ * @param {number} [record.size] - Bytes
+ * @param {number} [record.confidence] - 0-100
+ * @param {string} [record.text] - Lowercased searchable text for phrases and exclusions
+ * @param {Array<Array<Object>>} groups - From parseSearchQuery
+ * @returns {boolean}
+ */
+function matchesSearchFilters(record, groups) {
+  if (!Array.isArray(groups) || groups.length === 0) return true;
+  return groups.every((group) =>
+    group.some((clause) => matchesClause(record, clause) !== Boolean(clause.negate))
+  );
+}
+
+function describeClause(clause) {
+  const not = clause.negate ? 'not ' : '';
+  switch (clause.kind === 'text' ? 'text' : clause.field) {
+    case 'text':
+      return clause.negate ? `without "${clause.raw}"` : `contains "${clause.raw}"`;
+    case 'before':
+    case 'after':
+      return `${not}${clause.field} ${clause.raw}`;
+    case 'size':
+      return `size ${not}${clause.op} ${formatBytes(clause.value)}`;
+    case 'confidence':
+      return `confidence ${not}${clause.op} ${clause.value}%`;
+    default:
+      return `${clause.field} ${not}${clause.raw}`;
+  }
+}
+
+/**
+ * Human-readable filter summary, one entry per group.
+ * @param {Array<Array<Object>>} groups
+ * @returns {string[]}
+ */
+function describeSearchFilters(groups) {
+  return (groups || []).map((group) => group.map(describeClause).join(' or '));
+}
+
+/**
+ * The token being typed at the end of the query, for autocomplete.
+ * @param {string} query
+ * @returns {{start: number, field: string|null, value: string, negate: boolean}|null}
+ *   null when the query is empty or ends with whitespace
+ */
+function getActiveQueryToken(query) {
+  if (typeof query !== 'string' || !query || /\s$/.test(query)) return null;
+  const tokens = tokenizeSearchQuery(query);
+  const last = tokens[tokens.length - 1];
+  if (!last || last.end !== query.length || last.kind === 'or' || last.kind === 'phrase') {
+    return null;
+  }
+  return {
+    start: last.start,
+    field: last.kind === 'field' ? last.field : null,
+    value: last.kind === 'field' ? last.value : last.value.replace(/^-/, ''),
+    negate: last.negate
+  };
+}
+
+/**
+ * Format a field value for insertion, quoting values with spaces.
+ * @param {string} field
+ * @param {string} value
+ * @returns {string}
+ */
+function formatFieldToken(field, value) {
+  const text = String(value);
+  return /[\s"]/.test(text) ? `${field}:"${text.replace(/"/g, '')}"` : `${field}:${text}`;
+}
+
+module.exports = {
+  SEARCH_QUERY_FIELDS,
+  SEARCH_QUERY_VALUE_FIELDS,
+  tokenizeSearchQuery,
+  parseSearchQuery,
+  matchesSearchFilters,
+  describeSearchFilters,
+  getActiveQueryToken,
+  formatFieldToken
+};
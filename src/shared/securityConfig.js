@@ -203,9 +203,15 @@ const SETTINGS_VALIDATION = {
     'textModel',
     'visionModel',
     'embeddingModel',
+    'textProvider',
+    'visionProvider',
+    'embeddingProvider',
+    'openaiCompatibleHost',
+    'openaiCompatibleApiKey',
     // Embedding workflow controls
     'embeddingTiming',
     'defaultEmbeddingPolicy',
+    'vectorStoreBackend',
     'chatPersona',
     'chatResponseMode',
     // Dependency lifecycle consent + UX cadence
@@ -216,7 +222,11 @@ const SETTINGS_VALIDATION = {
     'dependencyWizardPromptIntervalDays',
     'launchOnStartup',
     'autoOrganize',
+    'inboxFolders',
+    'organizationSchedules',
     'backgroundMode',
+    'localApiEnabled',
+    'localApiPort',
     'language',
     'loggingLevel',
     'cacheSize',
@@ -232,6 +242,10 @@ const SETTINGS_VALIDATION = {
     'lastBrowsedPath',
     'confidenceThreshold',
     'smartFolderRoutingMode',
+    'smartFolderRuleMode',
+    'routingClassifierEnabled',
+    'organizeTransferMode',
+    'copySourceRetention',
     // Naming convention settings
     'namingConvention',
     'dateFormat',
@@ -313,7 +327,11 @@ const ALLOWED_METADATA_FIELDS = [
   'extractionMethod',
   'keyEntities',
   'dates',
-  'reasoning'
+  'reasoning',
+  // Video keyframe thumbnail for search results
+  'thumbnailPath',
+  // Sensitivity level; chat leaves out the text of sensitive files
+  'sensitivity'
 ];
 
 /**
@@ -350,7 +368,11 @@ const ALLOWED_RECEIVE_CHANNELS = [
   'dependencies:service-status-changed', // FIX: Missing channel for dependency status updates
   'notification', // Toast notifications from main process
   'undo-redo:state-changed', // FIX: Undo/redo state change notifications
-  'batch-results-chunk' // FIX: Batch results streaming for progressive UI updates
+  'batch-results-chunk', // FIX: Batch results streaming for progressive UI updates
+  'chat:stream-event', // Streamed chat answer tokens and retrieved sources
+  'duplicates:scan-progress', // Background duplicate scan progress and completion
+  'schedules:run-complete', // Scheduled organization run finished or was undone
+  'saved-searches:changed' // Saved searches edited or refreshed after indexing
 ];
 
 /**
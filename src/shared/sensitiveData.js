@@ -0,0 +1,437 @@
+/**
+ * Sensitive Data Detection
+ *
+ * Finds personal identifiers in extracted document text and OCR output:
+ * US social security numbers, payment card numbers, bank account details,
+ * passport numbers and machine readable zones, and medical record language.
+ * Candidates are checked with the identifier's own validation rules (Luhn,
+ * SSN number ranges, IBAN mod-97, ABA routing checksum, ICAO 9303 check digits)
+ * and with nearby keywords. Matches that pass both are reported as confident;
+ * the rest need confirmation (see main/analysis/sensitiveDataDetector).
+ *
+ * Raw values never leave this module: results carry categories, counts and
+ * masked samples only.
+ *
+ * @module shared/sensitiveData
+ */
+
+const SENSITIVE_CATEGORIES = {
+  SSN: 'ssn',
+  CREDIT_CARD: 'credit_card',
+  BANK_ACCOUNT: 'bank_account',
+  PASSPORT: 'passport',
+  MEDICAL: 'medical'
+};
+
+const SENSITIVE_CATEGORY_LABELS = {
+  [SENSITIVE_CATEGORIES.SSN]: 'Social Security number',
+  [SENSITIVE_CATEGORIES.CREDIT_CARD]: 'Card number',
+  [SENSITIVE_CATEGORIES.BANK_ACCOUNT]: 'Bank account',
+  [SENSITIVE_CATEGORIES.PASSPORT]: 'Passport',
+  [SENSITIVE_CATEGORIES.MEDICAL]: 'Medical record'
+};
+
+const SENSITIVITY_LEVELS = {
+  NONE: 'none',
+  LOW: 'low',
+  MEDIUM: 'medium',
+  HIGH: 'high'
+};
+
+const LEVEL_ORDER = [
+  SENSITIVITY_LEVELS.NONE,
+  SENSITIVITY_LEVELS.LOW,
+  SENSITIVITY_LEVELS.MEDIUM,
+  SENSITIVITY_LEVELS.HIGH
+];
+
+// Identity and financial identifiers are high; medical language is medium
+const CATEGORY_LEVELS = {
+  [SENSITIVE_CATEGORIES.SSN]: SENSITIVITY_LEVELS.HIGH,
+  [SENSITIVE_CATEGORIES.CREDIT_CARD]: SENSITIVITY_LEVELS.HIGH,
+  [SENSITIVE_CATEGORIES.BANK_ACCOUNT]: SENSITIVITY_LEVELS.HIGH,
+  [SENSITIVE_CATEGORIES.PASSPORT]: SENSITIVITY_LEVELS.HIGH,
+  [SENSITIVE_CATEGORIES.MEDICAL]: SENSITIVITY_LEVELS.MEDIUM
+};
+
+const DETECTION_LIMITS = {
+  // Identifiers in very long documents are almost always near the start
+  MAX_SCAN_CHARS: 200000,
+  MAX_SAMPLES: 3,
+  CONTEXT_WINDOW: 80
+};
+
+const CONTEXT_PATTERNS = {
+  [SENSITIVE_CATEGORIES.SSN]: /\b(ssn|social\s+security|soc\.?\s*sec|taxpayer\s+id|tin)\b/i,
+  [SENSITIVE_CATEGORIES.CREDIT_CARD]:
+    /\b(card|credit|debit|visa|master\s?card|amex|american\s+express|discover|expir\w*|exp\.?|cvv|cvc)\b/i,
+  [SENSITIVE_CATEGORIES.BANK_ACCOUNT]:
+    /\b(routing|aba|rtn|account|acct|iban|bank|checking|savings|direct\s+deposit)\b/i,
+  [SENSITIVE_CATEGORIES.PASSPORT]: /\bpassport\b/i
+};
+
+const MEDICAL_TERMS = [
+  'diagnosis',
+  'diagnosed',
+  'patient',
+  'medical record',
+  'prescription',
+  'prescribed',
+  'dosage',
+  'medication',
+  'allergies',
+  'physician',
+  'treatment plan',
+  'discharge summary',
+  'lab results',
+  'blood pressure',
+  'icd-10',
+  'cpt code',
+  'hipaa',
+  'health insurance',
+  'date of service',
+  'attending',
+  'clinical notes',
+  'radiology'
+];
+
+const MRN_PATTERN =
+  /\b(?:mrn|medical\s+record\s+(?:no\.?|number|#))\s*[:#]?\s*[a-z]{0,3}\d{5,10}\b/i;
+
+function luhnValid(digits) {
+  let sum = 0;
+  let double = false;
+  for (let i = digits.length - 1; i >= 0; i -= 1) {
+    let d = digits.charCodeAt(i) - 48;
+    if (double) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+    double = !double;
+  }
+  return sum % 10 === 0;
+}
+
+// Issuer prefixes for the major networks; random digit runs rarely match both these and Luhn
+function hasCardIssuerPrefix(digits) {
+  const two = Number(digits.slice(0, 2));
+  const four = Number(digits.slice(0, 4));
+  const six = Number(digits.slice(0, 6));
+  const { length } = digits;
+  if (digits[0] === '4') return [13, 16, 19].includes(length);
+  if ((two >= 51 && two <= 55) || (four >= 2221 && four <= 2720)) return length === 16;
+  if (two === 34 || two === 37) return length === 15;
+  if (four === 6011 || two === 65 || (six >= 644000 && six <= 649999)) {
+    return length >= 16 && length <= 19;
+  }
+  if (four >= 3528 && four <= 3589) return length >= 16 && length <= 19;
+  if (two === 36 || two === 38 || (four >= 3000 && four <= 3059)) {
+    return length >= 14 && length <= 19;
+  }
+  return false;
+}
+
+function isValidCardNumber(value) {
+  const digits = String(value || '').replace(/[\s-]/g, '');
+  if (!/^\d{13,19}$/.test(digits)) return false;
+  if (/^(\d)\1+$/.test(digits)) return false;
+  return hasCardIssuerPrefix(digits) && luhnValid(digits);
+}
+
+function isValidSsn(value) {
+  const match = /^(\d{3})[- ]?(\d{2})[- ]?(\d{4})$/.exec(String(value || '').trim());
+  if (!match) return false;
+  const [, area, group, serial] = match;
+  if (area === '000' || area === '666' || area[0] === '9') return false;
+  if (group === '00' || serial === '0000') return false;
+  // Published sample numbers that turn up in templates and examples
+  return !['078051120', '219099999', '123456789'].includes(area + group + serial);
+}
+
+function isValidIban(value) {
+  const iban = String(value || '')
+    .replace(/\s+/g, '')
+    .toUpperCase();
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban)) return false;
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  let remainder = 0;
+  for (const ch of rearranged) {
+    const code = ch >= 'A' && ch <= 'Z' ? String(ch.charCodeAt(0) - 55) : ch;
+    for (const digit of code) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+  return remainder === 1;
+}
+
+function isValidRoutingNumber(value) {
+  const digits = String(value || '');
+  if (!/^\d{9}$/.test(digits)) return false;
+  // First two digits are a Federal Reserve district (thrift and electronic ranges included)
+  const prefix = Number(digits.slice(0, 2));
+  const validPrefix =
+    prefix <= 12 ||
+    (prefix >= 21 && prefix <= 32) ||
+    (prefix >= 61 && prefix <= 72) ||
+    prefix === 80;
+  if (!validPrefix || /^0+$/.test(digits)) return false;
+  const d = digits.split('').map(Number);
+  const sum = 3 * (d[0] + d[3] + d[6]) + 7 * (d[1] + d[4] + d[7]) + (d[2] + d[5] + d[8]);
+  return sum % 10 === 0;
+}
+
+function mrzCheckDigit(field) {
+  const weights = [7, 3, 1];
+  let sum = 0;
+  for (let i = 0; i < field.length; i += 1) {
+    const ch = field[i];
+    let value = 0;
+    if (ch >= '0' && ch <= '9') value = Number(ch);
+    else if (ch >= 'A' && ch <= 'Z') value = ch.charCodeAt(0) - 55;
+    sum += value * weights[i % 3];
+  }
+  return sum % 10;
+}
+
+/**
+ * Validate the second line of a TD3 (passport) machine readable zone: the
+ * document number, birth date and expiry date each carry a check digit.
+ */
+function isValidPassportMrzLine(line) {
+  const mrz = String(line || '')
+    .replace(/\s+/g, '')
+    .toUpperCase();
+  if (!/^[A-Z0-9<]{44}$/.test(mrz)) return false;
+  const check = (start, end, digitAt) =>
+    /\d/.test(mrz[digitAt]) && mrzCheckDigit(mrz.slice(start, end)) === Number(mrz[digitAt]);
+  return check(0, 9, 9) && check(13, 19, 19) && check(21, 27, 27);
+}
+
+function maskValue(value) {
+  const compact = String(value || '').replace(/[\s-]/g, '');
+  if (compact.length <= 4) return '****';
+  return `${'*'.repeat(Math.min(compact.length - 4, 12))}${compact.slice(-4)}`;
+}
+
+function hasContext(text, index, length, category) {
+  const pattern = CONTEXT_PATTERNS[category];
+  if (!pattern) return false;
+  const start = Math.max(0, index - DETECTION_LIMITS.CONTEXT_WINDOW);
+  const end = Math.min(text.length, index + length + DETECTION_LIMITS.CONTEXT_WINDOW);
+  return pattern.test(text.slice(start, end));
+}
+
+function createFinding(category) {
+  return { category, count: 0, confident: false, samples: [] };
+}
+
+function addMatch(finding, value, confident) {
+  finding.count += 1;
+  finding.confident = finding.confident || confident;
+  const masked = maskValue(value);
+  if (finding.samples.length < DETECTION_LIMITS.MAX_SAMPLES && !finding.samples.includes(masked)) {
+    finding.samples.push(masked);
+  }
+}
+
+function scanSsns(text) {
+  const finding = createFinding(SENSITIVE_CATEGORIES.SSN);
+  const pattern = /(?<![\d-])(\d{3})([- ]?)(\d{2})\2(\d{4})(?![\d-])/g;
+  for (const match of text.matchAll(pattern)) {
+    if (!isValidSsn(match[0])) continue;
+    const context = hasContext(text, match.index, match[0].length, finding.category);
+    // Unformatted nine-digit runs are only SSNs when the text says so
+    if (!match[2] && !context) continue;
+    addMatch(finding, match[0], context || match[2] === '-');
+  }
+  return finding;
+}
+
+function scanCards(text) {
+  const finding = createFinding(SENSITIVE_CATEGORIES.CREDIT_CARD);
+  const pattern = /(?<![\d-])\d(?:[ -]?\d){12,18}(?![\d-])/g;
+  for (const match of text.matchAll(pattern)) {
+    if (!isValidCardNumber(match[0])) continue;
+    addMatch(finding, match[0], hasContext(text, match.index, match[0].length, finding.category));
+  }
+  return finding;
+}
+
+function scanBankAccounts(text) {
+  const finding = createFinding(SENSITIVE_CATEGORIES.BANK_ACCOUNT);
+  const ibanPattern = /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,4})?\b/g;
+  for (const match of text.matchAll(ibanPattern)) {
+    if (isValidIban(match[0])) addMatch(finding, match[0], true);
+  }
+  const routingPattern = /(?<![\d-])\d{9}(?![\d-])/g;
+  for (const match of text.matchAll(routingPattern)) {
+    if (!isValidRoutingNumber(match[0])) continue;
+    if (!hasContext(text, match.index, match[0].length, finding.category)) continue;
+    addMatch(finding, match[0], true);
+  }
+  // Account numbers have no checksum; the label alone makes them a candidate
+  const accountPattern =
+    /\b(?:account|acct)\.?\s*(?:no\.?|number|#)?\s*[:#]?\s*(\d[\d-]{5,16}\d)\b/gi;
+  for (const match of text.matchAll(accountPattern)) {
+    addMatch(finding, match[1], false);
+  }
+  return finding;
+}
+
+function scanPassports(text) {
+  const finding = createFinding(SENSITIVE_CATEGORIES.PASSPORT);
+  const lines = text.split(/\r?\n/).map((line) => line.replace(/\s+/g, '').toUpperCase());
+  for (let i = 0; i < lines.length - 1; i += 1) {
+    if (/^P[A-Z<][A-Z<]{3}[A-Z<]{39}$/.test(lines[i]) && isValidPassportMrzLine(lines[i + 1])) {
+      addMatch(finding, lines[i + 1].slice(0, 9).replace(/</g, ''), true);
+    }
+  }
+  const numberPattern = /\bpassport\s*(?:no\.?|number|#)?\s*[:#]?\s*([A-Z0-9]{6,9})\b/gi;
+  for (const match of text.matchAll(numberPattern)) {
+    if (/\d/.test(match[1])) addMatch(finding, match[1], false);
+  }
+  return finding;
+}
+
+function scanMedical(text) {
+  const finding = createFinding(SENSITIVE_CATEGORIES.MEDICAL);
+  const lower = text.toLowerCase();
+  const terms = MEDICAL_TERMS.filter((term) => lower.includes(term));
+  const mrn = MRN_PATTERN.exec(text);
+  if (mrn) {
+    addMatch(finding, mrn[0].replace(/\D/g, ''), terms.length >= 2);
+  }
+  if (terms.length >= 3) {
+    finding.count = Math.max(finding.count, terms.length);
+    finding.confident = finding.confident || terms.length >= 6;
+  }
+  return finding;
+}
+
+function compareLevels(a, b) {
+  return LEVEL_ORDER.indexOf(a || SENSITIVITY_LEVELS.NONE) - LEVEL_ORDER.indexOf(b);
+}
+
+function getLevelForFindings(findings) {
+  let level = SENSITIVITY_LEVELS.NONE;
+  for (const finding of findings) {
+    const findingLevel = finding.confident
+      ? CATEGORY_LEVELS[finding.category]
+      : SENSITIVITY_LEVELS.LOW;
+    if (compareLevels(findingLevel, level) > 0) level = findingLevel;
+  }
+  return level;
+}
+
+function summarizeFindings(findings) {
+  const confirmed = findings.filter((finding) => finding.confident);
+  return {
+    level: getLevelForFindings(findings),
+    categories: confirmed.map((finding) => finding.category),
+    findings,
+    needsConfirmation: findings.some((finding) => !finding.confident)
+  };
+}
+
+/**
+ * Scan text for sensitive identifiers.
+ *
+ * @param {string} text - Extracted document or OCR text
+ * @returns {{level: string, categories: string[], findings: Array<{category: string, count: number, confident: boolean, samples: string[]}>, needsConfirmation: boolean}}
+ */
+function detectSensitiveData(text) {
+  if (typeof text !== 'string' || text.trim().length === 0) {
+    return summarizeFindings([]);
+  }
+  const scanText = text.slice(0, DETECTION_LIMITS.MAX_SCAN_CHARS);
+  const findings = [
+    scanSsns(scanText),
+    scanCards(scanText),
+    scanBankAccounts(scanText),
+    scanPassports(scanText),
+    scanMedical(scanText)
+  ].filter((finding) => finding.count > 0);
+  return summarizeFindings(findings);
+}
+
+/**
+ * Merge a confirmation pass into a detection: confirmed categories become
+ * confident, rejected candidates are dropped. Confident findings are kept.
+ *
+ * @param {Object} detection - Result of detectSensitiveData
+ * @param {string[]} confirmedCategories - Categories the confirmation pass agreed with
+ * @returns {Object} Updated detection
+ */
+function applyConfirmation(detection, confirmedCategories) {
+  const confirmed = new Set(Array.isArray(confirmedCategories) ? confirmedCategories : []);
+  const findings = (detection?.findings || [])
+    .filter((finding) => finding.confident || confirmed.has(finding.category))
+    .map((finding) => ({ ...finding, confident: true }));
+  return summarizeFindings(findings);
+}
+
+function isSensitiveLevel(level) {
+  return compareLevels(level, SENSITIVITY_LEVELS.MEDIUM) >= 0;
+}
+
+function getSensitivityLevel(analysis) {
+  const level = analysis?.sensitivity?.level;
+  return LEVEL_ORDER.includes(level) ? level : SENSITIVITY_LEVELS.NONE;
+}
+
+function isSensitiveAnalysis(analysis) {
+  return isSensitiveLevel(getSensitivityLevel(analysis));
+}
+
+function getSecureFolders(smartFolders) {
+  return (Array.isArray(smartFolders) ? smartFolders : []).filter(
+    (folder) => folder && folder.secure === true
+  );
+}
+
+/**
+ * Smart folders a file may be routed to: sensitive files only go to folders
+ * marked secure, everything else can go anywhere.
+ */
+function restrictFoldersForSensitivity(smartFolders, analysis) {
+  if (!isSensitiveAnalysis(analysis)) {
+    return Array.isArray(smartFolders) ? smartFolders : [];
+  }
+  return getSecureFolders(smartFolders);
+}
+
+function describeSensitivity(sensitivity) {
+  const categories = Array.isArray(sensitivity?.categories) ? sensitivity.categories : [];
+  return categories.map((category) => SENSITIVE_CATEGORY_LABELS[category] || category).join(', ');
+}
+
+/**
+ * Review explanation for a sensitive file that has no secure folder to go to.
+ */
+function getSensitiveReviewReason(analysis) {
+  const described = describeSensitivity(analysis?.sensitivity);
+  return `Sensitive document${described ? ` (${described})` : ''}: no secure smart folder configured`;
+}
+
+module.exports = {
+  SENSITIVE_CATEGORIES,
+  SENSITIVE_CATEGORY_LABELS,
+  SENSITIVITY_LEVELS,
+  DETECTION_LIMITS,
+  detectSensitiveData,
+  applyConfirmation,
+  isValidCardNumber,
+  isValidSsn,
+  isValidIban,
+  isValidRoutingNumber,
+  isValidPassportMrzLine,
+  maskValue,
+  isSensitiveLevel,
+  getSensitivityLevel,
+  isSensitiveAnalysis,
+  getSecureFolders,
+  restrictFoldersForSensitivity,
+  describeSensitivity,
+  getSensitiveReviewReason
+};
@@ -17,9 +17,15 @@ const {
   NAMING_CONVENTIONS,
   CASE_CONVENTIONS,
   SMART_FOLDER_ROUTING_MODES,
+  SMART_FOLDER_RULE_MODES,
+  TRANSCRIPTION_BACKENDS,
+  VECTOR_STORE_BACKENDS,
   SEPARATOR_PATTERN
 } = require('./validationConstants');
 const { validateFileOperationPathSync } = require('./pathSanitization');
+const { INBOX_LIMITS, normalizeInboxFolders } = require('./inboxFolders');
+const { SCHEDULE_LIMITS, normalizeSchedules } = require('./organizationSchedules');
+const { TRANSFER_MODES, SOURCE_RETENTION_POLICIES } = require('./organizeModes');
 const {
   normalizeSlashes,
   normalizeProtocolCase,
@@ -27,6 +33,11 @@ const {
   hasProtocol
 } = require('./urlUtils');
 const { isValidEmbeddingModel } = require('./modelCategorization');
+const {
+  LLM_PROVIDER_IDS,
+  MAX_API_KEY_LENGTH,
+  normalizeOpenAICompatibleUrl
+} = require('./llmProviders');
 
 /**
  * Shared URL validation regex (from validationConstants)
@@ -113,6 +124,15 @@ const isSafeDefaultLocation = (value) => {
   return true;
 };
 
+// Executables may be an absolute path or a bare command name resolved from PATH
+const isSafeExecutable = (value) => {
+  if (typeof value !== 'string') return false;
+  const trimmed = value.trim();
+  if (!trimmed) return true;
+  if (isAbsolutePathLike(trimmed)) return isSafeAbsolutePath(trimmed);
+  return /^[A-Za-z0-9._-]+$/.test(trimmed) && !trimmed.startsWith('-');
+};
+
 const CHAT_PERSONA_IDS = CHAT_PERSONAS.map((persona) => persona.id);
 
 /**
@@ -189,6 +209,17 @@ const VALIDATION_RULES = {
     type: 'boolean',
     required: false
   },
+  localApiEnabled: {
+    type: 'boolean',
+    required: false
+  },
+  localApiPort: {
+    type: 'number',
+    min: 1024,
+    max: 65535,
+    integer: true,
+    required: false
+  },
   confidenceThreshold: {
     type: 'number',
     min: 0,
@@ -200,6 +231,55 @@ const VALIDATION_RULES = {
     enum: SMART_FOLDER_ROUTING_MODES,
     required: false
   },
+  smartFolderRuleMode: {
+    type: 'string',
+    enum: SMART_FOLDER_RULE_MODES,
+    required: false
+  },
+  routingClassifierEnabled: {
+    type: 'boolean',
+    required: false
+  },
+  organizeTransferMode: {
+    type: 'string',
+    enum: TRANSFER_MODES,
+    required: false
+  },
+  copySourceRetention: {
+    type: 'string',
+    enum: SOURCE_RETENTION_POLICIES,
+    required: false
+  },
+  sensitiveDataDetection: {
+    type: 'boolean',
+    required: false
+  },
+  sensitiveDataModelConfirmation: {
+    type: 'boolean',
+    required: false
+  },
+  allowSensitiveInChat: {
+    type: 'boolean',
+    required: false
+  },
+  inboxFolders: {
+    type: 'object',
+    required: false,
+    validator: (value) =>
+      Array.isArray(value) &&
+      value.length <= INBOX_LIMITS.MAX_INBOXES &&
+      value.every((inbox) => inbox && typeof inbox === 'object' && typeof inbox.path === 'string'),
+    validatorMessage: `inboxFolders must be an array of at most ${INBOX_LIMITS.MAX_INBOXES} folders with a path`
+  },
+  organizationSchedules: {
+    type: 'object',
+    required: false,
+    validator: (value) =>
+      Array.isArray(value) &&
+      value.length <= SCHEDULE_LIMITS.MAX_SCHEDULES &&
+      value.every((job) => job && typeof job === 'object' && typeof job.sourceFolder === 'string'),
+    validatorMessage: `organizationSchedules must be an array of at most ${SCHEDULE_LIMITS.MAX_SCHEDULES} jobs with a source folder`
+  },
   namingConvention: {
     type: 'string',
     enum: NAMING_CONVENTIONS,
@@ -256,6 +336,33 @@ const VALIDATION_RULES = {
     validatorMessage:
       'embeddingModel must be a valid embedding model (e.g., embeddinggemma, mxbai-embed-large, nomic-embed-text)'
   },
+  textProvider: {
+    type: 'string',
+    enum: LLM_PROVIDER_IDS,
+    required: false
+  },
+  visionProvider: {
+    type: 'string',
+    enum: LLM_PROVIDER_IDS,
+    required: false
+  },
+  embeddingProvider: {
+    type: 'string',
+    enum: LLM_PROVIDER_IDS,
+    required: false
+  },
+  openaiCompatibleHost: {
+    type: 'string',
+    // Unlike ollamaHost the path is kept (usually /v1)
+    pattern: URL_PATTERN,
+    maxLength: 500,
+    required: false
+  },
+  openaiCompatibleApiKey: {
+    type: 'string',
+    maxLength: MAX_API_KEY_LENGTH,
+    required: false
+  },
   embeddingTiming: {
     type: 'string',
     enum: ['during_analysis', 'after_organize', 'manual'],
@@ -266,6 +373,54 @@ const VALIDATION_RULES = {
     enum: ['embed', 'skip', 'web_only'],
     required: false
   },
+  vectorStoreBackend: {
+    type: 'string',
+    enum: VECTOR_STORE_BACKENDS,
+    required: false
+  },
+  audioTranscriptionBackend: {
+    type: 'string',
+    enum: TRANSCRIPTION_BACKENDS,
+    required: false
+  },
+  audioTranscriptionCommand: {
+    type: 'string',
+    maxLength: 1000,
+    validator: isSafeExecutable,
+    validatorMessage:
+      'audioTranscriptionCommand must be an absolute path or a command name on the PATH',
+    required: false
+  },
+  audioTranscriptionModel: {
+    type: 'string',
+    maxLength: 1000,
+    // Model file path (whisper.cpp) or model name (transcription server)
+    // eslint-disable-next-line no-control-regex
+    validator: (value) => !/[\x00-\x1f]/.test(value) && !value.trim().startsWith('-'),
+    validatorMessage: 'audioTranscriptionModel must be a file path or model name',
+    required: false
+  },
+  audioTranscriptionEndpoint: {
+    type: 'string',
+    maxLength: 500,
+    validator: (value) => value.trim() === '' || URL_PATTERN.test(value.trim()),
+    validatorMessage: 'audioTranscriptionEndpoint must be a URL',
+    required: false
+  },
+  ffmpegPath: {
+    type: 'string',
+    maxLength: 1000,
+    validator: isSafeExecutable,
+    validatorMessage: 'ffmpegPath must be an absolute path or a command name on the PATH',
+    required: false
+  },
+  videoKeyframeCount: {
+    type: 'number',
+    min: 0,
+    max: 8,
+    integer: true,
+    required: false
+  },
   chatPersona: {
     type: 'string',
     enum: CHAT_PERSONA_IDS,
@@ -600,6 +755,10 @@ function sanitizeSettings(settings) {
       normalizedValue = s;
     }
 
+    if (key === 'openaiCompatibleHost' && typeof value === 'string') {
+      normalizedValue = normalizeOpenAICompatibleUrl(value);
+    }
+
     // Normalize confidence threshold to a finite number in [0, 1]
     if (key === 'confidenceThreshold') {
       const num = Number(normalizedValue);
@@ -610,6 +769,14 @@ function sanitizeSettings(settings) {
       }
     }
 
+    if (key === 'inboxFolders' && Array.isArray(normalizedValue)) {
+      normalizedValue = normalizeInboxFolders(normalizedValue);
+    }
+
+    if (key === 'organizationSchedules' && Array.isArray(normalizedValue)) {
+      normalizedValue = normalizeSchedules(normalizedValue);
+    }
+
     // Validate and sanitize
     const fieldErrors = validateSetting(key, normalizedValue, rule);
     if (fieldErrors.length === 0) {
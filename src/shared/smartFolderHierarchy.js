@@ -0,0 +1,374 @@
+/**
+ * Smart Folder Hierarchy
+ *
+ * Shared helpers for nested smart folders. A smart folder may name a parent
+ * (`parentId`) and declare a subfolder template. Routing picks a top-level
+ * folder, descends into the best matching child at each level, and then
+ * renders the template of the folder it lands in below that folder's path:
+ *
+ *   Clients  (template "{entity}/{date:YYYY}/{type}")
+ *     -> Clients/Acme Corp/2024/Invoice/scan.pdf
+ *
+ * Template placeholders:
+ *   {entity} {project} {type} {category} {purpose}   analysis fields
+ *   {date} {date:YYYY} {date:YYYY-MM} {date:MM}      document date (file date as fallback)
+ *   {field|Fallback}                                 literal used when the field is empty
+ * A segment whose placeholders all come out empty is left out of the path.
+ *
+ * Used by the suggestion service and auto-organize (main), the smart folder
+ * IPC handlers (sanitization before persisting) and the setup/organize UI.
+ *
+ * @module shared/smartFolderHierarchy
+ */
+
+const SUBFOLDER_TEMPLATE_FIELDS = ['entity', 'project', 'type', 'category', 'purpose', 'date'];
+
+const SUBFOLDER_TEMPLATE_LIMITS = Object.freeze({
+  MAX_TEMPLATE_LENGTH: 200,
+  MAX_TEMPLATE_SEGMENTS: 6,
+  MAX_SEGMENT_LENGTH: 80,
+  MAX_FOLDER_DEPTH: 8
+});
+
+const PLACEHOLDER_PATTERN = /\{([a-zA-Z]+)(?::([A-Za-z-]+))?(?:\|([^{}/\\]*))?\}/g;
+const DATE_FORMAT_PATTERN = /^(YYYY|MM|DD)([-](YYYY|MM|DD))*$/;
+const DATE_PREFIX_PATTERN = /^(\d{4})(?:-(\d{1,2}))?(?:-(\d{1,2}))?/;
+// eslint-disable-next-line no-control-regex
+const ILLEGAL_SEGMENT_CHARS = /[<>:"/\\|?*\u0000-\u001f]/g;
+const RESERVED_SEGMENT_NAMES = /^(con|prn|aux|nul|com\d|lpt\d)$/i;
+
+/**
+ * Make a rendered value safe to use as a single directory name.
+ * @param {*} value
+ * @returns {string} Empty string when nothing usable remains
+ */
+function sanitizeSegment(value) {
+  if (value === null || value === undefined) return '';
+  let segment = String(value)
+    .replace(ILLEGAL_SEGMENT_CHARS, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, SUBFOLDER_TEMPLATE_LIMITS.MAX_SEGMENT_LENGTH)
+    .replace(/^[. ]+|[. ]+$/g, '');
+  if (!segment) return '';
+  if (RESERVED_SEGMENT_NAMES.test(segment)) segment += '_';
+  return segment;
+}
+
+/**
+ * Split a relative subpath (either separator) into sanitized segments.
+ * Traversal segments are dropped, so the result always stays below its base.
+ * @param {string} subpath
+ * @returns {string[]}
+ */
+function splitSubpath(subpath) {
+  if (typeof subpath !== 'string') return [];
+  return subpath
+    .split(/[\\/]+/)
+    .map(sanitizeSegment)
+    .filter(Boolean);
+}
+
+/**
+ * Check a template for unknown fields or date formats.
+ * @param {string} template
+ * @returns {string|null} Error message, or null when the template is usable
+ */
+function validateSubfolderTemplate(template) {
+  if (template === undefined || template === null || template === '') return null;
+  if (typeof template !== 'string') return 'Subfolder template must be text';
+  if (template.length > SUBFOLDER_TEMPLATE_LIMITS.MAX_TEMPLATE_LENGTH) {
+    return `Subfolder template is longer than ${SUBFOLDER_TEMPLATE_LIMITS.MAX_TEMPLATE_LENGTH} characters`;
+  }
+  for (const match of template.matchAll(PLACEHOLDER_PATTERN)) {
+    const [, field, format] = match;
+    if (!SUBFOLDER_TEMPLATE_FIELDS.includes(field)) {
+      return `Unknown template field "{${field}}". Use ${SUBFOLDER_TEMPLATE_FIELDS.map((f) => `{${f}}`).join(', ')}`;
+    }
+    if (format && (field !== 'date' || !DATE_FORMAT_PATTERN.test(format))) {
+      return `Unsupported format "{${field}:${format}}". Dates accept YYYY, MM and DD`;
+    }
+  }
+  const withoutPlaceholders = template.replace(PLACEHOLDER_PATTERN, '');
+  if (/[{}]/.test(withoutPlaceholders)) return 'Subfolder template has an unclosed "{"';
+  if (template.split(/[\\/]+/).some((segment) => segment.trim() === '..')) {
+    return 'Subfolder template cannot contain ".." segments';
+  }
+  return null;
+}
+
+/**
+ * Normalize a template before persisting: forward slashes, trimmed segments,
+ * no empty or traversal segments, bounded depth. Invalid templates become ''.
+ * @param {*} template
+ * @returns {string}
+ */
+function normalizeSubfolderTemplate(template) {
+  if (typeof template !== 'string' || validateSubfolderTemplate(template)) return '';
+  return template
+    .split(/[\\/]+/)
+    .map((segment) => segment.trim())
+    .filter((segment) => segment && segment !== '.' && segment !== '..')
+    .slice(0, SUBFOLDER_TEMPLATE_LIMITS.MAX_TEMPLATE_SEGMENTS)
+    .join('/');
+}
+
+/**
+ * Resolve the date parts used by {date}: the analysis date, then the file dates.
+ * @returns {{year: string, month: string|null, day: string|null}|null}
+ */
+function resolveDateParts(file) {
+  const candidates = [
+    file?.analysis?.date,
+    file?.analysis?.documentDate,
+    file?.modified,
+    file?.created
+  ];
+  for (const candidate of candidates) {
+    if (candidate === undefined || candidate === null || candidate === '') continue;
+    if (typeof candidate === 'string') {
+      const match = DATE_PREFIX_PATTERN.exec(candidate.trim());
+      if (match) {
+        return {
+          year: match[1],
+          month: match[2] ? match[2].padStart(2, '0') : null,
+          day: match[3] ? match[3].padStart(2, '0') : null
+        };
+      }
+    }
+    const parsed = new Date(candidate);
+    if (!Number.isNaN(parsed.getTime())) {
+      return {
+        year: String(parsed.getFullYear()),
+        month: String(parsed.getMonth() + 1).padStart(2, '0'),
+        day: String(parsed.getDate()).padStart(2, '0')
+      };
+    }
+  }
+  return null;
+}
+
+function formatDate(parts, format = 'YYYY-MM-DD') {
+  if (!parts) return '';
+  const tokens = { YYYY: parts.year, MM: parts.month, DD: parts.day };
+  const pieces = format.split('-').map((token) => tokens[token]);
+  return pieces.every(Boolean) ? pieces.join('-') : '';
+}
+
+function resolveFieldValue(field, format, file) {
+  if (field === 'date') return formatDate(resolveDateParts(file), format);
+  const analysis = file?.analysis || {};
+  const value = field === 'type' ? analysis.type || analysis.documentType : analysis[field];
+  return typeof value === 'string' || typeof value === 'number' ? String(value) : '';
+}
+
+/**
+ * Render a subfolder template for a file.
+ * @param {string} template - e.g. "{entity}/{date:YYYY}/{type|Other}"
+ * @param {Object} file - File with `analysis` and optional `modified`/`created`
+ * @returns {string[]} Sanitized directory names, outermost first
+ */
+function renderSubfolderTemplate(template, file) {
+  const normalized = normalizeSubfolderTemplate(template);
+  if (!normalized) return [];
+
+  const segments = [];
+  for (const part of normalized.split('/')) {
+    let hasPlaceholder = false;
+    let hasValue = false;
+    const rendered = part.replace(PLACEHOLDER_PATTERN, (match, field, format, fallback) => {
+      hasPlaceholder = true;
+      const value = resolveFieldValue(field, format, file).trim() || (fallback || '').trim();
+      if (value) hasValue = true;
+      return value;
+    });
+    if (hasPlaceholder && !hasValue) continue;
+    const segment = sanitizeSegment(rendered);
+    if (segment) segments.push(segment);
+  }
+  return segments;
+}
+
+/**
+ * Render the subpath below a smart folder for a file, joined with "/".
+ * @param {Object} folder - Smart folder (uses `subfolderTemplate`)
+ * @param {Object} file
+ * @returns {string} Empty string when the folder has no template
+ */
+function getSubfolderPath(folder, file) {
+  if (!folder?.subfolderTemplate) return '';
+  return renderSubfolderTemplate(folder.subfolderTemplate, file).join('/');
+}
+
+function indexFolders(folders) {
+  const byId = new Map();
+  for (const folder of Array.isArray(folders) ? folders : []) {
+    if (folder?.id) byId.set(String(folder.id), folder);
+  }
+  return byId;
+}
+
+/**
+ * Direct children of a smart folder.
+ * @param {Object} folder
+ * @param {Object[]} folders
+ * @returns {Object[]}
+ */
+function getFolderChildren(folder, folders) {
+  if (!folder?.id || !Array.isArray(folders)) return [];
+  return folders.filter((candidate) => candidate?.parentId && candidate.parentId === folder.id);
+}
+
+/**
+ * Ancestors of a smart folder, outermost first. Missing parents and cycles end the walk.
+ * @param {Object} folder
+ * @param {Object[]} folders
+ * @returns {Object[]}
+ */
+function getFolderAncestors(folder, folders) {
+  const byId = indexFolders(folders);
+  const ancestors = [];
+  const seen = new Set([folder?.id]);
+  let parentId = folder?.parentId;
+  while (
+    parentId &&
+    !seen.has(parentId) &&
+    ancestors.length < SUBFOLDER_TEMPLATE_LIMITS.MAX_FOLDER_DEPTH
+  ) {
+    const parent = byId.get(String(parentId));
+    if (!parent) break;
+    ancestors.unshift(parent);
+    seen.add(parent.id);
+    parentId = parent.parentId;
+  }
+  return ancestors;
+}
+
+/**
+ * Whether a folder sits at the top of the hierarchy (no parent, or a parent that no longer exists).
+ */
+function isTopLevelFolder(folder, folders) {
+  if (!folder?.parentId) return true;
+  return !indexFolders(folders).has(String(folder.parentId));
+}
+
+/**
+ * Whether making `parentId` the parent of `folderId` would create a loop or exceed the depth limit.
+ * @param {string} folderId
+ * @param {string} parentId
+ * @param {Object[]} folders
+ * @returns {boolean}
+ */
+function wouldCreateFolderCycle(folderId, parentId, folders) {
+  if (!parentId) return false;
+  if (parentId === folderId) return true;
+  const byId = indexFolders(folders);
+  let depth = 1;
+  let current = byId.get(String(parentId));
+  const seen = new Set();
+  while (current) {
+    if (current.id === folderId || seen.has(current.id)) return true;
+    seen.add(current.id);
+    depth += 1;
+    if (depth > SUBFOLDER_TEMPLATE_LIMITS.MAX_FOLDER_DEPTH) return true;
+    current = current.parentId ? byId.get(String(current.parentId)) : null;
+  }
+  return false;
+}
+
+/**
+ * Order folders depth-first so children follow their parent.
+ * @param {Object[]} folders
+ * @returns {Array<{folder: Object, depth: number}>}
+ */
+function orderFoldersByHierarchy(folders) {
+  const list = Array.isArray(folders) ? folders.filter(Boolean) : [];
+  const ordered = [];
+  const visited = new Set();
+  const visit = (folder, depth) => {
+    if (visited.has(folder) || depth > SUBFOLDER_TEMPLATE_LIMITS.MAX_FOLDER_DEPTH) return;
+    visited.add(folder);
+    ordered.push({ folder, depth });
+    for (const child of getFolderChildren(folder, list)) visit(child, depth + 1);
+  };
+  for (const folder of list) {
+    if (isTopLevelFolder(folder, list)) visit(folder, 0);
+  }
+  // Anything left is part of a cycle; keep it visible at the top level
+  for (const folder of list) visit(folder, 0);
+  return ordered;
+}
+
+/**
+ * Route folder similarity matches through the hierarchy.
+ *
+ * Only top-level folders compete directly. From each top-level candidate the
+ * route descends into the best scoring child while that child clears
+ * `minChildScore`, so a file reaches "Clients > Tax" only when it first fits
+ * "Clients". The reported score is the top-level score.
+ *
+ * @param {Array<{folderId?: string, name?: string, path?: string, score: number}>} matches
+ * @param {Object[]} folders - Smart folders
+ * @param {Object} [options]
+ * @param {number} [options.topK=5] - Routed matches to return
+ * @param {number} [options.minChildScore=0.4] - Score a child needs to be chosen
+ * @returns {Array<{folder: Object, score: number, route: Array<{id: string, name: string, score: number}>}>}
+ */
+function routeFolderMatches(matches, folders, options = {}) {
+  const { topK = 5, minChildScore = 0.4 } = options;
+  const list = Array.isArray(folders) ? folders.filter(Boolean) : [];
+  const scores = new Map();
+  for (const match of Array.isArray(matches) ? matches : []) {
+    const folder = list.find(
+      (f) =>
+        (match.folderId && f.id === match.folderId) ||
+        (match.name && f.name === match.name) ||
+        (match.path && f.path === match.path)
+    );
+    if (!folder || !Number.isFinite(match.score)) continue;
+    scores.set(folder, Math.max(scores.get(folder) ?? -Infinity, match.score));
+  }
+
+  const routed = [];
+  for (const [folder, score] of scores) {
+    if (!isTopLevelFolder(folder, list)) continue;
+    const route = [{ id: folder.id, name: folder.name, score }];
+    let current = folder;
+    const visited = new Set([folder]);
+    while (route.length < SUBFOLDER_TEMPLATE_LIMITS.MAX_FOLDER_DEPTH) {
+      let best = null;
+      let bestScore = -Infinity;
+      for (const child of getFolderChildren(current, list)) {
+        const childScore = scores.get(child);
+        if (childScore !== undefined && childScore > bestScore && !visited.has(child)) {
+          best = child;
+          bestScore = childScore;
+        }
+      }
+      if (!best || bestScore < minChildScore) break;
+      visited.add(best);
+      route.push({ id: best.id, name: best.name, score: bestScore });
+      current = best;
+    }
+    routed.push({ folder: current, score, route });
+  }
+
+  return routed.sort((a, b) => b.score - a.score).slice(0, topK);
+}
+
+module.exports = {
+  SUBFOLDER_TEMPLATE_FIELDS,
+  SUBFOLDER_TEMPLATE_LIMITS,
+  sanitizeSegment,
+  splitSubpath,
+  validateSubfolderTemplate,
+  normalizeSubfolderTemplate,
+  renderSubfolderTemplate,
+  getSubfolderPath,
+  getFolderChildren,
+  getFolderAncestors,
+  isTopLevelFolder,
+  wouldCreateFolderCycle,
+  orderFoldersByHierarchy,
+  routeFolderMatches
+};
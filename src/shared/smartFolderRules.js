@@ -0,0 +1,302 @@
+/**
+ * Smart Folder Rules
+ *
+ * Shared definitions for the deterministic per-folder routing rules.
+ * Used by the rule engine in the main process (evaluation), the smart folder
+ * IPC handlers (sanitization before persisting) and the setup UI (editor).
+ *
+ * A rule belongs to a smart folder and is a named list of conditions:
+ *   { id, name, enabled, match: 'all' | 'any', conditions: [...] }
+ *
+ * Condition shapes:
+ *   { type: 'extension', values: ['pdf', 'docx'] }
+ *   { type: 'filename', pattern: 'invoice-*', syntax: 'glob' | 'regex' }
+ *   { type: 'size', minBytes, maxBytes }
+ *   { type: 'date', field: 'modified' | 'created' | 'document', after, before,
+ *     olderThanDays, newerThanDays }
+ *   { type: 'sourceFolder', folder: '/path', includeSubfolders: true }
+ *   { type: 'analysis', field: 'entity', operator: 'contains', value: 'acme' }
+ *   { type: 'userTag', values: ['taxes', '2024'] }  (any of the user's tags)
+ *   { type: 'userNote', operator: 'contains', value: 'renew' }
+ * Every condition also accepts `negate: true`.
+ *
+ * @module shared/smartFolderRules
+ */
+
+const { normalizeUserTags } = require('./fileAnnotations');
+
+const RULE_CONDITION_TYPES = Object.freeze({
+  EXTENSION: 'extension',
+  FILENAME: 'filename',
+  SIZE: 'size',
+  DATE: 'date',
+  SOURCE_FOLDER: 'sourceFolder',
+  ANALYSIS: 'analysis',
+  USER_TAG: 'userTag',
+  USER_NOTE: 'userNote'
+});
+
+const RULE_MATCH_MODES = ['all', 'any'];
+
+const RULE_FILENAME_SYNTAXES = ['glob', 'regex'];
+
+const RULE_DATE_FIELDS = ['modified', 'created', 'document'];
+
+/**
+ * Analysis fields a rule may inspect. Array fields (keywords, tags, keyEntities)
+ * match when any element satisfies the operator.
+ */
+const RULE_ANALYSIS_FIELDS = [
+  'entity',
+  'type',
+  'documentType',
+  'category',
+  'project',
+  'purpose',
+  'keywords',
+  'tags',
+  'keyEntities'
+];
+
+const RULE_ANALYSIS_OPERATORS = ['equals', 'contains', 'startsWith', 'matches', 'exists'];
+
+const RULE_NOTE_OPERATORS = ['contains', 'matches', 'exists'];
+
+const RULE_LIMITS = Object.freeze({
+  MAX_RULES_PER_FOLDER: 50,
+  MAX_CONDITIONS_PER_RULE: 20,
+  MAX_VALUES_PER_CONDITION: 50,
+  MAX_PATTERN_LENGTH: 200,
+  MAX_NAME_LENGTH: 100,
+  MAX_VALUE_LENGTH: 500
+});
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function trimString(value, maxLength) {
+  if (typeof value !== 'string') return '';
+  return value.trim().slice(0, maxLength);
+}
+
+function toNonNegativeNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const num = Number(value);
+  return Number.isFinite(num) && num >= 0 ? num : null;
+}
+
+function toDateString(value) {
+  const str = trimString(value, 40);
+  if (!str) return null;
+  if (DATE_ONLY_PATTERN.test(str)) return str;
+  const parsed = Date.parse(str);
+  return Number.isNaN(parsed) ? null : new Date(parsed).toISOString();
+}
+
+function normalizeExtensionValue(value) {
+  return trimString(String(value ?? ''), 20)
+    .replace(/^\*?\./, '')
+    .toLowerCase();
+}
+
+/**
+ * Sanitize a single condition. Returns null when the condition is unusable.
+ * @param {Object} condition - Raw condition from the UI or disk
+ * @returns {Object|null}
+ */
+function normalizeRuleCondition(condition) {
+  if (!condition || typeof condition !== 'object') return null;
+  const negate = condition.negate === true;
+
+  switch (condition.type) {
+    case RULE_CONDITION_TYPES.EXTENSION: {
+      const rawValues = Array.isArray(condition.values)
+        ? condition.values
+        : String(condition.values ?? '').split(',');
+      const values = Array.from(new Set(rawValues.map(normalizeExtensionValue).filter(Boolean)));
+      if (values.length === 0) return null;
+      return {
+        type: RULE_CONDITION_TYPES.EXTENSION,
+        values: values.slice(0, RULE_LIMITS.MAX_VALUES_PER_CONDITION),
+        negate
+      };
+    }
+    case RULE_CONDITION_TYPES.FILENAME: {
+      const pattern = trimString(condition.pattern, RULE_LIMITS.MAX_PATTERN_LENGTH);
+      if (!pattern) return null;
+      const syntax = RULE_FILENAME_SYNTAXES.includes(condition.syntax) ? condition.syntax : 'glob';
+      return { type: RULE_CONDITION_TYPES.FILENAME, pattern, syntax, negate };
+    }
+    case RULE_CONDITION_TYPES.SIZE: {
+      const minBytes = toNonNegativeNumber(condition.minBytes);
+      const maxBytes = toNonNegativeNumber(condition.maxBytes);
+      if (minBytes === null && maxBytes === null) return null;
+      if (minBytes !== null && maxBytes !== null && minBytes > maxBytes) return null;
+      return { type: RULE_CONDITION_TYPES.SIZE, minBytes, maxBytes, negate };
+    }
+    case RULE_CONDITION_TYPES.DATE: {
+      const field = RULE_DATE_FIELDS.includes(condition.field) ? condition.field : 'modified';
+      const after = toDateString(condition.after);
+      const before = toDateString(condition.before);
+      const olderThanDays = toNonNegativeNumber(condition.olderThanDays);
+      const newerThanDays = toNonNegativeNumber(condition.newerThanDays);
+      if (!after && !before && olderThanDays === null && newerThanDays === null) return null;
+      return {
+        type: RULE_CONDITION_TYPES.DATE,
+        field,
+        after,
+        before,
+        olderThanDays,
+        newerThanDays,
+        negate
+      };
+    }
+    case RULE_CONDITION_TYPES.SOURCE_FOLDER: {
+      const folder = trimString(condition.folder, 1000);
+      if (!folder) return null;
+      return {
+        type: RULE_CONDITION_TYPES.SOURCE_FOLDER,
+        folder,
+        includeSubfolders: condition.includeSubfolders !== false,
+        negate
+      };
+    }
+    case RULE_CONDITION_TYPES.ANALYSIS: {
+      if (!RULE_ANALYSIS_FIELDS.includes(condition.field)) return null;
+      const operator = RULE_ANALYSIS_OPERATORS.includes(condition.operator)
+        ? condition.operator
+        : 'contains';
+      const value = trimString(String(condition.value ?? ''), RULE_LIMITS.MAX_VALUE_LENGTH);
+      if (!value && operator !== 'exists') return null;
+      if (operator === 'matches' && value.length > RULE_LIMITS.MAX_PATTERN_LENGTH) return null;
+      return {
+        type: RULE_CONDITION_TYPES.ANALYSIS,
+        field: condition.field,
+        operator,
+        value,
+        negate
+      };
+    }
+    case RULE_CONDITION_TYPES.USER_TAG: {
+      const values = normalizeUserTags(condition.values);
+      if (values.length === 0) return null;
+      return { type: RULE_CONDITION_TYPES.USER_TAG, values, negate };
+    }
+    case RULE_CONDITION_TYPES.USER_NOTE: {
+      const operator = RULE_NOTE_OPERATORS.includes(condition.operator)
+        ? condition.operator
+        : 'contains';
+      const value = trimString(String(condition.value ?? ''), RULE_LIMITS.MAX_VALUE_LENGTH);
+      if (!value && operator !== 'exists') return null;
+      if (operator === 'matches' && value.length > RULE_LIMITS.MAX_PATTERN_LENGTH) return null;
+      return { type: RULE_CONDITION_TYPES.USER_NOTE, operator, value, negate };
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Sanitize a smart folder's rule list, dropping invalid rules and conditions.
+ * Rule order is preserved because evaluation is first-match-wins.
+ * @param {Array} rules - Raw rules
+ * @returns {Array} Sanitized rules
+ */
+function normalizeSmartFolderRules(rules) {
+  if (!Array.isArray(rules)) return [];
+
+  const normalized = [];
+  const seenIds = new Set();
+  for (const rule of rules.slice(0, RULE_LIMITS.MAX_RULES_PER_FOLDER)) {
+    if (!rule || typeof rule !== 'object') continue;
+    const conditions = (Array.isArray(rule.conditions) ? rule.conditions : [])
+      .slice(0, RULE_LIMITS.MAX_CONDITIONS_PER_RULE)
+      .map(normalizeRuleCondition)
+      .filter(Boolean);
+    if (conditions.length === 0) continue;
+
+    let id = trimString(rule.id, 64);
+    if (!id || seenIds.has(id)) {
+      id = `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+    seenIds.add(id);
+
+    normalized.push({
+      id,
+      name: trimString(rule.name, RULE_LIMITS.MAX_NAME_LENGTH) || `Rule ${normalized.length + 1}`,
+      enabled: rule.enabled !== false,
+      match: RULE_MATCH_MODES.includes(rule.match) ? rule.match : 'all',
+      conditions
+    });
+  }
+  return normalized;
+}
+
+function formatBytes(bytes) {
+  if (!Number.isFinite(bytes)) return '';
+  if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${bytes} B`;
+}
+
+/**
+ * Human-readable description of a condition, used for explanations and the editor.
+ * @param {Object} condition - Normalized condition
+ * @returns {string}
+ */
+function describeRuleCondition(condition) {
+  if (!condition) return '';
+  const not = condition.negate ? 'not ' : '';
+
+  switch (condition.type) {
+    case RULE_CONDITION_TYPES.EXTENSION:
+      return `extension ${not}in ${condition.values.map((v) => `.${v}`).join(', ')}`;
+    case RULE_CONDITION_TYPES.FILENAME:
+      return `filename ${not}${condition.syntax === 'regex' ? 'matches /' : 'matches "'}${
+        condition.pattern
+      }${condition.syntax === 'regex' ? '/' : '"'}`;
+    case RULE_CONDITION_TYPES.SIZE: {
+      const parts = [];
+      if (condition.minBytes !== null) parts.push(`at least ${formatBytes(condition.minBytes)}`);
+      if (condition.maxBytes !== null) parts.push(`at most ${formatBytes(condition.maxBytes)}`);
+      return `size ${not}${parts.join(' and ')}`;
+    }
+    case RULE_CONDITION_TYPES.DATE: {
+      const parts = [];
+      if (condition.after) parts.push(`after ${condition.after}`);
+      if (condition.before) parts.push(`before ${condition.before}`);
+      if (condition.olderThanDays !== null)
+        parts.push(`older than ${condition.olderThanDays} days`);
+      if (condition.newerThanDays !== null)
+        parts.push(`newer than ${condition.newerThanDays} days`);
+      return `${condition.field} date ${not}${parts.join(' and ')}`;
+    }
+    case RULE_CONDITION_TYPES.SOURCE_FOLDER:
+      return `source folder ${not}${condition.includeSubfolders ? 'within' : 'is'} ${condition.folder}`;
+    case RULE_CONDITION_TYPES.ANALYSIS:
+      if (condition.operator === 'exists') return `${condition.field} ${not}present`;
+      return `${condition.field} ${not}${condition.operator} "${condition.value}"`;
+    case RULE_CONDITION_TYPES.USER_TAG:
+      return `user tag ${not}in ${condition.values.map((v) => `"${v}"`).join(', ')}`;
+    case RULE_CONDITION_TYPES.USER_NOTE:
+      if (condition.operator === 'exists') return `user note ${not}present`;
+      return `user note ${not}${condition.operator} "${condition.value}"`;
+    default:
+      return '';
+  }
+}
+
+module.exports = {
+  RULE_CONDITION_TYPES,
+  RULE_MATCH_MODES,
+  RULE_FILENAME_SYNTAXES,
+  RULE_DATE_FIELDS,
+  RULE_ANALYSIS_FIELDS,
+  RULE_ANALYSIS_OPERATORS,
+  RULE_NOTE_OPERATORS,
+  RULE_LIMITS,
+  normalizeRuleCondition,
+  normalizeSmartFolderRules,
+  describeRuleCondition,
+  formatBytes
+};
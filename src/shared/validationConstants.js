@@ -59,6 +59,25 @@ const CASE_CONVENTIONS = [
  */
 const SMART_FOLDER_ROUTING_MODES = ['auto', 'llm', 'embedding', 'hybrid'];
 
+/**
+ * How smart folder rule matches interact with AI routing
+ * - priority: a rule match becomes the primary suggestion, AI results remain alternatives
+ * - exclusive: a rule match skips AI matching entirely
+ */
+const SMART_FOLDER_RULE_MODES = ['priority', 'exclusive'];
+
+/**
+ * Speech-to-text backends for audio analysis (see main/analysis/audioTranscription)
+ */
+const TRANSCRIPTION_BACKENDS = ['none', 'whisper-cpp', 'openai-compatible'];
+
+/**
+ * Vector store backends (see main/services/chromadb/vectorStoreBackend)
+ * - chromadb: external/bundled ChromaDB server
+ * - embedded: in-process store, no Python required
+ */
+const VECTOR_STORE_BACKENDS = ['chromadb', 'embedded'];
+
 /**
  * Filename separator pattern (reject unsafe path characters)
  */
@@ -142,6 +161,9 @@ module.exports = {
   NAMING_CONVENTIONS,
   CASE_CONVENTIONS,
   SMART_FOLDER_ROUTING_MODES,
+  SMART_FOLDER_RULE_MODES,
+  TRANSCRIPTION_BACKENDS,
+  VECTOR_STORE_BACKENDS,
 
   // Numeric limits
   NUMERIC_LIMITS,
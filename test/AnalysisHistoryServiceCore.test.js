@@ -79,10 +79,26 @@ jest.mock('../src/main/services/analysisHistory/persistence', () => ({
     byDate: {}
   }),
   saveIndex: jest.fn().mockResolvedValue(undefined),
+  loadHistoryLog: jest.fn().mockResolvedValue({
+    history: {
+      schemaVersion: '1.0.0',
+      entries: {},
+      totalAnalyzed: 0,
+      totalSize: 0,
+      metadata: { totalEntries: 0 }
+    },
+    recordCount: 1,
+    skippedLines: 0,
+    migrated: false
+  }),
+  appendHistoryRecords: jest.fn().mockResolvedValue(2),
+  writeHistoryLog: jest.fn().mockResolvedValue(1),
+  archiveLegacyFile: jest.fn().mockResolvedValue(false),
   createDefaultStructures: jest.fn().mockResolvedValue({
     config: { schemaVersion: '1.0.0' },
     history: { entries: {}, totalAnalyzed: 0, totalSize: 0, metadata: {} },
-    index: { byPath: {}, byCategory: {}, byTag: {}, byDate: {} }
+    index: { byPath: {}, byCategory: {}, byTag: {}, byDate: {} },
+    recordCount: 1
   })
 }));
 
@@ -150,6 +166,7 @@ describe('AnalysisHistoryServiceCore', () => {
   describe('constructor', () => {
     test('initializes with correct paths', () => {
       expect(service.userDataPath).toBe('/mock/userData');
+      expect(service.historyLogPath).toContain('analysis-history.jsonl');
       expect(service.historyPath).toContain('analysis-history.json');
       expect(service.indexPath).toContain('analysis-index.json');
       expect(service.configPath).toContain('analysis-config.json');
@@ -305,18 +322,22 @@ describe('AnalysisHistoryServiceCore', () => {
       expect(invalidateCachesOnAdd).toHaveBeenCalled();
     });
 
-    test('saves history and index', async () => {
+    test('appends the new entry to the history log', async () => {
       const {
-        saveHistory,
-        saveIndex
+        appendHistoryRecords,
+        saveHistory
       } = require('../src/main/services/analysisHistory/persistence');
 
       const recordPromise = service.recordAnalysis(mockFileInfo, mockAnalysisResults);
       await flushWriteBuffer();
       await recordPromise;
 
-      expect(saveHistory).toHaveBeenCalled();
-      expect(saveIndex).toHaveBeenCalled();
+      expect(appendHistoryRecords).toHaveBeenCalledWith(
+        expect.stringContaining('analysis-history.jsonl'),
+        service.analysisHistory,
+        { put: [expect.objectContaining({ originalPath: '/test/file.pdf' })] }
+      );
+      expect(saveHistory).not.toHaveBeenCalled();
     });
 
     test('performs maintenance if needed', async () => {
@@ -358,6 +379,10 @@ describe('AnalysisHistoryServiceCore', () => {
     });
 
     test('persists embedding policy/status updates by path', async () => {
+      const { getAnalysisByPath } = require('../src/main/services/analysisHistory/queries');
+      getAnalysisByPath.mockImplementation((history, index, filePath) =>
+        Object.values(history.entries).find((e) => e.originalPath === filePath)
+      );
       const recordPromise = service.recordAnalysis(mockFileInfo, mockAnalysisResults);
       await flushWriteBuffer();
       await recordPromise;
@@ -452,6 +477,48 @@ describe('AnalysisHistoryServiceCore', () => {
     });
   });
 
+  describe('reviewSensitivityByPath', () => {
+    beforeEach(async () => {
+      await service.initialize();
+    });
+
+    test('reviews the entry the path index resolves to', async () => {
+      const { getAnalysisByPath } = require('../src/main/services/analysisHistory/queries');
+      const entry = {
+        id: 'a',
+        timestamp: new Date().toISOString(),
+        originalPath: '/docs/passport.pdf',
+        analysis: { sensitivity: { level: 'high' } },
+        organization: {}
+      };
+      service.analysisHistory.entries = { a: entry };
+      getAnalysisByPath.mockReturnValueOnce(entry);
+
+      const result = await service.reviewSensitivityByPath('/docs/passport.pdf', 'not_sensitive');
+
+      expect(getAnalysisByPath).toHaveBeenCalledWith(
+        service.analysisHistory,
+        service.analysisIndex,
+        '/docs/passport.pdf'
+      );
+      expect(result).toMatchObject({ updated: 1, notFound: 0 });
+      expect(entry.analysis.sensitivity).toMatchObject({
+        level: 'none',
+        detectedLevel: 'high',
+        review: { decision: 'not_sensitive' }
+      });
+    });
+
+    test('reports files without a sensitivity result as not found', async () => {
+      const { getAnalysisByPath } = require('../src/main/services/analysisHistory/queries');
+      getAnalysisByPath.mockReturnValueOnce({ id: 'b', analysis: {} });
+
+      await expect(
+        service.reviewSensitivityByPath('/docs/notes.txt', 'sensitive')
+      ).resolves.toEqual({ updated: 0, notFound: 1 });
+    });
+  });
+
   describe('getAnalysisByPath', () => {
     beforeEach(async () => {
       await service.initialize();
@@ -250,6 +250,43 @@ describe('AutoOrganizeServiceCore', () => {
       expect(processFilesIndividually).toHaveBeenCalled();
     });
 
+    test('routes sensitive files only through secure folders', async () => {
+      const sensitiveFile = {
+        name: 'w2.pdf',
+        path: '/test/w2.pdf',
+        extension: '.pdf',
+        analysis: { category: 'documents', sensitivity: { level: 'high', categories: ['ssn'] } }
+      };
+      const secureFolder = { name: 'Vault', path: '/folders/Vault', secure: true };
+      const {
+        processFilesIndividually
+      } = require('../src/main/services/autoOrganize/fileProcessor');
+
+      const held = await service.organizeFiles([sensitiveFile], mockSmartFolders);
+
+      expect(held.needsReview).toHaveLength(1);
+      expect(held.needsReview[0].explanation).toMatch(/no secure smart folder/);
+      expect(processFilesIndividually).not.toHaveBeenCalled();
+
+      await service.organizeFiles(
+        [sensitiveFile, ...mockFiles],
+        [...mockSmartFolders, secureFolder]
+      );
+
+      expect(processFilesIndividually).toHaveBeenCalledWith(
+        [sensitiveFile],
+        [secureFolder],
+        expect.any(Object),
+        expect.any(Object),
+        mockSuggestionService
+      );
+      expect(mockSuggestionService.getBatchSuggestions).toHaveBeenCalledWith(
+        mockFiles,
+        expect.any(Array),
+        expect.any(Object)
+      );
+    });
+
     test('respects custom options', async () => {
       await service.organizeFiles(mockFiles, mockSmartFolders, {
         confidenceThreshold: 0.9,
@@ -0,0 +1,177 @@
+/**
+ * Tests for ChatHistoryStore
+ * Persisted chat conversations, titles and Markdown export
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+
+jest.mock('../src/shared/logger', () => {
+  const logger = {
+    setContext: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  };
+  return { logger, createLogger: jest.fn(() => logger) };
+});
+
+const {
+  ChatHistoryStore,
+  formatConversationMarkdown,
+  deriveTitle
+} = require('../src/main/services/ChatHistoryStore');
+
+describe('ChatHistoryStore', () => {
+  let testDir;
+
+  const answer = (text, citations = []) => ({
+    documentAnswer: citations.length ? [{ text, citations }] : [],
+    modelAnswer: citations.length ? [] : [{ text }],
+    followUps: []
+  });
+
+  beforeEach(async () => {
+    testDir = path.join(os.tmpdir(), `chat-history-test-${Date.now()}`);
+    await fs.mkdir(testDir, { recursive: true });
+  });
+
+  afterEach(async () => {
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  test('persists turns with title, persona and compact sources across instances', async () => {
+    const store = new ChatHistoryStore({ userDataPath: testDir });
+    await store.appendTurn('conv-1', {
+      query: 'What did the 2024 lease say about pets?',
+      response: answer('Pets are allowed with a deposit.', ['doc-1']),
+      sources: [
+        {
+          id: 'doc-1',
+          fileId: 'file-1',
+          name: 'lease.pdf',
+          path: '/docs/lease.pdf',
+          extractedText: 'x'.repeat(5000)
+        }
+      ],
+      persona: 'discoverer'
+    });
+
+    const reloaded = new ChatHistoryStore({ userDataPath: testDir });
+    const [summary] = await reloaded.list();
+    expect(summary).toEqual(
+      expect.objectContaining({
+        id: 'conv-1',
+        title: 'What did the 2024 lease say about pets?',
+        persona: 'discoverer',
+        messageCount: 2
+      })
+    );
+
+    const conversation = await reloaded.get('conv-1');
+    expect(conversation.messages[1].sources[0]).toEqual({
+      id: 'doc-1',
+      fileId: 'file-1',
+      name: 'lease.pdf',
+      path: '/docs/lease.pdf'
+    });
+  });
+
+  test('lists most recently updated first and renames/removes conversations', async () => {
+    const store = new ChatHistoryStore({ userDataPath: testDir });
+    await store.appendTurn('a', { query: 'first question', response: answer('one') });
+    await store.appendTurn('b', { query: 'second question', response: answer('two') });
+    await store.appendTurn('a', { query: 'follow up', response: answer('three') });
+
+    expect((await store.list()).map((c) => c.id)).toEqual(['a', 'b']);
+
+    const renamed = await store.rename('b', '  Budget   review ');
+    expect(renamed.title).toBe('Budget review');
+    expect(await store.rename('missing', 'x')).toBeNull();
+
+    expect(await store.remove('a')).toBe(true);
+    expect(await store.remove('a')).toBe(false);
+    expect((await store.list()).map((c) => c.id)).toEqual(['b']);
+  });
+
+  test('resolves each change only once it is on disk', async () => {
+    const store = new ChatHistoryStore({ userDataPath: testDir });
+    await store.appendTurn('a', { query: 'one', response: answer('1') });
+    await store.appendTurn('b', { query: 'two', response: answer('2') });
+
+    const first = store.remove('a');
+    await store.remove('b');
+    const saved = JSON.parse(await fs.readFile(store.filePath, 'utf8'));
+
+    expect(saved.items).toEqual([]);
+    await first;
+  });
+
+  test('rejects a change whose write fails', async () => {
+    const blocked = path.join(testDir, 'not-a-dir');
+    await fs.writeFile(blocked, '');
+    const store = new ChatHistoryStore({ userDataPath: blocked });
+
+    await expect(store.appendTurn('a', { query: 'one', response: answer('1') })).rejects.toThrow();
+  });
+
+  test('evicts the least recently updated conversation at capacity', async () => {
+    const store = new ChatHistoryStore({ userDataPath: testDir, maxConversations: 2 });
+    await store.appendTurn('a', { query: 'one', response: answer('1') });
+    await store.appendTurn('b', { query: 'two', response: answer('2') });
+    await store.appendTurn('c', { query: 'three', response: answer('3') });
+
+    expect((await store.list()).map((c) => c.id)).toEqual(['c', 'b']);
+  });
+
+  test('drops invalid conversations when loading', async () => {
+    await fs.writeFile(
+      path.join(testDir, 'chat-conversations.json'),
+      JSON.stringify({
+        items: [
+          { id: 'ok', title: 'Ok', createdAt: '2024', updatedAt: '2024', messages: [] },
+          { id: 'bad', messages: 'nope' }
+        ]
+      })
+    );
+
+    const store = new ChatHistoryStore({ userDataPath: testDir });
+    expect((await store.list()).map((c) => c.id)).toEqual(['ok']);
+  });
+
+  test('derives short titles from the first question', () => {
+    expect(deriveTitle('  hello   there ')).toBe('hello there');
+    expect(deriveTitle('')).toBe('Untitled conversation');
+    const long = deriveTitle('a'.repeat(100));
+    expect(long).toHaveLength(60);
+    expect(long.endsWith('…')).toBe(true);
+  });
+
+  test('exports Markdown with file links for cited sources', () => {
+    const markdown = formatConversationMarkdown({
+      id: 'conv-1',
+      title: 'Lease questions',
+      createdAt: '2024-01-01T00:00:00.000Z',
+      updatedAt: '2024-01-02T00:00:00.000Z',
+      persona: 'discoverer',
+      messages: [
+        { role: 'user', text: 'Are pets allowed?', createdAt: '2024-01-01T00:00:00.000Z' },
+        {
+          role: 'assistant',
+          documentAnswer: [{ text: 'Yes, with a deposit.', citations: ['doc-1'] }],
+          modelAnswer: [],
+          sources: [{ id: 'doc-1', name: 'lease.pdf', path: '/docs/lease.pdf' }],
+          createdAt: '2024-01-01T00:00:00.000Z'
+        }
+      ]
+    });
+
+    expect(markdown).toContain('# Lease questions');
+    expect(markdown).toContain('- Persona: discoverer');
+    expect(markdown).toContain('## You\n\nAre pets allowed?');
+    expect(markdown).toContain('Yes, with a deposit. ([lease.pdf](file:///docs/lease.pdf))');
+    expect(markdown).toContain('- [lease.pdf](file:///docs/lease.pdf)');
+  });
+});
@@ -122,6 +122,56 @@ describe('ChatService', () => {
     expect(result.meta.warning).toMatch(/Limited document retrieval/i);
   });
 
+  test('withholds the content of sensitive files unless settings allow it', async () => {
+    const searchService = {
+      hybridSearch: jest.fn().mockResolvedValue({
+        success: true,
+        results: [
+          {
+            id: 'file-1',
+            score: 0.9,
+            metadata: {
+              name: 'W2.pdf',
+              path: '/docs/W2.pdf',
+              summary: 'Wage statement with SSN 536-22-1234',
+              extractedText: 'SSN 536-22-1234',
+              sensitivity: 'high'
+            }
+          }
+        ]
+      }),
+      chunkSearch: jest
+        .fn()
+        .mockResolvedValue([{ id: 'file-1', matchDetails: { bestSnippet: 'SSN 536-22-1234' } }])
+    };
+    const ollamaService = {
+      analyzeText: jest.fn().mockResolvedValue({
+        success: true,
+        response: JSON.stringify({ documentAnswer: [], modelAnswer: [], followUps: [] })
+      })
+    };
+    const settings = { allowSensitiveInChat: false };
+    const service = new ChatService({
+      searchService,
+      chromaDbService: {},
+      embeddingService: {},
+      ollamaService,
+      settingsService: { load: jest.fn(async () => settings) }
+    });
+
+    const result = await service.query({ query: 'What is my SSN?' });
+
+    const prompt = ollamaService.analyzeText.mock.calls[0][0];
+    expect(prompt).toContain('W2.pdf');
+    expect(prompt).toContain('Content withheld');
+    expect(prompt).not.toContain('536-22-1234');
+    expect(result.sources[0]).toMatchObject({ sensitive: true, snippet: '', extractedText: '' });
+
+    settings.allowSensitiveInChat = true;
+    await service.query({ query: 'What is my SSN?' });
+    expect(ollamaService.analyzeText.mock.calls[1][0]).toContain('536-22-1234');
+  });
+
   test('returns friendly error when chitchat requested but ollama is unavailable', async () => {
     const service = new ChatService({
       searchService: {},
@@ -135,4 +185,138 @@ describe('ChatService', () => {
     expect(result.success).toBe(false);
     expect(result.error).toMatch(/Chat service unavailable/i);
   });
+
+  describe('queryStream', () => {
+    const searchService = {
+      hybridSearch: jest.fn().mockResolvedValue({
+        success: true,
+        results: [
+          { id: 'file-1', score: 0.9, metadata: { name: 'tax.pdf', path: '/docs/tax.pdf' } }
+        ]
+      }),
+      chunkSearch: jest.fn().mockResolvedValue([])
+    };
+
+    test('streams answer tokens after sources and hides the follow-up section', async () => {
+      const tokens = [
+        'Your refund was $1',
+        '20 [doc-1].',
+        '\nFOLLOW-',
+        'UPS:\n- When was it filed?'
+      ];
+      const ollamaService = {
+        streamText: jest.fn(async (prompt, { onToken }) => {
+          tokens.forEach((token) => onToken(token));
+          return { success: true, response: tokens.join('') };
+        })
+      };
+      const service = new ChatService({ searchService, ollamaService });
+      const events = [];
+
+      const result = await service.queryStream(
+        { query: 'What was my tax refund?' },
+        { requestId: 'req-1', onEvent: (event) => events.push(event) }
+      );
+
+      expect(events[0]).toMatchObject({ type: 'sources', sources: [{ id: 'doc-1' }] });
+      const streamed = events
+        .filter((event) => event.type === 'token')
+        .map((event) => event.delta)
+        .join('');
+      expect(streamed.trim()).toBe('Your refund was $120 [doc-1].');
+      expect(result.success).toBe(true);
+      expect(result.response.documentAnswer).toEqual([
+        { text: 'Your refund was $120 [doc-1].', citations: ['doc-1'] }
+      ]);
+      expect(result.response.followUps).toEqual(['When was it filed?']);
+      expect(service.activeStreams.size).toBe(0);
+    });
+
+    test('cancelStream aborts the in-flight generation', async () => {
+      const ollamaService = {
+        streamText: jest.fn(
+          (prompt, { signal, onToken }) =>
+            new Promise((resolve) => {
+              onToken('Partial answer that is long enough');
+              signal.addEventListener('abort', () =>
+                resolve({
+                  success: false,
+                  cancelled: true,
+                  response: 'Partial answer that is long enough'
+                })
+              );
+            })
+        )
+      };
+      const service = new ChatService({ searchService, ollamaService });
+
+      const pending = service.queryStream(
+        { query: 'Summarize my taxes' },
+        { requestId: 'req-2', onEvent: () => {} }
+      );
+      await new Promise((resolve) => setImmediate(resolve));
+
+      expect(service.cancelStream('req-2')).toBe(true);
+      const result = await pending;
+
+      expect(result.success).toBe(false);
+      expect(result.cancelled).toBe(true);
+      expect(result.response.modelAnswer[0].text).toBe('Partial answer that is long enough');
+      expect(service.cancelStream('req-2')).toBe(false);
+    });
+  });
+
+  describe('conversation history', () => {
+    const ollamaService = {
+      analyzeText: jest.fn().mockResolvedValue({
+        success: true,
+        response: JSON.stringify({ documentAnswer: [], modelAnswer: [{ text: 'Noted.' }] })
+      })
+    };
+    const searchService = {
+      hybridSearch: jest.fn().mockResolvedValue({ success: true, results: [] }),
+      chunkSearch: jest.fn().mockResolvedValue([])
+    };
+
+    test('records answered turns with the persona id', async () => {
+      const historyStore = { get: jest.fn().mockResolvedValue(null), appendTurn: jest.fn() };
+      const service = new ChatService({ searchService, ollamaService, historyStore });
+      service._createMemory = jest.fn(async () => service._createFallbackMemory());
+
+      await service.query({ sessionId: 'conv-1', query: 'Where is my lease?' });
+
+      expect(historyStore.appendTurn).toHaveBeenCalledWith(
+        'conv-1',
+        expect.objectContaining({
+          query: 'Where is my lease?',
+          persona: 'professional-researcher',
+          response: expect.objectContaining({ modelAnswer: [{ text: 'Noted.' }] })
+        })
+      );
+    });
+
+    test('rehydrates the memory window when a stored conversation is resumed', async () => {
+      const messages = [];
+      for (let i = 1; i <= 8; i += 1) {
+        messages.push(
+          { role: 'user', text: `question ${i}` },
+          { role: 'assistant', modelAnswer: [{ text: `answer ${i}` }], documentAnswer: [] }
+        );
+      }
+      const historyStore = {
+        get: jest.fn().mockResolvedValue({ id: 'conv-1', messages }),
+        appendTurn: jest.fn()
+      };
+      const service = new ChatService({ searchService, ollamaService, historyStore });
+      service._createMemory = jest.fn(async () => service._createFallbackMemory());
+
+      const memory = await service._getSessionMemory('conv-1');
+      const history = await service._getHistoryText(memory);
+
+      expect(historyStore.get).toHaveBeenCalledWith('conv-1');
+      expect(history).not.toContain('question 2');
+      expect(history).toContain('User: question 3');
+      expect(history).toContain('Assistant: answer 8');
+    });
+  });
 });
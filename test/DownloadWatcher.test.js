@@ -196,7 +196,7 @@ describe('DownloadWatcher', () => {
       await new Promise((r) => originalSetTimeout(r, 100));
 
       expect(chokidar.watch).toHaveBeenCalledWith(
-        expect.stringContaining('Downloads'),
+        [expect.stringContaining('Downloads')],
         expect.objectContaining({
           ignoreInitial: true,
           depth: 0
@@ -245,7 +245,7 @@ describe('DownloadWatcher', () => {
       await new Promise((r) => originalSetTimeout(r, 100));
 
       expect(chokidar.watch).toHaveBeenCalledWith(
-        expect.stringContaining('Downloads'),
+        [expect.stringContaining('Downloads')],
         expect.objectContaining({
           usePolling: true,
           interval: 2000,
@@ -256,6 +256,86 @@ describe('DownloadWatcher', () => {
       // Restore homedir mock
       jest.restoreAllMocks();
     });
+
+    test('watches configured inbox folders instead of Downloads', async () => {
+      mockDependencies.settingsService.load.mockResolvedValue({
+        autoOrganize: true,
+        inboxFolders: [
+          { id: 'desk', name: 'Desktop', path: '/home/u/Desktop' },
+          { id: 'scan', name: 'Scans', path: '/mnt/scanner', depth: 2 },
+          { id: 'off', name: 'Off', path: '/mnt/off', enabled: false }
+        ]
+      });
+
+      watcher.start();
+      await new Promise((r) => originalSetTimeout(r, 100));
+
+      expect(chokidar.watch).toHaveBeenCalledWith(
+        ['/home/u/Desktop', '/mnt/scanner'],
+        expect.objectContaining({ depth: 2 })
+      );
+      expect(watcher.getStatus().inboxes.map((i) => i.id)).toEqual(['desk', 'scan']);
+    });
+  });
+
+  describe('inbox policies', () => {
+    beforeEach(() => {
+      watcher.inboxes = [
+        {
+          id: 'desk',
+          name: 'Desktop',
+          path: '/home/u/Desktop',
+          rootKey: '/home/u/Desktop',
+          depth: 0,
+          settleDelayMs: 2000,
+          autoOrganize: false,
+          confidenceThreshold: null,
+          isIgnored: require('../src/shared/inboxFolders').createIgnoreMatcher(['*.lnk'])
+        },
+        {
+          id: 'scan',
+          name: 'Scans',
+          path: '/mnt/scanner',
+          rootKey: '/mnt/scanner',
+          depth: 1,
+          settleDelayMs: 500,
+          autoOrganize: true,
+          confidenceThreshold: 0.5,
+          isIgnored: require('../src/shared/inboxFolders').createIgnoreMatcher(['tmp/**'])
+        }
+      ];
+    });
+
+    test('maps files to their inbox', () => {
+      expect(watcher._getInboxForPath('/home/u/Desktop/a.pdf').id).toBe('desk');
+      expect(watcher._getInboxForPath('/mnt/scanner/2024/a.pdf').id).toBe('scan');
+      expect(watcher._getInboxForPath('/elsewhere/a.pdf')).toBeNull();
+    });
+
+    test('applies per-inbox depth and ignore patterns', () => {
+      expect(watcher._isIgnoredByInbox('/home/u/Desktop/a.pdf')).toBe(false);
+      expect(watcher._isIgnoredByInbox('/home/u/Desktop/App.lnk')).toBe(true);
+      expect(watcher._isIgnoredByInbox('/home/u/Desktop/sub/a.pdf')).toBe(true);
+      expect(watcher._isIgnoredByInbox('/mnt/scanner/batch/a.pdf')).toBe(false);
+      expect(watcher._isIgnoredByInbox('/mnt/scanner/tmp/a.pdf')).toBe(true);
+    });
+
+    test('analyze-only inbox skips auto-organize', async () => {
+      const result = await watcher._attemptAutoOrganize('/home/u/Desktop/a.pdf');
+
+      expect(result).toEqual({ handled: false, shouldFallback: true });
+      expect(mockDependencies.autoOrganizeService.processNewFile).not.toHaveBeenCalled();
+    });
+
+    test('inbox confidence threshold overrides the global setting', async () => {
+      await watcher._attemptAutoOrganize('/mnt/scanner/a.pdf');
+
+      expect(mockDependencies.autoOrganizeService.processNewFile).toHaveBeenCalledWith(
+        '/mnt/scanner/a.pdf',
+        expect.any(Array),
+        expect.objectContaining({ confidenceThreshold: 0.5 })
+      );
+    });
   });
 
   describe('stop', () => {
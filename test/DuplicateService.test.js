@@ -0,0 +1,276 @@
+/**
+ * @jest-environment node
+ *
+ * Tests for DuplicateService
+ * Exact, perceptual-image and embedding duplicate grouping plus undoable resolution
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+
+jest.mock('../src/shared/logger', () => {
+  const logger = {
+    setContext: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  };
+  return { logger, createLogger: jest.fn(() => logger) };
+});
+
+// Test images hold the 9x8 greyscale thumbnail sharp would produce
+jest.mock('sharp', () =>
+  jest.fn((filePath) => {
+    const pipeline = {
+      greyscale: () => pipeline,
+      resize: () => pipeline,
+      raw: () => pipeline,
+      toBuffer: () => require('fs').promises.readFile(filePath)
+    };
+    return pipeline;
+  })
+);
+
+const { DuplicateService, hammingDistance } = require('../src/main/services/DuplicateService');
+const UndoRedoService = require('../src/main/services/UndoRedoService');
+
+// Horizontal gradient with a dark block; `noise` nudges a few pixels like re-encoding would
+async function writePattern(filePath, { invert = false, noise = 0 } = {}) {
+  const pixels = Buffer.alloc(72);
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 9; x++) {
+      const value = x >= 3 && x <= 4 && y >= 2 && y <= 5 ? 10 : 40 + x * 20;
+      pixels[y * 9 + x] = invert ? 255 - value : value;
+    }
+  }
+  for (let i = 0; i < noise; i++) {
+    pixels[i * 10] = pixels[i * 10 + 1] + 5;
+  }
+  await fs.writeFile(filePath, pixels);
+}
+
+describe('DuplicateService', () => {
+  let testDir;
+  let folderA;
+  let folderB;
+  let quarantineDir;
+  let undoRedo;
+
+  const createService = (options = {}) =>
+    new DuplicateService({ quarantineDir, getUndoRedo: () => undoRedo, ...options });
+
+  beforeEach(async () => {
+    testDir = path.join(os.tmpdir(), `duplicates-test-${Date.now()}`);
+    folderA = path.join(testDir, 'Finance');
+    folderB = path.join(testDir, 'Photos');
+    quarantineDir = path.join(testDir, 'Quarantine');
+    await fs.mkdir(folderA, { recursive: true });
+    await fs.mkdir(folderB, { recursive: true });
+    undoRedo = {
+      safeMove: jest.fn((from, to) => fs.rename(from, to)),
+      recordAction: jest.fn().mockResolvedValue(undefined),
+      updateChromaDbPaths: jest.fn().mockResolvedValue(undefined)
+    };
+  });
+
+  afterEach(async () => {
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  test('computes Hamming distance between hex hashes', () => {
+    expect(hammingDistance('0000000000000000', '0000000000000000')).toBe(0);
+    expect(hammingDistance('ffffffff00000000', '0000000000000000')).toBe(32);
+    expect(hammingDistance('0000000000000001', '0000000000000003')).toBe(1);
+  });
+
+  test('groups byte-identical files across folders by size and hash', async () => {
+    await fs.writeFile(path.join(folderA, 'invoice.pdf'), 'invoice 2024 content');
+    await fs.writeFile(path.join(folderB, 'invoice copy.pdf'), 'invoice 2024 content');
+    await fs.writeFile(path.join(folderA, 'other.pdf'), 'invoice 2025 content');
+    await fs.writeFile(path.join(folderA, 'empty-1.txt'), '');
+    await fs.writeFile(path.join(folderA, 'empty-2.txt'), '');
+
+    const progress = [];
+    const result = await createService().scan([folderA, folderB, folderA], {
+      includeImages: false,
+      includeDocuments: false,
+      onProgress: (p) => progress.push(p.phase)
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.groups).toHaveLength(1);
+    const [group] = result.groups;
+    expect(group.kind).toBe('exact');
+    expect(group.files.map((f) => f.name).sort()).toEqual(['invoice copy.pdf', 'invoice.pdf']);
+    expect(group.reclaimableBytes).toBe(20);
+    expect(result.stats.filesScanned).toBe(3);
+    expect(progress).toContain('hashing');
+  });
+
+  test('groups visually similar images by perceptual hash', async () => {
+    await writePattern(path.join(folderB, 'beach.png'));
+    await writePattern(path.join(folderB, 'beach-small.jpg'), { noise: 3 });
+    await writePattern(path.join(folderB, 'negative.png'), { invert: true });
+
+    const result = await createService().scan([folderB], { includeDocuments: false });
+
+    expect(result.groups).toHaveLength(1);
+    expect(result.groups[0].kind).toBe('image');
+    expect(result.groups[0].files.map((f) => f.name).sort()).toEqual([
+      'beach-small.jpg',
+      'beach.png'
+    ]);
+    expect(result.groups[0].similarity).toBeGreaterThan(0.9);
+  });
+
+  test('maps embedding near-duplicates onto scanned documents only', async () => {
+    const draft = path.join(folderA, 'contract-draft.docx');
+    const final = path.join(folderA, 'contract-final.docx');
+    await fs.writeFile(draft, 'draft');
+    await fs.writeFile(final, 'final version');
+    const clustering = {
+      findNearDuplicates: jest.fn().mockResolvedValue({
+        success: true,
+        groups: [
+          {
+            members: [{ path: draft }, { path: final }, { path: '/elsewhere/contract.docx' }],
+            averageSimilarity: 0.97
+          },
+          { members: [{ path: draft }, { path: '/elsewhere/old.docx' }] }
+        ]
+      })
+    };
+
+    const result = await createService({ getClusteringService: () => clustering }).scan([folderA], {
+      includeImages: false
+    });
+
+    expect(clustering.findNearDuplicates).toHaveBeenCalledWith(
+      expect.objectContaining({ threshold: 0.95 })
+    );
+    expect(result.groups).toHaveLength(1);
+    expect(result.groups[0]).toMatchObject({ kind: 'document', similarity: 0.97 });
+    expect(result.groups[0].files).toHaveLength(2);
+  });
+
+  test('quarantines extra copies and records one undoable batch', async () => {
+    const keep = path.join(folderA, 'report.txt');
+    const extra = path.join(folderB, 'report.txt');
+    await fs.writeFile(keep, 'same bytes');
+    await fs.writeFile(extra, 'same bytes');
+    await fs.mkdir(quarantineDir, { recursive: true });
+    await fs.writeFile(path.join(quarantineDir, 'report.txt'), 'earlier quarantine');
+
+    const service = createService();
+    const { groups } = await service.scan([folderA, folderB], { includeImages: false });
+    const result = await service.resolve([{ groupId: groups[0].id, keepPath: keep }]);
+
+    const quarantined = path.join(quarantineDir, 'report_1.txt');
+    expect(result.success).toBe(true);
+    expect(result.results).toEqual([
+      expect.objectContaining({
+        success: true,
+        type: 'move',
+        source: extra,
+        destination: quarantined
+      })
+    ]);
+    await expect(fs.readFile(quarantined, 'utf8')).resolves.toBe('same bytes');
+    await expect(fs.access(extra)).rejects.toThrow();
+    expect(undoRedo.updateChromaDbPaths).toHaveBeenCalledWith([
+      { oldPath: extra, newPath: quarantined }
+    ]);
+    expect(undoRedo.recordAction).toHaveBeenCalledWith('BATCH_OPERATION', {
+      operations: [{ type: 'move', originalPath: extra, newPath: quarantined }],
+      description: 'Quarantine 1 duplicate in 1 group'
+    });
+    expect(service.getResults().groups).toEqual([]);
+  });
+
+  test('replaces exact copies with links that undo and redo cleanly', async () => {
+    const keep = path.join(folderA, 'scan.pdf');
+    const extra = path.join(folderB, 'scan.pdf');
+    await fs.writeFile(keep, 'pdf bytes');
+    await fs.writeFile(extra, 'pdf bytes');
+
+    const service = createService();
+    const { groups } = await service.scan([folderA, folderB], { includeImages: false });
+    const result = await service.resolve([{ groupId: groups[0].id, keepPath: keep }], {
+      mode: 'link'
+    });
+
+    expect(result.success).toBe(true);
+    const [operation] = undoRedo.recordAction.mock.calls[0][1].operations;
+    expect(operation).toMatchObject({ type: 'link', originalPath: extra, targetPath: keep });
+    const [keepStat, linkStat] = await Promise.all([fs.stat(keep), fs.stat(extra)]);
+    expect(linkStat.ino).toBe(keepStat.ino);
+
+    const realUndoRedo = new UndoRedoService();
+    await expect(realUndoRedo.reverseFileOperation(operation)).resolves.toMatchObject({
+      success: true
+    });
+    expect((await fs.stat(extra)).ino).not.toBe(keepStat.ino);
+    await expect(fs.access(operation.newPath)).rejects.toThrow();
+
+    await realUndoRedo.executeFileOperation(operation);
+    expect((await fs.stat(extra)).ino).toBe(keepStat.ino);
+    await expect(fs.readFile(operation.newPath, 'utf8')).resolves.toBe('pdf bytes');
+  });
+
+  test('undoing a link leaves a file that replaced it alone', async () => {
+    const keep = path.join(folderA, 'notes.txt');
+    const extra = path.join(folderB, 'notes.txt');
+    await fs.writeFile(keep, 'same notes');
+    await fs.writeFile(extra, 'same notes');
+
+    const service = createService();
+    const { groups } = await service.scan([folderA, folderB], { includeImages: false });
+    await service.resolve([{ groupId: groups[0].id, keepPath: keep }], { mode: 'link' });
+    const [operation] = undoRedo.recordAction.mock.calls[0][1].operations;
+    await fs.unlink(extra);
+    await fs.writeFile(extra, 'new notes');
+
+    const result = await new UndoRedoService().reverseFileOperation(operation);
+
+    expect(result).toMatchObject({ success: false, error: expect.stringContaining('no longer') });
+    await expect(fs.readFile(extra, 'utf8')).resolves.toBe('new notes');
+    await expect(fs.readFile(operation.newPath, 'utf8')).resolves.toBe('same notes');
+  });
+
+  test('refuses to link near-duplicates or files outside the scanned group', async () => {
+    await writePattern(path.join(folderB, 'a.png'));
+    await writePattern(path.join(folderB, 'b.jpg'), { noise: 2 });
+
+    const service = createService();
+    const { groups } = await service.scan([folderB], { includeDocuments: false });
+    const result = await service.resolve(
+      [
+        { groupId: groups[0].id, keepPath: path.join(folderB, 'a.png') },
+        { groupId: groups[0].id, keepPath: '/not/in/group.png' }
+      ],
+      { mode: 'link' }
+    );
+
+    expect(result.success).toBe(false);
+    expect(result.results.map((r) => r.error)).toEqual([
+      'Only identical files can be linked',
+      'Duplicate group not found'
+    ]);
+    expect(undoRedo.recordAction).not.toHaveBeenCalled();
+  });
+
+  test('rejects a second scan while one is running and supports cancel', async () => {
+    await fs.writeFile(path.join(folderA, 'x.txt'), 'abc');
+    await fs.writeFile(path.join(folderA, 'y.txt'), 'abc');
+    const service = createService();
+
+    const first = service.scan([folderA], { includeImages: false });
+    expect(service.isScanning()).toBe(true);
+    await expect(service.scan([folderA])).resolves.toMatchObject({ success: false });
+    expect(service.cancelScan()).toBe(true);
+    await expect(first).resolves.toEqual({ success: false, cancelled: true });
+    expect(service.isScanning()).toBe(false);
+  });
+});
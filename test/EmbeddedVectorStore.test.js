@@ -0,0 +1,249 @@
+/**
+ * @jest-environment node
+ *
+ * Tests for the embedded vector store
+ * Chroma-compatible collection semantics, persistence and ChromaDB migration
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+
+jest.mock('../src/shared/logger', () => {
+  const logger = {
+    setContext: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  };
+  return { logger, createLogger: jest.fn(() => logger) };
+});
+
+const { EmbeddedVectorClient } = require('../src/main/services/chromadb/EmbeddedVectorStore');
+const { copyChromaCollections } = require('../src/main/services/chromadb/embeddedMigration');
+
+describe('EmbeddedVectorStore', () => {
+  let storeDir;
+  let client;
+
+  const openFiles = (target = client) =>
+    target.getOrCreateCollection({
+      name: 'file_embeddings',
+      metadata: { 'hnsw:space': 'cosine' }
+    });
+
+  const seed = (collection) =>
+    collection.upsert({
+      ids: ['a', 'b', 'c'],
+      embeddings: [
+        [1, 0, 0],
+        [0.8, 0.6, 0],
+        [0, 0, 1]
+      ],
+      metadatas: [
+        { path: '/docs/a.pdf', category: 'Invoices' },
+        { path: '/docs/b.pdf', category: 'Invoices' },
+        { path: '/docs/c.png', category: 'Photos', orphaned: 'true' }
+      ],
+      documents: ['invoice march', 'invoice april', 'beach']
+    });
+
+  beforeEach(async () => {
+    storeDir = path.join(os.tmpdir(), `vector-store-${Date.now()}-${Math.random()}`);
+    client = new EmbeddedVectorClient({ path: storeDir, persistDelayMs: 10 });
+  });
+
+  afterEach(async () => {
+    await client.close();
+    await fs.rm(storeDir, { recursive: true, force: true });
+  });
+
+  test('ranks query results by cosine distance and applies where filters', async () => {
+    const files = await openFiles();
+    await seed(files);
+
+    const result = await files.query({ queryEmbeddings: [[1, 0, 0]], nResults: 2 });
+    expect(result.ids).toEqual([['a', 'b']]);
+    expect(result.distances[0][0]).toBeCloseTo(0);
+    expect(result.distances[0][1]).toBeCloseTo(0.2);
+    expect(result.metadatas[0][1]).toMatchObject({ path: '/docs/b.pdf' });
+
+    const filtered = await files.query({
+      queryEmbeddings: [
+        [1, 0, 0],
+        [0, 0, 1]
+      ],
+      nResults: 5,
+      where: { $and: [{ category: { $in: ['Photos', 'Invoices'] } }, { orphaned: 'true' }] }
+    });
+    expect(filtered.ids).toEqual([['c'], ['c']]);
+
+    const orphans = await files.get({ where: { orphaned: 'true' }, include: ['metadatas'] });
+    expect(orphans).toMatchObject({ ids: ['c'], documents: null, embeddings: null });
+  });
+
+  test('merges metadata on upsert and deletes by id or filter', async () => {
+    const files = await openFiles();
+    await seed(files);
+
+    await files.upsert({
+      ids: ['a'],
+      embeddings: [[1, 0, 0]],
+      metadatas: [{ path: '/moved/a.pdf', category: null }]
+    });
+    const { metadatas, documents } = await files.get({ ids: ['a'] });
+    expect(metadatas).toEqual([{ path: '/moved/a.pdf' }]);
+    expect(documents).toEqual(['invoice march']);
+
+    await files.delete({ where: { category: 'Invoices' } });
+    await files.delete({ ids: ['missing'] });
+    expect((await files.get()).ids).toEqual(['a', 'c']);
+
+    await files.delete({ ids: ['a', 'c'] });
+    expect(await files.count()).toBe(0);
+  });
+
+  test('rejects embeddings of the wrong dimension without partial writes', async () => {
+    const files = await openFiles();
+    await seed(files);
+
+    await expect(
+      files.upsert({
+        ids: ['d', 'e'],
+        embeddings: [
+          [1, 0, 0],
+          [1, 0]
+        ]
+      })
+    ).rejects.toThrow('Collection expecting embedding with dimension of 3, got 2');
+    expect(await files.count()).toBe(3);
+  });
+
+  test('rejects new rows without an embedding and stays queryable', async () => {
+    const files = await openFiles();
+    await seed(files);
+
+    await expect(files.upsert({ ids: ['a', 'd'], embeddings: [[1, 0, 0], null] })).rejects.toThrow(
+      'Missing embedding for id d'
+    );
+    await files.upsert({ ids: ['a'], embeddings: [null], metadatas: [{ checked: true }] });
+
+    expect(await files.count()).toBe(3);
+    const result = await files.query({ queryEmbeddings: [[1, 0, 0]], nResults: 1 });
+    expect(result.ids).toEqual([['a']]);
+    expect(result.metadatas[0][0]).toMatchObject({ checked: true });
+  });
+
+  test('persists collections across clients and reports missing ones like Chroma', async () => {
+    await seed(await openFiles());
+    await client.close();
+
+    const reopened = new EmbeddedVectorClient({ path: storeDir });
+    const files = await reopened.getCollection({ name: 'file_embeddings' });
+    const page = await files.get({ offset: 1, limit: 1, include: ['embeddings', 'metadatas'] });
+
+    expect(files.metadata['hnsw:space']).toBe('cosine');
+    expect(page.ids).toEqual(['b']);
+    expect(page.embeddings[0][1]).toBeCloseTo(0.6);
+    await expect(reopened.getCollection({ name: 'folder_embeddings' })).rejects.toMatchObject({
+      name: 'ChromaNotFoundError'
+    });
+
+    await reopened.deleteCollection({ name: 'file_embeddings' });
+    expect(await reopened.listCollections()).toEqual([]);
+  });
+
+  test('appends changes to a log instead of rewriting the snapshot', async () => {
+    const collectionDir = path.join(storeDir, 'file_embeddings');
+    const files = await openFiles();
+    await files.flush();
+    const snapshot = await fs.readFile(path.join(collectionDir, 'collection.json'), 'utf8');
+
+    await seed(files);
+    await files.flush();
+    await files.delete({ ids: ['a'] });
+    await files.upsert({ ids: ['a'], embeddings: [[0, 1, 0]], metadatas: [{ path: '/new/a' }] });
+    await files.modify({ metadata: { description: 'files' } });
+    await client.close();
+
+    expect(await fs.readFile(path.join(collectionDir, 'collection.json'), 'utf8')).toBe(snapshot);
+    const log = await fs.readFile(path.join(collectionDir, 'changes.1.log'), 'utf8');
+    expect(log.trim().split('\n')).toHaveLength(6);
+
+    const reopened = new EmbeddedVectorClient({ path: storeDir });
+    const reloaded = await reopened.getCollection({ name: 'file_embeddings' });
+    const { ids, metadatas, embeddings } = await reloaded.get({
+      include: ['metadatas', 'embeddings']
+    });
+    expect(ids).toEqual(['b', 'c', 'a']);
+    expect(metadatas[2]).toEqual({ path: '/new/a' });
+    expect(embeddings[2][1]).toBeCloseTo(1);
+    expect(reloaded.metadata).toMatchObject({ 'hnsw:space': 'cosine', description: 'files' });
+    await reopened.close();
+  });
+
+  test('drops a torn last log record and keeps appending after it', async () => {
+    const logPath = path.join(storeDir, 'file_embeddings', 'changes.1.log');
+    await seed(await openFiles());
+    await client.close();
+    await fs.appendFile(logPath, '{"op":"put","id":"d","vec');
+
+    client = new EmbeddedVectorClient({ path: storeDir });
+    const files = await openFiles();
+    expect(await files.count()).toBe(3);
+    expect((await fs.readFile(logPath, 'utf8')).endsWith('}\n')).toBe(true);
+
+    await files.upsert({ ids: ['d'], embeddings: [[0, 1, 0]] });
+    await client.close();
+    client = new EmbeddedVectorClient({ path: storeDir });
+    expect((await (await openFiles()).get()).ids).toEqual(['a', 'b', 'c', 'd']);
+  });
+
+  test('compacts the log into a new snapshot once it outgrows the collection', async () => {
+    const collectionDir = path.join(storeDir, 'file_embeddings');
+    const files = await openFiles();
+    const ids = Array.from({ length: 1200 }, (_, i) => `file-${i}`);
+    await files.upsert({ ids, embeddings: ids.map((_, i) => [1, i, 0]) });
+    await files.flush();
+
+    expect((await fs.readdir(collectionDir)).sort()).toEqual(['collection.json', 'vectors.2.bin']);
+    await files.delete({ ids: ['file-0'] });
+    await client.close();
+
+    client = new EmbeddedVectorClient({ path: storeDir });
+    const reloaded = await openFiles();
+    expect(await reloaded.count()).toBe(1199);
+    const { embeddings } = await reloaded.get({ ids: ['file-1199'], include: ['embeddings'] });
+    expect(embeddings[0][1]).toBe(1199);
+  });
+
+  test('copies ChromaDB collections page by page and skips missing ones', async () => {
+    const source = new EmbeddedVectorClient({ path: path.join(storeDir, 'source') });
+    await seed(await openFiles(source));
+    const progress = jest.fn();
+
+    const result = await copyChromaCollections({
+      sourceClient: source,
+      targetClient: client,
+      collectionNames: ['file_embeddings', 'folder_embeddings'],
+      batchSize: 2,
+      onProgress: progress
+    });
+
+    expect(result).toEqual({
+      collections: {
+        file_embeddings: { copied: 3 },
+        folder_embeddings: { copied: 0, skipped: 'missing in source' }
+      },
+      totalCopied: 3
+    });
+    expect(progress).toHaveBeenCalledTimes(2);
+
+    const copied = await client.getCollection({ name: 'file_embeddings' });
+    const query = await copied.query({ queryEmbeddings: [[0, 0, 1]], nResults: 1 });
+    expect(query.ids).toEqual([['c']]);
+    expect(query.documents).toEqual([['beach']]);
+    await source.close();
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * Tests for FileAnnotationService and shared/fileAnnotations
+ * User tags and notes per file, persistence and path tracking
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+const { EventEmitter } = require('events');
+
+jest.mock('../src/shared/logger', () => {
+  const logger = {
+    setContext: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  };
+  return { logger, createLogger: jest.fn(() => logger) };
+});
+
+const { FileAnnotationService } = require('../src/main/services/FileAnnotationService');
+const {
+  FILE_ANNOTATION_LIMITS,
+  normalizeUserTags,
+  matchesUserTags
+} = require('../src/shared/fileAnnotations');
+
+describe('fileAnnotations helpers', () => {
+  test('normalizes tags from arrays and comma separated strings', () => {
+    expect(normalizeUserTags(' #Taxes ,  tax   2024, taxes,,')).toEqual(['Taxes', 'tax 2024']);
+    expect(normalizeUserTags(['a', 42, null, 'A'])).toEqual(['a']);
+
+    const many = Array.from({ length: 30 }, (_, i) => `tag${i}`);
+    expect(normalizeUserTags(many)).toHaveLength(FILE_ANNOTATION_LIMITS.MAX_TAGS_PER_FILE);
+  });
+
+  test('matches all or any tags case-insensitively', () => {
+    expect(matchesUserTags(['Taxes', 'Urgent'], ['taxes', 'urgent'])).toBe(true);
+    expect(matchesUserTags(['Taxes'], ['taxes', 'urgent'])).toBe(false);
+    expect(matchesUserTags(['Taxes'], ['taxes', 'urgent'], 'any')).toBe(true);
+    expect(matchesUserTags([], [])).toBe(true);
+  });
+});
+
+describe('FileAnnotationService', () => {
+  let testDir;
+  const fileA = path.join(os.tmpdir(), 'docs', 'a.pdf');
+  const fileB = path.join(os.tmpdir(), 'docs', 'b.pdf');
+
+  beforeEach(async () => {
+    testDir = path.join(os.tmpdir(), `file-annotations-test-${Date.now()}`);
+    await fs.mkdir(testDir, { recursive: true });
+  });
+
+  afterEach(async () => {
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  test('stores tags and notes across instances and keeps unset fields', async () => {
+    const service = new FileAnnotationService({ userDataPath: testDir });
+    const onChange = jest.fn();
+    service.on('changed', onChange);
+
+    await service.set(fileA, { tags: ['Taxes', '#urgent'], note: '  Pay by April ' });
+    const updated = await service.set(fileA, { note: 'Paid' });
+
+    expect(updated).toMatchObject({ tags: ['Taxes', 'urgent'], note: 'Paid' });
+    expect(onChange).toHaveBeenCalledTimes(2);
+
+    const reloaded = new FileAnnotationService({ userDataPath: testDir });
+    await expect(reloaded.get(fileA)).resolves.toMatchObject({
+      tags: ['Taxes', 'urgent'],
+      note: 'Paid'
+    });
+    await expect(reloaded.getMany([fileA, fileB])).resolves.toEqual({
+      [fileA]: expect.objectContaining({ note: 'Paid' })
+    });
+  });
+
+  test('removes an annotation once tags and note are cleared', async () => {
+    const service = new FileAnnotationService({ userDataPath: testDir });
+    await service.set(fileA, { tags: ['x'] });
+
+    await expect(service.set(fileA, { tags: [] })).resolves.toBeNull();
+    await expect(service.get(fileA)).resolves.toBeNull();
+    await expect(service.set(fileB, { tags: [], note: '' })).resolves.toBeNull();
+  });
+
+  test('each change is on disk by the time it resolves', async () => {
+    const service = new FileAnnotationService({ userDataPath: testDir });
+    await service.set(fileA, { tags: ['x'] });
+
+    const pending = service.set(fileB, { tags: ['y'] });
+    await service.set(fileA, { tags: [] });
+
+    const reloaded = new FileAnnotationService({ userDataPath: testDir });
+    await expect(reloaded.getMany([fileA, fileB])).resolves.toEqual({
+      [fileB]: expect.objectContaining({ tags: ['y'] })
+    });
+    await pending;
+  });
+
+  test('rejects a change whose write fails', async () => {
+    const blocked = path.join(testDir, 'not-a-dir');
+    await fs.writeFile(blocked, '');
+    const service = new FileAnnotationService({ userDataPath: blocked });
+
+    await expect(service.set(fileA, { tags: ['x'] })).rejects.toThrow();
+  });
+
+  test('lists tag counts and finds files by tag', async () => {
+    const service = new FileAnnotationService({ userDataPath: testDir });
+    await service.set(fileA, { tags: ['Taxes', 'urgent'] });
+    await service.set(fileB, { tags: ['taxes'] });
+
+    await expect(service.listTags()).resolves.toEqual([
+      { tag: 'Taxes', count: 2 },
+      { tag: 'urgent', count: 1 }
+    ]);
+    expect((await service.findByTags(['TAXES', 'urgent'])).map((f) => f.path)).toEqual([fileA]);
+    expect(await service.findByTags(['urgent', 'missing'], { match: 'any' })).toHaveLength(1);
+    await expect(service.findByTags([])).resolves.toEqual([]);
+  });
+
+  test('follows moves, copies and deletions from the path coordinator', async () => {
+    const service = new FileAnnotationService({ userDataPath: testDir });
+    const coordinator = new EventEmitter();
+    service.trackPathChanges(coordinator);
+    await service.set(fileA, { tags: ['keep'] });
+
+    const fileC = path.join(os.tmpdir(), 'sorted', 'a.pdf');
+    await service.movePath(fileA, fileC);
+    await expect(service.get(fileA)).resolves.toBeNull();
+    await expect(service.get(fileC)).resolves.toMatchObject({ tags: ['keep'] });
+
+    await service.movePath(fileC, fileB, { copy: true });
+    await expect(service.get(fileC)).resolves.not.toBeNull();
+    await expect(service.get(fileB)).resolves.toMatchObject({ tags: ['keep'] });
+
+    coordinator.emit('file-deleted', { path: fileB });
+    await new Promise((resolve) => setImmediate(resolve));
+    await expect(service.get(fileB)).resolves.toBeNull();
+
+    service.shutdown();
+    expect(coordinator.listenerCount('file-deleted')).toBe(0);
+  });
+});
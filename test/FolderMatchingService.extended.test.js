@@ -251,6 +251,31 @@ describe('FolderMatchingService Extended Tests', () => {
     });
   });
 
+  describe('Nested Folder Routing', () => {
+    test('routeVectorToFolderTree queries every folder and descends into children', async () => {
+      const folders = [
+        { id: 'clients', name: 'Clients', path: '/docs/Clients' },
+        { id: 'tax', name: 'Tax', path: '/docs/Clients/Tax', parentId: 'clients' },
+        { id: 'photos', name: 'Photos', path: '/docs/Photos' }
+      ];
+      mockChromaDbService.queryFoldersByEmbedding.mockResolvedValueOnce([
+        { folderId: 'tax', name: 'Tax', score: 0.9 },
+        { folderId: 'clients', name: 'Clients', score: 0.7 },
+        { folderId: 'photos', name: 'Photos', score: 0.3 }
+      ]);
+
+      const res = await service.routeVectorToFolderTree([0.1, 0.2], folders, {
+        topK: 2,
+        minChildScore: 0.5
+      });
+
+      expect(mockChromaDbService.queryFoldersByEmbedding).toHaveBeenCalledWith([0.1, 0.2], 3);
+      expect(res[0]).toMatchObject({ folderId: 'tax', path: '/docs/Clients/Tax', score: 0.7 });
+      expect(res[0].route.map((level) => level.id)).toEqual(['clients', 'tax']);
+      expect(res[1].folderId).toBe('photos');
+    });
+  });
+
   describe('Edge Cases & Error Handling', () => {
     test('batchMatchFilesToFolders handles missing chroma', async () => {
       service.chromaDbService = null;
@@ -0,0 +1,171 @@
+/**
+ * Tests for GraphWorkspaceStore and shared/graphExport
+ * Named graph workspaces, persistence and GraphML/GEXF/JSON/SVG export
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+
+jest.mock('../src/shared/logger', () => {
+  const logger = {
+    setContext: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  };
+  return { logger, createLogger: jest.fn(() => logger) };
+});
+
+const { GraphWorkspaceStore } = require('../src/main/services/GraphWorkspaceStore');
+const {
+  normalizeGraph,
+  toGraphML,
+  toGEXF,
+  toGraphJSON,
+  toSVG
+} = require('../src/shared/graphExport');
+
+const graph = {
+  name: 'Tax <2024>',
+  nodes: [
+    {
+      id: 'cluster-1',
+      type: 'clusterNode',
+      position: { x: 0, y: 0 },
+      data: { kind: 'cluster', label: 'Invoices & Receipts', memberIds: ['file-a'] }
+    },
+    {
+      id: 'file-a',
+      type: 'fileNode',
+      position: { x: 200, y: 100 },
+      data: { kind: 'file', label: 'a.pdf', path: '/docs/a.pdf', category: 'documents' }
+    },
+    {
+      id: 'file-b',
+      type: 'fileNode',
+      position: { x: 400, y: 100 },
+      data: { kind: 'file', label: 'b.pdf', path: '/docs/b.pdf' }
+    }
+  ],
+  edges: [
+    { id: 'e1', source: 'file-a', target: 'file-b', data: { kind: 'similarity', similarity: 0.8 } },
+    { id: 'e2', source: 'file-a', target: 'missing' }
+  ],
+  notes: { 'file-a': 'Check "due" date' }
+};
+
+describe('GraphWorkspaceStore', () => {
+  let testDir;
+
+  beforeEach(async () => {
+    testDir = path.join(os.tmpdir(), `graph-workspaces-test-${Date.now()}`);
+    await fs.mkdir(testDir, { recursive: true });
+  });
+
+  afterEach(async () => {
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  test('keeps several named workspaces across instances, most recent first', async () => {
+    const store = new GraphWorkspaceStore({ userDataPath: testDir });
+    const first = await store.save({ ...graph, name: 'Taxes' });
+    const second = await store.save({ nodes: [], edges: [], name: '  Trip   photos ' });
+
+    expect(second.name).toBe('Trip photos');
+    expect(first).toMatchObject({ nodeCount: 3, edgeCount: 2 });
+
+    const reloaded = new GraphWorkspaceStore({ userDataPath: testDir });
+    expect((await reloaded.list()).map((w) => w.name)).toEqual(['Trip photos', 'Taxes']);
+    const loaded = await reloaded.get(first.id);
+    expect(loaded.notes).toEqual(graph.notes);
+    expect(loaded.nodes[0].data.label).toBe('Invoices & Receipts');
+  });
+
+  test('updates in place by id and rejects unknown ids', async () => {
+    const store = new GraphWorkspaceStore({ userDataPath: testDir });
+    const created = await store.save({ ...graph, name: 'Taxes' });
+    const updated = await store.save({ id: created.id, name: '', nodes: [], edges: [] });
+
+    expect(updated).toMatchObject({ id: created.id, name: 'Taxes', nodeCount: 0 });
+    expect(await store.list()).toHaveLength(1);
+    await expect(store.save({ id: 'nope', nodes: [], edges: [] })).resolves.toBeNull();
+
+    await expect(store.rename(created.id, 'Renamed')).resolves.toMatchObject({
+      name: 'Renamed'
+    });
+    await expect(store.remove(created.id)).resolves.toBe(true);
+    await expect(store.list()).resolves.toEqual([]);
+  });
+
+  test('drops the oldest workspace past the limit', async () => {
+    const store = new GraphWorkspaceStore({ userDataPath: testDir, maxWorkspaces: 2 });
+    await store.save({ name: 'One', nodes: [], edges: [] });
+    await store.save({ name: 'Two', nodes: [], edges: [] });
+    await store.save({ name: 'Three', nodes: [], edges: [] });
+
+    expect((await store.list()).map((w) => w.name)).toEqual(['Three', 'Two']);
+  });
+
+  test('a change is on disk once its promise resolves, even behind another write', async () => {
+    const store = new GraphWorkspaceStore({ userDataPath: testDir });
+    const created = await store.save({ ...graph, name: 'Taxes' });
+
+    const pending = store.rename(created.id, 'Renamed');
+    await store.remove(created.id);
+
+    const reloaded = new GraphWorkspaceStore({ userDataPath: testDir });
+    expect(await reloaded.list()).toEqual([]);
+    await pending;
+  });
+
+  test('rejects a save whose write fails', async () => {
+    const blocked = path.join(testDir, 'not-a-dir');
+    await fs.writeFile(blocked, '');
+    const store = new GraphWorkspaceStore({ userDataPath: blocked });
+
+    await expect(store.save({ ...graph, name: 'Taxes' })).rejects.toThrow();
+  });
+});
+
+describe('graphExport', () => {
+  test('attaches cluster labels and notes and drops dangling edges', () => {
+    const { nodes, edges } = normalizeGraph(graph);
+    expect(nodes.find((n) => n.id === 'file-a')).toMatchObject({
+      cluster: 'Invoices & Receipts',
+      note: 'Check "due" date',
+      x: 200,
+      y: 100
+    });
+    expect(edges).toEqual([
+      { id: 'e1', source: 'file-a', target: 'file-b', kind: 'similarity', weight: 0.8 }
+    ]);
+  });
+
+  test('writes escaped GraphML and GEXF with node attributes', () => {
+    const graphml = toGraphML(graph);
+    expect(graphml).toContain('<graph id="Tax &lt;2024&gt;" edgedefault="undirected">');
+    expect(graphml).toContain('<data key="cluster">Invoices &amp; Receipts</data>');
+    expect(graphml).toContain('<data key="note">Check &quot;due&quot; date</data>');
+    expect(graphml).toContain('<edge id="e1" source="file-a" target="file-b">');
+
+    const gexf = toGEXF(graph);
+    expect(gexf).toContain('<node id="file-a" label="a.pdf">');
+    expect(gexf).toContain('<viz:position x="200" y="-100" z="0"/>');
+    expect(gexf).toContain('weight="0.8"');
+  });
+
+  test('writes JSON and an SVG snapshot', () => {
+    const json = JSON.parse(toGraphJSON(graph));
+    expect(json).toMatchObject({ format: 'stratosort-graph', version: 1, name: 'Tax <2024>' });
+    expect(json.nodes[1]).toMatchObject({ id: 'file-a', position: { x: 200, y: 100 } });
+
+    const { svg, width, height } = toSVG(graph);
+    expect(svg.startsWith('<svg')).toBe(true);
+    expect(width).toBeGreaterThan(400);
+    expect(height).toBeGreaterThan(100);
+    expect(svg).toContain('Invoices &amp; Receipts');
+    expect(svg).toContain('Check &quot;due&quot; date');
+  });
+});
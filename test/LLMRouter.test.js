@@ -0,0 +1,155 @@
+/**
+ * @jest-environment node
+ *
+ * Tests for LLMRouter and the provider registry
+ * Per-role routing between Ollama and an OpenAI-compatible server
+ */
+
+jest.mock('../src/shared/logger', () => {
+  const logger = {
+    setContext: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  };
+  return { logger, createLogger: jest.fn(() => logger) };
+});
+
+const {
+  LLMRouter,
+  OllamaProvider,
+  OpenAICompatibleProvider,
+  setProviderConfig,
+  getActiveProviderConfig,
+  getOpenAICompatibleProvider
+} = require('../src/main/services/llmProviders');
+const { getProviderConfig, categorizeModelsForRoles } = require('../src/shared/llmProviders');
+
+describe('LLMRouter', () => {
+  let ollamaClient;
+  let router;
+  let openai;
+
+  beforeEach(() => {
+    setProviderConfig(getProviderConfig({}));
+    ollamaClient = {
+      generate: jest.fn().mockResolvedValue({ response: 'ollama' }),
+      chat: jest.fn().mockResolvedValue({ message: { content: 'ollama' } }),
+      embed: jest.fn().mockResolvedValue({ embeddings: [[1]] }),
+      list: jest.fn().mockResolvedValue({ models: [{ name: 'llama3.2:latest' }] }),
+      pull: jest.fn().mockResolvedValue({ status: 'success' })
+    };
+    router = new LLMRouter({
+      ollamaProvider: new OllamaProvider({ getClient: () => ollamaClient })
+    });
+  });
+
+  const useServerFor = (roles) => {
+    setProviderConfig({
+      text: 'ollama',
+      vision: 'ollama',
+      embedding: 'ollama',
+      ...Object.fromEntries(roles.map((role) => [role, 'openai-compatible'])),
+      openaiCompatibleHost: 'http://localhost:1234/v1'
+    });
+    openai = getOpenAICompatibleProvider();
+    jest.spyOn(openai, 'generate').mockResolvedValue({ response: 'server' });
+    jest.spyOn(openai, 'chat').mockResolvedValue({ message: { content: 'server' } });
+    jest.spyOn(openai, 'embed').mockResolvedValue({ embeddings: [[2]] });
+    jest
+      .spyOn(openai, 'list')
+      .mockResolvedValue({ models: [{ name: 'qwen2.5-7b', provider: 'openai-compatible' }] });
+  };
+
+  test('sends everything to Ollama by default', async () => {
+    await router.generate({ model: 'm', prompt: 'p' });
+    await router.embed({ model: 'e', input: 'x' });
+    const { models } = await router.list();
+
+    expect(ollamaClient.generate).toHaveBeenCalled();
+    expect(ollamaClient.embed).toHaveBeenCalled();
+    expect(models).toEqual([{ name: 'llama3.2:latest', provider: 'ollama' }]);
+  });
+
+  test('routes by role, using the vision provider for requests with images', async () => {
+    useServerFor(['vision', 'embedding']);
+
+    await expect(router.generate({ model: 'm', prompt: 'p' })).resolves.toEqual({
+      response: 'ollama'
+    });
+    await expect(
+      router.generate({ model: 'llava', prompt: 'p', images: ['abc'] })
+    ).resolves.toEqual({ response: 'server' });
+    await expect(
+      router.chat({ model: 'llava', messages: [{ role: 'user', content: 'p', images: ['abc'] }] })
+    ).resolves.toEqual({ message: { content: 'server' } });
+    await expect(router.embed({ model: 'e', input: 'x' })).resolves.toEqual({
+      embeddings: [[2]]
+    });
+  });
+
+  test('merges model lists and reports a provider that is down', async () => {
+    useServerFor(['text']);
+    ollamaClient.list.mockRejectedValue(new Error('fetch failed'));
+
+    const result = await router.list();
+
+    expect(result.models).toEqual([{ name: 'qwen2.5-7b', provider: 'openai-compatible' }]);
+    expect(result.errors).toEqual([{ provider: 'ollama', error: 'fetch failed' }]);
+
+    openai.list.mockRejectedValue(new Error('ECONNREFUSED'));
+    await expect(router.list()).rejects.toThrow('ECONNREFUSED');
+  });
+
+  test('keeps model management on Ollama', async () => {
+    useServerFor(['text', 'vision', 'embedding']);
+    await router.pull({ model: 'llama3.2' });
+    expect(ollamaClient.pull).toHaveBeenCalledWith({ model: 'llama3.2' });
+  });
+});
+
+describe('provider registry', () => {
+  test('normalizes configuration and recreates the server client on connection changes', () => {
+    setProviderConfig(getProviderConfig({}));
+    const result = setProviderConfig({
+      text: 'openai-compatible',
+      vision: 'bogus',
+      embedding: 'ollama',
+      openaiCompatibleHost: 'localhost:8080/v1/chat/completions'
+    });
+
+    expect(result).toEqual({ changedRoles: ['text'], connectionChanged: true });
+    expect(getActiveProviderConfig()).toMatchObject({
+      text: 'openai-compatible',
+      vision: 'ollama',
+      openaiCompatibleHost: 'http://localhost:8080/v1'
+    });
+
+    const first = getOpenAICompatibleProvider();
+    expect(first).toBeInstanceOf(OpenAICompatibleProvider);
+    expect(first.baseUrl).toBe('http://localhost:8080/v1');
+    expect(getOpenAICompatibleProvider()).toBe(first);
+
+    setProviderConfig({ ...getActiveProviderConfig(), openaiCompatibleApiKey: 'key' });
+    expect(getOpenAICompatibleProvider()).not.toBe(first);
+  });
+});
+
+describe('categorizeModelsForRoles', () => {
+  test('categorizes each role from its own provider', () => {
+    const models = [
+      { name: 'llama3.2:latest', provider: 'ollama' },
+      { name: 'mxbai-embed-large:latest', provider: 'ollama' },
+      { name: 'qwen2.5-7b-instruct', provider: 'openai-compatible' },
+      { name: 'text-embedding-nomic-embed-text-v1.5', provider: 'openai-compatible' }
+    ];
+    const config = getProviderConfig({ embeddingProvider: 'openai-compatible' });
+
+    const categories = categorizeModelsForRoles(models, config);
+
+    expect(categories.text).toContain('llama3.2:latest');
+    expect(categories.text).not.toContain('qwen2.5-7b-instruct');
+    expect(categories.embedding).toEqual(['text-embedding-nomic-embed-text-v1.5']);
+  });
+});
@@ -0,0 +1,238 @@
+/**
+ * @jest-environment node
+ *
+ * Tests for LocalApiServer
+ * Token auth, host checks, route mapping onto IPC handlers, rate limits and the OpenAPI document
+ */
+
+const http = require('http');
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+
+jest.mock('../src/shared/logger', () => {
+  const logger = {
+    setContext: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  };
+  return { logger, createLogger: jest.fn(() => logger) };
+});
+
+const { IPC_CHANNELS } = require('../src/shared/constants');
+const { LocalApiServer } = require('../src/main/services/localApi/LocalApiServer');
+
+function request(port, { method = 'GET', urlPath, token, host, body }) {
+  return new Promise((resolve, reject) => {
+    const payload = body === undefined ? null : JSON.stringify(body);
+    const req = http.request(
+      {
+        host: '127.0.0.1',
+        port,
+        method,
+        path: urlPath,
+        headers: {
+          Host: host || `127.0.0.1:${port}`,
+          ...(token && { Authorization: `Bearer ${token}` }),
+          ...(payload && { 'Content-Type': 'application/json' })
+        }
+      },
+      (res) => {
+        const chunks = [];
+        res.on('data', (chunk) => chunks.push(chunk));
+        res.on('end', () =>
+          resolve({
+            status: res.statusCode,
+            headers: res.headers,
+            body: JSON.parse(Buffer.concat(chunks).toString('utf8'))
+          })
+        );
+      }
+    );
+    req.on('error', reject);
+    if (payload) req.write(payload);
+    req.end();
+  });
+}
+
+describe('LocalApiServer', () => {
+  let dir;
+  let handlers;
+  let server;
+  let port;
+  let token;
+
+  beforeEach(async () => {
+    dir = path.join(os.tmpdir(), `local-api-${Date.now()}-${Math.random()}`);
+    await fs.mkdir(dir, { recursive: true });
+    handlers = {};
+    server = new LocalApiServer({
+      invoke: jest.fn((channel, ...args) => handlers[channel](...args)),
+      tokenPath: path.join(dir, 'local-api.json'),
+      version: '9.9.9'
+    });
+    await server.applySettings({ localApiEnabled: true, localApiPort: 0 });
+    const status = await server.getStatus();
+    port = status.port;
+    token = status.token;
+  });
+
+  afterEach(async () => {
+    await server.shutdown();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('starts from settings and persists the token', async () => {
+    const status = await server.getStatus();
+    expect(status).toMatchObject({ enabled: true, running: true, error: null });
+    expect(status.url).toBe(`http://127.0.0.1:${port}/api/v1`);
+
+    const stored = JSON.parse(await fs.readFile(path.join(dir, 'local-api.json'), 'utf8'));
+    expect(stored.token).toBe(token);
+
+    await server.applySettings({ localApiEnabled: false, localApiPort: 0 });
+    expect((await server.getStatus()).running).toBe(false);
+  });
+
+  test('requires the bearer token except on public routes', async () => {
+    await expect(request(port, { urlPath: '/api/v1/health' })).resolves.toMatchObject({
+      status: 200,
+      body: { status: 'ok', version: '9.9.9' }
+    });
+
+    const missing = await request(port, { urlPath: '/api/v1/search?q=x' });
+    expect(missing.status).toBe(401);
+    expect(missing.headers['www-authenticate']).toBe('Bearer');
+
+    const wrong = await request(port, { urlPath: '/api/v1/search?q=x', token: 'nope' });
+    expect(wrong.status).toBe(401);
+
+    const oldToken = token;
+    await server.regenerateToken();
+    await expect(
+      request(port, { urlPath: '/api/v1/search?q=x', token: oldToken })
+    ).resolves.toMatchObject({ status: 401 });
+  });
+
+  test('rejects foreign Host headers to block DNS rebinding', async () => {
+    const res = await request(port, {
+      urlPath: '/api/v1/health',
+      host: `evil.example:${port}`
+    });
+    expect(res.status).toBe(403);
+  });
+
+  test('maps search onto the embeddings handler and validates input', async () => {
+    handlers[IPC_CHANNELS.EMBEDDINGS.SEARCH] = jest.fn(async () => ({
+      success: true,
+      mode: 'hybrid',
+      results: [{ id: 'a', score: 0.9 }],
+      meta: { fallback: false }
+    }));
+
+    const res = await request(port, {
+      urlPath: '/api/v1/search?q=tax%20forms&topK=5&mode=hybrid',
+      token
+    });
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      mode: 'hybrid',
+      results: [{ id: 'a', score: 0.9 }],
+      meta: { fallback: false }
+    });
+    expect(handlers[IPC_CHANNELS.EMBEDDINGS.SEARCH]).toHaveBeenCalledWith({
+      query: 'tax forms',
+      topK: 5,
+      mode: 'hybrid'
+    });
+
+    await expect(
+      request(port, { urlPath: '/api/v1/search?q=x&mode=fuzzy', token })
+    ).resolves.toMatchObject({ status: 400 });
+
+    handlers[IPC_CHANNELS.EMBEDDINGS.SEARCH].mockResolvedValueOnce({
+      success: false,
+      error: { code: 'SERVICE_UNAVAILABLE', message: 'Search unavailable' }
+    });
+    await expect(request(port, { urlPath: '/api/v1/search?q=x', token })).resolves.toMatchObject({
+      status: 503,
+      body: { error: 'Search unavailable' }
+    });
+  });
+
+  test('builds organize suggestions from the recorded analysis', async () => {
+    const filePath = path.join(dir, 'invoice.pdf');
+    handlers[IPC_CHANNELS.ANALYSIS_HISTORY.GET_FILE_HISTORY] = jest.fn(async (p) =>
+      p === filePath ? { analysis: { category: 'Invoices' } } : null
+    );
+    handlers[IPC_CHANNELS.SUGGESTIONS.GET_FILE_SUGGESTIONS] = jest.fn(async () => ({
+      success: true,
+      primary: { folder: 'Invoices' }
+    }));
+
+    const res = await request(port, {
+      method: 'POST',
+      urlPath: '/api/v1/organize/suggestions',
+      token,
+      body: { path: filePath }
+    });
+    expect(res.status).toBe(200);
+    expect(res.body.primary).toEqual({ folder: 'Invoices' });
+    expect(handlers[IPC_CHANNELS.SUGGESTIONS.GET_FILE_SUGGESTIONS]).toHaveBeenCalledWith({
+      file: {
+        path: filePath,
+        name: 'invoice.pdf',
+        extension: '.pdf',
+        analysis: { category: 'Invoices' }
+      }
+    });
+
+    const missing = await request(port, {
+      urlPath: `/api/v1/files/analysis?path=${encodeURIComponent(path.join(dir, 'other.pdf'))}`,
+      token
+    });
+    expect(missing.status).toBe(404);
+
+    await expect(
+      request(port, { urlPath: '/api/v1/files/analysis?path=relative.pdf', token })
+    ).resolves.toMatchObject({ status: 400 });
+  });
+
+  test('rate limits each endpoint separately', async () => {
+    handlers[IPC_CHANNELS.CHAT.QUERY] = jest.fn(async () => ({ success: true, response: 'hi' }));
+    const chat = () =>
+      request(port, { method: 'POST', urlPath: '/api/v1/chat', token, body: { query: 'hello' } });
+
+    for (let i = 0; i < 10; i += 1) {
+      expect((await chat()).status).toBe(200);
+    }
+    const limited = await chat();
+    expect(limited.status).toBe(429);
+    expect(limited.headers['retry-after']).toBe('60');
+
+    await expect(request(port, { urlPath: '/api/v1/health' })).resolves.toMatchObject({
+      status: 200
+    });
+  });
+
+  test('describes every route in the OpenAPI document', async () => {
+    const res = await request(port, { urlPath: '/api/v1/openapi.json' });
+    expect(res.status).toBe(200);
+    expect(res.body.openapi).toBe('3.0.3');
+    expect(res.body.servers).toEqual([{ url: `http://127.0.0.1:${port}` }]);
+    expect(Object.keys(res.body.paths).sort()).toEqual(
+      server.routes.map((route) => route.path).sort()
+    );
+    expect(res.body.paths['/api/v1/health'].get.security).toEqual([]);
+    expect(res.body.paths['/api/v1/chat'].post.responses).toHaveProperty('429');
+    expect(res.body.paths['/api/v1/chat'].post.requestBody.content).toHaveProperty(
+      'application/json'
+    );
+
+    await expect(
+      request(port, { method: 'POST', urlPath: '/api/v1/health' })
+    ).resolves.toMatchObject({ status: 405 });
+  });
+});
@@ -221,6 +221,24 @@ describe('NotificationService', () => {
     );
   });
 
+  test('notifySavedSearchMatches summarizes the new files', async () => {
+    const settingsService = {
+      load: jest.fn().mockResolvedValue({ notifications: true, notificationMode: 'ui' })
+    };
+    const svc = new NotificationService({ settingsService });
+    const uiSpy = jest.spyOn(svc, '_sendToUi');
+
+    await svc.notifySavedSearchMatches('Acme', ['a.pdf', 'b.pdf', 'c.pdf'], { searchId: 's1' });
+    expect(uiSpy).toHaveBeenCalledWith(
+      expect.objectContaining({
+        type: NotificationService.NotificationType.SAVED_SEARCH_MATCH,
+        title: 'New in "Acme"',
+        message: 'a.pdf and 2 more match this saved search',
+        data: expect.objectContaining({ searchId: 's1' })
+      })
+    );
+  });
+
   test('singleton getInstance/resetInstance', () => {
     NotificationService.resetInstance();
     const settingsService = { load: jest.fn().mockResolvedValue({ notifications: true }) };
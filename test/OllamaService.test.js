@@ -492,6 +492,57 @@ describe('OllamaService', () => {
     });
   });
 
+  describe('streamText', () => {
+    const createStream = (parts, { abort = jest.fn() } = {}) => ({
+      abort,
+      async *[Symbol.asyncIterator]() {
+        for (const part of parts) {
+          yield part;
+        }
+      }
+    });
+
+    test('should stream tokens and return the full text', async () => {
+      mockOllama.generate.mockResolvedValue(
+        createStream([{ response: 'Hello' }, { response: ' world' }, { response: '', done: true }])
+      );
+      const onToken = jest.fn();
+
+      const result = await OllamaServiceModule.streamText('Say hello', { onToken });
+
+      expect(result).toEqual({ success: true, response: 'Hello world' });
+      expect(onToken.mock.calls).toEqual([['Hello'], [' world']]);
+      expect(mockOllama.generate).toHaveBeenCalledWith(expect.objectContaining({ stream: true }));
+    });
+
+    test('should report cancellation with the partial text', async () => {
+      const controller = new AbortController();
+      const abort = jest.fn();
+      mockOllama.generate.mockResolvedValue({
+        abort,
+        async *[Symbol.asyncIterator]() {
+          yield { response: 'Partial' };
+          controller.abort();
+          throw new Error('The operation was aborted');
+        }
+      });
+
+      const result = await OllamaServiceModule.streamText('text', { signal: controller.signal });
+
+      expect(result).toEqual({ success: false, cancelled: true, response: 'Partial' });
+      expect(abort).toHaveBeenCalled();
+    });
+
+    test('should return error on failure', async () => {
+      mockOllama.generate.mockRejectedValue(new Error('Model not loaded'));
+
+      const result = await OllamaServiceModule.streamText('text');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Model not loaded');
+    });
+  });
+
   describe('analyzeImage', () => {
     test('should analyze image successfully', async () => {
       const imageBase64 = 'base64encodedimage';
@@ -0,0 +1,226 @@
+/**
+ * @jest-environment node
+ *
+ * Tests for OpenAICompatibleProvider
+ * Translation between Ollama request/response shapes and the OpenAI /v1 API
+ */
+
+jest.mock('../src/shared/logger', () => {
+  const logger = {
+    setContext: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  };
+  return { logger, createLogger: jest.fn(() => logger) };
+});
+
+const { OpenAICompatibleProvider } = require('../src/main/services/llmProviders');
+
+function jsonResponse(body, status = 200) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: status === 200 ? 'OK' : 'Error',
+    json: async () => body,
+    text: async () => JSON.stringify(body)
+  };
+}
+
+function sseResponse(lines) {
+  const encoder = new TextEncoder();
+  return {
+    ok: true,
+    status: 200,
+    body: (async function* stream() {
+      // Split mid-line to exercise buffering across network chunks
+      const payload = lines.map((line) => `data: ${line}\n\n`).join('');
+      yield encoder.encode(payload.slice(0, 20));
+      yield encoder.encode(payload.slice(20));
+    })()
+  };
+}
+
+function completion(content, extra = {}) {
+  return {
+    model: 'qwen2.5-7b',
+    created: 1700000000,
+    choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+    usage: { prompt_tokens: 12, completion_tokens: 5 },
+    ...extra
+  };
+}
+
+describe('OpenAICompatibleProvider', () => {
+  let fetch;
+  let provider;
+
+  beforeEach(() => {
+    fetch = jest.fn();
+    provider = new OpenAICompatibleProvider({
+      baseUrl: 'http://127.0.0.1:8080/v1/',
+      apiKey: 'secret',
+      fetch
+    });
+  });
+
+  const sentBody = (call = 0) => JSON.parse(fetch.mock.calls[call][1].body);
+
+  test('maps generate requests to chat completions and back', async () => {
+    fetch.mockResolvedValue(jsonResponse(completion('{"category":"Invoices"}')));
+
+    const result = await provider.generate({
+      model: 'qwen2.5-7b',
+      system: 'You sort files.',
+      prompt: 'Categorize this.',
+      format: 'json',
+      options: { temperature: 0.2, num_predict: 200, num_ctx: 4096 }
+    });
+
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toBe('http://127.0.0.1:8080/v1/chat/completions');
+    expect(init.headers.Authorization).toBe('Bearer secret');
+    expect(sentBody()).toEqual({
+      model: 'qwen2.5-7b',
+      stream: false,
+      messages: [
+        { role: 'system', content: 'You sort files.' },
+        { role: 'user', content: 'Categorize this.' }
+      ],
+      temperature: 0.2,
+      max_tokens: 200,
+      response_format: { type: 'json_object' }
+    });
+    expect(result).toMatchObject({
+      model: 'qwen2.5-7b',
+      response: '{"category":"Invoices"}',
+      done: true,
+      done_reason: 'stop',
+      prompt_eval_count: 12,
+      eval_count: 5
+    });
+  });
+
+  test('sends images as data URLs', async () => {
+    fetch.mockResolvedValue(jsonResponse(completion('A receipt')));
+
+    await provider.generate({ model: 'llava', prompt: 'Describe', images: ['iVBORw0KGgo='] });
+
+    expect(sentBody().messages[0].content).toEqual([
+      { type: 'text', text: 'Describe' },
+      { type: 'image_url', image_url: { url: 'data:image/png;base64,iVBORw0KGgo=' } }
+    ]);
+  });
+
+  test('retries without JSON mode when the server rejects it, and remembers', async () => {
+    fetch
+      .mockResolvedValueOnce(
+        jsonResponse({ error: { message: "'response_format' is not supported" } }, 400)
+      )
+      .mockResolvedValue(jsonResponse(completion('{}')));
+
+    const request = { model: 'm', prompt: 'p', format: 'json' };
+    await expect(provider.generate(request)).resolves.toMatchObject({ response: '{}' });
+    await provider.generate(request);
+
+    expect(fetch).toHaveBeenCalledTimes(3);
+    expect(sentBody(0).response_format).toEqual({ type: 'json_object' });
+    expect(sentBody(1).response_format).toBeUndefined();
+    expect(sentBody(2).response_format).toBeUndefined();
+  });
+
+  test('surfaces HTTP errors with a status the retry layer understands', async () => {
+    fetch.mockResolvedValue(jsonResponse({ error: { message: 'model is loading' } }, 503));
+
+    await expect(provider.generate({ model: 'm', prompt: 'p' })).rejects.toMatchObject({
+      name: 'ResponseError',
+      status: 503,
+      message: 'model is loading'
+    });
+  });
+
+  test('maps chat messages including tool calls', async () => {
+    fetch.mockResolvedValue(jsonResponse(completion('Done')));
+
+    const result = await provider.chat({
+      model: 'm',
+      messages: [
+        { role: 'user', content: 'Find my invoices' },
+        {
+          role: 'assistant',
+          content: '',
+          tool_calls: [{ function: { name: 'search', arguments: { query: 'invoice' } } }]
+        }
+      ]
+    });
+
+    expect(sentBody().messages[1].tool_calls).toEqual([
+      {
+        id: 'call_0',
+        type: 'function',
+        function: { name: 'search', arguments: '{"query":"invoice"}' }
+      }
+    ]);
+    expect(result.message).toEqual({ role: 'assistant', content: 'Done' });
+  });
+
+  test('streams server-sent events as Ollama-style chunks', async () => {
+    fetch.mockResolvedValue(
+      sseResponse([
+        JSON.stringify({ model: 'm', choices: [{ delta: { content: 'Hel' } }] }),
+        JSON.stringify({ model: 'm', choices: [{ delta: { content: 'lo' } }] }),
+        JSON.stringify({ model: 'm', choices: [{ delta: {}, finish_reason: 'length' }] }),
+        '[DONE]'
+      ])
+    );
+
+    const stream = await provider.generate({ model: 'm', prompt: 'hi', stream: true });
+    expect(typeof stream.abort).toBe('function');
+
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+
+    expect(sentBody().stream).toBe(true);
+    expect(chunks.map((chunk) => chunk.response)).toEqual(['Hel', 'lo', '']);
+    expect(chunks[2]).toMatchObject({ done: true, done_reason: 'length' });
+  });
+
+  test('embeds in input order', async () => {
+    fetch.mockResolvedValue(
+      jsonResponse({
+        model: 'nomic-embed-text-v1.5',
+        data: [
+          { index: 1, embedding: [0, 1] },
+          { index: 0, embedding: [1, 0] }
+        ]
+      })
+    );
+
+    const result = await provider.embed({ model: 'nomic-embed-text-v1.5', input: ['a', 'b'] });
+
+    expect(fetch.mock.calls[0][0]).toBe('http://127.0.0.1:8080/v1/embeddings');
+    expect(sentBody()).toEqual({ model: 'nomic-embed-text-v1.5', input: ['a', 'b'] });
+    expect(result.embeddings).toEqual([
+      [1, 0],
+      [0, 1]
+    ]);
+  });
+
+  test('lists models in the Ollama list shape', async () => {
+    fetch.mockResolvedValue(
+      jsonResponse({ data: [{ id: 'qwen2.5-7b', owned_by: 'llamacpp' }, { object: 'model' }] })
+    );
+
+    const result = await provider.list();
+
+    expect(fetch.mock.calls[0][1].method).toBe('GET');
+    expect(result.models).toEqual([
+      expect.objectContaining({
+        name: 'qwen2.5-7b',
+        provider: 'openai-compatible',
+        details: { owned_by: 'llamacpp' }
+      })
+    ]);
+  });
+});
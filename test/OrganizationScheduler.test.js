@@ -0,0 +1,262 @@
+/**
+ * @jest-environment node
+ *
+ * Tests for OrganizationScheduler
+ * Sweep and archive runs, run reports, batch undo and timer scheduling
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+
+jest.mock('../src/shared/logger', () => {
+  const logger = {
+    setContext: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  };
+  return { logger, createLogger: jest.fn(() => logger) };
+});
+
+const { OrganizationScheduler } = require('../src/main/services/OrganizationScheduler');
+const UndoRedoService = require('../src/main/services/UndoRedoService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('OrganizationScheduler', () => {
+  let testDir;
+  let desktop;
+  let smartFolder;
+  let archiveDir;
+  let statePath;
+  let undoRedo;
+  let autoOrganizeService;
+  let notificationService;
+  let settings;
+
+  const createScheduler = (options = {}) =>
+    new OrganizationScheduler({
+      autoOrganizeService,
+      settingsService: { load: jest.fn(async () => settings) },
+      undoRedo,
+      notificationService,
+      getSmartFolders: () => [{ name: 'Invoices', path: smartFolder }],
+      statePath,
+      ...options
+    });
+
+  const writeFile = async (filePath, content, ageDays = 0) => {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, content);
+    const time = new Date(Date.now() - ageDays * DAY_MS);
+    await fs.utimes(filePath, time, time);
+  };
+
+  beforeEach(async () => {
+    testDir = path.join(os.tmpdir(), `scheduler-test-${Date.now()}`);
+    desktop = path.join(testDir, 'Desktop');
+    smartFolder = path.join(testDir, 'Invoices');
+    archiveDir = path.join(testDir, 'Archive');
+    statePath = path.join(testDir, 'state', 'organization-schedules.json');
+    await fs.mkdir(desktop, { recursive: true });
+    await fs.mkdir(smartFolder, { recursive: true });
+    await fs.rm('/mock/userData/undo-actions.json', { force: true });
+    undoRedo = new UndoRedoService();
+    autoOrganizeService = { processNewFile: jest.fn() };
+    notificationService = { notifyScheduledRunComplete: jest.fn().mockResolvedValue(undefined) };
+    settings = { confidenceThreshold: 0.8, organizationSchedules: [] };
+  });
+
+  afterEach(async () => {
+    jest.useRealTimers();
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  test('sweeps confident matches into smart folders and reports the rest', async () => {
+    await writeFile(path.join(desktop, 'invoice.pdf'), 'invoice');
+    await writeFile(path.join(desktop, 'notes.txt'), 'notes');
+    await writeFile(path.join(desktop, 'broken.doc'), 'broken');
+    await writeFile(path.join(desktop, 'nested', 'deep.pdf'), 'skipped without subfolders');
+    autoOrganizeService.processNewFile.mockImplementation(async (filePath) => {
+      if (filePath.endsWith('invoice.pdf')) {
+        return { destination: path.join(smartFolder, 'acme-invoice.pdf'), confidence: 0.92 };
+      }
+      if (filePath.endsWith('broken.doc')) throw new Error('Analysis crashed');
+      return null;
+    });
+    settings.organizationSchedules = [
+      { id: 'desk', name: 'Desktop sweep', sourceFolder: desktop, confidenceThreshold: 0.9 }
+    ];
+    const scheduler = createScheduler();
+    scheduler.applySettings(settings);
+
+    const { run } = await scheduler.runJob('desk');
+
+    expect(run.counts).toEqual({ checked: 3, moved: 1, skipped: 1, errors: 1 });
+    expect(run.moved).toEqual([
+      {
+        from: path.join(desktop, 'invoice.pdf'),
+        to: path.join(smartFolder, 'acme-invoice.pdf'),
+        confidence: 0.92
+      }
+    ]);
+    expect(run.skipped[0]).toMatchObject({ path: path.join(desktop, 'notes.txt') });
+    expect(run.errors[0]).toEqual({
+      path: path.join(desktop, 'broken.doc'),
+      error: 'Analysis crashed'
+    });
+    expect(autoOrganizeService.processNewFile).toHaveBeenCalledWith(
+      path.join(desktop, 'invoice.pdf'),
+      [{ name: 'Invoices', path: smartFolder }],
+      expect.objectContaining({ autoOrganizeEnabled: true, confidenceThreshold: 0.9 })
+    );
+    await expect(fs.readFile(path.join(smartFolder, 'acme-invoice.pdf'), 'utf8')).resolves.toBe(
+      'invoice'
+    );
+    expect(undoRedo.getActionHistory(1)[0]).toMatchObject({
+      id: run.undoActionId,
+      description: 'Scheduled: Desktop sweep (1 file)'
+    });
+    expect(notificationService.notifyScheduledRunComplete).toHaveBeenCalledWith(
+      'Desktop sweep',
+      run.counts
+    );
+  });
+
+  test('archives old files into the archive folder without overwriting', async () => {
+    await writeFile(path.join(desktop, 'old.txt'), 'old', 120);
+    await writeFile(path.join(desktop, 'reports', 'q1.xlsx'), 'q1', 200);
+    await writeFile(path.join(desktop, 'fresh.txt'), 'fresh', 2);
+    await writeFile(path.join(archiveDir, 'old.txt'), 'already archived', 400);
+    settings.organizationSchedules = [
+      {
+        id: 'arch',
+        name: 'Monthly archive',
+        action: 'archive',
+        sourceFolder: desktop,
+        destinationFolder: archiveDir,
+        includeSubfolders: true,
+        olderThanDays: 90,
+        frequency: 'monthly'
+      }
+    ];
+    const scheduler = createScheduler();
+    scheduler.applySettings(settings);
+
+    const { run } = await scheduler.runJob('arch');
+
+    expect(run.counts).toMatchObject({ checked: 3, moved: 2, errors: 0 });
+    await expect(fs.readFile(path.join(archiveDir, 'old_1.txt'), 'utf8')).resolves.toBe('old');
+    await expect(fs.readFile(path.join(archiveDir, 'reports', 'q1.xlsx'), 'utf8')).resolves.toBe(
+      'q1'
+    );
+    await expect(fs.readFile(path.join(desktop, 'fresh.txt'), 'utf8')).resolves.toBe('fresh');
+    expect(autoOrganizeService.processNewFile).not.toHaveBeenCalled();
+
+    // History survives a restart
+    const restarted = createScheduler();
+    const runs = await restarted.listRuns();
+    expect(runs).toHaveLength(1);
+    expect(runs[0]).toMatchObject({ id: run.id, jobName: 'Monthly archive', canUndo: true });
+    expect(runs[0].moved).toBeUndefined();
+    expect((await restarted.getRun(run.id)).moved).toHaveLength(2);
+  });
+
+  test('undoes a run as one batch only while it is the latest action', async () => {
+    await writeFile(path.join(desktop, 'old.txt'), 'old', 120);
+    settings.organizationSchedules = [
+      {
+        id: 'arch',
+        action: 'archive',
+        sourceFolder: desktop,
+        destinationFolder: archiveDir,
+        olderThanDays: 30
+      }
+    ];
+    const scheduler = createScheduler();
+    scheduler.applySettings(settings);
+    const { run } = await scheduler.runJob('arch');
+
+    // A later manual move sits on top of the run in the undo stack
+    await writeFile(path.join(testDir, 'renamed.txt'), 'manual');
+    await undoRedo.recordAction('FILE_MOVE', {
+      originalPath: path.join(testDir, 'manual.txt'),
+      newPath: path.join(testDir, 'renamed.txt')
+    });
+    await expect(scheduler.undoRun(run.id)).resolves.toMatchObject({
+      success: false,
+      error: expect.stringMatching(/Undo those first/)
+    });
+    expect((await scheduler.listRuns())[0].canUndo).toBe(false);
+
+    await undoRedo.undo();
+    const listener = jest.fn();
+    scheduler.on('run-complete', listener);
+    await expect(scheduler.undoRun(run.id)).resolves.toMatchObject({ success: true });
+    await expect(fs.readFile(path.join(desktop, 'old.txt'), 'utf8')).resolves.toBe('old');
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ id: run.id, canUndo: false }));
+    await expect(scheduler.undoRun(run.id)).resolves.toMatchObject({
+      success: false,
+      error: 'This run was already undone'
+    });
+  });
+
+  test('reports configuration problems as run errors', async () => {
+    settings.organizationSchedules = [{ id: 'arch', action: 'archive', sourceFolder: desktop }];
+    const scheduler = createScheduler({ getSmartFolders: () => [] });
+    scheduler.applySettings(settings);
+
+    const { run } = await scheduler.runJob('arch');
+
+    expect(run.errors).toEqual([{ path: desktop, error: 'No archive folder selected' }]);
+    expect(run.undoActionId).toBeNull();
+    await expect(scheduler.runJob('missing')).resolves.toEqual({
+      success: false,
+      error: 'Scheduled job not found'
+    });
+  });
+
+  test('fires jobs when they come due and catches up missed runs on start', async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+    jest.setSystemTime(new Date(2024, 0, 15, 1, 0));
+    settings.organizationSchedules = [
+      { id: 'nightly', sourceFolder: desktop, frequency: 'daily', time: '02:00' },
+      { id: 'off', sourceFolder: desktop, frequency: 'daily', time: '01:30', enabled: false }
+    ];
+    const scheduler = createScheduler();
+    const runJob = jest.spyOn(scheduler, 'runJob').mockResolvedValue({ success: true });
+
+    await scheduler.start();
+    expect(scheduler.getJobStatus()).toEqual([
+      expect.objectContaining({
+        id: 'nightly',
+        nextRunAt: new Date(2024, 0, 15, 2, 0).toISOString(),
+        lastRunAt: null
+      }),
+      expect.objectContaining({ id: 'off', nextRunAt: null })
+    ]);
+
+    jest.advanceTimersByTime(59 * 60 * 1000);
+    expect(runJob).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(60 * 1000);
+    expect(runJob).toHaveBeenCalledWith('nightly', { trigger: 'schedule' });
+    await scheduler.stop();
+
+    // Last ran two days ago: the missed night runs once on start
+    await fs.mkdir(path.dirname(statePath), { recursive: true });
+    await fs.writeFile(
+      statePath,
+      JSON.stringify({
+        runs: [],
+        lastRunAt: { nightly: new Date(2024, 0, 13, 2, 0).toISOString() }
+      })
+    );
+    const restarted = createScheduler();
+    const restartedRunJob = jest.spyOn(restarted, 'runJob').mockResolvedValue({ success: true });
+    await restarted.start();
+    expect(restartedRunJob).toHaveBeenCalledTimes(1);
+    await restarted.stop();
+  });
+});
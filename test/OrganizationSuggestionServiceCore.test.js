@@ -399,6 +399,124 @@ describe('OrganizationSuggestionServiceCore', () => {
       expect(result.primary?.folder).toBe('Documents');
       semanticSpy.mockRestore();
     });
+
+    test('skips the LLM when the routing classifier is confident', async () => {
+      const {
+        getLLMAlternativeSuggestions
+      } = require('../src/main/services/organization/llmSuggester');
+      const folders = [
+        ...mockSmartFolders,
+        { id: 'folder-2', name: 'Taxes', path: '/taxes', description: 'Tax returns' }
+      ];
+
+      mockChromaDbService.getStats.mockResolvedValueOnce({ files: 10, folders: 2 });
+      mockSettingsService.load.mockResolvedValueOnce({ smartFolderRoutingMode: 'auto' });
+      const semanticSpy = jest.spyOn(service, 'getSemanticFolderMatches').mockResolvedValueOnce([]);
+      jest.spyOn(service, 'getClassifierSuggestion').mockResolvedValueOnce({
+        folder: 'Taxes',
+        path: '/taxes',
+        folderId: 'folder-2',
+        score: 0.93,
+        confidence: 0.93,
+        method: 'trained_classifier',
+        source: 'classifier',
+        isSmartFolder: true,
+        classifierConfident: true
+      });
+
+      const result = await service.getSuggestionsForFile(mockFile, folders);
+
+      expect(getLLMAlternativeSuggestions).not.toHaveBeenCalled();
+      expect(result.primary.folder).toBe('Taxes');
+      expect(result.primary.source).toBe('classifier');
+      semanticSpy.mockRestore();
+    });
+
+    test('still asks the LLM when the classifier is unsure', async () => {
+      const {
+        getLLMAlternativeSuggestions
+      } = require('../src/main/services/organization/llmSuggester');
+
+      mockChromaDbService.getStats.mockResolvedValueOnce({ files: 10, folders: 2 });
+      mockSettingsService.load.mockResolvedValueOnce({ smartFolderRoutingMode: 'auto' });
+      const semanticSpy = jest.spyOn(service, 'getSemanticFolderMatches').mockResolvedValueOnce([]);
+      jest.spyOn(service, 'getClassifierSuggestion').mockResolvedValueOnce({
+        folder: 'Documents',
+        path: '/docs',
+        score: 0.6,
+        confidence: 0.6,
+        source: 'classifier',
+        isSmartFolder: true,
+        classifierConfident: false
+      });
+
+      await service.getSuggestionsForFile(mockFile, mockSmartFolders, {
+        includeAlternatives: false
+      });
+
+      expect(getLLMAlternativeSuggestions).toHaveBeenCalled();
+      semanticSpy.mockRestore();
+    });
+  });
+
+  describe('routing classifier', () => {
+    const folders = [
+      { id: 'folder-1', name: 'Documents', path: '/docs' },
+      { id: 'folder-2', name: 'Taxes', path: '/taxes' }
+    ];
+
+    test('trains from accepted smart folder feedback', async () => {
+      await service.recordFeedback(
+        { name: 'w2.pdf', extension: 'pdf', category: 'tax', keywords: ['w2'] },
+        { folder: 'Taxes', path: '/taxes', folderId: 'folder-2', isSmartFolder: true },
+        true
+      );
+
+      const stats = await service.getClassifierStats(folders);
+      expect(stats.enabled).toBe(true);
+      expect(stats.trainedExamples).toBe(1);
+      expect(stats.folders).toEqual([
+        expect.objectContaining({ name: 'Taxes', examples: 1, active: true })
+      ]);
+    });
+
+    test('does not train on suggestions outside smart folders', async () => {
+      await service.recordFeedback(
+        { name: 'w2.pdf', extension: 'pdf' },
+        { folder: 'New Folder', path: '/new', isSmartFolder: false },
+        true
+      );
+
+      expect((await service.getClassifierStats()).trainedExamples).toBe(0);
+    });
+
+    test('is skipped when turned off in settings', async () => {
+      mockSettingsService.load.mockResolvedValue({ routingClassifierEnabled: false });
+      service.routingClassifier.train([1, 0], { folderId: 'folder-2', path: '/taxes' });
+
+      await expect(
+        service.getClassifierSuggestion({ name: 'a.pdf', extension: 'pdf' }, folders)
+      ).resolves.toBeNull();
+      expect(mockFolderMatchingService.embedText).not.toHaveBeenCalled();
+    });
+
+    test('shutdown waits for pending training to be saved', async () => {
+      let finishSave;
+      jest
+        .spyOn(service.routingClassifier, 'save')
+        .mockReturnValue(new Promise((resolve) => (finishSave = resolve)));
+      service.routingClassifier.train([1, 0], { folderId: 'folder-2', path: '/taxes' });
+
+      let finished = false;
+      const shutdown = service.shutdown().then(() => (finished = true));
+      await new Promise((resolve) => setImmediate(resolve));
+      expect(service.routingClassifier.save).toHaveBeenCalled();
+      expect(finished).toBe(false);
+
+      finishSave();
+      await shutdown;
+      expect(finished).toBe(true);
+    });
   });
 
   describe('getBatchSuggestions', () => {
@@ -545,6 +663,67 @@ describe('OrganizationSuggestionServiceCore', () => {
 
       expect(results).toEqual([]);
     });
+
+    test('routes nested folders through their parent', async () => {
+      const nestedFolders = [
+        { id: 'clients', name: 'Clients', path: '/clients' },
+        { id: 'tax', name: 'Tax', path: '/clients/Tax', parentId: 'clients' }
+      ];
+      mockFolderMatchingService.routeVectorToFolderTree = jest.fn().mockResolvedValue([
+        {
+          folderId: 'tax',
+          name: 'Tax',
+          path: '/clients/Tax',
+          score: 0.8,
+          route: [
+            { id: 'clients', name: 'Clients', score: 0.8 },
+            { id: 'tax', name: 'Tax', score: 0.7 }
+          ]
+        }
+      ]);
+
+      const results = await service.getSemanticFolderMatches(mockFile, nestedFolders);
+
+      expect(mockFolderMatchingService.routeVectorToFolderTree).toHaveBeenCalledWith(
+        [0.1, 0.2],
+        nestedFolders,
+        { topK: 8, minChildScore: 0.4 }
+      );
+      expect(mockFolderMatchingService.matchVectorToFolders).not.toHaveBeenCalled();
+      expect(results[0]).toMatchObject({ folder: 'Tax', route: ['Clients', 'Tax'] });
+    });
+  });
+
+  describe('subfolder templates', () => {
+    test('primary suggestion carries the rendered subpath of its smart folder', async () => {
+      const file = {
+        name: 'scan.pdf',
+        extension: 'pdf',
+        path: '/inbox/scan.pdf',
+        analysis: { category: 'Clients', entity: 'Acme Corp', date: '2024-03-02', type: 'Invoice' }
+      };
+      const folders = [
+        {
+          id: 'clients',
+          name: 'Clients',
+          path: '/clients',
+          subfolderTemplate: '{entity}/{date:YYYY}/{type}'
+        }
+      ];
+      mockFolderMatchingService.matchVectorToFolders.mockResolvedValueOnce([
+        { folderId: 'clients', name: 'Clients', score: 0.9 }
+      ]);
+
+      const result = await service.getSuggestionsForFile(file, folders, {
+        includeAlternatives: false
+      });
+
+      expect(result.primary).toMatchObject({
+        folder: 'Clients',
+        path: '/clients',
+        subpath: 'Acme Corp/2024/Invoice'
+      });
+    });
   });
 
   describe('getImprovementSuggestions', () => {
@@ -295,6 +295,77 @@ describe('OrganizeResumeService', () => {
       );
     });
 
+    test('redoes an interrupted copy and then applies the retention policy', async () => {
+      const source = path.join(testDir, 'IMG_0001.jpg');
+      const dest = path.join(testDir, 'Photos', 'IMG_0001.jpg');
+      await fs.writeFile(source, 'photo');
+      await fs.mkdir(path.dirname(dest), { recursive: true });
+      await fs.writeFile(`${dest}.stratosort-partial`, 'pho');
+
+      mockServiceIntegration.processingState.getIncompleteOrganizeBatches.mockReturnValue([
+        {
+          id: 'batch1',
+          operations: [
+            {
+              source,
+              destination: dest,
+              status: 'in_progress',
+              transferMode: 'copy',
+              sourceRetention: 'delete'
+            }
+          ]
+        }
+      ]);
+
+      await resumeIncompleteBatches(mockServiceIntegration, mockLogger, mockGetMainWindow);
+
+      expect(await fs.readFile(dest, 'utf8')).toBe('photo');
+      await expect(fs.access(source)).rejects.toMatchObject({ code: 'ENOENT' });
+      await expect(fs.access(`${dest}.stratosort-partial`)).rejects.toMatchObject({
+        code: 'ENOENT'
+      });
+      expect(mockServiceIntegration.processingState.markOrganizeOpDone).toHaveBeenCalledWith(
+        'batch1',
+        0,
+        { destination: dest, archivePath: null }
+      );
+    });
+
+    test('reuses a copy verified before the interruption', async () => {
+      const source = path.join(testDir, 'IMG_0002.jpg');
+      const dest = path.join(testDir, 'Photos', 'IMG_0002.jpg');
+      await fs.writeFile(source, 'photo');
+      await fs.mkdir(path.dirname(dest), { recursive: true });
+      await fs.writeFile(dest, 'photo');
+
+      mockServiceIntegration.processingState.getIncompleteOrganizeBatches.mockReturnValue([
+        {
+          id: 'batch1',
+          operations: [
+            {
+              source,
+              destination: dest,
+              status: 'in_progress',
+              transferMode: 'copy',
+              sourceRetention: 'archive',
+              copyVerified: true
+            }
+          ]
+        }
+      ]);
+
+      await resumeIncompleteBatches(mockServiceIntegration, mockLogger, mockGetMainWindow);
+
+      const archivePath = path.join(testDir, 'Organized Originals', 'IMG_0002.jpg');
+      expect(await fs.readFile(archivePath, 'utf8')).toBe('photo');
+      await expect(fs.access(path.join(testDir, 'Photos', 'IMG_0002_1.jpg'))).rejects.toThrow();
+      expect(mockServiceIntegration.processingState.markOrganizeOpDone).toHaveBeenCalledWith(
+        'batch1',
+        0,
+        { destination: dest, archivePath }
+      );
+    });
+
     test('logs batch completion', async () => {
       const source = path.join(testDir, 'source.txt');
       const dest = path.join(testDir, 'dest.txt');
@@ -0,0 +1,201 @@
+/**
+ * Tests for SavedSearchService
+ * Saved searches as smart collections: refreshes, unread counts and notifications
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+const { EventEmitter } = require('events');
+
+jest.mock('../src/shared/logger', () => {
+  const logger = {
+    setContext: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  };
+  return { logger, createLogger: jest.fn(() => logger) };
+});
+
+const { SavedSearchService } = require('../src/main/services/SavedSearchService');
+const { getSemanticFileId } = require('../src/shared/fileIdUtils');
+
+const filePath = (name) => path.join(os.tmpdir(), 'docs', name);
+const result = (name, score = 0.8) => ({
+  id: getSemanticFileId(filePath(name)),
+  score,
+  metadata: { path: filePath(name), name }
+});
+
+describe('SavedSearchService', () => {
+  let testDir;
+  let searchService;
+  let notificationService;
+  let currentResults;
+
+  const createService = (extra = {}) =>
+    new SavedSearchService({
+      userDataPath: testDir,
+      getSearchService: () => searchService,
+      notificationService,
+      refreshDelayMs: 20,
+      ...extra
+    });
+
+  const waitForRefresh = () => new Promise((resolve) => setTimeout(resolve, 80));
+
+  beforeEach(async () => {
+    testDir = path.join(os.tmpdir(), `saved-searches-test-${Date.now()}`);
+    await fs.mkdir(testDir, { recursive: true });
+    currentResults = [result('acme-contract.pdf')];
+    searchService = {
+      hybridSearch: jest.fn(async () => ({ success: true, results: currentResults }))
+    };
+    notificationService = { notifySavedSearchMatches: jest.fn().mockResolvedValue(undefined) };
+  });
+
+  afterEach(async () => {
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  test('creating a search stores its current matches without unread ones', async () => {
+    const service = createService();
+    const created = await service.create({
+      query: 'contract entity:acme',
+      mode: 'bm25',
+      tags: ['#legal'],
+      notify: true
+    });
+
+    expect(created).toMatchObject({
+      name: 'contract entity:acme',
+      mode: 'bm25',
+      tags: ['legal'],
+      notify: true,
+      matchCount: 1,
+      unreadCount: 0
+    });
+    expect(searchService.hybridSearch).toHaveBeenCalledWith(
+      'contract entity:acme',
+      expect.objectContaining({ mode: 'bm25', tags: ['legal'], rerank: false })
+    );
+
+    const reloaded = createService();
+    await expect(reloaded.get(created.id)).resolves.toMatchObject({
+      matches: [expect.objectContaining({ name: 'acme-contract.pdf' })]
+    });
+    service.shutdown();
+  });
+
+  test('a removal is on disk once it resolves, even behind another write', async () => {
+    const service = createService();
+    const kept = await service.create({ query: 'contract' });
+    const removed = await service.create({ query: 'invoice' });
+
+    const pending = service.update(kept.id, { name: 'Contracts' });
+    await service.remove(removed.id);
+
+    const saved = JSON.parse(await fs.readFile(service.filePath, 'utf8'));
+    expect(saved.items.map((search) => search.name)).toEqual(['Contracts']);
+    await pending;
+    service.shutdown();
+  });
+
+  test('rejects a change whose write fails', async () => {
+    const blocked = path.join(testDir, 'not-a-dir');
+    await fs.writeFile(blocked, '');
+    const service = createService({ userDataPath: blocked });
+
+    await expect(service.create({ query: 'contract' })).rejects.toThrow();
+    service.shutdown();
+  });
+
+  test('indexed files that start matching are unread and trigger a notification', async () => {
+    const service = createService();
+    const onChanged = jest.fn();
+    service.on('changed', onChanged);
+    const watched = await service.create({ name: 'Acme contracts', query: 'acme', notify: true });
+    const quiet = await service.create({ name: 'Quiet', query: 'acme' });
+
+    currentResults = [result('acme-contract.pdf'), result('acme-renewal.pdf'), result('old.pdf')];
+    service.noteIndexedFile(filePath('acme-renewal.pdf'));
+    await waitForRefresh();
+
+    expect((await service.get(watched.id)).unreadIds).toHaveLength(2);
+    expect(notificationService.notifySavedSearchMatches).toHaveBeenCalledTimes(1);
+    expect(notificationService.notifySavedSearchMatches).toHaveBeenCalledWith(
+      'Acme contracts',
+      ['acme-renewal.pdf'],
+      { searchId: watched.id }
+    );
+    expect(onChanged).toHaveBeenLastCalledWith({
+      searches: expect.arrayContaining([expect.objectContaining({ id: quiet.id, unreadCount: 2 })])
+    });
+
+    await service.markViewed(watched.id);
+    expect((await service.get(watched.id)).unreadCount).toBe(0);
+    service.shutdown();
+  });
+
+  test('unread matches that drop out of the results are forgotten', async () => {
+    const service = createService();
+    const search = await service.create({ query: 'acme' });
+
+    currentResults = [result('acme-contract.pdf'), result('new.pdf')];
+    await service.refresh(search.id);
+    expect((await service.get(search.id)).unreadIds).toEqual([
+      getSemanticFileId(filePath('new.pdf'))
+    ]);
+
+    currentResults = [result('acme-contract.pdf')];
+    await service.refresh();
+    expect((await service.get(search.id)).unreadCount).toBe(0);
+    service.shutdown();
+  });
+
+  test('changing the query re-runs the search and resets unread matches', async () => {
+    const service = createService();
+    const search = await service.create({ query: 'acme' });
+    currentResults = [result('acme-contract.pdf'), result('new.pdf')];
+    await service.refresh(search.id);
+
+    const renamed = await service.update(search.id, { name: 'Renamed' });
+    expect(renamed).toMatchObject({ name: 'Renamed', unreadCount: 1 });
+
+    const requeried = await service.update(search.id, { query: 'globex' });
+    expect(requeried).toMatchObject({ query: 'globex', matchCount: 2, unreadCount: 0 });
+    await expect(service.update('missing', { name: 'x' })).resolves.toBeNull();
+    service.shutdown();
+  });
+
+  test('moved files keep their place instead of showing up as new', async () => {
+    const service = createService();
+    const coordinator = new EventEmitter();
+    service.trackPathChanges(coordinator);
+    const search = await service.create({ query: 'acme' });
+
+    const movedPath = path.join(os.tmpdir(), 'sorted', 'acme-contract.pdf');
+    await service.movePath(filePath('acme-contract.pdf'), movedPath);
+    currentResults = [
+      { id: getSemanticFileId(movedPath), score: 0.8, metadata: { path: movedPath } }
+    ];
+    await service.refresh(search.id);
+
+    const stored = await service.get(search.id);
+    expect(stored.matches[0].path).toBe(movedPath);
+    expect(stored.unreadCount).toBe(0);
+
+    service.shutdown();
+    expect(coordinator.listenerCount('path-changed')).toBe(0);
+  });
+
+  test('skips refreshes while search is unavailable', async () => {
+    searchService = null;
+    const service = createService();
+    const search = await service.create({ query: 'acme' });
+    expect(search).toMatchObject({ matchCount: 0, lastRefreshedAt: null });
+    service.shutdown();
+  });
+});
@@ -928,6 +928,65 @@ describe('SearchService', () => {
     });
   });
 
+  describe('structured queries', () => {
+    beforeEach(async () => {
+      await service.buildBM25Index();
+    });
+
+    test('pre-filters every retriever to files matching field filters', async () => {
+      const result = await service.hybridSearch('type:pdf report');
+
+      expect(result.success).toBe(true);
+      expect(mockChromaDb.querySimilarFiles).toHaveBeenCalledWith(expect.any(Array), 1, {
+        ids: [DOC1_CANONICAL_ID]
+      });
+      expect(result.results.map((r) => r.id)).toEqual([DOC1_CANONICAL_ID]);
+      expect(result.queryMeta.syntax).toMatchObject({
+        text: 'report',
+        filters: ['type pdf'],
+        candidateCount: 1
+      });
+    });
+
+    test('lists matching files when the query has only filters', async () => {
+      const result = await service.hybridSearch('type:docx OR type:pdf -tag:finance');
+
+      expect(result.mode).toBe('filter');
+      expect(result.results.map((r) => r.id)).toEqual([DOC2_CANONICAL_ID]);
+      expect(mockEmbeddingService.embedText).not.toHaveBeenCalled();
+    });
+
+    test('applies exclusions and reports invalid filters', async () => {
+      const result = await service.hybridSearch('proposal -marketing size:huge', {
+        mode: 'bm25'
+      });
+
+      expect(result.results).toEqual([]);
+      expect(result.queryMeta.syntax.errors).toEqual([
+        { token: 'size:huge', message: 'size expects a value like >10mb' }
+      ]);
+    });
+
+    test('plain queries skip the structured path', async () => {
+      const spy = jest.spyOn(service, '_searchWithQuerySyntax');
+      await service.hybridSearch('quarterly finance');
+      expect(spy).not.toHaveBeenCalled();
+    });
+
+    test('lists known field values for autocomplete', async () => {
+      await expect(service.getQueryFieldValues('type')).resolves.toEqual(
+        expect.arrayContaining([
+          { value: 'pdf', count: 1 },
+          { value: 'jpg', count: 1 }
+        ])
+      );
+      await expect(service.getQueryFieldValues('tag', { prefix: 'mark' })).resolves.toEqual([
+        { value: 'marketing', count: 1 }
+      ]);
+      await expect(service.getQueryFieldValues('size')).resolves.toEqual([]);
+    });
+  });
+
   describe('getIndexStatus', () => {
     test('returns correct status when index not built', () => {
       const status = service.getIndexStatus();
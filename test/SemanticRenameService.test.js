@@ -1,4 +1,6 @@
 const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
 const { SemanticRenameService } = require('../src/main/services/SemanticRenameService');
 
 // Mock logger to prevent console noise during tests
@@ -77,4 +79,52 @@ describe('SemanticRenameService', () => {
     // The implementation removes illegal chars: "Acme/Corp:Inc" -> "AcmeCorpInc"
     expect(result).toContain('AcmeCorpInc');
   });
+
+  describe('previewBatch', () => {
+    let testDir;
+
+    beforeEach(async () => {
+      testDir = path.join(os.tmpdir(), `rename-preview-test-${Date.now()}`);
+      await fs.mkdir(testDir, { recursive: true });
+      await fs.writeFile(path.join(testDir, 'scan1.pdf'), 'a');
+      await fs.writeFile(path.join(testDir, 'scan2.pdf'), 'b');
+      await fs.writeFile(path.join(testDir, 'Amazon_Invoice.pdf'), 'existing');
+    });
+
+    afterEach(async () => {
+      await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    test('numbers files and resolves batch and on-disk collisions', async () => {
+      const files = [
+        { path: path.join(testDir, 'scan1.pdf'), analysis: mockAnalysis },
+        { path: path.join(testDir, 'scan2.pdf'), analysis: mockAnalysis }
+      ];
+
+      const preview = await service.previewBatch(files, '{entity}_{type}');
+      expect(preview.map((p) => [p.newName, p.collision])).toEqual([
+        ['Amazon_Invoice-2.pdf', 'existing'],
+        ['Amazon_Invoice-3.pdf', 'existing']
+      ]);
+      expect(preview[0].destination).toBe(path.join(testDir, 'Amazon_Invoice-2.pdf'));
+
+      const byEntity = await service.previewBatch(files, '{entity}');
+      expect(byEntity.map((p) => [p.newName, p.collision])).toEqual([
+        ['Amazon.pdf', null],
+        ['Amazon-2.pdf', 'batch']
+      ]);
+
+      const numbered = await service.previewBatch(files, '{entity}_{n:02}', { counterStart: 7 });
+      expect(numbered.map((p) => p.newName)).toEqual(['Amazon_07.pdf', 'Amazon_08.pdf']);
+      expect(numbered.every((p) => p.changed && p.collision === null)).toBe(true);
+    });
+
+    test('marks files whose name would not change', async () => {
+      const preview = await service.previewBatch(
+        [{ path: path.join(testDir, 'scan1.pdf'), analysis: {} }],
+        '{original}'
+      );
+      expect(preview[0]).toMatchObject({ newName: 'scan1.pdf', changed: false, collision: null });
+    });
+  });
 });
@@ -217,6 +217,7 @@ jest.mock('../src/main/services/ServiceContainer', () => {
       FILE_PATH_COORDINATOR: 'filePathCoordinator',
       SMART_FOLDER_WATCHER: 'smartFolderWatcher',
       DOWNLOAD_WATCHER: 'downloadWatcher',
+      ORGANIZATION_SCHEDULER: 'organizationScheduler',
       DEPENDENCY_MANAGER: 'dependencyManager',
       SEARCH_SERVICE: 'searchService'
     },
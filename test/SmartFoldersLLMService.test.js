@@ -15,10 +15,10 @@ jest.mock('../src/shared/logger', () => {
   return { logger, createLogger: jest.fn(() => logger) };
 });
 
-// Mock fetch with retry
-const mockFetchWithRetry = jest.fn();
+// Mock generate with retry
+const mockGenerateWithRetry = jest.fn();
 jest.mock('../src/main/utils/ollamaApiRetry', () => ({
-  fetchWithRetry: mockFetchWithRetry
+  generateWithRetry: mockGenerateWithRetry
 }));
 
 // Mock JSON repair
@@ -27,8 +27,9 @@ jest.mock('../src/main/utils/jsonRepair', () => ({
 }));
 
 // Mock ollama utils
+const mockClient = { generate: jest.fn() };
 jest.mock('../src/main/ollamaUtils', () => ({
-  getOllamaHost: jest.fn().mockReturnValue('http://127.0.0.1:11434')
+  getOllama: jest.fn(() => mockClient)
 }));
 
 // Mock constants
@@ -70,15 +71,12 @@ describe('SmartFoldersLLMService', () => {
     ];
 
     test('enhances folder successfully', async () => {
-      mockFetchWithRetry.mockResolvedValue({
-        ok: true,
-        json: jest.fn().mockResolvedValue({
-          response: JSON.stringify({
-            improvedDescription: 'Enhanced description',
-            suggestedKeywords: ['docs', 'files'],
-            organizationTips: 'Keep organized',
-            confidence: 0.85
-          })
+      mockGenerateWithRetry.mockResolvedValue({
+        response: JSON.stringify({
+          improvedDescription: 'Enhanced description',
+          suggestedKeywords: ['docs', 'files'],
+          organizationTips: 'Keep organized',
+          confidence: 0.85
         })
       });
 
@@ -98,10 +96,15 @@ describe('SmartFoldersLLMService', () => {
       expect(result.improvedDescription).toBe('Enhanced description');
       expect(result.suggestedKeywords).toEqual(['docs', 'files']);
       expect(result.confidence).toBe(0.85);
+      expect(mockGenerateWithRetry).toHaveBeenCalledWith(
+        mockClient,
+        expect.objectContaining({ model: 'llama2', format: 'json' }),
+        expect.any(Object)
+      );
     });
 
-    test('returns error on fetch failure', async () => {
-      mockFetchWithRetry.mockRejectedValue(new Error('Network error'));
+    test('returns error when the model call fails', async () => {
+      mockGenerateWithRetry.mockRejectedValue(new Error('Network error'));
 
       const result = await enhanceSmartFolderWithLLM(
         testFolder,
@@ -113,11 +116,7 @@ describe('SmartFoldersLLMService', () => {
     });
 
     test('returns error on HTTP error', async () => {
-      mockFetchWithRetry.mockResolvedValue({
-        ok: false,
-        status: 500,
-        statusText: 'Internal Server Error'
-      });
+      mockGenerateWithRetry.mockRejectedValue(new Error('HTTP 500: Internal Server Error'));
 
       const result = await enhanceSmartFolderWithLLM(
         testFolder,
@@ -125,15 +124,11 @@ describe('SmartFoldersLLMService', () => {
         mockGetOllamaModel
       );
 
-      expect(result.error).toContain('HTTP error');
-      expect(result.error).toContain('500');
+      expect(result.error).toContain('HTTP 500');
     });
 
     test('returns error on invalid JSON response', async () => {
-      mockFetchWithRetry.mockResolvedValue({
-        ok: true,
-        json: jest.fn().mockResolvedValue({ response: 'invalid json' })
-      });
+      mockGenerateWithRetry.mockResolvedValue({ response: 'invalid json' });
       extractAndParseJSON.mockReturnValue(null);
 
       const result = await enhanceSmartFolderWithLLM(
@@ -146,11 +141,8 @@ describe('SmartFoldersLLMService', () => {
     });
 
     test('handles empty existing folders', async () => {
-      mockFetchWithRetry.mockResolvedValue({
-        ok: true,
-        json: jest.fn().mockResolvedValue({
-          response: JSON.stringify({ improvedDescription: 'Test' })
-        })
+      mockGenerateWithRetry.mockResolvedValue({
+        response: JSON.stringify({ improvedDescription: 'Test' })
       });
       extractAndParseJSON.mockReturnValue({ improvedDescription: 'Test' });
 
@@ -162,11 +154,8 @@ describe('SmartFoldersLLMService', () => {
     test('handles folder without description', async () => {
       const folderNoDesc = { name: 'Test', path: '/test' };
 
-      mockFetchWithRetry.mockResolvedValue({
-        ok: true,
-        json: jest.fn().mockResolvedValue({
-          response: JSON.stringify({ improvedDescription: 'Generated' })
-        })
+      mockGenerateWithRetry.mockResolvedValue({
+        response: JSON.stringify({ improvedDescription: 'Generated' })
       });
       extractAndParseJSON.mockReturnValue({ improvedDescription: 'Generated' });
 
@@ -187,15 +176,9 @@ describe('SmartFoldersLLMService', () => {
     ];
 
     test('calculates similarities for all folders', async () => {
-      mockFetchWithRetry
-        .mockResolvedValueOnce({
-          ok: true,
-          json: jest.fn().mockResolvedValue({ response: '0.85' })
-        })
-        .mockResolvedValueOnce({
-          ok: true,
-          json: jest.fn().mockResolvedValue({ response: '0.3' })
-        });
+      mockGenerateWithRetry
+        .mockResolvedValueOnce({ response: '0.85' })
+        .mockResolvedValueOnce({ response: '0.3' });
 
       const result = await calculateFolderSimilarities(
         'Reports',
@@ -209,7 +192,7 @@ describe('SmartFoldersLLMService', () => {
     });
 
     test('uses fallback on LLM error', async () => {
-      mockFetchWithRetry.mockRejectedValue(new Error('LLM unavailable'));
+      mockGenerateWithRetry.mockRejectedValue(new Error('LLM unavailable'));
 
       const result = await calculateFolderSimilarities(
         'Documents',
@@ -222,10 +205,7 @@ describe('SmartFoldersLLMService', () => {
     });
 
     test('uses fallback on HTTP error', async () => {
-      mockFetchWithRetry.mockResolvedValue({
-        ok: false,
-        status: 500
-      });
+      mockGenerateWithRetry.mockRejectedValue(new Error('HTTP 500: Internal Server Error'));
 
       const result = await calculateFolderSimilarities(
         'Test',
@@ -237,15 +217,9 @@ describe('SmartFoldersLLMService', () => {
     });
 
     test('handles invalid similarity values', async () => {
-      mockFetchWithRetry
-        .mockResolvedValueOnce({
-          ok: true,
-          json: jest.fn().mockResolvedValue({ response: 'not a number' })
-        })
-        .mockResolvedValueOnce({
-          ok: true,
-          json: jest.fn().mockResolvedValue({ response: '0.7' })
-        });
+      mockGenerateWithRetry
+        .mockResolvedValueOnce({ response: 'not a number' })
+        .mockResolvedValueOnce({ response: '0.7' });
 
       const result = await calculateFolderSimilarities(
         'Test',
@@ -264,15 +238,9 @@ describe('SmartFoldersLLMService', () => {
     });
 
     test('sorts results by confidence descending', async () => {
-      mockFetchWithRetry
-        .mockResolvedValueOnce({
-          ok: true,
-          json: jest.fn().mockResolvedValue({ response: '0.3' })
-        })
-        .mockResolvedValueOnce({
-          ok: true,
-          json: jest.fn().mockResolvedValue({ response: '0.9' })
-        });
+      mockGenerateWithRetry
+        .mockResolvedValueOnce({ response: '0.3' })
+        .mockResolvedValueOnce({ response: '0.9' });
 
       const result = await calculateFolderSimilarities(
         'Test',
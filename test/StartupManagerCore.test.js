@@ -50,6 +50,7 @@ jest.mock('../src/main/services/startup/chromaService', () => ({
 // Mock ollamaService
 jest.mock('../src/main/services/startup/ollamaService', () => ({
   startOllama: jest.fn().mockResolvedValue({ success: true }),
+  isOllamaRequired: jest.fn().mockResolvedValue(true),
   isOllamaRunning: jest.fn().mockResolvedValue(true),
   checkOllamaHealth: jest.fn().mockResolvedValue(true)
 }));
@@ -342,6 +343,22 @@ describe('StartupManagerCore', () => {
 
       expect(result.success).toBe(true);
     });
+
+    test('does not start Ollama when no model role uses it', async () => {
+      const {
+        startOllama,
+        isOllamaRequired,
+        isOllamaRunning
+      } = require('../src/main/services/startup/ollamaService');
+      isOllamaRequired.mockResolvedValueOnce(false);
+
+      const result = await manager.startOllama();
+
+      expect(result).toEqual({ success: true, notUsed: true });
+      expect(isOllamaRunning).not.toHaveBeenCalled();
+      expect(startOllama).not.toHaveBeenCalled();
+      expect(manager.serviceStatus.ollama.status).toBe('not_used');
+    });
   });
 
   describe('initializeServices', () => {
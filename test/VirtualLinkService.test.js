@@ -0,0 +1,259 @@
+/**
+ * Tests for VirtualLinkService
+ * Links for link-based smart folders: creation, following originals,
+ * verification and materializing
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+const { EventEmitter } = require('events');
+
+jest.mock('../src/shared/logger', () => {
+  const logger = {
+    setContext: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  };
+  return { logger, createLogger: jest.fn(() => logger) };
+});
+
+jest.mock('../src/shared/fileOperationTracker', () => {
+  const tracker = { recordOperation: jest.fn() };
+  return { getInstance: () => tracker };
+});
+
+const { VirtualLinkService } = require('../src/main/services/VirtualLinkService');
+
+describe('VirtualLinkService', () => {
+  let testDir;
+  let sourceDir;
+  let folderDir;
+  let service;
+
+  const createService = () =>
+    new VirtualLinkService({ userDataPath: path.join(testDir, 'userData') });
+  const writeSource = async (name, content = name) => {
+    const filePath = path.join(sourceDir, name);
+    await fs.writeFile(filePath, content);
+    return filePath;
+  };
+  const inode = async (filePath) => (await fs.stat(filePath)).ino;
+
+  beforeEach(async () => {
+    testDir = path.join(
+      os.tmpdir(),
+      `virtual-links-test-${Date.now()}-${Math.random().toString(36).slice(2)}`
+    );
+    sourceDir = path.join(testDir, 'Camera');
+    folderDir = path.join(testDir, 'Photos');
+    await fs.mkdir(sourceDir, { recursive: true });
+    await fs.mkdir(folderDir, { recursive: true });
+    service = createService();
+  });
+
+  afterEach(async () => {
+    service.shutdown();
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  test('creates symlinks that point at the untouched original', async () => {
+    const original = await writeSource('IMG_0001.jpg');
+    const linkPath = path.join(folderDir, 'beach.jpg');
+
+    const result = await service.createLink(original, linkPath, 'symlink');
+
+    expect(result).toEqual({ linkPath, linkType: 'symlink', existing: false });
+    expect((await fs.lstat(linkPath)).isSymbolicLink()).toBe(true);
+    expect(await fs.readlink(linkPath)).toBe(path.resolve(original));
+    expect(await fs.readFile(original, 'utf8')).toBe('IMG_0001.jpg');
+    expect(service.isVirtualLink(linkPath)).toBe(true);
+
+    const reloaded = createService();
+    expect(await reloaded.list()).toEqual([
+      expect.objectContaining({ sourcePath: original, linkPath, linkType: 'symlink' })
+    ]);
+  });
+
+  test('creates hard links sharing the original file', async () => {
+    const original = await writeSource('IMG_0002.jpg');
+    const linkPath = path.join(folderDir, 'IMG_0002.jpg');
+
+    const result = await service.createLink(original, linkPath, 'hardlink');
+
+    expect(result.linkType).toBe('hardlink');
+    expect(await inode(linkPath)).toBe(await inode(original));
+  });
+
+  test('picks a free name, and reuses a link to the same original', async () => {
+    const original = await writeSource('IMG_0003.jpg');
+    const taken = path.join(folderDir, 'photo.jpg');
+    await fs.writeFile(taken, 'someone else');
+
+    const first = await service.createLink(original, taken, 'symlink');
+    const again = await service.createLink(original, first.linkPath, 'symlink');
+
+    expect(first.linkPath).toBe(path.join(folderDir, 'photo_1.jpg'));
+    expect(again).toEqual({ linkPath: first.linkPath, linkType: 'symlink', existing: true });
+    expect(await fs.readFile(taken, 'utf8')).toBe('someone else');
+  });
+
+  test('a removed link is gone from disk once removeLink resolves', async () => {
+    const kept = await writeSource('IMG_0010.jpg');
+    const dropped = await writeSource('IMG_0011.jpg');
+    await service.createLink(kept, path.join(folderDir, 'kept.jpg'), 'symlink');
+    const { linkPath } = await service.createLink(
+      dropped,
+      path.join(folderDir, 'dropped.jpg'),
+      'symlink'
+    );
+
+    const pending = service.createLink(kept, path.join(folderDir, 'again.jpg'), 'hardlink');
+    await service.removeLink(linkPath);
+
+    expect((await createService().list()).map((link) => link.sourcePath)).not.toContain(dropped);
+    await pending;
+  });
+
+  test('retargets symlinks when the app moves the original', async () => {
+    const original = await writeSource('scan.pdf');
+    const linkPath = path.join(folderDir, 'scan.pdf');
+    await service.createLink(original, linkPath, 'symlink');
+    const movedTo = path.join(testDir, 'Archive', 'scan.pdf');
+    await fs.mkdir(path.dirname(movedTo), { recursive: true });
+    await fs.rename(original, movedTo);
+
+    const coordinator = new EventEmitter();
+    service.trackPathChanges(coordinator);
+    coordinator.emit('path-changed', { oldPath: original, newPath: movedTo });
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    expect(await fs.readlink(linkPath)).toBe(path.resolve(movedTo));
+    expect((await service.getLinksForSource(movedTo)).map((link) => link.linkPath)).toEqual([
+      linkPath
+    ]);
+  });
+
+  test('removes symlinks but keeps hard links when the original is deleted', async () => {
+    const soft = await writeSource('a.txt');
+    const hard = await writeSource('b.txt');
+    const softLink = path.join(folderDir, 'a.txt');
+    const hardLink = path.join(folderDir, 'b.txt');
+    await service.createLink(soft, softLink, 'symlink');
+    await service.createLink(hard, hardLink, 'hardlink');
+    await fs.unlink(soft);
+    await fs.unlink(hard);
+
+    await service.handleDeletedPath(soft);
+    await service.handleDeletedPath(hard);
+
+    await expect(fs.lstat(softLink)).rejects.toMatchObject({ code: 'ENOENT' });
+    expect(await fs.readFile(hardLink, 'utf8')).toBe('b.txt');
+    expect(await service.list()).toEqual([]);
+  });
+
+  test('verify repairs links after changes made outside the app', async () => {
+    const renamed = await writeSource('IMG_1000.jpg');
+    const replaced = await writeSource('notes.txt', 'v1');
+    const gone = await writeSource('tmp.txt');
+    const renamedLink = path.join(folderDir, 'renamed.jpg');
+    const replacedLink = path.join(folderDir, 'notes.txt');
+    const goneLink = path.join(folderDir, 'tmp.txt');
+    await service.createLink(renamed, renamedLink, 'symlink');
+    await service.createLink(replaced, replacedLink, 'hardlink');
+    await service.createLink(gone, goneLink, 'symlink');
+
+    // A camera import renames in place, a sync client writes a new file over
+    // the old one, and another file is deleted
+    const renamedTo = path.join(sourceDir, '2024-06-01 Beach.jpg');
+    await fs.rename(renamed, renamedTo);
+    const replacement = `${replaced}.download`;
+    await fs.writeFile(replacement, 'v2');
+    await fs.rename(replacement, replaced);
+    await fs.unlink(gone);
+
+    const summary = await service.verify();
+
+    expect(summary).toMatchObject({ checked: 3, retargeted: 1, refreshed: 1, removed: 1 });
+    expect(await fs.readlink(renamedLink)).toBe(path.resolve(renamedTo));
+    expect(await fs.readFile(replacedLink, 'utf8')).toBe('v2');
+    await expect(fs.lstat(goneLink)).rejects.toMatchObject({ code: 'ENOENT' });
+    expect((await service.list()).map((link) => link.linkPath).sort()).toEqual(
+      [renamedLink, replacedLink].sort()
+    );
+  });
+
+  test('materialize moves the original into the link and can be undone', async () => {
+    const original = await writeSource('report.pdf', 'report');
+    const linkPath = path.join(folderDir, 'report.pdf');
+    await service.createLink(original, linkPath, 'symlink');
+    const coordinator = Object.assign(new EventEmitter(), {
+      atomicPathUpdate: jest.fn(async () => ({ success: true }))
+    });
+    service.trackPathChanges(coordinator);
+
+    const result = await service.materialize(linkPath);
+
+    expect(result).toEqual({
+      success: true,
+      originalPath: original,
+      newPath: linkPath,
+      linkType: 'symlink'
+    });
+    expect((await fs.lstat(linkPath)).isFile()).toBe(true);
+    expect(await fs.readFile(linkPath, 'utf8')).toBe('report');
+    await expect(fs.access(original)).rejects.toMatchObject({ code: 'ENOENT' });
+    expect(service.isVirtualLink(linkPath)).toBe(false);
+    expect(coordinator.atomicPathUpdate).toHaveBeenCalledWith(original, linkPath, {
+      type: 'move'
+    });
+
+    await service.dematerialize(result);
+
+    expect(await fs.readFile(original, 'utf8')).toBe('report');
+    expect(await fs.readlink(linkPath)).toBe(path.resolve(original));
+    expect(service.isVirtualLink(linkPath)).toBe(true);
+  });
+
+  test('leaves files alone that replaced a link', async () => {
+    const original = await writeSource('keep.txt');
+    const linkPath = path.join(folderDir, 'keep.txt');
+    await service.createLink(original, linkPath, 'symlink');
+    await fs.unlink(linkPath);
+    await fs.writeFile(linkPath, 'user file');
+
+    const removal = await service.removeLink(linkPath);
+    const materialized = await service.materialize(linkPath);
+
+    expect(removal).toMatchObject({ success: false, removed: false });
+    expect(materialized).toMatchObject({ success: false });
+    expect(await fs.readFile(linkPath, 'utf8')).toBe('user file');
+    expect(await fs.readFile(original, 'utf8')).toBe('keep.txt');
+  });
+
+  test('keeps links and registry in step when the registry cannot be written', async () => {
+    const original = await writeSource('IMG_0020.jpg');
+    const { linkPath } = await service.createLink(
+      original,
+      path.join(folderDir, 'a.jpg'),
+      'symlink'
+    );
+    // A file where the registry's folder should be makes every write fail
+    const userData = path.dirname(service.filePath);
+    await fs.rm(userData, { recursive: true });
+    await fs.writeFile(userData, '');
+
+    await expect(
+      service.createLink(original, path.join(folderDir, 'b.jpg'), 'symlink')
+    ).rejects.toThrow();
+    expect(await fs.readdir(folderDir)).toEqual(['a.jpg']);
+    expect(service.isVirtualLink(path.join(folderDir, 'b.jpg'))).toBe(false);
+
+    expect(await service.removeLink(linkPath)).toMatchObject({ success: false, removed: false });
+    expect(await service.materialize(linkPath)).toMatchObject({ success: false });
+    expect((await fs.lstat(linkPath)).isSymbolicLink()).toBe(true);
+    expect(service.isVirtualLink(linkPath)).toBe(true);
+  });
+});
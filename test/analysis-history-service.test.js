@@ -65,4 +65,103 @@ describe('AnalysisHistoryService', () => {
     const searchResult = await svc.searchAnalysis('alpha');
     expect(searchResult.some((r) => r.originalPath.includes('alpha'))).toBe(true);
   });
+
+  test('replays updates and removals from the history log', async () => {
+    const AnalysisHistoryService = require('../src/main/services/analysisHistory');
+    const userDataFs = require('fs').promises;
+    const svc = new AnalysisHistoryService();
+    await svc.initialize();
+    await svc.recordAnalysis(
+      { path: '/docs/keep.pdf', size: 10, lastModified: Date.now() },
+      { category: 'Finance', tags: ['tax'] }
+    );
+    await svc.recordAnalysis(
+      { path: '/docs/drop.pdf', size: 20, lastModified: Date.now() },
+      { category: 'Finance' }
+    );
+    await svc.updateEntryPaths([{ oldPath: '/docs/keep.pdf', newPath: '/archive/keep.pdf' }]);
+    await svc.removeEntriesByPath('/docs/drop.pdf');
+
+    const log = await userDataFs.readFile(path.join(tmpDir, 'analysis-history.jsonl'), 'utf8');
+    expect(log.trim().split('\n').length).toBeGreaterThan(2);
+
+    const reloaded = new AnalysisHistoryService();
+    await reloaded.initialize();
+    const entry = await reloaded.getAnalysisByPath('/archive/keep.pdf');
+    expect(entry.organization.actual).toBe('/archive/keep.pdf');
+    expect(await reloaded.getAnalysisByPath('/docs/drop.pdf')).toBeNull();
+    expect(reloaded.analysisHistory.totalAnalyzed).toBe(1);
+    expect(await reloaded.getCategories()).toEqual([{ name: 'Finance', count: 1 }]);
+  });
+
+  test('compacts the log once superseded records outnumber live entries', async () => {
+    const AnalysisHistoryService = require('../src/main/services/analysisHistory');
+    const userDataFs = require('fs').promises;
+    const svc = new AnalysisHistoryService();
+    svc.COMPACTION_MIN_RECORDS = 4;
+    await svc.initialize();
+    await svc.recordAnalysis({ path: '/docs/a.pdf', size: 1, lastModified: 1 }, {});
+    for (const status of ['pending', 'done', 'pending', 'done']) {
+      await svc.updateEmbeddingStateByPath('/docs/a.pdf', { status });
+    }
+
+    const log = await userDataFs.readFile(path.join(tmpDir, 'analysis-history.jsonl'), 'utf8');
+    expect(log.trim().split('\n').length).toBeLessThanOrEqual(4);
+
+    const reloaded = new AnalysisHistoryService();
+    await reloaded.initialize();
+    expect((await reloaded.getAnalysisByPath('/docs/a.pdf')).embedding.status).toBe('done');
+  });
+
+  test('migrates the single-file history once and skips a torn final record', async () => {
+    const entry = {
+      id: 'legacy-1',
+      fileHash: 'abc',
+      timestamp: new Date().toISOString(),
+      originalPath: '/docs/legacy.pdf',
+      fileName: 'legacy.pdf',
+      fileSize: 5,
+      analysis: { category: 'Legal', tags: ['contract'] },
+      organization: {}
+    };
+    // Same (mocked) fs instance the service gets after resetModules
+    const userDataFs = require('fs').promises;
+    await userDataFs.mkdir(tmpDir, { recursive: true });
+    await userDataFs.writeFile(
+      path.join(tmpDir, 'analysis-history.json'),
+      JSON.stringify({
+        schemaVersion: '1.0.0',
+        totalAnalyzed: 1,
+        totalSize: 5,
+        entries: { [entry.id]: entry },
+        metadata: { totalEntries: 1 }
+      })
+    );
+    await userDataFs.writeFile(path.join(tmpDir, 'analysis-index.json'), '{}');
+
+    const AnalysisHistoryService = require('../src/main/services/analysisHistory');
+    const svc = new AnalysisHistoryService();
+    await svc.initialize();
+
+    expect((await svc.getAnalysisByPath('/docs/legacy.pdf')).id).toBe('legacy-1');
+    expect(await svc.getTags()).toEqual([{ name: 'contract', count: 1 }]);
+    const files = await userDataFs.readdir(tmpDir);
+    expect(files).toEqual(
+      expect.arrayContaining([
+        'analysis-history.jsonl',
+        'analysis-history.json.migrated',
+        'analysis-index.json.migrated'
+      ])
+    );
+    expect(files).not.toContain('analysis-history.json');
+
+    // A crash mid-append leaves a partial last line; it is dropped on the next load
+    await userDataFs.appendFile(
+      path.join(tmpDir, 'analysis-history.jsonl'),
+      '{"op":"put","entry":{"id"'
+    );
+    const reloaded = new AnalysisHistoryService();
+    await reloaded.initialize();
+    expect(Object.keys(reloaded.analysisHistory.entries)).toEqual(['legacy-1']);
+  });
 });
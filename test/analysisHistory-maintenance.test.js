@@ -56,7 +56,6 @@ describe('maintenance', () => {
         retentionDays: 365
       };
       const saveHistory = jest.fn().mockResolvedValue();
-      const saveIndex = jest.fn().mockResolvedValue();
 
       await maintenance.performMaintenanceIfNeeded(
         history,
@@ -64,8 +63,7 @@ describe('maintenance', () => {
         cache,
         state,
         config,
-        saveHistory,
-        saveIndex
+        saveHistory
       );
 
       // Cleanup was called
@@ -86,17 +84,8 @@ describe('maintenance', () => {
         retentionDays: 365
       };
       const saveHistory = jest.fn();
-      const saveIndex = jest.fn();
 
-      await maintenance.performMaintenanceIfNeeded(
-        history,
-        {},
-        {},
-        {},
-        config,
-        saveHistory,
-        saveIndex
-      );
+      await maintenance.performMaintenanceIfNeeded(history, {}, {}, {}, config, saveHistory);
 
       // No cleanup needed for recent entries under limit
       expect(Object.keys(history.entries).length).toBe(2);
@@ -119,17 +108,8 @@ describe('maintenance', () => {
       const state = {};
       const config = { maxHistoryEntries: 2 };
       const saveHistory = jest.fn().mockResolvedValue();
-      const saveIndex = jest.fn().mockResolvedValue();
 
-      await maintenance.cleanupOldEntries(
-        history,
-        index,
-        cache,
-        state,
-        config,
-        saveHistory,
-        saveIndex
-      );
+      await maintenance.cleanupOldEntries(history, index, cache, state, config, saveHistory);
 
       expect(Object.keys(history.entries).length).toBe(2);
       expect(history.entries['1']).toBeUndefined();
@@ -202,7 +182,7 @@ describe('maintenance', () => {
       expect(history.metadata.lastCleanup).toBeDefined();
     });
 
-    test('saves history and index after cleanup', async () => {
+    test('saves history after cleanup with the removed entries', async () => {
       const history = {
         entries: {
           1: { id: '1', timestamp: '2024-01-10' },
@@ -211,13 +191,36 @@ describe('maintenance', () => {
         metadata: {}
       };
       const saveHistory = jest.fn().mockResolvedValue();
-      const saveIndex = jest.fn().mockResolvedValue();
       const config = { maxHistoryEntries: 1 };
 
-      await maintenance.cleanupOldEntries(history, {}, {}, {}, config, saveHistory, saveIndex);
+      await maintenance.cleanupOldEntries(history, {}, {}, {}, config, saveHistory);
 
-      expect(saveHistory).toHaveBeenCalled();
-      expect(saveIndex).toHaveBeenCalled();
+      expect(saveHistory).toHaveBeenCalledWith([expect.objectContaining({ id: '1' })]);
+    });
+
+    test('uses the month index to find the oldest entries', async () => {
+      const history = {
+        entries: {
+          a: { id: 'a', timestamp: '2024-03-02T00:00:00Z' },
+          b: { id: 'b', timestamp: '2024-01-20T00:00:00Z' },
+          c: { id: 'c', timestamp: '2024-01-05T00:00:00Z' }
+        },
+        metadata: {}
+      };
+      const index = { dateIndex: { '2024-03': ['a'], '2024-01': ['b', 'c'] } };
+      const saveHistory = jest.fn().mockResolvedValue();
+
+      const removed = await maintenance.cleanupOldEntries(
+        history,
+        index,
+        {},
+        {},
+        { maxHistoryEntries: 1 },
+        saveHistory
+      );
+
+      expect(removed.map((entry) => entry.id)).toEqual(['c', 'b']);
+      expect(Object.keys(history.entries)).toEqual(['a']);
     });
   });
 
@@ -239,17 +242,8 @@ describe('maintenance', () => {
       cutoffDate.setDate(cutoffDate.getDate() - 30);
 
       const saveHistory = jest.fn().mockResolvedValue();
-      const saveIndex = jest.fn().mockResolvedValue();
 
-      await maintenance.removeExpiredEntries(
-        history,
-        {},
-        {},
-        {},
-        cutoffDate,
-        saveHistory,
-        saveIndex
-      );
+      await maintenance.removeExpiredEntries(history, {}, {}, {}, cutoffDate, saveHistory);
 
       expect(Object.keys(history.entries).length).toBe(1);
       expect(history.entries['1']).toBeUndefined();
@@ -267,20 +261,10 @@ describe('maintenance', () => {
       cutoffDate.setDate(cutoffDate.getDate() - 30);
 
       const saveHistory = jest.fn();
-      const saveIndex = jest.fn();
 
-      await maintenance.removeExpiredEntries(
-        history,
-        {},
-        {},
-        {},
-        cutoffDate,
-        saveHistory,
-        saveIndex
-      );
+      await maintenance.removeExpiredEntries(history, {}, {}, {}, cutoffDate, saveHistory);
 
       expect(saveHistory).not.toHaveBeenCalled();
-      expect(saveIndex).not.toHaveBeenCalled();
     });
 
     test('updates incremental stats for removed entries', async () => {
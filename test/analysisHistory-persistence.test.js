@@ -3,6 +3,9 @@
  * Tests file I/O operations, atomic writes, and loading
  */
 
+const path = require('path');
+const os = require('os');
+
 // Mock dependencies
 jest.mock('fs', () => ({
   promises: {
@@ -264,8 +267,7 @@ describe('persistence', () => {
       const result = await persistence.createDefaultStructures(
         {
           configPath: '/path/config.json',
-          historyPath: '/path/history.json',
-          indexPath: '/path/index.json'
+          historyLogPath: '/path/history.jsonl'
         },
         getDefaultConfig,
         createEmptyHistory,
@@ -276,5 +278,66 @@ describe('persistence', () => {
       expect(result.history.entries).toEqual({});
       expect(result.index.tagIndex).toEqual({});
     });
+
+    test('writes an empty history log instead of history and index JSON', async () => {
+      fs.mkdir.mockResolvedValue();
+      fs.writeFile.mockResolvedValue();
+      fs.rename.mockResolvedValue();
+
+      const result = await persistence.createDefaultStructures(
+        { configPath: '/path/config.json', historyLogPath: '/path/history.jsonl' },
+        jest.fn().mockReturnValue({}),
+        jest.fn().mockReturnValue({ schemaVersion: '1.0.0', entries: {} }),
+        jest.fn().mockReturnValue({})
+      );
+
+      const historyWrite = fs.writeFile.mock.calls.find(([file]) =>
+        file.startsWith('/path/history.jsonl.tmp.')
+      );
+      expect(JSON.parse(historyWrite[1])).toMatchObject({
+        op: 'meta',
+        history: { schemaVersion: '1.0.0' }
+      });
+      expect(fs.writeFile.mock.calls.some(([file]) => file.includes('index'))).toBe(false);
+      expect(result.recordCount).toBe(1);
+    });
+  });
+
+  describe('appendHistoryRecords', () => {
+    let realFs;
+    let logPath;
+
+    beforeEach(async () => {
+      jest.resetModules();
+      jest.doMock('fs', () => jest.requireActual('fs'));
+      realFs = require('fs').promises;
+      persistence = require('../src/main/services/analysisHistory/persistence');
+      const dir = await realFs.mkdtemp(path.join(os.tmpdir(), 'history-'));
+      logPath = path.join(dir, 'history.jsonl');
+    });
+
+    afterEach(async () => {
+      await realFs.rm(path.dirname(logPath), { recursive: true, force: true });
+      jest.dontMock('fs');
+    });
+
+    test('starts a new line after a torn final record', async () => {
+      const history = { schemaVersion: '1.0.0', entries: {} };
+      await persistence.appendHistoryRecords(logPath, history, { put: [{ id: 'a' }] });
+      // Simulate a crash part-way through the next append
+      await realFs.appendFile(logPath, '{"op":"put","entry":{"id":"b"');
+
+      await persistence.appendHistoryRecords(logPath, history, { put: [{ id: 'c' }] });
+      const loaded = await persistence.loadHistoryLog(
+        logPath,
+        '1.0.0',
+        () => ({ entries: {} }),
+        jest.fn()
+      );
+
+      expect(Object.keys(loaded.history.entries)).toEqual(['a', 'c']);
+      expect(loaded.skippedLines).toBe(1);
+      expect(loaded.recordCount).toBe(4);
+    });
   });
 });
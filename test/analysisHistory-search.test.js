@@ -148,6 +148,54 @@ describe('search', () => {
       expect(result.results[0].fileName).toBe('contract.pdf');
     });
 
+    test('finds archives by member name', async () => {
+      const history = createHistory();
+      history.entries[4] = {
+        fileName: 'backup.zip',
+        timestamp: '2024-01-05T10:00:00Z',
+        analysis: {
+          subject: 'Project backup',
+          category: 'archives',
+          archiveMembers: ['site/index.html', 'site/styles.css']
+        }
+      };
+      const cache = {
+        searchResults: new Map(),
+        searchResultsMaxSize: 50
+      };
+
+      const result = await search.searchAnalysis(history, cache, 60000, 'styles.css', {
+        semantic: false
+      });
+
+      expect(result.results.length).toBe(1);
+      expect(result.results[0].fileName).toBe('backup.zip');
+    });
+
+    test('finds audio files by tag', async () => {
+      const history = createHistory();
+      history.entries[4] = {
+        fileName: 'track01.mp3',
+        timestamp: '2024-01-05T10:00:00Z',
+        analysis: {
+          subject: 'Live recording',
+          category: 'music',
+          audio: { title: 'Harbour Lights', artist: 'The Tidewaters', transcribed: false }
+        }
+      };
+      const cache = {
+        searchResults: new Map(),
+        searchResultsMaxSize: 50
+      };
+
+      const result = await search.searchAnalysis(history, cache, 60000, 'tidewaters', {
+        semantic: false
+      });
+
+      expect(result.results.length).toBe(1);
+      expect(result.results[0].fileName).toBe('track01.mp3');
+    });
+
     test('returns multiple matches', async () => {
       const history = createHistory();
       const cache = {
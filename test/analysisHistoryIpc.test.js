@@ -15,6 +15,10 @@ jest.mock('../src/shared/logger', () => {
   return { logger, createLogger: jest.fn(() => logger) };
 });
 
+jest.mock('../src/main/ipc/files/embeddingSync', () => ({
+  refreshEmbeddingForPath: jest.fn().mockResolvedValue({ action: 'refreshed' })
+}));
+
 describe('registerAnalysisHistoryIpc', () => {
   let registerAnalysisHistoryIpc;
   let mockIpcMain;
@@ -98,7 +102,7 @@ describe('registerAnalysisHistoryIpc', () => {
       getServiceIntegration: mockGetServiceIntegration
     });
 
-    expect(mockIpcMain.handle).toHaveBeenCalledTimes(7);
+    expect(mockIpcMain.handle).toHaveBeenCalledTimes(9);
     // Includes embedding policy update handler
     expect(handlers[HISTORY_CHANNELS.SET_EMBEDDING_POLICY]).toBeInstanceOf(Function);
   });
@@ -250,6 +254,86 @@ describe('registerAnalysisHistoryIpc', () => {
     });
   });
 
+  describe('sensitivity handlers', () => {
+    const sensitivity = {
+      level: 'high',
+      categories: ['ssn'],
+      findings: [{ category: 'ssn', count: 1, confident: true, samples: ['*****1234'] }]
+    };
+
+    beforeEach(() => {
+      mockAnalysisHistory.getSensitiveAnalysis = jest.fn().mockResolvedValue([
+        {
+          fileName: 'w2.pdf',
+          originalPath: '/in/w2.pdf',
+          organization: { actual: '/vault/w2.pdf', smartFolder: 'Vault' },
+          analysis: { category: 'Taxes', sensitivity },
+          timestamp: '2024-03-01T00:00:00.000Z'
+        }
+      ]);
+      mockAnalysisHistory.reviewSensitivityByPath = jest.fn().mockResolvedValue({
+        updated: 1,
+        notFound: 0,
+        sensitivity: { ...sensitivity, level: 'none' }
+      });
+      registerAnalysisHistoryIpc({
+        ipcMain: mockIpcMain,
+        IPC_CHANNELS,
+        logger: mockLogger,
+        getServiceIntegration: mockGetServiceIntegration
+      });
+    });
+
+    test('lists flagged files under their current path', async () => {
+      const result = await handlers[HISTORY_CHANNELS.GET_SENSITIVE]({}, { includeDismissed: true });
+
+      expect(mockAnalysisHistory.getSensitiveAnalysis).toHaveBeenCalledWith({
+        includeDismissed: true,
+        limit: undefined
+      });
+      expect(result.files).toEqual([
+        {
+          path: '/vault/w2.pdf',
+          name: 'w2.pdf',
+          category: 'Taxes',
+          smartFolder: 'Vault',
+          analyzedAt: '2024-03-01T00:00:00.000Z',
+          sensitivity
+        }
+      ]);
+    });
+
+    test('records a review and refreshes the embedding metadata', async () => {
+      const { refreshEmbeddingForPath } = require('../src/main/ipc/files/embeddingSync');
+
+      const result = await handlers[HISTORY_CHANNELS.REVIEW_SENSITIVITY](
+        {},
+        { filePath: '/vault/w2.pdf', decision: 'not_sensitive' }
+      );
+
+      expect(mockAnalysisHistory.reviewSensitivityByPath).toHaveBeenCalledWith(
+        '/vault/w2.pdf',
+        'not_sensitive'
+      );
+      expect(refreshEmbeddingForPath).toHaveBeenCalledWith('/vault/w2.pdf', expect.any(Object));
+      expect(result).toEqual({ success: true, sensitivity: { ...sensitivity, level: 'none' } });
+    });
+
+    test('reports files without a sensitivity record', async () => {
+      mockAnalysisHistory.reviewSensitivityByPath.mockResolvedValueOnce({
+        updated: 0,
+        notFound: 1
+      });
+
+      const result = await handlers[HISTORY_CHANNELS.REVIEW_SENSITIVITY](
+        {},
+        { filePath: '/in/other.pdf', decision: 'sensitive' }
+      );
+
+      expect(result.success).toBe(false);
+    });
+  });
+
   describe('clear handler', () => {
     beforeEach(() => {
       registerAnalysisHistoryIpc({
@@ -0,0 +1,217 @@
+/**
+ * @jest-environment node
+ *
+ * Tests for archiveExtractor
+ * Member enumeration, text extraction and extraction limits for zip/tar archives
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+const zlib = require('zlib');
+const AdmZip = require('adm-zip');
+
+jest.mock('../src/shared/logger', () => {
+  const logger = {
+    setContext: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  };
+  return { logger, createLogger: jest.fn(() => logger) };
+});
+
+const {
+  inspectArchive,
+  buildArchiveDigest,
+  detectArchiveFormat
+} = require('../src/main/analysis/archiveExtractor');
+
+// project/notes.md + project/logo.png, created with `tar cjf`
+const TAR_BZ2_FIXTURE =
+  'QlpoOTFBWSZTWSRjHIMAAKd/wsuQABBIAf8AEIlgAG+/34AAIAgACAggAJIJVJ5IbU2p5IGmjTQDR6mT1P0oJJU8po09TIyaAekaANNBpfHjOOYaVgA1SJIRRT5KiAM+cyGIQhgKbHLRL8hdfR7uebCYFAYEWGARvBxXWctJF5GQoLezWziLUOMYQFfsDLXjbRdY2Jev4lKxkcGeU0zvejCqpkoyHuU431mTUXmdaSFEORNMH8XckU4UJAkYxyDA';
+
+function tarHeader(name, size) {
+  const header = Buffer.alloc(512, 0);
+  header.write(name, 0, 100, 'utf8');
+  header.write('0000644\0', 100, 'ascii');
+  header.write('0000000\0', 108, 'ascii');
+  header.write('0000000\0', 116, 'ascii');
+  header.write(`${size.toString(8).padStart(11, '0')}\0`, 124, 'ascii');
+  header.write('00000000000\0', 136, 'ascii');
+  header.fill(0x20, 148, 156);
+  header.write('0', 156, 'ascii');
+  header.write('ustar\0', 257, 'ascii');
+  header.write('00', 263, 'ascii');
+  let sum = 0;
+  for (const byte of header) sum += byte;
+  header.write(`${sum.toString(8).padStart(6, '0')}\0 `, 148, 'ascii');
+  return header;
+}
+
+function buildTar(files) {
+  const parts = [];
+  for (const [name, content] of files) {
+    const data = Buffer.from(content);
+    parts.push(tarHeader(name, data.length), data);
+    const padding = (512 - (data.length % 512)) % 512;
+    if (padding) parts.push(Buffer.alloc(padding, 0));
+  }
+  parts.push(Buffer.alloc(1024, 0));
+  return Buffer.concat(parts);
+}
+
+describe('archiveExtractor', () => {
+  let testDir;
+
+  beforeEach(async () => {
+    testDir = path.join(os.tmpdir(), `archive-test-${Date.now()}`);
+    await fs.mkdir(testDir, { recursive: true });
+  });
+
+  afterEach(async () => {
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  test('detects formats from compound extensions', () => {
+    expect(detectArchiveFormat('/a/b.zip')).toBe('zip');
+    expect(detectArchiveFormat('/a/b.tar.gz')).toBe('tar.gz');
+    expect(detectArchiveFormat('/a/b.tgz')).toBe('tar.gz');
+    expect(detectArchiveFormat('/a/b.tar.bz2')).toBe('tar.bz2');
+    expect(detectArchiveFormat('/a/notes.txt.gz')).toBe('gz');
+    expect(detectArchiveFormat('/a/b.7z')).toBe('7z');
+  });
+
+  test('lists zip members and extracts text-bearing ones', async () => {
+    const zip = new AdmZip();
+    zip.addFile(
+      'deliverable/summary.md',
+      Buffer.from('Final invoice for the Acme website redesign')
+    );
+    zip.addFile('deliverable/photo.jpg', Buffer.from([0xff, 0xd8, 0xff]));
+    zip.addFile('__MACOSX/._summary.md', Buffer.from('junk'));
+    const zipPath = path.join(testDir, 'deliverable.zip');
+    zip.writeZip(zipPath);
+
+    const info = await inspectArchive(zipPath);
+
+    expect(info.format).toBe('zip');
+    expect(info.members.map((m) => m.name).sort()).toEqual([
+      'deliverable/photo.jpg',
+      'deliverable/summary.md'
+    ]);
+    expect(info.contents).toEqual([
+      { name: 'deliverable/summary.md', text: 'Final invoice for the Acme website redesign' }
+    ]);
+
+    const digest = buildArchiveDigest('deliverable.zip', info);
+    expect(digest).toContain('Archive: deliverable.zip (ZIP, 2 files');
+    expect(digest).toContain('- deliverable/photo.jpg');
+    expect(digest).toContain('--- Contents of deliverable/summary.md ---');
+  });
+
+  test('skips zip members with a bomb-like compression ratio', async () => {
+    const zip = new AdmZip();
+    zip.addFile('zeros.txt', Buffer.alloc(4 * 1024 * 1024, 0x30));
+    zip.addFile('readme.txt', Buffer.from('Real content'));
+    const zipPath = path.join(testDir, 'bomb.zip');
+    zip.writeZip(zipPath);
+
+    const info = await inspectArchive(zipPath);
+
+    expect(info.members).toHaveLength(2);
+    expect(info.contents.map((c) => c.name)).toEqual(['readme.txt']);
+    expect(info.warnings[0]).toMatch(/suspicious compression ratio/);
+  });
+
+  test('never inflates zip members past the cap when headers understate their size', async () => {
+    const zip = new AdmZip();
+    zip.addFile('unsized.txt', Buffer.alloc(4 * 1024 * 1024, 0x30));
+    zip.addFile('understated.txt', Buffer.alloc(21 * 1024 * 1024, 0x30));
+    zip.addFile('readme.txt', Buffer.from('Real content'));
+    const buffer = zip.toBuffer();
+    // Rewrite the uncompressed size in both the local and central headers
+    const declaredSizes = { 'unsized.txt': 0, 'understated.txt': 1000 };
+    for (const [signature, sizeOffset, nameLengthOffset, nameOffset] of [
+      [0x04034b50, 22, 26, 30],
+      [0x02014b50, 24, 28, 46]
+    ]) {
+      for (let i = 0; i + nameOffset < buffer.length; i += 1) {
+        if (buffer.readUInt32LE(i) !== signature) continue;
+        const nameLength = buffer.readUInt16LE(i + nameLengthOffset);
+        const name = buffer.toString('utf8', i + nameOffset, i + nameOffset + nameLength);
+        if (name in declaredSizes) buffer.writeUInt32LE(declaredSizes[name], i + sizeOffset);
+      }
+    }
+    const zipPath = path.join(testDir, 'lying.zip');
+    await fs.writeFile(zipPath, buffer);
+
+    const info = await inspectArchive(zipPath);
+
+    expect(info.members).toHaveLength(3);
+    expect(info.contents.map((c) => c.name)).toEqual(['readme.txt']);
+    expect(info.warnings).toEqual(
+      expect.arrayContaining([
+        expect.stringMatching(/unsized\.txt: missing uncompressed size/),
+        expect.stringMatching(/understated\.txt: could not be read/)
+      ])
+    );
+  });
+
+  test('reads tar and tar.gz archives', async () => {
+    const tar = buildTar([
+      ['report/q3.txt', 'Quarterly revenue grew 12 percent'],
+      ['report/chart.png', 'binary']
+    ]);
+    const tarPath = path.join(testDir, 'report.tar');
+    const tgzPath = path.join(testDir, 'report.tar.gz');
+    await fs.writeFile(tarPath, tar);
+    await fs.writeFile(tgzPath, zlib.gzipSync(tar));
+
+    for (const archivePath of [tarPath, tgzPath]) {
+      const info = await inspectArchive(archivePath);
+      expect(info.members).toEqual([
+        { name: 'report/q3.txt', size: 33 },
+        { name: 'report/chart.png', size: 6 }
+      ]);
+      expect(info.contents).toEqual([
+        { name: 'report/q3.txt', text: 'Quarterly revenue grew 12 percent' }
+      ]);
+    }
+  });
+
+  test('reads tar.bz2 archives', async () => {
+    const archivePath = path.join(testDir, 'project.tar.bz2');
+    await fs.writeFile(archivePath, Buffer.from(TAR_BZ2_FIXTURE, 'base64'));
+
+    const info = await inspectArchive(archivePath);
+
+    expect(info.format).toBe('tar.bz2');
+    expect(info.members.map((m) => m.name)).toEqual(['project/notes.md', 'project/logo.png']);
+    expect(info.contents[0].text).toContain('Budget review for Q3 marketing.');
+  });
+
+  test('treats a non-tar .gz as a single compressed file', async () => {
+    const gzPath = path.join(testDir, 'minutes.txt.gz');
+    await fs.writeFile(gzPath, zlib.gzipSync(Buffer.from('Board meeting minutes')));
+
+    const info = await inspectArchive(gzPath);
+
+    expect(info.format).toBe('gz');
+    expect(info.members).toEqual([{ name: 'minutes.txt', size: 21 }]);
+    expect(info.contents[0].text).toBe('Board meeting minutes');
+  });
+
+  test('reports unsupported formats and unreadable archives without throwing', async () => {
+    const sevenZip = await inspectArchive(path.join(testDir, 'data.7z'));
+    expect(sevenZip.supported).toBe(false);
+    expect(sevenZip.members).toEqual([]);
+
+    const brokenPath = path.join(testDir, 'broken.tar');
+    await fs.writeFile(brokenPath, Buffer.alloc(600, 0x41));
+    const broken = await inspectArchive(brokenPath);
+    expect(broken.members).toEqual([]);
+    expect(broken.warnings[0]).toMatch(/could not be fully read/);
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * @jest-environment node
+ *
+ * Tests for audioExtractor
+ * Container metadata, tag normalization and the LLM digest for audio files
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+
+jest.mock('../src/shared/logger', () => {
+  const logger = {
+    setContext: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  };
+  return { logger, createLogger: jest.fn(() => logger) };
+});
+
+// The shared mock returns canned tags; these tests parse real WAV bytes
+jest.mock('music-metadata', () =>
+  jest.requireActual('../node_modules/music-metadata/lib/index.js')
+);
+
+const {
+  readAudioMetadata,
+  buildAudioDigest,
+  hasDescriptiveTags,
+  formatDuration,
+  normalizeRecordingDate
+} = require('../src/main/analysis/audioExtractor');
+
+function riffChunk(id, data) {
+  const header = Buffer.alloc(8);
+  header.write(id, 0, 'ascii');
+  header.writeUInt32LE(data.length, 4);
+  const pad = data.length % 2 ? Buffer.alloc(1) : Buffer.alloc(0);
+  return Buffer.concat([header, data, pad]);
+}
+
+// 8 kHz mono 8-bit PCM silence with optional RIFF INFO tags
+function buildWav(seconds, tags = {}) {
+  const fmt = Buffer.alloc(16);
+  fmt.writeUInt16LE(1, 0); // PCM
+  fmt.writeUInt16LE(1, 2); // channels
+  fmt.writeUInt32LE(8000, 4); // sample rate
+  fmt.writeUInt32LE(8000, 8); // byte rate
+  fmt.writeUInt16LE(1, 12); // block align
+  fmt.writeUInt16LE(8, 14); // bits per sample
+
+  const chunks = [riffChunk('fmt ', fmt), riffChunk('data', Buffer.alloc(8000 * seconds, 128))];
+  const entries = Object.entries(tags);
+  if (entries.length > 0) {
+    const info = Buffer.concat([
+      Buffer.from('INFO', 'ascii'),
+      ...entries.map(([id, value]) => riffChunk(id, Buffer.from(`${value}\0`, 'latin1')))
+    ]);
+    chunks.push(riffChunk('LIST', info));
+  }
+  const body = Buffer.concat([Buffer.from('WAVE', 'ascii'), ...chunks]);
+  return riffChunk('RIFF', body);
+}
+
+describe('audioExtractor', () => {
+  let testDir;
+
+  beforeEach(async () => {
+    testDir = path.join(os.tmpdir(), `audio-extractor-test-${Date.now()}`);
+    await fs.mkdir(testDir, { recursive: true });
+  });
+
+  afterEach(async () => {
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  test('reads duration and RIFF INFO tags from a WAV file', async () => {
+    const filePath = path.join(testDir, 'standup.wav');
+    await fs.writeFile(
+      filePath,
+      buildWav(3, { INAM: 'Weekly standup', IART: 'Platform team', ICRD: '2024-03-05' })
+    );
+
+    const metadata = await readAudioMetadata(filePath);
+
+    expect(metadata).toMatchObject({
+      format: 'WAVE',
+      durationSeconds: 3,
+      sampleRate: 8000,
+      channels: 1,
+      title: 'Weekly standup',
+      artist: 'Platform team',
+      recordingDate: '2024-03-05'
+    });
+    expect(metadata.error).toBeUndefined();
+    expect(hasDescriptiveTags(metadata)).toBe(true);
+  });
+
+  test('reports untagged files as having no descriptive tags', async () => {
+    const filePath = path.join(testDir, 'memo.wav');
+    await fs.writeFile(filePath, buildWav(1));
+
+    const metadata = await readAudioMetadata(filePath);
+
+    expect(metadata.durationSeconds).toBe(1);
+    expect(metadata.title).toBeNull();
+    expect(hasDescriptiveTags(metadata)).toBe(false);
+  });
+
+  test('resolves with the extension as format when the file cannot be read', async () => {
+    const metadata = await readAudioMetadata(path.join(testDir, 'missing.flac'));
+
+    expect(metadata.format).toBe('FLAC');
+    expect(metadata.durationSeconds).toBeNull();
+    expect(metadata.error).toBeTruthy();
+  });
+
+  test('normalizes tag dates and formats durations', () => {
+    expect(normalizeRecordingDate('2021-03-04T10:15:00Z')).toBe('2021-03-04');
+    expect(normalizeRecordingDate('1999')).toBe('1999');
+    expect(normalizeRecordingDate('sometime')).toBeNull();
+    expect(formatDuration(75)).toBe('1:15');
+    expect(formatDuration(3725)).toBe('1:02:05');
+    expect(formatDuration(0)).toBeNull();
+  });
+
+  test('builds a digest with tags and a capped transcript section', () => {
+    const metadata = {
+      format: 'MPEG',
+      durationSeconds: 204,
+      bitrate: 320000,
+      title: 'Quarterly review',
+      artist: null,
+      album: null,
+      genre: ['Speech'],
+      recordingDate: '2024-01-15',
+      comment: null
+    };
+
+    const digest = buildAudioDigest('review.mp3', metadata, `  Revenue grew ${'a'.repeat(30000)}`);
+
+    expect(digest).toMatch(/^Audio: review\.mp3 \(MPEG, 3:24, 320 kbps\)/);
+    expect(digest).toContain('Title: Quarterly review');
+    expect(digest).toContain('Genre: Speech');
+    expect(digest).toContain('Recorded: 2024-01-15');
+    expect(digest).toContain('--- Transcript ---\nRevenue grew');
+    expect(digest).not.toContain('Artist:');
+    expect(digest.length).toBeLessThan(25000);
+    expect(buildAudioDigest('review.mp3', metadata, null)).not.toContain('Transcript');
+  });
+});
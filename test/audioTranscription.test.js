@@ -0,0 +1,187 @@
+/**
+ * @jest-environment node
+ *
+ * Tests for audioTranscription
+ * Backend selection, whisper.cpp and HTTP backends, and failure handling
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+
+jest.mock('../src/shared/logger', () => {
+  const logger = {
+    setContext: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  };
+  return { logger, createLogger: jest.fn(() => logger) };
+});
+
+const mockSettings = {};
+jest.mock('../src/main/services/SettingsService', () => ({
+  getInstance: () => ({ load: jest.fn(async () => mockSettings) })
+}));
+
+jest.mock('../src/main/utils/asyncSpawnUtils', () => ({ asyncSpawn: jest.fn() }));
+
+const { asyncSpawn } = require('../src/main/utils/asyncSpawnUtils');
+const {
+  transcribeAudio,
+  loadTranscriptionConfig,
+  registerTranscriptionBackend,
+  listTranscriptionBackends,
+  resolveTranscriptionUrl
+} = require('../src/main/analysis/audioTranscription');
+
+describe('audioTranscription', () => {
+  let testDir;
+  let audioPath;
+
+  beforeEach(async () => {
+    testDir = path.join(os.tmpdir(), `audio-transcription-test-${Date.now()}`);
+    await fs.mkdir(testDir, { recursive: true });
+    audioPath = path.join(testDir, 'call.wav');
+    await fs.writeFile(audioPath, 'RIFF fake audio');
+    Object.keys(mockSettings).forEach((key) => delete mockSettings[key]);
+  });
+
+  afterEach(async () => {
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  test('is disabled by default', async () => {
+    await expect(loadTranscriptionConfig()).resolves.toMatchObject({ backend: 'none' });
+    await expect(transcribeAudio(audioPath)).resolves.toBeNull();
+  });
+
+  test('reports unknown backends and over-long recordings without throwing', async () => {
+    mockSettings.audioTranscriptionBackend = 'cloud-magic';
+    await expect(transcribeAudio(audioPath)).resolves.toEqual({
+      error: 'Unknown transcription backend: cloud-magic',
+      backend: 'cloud-magic'
+    });
+
+    const config = { backend: 'whisper-cpp', command: 'whisper-cli', model: 'model.bin' };
+    await expect(
+      transcribeAudio(audioPath, { config, durationSeconds: 4 * 60 * 60 })
+    ).resolves.toMatchObject({ error: 'Recording is too long to transcribe' });
+  });
+
+  test('uses registered custom backends', async () => {
+    const transcribe = jest
+      .fn()
+      .mockResolvedValue({ text: '  hello\r\n\r\n world ', language: 'en' });
+    registerTranscriptionBackend('test-stt', { label: 'Test', transcribe });
+
+    const result = await transcribeAudio(audioPath, { config: { backend: 'test-stt' } });
+
+    expect(result).toEqual({ text: 'hello\nworld', backend: 'test-stt', language: 'en' });
+    expect(transcribe).toHaveBeenCalledWith(audioPath, { backend: 'test-stt' });
+    expect(listTranscriptionBackends().map((b) => b.id)).toEqual(
+      expect.arrayContaining(['whisper-cpp', 'openai-compatible', 'test-stt'])
+    );
+    expect(() => registerTranscriptionBackend('none', { transcribe })).toThrow();
+  });
+
+  test('runs whisper.cpp with the configured model and reads stdout', async () => {
+    asyncSpawn.mockResolvedValue({
+      status: 0,
+      stdout: " Let's review the budget.\n Next item.\n",
+      stderr: ''
+    });
+    mockSettings.audioTranscriptionBackend = 'whisper-cpp';
+    mockSettings.audioTranscriptionCommand = '/opt/whisper/whisper-cli';
+    mockSettings.audioTranscriptionModel = '/models/ggml-base.bin';
+
+    const result = await transcribeAudio(audioPath);
+
+    expect(result).toEqual({
+      text: "Let's review the budget.\nNext item.",
+      backend: 'whisper-cpp'
+    });
+    expect(asyncSpawn).toHaveBeenCalledWith(
+      '/opt/whisper/whisper-cli',
+      expect.arrayContaining(['-m', '/models/ggml-base.bin', '-f', audioPath]),
+      expect.objectContaining({ timeout: expect.any(Number) })
+    );
+  });
+
+  test('surfaces whisper.cpp failures as errors', async () => {
+    asyncSpawn.mockResolvedValue({
+      status: 1,
+      stdout: '',
+      stderr: 'loading model\nerror: failed to read audio file'
+    });
+
+    const result = await transcribeAudio(audioPath, {
+      config: { backend: 'whisper-cpp', command: 'whisper-cli', model: 'ggml-base.bin' }
+    });
+
+    expect(result).toEqual({
+      error: 'whisper.cpp exited with code 1: error: failed to read audio file',
+      backend: 'whisper-cpp'
+    });
+  });
+
+  test('returns an error when the whisper.cpp model is not configured', async () => {
+    const result = await transcribeAudio(audioPath, {
+      config: { backend: 'whisper-cpp', command: 'whisper-cli' }
+    });
+    expect(result).toEqual({
+      error: 'whisper.cpp model file is not configured',
+      backend: 'whisper-cpp'
+    });
+  });
+
+  test('posts the file to an OpenAI-compatible server', async () => {
+    global.fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({ text: 'Dictated note about invoices', language: 'en' })
+    });
+
+    const result = await transcribeAudio(audioPath, {
+      config: { backend: 'openai-compatible', endpoint: 'localhost:8000/' }
+    });
+
+    expect(result).toEqual({
+      text: 'Dictated note about invoices',
+      backend: 'openai-compatible',
+      language: 'en'
+    });
+    const [url, request] = global.fetch.mock.calls[global.fetch.mock.calls.length - 1];
+    expect(url).toBe('http://localhost:8000/v1/audio/transcriptions');
+    expect(request.method).toBe('POST');
+    expect(request.body.get('file').name).toBe('call.wav');
+    expect(await request.body.get('file').text()).toBe('RIFF fake audio');
+    expect(request.body.get('model')).toBe('whisper-1');
+  });
+
+  test('reports HTTP errors from the transcription server', async () => {
+    global.fetch.mockResolvedValueOnce({ ok: false, status: 503 });
+
+    const result = await transcribeAudio(audioPath, {
+      config: { backend: 'openai-compatible', endpoint: 'http://127.0.0.1:9000' }
+    });
+
+    expect(result).toEqual({
+      error: 'Transcription server returned HTTP 503',
+      backend: 'openai-compatible'
+    });
+  });
+
+  test('resolves transcription URLs from base addresses', () => {
+    expect(resolveTranscriptionUrl('localhost:8000')).toBe(
+      'http://localhost:8000/v1/audio/transcriptions'
+    );
+    expect(resolveTranscriptionUrl('http://127.0.0.1:9000/v1')).toBe(
+      'http://127.0.0.1:9000/v1/audio/transcriptions'
+    );
+    expect(resolveTranscriptionUrl('https://stt.local/api/audio/transcriptions')).toBe(
+      'https://stt.local/api/audio/transcriptions'
+    );
+    expect(() => resolveTranscriptionUrl('')).toThrow('not configured');
+  });
+});
@@ -194,6 +194,15 @@ describe('AutoOrganize Folder Operations', () => {
       expect(result).toBe(path.join('/target/folder', 'doc.pdf'));
     });
 
+    test('appends the nested folder subpath below the smart folder', () => {
+      const file = { name: 'scan.pdf' };
+      const suggestion = { path: '/target/Clients', subpath: 'Acme Corp/2024/../Invoice' };
+
+      const result = buildDestinationPath(file, suggestion, '/default', false);
+
+      expect(result).toBe(path.join('/target/Clients', 'Acme Corp', '2024', 'Invoice', 'scan.pdf'));
+    });
+
     test('builds path from folder name when no path', () => {
       const file = { name: 'doc.pdf' };
       const suggestion = { folder: 'Documents' };
@@ -22,7 +22,15 @@ describe('registerChatIpc', () => {
   const IPC_CHANNELS = {
     CHAT: {
       QUERY: 'chat:query',
-      RESET_SESSION: 'chat:resetSession'
+      QUERY_STREAM: 'chat:query-stream',
+      CANCEL: 'chat:cancel',
+      RESET_SESSION: 'chat:resetSession',
+      STREAM_EVENT: 'chat:stream-event',
+      LIST_CONVERSATIONS: 'chat:list-conversations',
+      GET_CONVERSATION: 'chat:get-conversation',
+      RENAME_CONVERSATION: 'chat:rename-conversation',
+      DELETE_CONVERSATION: 'chat:delete-conversation',
+      EXPORT_CONVERSATION: 'chat:export-conversation'
     }
   };
 
@@ -107,4 +115,87 @@ describe('registerChatIpc', () => {
     expect(result.success).toBe(false);
     expect(result.error).toBe('Chat service unavailable');
   });
+
+  test('forwards stream events to the requesting renderer', async () => {
+    const mockQueryStream = jest.fn(async (payload, { onEvent }) => {
+      onEvent({ type: 'token', delta: 'Hi' });
+      return { success: true, response: { modelAnswer: [{ text: 'Hi' }] }, sources: [] };
+    });
+
+    jest.isolateModules(() => {
+      jest.doMock('../src/main/services/ChatService', () =>
+        jest.fn().mockImplementation(() => ({
+          queryStream: mockQueryStream,
+          cancelStream: jest.fn().mockReturnValue(true)
+        }))
+      );
+      const registerChatIpc = require('../src/main/ipc/chat');
+      registerChatIpc(buildContext());
+    });
+
+    const sender = { send: jest.fn(), isDestroyed: () => false };
+    const result = await handlers[IPC_CHANNELS.CHAT.QUERY_STREAM](
+      { sender },
+      { query: 'hello there', requestId: 'req-1' }
+    );
+
+    expect(result.success).toBe(true);
+    expect(mockQueryStream).toHaveBeenCalledWith(
+      expect.not.objectContaining({ requestId: expect.anything() }),
+      expect.objectContaining({ requestId: 'req-1' })
+    );
+    expect(sender.send).toHaveBeenCalledWith('chat:stream-event', {
+      requestId: 'req-1',
+      type: 'token',
+      delta: 'Hi'
+    });
+
+    const cancel = await handlers[IPC_CHANNELS.CHAT.CANCEL]({}, { requestId: 'req-1' });
+    expect(cancel).toEqual({ success: true, cancelled: true });
+  });
+
+  test('serves conversation history without the chat service', async () => {
+    const store = {
+      list: jest.fn().mockResolvedValue([{ id: 'conv-1', title: 'Taxes' }]),
+      get: jest.fn().mockResolvedValue({ id: 'conv-1', title: 'Taxes 2024', messages: [] }),
+      rename: jest.fn().mockResolvedValue({ id: 'conv-1', title: 'Renamed' }),
+      remove: jest.fn().mockResolvedValue(true),
+      exportMarkdown: jest.fn().mockResolvedValue('# Taxes 2024\n')
+    };
+    const writeFile = jest.fn().mockResolvedValue();
+    const showSaveDialog = jest
+      .fn()
+      .mockResolvedValue({ canceled: false, filePath: '/tmp/Taxes 2024.md' });
+
+    jest.isolateModules(() => {
+      jest.doMock('../src/main/services/ChatHistoryStore', () => ({
+        ChatHistoryStore: jest.fn().mockImplementation(() => store)
+      }));
+      jest.doMock('electron', () => ({ dialog: { showSaveDialog } }));
+      jest.doMock('fs', () => ({ promises: { writeFile } }));
+      const registerChatIpc = require('../src/main/ipc/chat');
+      // No container: the chat service cannot be created
+      registerChatIpc(buildContext({ getServiceIntegration: jest.fn().mockReturnValue(null) }));
+    });
+
+    const listed = await handlers[IPC_CHANNELS.CHAT.LIST_CONVERSATIONS]({});
+    expect(listed).toEqual({ success: true, conversations: [{ id: 'conv-1', title: 'Taxes' }] });
+
+    const renamed = await handlers[IPC_CHANNELS.CHAT.RENAME_CONVERSATION](
+      {},
+      { id: 'conv-1', title: '  Renamed  ' }
+    );
+    expect(renamed.success).toBe(true);
+    expect(store.rename).toHaveBeenCalledWith('conv-1', 'Renamed');
+
+    const exported = await handlers[IPC_CHANNELS.CHAT.EXPORT_CONVERSATION]({}, { id: 'conv-1' });
+    expect(exported).toEqual({ success: true, path: '/tmp/Taxes 2024.md' });
+    expect(showSaveDialog).toHaveBeenCalledWith(
+      expect.objectContaining({ defaultPath: 'Taxes 2024.md' })
+    );
+    expect(writeFile).toHaveBeenCalledWith('/tmp/Taxes 2024.md', '# Taxes 2024\n', 'utf8');
+
+    const removed = await handlers[IPC_CHANNELS.CHAT.DELETE_CONVERSATION]({}, { id: 'conv-1' });
+    expect(removed).toEqual({ success: true, removed: true });
+  });
 });
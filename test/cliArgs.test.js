@@ -0,0 +1,42 @@
+/**
+ * Tests for CLI argument parsing
+ */
+
+const { parseCliArgs, getUsage } = require('../src/main/cli/args');
+
+describe('cli args', () => {
+  test('parses organize with flags', () => {
+    expect(parseCliArgs(['organize', '--dry-run', '-r', '~/Downloads'])).toEqual({
+      command: 'organize',
+      positionals: ['~/Downloads'],
+      options: { json: false, dryRun: true, recursive: true, verbose: false, output: null },
+      help: false
+    });
+  });
+
+  test('joins unquoted search words and validates search options', () => {
+    const parsed = parseCliArgs(['search', 'march', 'invoices', '--json', '--top', '5']);
+    expect(parsed.positionals).toEqual(['march invoices']);
+    expect(parsed.options).toMatchObject({ json: true, top: 5, mode: 'hybrid' });
+
+    expect(() => parseCliArgs(['search', 'x', '--top', '0'])).toThrow('--top');
+    expect(() => parseCliArgs(['search', 'x', '--mode', 'fuzzy'])).toThrow('--mode');
+  });
+
+  test('defaults export format and rejects unknown ones', () => {
+    expect(parseCliArgs(['export-history']).options.format).toBe('json');
+    expect(() => parseCliArgs(['export-history', '--format', 'xml'])).toThrow('--format');
+  });
+
+  test('reports usage errors with a CLI_USAGE code', () => {
+    for (const argv of [['frobnicate'], ['analyze'], ['undo', 'extra'], ['search', '--bogus']]) {
+      expect(() => parseCliArgs(argv)).toThrow(expect.objectContaining({ code: 'CLI_USAGE' }));
+    }
+  });
+
+  test('returns help without a command', () => {
+    expect(parseCliArgs([])).toMatchObject({ command: null, help: true });
+    expect(parseCliArgs(['undo', '--help']).help).toBe(true);
+    expect(getUsage()).toContain('stratosort rebuild-embeddings');
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * @jest-environment node
+ *
+ * Tests for CLI commands
+ * Commands run against a fake runtime whose invoke() stands in for the IPC handlers
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+
+jest.mock('../src/shared/logger', () => {
+  const logger = {
+    setContext: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  };
+  return { logger, createLogger: jest.fn(() => logger) };
+});
+
+const { IPC_CHANNELS } = require('../src/shared/constants');
+const { runCommand, EXIT } = require('../src/main/cli/commands');
+
+describe('cli commands', () => {
+  let dir;
+  let out;
+  let io;
+  let handlers;
+  let runtime;
+
+  const parsed = (command, positionals = [], options = {}) => ({
+    command,
+    positionals,
+    options: { json: false, dryRun: false, recursive: false, ...options }
+  });
+
+  beforeEach(async () => {
+    dir = path.join(os.tmpdir(), `cli-commands-${Date.now()}-${Math.random()}`);
+    await fs.mkdir(path.join(dir, 'nested'), { recursive: true });
+    await fs.writeFile(path.join(dir, 'invoice.pdf'), 'pdf');
+    await fs.writeFile(path.join(dir, 'beach.jpg'), 'jpg');
+    await fs.writeFile(path.join(dir, 'tool.exe'), 'exe');
+    await fs.writeFile(path.join(dir, 'nested', 'notes.txt'), 'txt');
+
+    out = { stdout: [], stderr: [] };
+    io = { stdout: (l) => out.stdout.push(l), stderr: (l) => out.stderr.push(l) };
+    handlers = {
+      [IPC_CHANNELS.ANALYSIS.ANALYZE_DOCUMENT]: jest.fn(async (p) => ({
+        category: path.basename(p).startsWith('invoice') ? 'Invoices' : 'Notes',
+        confidence: 85
+      })),
+      [IPC_CHANNELS.ANALYSIS.ANALYZE_IMAGE]: jest.fn(async () => ({
+        category: 'Photos',
+        confidence: 0.9
+      }))
+    };
+    runtime = {
+      invoke: jest.fn((channel, ...args) => handlers[channel](...args)),
+      getCustomFolders: () => [{ id: '1', name: 'Invoices', path: '/sorted/Invoices' }],
+      getSettings: () => ({ defaultSmartFolderLocation: '/sorted' })
+    };
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('analyze routes images and documents to their handlers and skips unsupported files', async () => {
+    const code = await runCommand(runtime, parsed('analyze', [dir], { recursive: true }), io);
+
+    expect(code).toBe(EXIT.OK);
+    expect(handlers[IPC_CHANNELS.ANALYSIS.ANALYZE_IMAGE]).toHaveBeenCalledWith(
+      path.join(dir, 'beach.jpg')
+    );
+    expect(handlers[IPC_CHANNELS.ANALYSIS.ANALYZE_DOCUMENT].mock.calls.map(([p]) => p)).toEqual([
+      path.join(dir, 'invoice.pdf'),
+      path.join(dir, 'nested', 'notes.txt')
+    ]);
+    expect(out.stdout).toContain(`OK      ${path.join(dir, 'beach.jpg')} -> Photos (90%)`);
+    expect(out.stdout).toContain(`SKIPPED ${path.join(dir, 'tool.exe')}: Unsupported file type`);
+  });
+
+  test('organize --dry-run plans moves without performing them', async () => {
+    handlers[IPC_CHANNELS.ORGANIZE.AUTO] = jest.fn(async ({ files }) => ({
+      success: true,
+      operations: [
+        {
+          type: 'move',
+          source: files[1].path,
+          destination: '/sorted/Invoices/invoice.pdf'
+        }
+      ],
+      needsReview: [{ file: { path: files[0].path }, suggestion: { folder: 'Photos' } }],
+      failed: []
+    }));
+
+    const code = await runCommand(
+      runtime,
+      parsed('organize', [dir], { dryRun: true, json: true }),
+      io
+    );
+
+    expect(code).toBe(EXIT.OK);
+    expect(handlers[IPC_CHANNELS.ORGANIZE.AUTO].mock.calls[0][0].options).toEqual({
+      defaultLocation: '/sorted'
+    });
+    expect(runtime.invoke).not.toHaveBeenCalledWith(
+      IPC_CHANNELS.FILES.PERFORM_OPERATION,
+      expect.anything()
+    );
+    expect(JSON.parse(out.stdout[0])).toMatchObject({
+      dryRun: true,
+      moved: [
+        { source: path.join(dir, 'invoice.pdf'), destination: '/sorted/Invoices/invoice.pdf' }
+      ],
+      needsReview: [{ path: path.join(dir, 'beach.jpg'), suggestion: 'Photos' }]
+    });
+  });
+
+  test('organize moves through batch_organize and reports failures', async () => {
+    handlers[IPC_CHANNELS.ORGANIZE.AUTO] = jest.fn(async ({ files }) => ({
+      success: true,
+      operations: files.map((f) => ({ type: 'move', source: f.path, destination: `/x/${f.name}` })),
+      needsReview: [],
+      failed: []
+    }));
+    handlers[IPC_CHANNELS.FILES.PERFORM_OPERATION] = jest.fn(async ({ operations }) => ({
+      success: true,
+      results: operations.map((op, i) => ({ ...op, success: i === 0, error: 'Locked' }))
+    }));
+
+    const code = await runCommand(runtime, parsed('organize', [dir]), io);
+
+    expect(code).toBe(EXIT.FAILED);
+    expect(handlers[IPC_CHANNELS.FILES.PERFORM_OPERATION]).toHaveBeenCalledWith(
+      expect.objectContaining({ type: 'batch_organize' })
+    );
+    expect(out.stdout).toContain(`MOVED  ${path.join(dir, 'beach.jpg')} -> /x/beach.jpg`);
+    expect(out.stdout).toContain(`FAILED  ${path.join(dir, 'invoice.pdf')}: Locked`);
+    expect(out.stdout).toContain('Run "stratosort undo" to move them back.');
+  });
+
+  test('search prints ranked paths and surfaces handler errors', async () => {
+    handlers[IPC_CHANNELS.EMBEDDINGS.SEARCH] = jest
+      .fn()
+      .mockResolvedValueOnce({
+        success: true,
+        mode: 'hybrid',
+        results: [{ id: 'a', score: 0.91234, metadata: { path: '/a.pdf', category: 'Invoices' } }]
+      })
+      .mockResolvedValueOnce({ success: false, error: 'Query is required' });
+
+    await expect(
+      runCommand(runtime, parsed('search', ['invoices'], { mode: 'hybrid', top: 3 }), io)
+    ).resolves.toBe(EXIT.OK);
+    expect(handlers[IPC_CHANNELS.EMBEDDINGS.SEARCH]).toHaveBeenCalledWith({
+      query: 'invoices',
+      mode: 'hybrid',
+      topK: 3
+    });
+    expect(out.stdout).toEqual(['0.912  /a.pdf  [Invoices]']);
+
+    await expect(runCommand(runtime, parsed('search', ['x']), io)).resolves.toBe(EXIT.FAILED);
+    expect(out.stderr).toContain('Search failed: Query is required');
+  });
+
+  test('export-history writes the handler data to --output', async () => {
+    handlers[IPC_CHANNELS.ANALYSIS_HISTORY.EXPORT] = jest.fn(async (format) => ({
+      success: true,
+      data: `format=${format}`
+    }));
+    const target = path.join(dir, 'history.csv');
+
+    const code = await runCommand(
+      runtime,
+      parsed('export-history', [], { format: 'csv', output: target }),
+      io
+    );
+
+    expect(code).toBe(EXIT.OK);
+    await expect(fs.readFile(target, 'utf8')).resolves.toBe('format=csv');
+  });
+});
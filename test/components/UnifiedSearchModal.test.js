@@ -46,6 +46,9 @@ jest.mock('reactflow', () => ({
 // Mock lucide-react icons
 jest.mock('lucide-react', () => ({
   ExternalLink: () => <span data-testid="icon-external-link">ExternalLink</span>,
+  Eye: () => <span data-testid="icon-eye">Eye</span>,
+  FileQuestion: () => <span data-testid="icon-file-question">FileQuestion</span>,
+  ChevronLeft: () => <span data-testid="icon-chevron-left">ChevronLeft</span>,
   FolderOpen: () => <span data-testid="icon-folder-open">FolderOpen</span>,
   FolderInput: () => <span data-testid="icon-folder-input">FolderInput</span>,
   FolderPlus: () => <span data-testid="icon-folder-plus">FolderPlus</span>,
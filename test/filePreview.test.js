@@ -0,0 +1,183 @@
+/**
+ * Tests for filePreview
+ * Preview payloads for images, PDF pages, text files and extracted documents
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+
+jest.mock('../src/shared/logger', () => {
+  const logger = {
+    setContext: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  };
+  return { logger, createLogger: jest.fn(() => logger) };
+});
+
+const mockSharpCalls = [];
+jest.mock('sharp', () =>
+  jest.fn((input, options = {}) => {
+    mockSharpCalls.push({ input, options });
+    const pipeline = {
+      metadata: async () => ({ pages: 3 }),
+      rotate: () => pipeline,
+      resize: () => pipeline,
+      flatten: () => pipeline,
+      webp: () => pipeline,
+      toBuffer: async () => Buffer.from(`page-${options.page ?? 0}`)
+    };
+    return pipeline;
+  })
+);
+
+jest.mock('../src/main/analysis/documentExtractors', () => ({
+  extractTextFromPdf: jest.fn(async () => 'Extracted PDF text'),
+  extractTextFromDocx: jest.fn(async () => 'Extracted DOCX text'),
+  extractPlainTextFromHtml: jest.fn((html) => html.replace(/<[^>]+>/g, ''))
+}));
+
+const documentExtractors = require('../src/main/analysis/documentExtractors');
+const { buildFilePreview, PREVIEW_LIMITS } = require('../src/main/analysis/filePreview');
+
+describe('filePreview', () => {
+  const dir = path.join(os.tmpdir(), 'file-preview-test');
+
+  beforeEach(async () => {
+    mockSharpCalls.length = 0;
+    jest.clearAllMocks();
+    await fs.mkdir(dir, { recursive: true });
+  });
+
+  test('renders images as data URLs', async () => {
+    const filePath = path.join(dir, 'photo.jpg');
+    await fs.writeFile(filePath, 'jpeg-bytes');
+
+    const preview = await buildFilePreview(filePath);
+
+    expect(preview).toMatchObject({ success: true, kind: 'image', name: 'photo.jpg', text: null });
+    expect(preview.dataUrl).toBe(
+      `data:image/webp;base64,${Buffer.from('page-0').toString('base64')}`
+    );
+  });
+
+  test('renders the requested PDF page and clamps it to the page count', async () => {
+    const filePath = path.join(dir, 'report.pdf');
+    await fs.writeFile(filePath, '%PDF-1.4');
+
+    const preview = await buildFilePreview(filePath, { page: 9 });
+
+    expect(preview).toMatchObject({ kind: 'pdf', page: 3, pageCount: 3 });
+    expect(mockSharpCalls[mockSharpCalls.length - 1].options).toMatchObject({
+      density: PREVIEW_LIMITS.PDF_DENSITY,
+      page: 2
+    });
+    expect(preview).toMatchObject({ text: 'Extracted PDF text', textSource: 'extracted' });
+  });
+
+  test('skips text when only changing PDF pages', async () => {
+    const filePath = path.join(dir, 'pages.pdf');
+    await fs.writeFile(filePath, '%PDF-1.4');
+
+    const preview = await buildFilePreview(filePath, { page: 2, includeText: false });
+
+    expect(preview.page).toBe(2);
+    expect(preview.text).toBeNull();
+    expect(documentExtractors.extractTextFromPdf).not.toHaveBeenCalled();
+  });
+
+  test('prefers the text captured during analysis over re-extracting', async () => {
+    const filePath = path.join(dir, 'contract.docx');
+    await fs.writeFile(filePath, 'zip-bytes');
+    const historyService = {
+      getAnalysisByPath: jest.fn(async () => ({
+        analysis: { extractedText: 'Analyzed contract text' }
+      }))
+    };
+
+    const preview = await buildFilePreview(filePath, { historyService });
+
+    expect(historyService.getAnalysisByPath).toHaveBeenCalledWith(filePath);
+    expect(preview).toMatchObject({
+      kind: 'extracted',
+      text: 'Analyzed contract text',
+      textSource: 'analysis'
+    });
+    expect(documentExtractors.extractTextFromDocx).not.toHaveBeenCalled();
+  });
+
+  test('extracts document text when the file has no analysis', async () => {
+    const filePath = path.join(dir, 'page.html');
+    await fs.writeFile(filePath, '<p>Hello <b>world</b></p>');
+
+    const preview = await buildFilePreview(filePath, {
+      historyService: { getAnalysisByPath: jest.fn(async () => null) }
+    });
+
+    expect(preview).toMatchObject({
+      kind: 'extracted',
+      text: 'Hello world',
+      textSource: 'extracted'
+    });
+  });
+
+  test('extracts markup from the head of large files only', async () => {
+    const filePath = path.join(dir, 'export.html');
+    await fs.writeFile(filePath, `<p>${'a'.repeat(PREVIEW_LIMITS.MAX_TEXT_BYTES)}</p>`);
+
+    const preview = await buildFilePreview(filePath);
+
+    const [markup] = documentExtractors.extractPlainTextFromHtml.mock.calls[0];
+    expect(markup).toHaveLength(PREVIEW_LIMITS.MAX_TEXT_BYTES);
+    expect(preview).toMatchObject({ kind: 'extracted', textSource: 'extracted', truncated: true });
+  });
+
+  test('reads plain text and code files as-is', async () => {
+    const filePath = path.join(dir, 'script.py');
+    await fs.writeFile(filePath, 'print("hi")\n');
+
+    const preview = await buildFilePreview(filePath);
+
+    expect(preview).toMatchObject({
+      kind: 'text',
+      text: 'print("hi")\n',
+      textSource: 'file',
+      truncated: false
+    });
+  });
+
+  test('caps plain text at the character limit without looking up analysis', async () => {
+    const filePath = path.join(dir, 'notes.txt');
+    await fs.writeFile(filePath, 'a'.repeat(PREVIEW_LIMITS.MAX_TEXT_CHARS + 10));
+    const historyService = { getAnalysisByPath: jest.fn(async () => null) };
+
+    const preview = await buildFilePreview(filePath, { historyService });
+
+    expect(preview.text).toHaveLength(PREVIEW_LIMITS.MAX_TEXT_CHARS);
+    expect(preview).toMatchObject({ kind: 'text', textSource: 'file', truncated: true });
+    expect(historyService.getAnalysisByPath).not.toHaveBeenCalled();
+  });
+
+  test('reports unsupported files without text', async () => {
+    const filePath = path.join(dir, 'archive.bin');
+    await fs.writeFile(filePath, Buffer.from([1, 2, 3]));
+
+    const preview = await buildFilePreview(filePath);
+
+    expect(preview).toMatchObject({
+      success: true,
+      kind: 'unsupported',
+      dataUrl: null,
+      text: null
+    });
+  });
+
+  test('rejects directories', async () => {
+    const preview = await buildFilePreview(dir);
+
+    expect(preview).toMatchObject({ success: false, errorCode: 'NOT_A_FILE' });
+  });
+});
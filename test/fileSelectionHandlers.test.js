@@ -28,6 +28,7 @@ jest.mock('fs', () => ({
 jest.mock('../src/shared/constants', () => ({
   SUPPORTED_DOCUMENT_EXTENSIONS: ['.pdf', '.doc', '.docx'],
   SUPPORTED_IMAGE_EXTENSIONS: ['.jpg', '.png', '.gif'],
+  SUPPORTED_AUDIO_EXTENSIONS: ['.mp3', '.wav'],
   SUPPORTED_ARCHIVE_EXTENSIONS: ['.zip', '.rar'],
   SUPPORTED_3D_EXTENSIONS: ['.stl', '.obj'],
   SUPPORTED_DESIGN_EXTENSIONS: ['.ai', '.psd'],
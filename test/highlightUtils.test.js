@@ -3,7 +3,11 @@
  */
 
 // Import the functions to test
-const { highlightMatches, hasMatches } = require('../src/renderer/utils/highlightUtils');
+const {
+  highlightMatches,
+  hasMatches,
+  findChunkRange
+} = require('../src/renderer/utils/highlightUtils');
 
 describe('highlightUtils', () => {
   describe('highlightMatches', () => {
@@ -328,4 +332,37 @@ describe('highlightUtils', () => {
       expect(word10Match).toBe(false); // word10 is the 11th word in the query
     });
   });
+
+  describe('findChunkRange', () => {
+    const text =
+      'Intro paragraph.\n\nThe tenant shall pay rent of $1,200 on the first of each month.\nOther terms.';
+    const charStart = text.indexOf('The tenant');
+    const charEnd = text.indexOf('\nOther');
+
+    test('uses chunk offsets when they line up with the snippet', () => {
+      const range = findChunkRange(text, {
+        charStart,
+        charEnd,
+        bestSnippet: 'The tenant shall pay rent'
+      });
+      expect(range).toEqual({ start: charStart, end: charEnd });
+    });
+
+    test('falls back to a whitespace-tolerant snippet search when offsets are stale', () => {
+      const shifted = `New heading\n${text}`;
+      const range = findChunkRange(shifted, {
+        charStart,
+        charEnd,
+        bestSnippet: 'The tenant   shall\npay rent'
+      });
+      expect(range.start).toBe(shifted.indexOf('The tenant'));
+      expect(range.end - range.start).toBe(charEnd - charStart);
+    });
+
+    test('returns null when the snippet is not in the text', () => {
+      expect(findChunkRange(text, { bestSnippet: 'security deposit' })).toBeNull();
+      expect(findChunkRange(text, null)).toBeNull();
+      expect(findChunkRange('', { bestSnippet: 'tenant' })).toBeNull();
+    });
+  });
 });
@@ -0,0 +1,97 @@
+/**
+ * Tests for Inbox Folders
+ * Tests inbox normalization, default fallback, and ignore pattern matching
+ */
+
+const {
+  normalizeInboxFolders,
+  resolveInboxFolders,
+  createIgnoreMatcher,
+  INBOX_LIMITS
+} = require('../src/shared/inboxFolders');
+
+describe('inboxFolders', () => {
+  describe('normalizeInboxFolders', () => {
+    test('fills defaults and derives a name from the path', () => {
+      const [inbox] = normalizeInboxFolders([{ id: 'a', path: '/home/u/Scans/' }]);
+      expect(inbox).toEqual({
+        id: 'a',
+        name: 'Scans',
+        path: '/home/u/Scans/',
+        enabled: true,
+        depth: 0,
+        ignorePatterns: [],
+        settleDelayMs: 500,
+        autoOrganize: true,
+        confidenceThreshold: null
+      });
+    });
+
+    test('clamps numeric fields and drops invalid entries', () => {
+      const result = normalizeInboxFolders([
+        { id: 'a', path: '/a', depth: 99, settleDelayMs: -5, confidenceThreshold: 3 },
+        { id: 'b', path: '   ' },
+        null,
+        { id: 'c', path: '/a/' }
+      ]);
+      expect(result).toHaveLength(1);
+      expect(result[0]).toMatchObject({
+        depth: INBOX_LIMITS.MAX_DEPTH,
+        settleDelayMs: 0,
+        confidenceThreshold: 1
+      });
+    });
+
+    test('keeps ids unique', () => {
+      const result = normalizeInboxFolders([
+        { id: 'x', path: '/a' },
+        { id: 'x', path: '/b' }
+      ]);
+      expect(new Set(result.map((i) => i.id)).size).toBe(2);
+    });
+  });
+
+  describe('resolveInboxFolders', () => {
+    test('falls back to Downloads when nothing is configured', () => {
+      const result = resolveInboxFolders({ inboxFolders: [] }, '/home/u/Downloads');
+      expect(result).toHaveLength(1);
+      expect(result[0]).toMatchObject({ id: 'downloads', isDefault: true });
+    });
+
+    test('returns only enabled inboxes when configured', () => {
+      const result = resolveInboxFolders(
+        {
+          inboxFolders: [
+            { id: 'a', path: '/a' },
+            { id: 'b', path: '/b', enabled: false }
+          ]
+        },
+        '/home/u/Downloads'
+      );
+      expect(result.map((i) => i.id)).toEqual(['a']);
+    });
+  });
+
+  describe('createIgnoreMatcher', () => {
+    test('matches basenames for patterns without a slash', () => {
+      const isIgnored = createIgnoreMatcher(['*.part', 'Thumbs.db', 'scan-??.tmp']);
+      expect(isIgnored('movie.part')).toBe(true);
+      expect(isIgnored('sub/thumbs.db')).toBe(true);
+      expect(isIgnored('scan-01.tmp')).toBe(true);
+      expect(isIgnored('scan-001.tmp')).toBe(false);
+      expect(isIgnored('report.pdf')).toBe(false);
+    });
+
+    test('matches relative paths for patterns with a slash', () => {
+      const isIgnored = createIgnoreMatcher(['drafts/**', 'exports/*.eml']);
+      expect(isIgnored('drafts/a/b.txt')).toBe(true);
+      expect(isIgnored('exports/mail.eml')).toBe(true);
+      expect(isIgnored('exports/old/mail.eml')).toBe(false);
+      expect(isIgnored('other/drafts.txt')).toBe(false);
+    });
+
+    test('never matches with no patterns', () => {
+      expect(createIgnoreMatcher([])('anything')).toBe(false);
+    });
+  });
+});
@@ -321,6 +321,28 @@ describe('ipcRegistry', () => {
     });
   });
 
+  describe('invokeHandler', () => {
+    test('calls the registered handler in-process', async () => {
+      const handler = jest.fn().mockResolvedValue({ success: true });
+      const event = { sender: { send: jest.fn() } };
+      ipcRegistry.registerHandler(mockIpcMain, 'channel', handler);
+
+      await expect(ipcRegistry.invokeHandler('channel', event, 'a', 1)).resolves.toEqual({
+        success: true
+      });
+      expect(handler).toHaveBeenCalledWith(event, 'a', 1);
+    });
+
+    test('rejects unknown and removed channels', async () => {
+      ipcRegistry.registerHandler(mockIpcMain, 'channel', jest.fn());
+      ipcRegistry.removeHandler(mockIpcMain, 'channel');
+
+      await expect(ipcRegistry.invokeHandler('channel', {})).rejects.toThrow(
+        'No handler registered for channel: channel'
+      );
+    });
+  });
+
   describe('shutdown gate', () => {
     test('setShuttingDown sets shutdown state', () => {
       expect(ipcRegistry.isShuttingDown()).toBe(false);
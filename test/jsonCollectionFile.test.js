@@ -0,0 +1,56 @@
+/**
+ * Tests for jsonCollectionFile
+ * Ordered JSON collection writes that report failures to the caller
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+const { JsonCollectionFile } = require('../src/shared/jsonCollectionFile');
+
+describe('JsonCollectionFile', () => {
+  let testDir;
+
+  beforeEach(async () => {
+    testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'json-collection-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  const read = async (filePath) => JSON.parse(await fs.readFile(filePath, 'utf8'));
+
+  test('creates the directory and writes items with a timestamp', async () => {
+    const file = new JsonCollectionFile(path.join(testDir, 'nested', 'items.json'));
+
+    await file.save([{ id: 'a' }]);
+
+    const saved = await read(file.filePath);
+    expect(saved.items).toEqual([{ id: 'a' }]);
+    expect(typeof saved.lastUpdated).toBe('string');
+  });
+
+  test('lands writes in call order', async () => {
+    const file = new JsonCollectionFile(path.join(testDir, 'items.json'));
+
+    const first = file.save([{ id: 'a' }]);
+    await file.save([{ id: 'b' }]);
+    await first;
+
+    expect((await read(file.filePath)).items).toEqual([{ id: 'b' }]);
+  });
+
+  test('rejects a failed write and keeps writing after it', async () => {
+    const blocked = path.join(testDir, 'blocked');
+    await fs.writeFile(blocked, '');
+    const file = new JsonCollectionFile(path.join(blocked, 'items.json'));
+
+    await expect(file.save([{ id: 'a' }])).rejects.toThrow();
+
+    await fs.rm(blocked);
+    await file.save([{ id: 'b' }]);
+    expect((await read(file.filePath)).items).toEqual([{ id: 'b' }]);
+  });
+});
@@ -66,6 +66,7 @@ describe('buildFolderSuggestion', () => {
       path: '/home/user/Documents',
       folderId: 'doc-1',
       confidence: expect.any(Number),
+      feedbackWeight: 1,
       method: 'implicit_feedback',
       isSmartFolder: true,
       description: ''
@@ -389,6 +389,34 @@ const runNamingTests = (moduleName, modulePath) => {
           // 'Unknown' and 'Document' are the coded fallbacks
           expect(result).toBe('Unknown_Document.pdf');
         });
+
+        test('supports counter, substring, extension and date-part tokens', () => {
+          const context = { ...mockContext, index: 4 };
+          expect(namingUtils.processTemplate('{year}-{month}_{n:03}', context)).toBe(
+            '2023-10_005.pdf'
+          );
+          expect(namingUtils.processTemplate('{original:0:4}_{n}', context)).toBe('scan_5.pdf');
+          expect(
+            namingUtils.processTemplate('{n:02}', { ...context, index: 0, counterStart: 10 })
+          ).toBe('10.pdf');
+          expect(namingUtils.processTemplate('{original}.{ext}', context)).toBe('scan_001.pdf');
+        });
+
+        test('supports keyword and EXIF tokens', () => {
+          const context = {
+            originalName: 'IMG_0042.jpg',
+            extension: '.jpg',
+            analysis: { keywords: ['beach', 'sunset'] },
+            exif: { model: 'X100V', date: '2024-07-04' }
+          };
+          expect(namingUtils.processTemplate('{exif.model}_{keywords[1]}', context)).toBe(
+            'X100V_sunset.jpg'
+          );
+          // Without an analysis date, date parts come from EXIF
+          expect(namingUtils.processTemplate('{year}_{exif.make}_{keywords[5]}', context)).toBe(
+            '2024.jpg'
+          );
+        });
       }
     });
 
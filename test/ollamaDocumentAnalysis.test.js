@@ -29,6 +29,8 @@ jest.mock('../src/shared/constants', () => ({
   SUPPORTED_TEXT_EXTENSIONS: ['.txt', '.md', '.rtf', '.json', '.csv'],
   SUPPORTED_DOCUMENT_EXTENSIONS: ['.pdf', '.doc', '.docx', '.xlsx', '.pptx'],
   SUPPORTED_ARCHIVE_EXTENSIONS: ['.zip', '.rar', '.7z'],
+  SUPPORTED_AUDIO_EXTENSIONS: ['.mp3', '.wav', '.m4a'],
+  SUPPORTED_VIDEO_EXTENSIONS: ['.mp4', '.mov', '.mkv'],
   AI_DEFAULTS: {
     TEXT: {
       MODEL: 'llama2',
@@ -254,7 +256,197 @@ describe('ollamaDocumentAnalysis - Text Extraction', () => {
   });
 });
 
-describe('ollamaDocumentAnalysis - Video Short-Circuit', () => {
+describe('ollamaDocumentAnalysis - Audio', () => {
+  let transcribeAudio;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.resetModules();
+    transcribeAudio = jest.fn().mockResolvedValue(null);
+    jest.doMock('../src/main/analysis/audioTranscription', () => ({ transcribeAudio }));
+    ({ analyzeDocumentFile } = require('../src/main/analysis/ollamaDocumentAnalysis'));
+    require('../src/main/utils/ollamaDetection').isOllamaRunningWithRetry.mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    jest.dontMock('../src/main/analysis/audioTranscription');
+  });
+
+  test('analyzes tags and transcript with the text model', async () => {
+    const { parseFile } = require('music-metadata');
+    parseFile.mockResolvedValueOnce({
+      common: { title: 'Budget call', artist: 'Finance team', date: '2024-02-12' },
+      format: { container: 'MPEG', duration: 95.4 }
+    });
+    transcribeAudio.mockResolvedValue({
+      text: 'We agreed on the Q3 budget.',
+      backend: 'whisper-cpp'
+    });
+    const { analyzeTextWithOllama } = require('../src/main/analysis/documentLlm');
+    const { globalDeduplicator } = require('../src/main/utils/llmOptimization');
+    globalDeduplicator.deduplicate.mockImplementation((key, fn) => fn());
+    analyzeTextWithOllama.mockResolvedValue({ category: 'finance', keywords: ['budget'] });
+
+    const result = await analyzeDocumentFile('/test/call.mp3', []);
+
+    const [text, fileName, , date] = analyzeTextWithOllama.mock.calls[0];
+    expect(fileName).toBe('call.mp3');
+    expect(text).toContain('Title: Budget call');
+    expect(text).toContain('--- Transcript ---\nWe agreed on the Q3 budget.');
+    expect(date).toBe('2024-02-12');
+    expect(result.extractionMethod).toBe('transcript');
+    expect(result.audio).toMatchObject({
+      title: 'Budget call',
+      durationSeconds: 95,
+      transcribed: true,
+      transcriptionBackend: 'whisper-cpp'
+    });
+  });
+
+  test('returns format details without calling the LLM when nothing describes the audio', async () => {
+    const { parseFile } = require('music-metadata');
+    parseFile.mockResolvedValueOnce({ common: {}, format: { container: 'WAVE', duration: 42 } });
+    const { analyzeTextWithOllama } = require('../src/main/analysis/documentLlm');
+
+    const result = await analyzeDocumentFile('/test/memo.wav', []);
+
+    expect(analyzeTextWithOllama).not.toHaveBeenCalled();
+    expect(result).toMatchObject({
+      purpose: 'WAVE audio (0:42)',
+      extractionMethod: 'audio',
+      audio: { durationSeconds: 42, transcribed: false }
+    });
+  });
+});
+
+describe('ollamaDocumentAnalysis - Video', () => {
+  let videoExtractor;
+  let analyzeImageBuffer;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.resetModules();
+    jest.doMock('../src/main/services/SettingsService', () => ({
+      getInstance: () => ({ load: jest.fn().mockResolvedValue({ videoKeyframeCount: 2 }) })
+    }));
+    videoExtractor = {
+      ...jest.requireActual('../src/main/analysis/videoExtractor'),
+      readVideoMetadata: jest.fn().mockResolvedValue({
+        format: 'MP4',
+        durationSeconds: 120,
+        width: 1920,
+        height: 1080,
+        codec: 'avc1',
+        creationDate: '2024-05-01T10:00:00.000Z',
+        location: { latitude: 48.8566, longitude: 2.3522, altitude: null },
+        hasAudio: true,
+        hasSubtitles: false
+      }),
+      resolveFfmpegCommand: jest.fn().mockResolvedValue('ffmpeg'),
+      extractKeyframes: jest.fn(),
+      extractEmbeddedSubtitles: jest.fn().mockResolvedValue(null),
+      readSidecarSubtitles: jest.fn().mockResolvedValue(null),
+      saveVideoThumbnail: jest.fn().mockResolvedValue('/mock/userData/thumbnails/demo.jpg')
+    };
+    jest.doMock('../src/main/analysis/videoExtractor', () => videoExtractor);
+    analyzeImageBuffer = jest.fn().mockResolvedValue({
+      summary: 'Presenter at a whiteboard',
+      keywords: ['demo', 'slides']
+    });
+    jest.doMock('../src/main/analysis/ollamaImageAnalysis', () => ({ analyzeImageBuffer }));
+
+    const fsPromises = require('fs').promises;
+    fsPromises.mkdtemp = jest.fn().mockResolvedValue('/tmp/stratosort-video-test');
+    fsPromises.rm = jest.fn().mockResolvedValue(undefined);
+    fsPromises.readFile.mockResolvedValue(Buffer.from('jpeg'));
+
+    ({ analyzeDocumentFile } = require('../src/main/analysis/ollamaDocumentAnalysis'));
+    require('../src/main/utils/ollamaDetection').isOllamaRunningWithRetry.mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    jest.dontMock('../src/main/services/SettingsService');
+    jest.dontMock('../src/main/analysis/videoExtractor');
+    jest.dontMock('../src/main/analysis/ollamaImageAnalysis');
+  });
+
+  test('describes keyframes and subtitles with the text model', async () => {
+    videoExtractor.extractKeyframes.mockResolvedValue({
+      frames: [
+        { timestampSeconds: 12, path: '/tmp/stratosort-video-test/frame-1.jpg' },
+        { timestampSeconds: 42, path: '/tmp/stratosort-video-test/frame-2.jpg' }
+      ]
+    });
+    videoExtractor.readSidecarSubtitles.mockResolvedValue({
+      text: 'Welcome to the product demo.',
+      path: '/test/demo.srt'
+    });
+    const { analyzeTextWithOllama } = require('../src/main/analysis/documentLlm');
+    const { globalDeduplicator } = require('../src/main/utils/llmOptimization');
+    globalDeduplicator.deduplicate.mockImplementation((key, fn) => fn());
+    analyzeTextWithOllama.mockResolvedValue({ category: 'work', keywords: ['demo'] });
+
+    const result = await analyzeDocumentFile('/test/demo.mp4', []);
+
+    expect(videoExtractor.extractKeyframes).toHaveBeenCalledWith(
+      '/test/demo.mp4',
+      expect.objectContaining({ count: 2, durationSeconds: 120, command: 'ffmpeg' })
+    );
+    expect(analyzeImageBuffer).toHaveBeenCalledWith(expect.any(Buffer), 'demo.mp4 @ 0:12', []);
+    expect(videoExtractor.saveVideoThumbnail).toHaveBeenCalledWith(
+      '/tmp/stratosort-video-test/frame-2.jpg',
+      '/test/demo.mp4'
+    );
+    expect(videoExtractor.extractEmbeddedSubtitles).not.toHaveBeenCalled();
+
+    const [text, fileName, , date] = analyzeTextWithOllama.mock.calls[0];
+    expect(fileName).toBe('demo.mp4');
+    expect(text).toContain('Video: demo.mp4 (MP4, 2:00, 1920x1080)');
+    expect(text).toContain('[0:42] Presenter at a whiteboard (demo, slides)');
+    expect(text).toContain('--- Subtitles ---\nWelcome to the product demo.');
+    expect(date).toBe('2024-05-01');
+    expect(result.extractionMethod).toBe('video');
+    expect(result.thumbnailPath).toBe('/mock/userData/thumbnails/demo.jpg');
+    expect(result.video).toMatchObject({
+      durationSeconds: 120,
+      width: 1920,
+      framesAnalyzed: 2,
+      subtitles: true,
+      transcribed: false
+    });
+    expect(require('fs').promises.rm).toHaveBeenCalledWith('/tmp/stratosort-video-test', {
+      recursive: true,
+      force: true
+    });
+  });
+
+  test('returns container details without calling the LLM when ffmpeg is missing', async () => {
+    videoExtractor.extractKeyframes.mockResolvedValue({
+      frames: [],
+      error: 'ffmpeg was not found; set its location in Settings'
+    });
+    const { analyzeTextWithOllama } = require('../src/main/analysis/documentLlm');
+
+    const result = await analyzeDocumentFile('/test/clip.mp4', []);
+
+    expect(analyzeTextWithOllama).not.toHaveBeenCalled();
+    expect(analyzeImageBuffer).not.toHaveBeenCalled();
+    expect(videoExtractor.extractEmbeddedSubtitles).not.toHaveBeenCalled();
+    expect(result).toMatchObject({
+      purpose: 'MP4 video (2:00, 1920x1080)',
+      date: '2024-05-01',
+      extractionMethod: 'video',
+      thumbnailPath: null,
+      video: {
+        location: { latitude: 48.8566, longitude: 2.3522, altitude: null },
+        framesAnalyzed: 0,
+        extractionError: expect.stringContaining('ffmpeg was not found')
+      }
+    });
+  });
+});
+
+describe('ollamaDocumentAnalysis - Unknown Extensions', () => {
   beforeEach(() => {
     jest.clearAllMocks();
     // Update constants mock to include video extensions
@@ -286,7 +478,7 @@ describe('ollamaDocumentAnalysis - Video Short-Circuit', () => {
     }));
   });
 
-  test('should use extension_short_circuit for known types', async () => {
+  test('should fall back for extensions without a parser', async () => {
     const result = await analyzeDocumentFile('/test/movie.xyz', []);
     // Even unsupported gets fallback
     expect(result).toBeDefined();
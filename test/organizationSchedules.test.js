@@ -0,0 +1,125 @@
+/**
+ * Tests for Organization Schedules
+ * Tests schedule normalization, validation problems and next-run calculation
+ */
+
+const {
+  normalizeSchedules,
+  getScheduleProblem,
+  getNextRunTime,
+  describeSchedule,
+  SCHEDULE_LIMITS
+} = require('../src/shared/organizationSchedules');
+
+describe('organizationSchedules', () => {
+  describe('normalizeSchedules', () => {
+    test('fills defaults and derives a name from the action and folder', () => {
+      const [schedule] = normalizeSchedules([{ id: 'a', sourceFolder: '/home/u/Desktop/' }]);
+      expect(schedule).toEqual({
+        id: 'a',
+        name: 'Sweep Desktop',
+        enabled: true,
+        action: 'sweep',
+        sourceFolder: '/home/u/Desktop/',
+        includeSubfolders: false,
+        confidenceThreshold: null,
+        olderThanDays: 90,
+        destinationFolder: '',
+        frequency: 'weekly',
+        time: '02:00',
+        dayOfWeek: 0,
+        dayOfMonth: 1
+      });
+    });
+
+    test('clamps fields, rejects bad values and drops entries without a folder', () => {
+      const schedules = normalizeSchedules([
+        {
+          id: 'a',
+          action: 'archive',
+          sourceFolder: '/data',
+          olderThanDays: 0,
+          confidenceThreshold: 3,
+          frequency: 'hourly',
+          time: '25:00',
+          dayOfWeek: 9,
+          dayOfMonth: 40
+        },
+        { id: 'a', sourceFolder: '/other', confidenceThreshold: '' },
+        { name: 'no folder' },
+        null
+      ]);
+
+      expect(schedules).toHaveLength(2);
+      expect(schedules[0]).toMatchObject({
+        name: 'Archive data',
+        olderThanDays: 1,
+        confidenceThreshold: 1,
+        frequency: 'weekly',
+        time: '02:00',
+        dayOfWeek: 6,
+        dayOfMonth: 31
+      });
+      expect(schedules[1].id).toBe('a-1');
+      expect(schedules[1].confidenceThreshold).toBeNull();
+    });
+
+    test('caps the number of schedules', () => {
+      const many = Array.from({ length: 30 }, (_, i) => ({ id: `s${i}`, sourceFolder: `/f${i}` }));
+      expect(normalizeSchedules(many)).toHaveLength(SCHEDULE_LIMITS.MAX_SCHEDULES);
+    });
+  });
+
+  test('reports schedules that cannot run', () => {
+    expect(getScheduleProblem({ action: 'sweep', sourceFolder: '/a' })).toBeNull();
+    expect(getScheduleProblem({ action: 'archive', sourceFolder: '/a' })).toMatch(/archive folder/);
+    expect(
+      getScheduleProblem({ action: 'archive', sourceFolder: '/a/', destinationFolder: '/A' })
+    ).toMatch(/must differ/);
+    expect(getScheduleProblem({ action: 'sweep', sourceFolder: '' })).toMatch(/source folder/);
+  });
+
+  describe('getNextRunTime', () => {
+    // Monday 15 January 2024, 10:00 local time
+    const monday = new Date(2024, 0, 15, 10, 0);
+
+    test('daily runs later today or tomorrow', () => {
+      expect(getNextRunTime({ frequency: 'daily', time: '18:30' }, monday)).toEqual(
+        new Date(2024, 0, 15, 18, 30)
+      );
+      expect(getNextRunTime({ frequency: 'daily', time: '10:00' }, monday)).toEqual(
+        new Date(2024, 0, 16, 10, 0)
+      );
+    });
+
+    test('weekly runs on the configured weekday', () => {
+      expect(getNextRunTime({ frequency: 'weekly', time: '02:00', dayOfWeek: 0 }, monday)).toEqual(
+        new Date(2024, 0, 21, 2, 0)
+      );
+      expect(getNextRunTime({ frequency: 'weekly', time: '09:00', dayOfWeek: 1 }, monday)).toEqual(
+        new Date(2024, 0, 22, 9, 0)
+      );
+    });
+
+    test('monthly runs fall back to the last day of short months', () => {
+      const schedule = { frequency: 'monthly', time: '03:00', dayOfMonth: 31 };
+      expect(getNextRunTime(schedule, monday)).toEqual(new Date(2024, 0, 31, 3, 0));
+      expect(getNextRunTime(schedule, new Date(2024, 0, 31, 3, 0))).toEqual(
+        new Date(2024, 1, 29, 3, 0)
+      );
+      expect(
+        getNextRunTime({ frequency: 'monthly', time: '03:00', dayOfMonth: 1 }, monday)
+      ).toEqual(new Date(2024, 1, 1, 3, 0));
+    });
+  });
+
+  test('describes schedules for display', () => {
+    expect(describeSchedule({ frequency: 'weekly', time: '02:00', dayOfWeek: 0 })).toBe(
+      'Every Sunday at 02:00'
+    );
+    expect(describeSchedule({ frequency: 'monthly', time: '01:15', dayOfMonth: 1 })).toBe(
+      'Monthly on day 1 at 01:15'
+    );
+    expect(describeSchedule({ frequency: 'daily', time: '23:00' })).toBe('Every day at 23:00');
+  });
+});
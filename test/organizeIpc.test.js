@@ -55,7 +55,14 @@ jest.mock('../src/main/ipc/ipcWrappers', () => ({
 jest.mock('../src/main/ipc/validationSchemas', () => ({
   schemas: {
     autoOrganize: {},
-    thresholds: {}
+    thresholds: {},
+    renamePreview: {}
+  }
+}));
+
+jest.mock('../src/main/services/SemanticRenameService', () => ({
+  semanticRenameService: {
+    previewBatch: jest.fn()
   }
 }));
 
@@ -76,7 +83,8 @@ describe('Organize IPC Handlers', () => {
       UPDATE_THRESHOLDS: 'organize:update-thresholds',
       CLUSTER_BATCH: 'organize:cluster-batch',
       IDENTIFY_OUTLIERS: 'organize:identify-outliers',
-      GET_CLUSTER_SUGGESTIONS: 'organize:get-cluster-suggestions'
+      GET_CLUSTER_SUGGESTIONS: 'organize:get-cluster-suggestions',
+      PREVIEW_RENAME: 'organize:preview-rename'
     }
   };
 
@@ -184,6 +192,46 @@ describe('Organize IPC Handlers', () => {
         IPC_CHANNELS.ORGANIZE.GET_CLUSTER_SUGGESTIONS,
         expect.any(Function)
       );
+      expect(mockIpcMain.handle).toHaveBeenCalledWith(
+        IPC_CHANNELS.ORGANIZE.PREVIEW_RENAME,
+        expect.any(Function)
+      );
+    });
+  });
+
+  describe('ORGANIZE.PREVIEW_RENAME handler', () => {
+    beforeEach(() => {
+      registerOrganizeIpc({
+        ipcMain: mockIpcMain,
+        IPC_CHANNELS,
+        getServiceIntegration: () => ({ autoOrganizeService: mockOrganizeService }),
+        getCustomFolders: () => mockCustomFolders
+      });
+    });
+
+    test('returns the rename preview from SemanticRenameService', async () => {
+      const { semanticRenameService } = require('../src/main/services/SemanticRenameService');
+      const preview = [{ sourcePath: '/a.pdf', newName: 'b.pdf', changed: true, collision: null }];
+      semanticRenameService.previewBatch.mockResolvedValue(preview);
+
+      const handler = handlers[IPC_CHANNELS.ORGANIZE.PREVIEW_RENAME];
+      const files = [{ path: '/a.pdf' }];
+      const res = await handler({}, { files, template: '{entity}', options: { counterStart: 2 } });
+
+      expect(semanticRenameService.previewBatch).toHaveBeenCalledWith(files, '{entity}', {
+        counterStart: 2
+      });
+      expect(res).toEqual({ success: true, preview });
+    });
+
+    test('returns an empty preview when generation fails', async () => {
+      const { semanticRenameService } = require('../src/main/services/SemanticRenameService');
+      semanticRenameService.previewBatch.mockRejectedValue(new Error('boom'));
+
+      const handler = handlers[IPC_CHANNELS.ORGANIZE.PREVIEW_RENAME];
+      const res = await handler({}, { files: [{ path: '/a.pdf' }], template: '{n}' });
+
+      expect(res).toMatchObject({ success: false, error: 'boom', preview: [] });
     });
   });
 
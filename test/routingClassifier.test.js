@@ -0,0 +1,174 @@
+/**
+ * Tests for RoutingClassifier
+ * Nearest-centroid routing trained from feedback, with prequential accuracy
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+
+jest.mock('electron', () => ({
+  app: { getPath: jest.fn(() => require('os').tmpdir()) }
+}));
+
+jest.mock('../src/shared/logger', () => {
+  const logger = {
+    setContext: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  };
+  return { logger, createLogger: jest.fn(() => logger) };
+});
+
+const {
+  RoutingClassifier,
+  getFolderKey
+} = require('../src/main/services/organization/routingClassifier');
+
+const MODEL = 'embed-test';
+const folders = [
+  { id: 'invoices', name: 'Invoices', path: '/files/Invoices' },
+  { id: 'photos', name: 'Photos', path: '/files/Photos' },
+  { id: 'taxes', name: 'Taxes', path: '/files/Taxes' }
+];
+
+// Three well separated directions with a little per-example noise
+const AXES = { invoices: [1, 0, 0], photos: [0, 1, 0], taxes: [0, 0, 1] };
+function sample(folderId, n) {
+  const jitter = ((n % 5) - 2) * 0.03;
+  return AXES[folderId].map((value, i) => value + (i === n % 3 ? jitter : 0.05));
+}
+
+function trainRounds(classifier, rounds) {
+  for (let n = 0; n < rounds; n++) {
+    for (const folder of folders) {
+      classifier.train(sample(folder.id, n), { folderId: folder.id, ...folder }, { model: MODEL });
+    }
+  }
+}
+
+describe('RoutingClassifier', () => {
+  let testDir;
+  let classifier;
+
+  beforeEach(async () => {
+    testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'routing-classifier-'));
+    classifier = new RoutingClassifier({ filePath: path.join(testDir, 'classifier.json') });
+  });
+
+  afterEach(async () => {
+    if (classifier._saveTimer) clearTimeout(classifier._saveTimer);
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  test('keys folders by id, falling back to path', () => {
+    expect(getFolderKey({ folderId: 'a', path: '/x' })).toBe('id:a');
+    expect(getFolderKey({ id: 'a' })).toBe('id:a');
+    expect(getFolderKey({ path: '/Files/Taxes' })).toBe('path:/files/taxes');
+    expect(getFolderKey({ name: 'Taxes' })).toBeNull();
+  });
+
+  test('is not confident until folders have enough scored history', () => {
+    trainRounds(classifier, 2);
+
+    const prediction = classifier.predict(sample('taxes', 7), folders, { model: MODEL });
+    expect(prediction.folder.name).toBe('Taxes');
+    expect(prediction.confident).toBe(false);
+  });
+
+  test('becomes confident once its predictions have been right', () => {
+    trainRounds(classifier, 8);
+
+    const prediction = classifier.predict(sample('photos', 9), folders, { model: MODEL });
+    expect(prediction).toMatchObject({ confident: true, examples: 8, precision: 1 });
+    expect(prediction.folder.name).toBe('Photos');
+    expect(prediction.probability).toBeGreaterThan(0.85);
+  });
+
+  test('reports per-folder accuracy measured before each example is learned', () => {
+    trainRounds(classifier, 4);
+    // Filed into Taxes, but it looks like an invoice
+    classifier.train(sample('invoices', 1), folders[2], { model: MODEL });
+
+    const stats = classifier.getStats(folders.slice(0, 2));
+    const taxes = stats.folders.find((folder) => folder.name === 'Taxes');
+    const invoices = stats.folders.find((folder) => folder.name === 'Invoices');
+
+    expect(stats.trainedExamples).toBe(13);
+    expect(taxes).toMatchObject({ examples: 5, evaluated: 4, accuracy: 0.75, active: false });
+    expect(invoices).toMatchObject({ evaluated: 3, accuracy: 1, precision: 0.75, active: true });
+    expect(stats.accuracy).toBe(0.9);
+  });
+
+  test('rejections push a file away from a folder', () => {
+    const ambiguous = [1, 1, 0];
+    classifier.train([1, 0.9, 0], folders[0], { model: MODEL });
+    classifier.train([0.9, 1, 0], folders[1], { model: MODEL });
+    const before = classifier.predict(ambiguous, folders, { model: MODEL });
+
+    const rejectedFrom = before.folder === folders[0] ? folders[0] : folders[1];
+    classifier.train(ambiguous, rejectedFrom, { accepted: false, model: MODEL });
+    classifier.train(ambiguous, rejectedFrom, { accepted: false, model: MODEL });
+
+    const after = classifier.predict(ambiguous, folders, { model: MODEL });
+    expect(after.folder).not.toBe(rejectedFrom);
+  });
+
+  test('ignores folders that are no longer configured', () => {
+    trainRounds(classifier, 3);
+
+    const prediction = classifier.predict(sample('taxes', 1), folders.slice(0, 2), {
+      model: MODEL
+    });
+    expect(prediction.folder.name).not.toBe('Taxes');
+    expect(classifier.predict(sample('taxes', 1), [folders[2]], { model: MODEL }).probability).toBe(
+      0
+    );
+  });
+
+  test('starts over when the embedding model changes', () => {
+    trainRounds(classifier, 2);
+
+    expect(classifier.predict(sample('taxes', 1), folders, { model: 'other-model' })).toBeNull();
+    classifier.train(sample('taxes', 1), folders[2], { model: 'other-model' });
+    expect(classifier.getStats()).toMatchObject({ model: 'other-model', trainedExamples: 1 });
+  });
+
+  test('persists and reloads its state', async () => {
+    trainRounds(classifier, 3);
+    await classifier.shutdown();
+
+    const reloaded = new RoutingClassifier({ filePath: classifier.filePath });
+    await reloaded.load();
+
+    expect(reloaded.getStats()).toEqual(classifier.getStats());
+    expect(reloaded.predict(sample('invoices', 4), folders, { model: MODEL }).folder.name).toBe(
+      'Invoices'
+    );
+  });
+
+  test('shutdown waits for a save that is already writing', async () => {
+    classifier = new RoutingClassifier({ filePath: classifier.filePath, saveDelayMs: 1 });
+    const save = classifier.save.bind(classifier);
+    let finishSave;
+    jest
+      .spyOn(classifier, 'save')
+      .mockImplementation(() => new Promise((resolve) => (finishSave = () => resolve(save()))));
+    trainRounds(classifier, 1);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    expect(classifier.save).toHaveBeenCalledTimes(1);
+
+    let stopped = false;
+    const stopping = classifier.shutdown().then(() => (stopped = true));
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(stopped).toBe(false);
+
+    finishSave();
+    await stopping;
+    const reloaded = new RoutingClassifier({ filePath: classifier.filePath });
+    await reloaded.load();
+    expect(reloaded.getStats().trainedExamples).toBe(3);
+  });
+});
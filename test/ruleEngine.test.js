@@ -0,0 +1,258 @@
+/**
+ * Tests for Smart Folder Rule Engine
+ * Tests deterministic rule evaluation, ordering, and analysis overrides
+ */
+
+jest.mock('../src/shared/logger', () => {
+  const logger = {
+    setContext: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  };
+  return { logger, createLogger: jest.fn(() => logger) };
+});
+
+jest.mock('fs', () => ({
+  promises: {
+    stat: jest.fn()
+  }
+}));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-01-15T00:00:00Z');
+
+describe('Smart Folder Rule Engine', () => {
+  let evaluateSmartFolderRules;
+  let applyRuleMatchToAnalysis;
+  let fs;
+
+  const folder = (name, rules) => ({ id: `sf-${name}`, name, path: `/sf/${name}`, rules });
+  const rule = (conditions, extra = {}) => ({ id: 'r1', name: 'Rule', conditions, ...extra });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.resetModules();
+
+    fs = require('fs').promises;
+    const module = require('../src/main/services/organization/ruleEngine');
+    evaluateSmartFolderRules = module.evaluateSmartFolderRules;
+    applyRuleMatchToAnalysis = module.applyRuleMatchToAnalysis;
+  });
+
+  test('returns null when no folder has rules', async () => {
+    const result = await evaluateSmartFolderRules({ name: 'a.pdf', path: '/in/a.pdf' }, [
+      { id: '1', name: 'Docs', path: '/docs' }
+    ]);
+    expect(result).toBeNull();
+  });
+
+  test('matches extension and filename glob with match all', async () => {
+    const folders = [
+      folder('Invoices', [
+        rule(
+          [
+            { type: 'extension', values: ['PDF'] },
+            { type: 'filename', pattern: 'invoice-*', syntax: 'glob' }
+          ],
+          { name: 'Invoice PDFs' }
+        )
+      ])
+    ];
+
+    const hit = await evaluateSmartFolderRules(
+      { name: 'Invoice-2024.pdf', path: '/in/Invoice-2024.pdf' },
+      folders
+    );
+    expect(hit).toMatchObject({
+      folder: 'Invoices',
+      path: '/sf/Invoices',
+      source: 'rule',
+      isSmartFolder: true,
+      ruleName: 'Invoice PDFs',
+      confidence: 1
+    });
+    expect(hit.matchedBy).toEqual(['extension in .pdf', 'filename matches "invoice-*"']);
+
+    const miss = await evaluateSmartFolderRules(
+      { name: 'receipt.pdf', path: '/in/receipt.pdf' },
+      folders
+    );
+    expect(miss).toBeNull();
+  });
+
+  test('first matching folder and rule wins', async () => {
+    const folders = [
+      folder('Skipped', [rule([{ type: 'extension', values: ['pdf'] }], { enabled: false })]),
+      folder('First', [
+        rule([{ type: 'extension', values: ['docx'] }], { id: 'a', name: 'Word' }),
+        rule([{ type: 'extension', values: ['pdf'] }], { id: 'b', name: 'PDF' })
+      ]),
+      folder('Second', [rule([{ type: 'extension', values: ['pdf'] }])])
+    ];
+
+    const result = await evaluateSmartFolderRules({ name: 'x.pdf', path: '/in/x.pdf' }, folders);
+    expect(result.folder).toBe('First');
+    expect(result.ruleName).toBe('PDF');
+  });
+
+  test('supports match any and negated conditions', async () => {
+    const folders = [
+      folder('Media', [
+        rule(
+          [
+            { type: 'extension', values: ['mp4'] },
+            { type: 'filename', pattern: '^clip', syntax: 'regex' }
+          ],
+          { match: 'any' }
+        )
+      ]),
+      folder('NotTemp', [rule([{ type: 'filename', pattern: '*.tmp*', negate: true }])])
+    ];
+
+    expect(
+      (await evaluateSmartFolderRules({ name: 'clip01.mov', path: '/in/clip01.mov' }, folders))
+        .folder
+    ).toBe('Media');
+    expect(
+      (await evaluateSmartFolderRules({ name: 'notes.txt', path: '/in/notes.txt' }, folders)).folder
+    ).toBe('NotTemp');
+    expect(
+      await evaluateSmartFolderRules({ name: 'a.tmp.txt', path: '/in/a.tmp.txt' }, folders)
+    ).toBeNull();
+  });
+
+  test('invalid regex never matches instead of throwing', async () => {
+    const folders = [folder('Bad', [rule([{ type: 'filename', pattern: '([', syntax: 'regex' }])])];
+    await expect(
+      evaluateSmartFolderRules({ name: '([.txt', path: '/in/([.txt' }, folders)
+    ).resolves.toBeNull();
+  });
+
+  test('reads file stats only when size or date conditions need them', async () => {
+    fs.stat.mockResolvedValue({ size: 5 * 1024 * 1024, mtimeMs: NOW - 40 * DAY_MS });
+    const folders = [
+      folder('Large', [rule([{ type: 'size', minBytes: 1024 * 1024 }])]),
+      folder('Old', [rule([{ type: 'date', field: 'modified', olderThanDays: 30 }])])
+    ];
+
+    const result = await evaluateSmartFolderRules(
+      { name: 'big.bin', path: '/in/big.bin' },
+      folders,
+      {
+        now: NOW
+      }
+    );
+    expect(result.folder).toBe('Large');
+    expect(fs.stat).toHaveBeenCalledTimes(1);
+
+    fs.stat.mockClear();
+    await evaluateSmartFolderRules({ name: 'a.pdf', path: '/in/a.pdf' }, [
+      folder('Docs', [rule([{ type: 'extension', values: ['pdf'] }])])
+    ]);
+    expect(fs.stat).not.toHaveBeenCalled();
+  });
+
+  test('uses provided size and dates without touching disk', async () => {
+    const folders = [
+      folder('Recent', [rule([{ type: 'date', field: 'modified', newerThanDays: 7 }])])
+    ];
+    const result = await evaluateSmartFolderRules(
+      { name: 'a.txt', path: '/in/a.txt', size: 10, modified: NOW - DAY_MS },
+      folders,
+      { now: NOW }
+    );
+    expect(result.folder).toBe('Recent');
+    expect(fs.stat).not.toHaveBeenCalled();
+  });
+
+  test('matches source folder with and without subfolders', async () => {
+    const folders = [
+      folder('Scans', [
+        rule([{ type: 'sourceFolder', folder: '/home/u/Scans', includeSubfolders: false }])
+      ]),
+      folder('Downloads', [rule([{ type: 'sourceFolder', folder: '/home/u/Downloads' }])])
+    ];
+
+    expect(
+      (await evaluateSmartFolderRules({ name: 'a.pdf', path: '/home/u/Scans/a.pdf' }, folders))
+        .folder
+    ).toBe('Scans');
+    expect(
+      await evaluateSmartFolderRules({ name: 'a.pdf', path: '/home/u/Scans/2024/a.pdf' }, folders)
+    ).toBeNull();
+    expect(
+      (
+        await evaluateSmartFolderRules(
+          { name: 'a.pdf', path: '/home/u/Downloads/deep/a.pdf' },
+          folders
+        )
+      ).folder
+    ).toBe('Downloads');
+  });
+
+  test('matches analysis fields including array fields', async () => {
+    const folders = [
+      folder('Acme', [
+        rule([{ type: 'analysis', field: 'entity', operator: 'equals', value: 'ACME' }])
+      ]),
+      folder('Tax', [
+        rule([{ type: 'analysis', field: 'keywords', operator: 'contains', value: 'tax' }])
+      ])
+    ];
+
+    expect(
+      (
+        await evaluateSmartFolderRules(
+          { name: 'a.pdf', path: '/in/a.pdf', analysis: { entity: 'acme' } },
+          folders
+        )
+      ).folder
+    ).toBe('Acme');
+    expect(
+      (
+        await evaluateSmartFolderRules(
+          { name: 'a.pdf', path: '/in/a.pdf', analysis: { keywords: ['income', 'Taxes'] } },
+          folders
+        )
+      ).folder
+    ).toBe('Tax');
+  });
+
+  test('matches user tags and notes attached to the file', async () => {
+    const folders = [
+      folder('Urgent', [rule([{ type: 'userTag', values: ['#urgent', 'asap'] }])]),
+      folder('Reviewed', [rule([{ type: 'userNote', operator: 'contains', value: 'reviewed' }])])
+    ];
+
+    const tagged = await evaluateSmartFolderRules(
+      { name: 'a.pdf', path: '/in/a.pdf', userTags: ['Urgent'] },
+      folders
+    );
+    const noted = await evaluateSmartFolderRules(
+      { name: 'b.pdf', path: '/in/b.pdf', analysis: { userNote: 'Reviewed by legal' } },
+      folders
+    );
+
+    expect(tagged.folder).toBe('Urgent');
+    expect(noted.folder).toBe('Reviewed');
+    await expect(
+      evaluateSmartFolderRules({ name: 'c.pdf', path: '/in/c.pdf' }, folders)
+    ).resolves.toBeNull();
+  });
+
+  test('applyRuleMatchToAnalysis overrides category and keeps the AI original', async () => {
+    const match = await evaluateSmartFolderRules({ name: 'a.pdf', path: '/in/a.pdf' }, [
+      folder('Docs', [rule([{ type: 'extension', values: ['pdf'] }], { name: 'PDFs' })])
+    ]);
+    const analysis = { category: 'Research', confidence: 80 };
+
+    applyRuleMatchToAnalysis(analysis, match);
+
+    expect(analysis.category).toBe('Docs');
+    expect(analysis.llmOriginalCategory).toBe('Research');
+    expect(analysis.categorySource).toBe('smart_folder_rule');
+    expect(analysis.matchedRule).toMatchObject({ folder: 'Docs', ruleName: 'PDFs' });
+  });
+});
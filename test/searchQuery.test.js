@@ -0,0 +1,132 @@
+/**
+ * Tests for shared/searchQuery
+ * Structured search syntax parsing, filter matching and autocomplete helpers
+ */
+
+const {
+  parseSearchQuery,
+  matchesSearchFilters,
+  describeSearchFilters,
+  getActiveQueryToken,
+  formatFieldToken
+} = require('../src/shared/searchQuery');
+
+describe('parseSearchQuery', () => {
+  test('plain queries have no syntax', () => {
+    expect(parseSearchQuery('tax  return 2024')).toEqual({
+      text: 'tax return 2024',
+      groups: [],
+      errors: [],
+      hasSyntax: false
+    });
+    // Unknown prefixes and times stay in the text
+    expect(parseSearchQuery('meeting at 10:30 see:notes').text).toBe('meeting at 10:30 see:notes');
+  });
+
+  test('parses fields, phrases and exclusions', () => {
+    const parsed = parseSearchQuery(
+      'invoice type:.PDF folder:"Tax Docs" "due date" -draft -type:zip size:>10mb confidence:<70'
+    );
+
+    expect(parsed.hasSyntax).toBe(true);
+    expect(parsed.text).toBe('invoice due date');
+    expect(parsed.groups).toEqual([
+      [expect.objectContaining({ field: 'type', value: 'pdf', negate: false })],
+      [expect.objectContaining({ field: 'folder', value: 'tax docs' })],
+      [expect.objectContaining({ kind: 'text', value: 'due date', negate: false })],
+      [expect.objectContaining({ kind: 'text', value: 'draft', negate: true })],
+      [expect.objectContaining({ field: 'type', value: 'zip', negate: true })],
+      [expect.objectContaining({ field: 'size', op: '>', value: 10 * 1024 * 1024 })],
+      [expect.objectContaining({ field: 'confidence', op: '<', value: 70 })]
+    ]);
+  });
+
+  test('OR joins the filters on either side', () => {
+    const { groups } = parseSearchQuery('type:pdf OR type:docx entity:acme');
+    expect(groups).toHaveLength(2);
+    expect(groups[0].map((c) => c.value)).toEqual(['pdf', 'docx']);
+    expect(describeSearchFilters(groups)).toEqual(['type pdf or type docx', 'entity acme']);
+  });
+
+  test('date filters cover whole periods and invalid values are reported', () => {
+    const { groups, errors } = parseSearchQuery(
+      'before:2024-06-01 after:2023 before:2024-02-30 size:big type:'
+    );
+    expect(groups).toEqual([
+      [expect.objectContaining({ op: '<', value: Date.UTC(2024, 5, 1) })],
+      [expect.objectContaining({ op: '>=', value: Date.UTC(2024, 0, 1) })]
+    ]);
+    expect(errors.map((e) => e.token)).toEqual(['before:2024-02-30', 'size:big']);
+  });
+});
+
+describe('matchesSearchFilters', () => {
+  const record = {
+    path: '/home/u/Tax Docs/2024/acme-invoice.pdf',
+    extension: 'pdf',
+    mimeType: 'application/pdf',
+    entity: 'Acme Corp',
+    keyEntities: ['Globex'],
+    tags: ['Invoice'],
+    userTags: ['urgent'],
+    date: Date.UTC(2024, 2, 15),
+    size: 20 * 1024 * 1024,
+    confidence: 65,
+    text: 'acme invoice\npayment due date is april 1'
+  };
+  const matches = (query) => matchesSearchFilters(record, parseSearchQuery(query).groups);
+
+  test.each([
+    ['type:pdf', true],
+    ['type:document', true],
+    ['type:image', false],
+    ['folder:"tax docs"', true],
+    ['folder:docs', false],
+    ['folder:"Tax Docs/2024"', true],
+    ['entity:globex', true],
+    ['tag:URGENT', true],
+    ['tag:#invoice', true],
+    ['before:2024-06-01 after:2023', true],
+    ['after:2024-03-15', false],
+    ['size:>10mb', true],
+    ['size:<=1mb', false],
+    ['confidence:<70', true],
+    ['confidence:90', false],
+    ['"due date"', true],
+    ['-"due date"', false],
+    ['-type:pdf', false],
+    ['type:zip OR tag:urgent', true],
+    ['type:zip OR tag:other', false]
+  ])('%s -> %s', (query, expected) => {
+    expect(matches(query)).toBe(expected);
+  });
+
+  test('files without a date or size fail those filters', () => {
+    expect(matchesSearchFilters({}, parseSearchQuery('size:>1kb').groups)).toBe(false);
+    expect(matchesSearchFilters({}, parseSearchQuery('-before:2024').groups)).toBe(true);
+  });
+});
+
+describe('autocomplete helpers', () => {
+  test('finds the token being typed at the end of the query', () => {
+    expect(getActiveQueryToken('invoice ty')).toEqual({
+      start: 8,
+      field: null,
+      value: 'ty',
+      negate: false
+    });
+    expect(getActiveQueryToken('invoice -folder:"Tax')).toEqual({
+      start: 8,
+      field: 'folder',
+      value: 'Tax',
+      negate: true
+    });
+    expect(getActiveQueryToken('invoice ')).toBeNull();
+    expect(getActiveQueryToken('"due date"')).toBeNull();
+  });
+
+  test('quotes values containing spaces', () => {
+    expect(formatFieldToken('folder', 'Tax Docs')).toBe('folder:"Tax Docs"');
+    expect(formatFieldToken('type', 'pdf')).toBe('type:pdf');
+  });
+});
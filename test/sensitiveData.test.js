@@ -0,0 +1,144 @@
+/**
+ * Tests for sensitive personal information detection and secure folder routing
+ */
+
+const {
+  SENSITIVE_CATEGORIES,
+  SENSITIVITY_LEVELS,
+  detectSensitiveData,
+  applyConfirmation,
+  isValidCardNumber,
+  isValidSsn,
+  isValidIban,
+  isValidRoutingNumber,
+  isValidPassportMrzLine,
+  maskValue,
+  isSensitiveLevel,
+  restrictFoldersForSensitivity,
+  getSensitiveReviewReason
+} = require('../src/shared/sensitiveData');
+
+const MRZ_LINE_1 = 'P<UTOERIKSSON<<ANNA<MARIA'.padEnd(44, '<');
+const MRZ_LINE_2 = 'L898902C36UTO7408122F1204159ZE184226B<<<<<10';
+
+const categoriesOf = (detection) => detection.findings.map((finding) => finding.category);
+
+describe('sensitiveData', () => {
+  describe('validators', () => {
+    test('checks card numbers with Luhn and issuer prefixes', () => {
+      expect(isValidCardNumber('4111 1111 1111 1111')).toBe(true);
+      expect(isValidCardNumber('5555-5555-5555-4444')).toBe(true);
+      expect(isValidCardNumber('4111 1111 1111 1112')).toBe(false);
+      // Luhn-valid but no card network starts with 9
+      expect(isValidCardNumber('9999999999999995')).toBe(false);
+    });
+
+    test('rejects impossible and published sample SSNs', () => {
+      expect(isValidSsn('536-22-1234')).toBe(true);
+      expect(isValidSsn('000-22-1234')).toBe(false);
+      expect(isValidSsn('666-22-1234')).toBe(false);
+      expect(isValidSsn('912-22-1234')).toBe(false);
+      expect(isValidSsn('536-00-1234')).toBe(false);
+      expect(isValidSsn('078-05-1120')).toBe(false);
+    });
+
+    test('validates IBAN, ABA routing and passport MRZ check digits', () => {
+      expect(isValidIban('GB82 WEST 1234 5698 7654 32')).toBe(true);
+      expect(isValidIban('GB82 WEST 1234 5698 7654 33')).toBe(false);
+      expect(isValidRoutingNumber('021000021')).toBe(true);
+      expect(isValidRoutingNumber('021000022')).toBe(false);
+      expect(isValidPassportMrzLine(MRZ_LINE_2)).toBe(true);
+      expect(isValidPassportMrzLine(MRZ_LINE_2.replace('C36', 'C37'))).toBe(false);
+    });
+
+    test('masks all but the last four characters', () => {
+      expect(maskValue('4111 1111 1111 1111')).toBe('************1111');
+      expect(maskValue('123')).toBe('****');
+    });
+  });
+
+  describe('detectSensitiveData', () => {
+    test('flags labelled identifiers as high sensitivity without confirmation', () => {
+      const detection = detectSensitiveData(
+        'Employee SSN: 536-22-1234\nDirect deposit routing 021000021'
+      );
+
+      expect(detection.level).toBe(SENSITIVITY_LEVELS.HIGH);
+      expect(detection.categories).toEqual([
+        SENSITIVE_CATEGORIES.SSN,
+        SENSITIVE_CATEGORIES.BANK_ACCOUNT
+      ]);
+      expect(detection.needsConfirmation).toBe(false);
+      expect(detection.findings[0].samples).toEqual(['*****1234']);
+    });
+
+    test('recognizes a passport machine readable zone', () => {
+      const detection = detectSensitiveData(`Scan\n${MRZ_LINE_1}\n${MRZ_LINE_2}`);
+
+      expect(detection.categories).toEqual([SENSITIVE_CATEGORIES.PASSPORT]);
+      expect(detection.level).toBe(SENSITIVITY_LEVELS.HIGH);
+    });
+
+    test('treats unlabelled numbers and light medical wording as candidates', () => {
+      const detection = detectSensitiveData(
+        'Order reference 4111111111111111. The patient portal lists your prescription and dosage.'
+      );
+
+      expect(categoriesOf(detection)).toEqual([
+        SENSITIVE_CATEGORIES.CREDIT_CARD,
+        SENSITIVE_CATEGORIES.MEDICAL
+      ]);
+      expect(detection.categories).toEqual([]);
+      expect(detection.level).toBe(SENSITIVITY_LEVELS.LOW);
+      expect(detection.needsConfirmation).toBe(true);
+    });
+
+    test('ignores ordinary numbers and empty input', () => {
+      expect(detectSensitiveData('Invoice 123456789 total 1,234.00').findings).toEqual([]);
+      expect(detectSensitiveData('').level).toBe(SENSITIVITY_LEVELS.NONE);
+      expect(detectSensitiveData(null).level).toBe(SENSITIVITY_LEVELS.NONE);
+    });
+  });
+
+  describe('applyConfirmation', () => {
+    test('keeps confirmed candidates and drops rejected ones', () => {
+      const detection = detectSensitiveData(
+        'Order reference 4111111111111111. The patient portal lists your prescription and dosage.'
+      );
+
+      const confirmed = applyConfirmation(detection, [SENSITIVE_CATEGORIES.MEDICAL]);
+
+      expect(categoriesOf(confirmed)).toEqual([SENSITIVE_CATEGORIES.MEDICAL]);
+      expect(confirmed.level).toBe(SENSITIVITY_LEVELS.MEDIUM);
+      expect(confirmed.needsConfirmation).toBe(false);
+      expect(applyConfirmation(detection, []).level).toBe(SENSITIVITY_LEVELS.NONE);
+    });
+  });
+
+  describe('secure folder routing', () => {
+    const folders = [
+      { id: 'finance', name: 'Finance', path: '/docs/Finance' },
+      { id: 'vault', name: 'Vault', path: '/docs/Vault', secure: true }
+    ];
+    const sensitiveAnalysis = {
+      sensitivity: { level: 'high', categories: [SENSITIVE_CATEGORIES.SSN] }
+    };
+
+    test('limits sensitive files to secure folders', () => {
+      expect(restrictFoldersForSensitivity(folders, sensitiveAnalysis)).toEqual([folders[1]]);
+      expect(restrictFoldersForSensitivity(folders, { sensitivity: { level: 'low' } })).toBe(
+        folders
+      );
+      expect(restrictFoldersForSensitivity(folders, {})).toBe(folders);
+    });
+
+    test('treats medium and high as sensitive and explains held files', () => {
+      expect(isSensitiveLevel('medium')).toBe(true);
+      expect(isSensitiveLevel('low')).toBe(false);
+      expect(isSensitiveLevel(undefined)).toBe(false);
+      expect(getSensitiveReviewReason(sensitiveAnalysis)).toBe(
+        'Sensitive document (Social Security number): no secure smart folder configured'
+      );
+    });
+  });
+});
@@ -156,6 +156,9 @@ jest.mock('../src/shared/validationConstants', () => ({
     'UPPERCASE'
   ],
   SMART_FOLDER_ROUTING_MODES: ['auto', 'llm', 'embedding', 'hybrid'],
+  SMART_FOLDER_RULE_MODES: ['priority', 'exclusive'],
+  TRANSCRIPTION_BACKENDS: ['none', 'whisper-cpp', 'openai-compatible'],
+  VECTOR_STORE_BACKENDS: ['chromadb', 'embedded'],
   SEPARATOR_PATTERN: /^[^/\\:*?"<>|]+$/,
   NUMERIC_LIMITS: {
     cacheSize: { min: 0, max: 100000 },
@@ -488,7 +491,8 @@ describe('Settings IPC Handlers', () => {
         {
           host: 'http://custom:11434',
           textModel: 'llama3',
-          visionModel: 'llava'
+          visionModel: 'llava',
+          providers: expect.objectContaining({ text: 'ollama', embedding: 'ollama' })
         },
         { skipSave: true }
       );
@@ -570,7 +574,8 @@ describe('Settings IPC Handlers', () => {
       expect(mockOllamaServiceUpdateConfig).toHaveBeenCalledWith(
         {
           host: 'http://restored:11434',
-          textModel: 'restored-model'
+          textModel: 'restored-model',
+          providers: expect.objectContaining({ text: 'ollama', embedding: 'ollama' })
         },
         { skipSave: true }
       );
@@ -1047,7 +1052,8 @@ describe('Settings IPC Handlers', () => {
           host: 'http://newhost:11434',
           textModel: 'newmodel',
           visionModel: 'newvision',
-          embeddingModel: 'newembedding'
+          embeddingModel: 'newembedding',
+          providers: expect.objectContaining({ text: 'ollama', embedding: 'ollama' })
         },
         { skipSave: true }
       );
@@ -0,0 +1,118 @@
+/**
+ * Tests for nested smart folder helpers: subfolder templates and per-level routing
+ */
+
+const {
+  validateSubfolderTemplate,
+  normalizeSubfolderTemplate,
+  renderSubfolderTemplate,
+  getFolderAncestors,
+  wouldCreateFolderCycle,
+  orderFoldersByHierarchy,
+  routeFolderMatches
+} = require('../src/shared/smartFolderHierarchy');
+
+const folders = [
+  { id: 'clients', name: 'Clients', path: '/docs/Clients', subfolderTemplate: '{entity}' },
+  { id: 'tax', name: 'Tax', path: '/docs/Clients/Tax', parentId: 'clients' },
+  { id: 'returns', name: 'Returns', path: '/docs/Clients/Tax/Returns', parentId: 'tax' },
+  { id: 'contracts', name: 'Contracts', path: '/docs/Clients/Contracts', parentId: 'clients' },
+  { id: 'photos', name: 'Photos', path: '/docs/Photos' }
+];
+
+describe('smartFolderHierarchy', () => {
+  describe('subfolder templates', () => {
+    const file = {
+      analysis: { entity: 'Acme: Corp', date: '2024-03-02', type: 'Invoice', project: '' },
+      modified: '2023-01-15T10:00:00Z'
+    };
+
+    test('renders analysis fields and date parts into sanitized segments', () => {
+      expect(renderSubfolderTemplate('{entity}/{date:YYYY}/{type}', file)).toEqual([
+        'Acme Corp',
+        '2024',
+        'Invoice'
+      ]);
+      expect(renderSubfolderTemplate('{date:YYYY-MM}', file)).toEqual(['2024-03']);
+    });
+
+    test('uses fallbacks and drops segments whose fields are empty', () => {
+      expect(renderSubfolderTemplate('{project|General}/{purpose}/{type}', file)).toEqual([
+        'General',
+        'Invoice'
+      ]);
+    });
+
+    test('falls back to the file date when the analysis has none', () => {
+      const undated = { analysis: { entity: 'Acme' }, modified: '2023-01-15T10:00:00Z' };
+      expect(renderSubfolderTemplate('{date:YYYY}', undated)).toEqual(['2023']);
+    });
+
+    test('never renders traversal segments', () => {
+      const hostile = { analysis: { entity: '..', type: '../../etc' } };
+      expect(renderSubfolderTemplate('{entity}/{type}', hostile)).toEqual(['etc']);
+      expect(normalizeSubfolderTemplate('/{entity}\\\\{type}/')).toBe('{entity}/{type}');
+    });
+
+    test('rejects unknown fields, bad date formats and traversal', () => {
+      expect(validateSubfolderTemplate('{entity}/{date:YYYY}/{type|Other}')).toBeNull();
+      expect(validateSubfolderTemplate('{client}')).toMatch(/Unknown template field/);
+      expect(validateSubfolderTemplate('{date:YY}')).toMatch(/Unsupported format/);
+      expect(validateSubfolderTemplate('{entity')).toMatch(/unclosed/);
+      expect(validateSubfolderTemplate('../{entity}')).toMatch(/\.\./);
+      expect(normalizeSubfolderTemplate('{client}')).toBe('');
+    });
+  });
+
+  describe('hierarchy', () => {
+    test('lists ancestors outermost first and detects cycles', () => {
+      expect(getFolderAncestors(folders[2], folders).map((f) => f.id)).toEqual(['clients', 'tax']);
+      expect(wouldCreateFolderCycle('clients', 'returns', folders)).toBe(true);
+      expect(wouldCreateFolderCycle('clients', 'clients', folders)).toBe(true);
+      expect(wouldCreateFolderCycle('photos', 'tax', folders)).toBe(false);
+    });
+
+    test('orders children directly after their parent', () => {
+      const shuffled = [folders[2], folders[4], folders[1], folders[0], folders[3]];
+      expect(
+        orderFoldersByHierarchy(shuffled).map(({ folder, depth }) => [folder.id, depth])
+      ).toEqual([
+        ['photos', 0],
+        ['clients', 0],
+        ['tax', 1],
+        ['returns', 2],
+        ['contracts', 1]
+      ]);
+    });
+  });
+
+  describe('routeFolderMatches', () => {
+    test('descends from the parent into the best child at each level', () => {
+      const matches = [
+        { folderId: 'returns', score: 0.95 },
+        { folderId: 'clients', score: 0.7 },
+        { folderId: 'tax', score: 0.6 },
+        { folderId: 'contracts', score: 0.5 },
+        { folderId: 'photos', score: 0.2 }
+      ];
+
+      const routed = routeFolderMatches(matches, folders, { minChildScore: 0.4 });
+
+      expect(routed.map((r) => r.folder.id)).toEqual(['returns', 'photos']);
+      expect(routed[0].score).toBe(0.7);
+      expect(routed[0].route.map((level) => level.name)).toEqual(['Clients', 'Tax', 'Returns']);
+    });
+
+    test('stays at the parent when no child clears the threshold', () => {
+      const matches = [
+        { name: 'Clients', score: 0.7 },
+        { name: 'Tax', score: 0.3 }
+      ];
+
+      const [routed] = routeFolderMatches(matches, folders, { minChildScore: 0.4 });
+
+      expect(routed.folder.id).toBe('clients');
+      expect(routed.route).toHaveLength(1);
+    });
+  });
+});
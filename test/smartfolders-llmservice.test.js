@@ -1,3 +1,8 @@
+const mockGenerate = jest.fn();
+jest.mock('../src/main/ollamaUtils', () => ({
+  getOllama: () => ({ generate: mockGenerate })
+}));
+
 const {
   enhanceSmartFolderWithLLM,
   calculateFolderSimilarities,
@@ -5,13 +10,8 @@ const {
 } = require('../src/main/services/SmartFoldersLLMService');
 
 describe('SmartFoldersLLMService', () => {
-  let originalFetch;
   beforeEach(() => {
-    originalFetch = global.fetch;
-    global.fetch = jest.fn();
-  });
-  afterEach(() => {
-    global.fetch = originalFetch;
+    mockGenerate.mockReset();
   });
 
   test('enhanceSmartFolderWithLLM returns parsed enhancement', async () => {
@@ -21,27 +21,21 @@ describe('SmartFoldersLLMService', () => {
       organizationTips: 'tips',
       confidence: 0.8
     };
-    global.fetch.mockResolvedValue({
-      ok: true,
-      json: async () => ({ response: JSON.stringify(enhancement) })
-    });
+    mockGenerate.mockResolvedValue({ response: JSON.stringify(enhancement) });
     const result = await enhanceSmartFolderWithLLM(
       { name: 'Invoices', path: '/tmp', description: 'old' },
       [{ name: 'Receipts', description: 'past' }],
       () => 'model'
     );
-    expect(global.fetch).toHaveBeenCalled();
+    expect(mockGenerate).toHaveBeenCalledWith(expect.objectContaining({ model: 'model' }));
     expect(result).toEqual(enhancement);
   });
 
   test('calculateFolderSimilarities sorts and falls back on error', async () => {
     const basic = calculateBasicSimilarity('Invoices', 'Misc');
-    global.fetch
-      .mockResolvedValueOnce({
-        ok: true,
-        json: async () => ({ response: '0.9' })
-      })
-      .mockRejectedValueOnce(new Error('network'));
+    mockGenerate
+      .mockResolvedValueOnce({ response: '0.9' })
+      .mockRejectedValue(new Error('invalid model name'));
     const result = await calculateFolderSimilarities(
       'Invoices',
       [
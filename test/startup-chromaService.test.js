@@ -52,6 +52,10 @@ jest.mock('../src/main/services/chromadb', () => ({
   })
 }));
 
+jest.mock('../src/main/services/chromadb/vectorStoreBackend', () => ({
+  loadVectorStoreBackend: jest.fn().mockResolvedValue('chromadb')
+}));
+
 // Mock ServiceContainer to provide chromaDb service
 jest.mock('../src/main/services/ServiceContainer', () => ({
   container: {
@@ -254,6 +258,26 @@ describe('chromaService', () => {
       expect(result.reason).toBe('missing_dependency');
     });
 
+    test('skips the server entirely when the embedded vector store is selected', async () => {
+      const {
+        loadVectorStoreBackend
+      } = require('../src/main/services/chromadb/vectorStoreBackend');
+      loadVectorStoreBackend.mockResolvedValueOnce('embedded');
+
+      const result = await chromaService.startChromaDB({
+        serviceStatus,
+        errors,
+        chromadbDependencyMissing: true,
+        cachedChromaSpawnPlan: null,
+        setCachedSpawnPlan: jest.fn()
+      });
+
+      expect(result).toEqual({ success: true, embedded: true });
+      expect(serviceStatus.chromadb).toMatchObject({ status: 'running', embedded: true });
+      expect(axios.get).not.toHaveBeenCalled();
+      expect(spawn).not.toHaveBeenCalled();
+    });
+
     test('does NOT spawn when ChromaDB is already running (uses existing instance)', async () => {
       // Mock that ChromaDB is already responding to health checks
       axios.get.mockResolvedValue({ status: 200 });
@@ -332,6 +332,42 @@ describe('healthMonitoring', () => {
     });
   });
 
+  describe('checkServicesHealth', () => {
+    const runningServices = () => ({
+      chromadb: { status: 'running', health: 'healthy' },
+      ollama: { status: 'running', health: 'unhealthy', consecutiveFailures: 2 }
+    });
+    const config = { circuitBreakerConsecutiveFailures: 3, circuitBreakerThreshold: 5 };
+
+    test('probes and restarts Ollama while a role uses it', async () => {
+      axiosWithRetry.mockRejectedValue(new Error('ECONNREFUSED'));
+      const startOllama = jest.fn().mockResolvedValue({ success: true });
+      const serviceStatus = runningServices();
+
+      await healthMonitoring.checkServicesHealth(serviceStatus, config, {}, jest.fn(), startOllama);
+
+      expect(axiosWithRetry).toHaveBeenCalled();
+      expect(startOllama).toHaveBeenCalled();
+    });
+
+    test('leaves Ollama alone when every role uses another provider', async () => {
+      require('../src/main/services/llmProviders').setProviderConfig({
+        text: 'openai-compatible',
+        vision: 'openai-compatible',
+        embedding: 'openai-compatible'
+      });
+      axiosWithRetry.mockRejectedValue(new Error('ECONNREFUSED'));
+      const startOllama = jest.fn();
+      const serviceStatus = runningServices();
+
+      await healthMonitoring.checkServicesHealth(serviceStatus, config, {}, jest.fn(), startOllama);
+
+      expect(axiosWithRetry).not.toHaveBeenCalled();
+      expect(startOllama).not.toHaveBeenCalled();
+      expect(serviceStatus.ollama.consecutiveFailures).toBe(2);
+    });
+  });
+
   describe('createHealthMonitor', () => {
     test('creates interval and returns it', () => {
       const healthMonitor = healthMonitoring.createHealthMonitor({
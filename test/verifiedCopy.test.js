@@ -0,0 +1,206 @@
+/**
+ * Tests for verifiedCopy
+ * Hash-verified copies, source retention and reverting copies
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+const crypto = require('crypto');
+
+const mockChecksumOverrides = new Map();
+jest.mock('../src/main/utils/fileDedup', () => {
+  const actual = jest.requireActual('../src/main/utils/fileDedup');
+  return {
+    ...actual,
+    computeFileChecksum: jest.fn(async (filePath) =>
+      mockChecksumOverrides.has(filePath)
+        ? mockChecksumOverrides.get(filePath)
+        : actual.computeFileChecksum(filePath)
+    )
+  };
+});
+
+const {
+  ARCHIVE_FOLDER_NAME,
+  copyFileVerified,
+  findVerifiedCopy,
+  applySourceRetention,
+  revertVerifiedCopy
+} = require('../src/main/utils/verifiedCopy');
+
+describe('verifiedCopy', () => {
+  let testDir;
+  let cardDir;
+  let libraryDir;
+
+  const sha256 = (content) => crypto.createHash('sha256').update(content).digest('hex');
+  const exists = (filePath) =>
+    fs.access(filePath).then(
+      () => true,
+      () => false
+    );
+  const move = (from, to) => fs.rename(from, to);
+
+  beforeEach(async () => {
+    mockChecksumOverrides.clear();
+    testDir = path.join(
+      os.tmpdir(),
+      `verified-copy-test-${Date.now()}-${Math.random().toString(36).slice(2)}`
+    );
+    cardDir = path.join(testDir, 'DCIM');
+    libraryDir = path.join(testDir, 'Photos');
+    await fs.mkdir(cardDir, { recursive: true });
+    await fs.mkdir(libraryDir, { recursive: true });
+  });
+
+  afterEach(async () => {
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  test('copies, verifies and keeps the modification time', async () => {
+    const source = path.join(cardDir, 'IMG_0001.jpg');
+    const destination = path.join(libraryDir, 'IMG_0001.jpg');
+    await fs.writeFile(source, 'jpeg-bytes');
+    const takenAt = new Date('2024-06-01T10:00:00Z');
+    await fs.utimes(source, takenAt, takenAt);
+    const onBytes = jest.fn();
+    const onVerify = jest.fn();
+
+    const result = await copyFileVerified(source, destination, { onBytes, onVerify });
+
+    expect(result).toEqual({ destination, bytes: 10, checksum: sha256('jpeg-bytes') });
+    expect(await fs.readFile(destination, 'utf8')).toBe('jpeg-bytes');
+    expect(await fs.readFile(source, 'utf8')).toBe('jpeg-bytes');
+    expect((await fs.stat(destination)).mtime.getTime()).toBe(takenAt.getTime());
+    expect(onBytes).toHaveBeenCalledWith(10);
+    expect(onVerify).toHaveBeenCalledTimes(1);
+    expect(await fs.readdir(libraryDir)).toEqual(['IMG_0001.jpg']);
+  });
+
+  test('discards a copy that does not match the source', async () => {
+    const source = path.join(cardDir, 'IMG_0002.jpg');
+    const destination = path.join(libraryDir, 'IMG_0002.jpg');
+    await fs.writeFile(source, 'jpeg-bytes');
+    mockChecksumOverrides.set(`${destination}.stratosort-partial`, 'corrupted');
+
+    await expect(copyFileVerified(source, destination)).rejects.toMatchObject({
+      code: 'CHECKSUM_MISMATCH'
+    });
+    expect(await fs.readdir(libraryDir)).toEqual([]);
+    expect(await exists(source)).toBe(true);
+  });
+
+  test('never overwrites an existing destination', async () => {
+    const source = path.join(cardDir, 'IMG_0003.jpg');
+    const destination = path.join(libraryDir, 'IMG_0003.jpg');
+    await fs.writeFile(source, 'new');
+    await fs.writeFile(destination, 'old');
+
+    await expect(copyFileVerified(source, destination)).rejects.toMatchObject({
+      code: 'EEXIST'
+    });
+    expect(await fs.readFile(destination, 'utf8')).toBe('old');
+    expect(await fs.readdir(libraryDir)).toEqual(['IMG_0003.jpg']);
+  });
+
+  test('removes the partial copy when aborted', async () => {
+    const source = path.join(cardDir, 'clip.mp4');
+    const destination = path.join(libraryDir, 'clip.mp4');
+    await fs.writeFile(source, Buffer.alloc(1024 * 1024));
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(
+      copyFileVerified(source, destination, { signal: controller.signal })
+    ).rejects.toMatchObject({ name: 'AbortError' });
+    expect(await fs.readdir(libraryDir)).toEqual([]);
+  });
+
+  test('recognizes an identical copy already in place', async () => {
+    const source = path.join(cardDir, 'IMG_0004.jpg');
+    await fs.writeFile(source, 'same');
+    await fs.writeFile(path.join(libraryDir, 'same.jpg'), 'same');
+    await fs.writeFile(path.join(libraryDir, 'other.jpg'), 'diff');
+
+    expect(await findVerifiedCopy(source, path.join(libraryDir, 'same.jpg'))).toBe(sha256('same'));
+    expect(await findVerifiedCopy(source, path.join(libraryDir, 'other.jpg'))).toBeNull();
+    expect(await findVerifiedCopy(source, path.join(libraryDir, 'missing.jpg'))).toBeNull();
+  });
+
+  test('keeps, deletes or archives the source', async () => {
+    const kept = path.join(cardDir, 'a.jpg');
+    const deleted = path.join(cardDir, 'b.jpg');
+    const archived = path.join(cardDir, 'c.jpg');
+    await Promise.all([kept, deleted, archived].map((file) => fs.writeFile(file, 'x')));
+    const archiveDir = path.join(cardDir, ARCHIVE_FOLDER_NAME);
+    await fs.mkdir(archiveDir);
+    await fs.writeFile(path.join(archiveDir, 'c.jpg'), 'earlier import');
+
+    expect(await applySourceRetention(kept, 'keep')).toEqual({ archivePath: null });
+    expect(await applySourceRetention(deleted, 'delete')).toEqual({ archivePath: null });
+    const { archivePath } = await applySourceRetention(archived, 'archive');
+
+    expect(await exists(kept)).toBe(true);
+    expect(await exists(deleted)).toBe(false);
+    expect(await exists(archived)).toBe(false);
+    expect(archivePath).toBe(path.join(archiveDir, 'c_1.jpg'));
+    expect(await fs.readFile(path.join(archiveDir, 'c.jpg'), 'utf8')).toBe('earlier import');
+  });
+
+  test('reverting restores an archived source and drops the copy', async () => {
+    const source = path.join(cardDir, 'd.jpg');
+    const destination = path.join(libraryDir, 'd.jpg');
+    await fs.writeFile(source, 'x');
+    await copyFileVerified(source, destination);
+    const { archivePath } = await applySourceRetention(source, 'archive');
+
+    await revertVerifiedCopy(
+      { source, destination, sourceRetention: 'archive', archivePath },
+      move
+    );
+
+    expect(await fs.readFile(source, 'utf8')).toBe('x');
+    expect(await exists(destination)).toBe(false);
+    expect(await exists(archivePath)).toBe(false);
+  });
+
+  test('reverting leaves an edited copy and the archive alone', async () => {
+    const source = path.join(cardDir, 'f.jpg');
+    const destination = path.join(libraryDir, 'f.jpg');
+    await fs.writeFile(source, 'x');
+    const { checksum } = await copyFileVerified(source, destination);
+    const { archivePath } = await applySourceRetention(source, 'archive');
+    await fs.writeFile(destination, 'edited');
+
+    await expect(
+      revertVerifiedCopy(
+        { source, destination, sourceRetention: 'archive', archivePath, checksum },
+        move
+      )
+    ).rejects.toMatchObject({ code: 'COPY_MODIFIED' });
+    expect(await fs.readFile(destination, 'utf8')).toBe('edited');
+    expect(await exists(archivePath)).toBe(true);
+    expect(await exists(source)).toBe(false);
+
+    // Without a recorded hash the copy is checked against the source
+    await fs.writeFile(source, 'x');
+    await expect(
+      revertVerifiedCopy({ source, destination, sourceRetention: 'keep' }, move)
+    ).rejects.toMatchObject({ code: 'COPY_MODIFIED' });
+    expect(await fs.readFile(destination, 'utf8')).toBe('edited');
+  });
+
+  test('reverting moves the copy back when the source was deleted', async () => {
+    const source = path.join(cardDir, 'e.jpg');
+    const destination = path.join(libraryDir, 'e.jpg');
+    await fs.writeFile(source, 'x');
+    await copyFileVerified(source, destination);
+    await applySourceRetention(source, 'delete');
+
+    await revertVerifiedCopy({ source, destination, sourceRetention: 'delete' }, move);
+
+    expect(await fs.readFile(source, 'utf8')).toBe('x');
+    expect(await exists(destination)).toBe(false);
+  });
+});
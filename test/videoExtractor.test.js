@@ -0,0 +1,314 @@
+/**
+ * @jest-environment node
+ *
+ * Tests for videoExtractor
+ * MP4 / QuickTime header parsing, ffmpeg keyframes, subtitles and the LLM digest
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+
+jest.mock('../src/shared/logger', () => {
+  const logger = {
+    setContext: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  };
+  return { logger, createLogger: jest.fn(() => logger) };
+});
+
+const mockSettings = {};
+jest.mock('../src/main/services/SettingsService', () => ({
+  getInstance: () => ({ load: jest.fn(async () => mockSettings) })
+}));
+
+jest.mock('../src/main/utils/asyncSpawnUtils', () => ({ asyncSpawn: jest.fn() }));
+
+const { asyncSpawn } = require('../src/main/utils/asyncSpawnUtils');
+const {
+  readVideoMetadata,
+  parseIso6709,
+  getKeyframeTimestamps,
+  extractKeyframes,
+  parseSubtitleText,
+  readSidecarSubtitles,
+  saveVideoThumbnail,
+  buildVideoDigest
+} = require('../src/main/analysis/videoExtractor');
+
+// Seconds between 1904-01-01 and 1970-01-01
+const QUICKTIME_EPOCH_OFFSET = 2082844800;
+
+function box(type, ...children) {
+  const body = Buffer.concat(children);
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(body.length + 8, 0);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, body]);
+}
+
+function fullBox(type, payload) {
+  return box(type, Buffer.alloc(4), payload);
+}
+
+function movieHeader(createdAt, timescale, duration) {
+  const payload = Buffer.alloc(96);
+  payload.writeUInt32BE(Math.floor(createdAt.getTime() / 1000) + QUICKTIME_EPOCH_OFFSET, 0);
+  payload.writeUInt32BE(timescale, 8);
+  payload.writeUInt32BE(duration, 12);
+  return fullBox('mvhd', payload);
+}
+
+function track(handler, { width = 0, height = 0, codec = null } = {}) {
+  const tkhd = Buffer.alloc(80);
+  tkhd.writeUInt32BE(width * 65536, 72);
+  tkhd.writeUInt32BE(height * 65536, 76);
+
+  const hdlr = Buffer.alloc(20);
+  hdlr.write(handler, 4, 'latin1');
+
+  const stsdChildren = [Buffer.from([0, 0, 0, 1])];
+  if (codec) stsdChildren.push(box(codec, Buffer.alloc(8)));
+  const stbl = box('stbl', fullBox('stsd', Buffer.concat(stsdChildren)));
+
+  return box('trak', fullBox('tkhd', tkhd), box('mdia', fullBox('hdlr', hdlr), box('minf', stbl)));
+}
+
+function locationBox(iso6709) {
+  const text = Buffer.from(iso6709, 'utf8');
+  const prefix = Buffer.alloc(4);
+  prefix.writeUInt16BE(text.length, 0);
+  return box('©xyz', prefix, text);
+}
+
+function quickTimeMeta(entries) {
+  const keys = entries.map(([name]) => box('mdta', Buffer.from(name, 'utf8')));
+  const items = entries.map(([, value], index) => {
+    const item = Buffer.alloc(4);
+    item.writeUInt32BE(index + 1, 0);
+    const type = item.toString('latin1');
+    return box(type, box('data', Buffer.from([0, 0, 0, 1, 0, 0, 0, 0]), Buffer.from(value)));
+  });
+  const count = Buffer.alloc(4);
+  count.writeUInt32BE(entries.length, 0);
+  return box(
+    'meta',
+    box('hdlr', Buffer.alloc(24)),
+    fullBox('keys', Buffer.concat([count, ...keys])),
+    box('ilst', ...items)
+  );
+}
+
+function buildMp4(moovChildren) {
+  return Buffer.concat([
+    box('ftyp', Buffer.from('isom\0\0\0\0isom', 'latin1')),
+    box('mdat', Buffer.alloc(64)),
+    box('moov', ...moovChildren)
+  ]);
+}
+
+describe('videoExtractor', () => {
+  let testDir;
+
+  beforeEach(async () => {
+    testDir = path.join(os.tmpdir(), `video-extractor-test-${Date.now()}`);
+    await fs.mkdir(testDir, { recursive: true });
+    Object.keys(mockSettings).forEach((key) => delete mockSettings[key]);
+    asyncSpawn.mockReset();
+  });
+
+  afterEach(async () => {
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  test('reads duration, resolution, creation time and GPS from an MP4 header', async () => {
+    const filePath = path.join(testDir, 'hike.mp4');
+    await fs.writeFile(
+      filePath,
+      buildMp4([
+        movieHeader(new Date('2023-07-14T09:30:00Z'), 1000, 90500),
+        track('vide', { width: 1920, height: 1080, codec: 'avc1' }),
+        track('soun', { codec: 'mp4a' }),
+        box('udta', locationBox('+46.5580+007.8350+2100.000/'))
+      ])
+    );
+
+    const metadata = await readVideoMetadata(filePath);
+
+    expect(metadata).toMatchObject({
+      format: 'MP4',
+      durationSeconds: 91,
+      width: 1920,
+      height: 1080,
+      codec: 'avc1',
+      creationDate: '2023-07-14T09:30:00.000Z',
+      location: { latitude: 46.558, longitude: 7.835, altitude: 2100 },
+      hasAudio: true,
+      hasSubtitles: false
+    });
+    expect(metadata.error).toBeUndefined();
+  });
+
+  test('prefers QuickTime metadata keys written by phones', async () => {
+    const filePath = path.join(testDir, 'IMG_0042.MOV');
+    await fs.writeFile(
+      filePath,
+      buildMp4([
+        movieHeader(new Date('2024-01-01T00:00:00Z'), 600, 6000),
+        track('vide', { width: 1080, height: 1920, codec: 'hvc1' }),
+        quickTimeMeta([
+          ['com.apple.quicktime.location.ISO6709', '+40.6892-074.0445+005.000/'],
+          ['com.apple.quicktime.creationdate', '2024-03-09T16:05:11-0500']
+        ])
+      ])
+    );
+
+    const metadata = await readVideoMetadata(filePath);
+
+    expect(metadata.durationSeconds).toBe(10);
+    expect(metadata.width).toBe(1080);
+    expect(metadata.location).toMatchObject({ latitude: 40.6892, longitude: -74.0445 });
+    expect(metadata.creationDate).toBe('2024-03-09T21:05:11.000Z');
+  });
+
+  test('resolves with the extension as format when the header is unreadable', async () => {
+    const filePath = path.join(testDir, 'broken.mov');
+    await fs.writeFile(filePath, 'not a movie');
+
+    const metadata = await readVideoMetadata(filePath);
+
+    expect(metadata.format).toBe('MOV');
+    expect(metadata.durationSeconds).toBeNull();
+    expect(metadata.error).toBeTruthy();
+  });
+
+  test('parses ISO 6709 locations', () => {
+    expect(parseIso6709('+37.7749-122.4194/')).toEqual({
+      latitude: 37.7749,
+      longitude: -122.4194,
+      altitude: null
+    });
+    expect(parseIso6709('+00.0000+000.0000/')).toBeNull();
+    expect(parseIso6709('+95.0000+010.0000/')).toBeNull();
+    expect(parseIso6709('somewhere')).toBeNull();
+  });
+
+  test('spreads keyframes through the video', () => {
+    expect(getKeyframeTimestamps(100, 4)).toEqual([10, 35, 60, 85]);
+    expect(getKeyframeTimestamps(100, 2)).toEqual([10, 35]);
+    expect(getKeyframeTimestamps(null, 4)).toEqual([0]);
+    expect(getKeyframeTimestamps(100, 0)).toEqual([]);
+    expect(getKeyframeTimestamps(100, 50)).toHaveLength(8);
+  });
+
+  test('extracts keyframes with the configured ffmpeg', async () => {
+    mockSettings.ffmpegPath = '/opt/ffmpeg/bin/ffmpeg';
+    asyncSpawn.mockImplementation(async (command, args) => {
+      await fs.writeFile(args[args.length - 1], 'jpeg');
+      return { status: 0, stdout: '', stderr: '' };
+    });
+
+    const { frames, error } = await extractKeyframes('/videos/demo.mp4', {
+      outputDir: testDir,
+      durationSeconds: 60,
+      count: 2
+    });
+
+    expect(error).toBeUndefined();
+    expect(frames).toEqual([
+      { timestampSeconds: 6, path: path.join(testDir, 'frame-1.jpg') },
+      { timestampSeconds: 21, path: path.join(testDir, 'frame-2.jpg') }
+    ]);
+    expect(asyncSpawn).toHaveBeenCalledWith(
+      '/opt/ffmpeg/bin/ffmpeg',
+      expect.arrayContaining(['-ss', '6', '-i', '/videos/demo.mp4', '-frames:v', '1']),
+      expect.objectContaining({ timeout: expect.any(Number) })
+    );
+  });
+
+  test('stops and reports when ffmpeg is not installed', async () => {
+    const notFound = Object.assign(new Error('spawn ffmpeg ENOENT'), { code: 'ENOENT' });
+    asyncSpawn.mockResolvedValue({ status: null, stdout: '', stderr: '', error: notFound });
+
+    const result = await extractKeyframes('/videos/demo.mp4', {
+      outputDir: testDir,
+      durationSeconds: 60,
+      count: 4
+    });
+
+    expect(result.frames).toEqual([]);
+    expect(result.error).toMatch(/ffmpeg was not found/);
+    expect(asyncSpawn).toHaveBeenCalledTimes(1);
+  });
+
+  test('reduces SRT and WebVTT subtitles to their text', () => {
+    const srt =
+      '1\n00:00:01,000 --> 00:00:03,000\n<i>Hello there.</i>\n\n2\n00:00:03,000 --> 00:00:05,000\nHello there.\nWelcome back.\n';
+    const vtt = 'WEBVTT\n\nNOTE generated\n\n00:01.000 --> 00:03.000\nFirst line\n';
+
+    expect(parseSubtitleText(srt)).toBe('Hello there.\nWelcome back.');
+    expect(parseSubtitleText(vtt)).toBe('First line');
+  });
+
+  test('finds sidecar subtitles with or without a language suffix', async () => {
+    const videoPath = path.join(testDir, 'Lecture 3.mkv');
+    await fs.writeFile(videoPath, '');
+    await fs.writeFile(
+      path.join(testDir, 'Lecture 3.en.srt'),
+      '1\n00:00:00,000 --> 00:00:02,000\nToday we cover recursion.\n'
+    );
+    await fs.writeFile(path.join(testDir, 'Lecture 3 extra.srt'), '1\n00:00 --> 00:01\nWrong\n');
+
+    const subtitles = await readSidecarSubtitles(videoPath);
+
+    expect(subtitles).toEqual({
+      text: 'Today we cover recursion.',
+      path: path.join(testDir, 'Lecture 3.en.srt')
+    });
+    expect(await readSidecarSubtitles(path.join(testDir, 'other.mp4'))).toBeNull();
+  });
+
+  test('saves a thumbnail keyed by the video path', async () => {
+    const framePath = path.join(testDir, 'frame-2.jpg');
+    await fs.writeFile(framePath, 'jpeg');
+
+    const first = await saveVideoThumbnail(framePath, '/videos/demo.mp4');
+    const second = await saveVideoThumbnail(framePath, '/videos/demo.mp4');
+
+    expect(first).toMatch(/thumbnails[\\/][0-9a-f]{40}\.jpg$/);
+    expect(second).toBe(first);
+    await expect(fs.readFile(first)).resolves.toBeTruthy();
+  });
+
+  test('builds a digest with keyframes, location and a subtitle section', () => {
+    const metadata = {
+      format: 'MP4',
+      durationSeconds: 125,
+      width: 1280,
+      height: 720,
+      creationDate: '2023-07-14T09:30:00.000Z',
+      location: { latitude: 46.558, longitude: 7.835, altitude: null }
+    };
+
+    const digest = buildVideoDigest('hike.mp4', metadata, {
+      frames: [
+        { timestampSeconds: 12.5, description: 'Trail through alpine meadow (hiking, mountains)' },
+        { timestampSeconds: 44, description: '' }
+      ],
+      subtitles: 'Almost at the summit.'
+    });
+
+    expect(digest).toMatch(/^Video: hike\.mp4 \(MP4, 2:05, 1280x720\)/);
+    expect(digest).toContain('Recorded: 2023-07-14');
+    expect(digest).toContain('Location: 46.55800, 7.83500');
+    expect(digest).toContain('--- Keyframes ---\n[0:12] Trail through alpine meadow');
+    expect(digest).not.toContain('[0:44]');
+    expect(digest).toContain('--- Subtitles ---\nAlmost at the summit.');
+    expect(buildVideoDigest('clip.webm', { format: 'WEBM' }, { transcript: 'Hi' })).toBe(
+      'Video: clip.webm (WEBM)\n\n--- Transcript ---\nHi'
+    );
+  });
+});
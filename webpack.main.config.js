@@ -48,7 +48,8 @@ module.exports = (env, argv) => {
   const mainConfig = {
     ...common,
     entry: {
-      main: './src/main/simple-main.js'
+      main: './src/main/simple-main.js',
+      cli: './src/main/cli/index.js'
     },
     output: {
       path: path.resolve(__dirname, 'dist'),